@@ -0,0 +1,92 @@
+/**
+ * Backfill geohash attributes on stored deals so they show up in GeohashIndex radius searches
+ *
+ * Usage: node backfill-deal-geohash.js [--dry-run]
+ *
+ * Deals stored before the geohash index only carry the searched location's coordinates, not the
+ * merchant's, so their coordinates are not trusted. Each deal without a geohash is placed from its
+ * address instead: a postal code in the bundled gazetteer first, then Google geocoding when
+ * GOOGLE_MAPS_API_KEY is set. Deals that can't be placed get null coordinates and stay out of the index.
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, ScanCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { lookupPostalCode } from './src/utils/sgGazetteer.js';
+import { geocodeAddress } from './src/utils/googleLocationUtils.js';
+import { getGeohashAttributes } from './src/utils/geohash.js';
+
+const tableName = process.env.DEALS_TABLE_NAME || 'store-ai-bot-dev-deals';
+const googleMapsApiKey = process.env.GOOGLE_MAPS_API_KEY;
+const dryRun = process.argv.includes('--dry-run');
+
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' }));
+
+/**
+ * Merchant coordinates from the deal's address, or null
+ */
+async function locateDeal(deal) {
+    const address = deal.merchant?.address || deal.address || '';
+    const postalCode = String(address).match(/\b(\d{6})\b/)?.[1];
+    const place = postalCode ? lookupPostalCode(postalCode) : null;
+    if (place && !place.approximate) {
+        return { latitude: place.latitude, longitude: place.longitude };
+    }
+    if (googleMapsApiKey && address) {
+        const geocoded = await geocodeAddress(address, googleMapsApiKey);
+        if (geocoded) {
+            return { latitude: geocoded.latitude, longitude: geocoded.longitude };
+        }
+    }
+    return null;
+}
+
+async function backfillDealGeohash() {
+    console.log(`🔍 Backfilling geohash on ${tableName}${dryRun ? ' (dry run)' : ''}...\n`);
+    let located = 0;
+    let cleared = 0;
+    let exclusiveStartKey;
+
+    do {
+        const result = await docClient.send(new ScanCommand({
+            TableName: tableName,
+            FilterExpression: 'attribute_not_exists(geohash)',
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+
+        for (const deal of result.Items || []) {
+            const coordinates = await locateDeal(deal);
+            const update = coordinates
+                ? {
+                    UpdateExpression: 'SET latitude = :latitude, longitude = :longitude, geohash = :geohash, geohash5 = :geohash5',
+                    ExpressionAttributeValues: {
+                        ':latitude': coordinates.latitude,
+                        ':longitude': coordinates.longitude,
+                        ...Object.fromEntries(Object.entries(getGeohashAttributes(coordinates.latitude, coordinates.longitude)).map(([key, value]) => [`:${key}`, value]))
+                    }
+                }
+                : {
+                    UpdateExpression: 'SET latitude = :null, longitude = :null',
+                    ExpressionAttributeValues: { ':null': null }
+                };
+
+            console.log(`${coordinates ? '📍' : '➖'} ${deal.dealId} ${deal.businessName || ''}${coordinates ? `: ${coordinates.latitude}, ${coordinates.longitude}` : ': no merchant location'}`);
+            if (coordinates) {
+                located++;
+            } else {
+                cleared++;
+            }
+            if (!dryRun) {
+                await docClient.send(new UpdateCommand({ TableName: tableName, Key: { dealId: deal.dealId }, ...update }));
+            }
+        }
+
+        exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    console.log(`\n✅ ${located} deals placed in GeohashIndex, ${cleared} left out without a merchant location`);
+}
+
+backfillDealGeohash().catch(error => {
+    console.error('❌ Backfill failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,65 @@
+/**
+ * Import the MUIS halal directory export into src/data/muisHalalEstablishments.js
+ *
+ * Usage: node import-muis-halal.js <muis-export.csv>
+ *
+ * The CSV needs a header row with an establishment name column and an address or postal code column.
+ * Chain entries already in the dataset are kept; outlet entries are replaced.
+ */
+
+import fs from 'fs';
+import { MUIS_HALAL_ESTABLISHMENTS } from './src/data/muisHalalEstablishments.js';
+import { parseCsv, findColumn } from './src/utils/csvUtils.js';
+
+const outputPath = new URL('./src/data/muisHalalEstablishments.js', import.meta.url);
+
+function importMuisHalal(csvPath) {
+    const [header, ...rows] = parseCsv(fs.readFileSync(csvPath, 'utf8'));
+    const nameColumn = findColumn(header, /name|establishment|premise/);
+    const addressColumn = findColumn(header, /address/);
+    const postalColumn = findColumn(header, /postal/);
+
+    if (nameColumn === -1 || (addressColumn === -1 && postalColumn === -1)) {
+        throw new Error(`Expected name and address/postal code columns, got: ${header.join(', ')}`);
+    }
+
+    const seen = new Set();
+    const outlets = [];
+    for (const fields of rows) {
+        const name = (fields[nameColumn] || '').trim();
+        const postalSource = postalColumn !== -1 ? fields[postalColumn] : fields[addressColumn];
+        const postalCode = (postalSource || '').match(/\b(\d{6})\b/)?.[1] || null;
+        const key = `${name.toLowerCase()}|${postalCode}`;
+        if (!name || seen.has(key)) {
+            continue;
+        }
+        seen.add(key);
+        outlets.push({ name, postalCode });
+    }
+
+    const chains = MUIS_HALAL_ESTABLISHMENTS.filter(entry => entry.chain);
+    const entries = [...chains, ...outlets].map(entry => `    ${JSON.stringify(entry)}`).join(',\n');
+    const source = fs.readFileSync(outputPath, 'utf8');
+    const headerComment = source.substring(0, source.indexOf('export const'));
+
+    fs.writeFileSync(outputPath, `${headerComment}export const MUIS_HALAL_UPDATED_AT = '${new Date().toISOString().substring(0, 10)}';
+
+export const MUIS_HALAL_ESTABLISHMENTS = [
+${entries}
+];
+`);
+    console.log(`✅ Imported ${outlets.length} certified outlets and kept ${chains.length} chains`);
+}
+
+const csvPath = process.argv[2];
+if (!csvPath) {
+    console.error('Usage: node import-muis-halal.js <muis-export.csv>');
+    process.exit(1);
+}
+
+try {
+    importMuisHalal(csvPath);
+} catch (error) {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,167 @@
+/**
+ * Import public Singapore location data into the bundled gazetteer (src/data)
+ *
+ * Usage:
+ *   node import-sg-gazetteer.js postal <file.csv>   OneMap postal codes (POSTAL, BLK_NO, ROAD_NAME, BUILDING, LATITUDE, LONGITUDE)
+ *   node import-sg-gazetteer.js mrt <file.csv>      MRT/LRT stations or exits (station name, optional code, latitude, longitude)
+ *   node import-sg-gazetteer.js areas <file.csv>    URA planning areas (name, optional region, latitude, longitude)
+ *   node import-sg-gazetteer.js hdb <file.csv>      HDB towns (town, optional planning area, latitude, longitude)
+ *
+ * Columns are found by header name. Rows for the same station or place (e.g. one per MRT exit)
+ * are merged at their average position. Every import bumps SG_GAZETTEER_VERSION.
+ */
+
+import fs from 'fs';
+import * as gazetteer from './src/data/sgGazetteer.js';
+import { parseCsv, findColumn } from './src/utils/csvUtils.js';
+
+const gazetteerPath = new URL('./src/data/sgGazetteer.js', import.meta.url);
+const postalCodesPath = new URL('./src/data/sgPostalCodes.js', import.meta.url);
+
+// Header patterns per import, `required` columns must be present
+const COLUMNS = {
+    postal: { required: { postal: /postal/, latitude: /^lat/, longitude: /^(lng|lon)/ }, optional: { block: /blk|block/, road: /road/, building: /building/ } },
+    mrt: { required: { name: /stn_name|station_name|^station$|^name/, latitude: /^lat/, longitude: /^(lng|lon)/ }, optional: { code: /stn_no|code/ } },
+    areas: { required: { name: /pln_area|planning_area|^name/, latitude: /^lat/, longitude: /^(lng|lon)/ }, optional: { region: /region/ } },
+    hdb: { required: { name: /town|^name/, latitude: /^lat/, longitude: /^(lng|lon)/ }, optional: { planningArea: /pln_area|planning_area/ } }
+};
+
+function today() {
+    return new Date().toISOString().substring(0, 10);
+}
+
+function titleCase(text) {
+    return text.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Rows as objects keyed by the COLUMNS names, skipping rows without valid coordinates
+ */
+function readRows(csvPath, kind) {
+    const [header, ...rows] = parseCsv(fs.readFileSync(csvPath, 'utf8'));
+    const { required, optional } = COLUMNS[kind];
+    const columns = {};
+    for (const [key, pattern] of Object.entries({ ...required, ...optional })) {
+        columns[key] = findColumn(header, pattern);
+    }
+    const missing = Object.keys(required).filter(key => columns[key] === -1);
+    if (missing.length > 0) {
+        throw new Error(`Missing ${missing.join(', ')} column(s) for ${kind}, got: ${header.join(', ')}`);
+    }
+
+    return rows
+        .map(fields => Object.fromEntries(Object.entries(columns).map(([key, column]) => [key, column === -1 ? '' : (fields[column] || '').trim()])))
+        .filter(row => Number.isFinite(parseFloat(row.latitude)) && Number.isFinite(parseFloat(row.longitude)));
+}
+
+/**
+ * Merge rows by name (MRT exits, area boundary points) into one entry at their average position
+ */
+function groupByName(rows, createEntry) {
+    const groups = new Map();
+    for (const row of rows) {
+        const name = titleCase(row.name.replace(/\s+(mrt|lrt)(\s+station)?$|\s+station$/i, ''));
+        if (!groups.has(name)) {
+            groups.set(name, []);
+        }
+        groups.get(name).push(row);
+    }
+    return [...groups].map(([name, group]) => createEntry(name, group, {
+        latitude: round(group.reduce((sum, row) => sum + parseFloat(row.latitude), 0) / group.length),
+        longitude: round(group.reduce((sum, row) => sum + parseFloat(row.longitude), 0) / group.length)
+    }));
+}
+
+/**
+ * Bump SG_GAZETTEER_VERSION and the update date in the gazetteer source
+ */
+function bumpGazetteerVersion(source) {
+    const version = gazetteer.SG_GAZETTEER_VERSION + 1;
+    return {
+        version,
+        source: source
+            .replace(/export const SG_GAZETTEER_VERSION = \d+;/, `export const SG_GAZETTEER_VERSION = ${version};`)
+            .replace(/export const SG_GAZETTEER_UPDATED_AT = [^;]+;/, `export const SG_GAZETTEER_UPDATED_AT = '${today()}';`)
+    };
+}
+
+function importPostalCodes(csvPath) {
+    const entries = readRows(csvPath, 'postal')
+        .map(row => [row.postal.padStart(6, '0'), [
+            round(parseFloat(row.latitude)),
+            round(parseFloat(row.longitude)),
+            row.block && row.block !== 'NIL' ? row.block : '',
+            row.road && row.road !== 'NIL' ? titleCase(row.road) : '',
+            row.building && row.building !== 'NIL' ? titleCase(row.building) : ''
+        ]])
+        .filter(([postalCode]) => /^\d{6}$/.test(postalCode));
+    const postalCodes = Object.fromEntries(entries);
+
+    const source = fs.readFileSync(postalCodesPath, 'utf8');
+    const headerComment = source.substring(0, source.indexOf('export const'));
+    fs.writeFileSync(postalCodesPath, `${headerComment}export const SG_POSTAL_CODES_UPDATED_AT = '${today()}';
+
+export const SG_POSTAL_CODES = {
+${Object.entries(postalCodes).map(([postalCode, value]) => `    '${postalCode}': ${JSON.stringify(value)}`).join(',\n')}
+};
+`);
+    const { version, source: gazetteerSource } = bumpGazetteerVersion(fs.readFileSync(gazetteerPath, 'utf8'));
+    fs.writeFileSync(gazetteerPath, gazetteerSource);
+    console.log(`✅ Imported ${Object.keys(postalCodes).length} postal codes (gazetteer version ${version})`);
+}
+
+function importGazetteerSection(csvPath, kind) {
+    const rows = readRows(csvPath, kind);
+    const sections = {
+        mrt: ['MRT_STATIONS', () => groupByName(rows, (name, group, position) => ({
+            name,
+            codes: [...new Set(group.flatMap(row => row.code.split(/[\s/,]+/)).filter(Boolean).map(code => code.toUpperCase()))],
+            ...position
+        }))],
+        areas: ['PLANNING_AREAS', () => groupByName(rows, (name, group, position) => ({
+            name,
+            region: titleCase(group[0].region.replace(/\s+region$/i, '')) || null,
+            ...position
+        }))],
+        hdb: ['HDB_TOWNS', () => groupByName(rows, (name, group, position) => ({
+            name,
+            planningArea: group[0].planningArea ? titleCase(group[0].planningArea) : name,
+            ...position
+        }))]
+    };
+    const [exportName, build] = sections[kind];
+    const entries = build();
+    // Stations need a code for their placeId
+    if (kind === 'mrt') {
+        entries.filter(station => station.codes.length === 0).forEach(station => {
+            station.codes = [station.name.toUpperCase().replace(/[^A-Z0-9]+/g, '')];
+        });
+    }
+
+    const { version, source } = bumpGazetteerVersion(fs.readFileSync(gazetteerPath, 'utf8'));
+    const updated = source
+        .replace(new RegExp(`export const ${exportName} = \\[[\\s\\S]*?\\n\\];`), `export const ${exportName} = [\n${entries.map(entry => `    ${JSON.stringify(entry)}`).join(',\n')}\n];`);
+    fs.writeFileSync(gazetteerPath, updated);
+    console.log(`✅ Imported ${entries.length} entries into ${exportName} (gazetteer version ${version})`);
+}
+
+const [kind, csvPath] = process.argv.slice(2);
+if (!COLUMNS[kind] || !csvPath) {
+    console.error('Usage: node import-sg-gazetteer.js postal|mrt|areas|hdb <file.csv>');
+    process.exit(1);
+}
+
+try {
+    if (kind === 'postal') {
+        importPostalCodes(csvPath);
+    } else {
+        importGazetteerSection(csvPath, kind);
+    }
+} catch (error) {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,20 @@
+/**
+ * Move deal alerts stored before alert schedules onto the alert scheduler
+ *
+ * Usage: node migrate-legacy-alerts.js
+ *
+ * Run once right after deploying the alertScheduler function. Active alerts without alertState get
+ * a schedule (their preferredTime, every day), a timezone and their next send time, which puts them
+ * in DueAlertsIndex. handleDailyAlerts runs the same migration every day for anything missed.
+ */
+
+import { migrateLegacyAlerts } from './src/utils/alertUtils.js';
+
+console.log(`🔍 Migrating legacy alerts in ${process.env.ALERT_TABLE_NAME || 'store-ai-bot-dev-alerts'}...`);
+
+migrateLegacyAlerts()
+    .then(migrated => console.log(`✅ Migrated ${migrated} alerts`))
+    .catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,27 @@
+/**
+ * Replay scripted WhatsApp conversations against webhook.handler offline.
+ * Bundles the handlers the same way serverless-esbuild does, then runs
+ * src/simulator/replayConversations.js with the given scripts.
+ *
+ * node simulate-conversation.js src/simulator/conversations/lobanglah-welcome.json
+ */
+
+import { build } from 'esbuild';
+import { spawnSync } from 'child_process';
+
+const outfile = '.simulator/replayConversations.cjs';
+
+await build({
+    entryPoints: ['src/simulator/replayConversations.js'],
+    outfile,
+    bundle: true,
+    platform: 'node',
+    target: 'node20',
+    format: 'cjs',
+    packages: 'external',
+    sourcemap: true,
+    logLevel: 'warning'
+});
+
+const result = spawnSync(process.execPath, ['--enable-source-maps', outfile, ...process.argv.slice(2)], { stdio: 'inherit' });
+process.exit(result.status ?? 1);
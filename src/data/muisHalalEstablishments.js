@@ -0,0 +1,17 @@
+// MUIS halal-certified establishments, used by dietaryUtils.js as halal evidence.
+//
+// Seeded with chains whose Singapore outlets are all certified. import-muis-halal.js replaces the
+// outlet entries with the MUIS halal directory export and keeps the chain entries:
+//   node import-muis-halal.js <muis-export.csv>
+//
+// { name, postalCode } is one certified outlet; { name, chain: true } matches every outlet of the chain.
+export const MUIS_HALAL_UPDATED_AT = null;
+
+export const MUIS_HALAL_ESTABLISHMENTS = [
+    { name: "McDonald's", chain: true },
+    { name: 'KFC', chain: true },
+    { name: 'Burger King', chain: true },
+    { name: 'Subway', chain: true },
+    { name: 'Pizza Hut', chain: true },
+    { name: 'Old Chang Kee', chain: true }
+];
@@ -0,0 +1,320 @@
+// Singapore gazetteer: planning areas, HDB towns, MRT/LRT stations, neighbourhoods and postal districts.
+// Used by src/utils/sgGazetteer.js to resolve place names and postal codes with no network calls.
+//
+// Planning areas, HDB towns, MRT stations and postal codes (src/data/sgPostalCodes.js) can be
+// refreshed from public CSV data with import-sg-gazetteer.js, which bumps SG_GAZETTEER_VERSION:
+//   node import-sg-gazetteer.js postal|mrt|areas|hdb <file.csv>
+// Coordinates are WGS84 (station platforms, area and town centres). Neighbourhoods, postal
+// districts and MRT lines are curated here.
+export const SG_GAZETTEER_VERSION = 1;
+export const SG_GAZETTEER_UPDATED_AT = '2026-10-19';
+
+// URA Master Plan 2019 planning areas
+export const PLANNING_AREAS = [
+    { name: 'Bishan', region: 'Central', latitude: 1.3526, longitude: 103.8352 },
+    { name: 'Bukit Merah', region: 'Central', latitude: 1.2819, longitude: 103.8239 },
+    { name: 'Bukit Timah', region: 'Central', latitude: 1.3294, longitude: 103.8021 },
+    { name: 'Downtown Core', region: 'Central', latitude: 1.2789, longitude: 103.8536 },
+    { name: 'Geylang', region: 'Central', latitude: 1.3201, longitude: 103.8918 },
+    { name: 'Kallang', region: 'Central', latitude: 1.3100, longitude: 103.8651 },
+    { name: 'Marina East', region: 'Central', latitude: 1.2850, longitude: 103.8720 },
+    { name: 'Marina South', region: 'Central', latitude: 1.2700, longitude: 103.8630 },
+    { name: 'Marine Parade', region: 'Central', latitude: 1.3020, longitude: 103.9071 },
+    { name: 'Museum', region: 'Central', latitude: 1.2966, longitude: 103.8485 },
+    { name: 'Newton', region: 'Central', latitude: 1.3138, longitude: 103.8380 },
+    { name: 'Novena', region: 'Central', latitude: 1.3204, longitude: 103.8439 },
+    { name: 'Orchard', region: 'Central', latitude: 1.3048, longitude: 103.8318 },
+    { name: 'Outram', region: 'Central', latitude: 1.2823, longitude: 103.8393 },
+    { name: 'Queenstown', region: 'Central', latitude: 1.2942, longitude: 103.7861 },
+    { name: 'River Valley', region: 'Central', latitude: 1.2937, longitude: 103.8360 },
+    { name: 'Rochor', region: 'Central', latitude: 1.3039, longitude: 103.8526 },
+    { name: 'Singapore River', region: 'Central', latitude: 1.2885, longitude: 103.8458 },
+    { name: 'Southern Islands', region: 'Central', latitude: 1.2494, longitude: 103.8303 },
+    { name: 'Straits View', region: 'Central', latitude: 1.2710, longitude: 103.8560 },
+    { name: 'Tanglin', region: 'Central', latitude: 1.3077, longitude: 103.8159 },
+    { name: 'Toa Payoh', region: 'Central', latitude: 1.3343, longitude: 103.8563 },
+    { name: 'Bedok', region: 'East', latitude: 1.3236, longitude: 103.9273 },
+    { name: 'Changi', region: 'East', latitude: 1.3450, longitude: 103.9832 },
+    { name: 'Changi Bay', region: 'East', latitude: 1.3200, longitude: 104.0200 },
+    { name: 'Pasir Ris', region: 'East', latitude: 1.3721, longitude: 103.9474 },
+    { name: 'Paya Lebar', region: 'East', latitude: 1.3580, longitude: 103.9140 },
+    { name: 'Tampines', region: 'East', latitude: 1.3496, longitude: 103.9568 },
+    { name: 'Central Water Catchment', region: 'North', latitude: 1.3760, longitude: 103.8010 },
+    { name: 'Lim Chu Kang', region: 'North', latitude: 1.4305, longitude: 103.7174 },
+    { name: 'Mandai', region: 'North', latitude: 1.4100, longitude: 103.7930 },
+    { name: 'Sembawang', region: 'North', latitude: 1.4491, longitude: 103.8185 },
+    { name: 'Simpang', region: 'North', latitude: 1.4400, longitude: 103.8500 },
+    { name: 'Sungei Kadut', region: 'North', latitude: 1.4130, longitude: 103.7560 },
+    { name: 'Woodlands', region: 'North', latitude: 1.4382, longitude: 103.7890 },
+    { name: 'Yishun', region: 'North', latitude: 1.4304, longitude: 103.8354 },
+    { name: 'Ang Mo Kio', region: 'North-East', latitude: 1.3691, longitude: 103.8454 },
+    { name: 'Hougang', region: 'North-East', latitude: 1.3612, longitude: 103.8863 },
+    { name: 'North-Eastern Islands', region: 'North-East', latitude: 1.4050, longitude: 103.9800 },
+    { name: 'Punggol', region: 'North-East', latitude: 1.3984, longitude: 103.9072 },
+    { name: 'Seletar', region: 'North-East', latitude: 1.4040, longitude: 103.8690 },
+    { name: 'Sengkang', region: 'North-East', latitude: 1.3868, longitude: 103.8914 },
+    { name: 'Serangoon', region: 'North-East', latitude: 1.3554, longitude: 103.8679 },
+    { name: 'Boon Lay', region: 'West', latitude: 1.3160, longitude: 103.7050 },
+    { name: 'Bukit Batok', region: 'West', latitude: 1.3590, longitude: 103.7637 },
+    { name: 'Bukit Panjang', region: 'West', latitude: 1.3774, longitude: 103.7719 },
+    { name: 'Choa Chu Kang', region: 'West', latitude: 1.3840, longitude: 103.7470 },
+    { name: 'Clementi', region: 'West', latitude: 1.3162, longitude: 103.7649 },
+    { name: 'Jurong East', region: 'West', latitude: 1.3329, longitude: 103.7436 },
+    { name: 'Jurong West', region: 'West', latitude: 1.3404, longitude: 103.7090 },
+    { name: 'Pioneer', region: 'West', latitude: 1.3150, longitude: 103.6750 },
+    { name: 'Tengah', region: 'West', latitude: 1.3740, longitude: 103.7150 },
+    { name: 'Tuas', region: 'West', latitude: 1.2940, longitude: 103.6360 },
+    { name: 'Western Islands', region: 'West', latitude: 1.2600, longitude: 103.7000 },
+    { name: 'Western Water Catchment', region: 'West', latitude: 1.4050, longitude: 103.6890 }
+];
+
+// HDB towns (estates), which do not always match a planning area
+export const HDB_TOWNS = [
+    { name: 'Ang Mo Kio', planningArea: 'Ang Mo Kio', latitude: 1.3691, longitude: 103.8454 },
+    { name: 'Bedok', planningArea: 'Bedok', latitude: 1.3236, longitude: 103.9273 },
+    { name: 'Bishan', planningArea: 'Bishan', latitude: 1.3526, longitude: 103.8352 },
+    { name: 'Bukit Batok', planningArea: 'Bukit Batok', latitude: 1.3590, longitude: 103.7637 },
+    { name: 'Bukit Merah', planningArea: 'Bukit Merah', latitude: 1.2819, longitude: 103.8239 },
+    { name: 'Bukit Panjang', planningArea: 'Bukit Panjang', latitude: 1.3774, longitude: 103.7719 },
+    { name: 'Bukit Timah', planningArea: 'Bukit Timah', latitude: 1.3294, longitude: 103.8021 },
+    { name: 'Central Area', planningArea: 'Downtown Core', latitude: 1.2868, longitude: 103.8460 },
+    { name: 'Choa Chu Kang', planningArea: 'Choa Chu Kang', latitude: 1.3840, longitude: 103.7470 },
+    { name: 'Clementi', planningArea: 'Clementi', latitude: 1.3162, longitude: 103.7649 },
+    { name: 'Geylang', planningArea: 'Geylang', latitude: 1.3201, longitude: 103.8918 },
+    { name: 'Hougang', planningArea: 'Hougang', latitude: 1.3612, longitude: 103.8863 },
+    { name: 'Jurong East', planningArea: 'Jurong East', latitude: 1.3329, longitude: 103.7436 },
+    { name: 'Jurong West', planningArea: 'Jurong West', latitude: 1.3404, longitude: 103.7090 },
+    { name: 'Kallang/Whampoa', planningArea: 'Kallang', latitude: 1.3240, longitude: 103.8620 },
+    { name: 'Marine Parade', planningArea: 'Marine Parade', latitude: 1.3020, longitude: 103.9071 },
+    { name: 'Pasir Ris', planningArea: 'Pasir Ris', latitude: 1.3721, longitude: 103.9474 },
+    { name: 'Punggol', planningArea: 'Punggol', latitude: 1.3984, longitude: 103.9072 },
+    { name: 'Queenstown', planningArea: 'Queenstown', latitude: 1.2942, longitude: 103.7861 },
+    { name: 'Sembawang', planningArea: 'Sembawang', latitude: 1.4491, longitude: 103.8185 },
+    { name: 'Sengkang', planningArea: 'Sengkang', latitude: 1.3868, longitude: 103.8914 },
+    { name: 'Serangoon', planningArea: 'Serangoon', latitude: 1.3554, longitude: 103.8679 },
+    { name: 'Tampines', planningArea: 'Tampines', latitude: 1.3496, longitude: 103.9568 },
+    { name: 'Tengah', planningArea: 'Tengah', latitude: 1.3740, longitude: 103.7150 },
+    { name: 'Toa Payoh', planningArea: 'Toa Payoh', latitude: 1.3343, longitude: 103.8563 },
+    { name: 'Woodlands', planningArea: 'Woodlands', latitude: 1.4382, longitude: 103.7890 },
+    { name: 'Yishun', planningArea: 'Yishun', latitude: 1.4304, longitude: 103.8354 }
+];
+
+// One entry per station; interchanges list every line code
+export const MRT_STATIONS = [
+    { name: 'Jurong East', codes: ['NS1', 'EW24'], latitude: 1.3331, longitude: 103.7422 },
+    { name: 'Bukit Batok', codes: ['NS2'], latitude: 1.3490, longitude: 103.7496 },
+    { name: 'Bukit Gombak', codes: ['NS3'], latitude: 1.3587, longitude: 103.7518 },
+    { name: 'Choa Chu Kang', codes: ['NS4', 'BP1'], latitude: 1.3854, longitude: 103.7443 },
+    { name: 'Yew Tee', codes: ['NS5'], latitude: 1.3973, longitude: 103.7475 },
+    { name: 'Kranji', codes: ['NS7'], latitude: 1.4251, longitude: 103.7619 },
+    { name: 'Marsiling', codes: ['NS8'], latitude: 1.4326, longitude: 103.7741 },
+    { name: 'Woodlands', codes: ['NS9', 'TE2'], latitude: 1.4370, longitude: 103.7865 },
+    { name: 'Admiralty', codes: ['NS10'], latitude: 1.4406, longitude: 103.8009 },
+    { name: 'Sembawang', codes: ['NS11'], latitude: 1.4491, longitude: 103.8201 },
+    { name: 'Canberra', codes: ['NS12'], latitude: 1.4430, longitude: 103.8297 },
+    { name: 'Yishun', codes: ['NS13'], latitude: 1.4295, longitude: 103.8350 },
+    { name: 'Khatib', codes: ['NS14'], latitude: 1.4174, longitude: 103.8330 },
+    { name: 'Yio Chu Kang', codes: ['NS15'], latitude: 1.3817, longitude: 103.8449 },
+    { name: 'Ang Mo Kio', codes: ['NS16'], latitude: 1.3700, longitude: 103.8496 },
+    { name: 'Bishan', codes: ['NS17', 'CC15'], latitude: 1.3510, longitude: 103.8485 },
+    { name: 'Braddell', codes: ['NS18'], latitude: 1.3404, longitude: 103.8468 },
+    { name: 'Toa Payoh', codes: ['NS19'], latitude: 1.3327, longitude: 103.8474 },
+    { name: 'Novena', codes: ['NS20'], latitude: 1.3204, longitude: 103.8438 },
+    { name: 'Newton', codes: ['NS21', 'DT11'], latitude: 1.3138, longitude: 103.8380 },
+    { name: 'Orchard', codes: ['NS22', 'TE14'], latitude: 1.3043, longitude: 103.8322 },
+    { name: 'Somerset', codes: ['NS23'], latitude: 1.3006, longitude: 103.8390 },
+    { name: 'Dhoby Ghaut', codes: ['NS24', 'NE6', 'CC1'], latitude: 1.2990, longitude: 103.8455 },
+    { name: 'City Hall', codes: ['NS25', 'EW13'], latitude: 1.2932, longitude: 103.8520 },
+    { name: 'Raffles Place', codes: ['NS26', 'EW14'], latitude: 1.2840, longitude: 103.8515 },
+    { name: 'Marina Bay', codes: ['NS27', 'CE2', 'TE20'], latitude: 1.2760, longitude: 103.8546 },
+    { name: 'Marina South Pier', codes: ['NS28'], latitude: 1.2713, longitude: 103.8631 },
+    { name: 'Pasir Ris', codes: ['EW1'], latitude: 1.3730, longitude: 103.9493 },
+    { name: 'Tampines', codes: ['EW2', 'DT32'], latitude: 1.3533, longitude: 103.9452 },
+    { name: 'Simei', codes: ['EW3'], latitude: 1.3432, longitude: 103.9532 },
+    { name: 'Tanah Merah', codes: ['EW4'], latitude: 1.3272, longitude: 103.9465 },
+    { name: 'Bedok', codes: ['EW5'], latitude: 1.3240, longitude: 103.9300 },
+    { name: 'Kembangan', codes: ['EW6'], latitude: 1.3210, longitude: 103.9129 },
+    { name: 'Eunos', codes: ['EW7'], latitude: 1.3197, longitude: 103.9030 },
+    { name: 'Paya Lebar', codes: ['EW8', 'CC9'], latitude: 1.3177, longitude: 103.8926 },
+    { name: 'Aljunied', codes: ['EW9'], latitude: 1.3164, longitude: 103.8829 },
+    { name: 'Kallang', codes: ['EW10'], latitude: 1.3114, longitude: 103.8714 },
+    { name: 'Lavender', codes: ['EW11'], latitude: 1.3073, longitude: 103.8631 },
+    { name: 'Bugis', codes: ['EW12', 'DT14'], latitude: 1.3009, longitude: 103.8559 },
+    { name: 'Tanjong Pagar', codes: ['EW15'], latitude: 1.2765, longitude: 103.8458 },
+    { name: 'Outram Park', codes: ['EW16', 'NE3', 'TE17'], latitude: 1.2802, longitude: 103.8394 },
+    { name: 'Tiong Bahru', codes: ['EW17'], latitude: 1.2862, longitude: 103.8270 },
+    { name: 'Redhill', codes: ['EW18'], latitude: 1.2896, longitude: 103.8168 },
+    { name: 'Queenstown', codes: ['EW19'], latitude: 1.2946, longitude: 103.8061 },
+    { name: 'Commonwealth', codes: ['EW20'], latitude: 1.3025, longitude: 103.7983 },
+    { name: 'Buona Vista', codes: ['EW21', 'CC22'], latitude: 1.3072, longitude: 103.7903 },
+    { name: 'Dover', codes: ['EW22'], latitude: 1.3114, longitude: 103.7786 },
+    { name: 'Clementi', codes: ['EW23'], latitude: 1.3150, longitude: 103.7652 },
+    { name: 'Chinese Garden', codes: ['EW25'], latitude: 1.3423, longitude: 103.7325 },
+    { name: 'Lakeside', codes: ['EW26'], latitude: 1.3442, longitude: 103.7210 },
+    { name: 'Boon Lay', codes: ['EW27'], latitude: 1.3386, longitude: 103.7058 },
+    { name: 'Pioneer', codes: ['EW28'], latitude: 1.3376, longitude: 103.6974 },
+    { name: 'Joo Koon', codes: ['EW29'], latitude: 1.3277, longitude: 103.6784 },
+    { name: 'Gul Circle', codes: ['EW30'], latitude: 1.3195, longitude: 103.6605 },
+    { name: 'Tuas Crescent', codes: ['EW31'], latitude: 1.3210, longitude: 103.6491 },
+    { name: 'Tuas West Road', codes: ['EW32'], latitude: 1.3300, longitude: 103.6397 },
+    { name: 'Tuas Link', codes: ['EW33'], latitude: 1.3404, longitude: 103.6368 },
+    { name: 'Expo', codes: ['CG1', 'DT35'], latitude: 1.3345, longitude: 103.9615 },
+    { name: 'Changi Airport', codes: ['CG2'], latitude: 1.3573, longitude: 103.9884 },
+    { name: 'HarbourFront', codes: ['NE1', 'CC29'], latitude: 1.2653, longitude: 103.8220 },
+    { name: 'Chinatown', codes: ['NE4', 'DT19'], latitude: 1.2844, longitude: 103.8440 },
+    { name: 'Clarke Quay', codes: ['NE5'], latitude: 1.2887, longitude: 103.8466 },
+    { name: 'Little India', codes: ['NE7', 'DT12'], latitude: 1.3066, longitude: 103.8494 },
+    { name: 'Farrer Park', codes: ['NE8'], latitude: 1.3124, longitude: 103.8543 },
+    { name: 'Boon Keng', codes: ['NE9'], latitude: 1.3196, longitude: 103.8617 },
+    { name: 'Potong Pasir', codes: ['NE10'], latitude: 1.3313, longitude: 103.8688 },
+    { name: 'Woodleigh', codes: ['NE11'], latitude: 1.3392, longitude: 103.8707 },
+    { name: 'Serangoon', codes: ['NE12', 'CC13'], latitude: 1.3497, longitude: 103.8735 },
+    { name: 'Kovan', codes: ['NE13'], latitude: 1.3602, longitude: 103.8850 },
+    { name: 'Hougang', codes: ['NE14'], latitude: 1.3713, longitude: 103.8923 },
+    { name: 'Buangkok', codes: ['NE15'], latitude: 1.3829, longitude: 103.8930 },
+    { name: 'Sengkang', codes: ['NE16', 'STC'], latitude: 1.3917, longitude: 103.8954 },
+    { name: 'Punggol', codes: ['NE17', 'PTC'], latitude: 1.4053, longitude: 103.9023 },
+    { name: 'Bras Basah', codes: ['CC2'], latitude: 1.2969, longitude: 103.8506 },
+    { name: 'Esplanade', codes: ['CC3'], latitude: 1.2934, longitude: 103.8554 },
+    { name: 'Promenade', codes: ['CC4', 'DT15'], latitude: 1.2939, longitude: 103.8602 },
+    { name: 'Nicoll Highway', codes: ['CC5'], latitude: 1.2999, longitude: 103.8636 },
+    { name: 'Stadium', codes: ['CC6'], latitude: 1.3028, longitude: 103.8753 },
+    { name: 'Mountbatten', codes: ['CC7'], latitude: 1.3063, longitude: 103.8825 },
+    { name: 'Dakota', codes: ['CC8'], latitude: 1.3083, longitude: 103.8884 },
+    { name: 'MacPherson', codes: ['CC10', 'DT26'], latitude: 1.3266, longitude: 103.8900 },
+    { name: 'Tai Seng', codes: ['CC11'], latitude: 1.3358, longitude: 103.8879 },
+    { name: 'Bartley', codes: ['CC12'], latitude: 1.3424, longitude: 103.8797 },
+    { name: 'Lorong Chuan', codes: ['CC14'], latitude: 1.3517, longitude: 103.8640 },
+    { name: 'Marymount', codes: ['CC16'], latitude: 1.3490, longitude: 103.8394 },
+    { name: 'Caldecott', codes: ['CC17', 'TE9'], latitude: 1.3375, longitude: 103.8396 },
+    { name: 'Botanic Gardens', codes: ['CC19', 'DT9'], latitude: 1.3224, longitude: 103.8153 },
+    { name: 'Farrer Road', codes: ['CC20'], latitude: 1.3174, longitude: 103.8075 },
+    { name: 'Holland Village', codes: ['CC21'], latitude: 1.3117, longitude: 103.7961 },
+    { name: 'one-north', codes: ['CC23'], latitude: 1.2996, longitude: 103.7873 },
+    { name: 'Kent Ridge', codes: ['CC24'], latitude: 1.2935, longitude: 103.7846 },
+    { name: 'Haw Par Villa', codes: ['CC25'], latitude: 1.2825, longitude: 103.7819 },
+    { name: 'Pasir Panjang', codes: ['CC26'], latitude: 1.2762, longitude: 103.7914 },
+    { name: 'Labrador Park', codes: ['CC27'], latitude: 1.2722, longitude: 103.8026 },
+    { name: 'Telok Blangah', codes: ['CC28'], latitude: 1.2707, longitude: 103.8097 },
+    { name: 'Bukit Panjang', codes: ['DT1', 'BP6'], latitude: 1.3786, longitude: 103.7622 },
+    { name: 'Cashew', codes: ['DT2'], latitude: 1.3692, longitude: 103.7646 },
+    { name: 'Hillview', codes: ['DT3'], latitude: 1.3627, longitude: 103.7674 },
+    { name: 'Beauty World', codes: ['DT5'], latitude: 1.3411, longitude: 103.7757 },
+    { name: 'King Albert Park', codes: ['DT6'], latitude: 1.3357, longitude: 103.7833 },
+    { name: 'Sixth Avenue', codes: ['DT7'], latitude: 1.3306, longitude: 103.7970 },
+    { name: 'Tan Kah Kee', codes: ['DT8'], latitude: 1.3258, longitude: 103.8073 },
+    { name: 'Stevens', codes: ['DT10', 'TE11'], latitude: 1.3200, longitude: 103.8260 },
+    { name: 'Rochor', codes: ['DT13'], latitude: 1.3039, longitude: 103.8526 },
+    { name: 'Bayfront', codes: ['DT16', 'CE1'], latitude: 1.2819, longitude: 103.8590 },
+    { name: 'Downtown', codes: ['DT17'], latitude: 1.2794, longitude: 103.8527 },
+    { name: 'Telok Ayer', codes: ['DT18'], latitude: 1.2822, longitude: 103.8486 },
+    { name: 'Fort Canning', codes: ['DT20'], latitude: 1.2916, longitude: 103.8444 },
+    { name: 'Bencoolen', codes: ['DT21'], latitude: 1.2986, longitude: 103.8501 },
+    { name: 'Jalan Besar', codes: ['DT22'], latitude: 1.3053, longitude: 103.8553 },
+    { name: 'Bendemeer', codes: ['DT23'], latitude: 1.3136, longitude: 103.8626 },
+    { name: 'Geylang Bahru', codes: ['DT24'], latitude: 1.3214, longitude: 103.8717 },
+    { name: 'Mattar', codes: ['DT25'], latitude: 1.3268, longitude: 103.8831 },
+    { name: 'Ubi', codes: ['DT27'], latitude: 1.3300, longitude: 103.8991 },
+    { name: 'Kaki Bukit', codes: ['DT28'], latitude: 1.3350, longitude: 103.9086 },
+    { name: 'Bedok North', codes: ['DT29'], latitude: 1.3348, longitude: 103.9180 },
+    { name: 'Bedok Reservoir', codes: ['DT30'], latitude: 1.3363, longitude: 103.9322 },
+    { name: 'Tampines West', codes: ['DT31'], latitude: 1.3455, longitude: 103.9384 },
+    { name: 'Tampines East', codes: ['DT33'], latitude: 1.3562, longitude: 103.9546 },
+    { name: 'Upper Changi', codes: ['DT34'], latitude: 1.3418, longitude: 103.9613 },
+    { name: 'Woodlands North', codes: ['TE1'], latitude: 1.4482, longitude: 103.7856 },
+    { name: 'Woodlands South', codes: ['TE3'], latitude: 1.4274, longitude: 103.7937 },
+    { name: 'Springleaf', codes: ['TE4'], latitude: 1.3975, longitude: 103.8180 },
+    { name: 'Lentor', codes: ['TE5'], latitude: 1.3852, longitude: 103.8360 },
+    { name: 'Mayflower', codes: ['TE6'], latitude: 1.3717, longitude: 103.8365 },
+    { name: 'Bright Hill', codes: ['TE7'], latitude: 1.3626, longitude: 103.8333 },
+    { name: 'Upper Thomson', codes: ['TE8'], latitude: 1.3546, longitude: 103.8325 },
+    { name: 'Napier', codes: ['TE12'], latitude: 1.3068, longitude: 103.8190 },
+    { name: 'Orchard Boulevard', codes: ['TE13'], latitude: 1.3022, longitude: 103.8243 },
+    { name: 'Great World', codes: ['TE15'], latitude: 1.2934, longitude: 103.8320 },
+    { name: 'Havelock', codes: ['TE16'], latitude: 1.2886, longitude: 103.8337 },
+    { name: 'Maxwell', codes: ['TE18'], latitude: 1.2803, longitude: 103.8440 },
+    { name: 'Shenton Way', codes: ['TE19'], latitude: 1.2765, longitude: 103.8486 },
+    { name: 'Gardens by the Bay', codes: ['TE22'], latitude: 1.2796, longitude: 103.8685 },
+    { name: 'Tanjong Rhu', codes: ['TE23'], latitude: 1.2976, longitude: 103.8733 },
+    { name: 'Katong Park', codes: ['TE24'], latitude: 1.2980, longitude: 103.8858 },
+    { name: 'Tanjong Katong', codes: ['TE25'], latitude: 1.3050, longitude: 103.8950 },
+    { name: 'Marine Parade', codes: ['TE26'], latitude: 1.3030, longitude: 103.9060 },
+    { name: 'Marine Terrace', codes: ['TE27'], latitude: 1.3070, longitude: 103.9150 },
+    { name: 'Siglap', codes: ['TE28'], latitude: 1.3100, longitude: 103.9300 },
+    { name: 'Bayshore', codes: ['TE29'], latitude: 1.3130, longitude: 103.9420 }
+];
+
+// MRT/LRT lines by station code prefix. Stations are ordered by the number in their code;
+// a branch runs from `junction` (the Changi Airport branch leaves the East-West Line at Tanah Merah)
+export const MRT_LINES = [
+    { code: 'NS', name: 'North-South Line', type: 'mrt', aliases: ['nsl', 'ns line', 'north south', 'red line'] },
+    { code: 'EW', name: 'East-West Line', type: 'mrt', aliases: ['ewl', 'ew line', 'east west', 'green line'], branches: [{ prefix: 'CG', junction: 'EW4' }] },
+    { code: 'NE', name: 'North East Line', type: 'mrt', aliases: ['nel', 'ne line', 'purple line'] },
+    { code: 'CC', name: 'Circle Line', type: 'mrt', aliases: ['ccl', 'cc line', 'yellow line'], branches: [{ prefix: 'CE', junction: 'CC4' }] },
+    { code: 'DT', name: 'Downtown Line', type: 'mrt', aliases: ['dtl', 'dt line', 'blue line'] },
+    { code: 'TE', name: 'Thomson-East Coast Line', type: 'mrt', aliases: ['tel', 'te line', 'thomson east coast', 'brown line'] },
+    { code: 'BP', name: 'Bukit Panjang LRT', type: 'lrt', aliases: ['bplrt', 'bukit panjang lrt'] },
+    { code: 'STC', name: 'Sengkang LRT', type: 'lrt', aliases: ['sklrt', 'sengkang lrt'] },
+    { code: 'PTC', name: 'Punggol LRT', type: 'lrt', aliases: ['pglrt', 'punggol lrt'] }
+];
+
+// Places people name that are neither planning areas nor stations, with the names they go by
+export const NEIGHBOURHOODS = [
+    { name: 'Orchard Road', aliases: ['orchard rd', 'ion orchard'], planningArea: 'Orchard', latitude: 1.3040, longitude: 103.8320 },
+    { name: 'Marina Bay', aliases: ['mbs', 'marina bay sands'], planningArea: 'Downtown Core', latitude: 1.2830, longitude: 103.8590 },
+    { name: 'Raffles Place', aliases: ['cbd', 'central business district'], planningArea: 'Downtown Core', latitude: 1.2840, longitude: 103.8515 },
+    { name: 'Chinatown', aliases: [], planningArea: 'Outram', latitude: 1.2820, longitude: 103.8440 },
+    { name: 'Little India', aliases: ['tekka'], planningArea: 'Rochor', latitude: 1.3066, longitude: 103.8518 },
+    { name: 'Bugis', aliases: ['bugis junction', 'bugis street'], planningArea: 'Rochor', latitude: 1.3000, longitude: 103.8555 },
+    { name: 'Kampong Glam', aliases: ['kampong gelam', 'arab street', 'haji lane'], planningArea: 'Rochor', latitude: 1.3025, longitude: 103.8590 },
+    { name: 'Clarke Quay', aliases: [], planningArea: 'Singapore River', latitude: 1.2906, longitude: 103.8465 },
+    { name: 'Boat Quay', aliases: [], planningArea: 'Singapore River', latitude: 1.2868, longitude: 103.8495 },
+    { name: 'Robertson Quay', aliases: [], planningArea: 'Singapore River', latitude: 1.2910, longitude: 103.8390 },
+    { name: 'Tanjong Pagar', aliases: [], planningArea: 'Downtown Core', latitude: 1.2765, longitude: 103.8430 },
+    { name: 'Tiong Bahru', aliases: [], planningArea: 'Bukit Merah', latitude: 1.2850, longitude: 103.8310 },
+    { name: 'HarbourFront', aliases: ['harbour front', 'vivocity', 'vivo city'], planningArea: 'Bukit Merah', latitude: 1.2650, longitude: 103.8210 },
+    { name: 'Sentosa', aliases: ['resorts world sentosa', 'rws'], planningArea: 'Southern Islands', latitude: 1.2494, longitude: 103.8303 },
+    { name: 'Holland Village', aliases: ['holland v', 'hv'], planningArea: 'Bukit Timah', latitude: 1.3113, longitude: 103.7959 },
+    { name: 'Dempsey Hill', aliases: ['dempsey'], planningArea: 'Tanglin', latitude: 1.3050, longitude: 103.8100 },
+    { name: 'Buona Vista', aliases: [], planningArea: 'Queenstown', latitude: 1.3070, longitude: 103.7900 },
+    { name: 'one-north', aliases: ['one north'], planningArea: 'Queenstown', latitude: 1.2995, longitude: 103.7875 },
+    { name: 'Katong', aliases: ['east coast road'], planningArea: 'Marine Parade', latitude: 1.3050, longitude: 103.9050 },
+    { name: 'Joo Chiat', aliases: [], planningArea: 'Geylang', latitude: 1.3120, longitude: 103.9010 },
+    { name: 'East Coast Park', aliases: ['east coast', 'ecp'], planningArea: 'Marine Parade', latitude: 1.3000, longitude: 103.9120 },
+    { name: 'Thomson', aliases: ['thomson road'], planningArea: 'Bishan', latitude: 1.3500, longitude: 103.8330 },
+    { name: 'Changi Village', aliases: [], planningArea: 'Changi', latitude: 1.3890, longitude: 103.9880 },
+    { name: 'Jewel Changi Airport', aliases: ['jewel', 'jewel changi'], planningArea: 'Changi', latitude: 1.3602, longitude: 103.9898 },
+    { name: 'Jurong Lake District', aliases: ['jurong', 'jem', 'westgate'], planningArea: 'Jurong East', latitude: 1.3330, longitude: 103.7430 }
+];
+
+// Postal districts by the first two digits (sector) of a postal code, centred on the district
+export const POSTAL_DISTRICTS = [
+    { district: 1, name: "Raffles Place, Cecil, Marina, People's Park", sectors: ['01', '02', '03', '04', '05', '06'], latitude: 1.2830, longitude: 103.8510 },
+    { district: 2, name: 'Anson, Tanjong Pagar', sectors: ['07', '08'], latitude: 1.2760, longitude: 103.8440 },
+    { district: 3, name: 'Queenstown, Tiong Bahru', sectors: ['14', '15', '16'], latitude: 1.2900, longitude: 103.8100 },
+    { district: 4, name: 'Telok Blangah, HarbourFront', sectors: ['09', '10'], latitude: 1.2680, longitude: 103.8180 },
+    { district: 5, name: 'Pasir Panjang, Hong Leong Garden, Clementi New Town', sectors: ['11', '12', '13'], latitude: 1.3000, longitude: 103.7750 },
+    { district: 6, name: 'High Street, Beach Road', sectors: ['17'], latitude: 1.2930, longitude: 103.8520 },
+    { district: 7, name: 'Middle Road, Golden Mile', sectors: ['18', '19'], latitude: 1.3000, longitude: 103.8580 },
+    { district: 8, name: 'Little India', sectors: ['20', '21'], latitude: 1.3080, longitude: 103.8520 },
+    { district: 9, name: 'Orchard, Cairnhill, River Valley', sectors: ['22', '23'], latitude: 1.3030, longitude: 103.8330 },
+    { district: 10, name: 'Ardmore, Bukit Timah, Holland Road, Tanglin', sectors: ['24', '25', '26', '27'], latitude: 1.3150, longitude: 103.8050 },
+    { district: 11, name: 'Watten Estate, Novena, Thomson', sectors: ['28', '29', '30'], latitude: 1.3250, longitude: 103.8380 },
+    { district: 12, name: 'Balestier, Toa Payoh, Serangoon', sectors: ['31', '32', '33'], latitude: 1.3270, longitude: 103.8520 },
+    { district: 13, name: 'Macpherson, Braddell', sectors: ['34', '35', '36', '37'], latitude: 1.3350, longitude: 103.8760 },
+    { district: 14, name: 'Geylang, Eunos', sectors: ['38', '39', '40', '41'], latitude: 1.3180, longitude: 103.8930 },
+    { district: 15, name: 'Katong, Joo Chiat, Amber Road', sectors: ['42', '43', '44', '45'], latitude: 1.3050, longitude: 103.9050 },
+    { district: 16, name: 'Bedok, Upper East Coast, Eastwood, Kew Drive', sectors: ['46', '47', '48'], latitude: 1.3240, longitude: 103.9330 },
+    { district: 17, name: 'Loyang, Changi', sectors: ['49', '50', '81'], latitude: 1.3700, longitude: 103.9750 },
+    { district: 18, name: 'Tampines, Pasir Ris', sectors: ['51', '52'], latitude: 1.3580, longitude: 103.9500 },
+    { district: 19, name: 'Serangoon Garden, Hougang, Punggol', sectors: ['53', '54', '55', '82'], latitude: 1.3700, longitude: 103.8850 },
+    { district: 20, name: 'Bishan, Ang Mo Kio', sectors: ['56', '57'], latitude: 1.3600, longitude: 103.8420 },
+    { district: 21, name: 'Upper Bukit Timah, Clementi Park, Ulu Pandan', sectors: ['58', '59'], latitude: 1.3350, longitude: 103.7780 },
+    { district: 22, name: 'Jurong', sectors: ['60', '61', '62', '63', '64'], latitude: 1.3350, longitude: 103.7200 },
+    { district: 23, name: 'Hillview, Dairy Farm, Bukit Panjang, Choa Chu Kang', sectors: ['65', '66', '67', '68'], latitude: 1.3700, longitude: 103.7600 },
+    { district: 24, name: 'Lim Chu Kang, Tengah', sectors: ['69', '70', '71'], latitude: 1.4000, longitude: 103.7100 },
+    { district: 25, name: 'Kranji, Woodgrove', sectors: ['72', '73'], latitude: 1.4320, longitude: 103.7750 },
+    { district: 26, name: 'Upper Thomson, Springleaf', sectors: ['77', '78'], latitude: 1.3900, longitude: 103.8250 },
+    { district: 27, name: 'Yishun, Sembawang', sectors: ['75', '76'], latitude: 1.4350, longitude: 103.8300 },
+    { district: 28, name: 'Seletar', sectors: ['79', '80'], latitude: 1.4000, longitude: 103.8700 }
+];
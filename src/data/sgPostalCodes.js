@@ -0,0 +1,12 @@
+// Singapore postal codes with coordinates, used by src/utils/sgGazetteer.js for exact postal code lookups.
+//
+// Generated from a OneMap-style CSV (POSTAL, BLK_NO, ROAD_NAME, BUILDING, LATITUDE, LONGITUDE):
+//   node import-sg-gazetteer.js postal <file.csv>
+// Import before deploying: without it postal codes only resolve to the centre of their postal
+// district (sgGazetteer.js) and the location service asks Google for the exact place.
+//
+// '<postal code>': [latitude, longitude, block, road name, building]
+export const SG_POSTAL_CODES_UPDATED_AT = null;
+
+export const SG_POSTAL_CODES = {
+};
@@ -20,6 +20,7 @@ import { getRecentCustomers, formatRecentCustomersMessage } from '../utils/owner
 import { uploadToS3 } from '../utils/s3Utils.js';
 import { generateInvoicePdfBuffer } from '../utils/pdfUtils.js';
 import { sendWhatsAppMessage } from '../utils/whatsappUtils.js';
+import { redactSecrets } from '../utils/logRedaction.js';
 import crypto from 'crypto';
 
 
@@ -430,7 +431,7 @@ async function handleConfirmOrderForPayment(orderId, context) {
   console.log(`[ActionProcessor] CONFIRM_ORDER_FOR_PAYMENT for order ${orderId}, store ${storeId}, user ${userPhone}`);
 
   if (!botConfig || !botConfig.paymentPayNowNumber) {
-    console.error(`[ActionProcessor] Payment PayNow number is missing in botConfig for store ${storeId}. botConfig received:`, JSON.stringify(botConfig));
+    console.error(`[ActionProcessor] Payment PayNow number is missing in botConfig for store ${storeId}. botConfig received:`, JSON.stringify(redactSecrets(botConfig)));
     return {
       success: false,
       message: 'Payment processing is not configured correctly. Please contact support.',
@@ -765,7 +766,7 @@ Please confirm if you have received the payment.`;
         };
 
         try {
-            await sendWhatsAppMessage(storeId, ownerPhoneNumber, ownerNotificationPayload, botConfig);
+            await sendWhatsAppMessage(storeId, ownerPhoneNumber, ownerNotificationPayload, botConfig, { category: 'owner_notification' });
             console.log(`[ActionProcessor] Sent payment verification request to owner for order ${orderId}.`);
         } catch (e) {
             console.error(`[ActionProcessor] CRITICAL: Failed to send payment verification to owner for order ${orderId}`, e);
@@ -866,7 +867,7 @@ async function handleOwnerConfirmPayment(orderId, context) {
                 botConfig.posFastapiBaseUrl = process.env.POS_FASTAPI_BASE_URL;
                 console.log(`[ActionProcessor] Setting posFastapiBaseUrl from env: ${botConfig.posFastapiBaseUrl}`);
             }
-            console.log(`[ActionProcessor] botConfig for customer fetch:`, JSON.stringify(botConfig));
+            console.log(`[ActionProcessor] botConfig for customer fetch:`, JSON.stringify(redactSecrets(botConfig)));
             
             // Get recent orders
             const recentOrders = await getRecentCustomers(storeId, botConfig);
@@ -914,7 +915,7 @@ async function handleOwnerConfirmPayment(orderId, context) {
         if (ownerMessageText.length > 1000) {
             // First send a text message with the complete information
             const textPayload = { type: 'text', text: { body: ownerMessageText } };
-            await sendWhatsAppMessage(storeId, ownerPhone, textPayload, botConfig);
+            await sendWhatsAppMessage(storeId, ownerPhone, textPayload, botConfig, { category: 'owner_notification' });
             
             // Then return a simple interactive message
             const shortMessagePayload = {
@@ -0,0 +1,288 @@
+// Bot Mode Registry - decides which handler answers a store's WhatsApp number
+import { sendWhatsAppMessage } from '../utils/whatsappUtils.js';
+import { transcribeVoiceNote } from '../utils/voiceNoteUtils.js';
+import { handleLobangLahMessage } from './lobangLahHandler.js';
+import { handleSocialAgencyMessage } from './socialAgencyHandler.js';
+import { handleDailyDealMessage } from './dailyDealHandler.js';
+
+// Modes a store can select through `botMode` in its WhatsappStoreTokens item
+export const BOT_MODES = {
+    LOBANGLAH: 'lobanglah',
+    DAILY_DEAL: 'daily_deal',
+    SOCIAL_AGENCY: 'social_agency',
+    SHOP: 'shop'
+};
+
+export const DEFAULT_BOT_MODE = BOT_MODES.SHOP;
+
+// Stores onboarded before `botMode` existed. Remove an entry once its
+// WhatsappStoreTokens item has `botMode` set.
+const LEGACY_STORE_BOT_MODES = {
+    'cmanyfn1e0001jl04j3k45mz5': BOT_MODES.DAILY_DEAL,
+    'viral_agency_main': BOT_MODES.SOCIAL_AGENCY
+};
+
+const botModes = new Map();
+const botMiddleware = new Map();
+
+/**
+ * Register a bot mode.
+ * @param {string} name - Mode name stored in botConfig.botMode
+ * @param {Object} definition
+ * @param {Function} definition.handle - async (ctx) => ({ handled: boolean })
+ * @param {string[]} [definition.messageTypes] - Message types the mode accepts; others go to the fallback mode
+ * @param {string[]} [definition.middleware] - Middleware names run before the handler unless the store overrides them
+ */
+export function registerBotMode(name, definition) {
+    if (!definition || typeof definition.handle !== 'function') {
+        throw new Error(`Bot mode '${name}' must provide a handle function`);
+    }
+    botModes.set(name, {
+        name,
+        messageTypes: definition.messageTypes || null,
+        middleware: definition.middleware || [],
+        handle: definition.handle
+    });
+}
+
+/**
+ * Register a middleware that can run before any bot mode.
+ * A middleware returns { handled: true } to stop the message from reaching the mode handler.
+ * @param {string} name - Middleware name referenced from botConfig.botMiddleware or a mode definition
+ * @param {Function} middleware - async (ctx) => ({ handled: boolean })
+ */
+export function registerBotMiddleware(name, middleware) {
+    if (typeof middleware !== 'function') {
+        throw new Error(`Bot middleware '${name}' must be a function`);
+    }
+    botMiddleware.set(name, middleware);
+}
+
+export function getBotMode(name) {
+    return botModes.get(name) || null;
+}
+
+/**
+ * Accept lists stored either as a DynamoDB list or as a comma-separated string
+ */
+function normalizeNameList(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => String(item).trim()).filter(Boolean);
+    }
+    if (typeof value === 'string') {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    return null;
+}
+
+/**
+ * Resolve the routing for a store from its bot configuration.
+ * Order: botConfig.botMode, legacy store mapping, then the default mode.
+ * @returns {{ mode: string, fallbackMode: string, middleware: string[] }}
+ */
+export function resolveBotRoute(storeId, botConfig = {}) {
+    const configuredMode = typeof botConfig?.botMode === 'string' ? botConfig.botMode.trim().toLowerCase() : null;
+    let mode = configuredMode || LEGACY_STORE_BOT_MODES[storeId] || DEFAULT_BOT_MODE;
+
+    if (!botModes.has(mode)) {
+        console.warn(`[BotModeRegistry] Unknown bot mode '${mode}' for store ${storeId}, using ${DEFAULT_BOT_MODE}`);
+        mode = DEFAULT_BOT_MODE;
+    }
+
+    const configuredFallback = typeof botConfig?.fallbackBotMode === 'string' ? botConfig.fallbackBotMode.trim().toLowerCase() : null;
+    const fallbackMode = configuredFallback && botModes.has(configuredFallback) ? configuredFallback : DEFAULT_BOT_MODE;
+
+    const middleware = normalizeNameList(botConfig?.botMiddleware) || botModes.get(mode)?.middleware || [];
+
+    return { mode, fallbackMode, middleware };
+}
+
+/**
+ * Run the route's middleware in order, stopping at the first one that handles the message
+ */
+export async function runBotMiddleware(route, ctx) {
+    for (const name of route.middleware) {
+        const middleware = botMiddleware.get(name);
+        if (!middleware) {
+            console.warn(`[BotModeRegistry] Unknown middleware '${name}' for store ${ctx.storeId}, skipping`);
+            continue;
+        }
+        const result = await middleware(ctx);
+        if (result?.handled) {
+            console.log(`[BotModeRegistry] Middleware '${name}' handled message from ${ctx.from}`);
+            return { handled: true, by: name };
+        }
+    }
+    return { handled: false };
+}
+
+/**
+ * Hand the message to the store's bot mode, falling back when the mode
+ * does not accept the message type or reports it as unhandled.
+ */
+export async function dispatchToBotMode(route, ctx) {
+    const primary = botModes.get(route.mode);
+    const accepts = !primary.messageTypes || primary.messageTypes.includes(ctx.messageType);
+
+    if (accepts) {
+        console.log(`[BotModeRegistry] Routing ${ctx.messageType} message for store ${ctx.storeId} to '${route.mode}'`);
+        const result = await primary.handle(ctx);
+        if (result?.handled) {
+            return { handled: true, mode: route.mode };
+        }
+    }
+
+    if (route.fallbackMode === route.mode) {
+        return { handled: false, mode: route.mode };
+    }
+
+    console.log(`[BotModeRegistry] '${route.mode}' did not handle ${ctx.messageType} message, falling back to '${route.fallbackMode}'`);
+    const fallback = botModes.get(route.fallbackMode);
+    const result = await fallback.handle(ctx);
+    return { handled: !!result?.handled, mode: route.fallbackMode };
+}
+
+/**
+ * Split a WhatsApp message into the messageBody/interactiveData/locationData/audioData parts the handlers take
+ */
+function getMessageParts(message) {
+    return {
+        messageBody: message.type === 'text' ? (message.text?.body || '') : '',
+        interactiveData: message.type === 'interactive' ? message.interactive : null,
+        locationData: message.type === 'location' ? message.location : null,
+        audioData: message.type === 'audio' ? message.audio : null
+    };
+}
+
+/**
+ * Turn a voice note into a text message for modes that only understand typed text. The context is
+ * updated in place, so a fallback mode gets the transcript instead of transcribing again.
+ * @returns {Promise<boolean>} - false once the user has been told the voice note could not be understood
+ */
+async function transcribeVoiceNoteMessage(ctx) {
+    const transcript = await transcribeVoiceNote(ctx.storeId, ctx.from, ctx.message.audio, ctx.botConfig);
+    if (!transcript) {
+        return false;
+    }
+    ctx.message = { ...ctx.message, type: 'text', text: { body: transcript } };
+    ctx.messageType = 'text';
+    return true;
+}
+
+// --- Built-in modes ---
+
+registerBotMode(BOT_MODES.LOBANGLAH, {
+    messageTypes: ['text', 'interactive', 'location', 'audio'],
+    handle: async (ctx) => {
+        const { messageBody, interactiveData, locationData, audioData } = getMessageParts(ctx.message);
+        // LobangLah keeps its own session in LobangLahUsers and replies to errors itself
+        await handleLobangLahMessage(ctx.storeId, ctx.from, messageBody, ctx.messageType, ctx.botConfig, interactiveData, locationData, audioData);
+        return { handled: true };
+    }
+});
+
+registerBotMode(BOT_MODES.DAILY_DEAL, {
+    messageTypes: ['text', 'interactive', 'location', 'image', 'audio'],
+    handle: async (ctx) => {
+        if (ctx.messageType === 'audio' && !await transcribeVoiceNoteMessage(ctx)) {
+            return { handled: true };
+        }
+        const { messageBody, interactiveData, locationData } = getMessageParts(ctx.message);
+        const response = await handleDailyDealMessage(ctx.storeId, ctx.from, ctx.messageType, messageBody, interactiveData, locationData, ctx.botConfig, ctx.session);
+        console.log(`[DailyDeal] ${ctx.messageType} message processed for ${ctx.from} (success: ${response.success})`);
+
+        // handleDailyDealMessage sends its own replies; only the session needs saving
+        const updatedSession = response.session || ctx.session;
+        updatedSession.lastInteraction = 'daily_deal_agency';
+        updatedSession.timestamp = Date.now();
+        await ctx.saveSession(updatedSession);
+
+        // Daily deal stores never fall through to other handlers
+        return { handled: true };
+    }
+});
+
+registerBotMode(BOT_MODES.SOCIAL_AGENCY, {
+    messageTypes: ['text', 'interactive', 'location', 'image', 'audio'],
+    middleware: ['owner_dashboard'],
+    handle: async (ctx) => {
+        if (ctx.messageType === 'audio' && !await transcribeVoiceNoteMessage(ctx)) {
+            return { handled: true };
+        }
+        const { messageBody, interactiveData, locationData } = getMessageParts(ctx.message);
+        const response = await handleSocialAgencyMessage(ctx.storeId, ctx.from, ctx.messageType, messageBody, interactiveData, locationData, ctx.botConfig, ctx.session);
+        if (!response.success) {
+            return { handled: false };
+        }
+
+        console.log(`[SocialAgency] ${ctx.messageType} message handled successfully for ${ctx.from}`);
+        ctx.session.lastInteraction = 'social_agency';
+        ctx.session.timestamp = Date.now();
+        await ctx.saveSession(ctx.session);
+        return { handled: true };
+    }
+});
+
+// --- Built-in middleware ---
+
+/**
+ * Greet the store owner with the management dashboard instead of the customer flow.
+ * Only text messages are intercepted so the owner's button clicks still reach the handler.
+ */
+registerBotMiddleware('owner_dashboard', async (ctx) => {
+    const isFromOwner = ctx.ownerNumber && ctx.from === ctx.ownerNumber;
+    if (!isFromOwner) {
+        return { handled: false };
+    }
+
+    if (ctx.messageType !== 'text') {
+        console.log(`[storeId: ${ctx.storeId}] Owner ${ctx.from} sent ${ctx.messageType} message. Processing normally.`);
+        return { handled: false };
+    }
+
+    console.log(`[storeId: ${ctx.storeId}] Message received from owner number: ${ctx.from}. Sending owner dashboard.`);
+    const ownerInteractiveMessage = {
+        type: 'interactive',
+        interactive: {
+            type: 'button',
+            header: {
+                type: 'text',
+                text: 'Store Owner Dashboard'
+            },
+            body: {
+                text: `Hello Store Owner! How can I help you today with store management? Current time: ${new Date().toLocaleString()}`
+            },
+            footer: {
+                text: 'Select an option below'
+            },
+            action: {
+                buttons: [
+                    {
+                        type: 'reply',
+                        reply: {
+                            id: 'view_orders',
+                            title: '📋 View Orders'
+                        }
+                    },
+                    {
+                        type: 'reply',
+                        reply: {
+                            id: 'view_customers',
+                            title: '👥 View Customers'
+                        }
+                    },
+                    {
+                        type: 'reply',
+                        reply: {
+                            id: 'view_stats',
+                            title: '📊 View Stats'
+                        }
+                    }
+                ]
+            }
+        }
+    };
+
+    await sendWhatsAppMessage(ctx.storeId, ctx.from, ownerInteractiveMessage, ctx.botConfig);
+    return { handled: true };
+});
@@ -1,17 +1,30 @@
 // Daily Alerts Handler for Cron Job
-import { getAlertsToSend, updateAlertAfterSend } from '../utils/alertUtils.js';
+import { getAlertsToSend, claimAlertSend, recordAlertDelivery, migrateLegacyAlerts } from '../utils/alertUtils.js';
 import { getBotConfig } from '../utils/dynamoDbUtils.js';
 // Remove the import since searchAndSendDeals is not exported
 import { createTopDealsMessage } from '../utils/dealNavigationUtils.js';
-import { sendWhatsAppMessage } from '../utils/whatsappUtils.js';
 import { sendDailyRemindersToOwners } from './dailyDealHandler.js';
+import { installLogRedaction } from '../utils/logRedaction.js';
+import { resolveEnvironmentSecrets } from '../services/secretsProvider.js';
+import { t, getCategoryName, normalizeLanguage } from '../utils/i18n.js';
+import { localizeDeals } from '../utils/dealLocalization.js';
+import { getUsersWithSavedDeals, updateSavedDeals, pruneExpiredSavedDeals, getSavedDealsEndingSoon, createSavedDealsEndingMessage, createSavedDealsEndingSummary } from '../utils/savedDealsUtils.js';
+import { sendProactiveMessage, DELIVERY_PATHS } from '../utils/messagingWindow.js';
+
+// Keep tokens and API keys out of CloudWatch
+installLogRedaction();
+
+// A slot missed by more than this (outage, throttling) is skipped rather than sent late
+const MAX_ALERT_LATENESS_MS = 60 * 60 * 1000;
 
 /**
- * Handler for daily deal alerts cron job
+ * Handler for the daily cron job: owner reminders and saved deals ending soon.
+ * User deal alerts are sent by handleDueAlerts.
  */
 export async function handleDailyAlerts(event, context) {
     try {
         console.log('[DailyAlerts] Starting daily alerts processing...');
+        await resolveEnvironmentSecrets();
         
         // First, send daily reminders to restaurant owners
         console.log('[DailyAlerts] Starting daily reminders for restaurant owners...');
@@ -26,100 +39,92 @@ export async function handleDailyAlerts(event, context) {
         const reminderResult = await sendDailyRemindersToOwners(defaultBotConfig);
         console.log('[DailyAlerts] Daily reminders result:', reminderResult);
         
-        // Get all alerts ready to be sent (within 24-hour window)
-        const alertsToSend = await getAlertsToSend();
+        // Alerts stored before schedules existed are invisible to the alert scheduler until migrated
+        const migratedAlerts = await migrateLegacyAlerts().catch(error => {
+            console.error('[DailyAlerts] Error migrating legacy alerts:', error);
+            return 0;
+        });
+        
+        // Let users know when deals they saved are about to end
+        const savedDealsResult = await sendSavedDealEndingNotifications();
+        console.log('[DailyAlerts] Saved deal notifications result:', savedDealsResult);
+        
+        console.log('[DailyAlerts] Daily processing completed');
+        
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Daily reminders processed successfully',
+                reminders: reminderResult,
+                migratedAlerts,
+                savedDeals: savedDealsResult
+            })
+        };
+        
+    } catch (error) {
+        console.error('[DailyAlerts] Error in daily alerts handler:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                error: 'Internal server error',
+                message: error.message
+            })
+        };
+    }
+}
+
+/**
+ * Handler for the alert scheduler, run every few minutes: sends each alert whose next send time has passed
+ */
+export async function handleDueAlerts(event, context) {
+    try {
+        await resolveEnvironmentSecrets();
+        const now = Date.now();
+        
+        const alertsToSend = await getAlertsToSend(now);
         
         if (alertsToSend.length === 0) {
-            console.log('[DailyAlerts] No alerts ready to send');
+            console.log('[DailyAlerts] No alerts due');
             return {
                 statusCode: 200,
-                body: JSON.stringify({ 
-                    message: 'Daily reminders and alerts processed',
-                    reminders: reminderResult,
-                    alerts: 'No alerts ready to send'
-                })
+                body: JSON.stringify({ message: 'No alerts due' })
             };
         }
         
         console.log(`[DailyAlerts] Processing ${alertsToSend.length} alerts`);
         
         let successCount = 0;
+        let skippedCount = 0;
         let errorCount = 0;
+        // Messages per delivery path (free_form, template, skipped, failed)
+        const deliveryPaths = {};
         
         // Process each alert
         for (const alert of alertsToSend) {
             try {
                 console.log(`[DailyAlerts] Processing alert: ${alert.alertId} for user: ${alert.phoneNumber}`);
                 
-                // Get bot config for the store
-                const botConfig = await getBotConfig(alert.storeId);
-                if (!botConfig) {
-                    console.error(`[DailyAlerts] No bot config found for store: ${alert.storeId}`);
-                    errorCount++;
+                if (now - alert.nextSendTime > MAX_ALERT_LATENESS_MS) {
+                    console.log(`[DailyAlerts] Alert ${alert.alertId} was due at ${new Date(alert.nextSendTime).toISOString()}, skipping to its next slot`);
+                    await claimAlertSend(alert, now);
+                    skippedCount++;
                     continue;
                 }
                 
-                // Create user state for deal search
-                const userState = {
-                    location: alert.location,
-                    category: alert.category,
-                    step: 'alert_triggered'
-                };
-                
-                // Search for deals using the searchDealsForAlert function
-                const deals = await searchDealsForAlert(userState, botConfig);
+                // Move the alert to its next slot first, so an overlapping run doesn't send it again
+                if (!await claimAlertSend(alert, now)) {
+                    skippedCount++;
+                    continue;
+                }
                 
-                if (deals && deals.length > 0) {
-                    // Create top 5 deals message
-                    const topDealsMessage = createTopDealsMessage(deals, alert.category, alert.location);
-                    
-                    // Add alert-specific navigation options
-                    const alertNavigationMessage = createAlertNavigationMessage(alert);
-                    
-                    // Send the messages
-                    await sendWhatsAppMessage(
-                        alert.storeId,
-                        alert.phoneNumber,
-                        topDealsMessage,
-                        botConfig
-                    );
-                    
-                    // Small delay between messages
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    
-                    await sendWhatsAppMessage(
-                        alert.storeId,
-                        alert.phoneNumber,
-                        alertNavigationMessage,
-                        botConfig
-                    );
-                    
-                    // Update alert after successful send
-                    await updateAlertAfterSend(alert.alertId, alert.messageCount);
-                    
-                    console.log(`[DailyAlerts] Successfully sent alert: ${alert.alertId}`);
-                    successCount++;
-                    
+                const path = await sendAlert(alert, now);
+                deliveryPaths[path] = (deliveryPaths[path] || 0) + 1;
+                await recordAlertDelivery(alert, path, now);
+                if (path === DELIVERY_PATHS.FAILED) {
+                    errorCount++;
+                } else if (path === DELIVERY_PATHS.SKIPPED) {
+                    skippedCount++;
                 } else {
-                    // Send "no deals found" message
-                    const noDealsMessage = {
-                        type: "text",
-                        text: {
-                            body: `🔍 *Daily Alert - No Deals Found*\n\nSorry lah! No ${alert.category} deals found near ${alert.location.displayName} today.\n\n💡 Try:\n• Different location\n• Other category\n• Check back tomorrow\n\n🔔 Your daily alert is still active!`
-                        }
-                    };
-                    
-                    await sendWhatsAppMessage(
-                        alert.storeId,
-                        alert.phoneNumber,
-                        noDealsMessage,
-                        botConfig
-                    );
-                    
-                    // Update alert after successful send (even for no deals)
-                    await updateAlertAfterSend(alert.alertId, alert.messageCount);
-                    
-                    console.log(`[DailyAlerts] Sent no deals message for alert: ${alert.alertId}`);
                     successCount++;
                 }
                 
@@ -129,23 +134,24 @@ export async function handleDailyAlerts(event, context) {
             }
         }
         
-        console.log(`[DailyAlerts] Daily processing completed. Alerts - Success: ${successCount}, Errors: ${errorCount}`);
+        console.log(`[DailyAlerts] Alerts - Success: ${successCount}, Skipped: ${skippedCount}, Errors: ${errorCount}, Delivery:`, deliveryPaths);
         
         return {
             statusCode: 200,
             body: JSON.stringify({
-                message: 'Daily reminders and alerts processed successfully',
-                reminders: reminderResult,
+                message: 'Alerts processed successfully',
                 alerts: {
                     total: alertsToSend.length,
                     success: successCount,
-                    errors: errorCount
+                    skipped: skippedCount,
+                    errors: errorCount,
+                    deliveryPaths
                 }
             })
         };
         
     } catch (error) {
-        console.error('[DailyAlerts] Error in daily alerts handler:', error);
+        console.error('[DailyAlerts] Error in alert scheduler:', error);
         return {
             statusCode: 500,
             body: JSON.stringify({
@@ -156,6 +162,153 @@ export async function handleDailyAlerts(event, context) {
     }
 }
 
+/**
+ * Search and send the deals for one alert: the deal cards inside the user's 24-hour messaging window,
+ * the alert template with a deal summary outside it
+ * @returns {Promise<string>} - Delivery path (see DELIVERY_PATHS)
+ */
+async function sendAlert(alert, now = Date.now()) {
+    // Alerts created before language support have no language and stay in English
+    const lang = normalizeLanguage(alert.language);
+    
+    // Get bot config for the store
+    const botConfig = await getBotConfig(alert.storeId);
+    if (!botConfig) {
+        throw new Error(`No bot config found for store: ${alert.storeId}`);
+    }
+    
+    // Create user state for deal search
+    const userState = {
+        phoneNumber: alert.phoneNumber,
+        location: alert.location,
+        category: alert.category,
+        step: 'alert_triggered'
+    };
+    
+    // Search for deals using the searchDealsForAlert function
+    const deals = await searchDealsForAlert(userState, botConfig);
+    const category = getCategoryName(lang, alert.category);
+    
+    let messages;
+    let template = {};
+    if (deals && deals.length > 0) {
+        // Create top 5 deals message with alert-specific navigation options
+        const localizedDeals = await localizeDeals(deals, lang, botConfig);
+        messages = [
+            createTopDealsMessage(localizedDeals, alert.category, alert.location, lang),
+            createAlertNavigationMessage(alert, lang)
+        ];
+        template = {
+            name: botConfig.alertTemplateName || process.env.WHATSAPP_ALERT_TEMPLATE_NAME,
+            summary: createAlertDealSummary(localizedDeals, category, alert.location, lang),
+            lang
+        };
+    } else {
+        // "No deals found" is not worth a template outside the window
+        messages = [{
+            type: "text",
+            text: {
+                body: t(lang, 'dailyAlert.noDeals', { category, location: alert.location.displayName })
+            }
+        }];
+    }
+    
+    const { path } = await sendProactiveMessage({
+        storeId: alert.storeId,
+        phoneNumber: alert.phoneNumber,
+        messages,
+        botConfig,
+        category: 'daily_alert',
+        template,
+        now: new Date(now)
+    });
+    
+    console.log(`[DailyAlerts] Alert ${alert.alertId} with ${deals?.length || 0} deals: ${path}`);
+    return path;
+}
+
+/**
+ * One-line deal summary for the alert template: "3 Food deals near Bugis MRT: Ya Kun – 1-for-1 kaya toast; ..."
+ */
+function createAlertDealSummary(deals, category, location, lang = 'en') {
+    const dealLines = deals.slice(0, 5).map(deal =>
+        `${deal.businessName || deal.placeName || deal.title} – ${deal.offer || deal.discount || deal.title || deal.description}`);
+    return t(lang, 'dailyAlert.templateSummary', {
+        count: deals.length,
+        category,
+        location: location.displayName,
+        deals: dealLines.join('; ')
+    });
+}
+
+/**
+ * Prune expired saved deals and send one "ending soon" message per user for deals ending within a day.
+ * Outside the user's 24-hour messaging window it goes out as the saved deals template; without one
+ * configured the user is tried again on the next run.
+ */
+async function sendSavedDealEndingNotifications() {
+    const now = new Date();
+    const result = { users: 0, notified: 0, outsideWindow: 0, errors: 0, deliveryPaths: {} };
+    
+    const users = await getUsersWithSavedDeals();
+    result.users = users.length;
+    
+    for (const user of users) {
+        try {
+            const savedDeals = pruneExpiredSavedDeals(user.savedDeals, now);
+            const endingSoon = getSavedDealsEndingSoon(savedDeals, now);
+            let notified = false;
+            
+            if (endingSoon.length > 0) {
+                // Saved deals remember the store they were saved from
+                const storeId = endingSoon[0].storeId;
+                const botConfig = await getBotConfig(storeId);
+                if (!botConfig) {
+                    console.error(`[DailyAlerts] No bot config found for store: ${storeId}`);
+                    result.errors++;
+                    continue;
+                }
+                
+                const lang = normalizeLanguage(user.language);
+                const { path, withinWindow } = await sendProactiveMessage({
+                    storeId,
+                    phoneNumber: user.phone_number,
+                    messages: [createSavedDealsEndingMessage(endingSoon, lang)],
+                    botConfig,
+                    category: 'saved_deal_ending',
+                    template: {
+                        name: botConfig.savedDealTemplateName || process.env.WHATSAPP_SAVED_DEAL_TEMPLATE_NAME,
+                        summary: createSavedDealsEndingSummary(endingSoon, lang),
+                        lang
+                    },
+                    now
+                });
+                result.deliveryPaths[path] = (result.deliveryPaths[path] || 0) + 1;
+                if (!withinWindow) {
+                    result.outsideWindow++;
+                }
+                
+                if (path === DELIVERY_PATHS.FREE_FORM || path === DELIVERY_PATHS.TEMPLATE) {
+                    endingSoon.forEach(savedDeal => { savedDeal.endingSoonNotified = true; });
+                    notified = true;
+                    result.notified++;
+                } else if (path === DELIVERY_PATHS.FAILED) {
+                    result.errors++;
+                }
+            }
+            
+            if (notified || savedDeals.length !== user.savedDeals.length) {
+                await updateSavedDeals(user.phone_number, savedDeals, user.ttl);
+            }
+        } catch (error) {
+            console.error(`[DailyAlerts] Error notifying saved deals for ${user.phone_number}:`, error);
+            result.errors++;
+        }
+    }
+    
+    return result;
+}
+
 /**
  * Search for deals for a specific alert
  */
@@ -164,10 +317,17 @@ async function searchDealsForAlert(userState, botConfig) {
         console.log(`[DailyAlerts] Searching for ${userState.category} deals near ${userState.location.displayName}`);
         
         // Import deal search function
-        const { searchDealsWithOpenAI } = await import('../utils/dealsUtils.js');
+        const { searchDealSources } = await import('../services/dealSources.js');
+        const { getUserPreferenceProfile } = await import('../utils/userPreferenceProfile.js');
+        const { getUserProfile } = await import('../utils/dealsUtils.js');
         
-        // Search for deals
-        const deals = await searchDealsWithOpenAI(userState.location, userState.category, botConfig);
+        // Search for deals across the store's enabled deal sources, personalised for the subscriber
+        // and following their dietary preferences
+        const [profile, userProfile] = await Promise.all([
+            getUserPreferenceProfile(userState.phoneNumber),
+            getUserProfile(userState.phoneNumber)
+        ]);
+        const deals = await searchDealSources({ location: userState.location, category: userState.category, profile, dietary: userProfile.dietary }, botConfig);
         
         if (deals && deals.length > 0) {
             console.log(`[DailyAlerts] Found ${deals.length} deals for alert`);
@@ -195,20 +355,20 @@ async function searchDealsForAlert(userState, botConfig) {
 /**
  * Create alert-specific navigation message
  */
-function createAlertNavigationMessage(alert) {
+function createAlertNavigationMessage(alert, lang = 'en') {
     return {
         type: "interactive",
         interactive: {
             type: "button",
             header: {
                 type: "text",
-                text: "🔔 Daily Alert Options"
+                text: t(lang, 'dailyAlert.navHeader')
             },
             body: {
-                text: `Your daily ${alert.category} deals alert!\n\nWhat would you like to do?\n\n💡 *Quick Actions:*\n• Search for more deals\n• Change location\n• Manage your alerts`
+                text: t(lang, 'dailyAlert.navBody', { category: getCategoryName(lang, alert.category) })
             },
             footer: {
-                text: "Your daily deal hunter at work! 🕵️"
+                text: t(lang, 'dailyAlert.navFooter')
             },
             action: {
                 buttons: [
@@ -216,21 +376,21 @@ function createAlertNavigationMessage(alert) {
                         type: "reply",
                         reply: {
                             id: "search_more_deals",
-                            title: "✨ More"
+                            title: t(lang, 'button.more')
                         }
                     },
                     {
                         type: "reply",
                         reply: {
                             id: "change_location",
-                            title: "📍 New"
+                            title: t(lang, 'button.new')
                         }
                     },
                     {
                         type: "reply",
                         reply: {
                             id: "manage_alerts",
-                            title: "⚙️ Manage Alerts"
+                            title: t(lang, 'button.manageAlerts')
                         }
                     }
                 ]
@@ -2,6 +2,7 @@
 // NEW FLOW: hello > welcome > restaurant setup > location > daily deal > multi-platform content > daily reminders
 
 import { sendWhatsAppMessage } from '../utils/whatsappUtils.js';
+import { msg } from '../utils/messageBuilder.js';
 import { DynamoDBClient, GetItemCommand, PutItemCommand, UpdateItemCommand, ScanCommand } from '@aws-sdk/client-dynamodb';
 import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
 import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
@@ -137,70 +138,22 @@ Make it warm, professional, and motivating. Use emojis appropriately.`;
         const aiMessage = response.choices[0]?.message?.content?.trim() || 
             `🎉 Great deal, ${restaurantName}! We're working on making it viral! 🚀`;
 
-        return {
-            type: "interactive",
-            interactive: {
-                type: "button",
-                header: {
-                    type: "text",
-                    text: "🎯 Deal Received!"
-                },
-                body: {
-                    text: aiMessage
-                },
-                footer: {
-                    text: "We're processing your deal..."
-                },
-                action: {
-                    buttons: [
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "check_status",
-                                title: "📊 Check Status"
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "submit_another",
-                                title: "➕ Submit Another"
-                            }
-                        }
-                    ]
-                }
-            }
-        };
+        return msg.buttons(aiMessage)
+            .builtBy("createDealReceivedMessage")
+            .header("🎯 Deal Received!")
+            .footer("We're processing your deal...")
+            .button("check_status", "📊 Check Status")
+            .button("submit_another", "➕ Submit Another")
+            .build();
     } catch (error) {
         console.error('[DailyDeal] Error creating AI deal message:', error);
         // Fallback message
-        return {
-            type: "interactive",
-            interactive: {
-                type: "button",
-                header: {
-                    type: "text",
-                    text: "🎯 Deal Received!"
-                },
-                body: {
-                    text: `🎉 Great deal, ${restaurantName}! We're working on making it viral! 🚀\n\nOur AI is creating content for all platforms. This usually takes 2-3 minutes.`
-                },
-                footer: {
-                    text: "We're processing your deal..."
-                },
-                action: {
-                    buttons: [
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "check_status",
-                                title: "📊 Check Status"
-                            }
-                        }
-                    ]
-                }
-            }
-        };
+        return msg.buttons(`🎉 Great deal, ${restaurantName}! We're working on making it viral! 🚀\n\nOur AI is creating content for all platforms. This usually takes 2-3 minutes.`)
+            .builtBy("createDealReceivedMessage")
+            .header("🎯 Deal Received!")
+            .footer("We're processing your deal...")
+            .button("check_status", "📊 Check Status")
+            .build();
     }
 }
 
@@ -377,23 +330,13 @@ async function handleDailyDealInteractive(interactiveState, interactiveData, fro
             } else {
                 // Enhanced: Add step for collecting restaurant images
                 interactiveState.step = 'collect_restaurant_images';
-                return {
-                    type: 'interactive',
-                    interactive: {
-                        type: 'button',
-                        header: { type: 'text', text: '📸 Restaurant Images' },
-                        body: { 
-                            text: `🏪 **${interactiveState.restaurantProfile.name}**\n\nNow let's collect some images of your restaurant to make your deals more engaging!\n\n📱 **Send us photos of:**\n• Restaurant exterior/signage\n• Interior atmosphere\n• Popular dishes\n• Staff/chef in action\n• Any other relevant images\n\nYou can send up to 4 photos. Type "done" when finished.\n\n${existingPhotoCount > 0 ? `You already have ${existingPhotoCount} photo(s).` : ''}` 
-                        },
-                        footer: { text: 'Send images or click done' },
-                        action: { 
-                            buttons: [
-                                { type: 'reply', reply: { id: 'skip_images', title: '⏭️ Skip Images' } },
-                                { type: 'reply', reply: { id: 'done_images', title: '✅ Done with Images' } }
-                            ] 
-                        }
-                    }
-                };
+                return msg.buttons(`🏪 **${interactiveState.restaurantProfile.name}**\n\nNow let's collect some images of your restaurant to make your deals more engaging!\n\n📱 **Send us photos of:**\n• Restaurant exterior/signage\n• Interior atmosphere\n• Popular dishes\n• Staff/chef in action\n• Any other relevant images\n\nYou can send up to 4 photos. Type "done" when finished.\n\n${existingPhotoCount > 0 ? `You already have ${existingPhotoCount} photo(s).` : ''}`)
+                    .builtBy('handleDailyDealInteractive')
+                    .header('📸 Restaurant Images')
+                    .footer('Send images or click done')
+                    .button('skip_images', '⏭️ Skip Images')
+                    .button('done_images', '✅ Done with Images')
+                    .build();
             }
         
         case 'edit_restaurant':
@@ -435,24 +378,10 @@ async function handleDailyDealInteractive(interactiveState, interactiveData, fro
             
         case 'watch_video':
             if (interactiveState.viralVideo && interactiveState.viralVideo.videoUrl) {
-                return {
-                    type: 'interactive',
-                    interactive: {
-                        type: 'button',
-                        body: {
-                            text: '🎬 Your viral video is ready!'
-                        },
-                        action: {
-                            buttons: [{
-                                type: 'reply',
-                                reply: {
-                                    id: 'watch_video',
-                                    title: 'Watch Video'
-                                }
-                            }]
-                        }
-                    }
-                };
+                return msg.buttons('🎬 Your viral video is ready!')
+                    .builtBy('handleDailyDealInteractive')
+                    .button('watch_video', 'Watch Video')
+                    .build();
             }
             break;
             
@@ -486,24 +415,14 @@ async function handleDailyDealInteractive(interactiveState, interactiveData, fro
                 // Check if content generation is complete
                 if (interactiveState.contentPackage) {
                     interactiveState.step = 'content_generated';
-                    return {
-                        type: 'interactive',
-                        interactive: {
-                            type: 'button',
-                            header: { type: 'text', text: '🎬 Viral Content Ready!' },
-                            body: { 
-                                text: `🎉 **Your Viral Content is Ready!** 🎉\n\n📝 **Deal:** ${interactiveState.todaysDeal?.description}\n🏪 **Restaurant:** ${interactiveState.restaurantProfile?.name}\n\n🎬 **Generated Content:**\n• Viral video with AI poster\n• Multi-platform social media posts\n• Engaging captions and hashtags\n• WhatsApp broadcast message\n\nWould you like to preview and approve the content?` 
-                            },
-                            footer: { text: 'Review your viral content' },
-                            action: { 
-                                buttons: [
-                                    { type: 'reply', reply: { id: 'preview_content', title: '👀 Preview Content' } },
-                                    { type: 'reply', reply: { id: 'approve_content', title: '✅ Approve & Post' } },
-                                    { type: 'reply', reply: { id: 'regenerate_content', title: '🔄 Regenerate' } }
-                                ] 
-                            }
-                        }
-                    };
+                    return msg.buttons(`🎉 **Your Viral Content is Ready!** 🎉\n\n📝 **Deal:** ${interactiveState.todaysDeal?.description}\n🏪 **Restaurant:** ${interactiveState.restaurantProfile?.name}\n\n🎬 **Generated Content:**\n• Viral video with AI poster\n• Multi-platform social media posts\n• Engaging captions and hashtags\n• WhatsApp broadcast message\n\nWould you like to preview and approve the content?`)
+                        .builtBy('handleDailyDealInteractive')
+                        .header('🎬 Viral Content Ready!')
+                        .footer('Review your viral content')
+                        .button('preview_content', '👀 Preview Content')
+                        .button('approve_content', '✅ Approve & Post')
+                        .button('regenerate_content', '🔄 Regenerate')
+                        .build();
                 } else {
                     // Content still generating
                     return {
@@ -578,41 +497,21 @@ async function handleDailyDealInteractive(interactiveState, interactiveData, fro
             
         case 'show_deal_examples':
             // Show deal examples to help user
-            return {
-                type: 'interactive',
-                interactive: {
-                    type: 'button',
-                    header: { type: 'text', text: '💡 Deal Examples & Tips' },
-                    body: { 
-                        text: `🔥 **VIRAL DEAL EXAMPLES** 🔥\n\n🍜 **Food Deals:**\n• "Today's Special: Signature Laksa - Usually $12, now only $8! Made with our secret 20-ingredient spice paste. Only 30 bowls available until 3pm!"\n\n🍕 **Pizza Deals:**\n• "Buy 1 Get 1 FREE on all pizzas! Valid today only. Our wood-fired oven creates the perfect crispy crust. Limited to first 50 orders!"\n\n🍰 **Dessert Deals:**\n• "Weekend Special: Red Velvet Cake - Usually $25, now only $18! Handcrafted with premium ingredients. Only 20 pieces available!"\n\n💡 **Viral Tips:**\n• Add urgency: "Today only!", "Limited time!"\n• Mention quantity: "Only 50 portions!"\n• Tell a story: "Our chef's secret recipe"\n• Include timing: "Until 6pm!", "Lunch special"\n\n**Now type your deal details:**` 
-                    },
-                    footer: { text: 'Use these examples as inspiration' },
-                    action: { 
-                        buttons: [
-                            { type: "reply", reply: { id: "back_to_deal", title: "📝 Back to Deal" } }
-                        ] 
-                    }
-                }
-            };
+            return msg.buttons(`🔥 **VIRAL DEAL EXAMPLES** 🔥\n\n🍜 **Food Deals:**\n• "Today's Special: Signature Laksa - Usually $12, now only $8! Made with our secret 20-ingredient spice paste. Only 30 bowls available until 3pm!"\n\n🍕 **Pizza Deals:**\n• "Buy 1 Get 1 FREE on all pizzas! Valid today only. Our wood-fired oven creates the perfect crispy crust. Limited to first 50 orders!"\n\n🍰 **Dessert Deals:**\n• "Weekend Special: Red Velvet Cake - Usually $25, now only $18! Handcrafted with premium ingredients. Only 20 pieces available!"\n\n💡 **Viral Tips:**\n• Add urgency: "Today only!", "Limited time!"\n• Mention quantity: "Only 50 portions!"\n• Tell a story: "Our chef's secret recipe"\n• Include timing: "Until 6pm!", "Lunch special"\n\n**Now type your deal details:**`)
+                .builtBy('handleDailyDealInteractive')
+                .header('💡 Deal Examples & Tips')
+                .footer('Use these examples as inspiration')
+                .button("back_to_deal", "📝 Back to Deal")
+                .build();
             
         case 'help_with_deal':
             // Help user create a deal
-            return {
-                type: 'interactive',
-                interactive: {
-                    type: 'button',
-                    header: { type: 'text', text: '❓ Deal Creation Help' },
-                    body: { 
-                        text: `🤔 **Need help creating your deal?**\n\n📋 **Step-by-Step Guide:**\n\n1️⃣ **Start with the dish name:**\n   "Signature Laksa"\n\n2️⃣ **Add the special offer:**\n   "Usually $12, now only $8!"\n\n3️⃣ **Include timing:**\n   "Today only until 3pm!"\n\n4️⃣ **Add urgency:**\n   "Only 30 bowls available!"\n\n5️⃣ **Tell a story:**\n   "Made with our secret 20-ingredient spice paste"\n\n**Complete Example:**\n"Today's Special: Signature Laksa - Usually $12, now only $8! Made with our secret 20-ingredient spice paste. Only 30 bowls available until 3pm!"\n\n**Ready to try? Type your deal below:**` 
-                    },
-                    footer: { text: 'Follow the guide to create your viral deal' },
-                    action: { 
-                        buttons: [
-                            { type: "reply", reply: { id: "back_to_deal", title: "📝 Back to Deal" } }
-                        ] 
-                    }
-                }
-            };
+            return msg.buttons(`🤔 **Need help creating your deal?**\n\n📋 **Step-by-Step Guide:**\n\n1️⃣ **Start with the dish name:**\n   "Signature Laksa"\n\n2️⃣ **Add the special offer:**\n   "Usually $12, now only $8!"\n\n3️⃣ **Include timing:**\n   "Today only until 3pm!"\n\n4️⃣ **Add urgency:**\n   "Only 30 bowls available!"\n\n5️⃣ **Tell a story:**\n   "Made with our secret 20-ingredient spice paste"\n\n**Complete Example:**\n"Today's Special: Signature Laksa - Usually $12, now only $8! Made with our secret 20-ingredient spice paste. Only 30 bowls available until 3pm!"\n\n**Ready to try? Type your deal below:**`)
+                .builtBy('handleDailyDealInteractive')
+                .header('❓ Deal Creation Help')
+                .footer('Follow the guide to create your viral deal')
+                .button("back_to_deal", "📝 Back to Deal")
+                .build();
             
         case 'back_to_deal':
             // Go back to deal creation
@@ -739,23 +638,13 @@ async function handleDailyDealText(textState, messageBody, fromNumber, botConfig
             textState.step = 'generate_content';
             
             // Send viral video confirmation message
-            const viralVideoConfirmation = {
-                type: 'interactive',
-                interactive: {
-                    type: 'button',
-                    header: { type: 'text', text: '🎬 Viral Video Creation Started!' },
-                    body: { 
-                        text: `🔥 **DEAL RECEIVED & PROCESSING!** 🔥\n\n📝 **Your Deal:** ${textState.todaysDeal.description}\n🏪 **Restaurant:** ${textState.restaurantProfile?.name || 'Your Restaurant'}\n\n🚀 **What Happens Next:**\n1. ✅ AI analyzing your deal details\n2. 🎨 Creating viral social media content\n3. 🎬 Generating engaging video content\n4. 📱 Preparing multi-platform posts\n\n⏱️ **Estimated Time:** 2-3 minutes\n\nWe'll send you the viral video for confirmation before posting!` 
-                    },
-                    footer: { text: 'Creating your viral content now...' },
-                    action: { 
-                        buttons: [
-                            { type: 'reply', reply: { id: 'check_status', title: '📊 Check Status' } },
-                            { type: 'reply', reply: { id: 'cancel_generation', title: '❌ Cancel' } }
-                        ] 
-                    }
-                }
-            };
+            const viralVideoConfirmation = msg.buttons(`🔥 **DEAL RECEIVED & PROCESSING!** 🔥\n\n📝 **Your Deal:** ${textState.todaysDeal.description}\n🏪 **Restaurant:** ${textState.restaurantProfile?.name || 'Your Restaurant'}\n\n🚀 **What Happens Next:**\n1. ✅ AI analyzing your deal details\n2. 🎨 Creating viral social media content\n3. 🎬 Generating engaging video content\n4. 📱 Preparing multi-platform posts\n\n⏱️ **Estimated Time:** 2-3 minutes\n\nWe'll send you the viral video for confirmation before posting!`)
+                .builtBy('handleDailyDealText')
+                .header('🎬 Viral Video Creation Started!')
+                .footer('Creating your viral content now...')
+                .button('check_status', '📊 Check Status')
+                .button('cancel_generation', '❌ Cancel')
+                .build();
             
             // Start content generation in background
             generateMultiPlatformContent(textState, botConfig).then(result => {
@@ -866,23 +755,13 @@ Respond in JSON format:
         // Create confirmation message with updated details
         const confirmationMessage = createRestaurantConfirmationMessage(updateState.restaurantProfile);
         
-        return {
-            type: 'interactive',
-            interactive: {
-                type: 'button',
-                header: { type: 'text', text: '✅ Updated Restaurant Details' },
-                body: { 
-                    text: `${parsedResponse.message}\n\n${confirmationMessage.body.text}` 
-                },
-                footer: { text: 'Confirm the updated details' },
-                action: { 
-                    buttons: [
-                        { type: 'reply', reply: { id: 'confirm_restaurant', title: '✅ Confirm Updated' } },
-                        { type: 'reply', reply: { id: 'cancel_restaurant', title: '❌ Cancel' } }
-                    ] 
-                }
-            }
-        };
+        return msg.buttons(`${parsedResponse.message}\n\n${confirmationMessage.interactive.body.text}`)
+            .builtBy('processRestaurantUpdate')
+            .header('✅ Updated Restaurant Details')
+            .footer('Confirm the updated details')
+            .button('confirm_restaurant', '✅ Confirm Updated')
+            .button('cancel_restaurant', '❌ Cancel')
+            .build();
 
     } catch (error) {
         console.error(`[DailyDeal] Error processing restaurant update: ${error.message}`);
@@ -957,22 +836,12 @@ async function handleDailyDealImage(imageState, imageData, fromNumber, botConfig
                     console.log(`[DailyDeal] Gemini validation result:`, imageValidation);
                     
                     if (!imageValidation.isValid) {
-                        return {
-                            type: 'interactive',
-                            interactive: {
-                                type: 'button',
-                                header: { type: 'text', text: '❌ Image Not Suitable' },
-                                body: { 
-                                    text: `❌ **This image doesn't appear to be restaurant-related**\n\n🔍 **What I see:** ${imageValidation.whatISee}\n\n❌ **Reason:** ${imageValidation.reason}\n\n📸 **Please send:**\n• Restaurant exterior/signage\n• Interior atmosphere\n• Popular dishes\n• Staff/chef in action\n• Food preparation areas\n\n❌ **Avoid:**\n• Personal photos\n• Random objects\n• Non-restaurant content` 
-                                },
-                                footer: { text: 'Send a restaurant-related image' },
-                                action: { 
-                                    buttons: [
-                                        { type: 'reply', reply: { id: 'try_again', title: '📸 Send Different Image' } }
-                                    ] 
-                                }
-                            }
-                        };
+                        return msg.buttons(`❌ **This image doesn't appear to be restaurant-related**\n\n🔍 **What I see:** ${imageValidation.whatISee}\n\n❌ **Reason:** ${imageValidation.reason}\n\n📸 **Please send:**\n• Restaurant exterior/signage\n• Interior atmosphere\n• Popular dishes\n• Staff/chef in action\n• Food preparation areas\n\n❌ **Avoid:**\n• Personal photos\n• Random objects\n• Non-restaurant content`)
+                            .builtBy('handleDailyDealImage')
+                            .header('❌ Image Not Suitable')
+                            .footer('Send a restaurant-related image')
+                            .button('try_again', '📸 Send Different Image')
+                            .build();
                     }
                 }
             } catch (validationError) {
@@ -1082,16 +951,7 @@ function createErrorMessage(errorText) {
 }
 
 function createDailyDealWelcome() {
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: {
-                type: "text",
-                text: "🚀 DAILY DEAL VIRAL AGENCY"
-            },
-            body: {
-                text: `🌟 **Welcome to Singapore's #1 Daily Deal Marketing Agency!** 🇸🇬
+    return msg.buttons(`🌟 **Welcome to Singapore's #1 Daily Deal Marketing Agency!** 🇸🇬
 
 🎯 **What We Do Daily:**
 ✅ Turn your daily specials into viral social media content
@@ -1108,31 +968,13 @@ function createDailyDealWelcome() {
 🚀 Viral reach: 10K-50K per post
 💵 Commission-based: Pay only for results!
 
-🎉 **Ready to make your daily specials go VIRAL across Singapore?**`
-            },
-            footer: {
-                text: "Start your viral journey today! 🚀"
-            },
-            action: {
-                buttons: [
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "start_restaurant_setup",
-                            title: "🏪 Setup Restaurant"
-                        }
-                    },
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "submit_todays_deal",
-                            title: "📢 Submit Deal"
-                        }
-                    }
-                ]
-            }
-        }
-    };
+🎉 **Ready to make your daily specials go VIRAL across Singapore?**`)
+        .builtBy("createDailyDealWelcome")
+        .header("🚀 DAILY DEAL VIRAL AGENCY")
+        .footer("Start your viral journey today! 🚀")
+        .button("start_restaurant_setup", "🏪 Setup Restaurant")
+        .button("submit_todays_deal", "📢 Submit Deal")
+        .build();
 }
 
 /**
@@ -1257,47 +1099,14 @@ ${hours}
 
 📊 **Google Maps Data:** ✅ VERIFIED`;
 
-        return {
-            type: "interactive",
-            interactive: {
-                type: "button",
-                header: {
-                    type: "text",
-                    text: "🔍 RESTAURANT FOUND!"
-                },
-                body: {
-                    text: `**${restaurantName}** 🏪\n\n${restaurantDetails}\n\n**Is this your restaurant?**\n\n(We will fetch official social handles next)`
-                },
-                footer: {
-                    text: "Confirm or provide more details"
-                },
-                action: {
-                    buttons: [
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "confirm_restaurant",
-                                title: "✅ Confirm Restaurant"
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "search_again",
-                                title: "🔍 Search Again"
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "manual_location",
-                                title: "📍 Share My Location"
-                            }
-                        }
-                    ]
-                }
-            }
-        };
+        return msg.buttons(`**${restaurantName}** 🏪\n\n${restaurantDetails}\n\n**Is this your restaurant?**\n\n(We will fetch official social handles next)`)
+            .builtBy("searchRestaurantLocation")
+            .header("🔍 RESTAURANT FOUND!")
+            .footer("Confirm or provide more details")
+            .button("confirm_restaurant", "✅ Confirm Restaurant")
+            .button("search_again", "🔍 Search Again")
+            .button("manual_location", "📍 Share My Location")
+            .build();
     } catch (error) {
         console.error('[DailyDeal] Error searching restaurant:', error);
         return {
@@ -1311,96 +1120,38 @@ ${hours}
  * Create social media details collection message
  */
 function createSocialMediaMessage() {
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: {
-                type: "text",
-                text: "📱 SOCIAL MEDIA SETUP"
-            },
-            body: {
-                text: "**STEP 2: Social Media Details** 📱\n\n**Please provide your social media accounts:**\n\n📝 **Format (one per line):**\n• Facebook: @your-page-name\n• Instagram: @your-handle\n• TikTok: @your-handle\n• Website: your-website.com\n• Google My Business: Yes/No\n\n📈 **Why We Need This:**\n✅ Tag your accounts in viral posts\n✅ Drive followers to your pages\n✅ Cross-platform promotion\n✅ Track engagement properly\n\n**Type your social media details, or skip for now:**"
-            },
-            footer: {
-                text: "We'll maximize your online presence"
-            },
-            action: {
-                buttons: [
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "skip_social_media",
-                            title: "⏭️ Skip For Now"
-                        }
-                    }
-                ]
-            }
-        }
-    };
+    return msg.buttons("**STEP 2: Social Media Details** 📱\n\n**Please provide your social media accounts:**\n\n📝 **Format (one per line):**\n• Facebook: @your-page-name\n• Instagram: @your-handle\n• TikTok: @your-handle\n• Website: your-website.com\n• Google My Business: Yes/No\n\n📈 **Why We Need This:**\n✅ Tag your accounts in viral posts\n✅ Drive followers to your pages\n✅ Cross-platform promotion\n✅ Track engagement properly\n\n**Type your social media details, or skip for now:**")
+        .builtBy("createSocialMediaMessage")
+        .header("📱 SOCIAL MEDIA SETUP")
+        .footer("We'll maximize your online presence")
+        .button("skip_social_media", "⏭️ Skip For Now")
+        .build();
 }
 
 /**
  * Create setup complete message
  */
 function createSetupCompleteMessage() {
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: {
-                type: "text",
-                text: "🎉 SETUP COMPLETE!"
-            },
-            body: {
-                text: "**Your restaurant is now registered!** ✅\n\n🔥 **You're ready to start posting viral daily deals!**\n\n📅 **Daily Workflow:**\n1️⃣ Submit your daily special (text/photo)\n2️⃣ AI generates viral content for all platforms\n3️⃣ You approve the content\n4️⃣ We post across 8+ social media platforms\n5️⃣ Track performance & customer engagement\n\n⏰ **Daily Reminders:**\nWe'll remind you every morning to submit your daily special!\n\n**Ready to submit your first viral deal?**"
-            },
-            footer: {
-                text: "Let's make your food go viral!"
-            },
-            action: {
-                buttons: [
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "submit_todays_deal",
-                            title: "📢 Submit Deal"
-                        }
-                    },
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "enable_reminders",
-                            title: "🔔 Enable Daily Reminders"
-                        }
-                    }
-                ]
-            }
-        }
-    };
+    return msg.buttons("**Your restaurant is now registered!** ✅\n\n🔥 **You're ready to start posting viral daily deals!**\n\n📅 **Daily Workflow:**\n1️⃣ Submit your daily special (text/photo)\n2️⃣ AI generates viral content for all platforms\n3️⃣ You approve the content\n4️⃣ We post across 8+ social media platforms\n5️⃣ Track performance & customer engagement\n\n⏰ **Daily Reminders:**\nWe'll remind you every morning to submit your daily special!\n\n**Ready to submit your first viral deal?**")
+        .builtBy("createSetupCompleteMessage")
+        .header("🎉 SETUP COMPLETE!")
+        .footer("Let's make your food go viral!")
+        .button("submit_todays_deal", "📢 Submit Deal")
+        .button("enable_reminders", "🔔 Enable Daily Reminders")
+        .build();
 }
 
 /**
  * Create today's deal collection message
  */
 function createTodaysDealMessage() {
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: { type: "text", text: "📢 TODAY'S SPECIAL DEAL 🔥" },
-            body: { 
-                text: `🏪 **Ready to create your viral deal?**\n\n📝 **Please provide your daily special details:**\n\n🍜 **Include:**\n• Dish name & description\n• Original price → Special price\n• Valid timing (e.g., lunch only, all day)\n• Special offer details\n• Photo of the dish (optional)\n\n💡 **Pro Tips for Maximum Viral Impact:**\n• Mention limited quantity ("Only 50 portions!")\n• Add urgency ("Today only!", "Until 6pm!")\n• Highlight what makes it special\n• Include any story behind the dish\n\n**Example:**\n"Today's Special: Signature Laksa - Usually $12, now only $8! Made with our secret 20-ingredient spice paste. Only 30 bowls available until 3pm!"\n\n**Type your today's deal details below:**` 
-            },
-            footer: { text: "Create your viral deal now! 🚀" },
-            action: { 
-                buttons: [
-                    { type: "reply", reply: { id: "show_deal_examples", title: "💡 Show Examples" } },
-                    { type: "reply", reply: { id: "help_with_deal", title: "❓ Help with Deal" } }
-                ] 
-            }
-        }
-    };
+    return msg.buttons(`🏪 **Ready to create your viral deal?**\n\n📝 **Please provide your daily special details:**\n\n🍜 **Include:**\n• Dish name & description\n• Original price → Special price\n• Valid timing (e.g., lunch only, all day)\n• Special offer details\n• Photo of the dish (optional)\n\n💡 **Pro Tips for Maximum Viral Impact:**\n• Mention limited quantity ("Only 50 portions!")\n• Add urgency ("Today only!", "Until 6pm!")\n• Highlight what makes it special\n• Include any story behind the dish\n\n**Example:**\n"Today's Special: Signature Laksa - Usually $12, now only $8! Made with our secret 20-ingredient spice paste. Only 30 bowls available until 3pm!"\n\n**Type your today's deal details below:**`)
+        .builtBy("createTodaysDealMessage")
+        .header("📢 TODAY'S SPECIAL DEAL 🔥")
+        .footer("Create your viral deal now! 🚀")
+        .button("show_deal_examples", "💡 Show Examples")
+        .button("help_with_deal", "❓ Help with Deal")
+        .build();
 }
 
 /**
@@ -1508,24 +1259,14 @@ function createFinalDealMessage(dealData, restaurantData, contentPackage) {
         const restaurantPhone = restaurantData.phone || '';
         
         // Create engaging deal message
-        const dealMessage = {
-            type: 'interactive',
-            interactive: {
-                type: 'button',
-                header: { type: 'text', text: `🔥 ${dealTitle.toUpperCase()} 🔥` },
-                body: { 
-                    text: `🏪 **${restaurantName}**\n\n${dealDescription}\n\n💰 **${pricing}**\n⏰ **${validity}**\n\n📍 **Location:** ${restaurantAddress}\n📞 **Call:** ${restaurantPhone || 'Check our social media'}\n\n🎬 **Watch our viral video below!**\n\n🚀 **Share this deal with friends and family!**` 
-                },
-                footer: { text: 'Limited time offer - Act fast! ⚡' },
-                action: { 
-                    buttons: [
-                        { type: 'reply', reply: { id: 'call_restaurant', title: '📞 Call Now' } },
-                        { type: 'reply', reply: { id: 'share_deal', title: '📤 Share Deal' } },
-                        { type: 'reply', reply: { id: 'get_directions', title: '📍 Get Directions' } }
-                    ] 
-                }
-            }
-        };
+        const dealMessage = msg.buttons(`🏪 **${restaurantName}**\n\n${dealDescription}\n\n💰 **${pricing}**\n⏰ **${validity}**\n\n📍 **Location:** ${restaurantAddress}\n📞 **Call:** ${restaurantPhone || 'Check our social media'}\n\n🎬 **Watch our viral video below!**\n\n🚀 **Share this deal with friends and family!**`)
+            .builtBy('createFinalDealMessage')
+            .header(`🔥 ${dealTitle.toUpperCase()} 🔥`)
+            .footer('Limited time offer - Act fast! ⚡')
+            .button('call_restaurant', '📞 Call Now')
+            .button('share_deal', '📤 Share Deal')
+            .button('get_directions', '📍 Get Directions')
+            .build();
         
         // If we have a video URL, add it to the message
         if (contentPackage?.aiPoster?.videoUrl) {
@@ -2230,41 +1971,13 @@ function createRestaurantConfirmationMessage(profile) {
 
     const fullMessage = `${details}${hoursInfo}${serviceInfo}${diningInfo}${mediaInfo ? '\n\n📱 **Media & Social:**\n' + mediaInfo : ''}`;
 
-    return {
-        type: 'interactive',
-        interactive: {
-            type: 'button',
-            header: {
-                type: 'text',
-                text: `🏪 Restaurant Found!`
-            },
-            body: {
-                text: fullMessage
-            },
-            footer: {
-                type: 'text',
-                text: 'Is this your restaurant?'
-            },
-            action: {
-                buttons: [
-                    {
-                        type: 'reply',
-                        reply: {
-                            id: 'confirm_restaurant',
-                            title: '✅ Yes, This is Correct'
-                        }
-                    },
-                    {
-                        type: 'reply',
-                        reply: {
-                            id: 'search_again',
-                            title: '🔍 Search Again'
-                        }
-                    }
-                ]
-            }
-        }
-    };
+    return msg.buttons(fullMessage)
+        .builtBy('createRestaurantConfirmationMessage')
+        .header(`🏪 Restaurant Found!`)
+        .footer('Is this your restaurant?')
+        .button('confirm_restaurant', '✅ Yes, This is Correct')
+        .button('search_again', '🔍 Search Again')
+        .build();
 }
 
 /**
@@ -2290,20 +2003,14 @@ function createRestaurantApprovalMessage(profile) {
         profile.summary ? `\n📝 ${profile.summary}` : null
     ].filter(Boolean).join('\n');
 
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: { type: "text", text: "✅ Confirm Restaurant Details" },
-            body: { text: `${lines}\n\nIs this correct?` },
-            footer: { text: "Confirm or send updates below" },
-            action: { buttons: [
-                { type: "reply", reply: { id: "confirm_restaurant", title: "✅ Confirm" } },
-                { type: "reply", reply: { id: "edit_restaurant",    title: "✏️ Update" } },
-                { type: "reply", reply: { id: "cancel_restaurant",  title: "❌ Cancel" } }
-            ] }
-        }
-    };
+    return msg.buttons(`${lines}\n\nIs this correct?`)
+        .builtBy("createRestaurantApprovalMessage")
+        .header("✅ Confirm Restaurant Details")
+        .footer("Confirm or send updates below")
+        .button("confirm_restaurant", "✅ Confirm")
+        .button("edit_restaurant", "✏️ Update")
+        .button("cancel_restaurant", "❌ Cancel")
+        .build();
 }
 
 /**
@@ -2633,8 +2340,8 @@ function createPlatformInteractiveMessage(platform, content, s3Uploads, dealData
             messageText += `🎬 **Script:**\n${script}${script.length >= 80 ? '...' : ''}\n\n`;
         }
     } else if (platform === 'telegram') {
-        const msg = content.text?.substring(0, 120) || '';
-        messageText += `📝 **Message:**\n${msg}${msg.length >= 120 ? '...' : ''}\n\n`;
+        const message = content.text?.substring(0, 120) || '';
+        messageText += `📝 **Message:**\n${message}${message.length >= 120 ? '...' : ''}\n\n`;
     }
     
     // Add hashtags (limited)
@@ -2671,82 +2378,30 @@ function createPlatformInteractiveMessage(platform, content, s3Uploads, dealData
     }
     
     // Create message with image if S3 poster is available
-    const messageStructure = {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            body: {
-                text: messageText
-            },
-            footer: {
-                text: platform === 'instagram' ? "🚀 Launch viral campaign" : `Review for ${name}`
-            },
-            action: {
-                buttons: platform === 'instagram' ? [
-                    {
-                        type: "reply",
-                        reply: {
-                            id: `view_viral_video`,
-                            title: "🎬 Watch Video"
-                        }
-                    },
-                    {
-                        type: "reply",
-                        reply: {
-                            id: `approve_${platform}`,
-                            title: "🚀 LAUNCH!"
-                        }
-                    }
-                ] : [
-                    {
-                        type: "reply",
-                        reply: {
-                            id: `approve_${platform}`,
-                            title: `✅ Approve ${emoji}`
-                        }
-                    },
-                    {
-                        type: "reply", 
-                        reply: {
-                            id: `edit_${platform}`,
-                            title: `✏️ Edit ${emoji}`
-                        }
-                    },
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "next_platform",
-                            title: "⏭️ Next"
-                        }
-                    }
-                ]
-            }
-        }
-    };
+    const messageStructure = msg.buttons(messageText)
+        .builtBy("createPlatformInteractiveMessage")
+        .footer(platform === 'instagram' ? "🚀 Launch viral campaign" : `Review for ${name}`);
+    if (platform === 'instagram') {
+        messageStructure
+            .button(`view_viral_video`, "🎬 Watch Video")
+            .button(`approve_${platform}`, "🚀 LAUNCH!");
+    } else {
+        messageStructure
+            .button(`approve_${platform}`, `✅ Approve ${emoji}`)
+            .button(`edit_${platform}`, `✏️ Edit ${emoji}`)
+            .button("next_platform", "⏭️ Next");
+    }
 
     // Add image header if S3 poster URL is available
     if (s3Uploads?.poster) {
         console.log(`[DailyDeal] Adding image header for ${platform}: ${s3Uploads.poster}`);
-        messageStructure.interactive.header = {
-            type: "image",
-            image: {
-                link: s3Uploads.poster
-            }
-        };
+        messageStructure.imageHeader(s3Uploads.poster);
     } else if (s3Uploads?.enhancedPhoto) {
         console.log(`[DailyDeal] Using enhanced photo for ${platform}: ${s3Uploads.enhancedPhoto}`);
-        messageStructure.interactive.header = {
-            type: "image",
-            image: {
-                link: s3Uploads.enhancedPhoto
-            }
-        };
+        messageStructure.imageHeader(s3Uploads.enhancedPhoto);
     } else {
         // Fallback to text header
-        messageStructure.interactive.header = {
-            type: "text", 
-            text: `${emoji} ${name} Ready!`
-        };
+        messageStructure.header(`${emoji} ${name} Ready!`);
     }
     
     // If video is available, add a note about it in the body
@@ -2754,7 +2409,7 @@ function createPlatformInteractiveMessage(platform, content, s3Uploads, dealData
         messageText += `\n\n🎬 **Viral Video Ready!**\nClick "Watch Video" to see your deal in action!`;
     }
 
-    return messageStructure;
+    return messageStructure.build();
 }
 
 /**
@@ -2781,40 +2436,13 @@ function createFinalApprovalMessage(approvalState) {
     messageText += `\n🚀 **Ready to publish!**\n`;
     messageText += `Click "🚀 PUBLISH ALL" to launch your viral campaign!`;
     
-    return {
-        type: 'interactive',
-        interactive: {
-            type: 'button',
-            header: {
-                type: 'text',
-                text: '🎯 Final Approval Complete!'
-            },
-            body: {
-                text: messageText
-            },
-            footer: {
-                text: 'Launch your viral campaign now!'
-            },
-            action: {
-                buttons: [
-                    {
-                        type: 'reply',
-                        reply: {
-                            id: 'publish_all',
-                            title: '🚀 PUBLISH ALL'
-                        }
-                    },
-                    {
-                        type: 'reply',
-                        reply: {
-                            id: 'edit_content',
-                            title: '✏️ Edit Content'
-                        }
-                    }
-                ]
-            }
-        }
-    };
+    return msg.buttons(messageText)
+        .builtBy('createFinalApprovalMessage')
+        .header('🎯 Final Approval Complete!')
+        .footer('Launch your viral campaign now!')
+        .button('publish_all', '🚀 PUBLISH ALL')
+        .button('edit_content', '✏️ Edit Content')
+        .build();
 }
 
 function getPlatformEmoji(platform) {
@@ -45,7 +45,7 @@ export async function handleEnhancedWebhook(event) {
         }
         
         // Extract message content based on type
-        let messageText, interactiveData, locationData;
+        let messageText, interactiveData, locationData, audioData;
         
         switch (messageType) {
             case 'text':
@@ -59,6 +59,10 @@ export async function handleEnhancedWebhook(event) {
                 locationData = message.location;
                 messageText = `[Location: ${locationData.latitude}, ${locationData.longitude}]`;
                 break;
+            case 'audio':
+                audioData = message.audio;
+                messageText = '[Voice note]';
+                break;
             default:
                 messageText = `[${messageType} message]`;
         }
@@ -94,7 +98,8 @@ export async function handleEnhancedWebhook(event) {
             messageType,
             botConfig,
             interactiveData,
-            locationData
+            locationData,
+            audioData
         );
         
         // If we have a response, log it as outbound
@@ -1,10 +1,12 @@
 // LobangLah WhatsApp Deals Bot Handler
-import { searchDealsWithOpenAI, createWelcomeMessage, createLocationMessage, saveUserProfile, getUserProfile, searchMoreDealsFromDynamoDB, createInteractiveSearchingMessage, getSharedDealIds, addSharedDealIds } from '../utils/dealsUtils.js';
+import { createWelcomeMessage, createLocationMessage, saveUserProfile, getUserProfile, searchMoreDealsFromDynamoDB, createInteractiveSearchingMessage, getSharedDealIds, addSharedDealIds } from '../utils/dealsUtils.js';
 import { createCatalogDealsMessage, cleanupOldDealsFromCatalog } from '../utils/catalogUtils.js';
 // Removed verifyDealsWithDeepSeek import as DeepSeek verification is now skipped
 import { enhanceDealsWithPhotos, createEnhancedDealMessages } from '../utils/enhancedDealUtils.js';
 import { resolveLocationAndWeather, searchNearbyPlaces } from '../utils/googleLocationUtils.js';
+import { resolveCoordinates } from '../services/locationService.js';
 import { sendWhatsAppMessage } from '../utils/whatsappUtils.js';
+import { redactSecrets } from '../utils/logRedaction.js';
 import { generateAndSendSticker } from '../utils/stickerUtils.js';
 import { DynamoDBClient, GetItemCommand, PutItemCommand } from '@aws-sdk/client-dynamodb';
 import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
@@ -13,15 +15,31 @@ import { getSingaporeErrorMessage, getSingaporeSuccessMessage, getWeatherBasedRe
 import { searchLocationByName, getLocationDetails, enhanceLocationSearchWithAI, createLocationSearchMessage, createLocationSearchPrompt, createPopularLocationsMessage } from '../utils/locationSearchUtils.js';
 import { getRestaurantMenu, createMenuMessage } from '../utils/googleMenuUtils.js';
 import { createIndividualDealMessages, createTopDealsMessage, createNavigationOptionsMessage, createContactUsMessage, createWhatElseMessage, createMenuRequestMessage, handleMenuButtonClick } from '../utils/dealNavigationUtils.js';
-import { createDailyAlert, getUserAlerts, createAlertSetupMessage, createAlertTimeSelectionMessage, createAlertConfirmationMessage, createAlertManagementMessage, deactivateAlert } from '../utils/alertUtils.js';
+import { createDailyAlert, getUserAlerts, createAlertSetupMessage, createAlertTimeSelectionMessage, createAlertDaysSelectionMessage, createAlertConfirmationMessage, createAlertManagementMessage, deactivateAlert } from '../utils/alertUtils.js';
+import { ALERT_DAY_PRESETS, DEFAULT_ALERT_TIMEZONE } from '../utils/alertSchedule.js';
+import { transcribeVoiceNote } from '../utils/voiceNoteUtils.js';
+import { recordDealClick } from '../utils/dealRanking.js';
+import { getUserPreferenceProfile, trackDealInteraction, trackDealSearch } from '../utils/userPreferenceProfile.js';
+import { t, getCategoryName, getLanguageInstruction, applyDetectedLanguage, parseLanguageCommand, createLanguageSelectionMessage, normalizeLanguage } from '../utils/i18n.js';
+import { localizeDeals } from '../utils/dealLocalization.js';
+import { handleCompareAction, createComparePickerMessage, MIN_COMPARE_DEALS } from '../utils/dealComparisonUtils.js';
+import { saveDealToSession, createSaveDealPickerMessage, createDealSavedMessage, createSavedDealsListMessage, createSavedDealDetailMessage, findSavedDeal, removeSavedDeal, pruneExpiredSavedDeals, getSavedDealsTtl } from '../utils/savedDealsUtils.js';
+import { parseDealQuery, hasSearchIntent, describeDealQuery } from '../utils/dealQueryParser.js';
+import { createDietaryPreferencesMessage, toggleDietaryPreference } from '../utils/dietaryUtils.js';
+import { parseMrtRoute, createRouteLocation, getStationLines } from '../utils/mrtRouteUtils.js';
+import { msg } from '../utils/messageBuilder.js';
+import { isOfflineMode } from '../utils/offlineMode.js';
 
 // In-memory user state management (for conversation flow)
 const userStates = new Map();
 
+// LobangLahUsers items of offline runs (marshalled), by phone number
+const localSessions = new Map();
+
 /**
  * Generate AI chat response about deals using OpenAI with full conversation history
  */
-async function generateChatResponse(userQuestion, chatContext, botConfig, conversationHistory = []) {
+async function generateChatResponse(userQuestion, chatContext, botConfig, conversationHistory = [], lang = 'en') {
     try {
         // Use the same API key retrieval pattern as webhook.js
         const openAIApiKey = botConfig?.openAiApiKey || botConfig?.openAIApiKey || botConfig?.openai_api_key || process.env.OPENAI_API_KEY;
@@ -36,7 +54,7 @@ async function generateChatResponse(userQuestion, chatContext, botConfig, conver
         
         if (!openAIApiKey) {
             console.error('[LobangLah] No OpenAI API key found in botConfig or environment variables');
-            console.error('[LobangLah] botConfig structure:', JSON.stringify(botConfig, null, 2));
+            console.error('[LobangLah] botConfig structure:', JSON.stringify(redactSecrets(botConfig), null, 2));
             throw new Error('OpenAI API key not configured');
         }
         
@@ -82,7 +100,8 @@ If the user asks about:
 - Recommendations: Give personalized suggestions based on conversation
 - Previous questions: Reference what we discussed before
 
-Always end with a helpful suggestion like asking if they want directions or more details about a specific deal.`;
+Always end with a helpful suggestion like asking if they want directions or more details about a specific deal.
+${getLanguageInstruction(lang)}`;
         
         // Build messages array with conversation history
         const messages = [
@@ -108,18 +127,18 @@ Always end with a helpful suggestion like asking if they want directions or more
             temperature: 0.7
         });
         
-        let response = completion.choices[0]?.message?.content || "I'm not sure how to help with that. Could you ask about a specific deal?";
+        let response = completion.choices[0]?.message?.content || t(lang, 'chat.unsure');
         
         // Ensure response fits WhatsApp limits
         if (response.length > 500) {
             response = response.substring(0, 497) + '...';
         }
         
-        return `🤖 ${response}\n\n💡 Ask me more about these deals or share a new location to search elsewhere!`;
+        return `🤖 ${response}\n\n${t(lang, 'chat.followUp')}`;
         
     } catch (error) {
         console.error('[LobangLah] Error generating chat response:', error);
-        return `🤖 Sorry, I had trouble processing your question about ${chatContext.category} deals near ${chatContext.location}.\n\n💬 Please try asking in a simpler way, like:\n• "Which is the best deal?"\n• "Tell me about deal #1"\n• "What's the cheapest option?"\n\n🎯 I'm here to help with your ${chatContext.category} deals!`;
+        return t(lang, 'chat.processingError', { category: getCategoryName(lang, chatContext.category), location: chatContext.location });
     }
 }
 
@@ -140,7 +159,7 @@ async function getSession(storeId, userId) {
         
         let result;
         try {
-            result = await client.send(new GetItemCommand(params));
+            result = isOfflineMode() ? { Item: localSessions.get(userId) } : await client.send(new GetItemCommand(params));
         } catch (permissionError) {
             if (permissionError.name === 'AccessDeniedException') {
                 console.log(`[LobangLah] LobangLahUsers access denied, falling back to SESSION_TABLE_NAME`);
@@ -163,15 +182,18 @@ async function getSession(storeId, userId) {
                 lastInteraction: session.lastInteraction || 'lobanglah_deals',
                 timestamp: session.timestamp || Date.now(),
                 userState: session.userState || {},
-                sharedDealIds: session.sharedDealIds || []
+                sharedDealIds: session.sharedDealIds || [],
+                dealClicks: session.dealClicks || [],
+                language: session.language || null,
+                savedDeals: session.savedDeals || []
             };
         } else {
             console.log(`[LobangLah] No session found for ${userId}, creating new session`);
-            return { conversation: [], sentMessages: [], userState: {}, sharedDealIds: [] };
+            return { conversation: [], sentMessages: [], userState: {}, sharedDealIds: [], dealClicks: [], language: null, savedDeals: [] };
         }
     } catch (error) {
         console.error(`[LobangLah] Error getting session:`, error);
-        return { conversation: [], sentMessages: [], userState: {}, sharedDealIds: [] };
+        return { conversation: [], sentMessages: [], userState: {}, sharedDealIds: [], dealClicks: [], language: null, savedDeals: [] };
     }
 }
 
@@ -200,6 +222,10 @@ async function updateSession(storeId, userId, session) {
         session.sharedDealIds = session.sharedDealIds.slice(-200);
     }
     
+    // Drop saved deals that have ended; the rest keep the item alive past the session TTL
+    session.savedDeals = pruneExpiredSavedDeals(session.savedDeals);
+    const itemTtl = Math.max(ttl, getSavedDealsTtl(session.savedDeals));
+    
     try {
         // Clean up undefined values from session data
         const cleanUserState = session.userState ? JSON.parse(JSON.stringify(session.userState)) : {};
@@ -216,7 +242,10 @@ async function updateSession(storeId, userId, session) {
             timestamp: session.timestamp || Date.now(),
             userState: cleanUserState,
             sharedDealIds: cleanSharedDealIds,
-            ttl: ttl
+            dealClicks: session.dealClicks || [],
+            language: session.language || null,
+            savedDeals: session.savedDeals,
+            ttl: itemTtl
         };
         
         let params = {
@@ -224,6 +253,12 @@ async function updateSession(storeId, userId, session) {
             Item: marshall(itemToPut, { removeUndefinedValues: true })
         };
         
+        if (isOfflineMode()) {
+            localSessions.set(userId, params.Item);
+            console.log(`[LobangLah] Session updated for ${userId} in memory (offline mode)`);
+            return;
+        }
+        
         try {
             await client.send(new PutItemCommand(params));
             console.log(`[LobangLah] Session updated for ${userId} in ${tableName}`);
@@ -241,7 +276,10 @@ async function updateSession(storeId, userId, session) {
                     timestamp: session.timestamp || Date.now(),
                     userState: cleanUserState,
                     sharedDealIds: cleanSharedDealIds,
-                    ttl: ttl
+                    dealClicks: session.dealClicks || [],
+                    language: session.language || null,
+                    savedDeals: session.savedDeals,
+                    ttl: itemTtl
                 };
                 
                 params = {
@@ -302,6 +340,7 @@ async function sendLobangLahMessage(storeId, fromNumber, message, botConfig, ses
  * Search and send more deals using dealId tracking for deduplication
  */
 async function searchAndSendMoreDeals(fromNumber, userState, botConfig, session) {
+    const lang = session.language;
     try {
         const sharedDealIds = getSharedDealIds(session);
         console.log(`[LobangLah] Searching for more ${userState.category} deals, excluding ${sharedDealIds.length} previously shared dealIds`);
@@ -310,7 +349,7 @@ async function searchAndSendMoreDeals(fromNumber, userState, botConfig, session)
         const acknowledgmentMessage = {
             type: "text",
             text: {
-                body: "🔍 Searching for more amazing deals... This may take a moment! ⏳"
+                body: t(lang, 'deals.searchingMore')
             }
         };
         
@@ -350,7 +389,8 @@ async function searchAndSendMoreDeals(fromNumber, userState, botConfig, session)
             await updateSession(userState.storeId, fromNumber, session);
             
             // Send catalog-based product list message (single message with all deals)
-            const catalogMessages = await createCatalogDealsMessage(deals, userState.category, botConfig);
+            const displayDeals = await localizeDeals(deals, lang, botConfig);
+            const catalogMessages = await createCatalogDealsMessage(displayDeals, userState.category, botConfig, lang);
             for (const catalogMessage of catalogMessages) {
                 await sendWhatsAppMessage(userState.storeId, fromNumber, catalogMessage, botConfig);
             }
@@ -368,7 +408,7 @@ async function searchAndSendMoreDeals(fromNumber, userState, botConfig, session)
             return {
                 type: "text",
                 text: {
-                    body: "😅 Sorry, I couldn't find any new deals at the moment. You've already seen all the best deals available!\n\n💡 Try searching in a different category or check back later for fresh deals!"
+                    body: t(lang, 'deals.noneMore')
                 }
             };
         }
@@ -377,7 +417,7 @@ async function searchAndSendMoreDeals(fromNumber, userState, botConfig, session)
         return {
             type: "text",
             text: {
-                body: "😅 Sorry, I had trouble finding more deals. Please try again in a moment!"
+                body: t(lang, 'deals.moreError')
             }
         };
     }
@@ -395,13 +435,32 @@ export function isLobangLahMessage() {
 /**
  * Main LobangLah message handler
  */
-export async function handleLobangLahMessage(storeId, fromNumber, messageBody, messageType, botConfig, interactiveData = null, locationData = null) {
+export async function handleLobangLahMessage(storeId, fromNumber, messageBody, messageType, botConfig, interactiveData = null, locationData = null, audioData = null) {
     console.log(`[LobangLah] Handling message from ${fromNumber}, type: ${messageType}, store: ${storeId}`);
+    // Kept outside the try so the error reply below is in the user's language too
+    let lang = null;
     
     try {
         // Get session from DynamoDB for chat history and deduplication
         const session = await getSession(storeId, fromNumber);
         
+        // Voice notes continue as if the transcript had been typed. The session language (unset until
+        // the user picks or types one) steers transcription and the "I heard" echo.
+        if (messageType === 'audio') {
+            const transcript = await transcribeVoiceNote(storeId, fromNumber, audioData, botConfig, session.language);
+            if (!transcript) {
+                return null;
+            }
+            messageBody = transcript;
+            messageType = 'text';
+        }
+        
+        // Typing in Chinese, Malay or Tamil switches the bot to that language
+        if (messageType === 'text' && messageBody) {
+            applyDetectedLanguage(session, messageBody);
+        }
+        lang = session.language;
+        
         // Initialize shown deals tracking if not exists
         if (!session.shownDeals) {
             session.shownDeals = [];
@@ -434,7 +493,7 @@ export async function handleLobangLahMessage(storeId, fromNumber, messageBody, m
                 step: userState.step,
                 category: userState.category,
                 location: userState.location,
-                locationName: userState.location?.name || userState.location?.description || userState.location?.displayName,
+                locationName: userState.location?.displayName,
                 hasDeals: !!userState.lastDeals,
                 dealsCount: userState.lastDeals?.length || 0,
                 hasChatContext: !!userState.chatContext
@@ -474,7 +533,12 @@ export async function handleLobangLahMessage(storeId, fromNumber, messageBody, m
             lastSearchLocation: userState.lastSearchLocation,
             lastDeals: userState.lastDeals,
             chatContext: userState.chatContext,
-            selectedDeal: userState.selectedDeal
+            selectedDeal: userState.selectedDeal,
+            compareSelection: userState.compareSelection,
+            dealQuery: userState.dealQuery,
+            // Picked in the alert time list, used when the days are picked
+            alertTimes: userState.alertTimes,
+            preferredTime: userState.preferredTime
         };
 
         // Update session timestamp and save to DynamoDB with user state
@@ -506,142 +570,197 @@ export async function handleLobangLahMessage(storeId, fromNumber, messageBody, m
         // Send error message to user
         await sendWhatsAppMessage(storeId, fromNumber, {
             type: "text",
-            text: { body: "Sorry, I encountered an error. Please try again! 😅" }
+            text: { body: t(lang, 'error.generic') }
         }, botConfig);
         
         return false;
     }
 }
 
+/**
+ * Pick a welcome greeting that answers the user's own greeting
+ */
+function getWelcomeGreeting(userMessage, lang) {
+    const lowerMessage = userMessage.toLowerCase();
+    
+    if (lowerMessage.includes('hello') || lowerMessage.includes('hi') || /你好|您好|vanakkam|வணக்கம்/.test(lowerMessage)) {
+        return t(lang, 'welcome.greeting.hello');
+    } else if (lowerMessage.includes('good morning') || lowerMessage.includes('selamat pagi') || /早上好|早安/.test(lowerMessage)) {
+        return t(lang, 'welcome.greeting.morning');
+    } else if (lowerMessage.includes('good afternoon') || lowerMessage.includes('selamat petang')) {
+        return t(lang, 'welcome.greeting.afternoon');
+    } else if (lowerMessage.includes('good evening') || lowerMessage.includes('selamat malam')) {
+        return t(lang, 'welcome.greeting.evening');
+    } else if (lowerMessage.includes('help') || lowerMessage.includes('tolong') || /帮助|帮忙/.test(lowerMessage)) {
+        return t(lang, 'welcome.greeting.help');
+    }
+    return t(lang, 'welcome.greeting.default');
+}
+
 /**
  * Create consistent, high-quality welcome message (no OpenAI generation to avoid changes)
  */
-function createConsistentWelcomeMessage(userMessage) {
+function createConsistentWelcomeMessage(userMessage, lang = 'en') {
     // Personalize greeting based on user message
-    let personalizedGreeting = "Hi there! 👋";
-    const lowerMessage = userMessage.toLowerCase();
+    const welcomeText = t(lang, 'welcome.body', { greeting: getWelcomeGreeting(userMessage, lang) });
+    
+    console.log(`[LobangLah] Using consistent welcome message with personalized greeting`);
+    
+    return msg.buttons(welcomeText)
+        .builtBy('createConsistentWelcomeMessage')
+        .header(t(lang, 'welcome.header'))
+        .footer(t(lang, 'welcome.footer'))
+        .button('share_location_prompt', t(lang, 'button.shareLocation'))
+        .button('how_it_works', t(lang, 'button.howItWorks'))
+        .button('about_lobangLah', t(lang, 'button.aboutUs'))
+        .build();
+}
+
+/**
+ * Create interactive welcome message without OpenAI (fallback)
+ */
+function createInteractiveWelcomeMessage(userMessage, lang = 'en') {
+    // Personalize based on common greetings
+    const welcomeText = t(lang, 'welcome.body', { greeting: getWelcomeGreeting(userMessage, lang) });
+    
+    return msg.buttons(welcomeText)
+        .builtBy('createInteractiveWelcomeMessage')
+        .header(t(lang, 'welcome.header'))
+        .footer(t(lang, 'welcome.footer'))
+        .button('share_location_prompt', t(lang, 'button.share'))
+        .button('search_location_prompt', t(lang, 'button.searchByName'))
+        .button('popular_places', t(lang, 'button.popularPlaces'))
+        .build();
+}
+
+/**
+ * Location picked: ask which category of deals to search
+ */
+function createCategoryPromptMessage(lang, bodyKey, name, area, params = {}) {
+    return msg.buttons(t(lang, bodyKey, { name, area: area || 'Singapore', ...params }))
+        .builtBy('createCategoryPromptMessage')
+        .header(`📍 ${name}`)
+        .footer(t(lang, 'footer.chooseCategory'))
+        .button('search_food_deals', t(lang, 'button.food'))
+        .button('search_events_deals', t(lang, 'button.events'))
+        .button('search_fashion_deals', t(lang, 'button.fashion'))
+        .build();
+}
+
+/**
+ * Ways to give us a location after a search came up empty
+ */
+function createLocationRetryMessage(lang, header, body) {
+    return msg.buttons(body)
+        .builtBy('createLocationRetryMessage')
+        .header(header)
+        .footer(t(lang, 'footer.chooseOption'))
+        .button('share_location_prompt', t(lang, 'button.share'))
+        .button('search_location_prompt', t(lang, 'button.search'))
+        .button('popular_places', t(lang, 'button.popularPlaces'))
+        .build();
+}
+
+function createLocationNotFoundMessage(lang, query) {
+    return createLocationRetryMessage(lang, t(lang, 'location.notFound.header'), t(lang, 'location.notFound.body', { query }));
+}
+
+function createSingaporeOnlyMessage(lang, query) {
+    return createLocationRetryMessage(lang, t(lang, 'location.singaporeOnly.header'), t(lang, 'location.singaporeOnly.body', { query }));
+}
+
+/**
+ * The parsed query already named a category, so skip the category prompt and search
+ */
+async function searchWithDealQueryCategory(storeId, fromNumber, userState, botConfig, session) {
+    userState.category = userState.dealQuery.category;
+    userState.step = 'searching_deals';
+    
+    session.userState = userState;
+    session.lastInteraction = 'category_selected';
+    session.timestamp = Date.now();
+    await updateSession(storeId, fromNumber, session);
     
-    if (lowerMessage.includes('hello') || lowerMessage.includes('hi')) {
-        personalizedGreeting = "Hello! Great to meet you! 👋";
-    } else if (lowerMessage.includes('good morning')) {
-        personalizedGreeting = "Good morning! Hope you're having a wonderful day! 🌅";
-    } else if (lowerMessage.includes('good afternoon')) {
-        personalizedGreeting = "Good afternoon! Perfect timing for some deal hunting! ☀️";
-    } else if (lowerMessage.includes('good evening')) {
-        personalizedGreeting = "Good evening! Let's find you some amazing deals! 🌆";
-    } else if (lowerMessage.includes('help')) {
-        personalizedGreeting = "I'm here to help you find the best deals! 🤝";
+    return await searchAndSendDeals(storeId, fromNumber, userState, botConfig, session);
+}
+
+/**
+ * Parse free text like "cheap dinner under $10 near Bugis tonight for 4 pax" into userState.dealQuery.
+ * With keepCurrentQuery, a plain place name (the answer to "where should I look?") keeps the pending query.
+ * @returns {Promise<{locationText?: string, reply?: Object}>} The text to look up as a location, or a reply
+ *   when there is no place to look up (search where the user already is, or ask where to look)
+ */
+async function applyDealQuery(storeId, fromNumber, messageBody, userState, botConfig, session, { keepCurrentQuery = false } = {}) {
+    const lang = session.language;
+    const dealQuery = await parseDealQuery(messageBody, botConfig);
+    if (!hasSearchIntent(dealQuery)) {
+        userState.dealQuery = keepCurrentQuery ? userState.dealQuery || null : null;
+        return { locationText: dealQuery.location || messageBody };
     }
+    userState.dealQuery = dealQuery;
     
-    const welcomeText = `${personalizedGreeting}\n\nI'm your personal AI deal hunter from **LobangLah** - Singapore's smartest deal discovery platform! 🤖\n\n🎯 **What I offer:**\n• AI-powered search across thousands of deals\n• Real-time weather + hourly forecasts\n• Location-based recommendations\n• Food, fashion, groceries & more!\n\n📍 **Ready to start saving?** Share your location and I'll find amazing deals nearby with today's weather forecast!`;
+    if (dealQuery.location) {
+        return { locationText: dealQuery.location };
+    }
     
-    console.log(`[LobangLah] Using consistent welcome message with personalized greeting`);
+    if (userState.location) {
+        userState.dealQuery.category = dealQuery.category || userState.category || 'food';
+        return { reply: await searchWithDealQueryCategory(storeId, fromNumber, userState, botConfig, session) };
+    }
+    
+    userState.step = 'waiting_for_location_name';
+    session.userState = userState;
+    session.lastInteraction = 'deal_query_needs_location';
+    session.timestamp = Date.now();
+    await updateSession(storeId, fromNumber, session);
     
     return {
-        type: 'interactive',
-        interactive: {
-            type: 'button',
-            header: {
-                type: 'text',
-                text: '🎯 Welcome to LobangLah!'
-            },
-            body: {
-                text: welcomeText
-            },
-            footer: {
-                text: '🚀 Singapore\'s Smartest Deal Discovery Platform'
-            },
-            action: {
-                buttons: [
-                    {
-                        type: 'reply',
-                        reply: {
-                            id: 'share_location_prompt',
-                            title: '📍 Share Location'
-                        }
-                    },
-                    {
-                        type: 'reply',
-                        reply: {
-                            id: 'how_it_works',
-                            title: '❓ How It Works'
-                        }
-                    },
-                    {
-                        type: 'reply',
-                        reply: {
-                            id: 'about_lobangLah',
-                            title: '🎯 About Us'
-                        }
-                    }
-                ]
-            }
-        }
+        reply: createLocationRetryMessage(lang, t(lang, 'query.needLocation.header'), t(lang, 'query.needLocation.body', { summary: describeDealQuery(dealQuery, lang) }))
     };
 }
 
 /**
- * Create interactive welcome message without OpenAI (fallback)
+ * "along the East-West line from Jurong East to Buona Vista": search near every station on the way.
+ * Budget, time and the other constraints in the message still apply.
+ * @returns {Promise<{reply: Object|null}|null>} The reply (null when the deals were sent already),
+ *   or null when the text is not an MRT route
  */
-function createInteractiveWelcomeMessage(userMessage) {
-    // Personalize based on common greetings
-    let personalizedGreeting = "Hi there! 👋";
-    const lowerMessage = userMessage.toLowerCase();
+async function applyMrtRoute(storeId, fromNumber, messageBody, userState, botConfig, session) {
+    const route = parseMrtRoute(messageBody);
+    if (!route) {
+        return null;
+    }
+    const lang = session.language;
+    if (route.error) {
+        const lineNames = station => getStationLines(station).map(line => line.name).join(', ');
+        return {
+            reply: msg.text(t(lang, 'mrt.noCommonLine', {
+                from: route.from.stationName,
+                to: route.to.stationName,
+                fromLines: lineNames(route.from),
+                toLines: lineNames(route.to)
+            })).build()
+        };
+    }
+    
+    const dealQuery = await parseDealQuery(messageBody, botConfig);
+    userState.dealQuery = hasSearchIntent(dealQuery) ? dealQuery : null;
+    userState.location = createRouteLocation(route);
+    userState.step = 'location_confirmed';
     
-    if (lowerMessage.includes('hello') || lowerMessage.includes('hi')) {
-        personalizedGreeting = "Hello! Great to meet you! 👋";
-    } else if (lowerMessage.includes('good morning')) {
-        personalizedGreeting = "Good morning! Hope you're having a wonderful day! 🌅";
-    } else if (lowerMessage.includes('good afternoon')) {
-        personalizedGreeting = "Good afternoon! Perfect timing for some deal hunting! ☀️";
-    } else if (lowerMessage.includes('good evening')) {
-        personalizedGreeting = "Good evening! Let's find you some amazing deals! 🌆";
-    } else if (lowerMessage.includes('help')) {
-        personalizedGreeting = "I'm here to help you find the best deals! 🤝";
+    if (userState.dealQuery?.category) {
+        return { reply: await searchWithDealQueryCategory(storeId, fromNumber, userState, botConfig, session) };
     }
     
-    const welcomeText = `${personalizedGreeting}\n\nI'm your personal AI deal hunter from **LobangLah** - Singapore's smartest deal discovery platform! 🤖\n\n🎯 **What I offer:**\n• AI-powered search across thousands of deals\n• Real-time weather + hourly forecasts for today\n• Location-based recommendations\n• Food, fashion, groceries & more!\n\n📍 **Ready to start saving?** Share your location and I'll find amazing deals nearby with today's weather forecast!`;
+    session.userState = userState;
+    session.lastInteraction = 'location_confirmed';
+    session.timestamp = Date.now();
+    await updateSession(storeId, fromNumber, session);
     
     return {
-        type: 'interactive',
-        interactive: {
-            type: 'button',
-            header: {
-                type: 'text',
-                text: '🎯 Welcome to LobangLah!'
-            },
-            body: {
-                text: welcomeText
-            },
-            footer: {
-                text: '🚀 Singapore\'s Smartest Deal Discovery Platform'
-            },
-            action: {
-                buttons: [
-                    {
-                        type: 'reply',
-                        reply: {
-                            id: 'share_location_prompt',
-                            title: '📍 Share'
-                        }
-                    },
-                    {
-                        type: 'reply',
-                        reply: {
-                            id: 'search_location_prompt',
-                            title: '🔍 Search by Name'
-                        }
-                    },
-                    {
-                        type: 'reply',
-                        reply: {
-                            id: 'popular_places',
-                            title: '🏢 Popular Places'
-                        }
-                    }
-                ]
-            }
-        }
+        reply: createCategoryPromptMessage(lang, 'mrt.routePicked', userState.location.displayName, route.line.name, {
+            count: route.stations.length
+        })
     };
 }
 
@@ -651,17 +770,95 @@ function createInteractiveWelcomeMessage(userMessage) {
 async function handleInteractiveMessage(storeId, fromNumber, interactiveData, userState, botConfig, session) {
     const actionId = interactiveData.button_reply?.id || interactiveData.list_reply?.id;
     console.log(`[LobangLah] Processing interactive action: ${actionId}`);
+    const lang = session.language;
     
     // Add user interaction to conversation history
     session.conversation.push({ role: 'user', content: `Selected: ${actionId}` });
     
+    // Deal card buttons feed the clicks signal of deal ranking and the user's preference profile
+    const dealCardAction = actionId.match(/^(get_menu|directions|get_directions|call|set_reminder|share_deal|compare_deal|save_deal)_(\d+)$/);
+    if (dealCardAction) {
+        const clickedDeal = userState.lastDeals?.[parseInt(dealCardAction[2], 10)];
+        recordDealClick(session, clickedDeal, dealCardAction[1]);
+        await trackDealInteraction(fromNumber, dealCardAction[1], clickedDeal, userState.location);
+    }
+    
+    // Handle deal comparison (⚖️ Compare Deals after the deal cards and the comparison picker)
+    if (actionId.startsWith('compare_')) {
+        return await handleCompareAction(actionId, userState, botConfig, lang);
+    }
+    
+    // Handle ⭐ Save a Deal (the picker, then a deal picked from it)
+    if (actionId === 'save_pick') {
+        return createSaveDealPickerMessage(userState.lastDeals || [], lang);
+    }
+    
+    if (dealCardAction?.[1] === 'save_deal') {
+        const deal = userState.lastDeals?.[parseInt(dealCardAction[2], 10)];
+        if (!deal) {
+            return msg.text(t(lang, 'saved.notFound')).build();
+        }
+        const result = saveDealToSession(session, deal, storeId);
+        return createDealSavedMessage(result, session.savedDeals.length, lang);
+    }
+    
+    // Handle saved deals list and its actions (saved_view_/saved_directions_/saved_remove_<savedId>)
+    if (actionId === 'my_saved_deals') {
+        return createSavedDealsListMessage(pruneExpiredSavedDeals(session.savedDeals), lang);
+    }
+    
+    const savedDealAction = actionId.match(/^saved_(view|directions|remove)_(.+)$/);
+    if (savedDealAction) {
+        const savedDeal = findSavedDeal(session, savedDealAction[2]);
+        if (!savedDeal) {
+            return msg.text(t(lang, 'saved.notFound')).build();
+        }
+        if (savedDealAction[1] === 'directions') {
+            return createLocationMessage(savedDeal, lang);
+        }
+        if (savedDealAction[1] === 'remove') {
+            removeSavedDeal(session, savedDeal.savedId);
+            console.log(`[LobangLah] Removed saved deal ${savedDeal.savedId}`);
+            return msg.text(t(lang, 'saved.removed', { name: savedDeal.businessName })).build();
+        }
+        return createSavedDealDetailMessage(savedDeal, lang);
+    }
+    
+    // Handle dietary preferences picker (dietary_settings, dietary_toggle_<option>, dietary_clear)
+    if (actionId === 'dietary_settings') {
+        const userProfile = await getUserProfile(fromNumber);
+        return createDietaryPreferencesMessage(userProfile.dietary, lang);
+    }
+    
+    if (actionId.startsWith('dietary_toggle_') || actionId === 'dietary_clear') {
+        const userProfile = await getUserProfile(fromNumber);
+        const dietary = actionId === 'dietary_clear' ? [] : toggleDietaryPreference(userProfile.dietary, actionId.replace('dietary_toggle_', ''));
+        if (!await saveUserProfile(fromNumber, { dietary })) {
+            return msg.text(t(lang, 'dietary.saveFailed')).build();
+        }
+        console.log(`[LobangLah] Dietary preferences for ${fromNumber}: ${dietary.join(', ') || 'none'}`);
+        return createDietaryPreferencesMessage(dietary, lang, 'dietary.updated');
+    }
+    
+    // Handle "What else" menu
+    if (actionId === 'what_else') {
+        return await createWhatElseMessage(botConfig, lang, session.savedDeals.length);
+    }
+    
+    // Handle language picker selection
+    if (actionId.startsWith('lang_')) {
+        session.language = normalizeLanguage(actionId.replace('lang_', ''));
+        console.log(`[LobangLah] User switched language to ${session.language}`);
+        return msg.text(t(session.language, 'language.changed')).build();
+    }
+    
     // Handle location sharing prompt
     if (actionId === 'share_location_prompt') {
         console.log(`[LobangLah] User clicked share location from welcome message`);
         return {
             type: "text",
             text: {
-                body: "📍 Please share your location to find amazing deals near you!"
+                body: t(lang, 'info.shareLocation')
             }
         };
     }
@@ -671,7 +868,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
         return {
             type: "text",
             text: {
-                body: "🤖 **How LobangLah Works:**\n\n1️⃣ **Share Location** - Tell us where you are\n2️⃣ **Choose Category** - Food, fashion, events, etc.\n3️⃣ **Get Deals** - AI finds the best deals nearby\n4️⃣ **Chat & Explore** - Ask questions about deals\n\n🎯 **Smart Features:**\n• Real-time weather integration\n• Location-based recommendations\n• Deal deduplication (no repeats!)\n• Interactive catalog messages\n\n📍 Ready to start? Share your location!"
+                body: t(lang, 'info.howItWorks')
             }
         };
     }
@@ -681,7 +878,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
         return {
             type: "text",
             text: {
-                body: "🎯 **About LobangLah:**\n\nWe're Singapore's smartest deal discovery platform! 🤖\n\n**What makes us special:**\n• AI-powered deal search\n• Real-time location & weather\n• Restaurant deduplication\n• Interactive WhatsApp experience\n\n💡 **Lobang** = Singaporean slang for 'good deal'\n\n📍 Let's find you some amazing lobangs!"
+                body: t(lang, 'info.about')
             }
         };
     }
@@ -692,7 +889,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
         return {
             type: "text",
             text: {
-                body: "🔍 **Search by Location Name**\n\nType the name of any Singapore location:\n\n📍 Examples:\n• Orchard Road\n• Marina Bay Sands\n• Bugis Junction\n• Tampines Mall\n• Jurong Point\n\n🌍 **Singapore locations only**"
+                body: t(lang, 'info.searchByName')
             }
         };
     }
@@ -705,13 +902,13 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
                 type: "button",
                 header: {
                     type: "text",
-                    text: "🏢 Popular Singapore Locations"
+                    text: t(lang, 'popular.header')
                 },
                 body: {
-                    text: "Choose a popular location to find deals:"
+                    text: t(lang, 'popular.body')
                 },
                 footer: {
-                    text: "Select your preferred area"
+                    text: t(lang, 'popular.footer')
                 },
                 action: {
                     buttons: [
@@ -754,7 +951,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
             return {
                 type: "text",
                 text: {
-                    body: "❌ Sorry lah! Location service not available. Please try sharing your GPS location instead."
+                    body: t(lang, 'location.serviceUnavailable')
                 }
             };
         }
@@ -773,7 +970,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
             return {
                 type: "text",
                 text: {
-                    body: `❌ Sorry lah! Couldn't find "${locationName}" in Singapore. Please try another location or share your GPS location.`
+                    body: t(lang, 'location.notFoundNamed', { query: locationName })
                 }
             };
         }
@@ -790,7 +987,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
             return {
                 type: "text",
                 text: {
-                    body: "❌ Sorry lah! Couldn't get location details. Please try again or share your GPS location."
+                    body: t(lang, 'location.detailsFailed')
                 }
             };
         }
@@ -810,49 +1007,13 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
         };
         userState.step = 'location_confirmed';
         
+        if (userState.dealQuery?.category) {
+            return await searchWithDealQueryCategory(storeId, fromNumber, userState, botConfig, session);
+        }
+        
         console.log(`[LobangLah] Creating consolidated message for popular location`);
         // Create a more interactive message with location confirmation and category selection
-        const consolidatedMessage = {
-            type: 'interactive',
-            interactive: {
-                type: 'button',
-                header: {
-                    type: 'text',
-                    text: `📍 ${locationDetails.name}`
-                },
-                body: {
-                    text: `🎉 Great choice! I found ${locationDetails.name} in ${locationDetails.area || 'Singapore'}.\n\nWhat kind of amazing deals should I find for you today?`
-                },
-                footer: {
-                    text: 'Choose your deal category'
-                },
-                action: {
-                    buttons: [
-                        {
-                            type: 'reply',
-                            reply: {
-                                id: 'search_food_deals',
-                                title: '🍽️ Food & Dining'
-                            }
-                        },
-                        {
-                            type: 'reply',
-                            reply: {
-                                id: 'search_events_deals',
-                                title: '🎉 Events'
-                            }
-                        },
-                        {
-                            type: 'reply',
-                            reply: {
-                                id: 'search_fashion_deals',
-                                title: '👗 Fashion'
-                            }
-                        }
-                    ]
-                }
-            }
-        };
+        const consolidatedMessage = createCategoryPromptMessage(lang, 'location.popularPicked', locationDetails.name, locationDetails.area);
         
         // Save session
         session.userState = userState;
@@ -872,7 +1033,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
             return {
                 type: "text",
                 text: {
-                    body: "❌ Please share your location first to find deals near you!"
+                    body: t(lang, 'deals.needLocation')
                 }
             };
         }
@@ -904,7 +1065,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
             return {
                 type: "text",
                 text: {
-                    body: "❌ No deals available to chat about. Please search for deals first!"
+                    body: t(lang, 'chat.noDeals')
                 }
             };
         }
@@ -912,7 +1073,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
         userState.step = 'chat_mode';
         userState.chatContext = {
             deals: userState.lastDeals,
-            location: userState.location.displayName || userState.location.name || 'your location',
+            location: userState.location.displayName || userState.location.name || t(lang, 'chat.defaultLocation'),
             category: userState.category
         };
         userState.chatStartTime = Date.now();
@@ -927,7 +1088,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
         return {
             type: "text",
             text: {
-                body: `🤖 **Chat AI Mode Activated!**\n\nI'm ready to help you with your ${userState.category} deals near ${userState.chatContext.location}!\n\n💬 **Ask me anything:**\n• "Which deal is best value?"\n• "Tell me about the first deal"\n• "What's closest to me?"\n• "Show me directions"\n• "More deals please"\n\n🎯 I'll help you make the best choice!\n\n💡 Type "exit chat" to end chat mode.`
+                body: t(lang, 'chat.activated', { category: getCategoryName(lang, userState.category), location: userState.chatContext.location })
             }
         };
     }
@@ -940,7 +1101,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
             return {
                 type: "text",
                 text: {
-                    body: "❌ Please search for deals first to set up daily alerts!"
+                    body: t(lang, 'alert.needDeals')
                 }
             };
         }
@@ -953,16 +1114,30 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
         session.timestamp = Date.now();
         await updateSession(storeId, fromNumber, session);
         
-        return createAlertSetupMessage();
+        return createAlertSetupMessage(lang);
     }
     
-    // Handle alert time selection
+    // Handle alert time picker (from the alert setup or confirmation message)
+    if (actionId === 'alert_pick_time' || actionId === 'setup_another_alert') {
+        if (!userState.location || !userState.category) {
+            return {
+                type: "text",
+                text: {
+                    body: t(lang, 'alert.needDeals')
+                }
+            };
+        }
+        return createAlertTimeSelectionMessage(lang);
+    }
+    
+    // Handle alert time selection; "alert_time_12:00,18:00" picks lunch and dinner
     if (actionId.startsWith('alert_time_')) {
-        const time = actionId.replace('alert_time_', '');
-        console.log(`[LobangLah] User selected alert time: ${time}`);
+        const times = actionId.replace('alert_time_', '').split(',');
+        console.log(`[LobangLah] User selected alert times: ${times.join(', ')}`);
         
-        userState.preferredTime = time;
-        userState.step = 'alert_confirmation';
+        userState.alertTimes = times;
+        userState.preferredTime = times[0];
+        userState.step = 'alert_days';
         
         // Save session
         session.userState = userState;
@@ -970,13 +1145,54 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
         session.timestamp = Date.now();
         await updateSession(storeId, fromNumber, session);
         
-        return createAlertConfirmationMessage({
-            location: userState.location,
-            category: userState.category,
-            preferredTime: time,
-            phoneNumber: fromNumber,
-            storeId: storeId
-        });
+        return createAlertDaysSelectionMessage(times, lang);
+    }
+    
+    // Handle alert days selection, which creates the alert
+    if (actionId.startsWith('alert_days_')) {
+        const days = actionId.replace('alert_days_', '');
+        console.log(`[LobangLah] User selected alert days: ${days}`);
+        
+        if (!userState.location || !userState.category || !ALERT_DAY_PRESETS[days]) {
+            return {
+                type: "text",
+                text: {
+                    body: t(lang, 'alert.needDeals')
+                }
+            };
+        }
+        
+        try {
+            const alert = await createDailyAlert({
+                userId: fromNumber,
+                phoneNumber: fromNumber,
+                storeId: storeId,
+                location: userState.location,
+                category: userState.category,
+                schedule: { times: userState.alertTimes || [userState.preferredTime], days },
+                timezone: DEFAULT_ALERT_TIMEZONE,
+                language: lang
+            });
+            
+            userState.step = 'alert_created';
+            
+            // Save session
+            session.userState = userState;
+            session.lastInteraction = 'alert_created';
+            session.timestamp = Date.now();
+            await updateSession(storeId, fromNumber, session);
+            
+            return createAlertConfirmationMessage(alert, lang);
+            
+        } catch (error) {
+            console.error(`[LobangLah] Error creating alert:`, error);
+            return {
+                type: "text",
+                text: {
+                    body: t(lang, 'alert.createError')
+                }
+            };
+        }
     }
     
     // Handle alert confirmation
@@ -991,8 +1207,9 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
                 storeId: storeId,
                 location: userState.location,
                 category: userState.category,
-                preferredTime: userState.preferredTime || '09:00',
-                timezone: 'Asia/Singapore'
+                schedule: { times: userState.alertTimes || [userState.preferredTime], days: 'daily' },
+                timezone: DEFAULT_ALERT_TIMEZONE,
+                language: lang
             };
             
             const alert = await createDailyAlert(alertData);
@@ -1008,7 +1225,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
             return {
                 type: "text",
                 text: {
-                    body: `🔔 **Daily Alert Created!**\n\n✅ You'll receive daily ${userState.category} deals near ${userState.location.displayName} at ${userState.preferredTime}.\n\n📱 **Alert Details:**\n• Location: ${userState.location.displayName}\n• Category: ${userState.category}\n• Time: ${userState.preferredTime}\n• Status: Active\n\n💡 Type "manage alerts" to view or modify your alerts.`
+                    body: t(lang, 'alert.created', { category: getCategoryName(lang, userState.category), location: userState.location.displayName, time: userState.preferredTime })
                 }
             };
             
@@ -1017,7 +1234,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
             return {
                 type: "text",
                 text: {
-                    body: "❌ Sorry lah! I had trouble setting up your daily alert. Please try again later."
+                    body: t(lang, 'alert.createError')
                 }
             };
         }
@@ -1034,19 +1251,19 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
                 return {
                     type: "text",
                     text: {
-                        body: "📱 **No Active Alerts**\n\nYou don't have any daily alerts set up yet.\n\n💡 To create an alert:\n1. Search for deals in your preferred location\n2. Click 'Set Daily Alert' button\n3. Choose your preferred time\n\n🔔 Daily alerts will send you the best deals automatically!"
+                        body: t(lang, 'alert.none')
                     }
                 };
             }
             
-            return await createAlertManagementMessage(fromNumber, storeId);
+            return await createAlertManagementMessage(fromNumber, storeId, lang);
             
         } catch (error) {
             console.error(`[LobangLah] Error getting user alerts:`, error);
             return {
                 type: "text",
                 text: {
-                    body: "❌ Sorry lah! I had trouble loading your alerts. Please try again later."
+                    body: t(lang, 'alert.loadError')
                 }
             };
         }
@@ -1063,7 +1280,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
             return {
                 type: "text",
                 text: {
-                    body: "🔕 **Alert Deactivated**\n\n✅ Your daily alert has been turned off.\n\n💡 You can set up new alerts anytime by searching for deals and clicking 'Set Daily Alert'."
+                    body: t(lang, 'alert.deactivated')
                 }
             };
             
@@ -1072,7 +1289,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
             return {
                 type: "text",
                 text: {
-                    body: "❌ Sorry lah! I had trouble deactivating your alert. Please try again later."
+                    body: t(lang, 'alert.deactivateError')
                 }
             };
         }
@@ -1088,7 +1305,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
             return {
                 type: "text",
                 text: {
-                    body: "❌ Sorry lah! Location service not available. Please try sharing your GPS location instead."
+                    body: t(lang, 'location.serviceUnavailable')
                 }
             };
         }
@@ -1100,7 +1317,7 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
                 return {
                     type: "text",
                     text: {
-                        body: "❌ Sorry lah! Couldn't get location details. Please try again."
+                        body: t(lang, 'location.detailsFailedShort')
                     }
                 };
             }
@@ -1118,48 +1335,12 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
             };
             userState.step = 'location_confirmed';
             
+            if (userState.dealQuery?.category) {
+                return await searchWithDealQueryCategory(storeId, fromNumber, userState, botConfig, session);
+            }
+            
             // Create category selection message
-            const categoryMessage = {
-                type: 'interactive',
-                interactive: {
-                    type: 'button',
-                    header: {
-                        type: 'text',
-                        text: `📍 ${locationDetails.name}`
-                    },
-                    body: {
-                        text: `🎉 Perfect! I found ${locationDetails.name} in ${locationDetails.area || 'Singapore'}.\n\nWhat kind of amazing deals should I find for you today?`
-                    },
-                    footer: {
-                        text: 'Choose your deal category'
-                    },
-                    action: {
-                        buttons: [
-                            {
-                                type: 'reply',
-                                reply: {
-                                    id: 'search_food_deals',
-                                    title: '🍽️ Food & Dining'
-                                }
-                            },
-                            {
-                                type: 'reply',
-                                reply: {
-                                    id: 'search_events_deals',
-                                    title: '🎉 Events'
-                                }
-                            },
-                            {
-                                type: 'reply',
-                                reply: {
-                                    id: 'search_fashion_deals',
-                                    title: '👗 Fashion'
-                                }
-                            }
-                        ]
-                    }
-                }
-            };
+            const categoryMessage = createCategoryPromptMessage(lang, 'location.searchPicked', locationDetails.name, locationDetails.area);
             
             // Save session
             session.userState = userState;
@@ -1174,14 +1355,14 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
             return {
                 type: "text",
                 text: {
-                    body: "❌ Sorry lah! I had trouble getting location details. Please try again or share your GPS location."
+                    body: t(lang, 'location.detailsError')
                 }
             };
         }
     }
     
     // Default: Show welcome message
-    return createWelcomeMessage();
+    return createWelcomeMessage(lang);
 }
 
 /**
@@ -1189,44 +1370,20 @@ async function handleInteractiveMessage(storeId, fromNumber, interactiveData, us
  */
 async function handleLocationMessage(storeId, fromNumber, locationData, userState, botConfig, session) {
     console.log(`[LobangLah] Processing location message with Google + Weather:`, locationData);
+    const lang = session.language;
     
     // Add user location to conversation history
     session.conversation.push({ role: 'user', content: `Shared location: ${locationData.latitude}, ${locationData.longitude}` });
     
     try {
-        // Get location details from Google Maps API
-        const googleMapsApiKey = botConfig?.googleMapsApiKey || process.env.GOOGLE_MAPS_API_KEY;
-        let locationResult = null;
-        
-        if (googleMapsApiKey) {
-            try {
-                // Reverse geocode to get location name
-                const { searchNearbyPlaces } = await import('../utils/googleLocationUtils.js');
-                const nearbyPlaces = await searchNearbyPlaces(locationData.latitude, locationData.longitude, googleMapsApiKey);
-                
-                if (nearbyPlaces && nearbyPlaces.length > 0) {
-                    const nearestPlace = nearbyPlaces[0];
-                    locationResult = {
-                        displayName: nearestPlace.displayName?.text || nearestPlace.displayName || 'Your Location',
-                        latitude: locationData.latitude,
-                        longitude: locationData.longitude,
-                        area: nearestPlace.area || 'Singapore',
-                        source: 'gps_with_google'
-                    };
-                }
-            } catch (error) {
-                console.log(`[LobangLah] Google Maps API error, using basic location:`, error.message);
-            }
-        }
-        
-        // Fallback to basic location if Google Maps fails
+        // Name the location (gazetteer, then Google reverse geocoding)
+        const locationResult = await resolveCoordinates(locationData.latitude, locationData.longitude, botConfig);
         if (!locationResult) {
-            locationResult = {
-                displayName: 'Your Location',
-                latitude: locationData.latitude,
-                longitude: locationData.longitude,
-                area: 'Singapore',
-                source: 'gps_basic'
+            return {
+                type: "text",
+                text: {
+                    body: t(lang, 'location.notInSingapore')
+                }
             };
         }
         
@@ -1236,58 +1393,24 @@ async function handleLocationMessage(storeId, fromNumber, locationData, userStat
             latitude: locationData.latitude,
             longitude: locationData.longitude,
             displayName: locationResult.displayName,
-            area: locationResult.area,
+            formattedAddress: locationResult.formattedAddress,
+            area: locationResult.area || 'Singapore',
+            postalCode: locationResult.postalCode,
             source: 'gps'
         };
         userState.step = 'location_confirmed';
         
         console.log(`[LobangLah] Location stored: ${locationResult.displayName} (${locationData.latitude}, ${locationData.longitude})`);
         
+        if (userState.dealQuery?.category) {
+            return await searchWithDealQueryCategory(storeId, fromNumber, userState, botConfig, session);
+        }
+        
         // Generate location weather message
-        const locationWeatherMessage = await generateLocationWeatherMessage(locationResult, botConfig);
+        const locationWeatherMessage = await generateLocationWeatherMessage(locationResult, botConfig, lang);
         
         // Create category selection message
-        const categoryMessage = {
-            type: 'interactive',
-            interactive: {
-                type: 'button',
-                header: {
-                    type: 'text',
-                    text: `📍 ${locationResult.displayName}`
-                },
-                body: {
-                    text: `🎉 Location confirmed! I found ${locationResult.displayName} in ${locationResult.area}.\n\nWhat kind of amazing deals should I find for you today?`
-                },
-                footer: {
-                    text: 'Choose your deal category'
-                },
-                action: {
-                    buttons: [
-                        {
-                            type: 'reply',
-                            reply: {
-                                id: 'search_food_deals',
-                                title: '🍽️ Food & Dining'
-                            }
-                        },
-                        {
-                            type: 'reply',
-                            reply: {
-                                id: 'search_events_deals',
-                                title: '🎉 Events'
-                            }
-                        },
-                        {
-                            type: 'reply',
-                            reply: {
-                                id: 'search_fashion_deals',
-                                title: '👗 Fashion'
-                            }
-                        }
-                    ]
-                }
-            }
-        };
+        const categoryMessage = createCategoryPromptMessage(lang, 'location.gpsConfirmed', locationResult.displayName, userState.location.area);
         
         // Save session
         session.userState = userState;
@@ -1302,7 +1425,7 @@ async function handleLocationMessage(storeId, fromNumber, locationData, userStat
         return {
             type: "text",
             text: {
-                body: "❌ Sorry, I had trouble processing your location. Please try again!"
+                body: t(lang, 'location.processingError')
             }
         };
     }
@@ -1311,7 +1434,7 @@ async function handleLocationMessage(storeId, fromNumber, locationData, userStat
 /**
  * Generate location weather message
  */
-async function generateLocationWeatherMessage(locationResult, botConfig) {
+async function generateLocationWeatherMessage(locationResult, botConfig, lang = 'en') {
     try {
         // Try to get weather data
         const weatherApiKey = botConfig?.weatherApiKey || process.env.WEATHER_API_KEY;
@@ -1324,7 +1447,13 @@ async function generateLocationWeatherMessage(locationResult, botConfig) {
                     return {
                         type: "text",
                         text: {
-                            body: `📍 **Location:** ${locationResult.displayName}\n🌡️ **Weather:** ${weatherData.current.temp_c}°C, ${weatherData.current.condition.text}\n💨 **Wind:** ${weatherData.current.wind_kph} km/h\n💧 **Humidity:** ${weatherData.current.humidity}%\n\n🎯 Perfect weather for deal hunting!`
+                            body: t(lang, 'weather.summary', {
+                                name: locationResult.displayName,
+                                temperature: weatherData.current.temp_c,
+                                condition: weatherData.current.condition.text,
+                                wind: weatherData.current.wind_kph,
+                                humidity: weatherData.current.humidity
+                            })
                         }
                     };
                 }
@@ -1334,22 +1463,22 @@ async function generateLocationWeatherMessage(locationResult, botConfig) {
         }
         
         // Fallback without weather
-        return createFallbackLocationWeatherMessage(locationResult);
+        return createFallbackLocationWeatherMessage(locationResult, lang);
         
     } catch (error) {
         console.error(`[LobangLah] Error generating location weather message:`, error);
-        return createFallbackLocationWeatherMessage(locationResult);
+        return createFallbackLocationWeatherMessage(locationResult, lang);
     }
 }
 
 /**
  * Create fallback location weather message
  */
-function createFallbackLocationWeatherMessage(locationResult) {
+function createFallbackLocationWeatherMessage(locationResult, lang = 'en') {
     return {
         type: "text",
         text: {
-            body: `📍 **Location confirmed:** ${locationResult.displayName}\n\n🎯 Ready to find amazing deals near you!`
+            body: t(lang, 'weather.fallback', { name: locationResult.displayName })
         }
     };
 }
@@ -1358,6 +1487,10 @@ function createFallbackLocationWeatherMessage(locationResult) {
  * Search and send deals
  */
 async function searchAndSendDeals(storeId, fromNumber, userState, botConfig, session) {
+    const lang = session.language;
+    // A parsed free-text query applies to this search only
+    const dealQuery = userState.dealQuery || null;
+    userState.dealQuery = null;
     try {
         console.log(`[LobangLah] Searching for ${userState.category} deals near ${userState.location.displayName}`);
         
@@ -1365,15 +1498,28 @@ async function searchAndSendDeals(storeId, fromNumber, userState, botConfig, ses
         const acknowledgmentMessage = {
             type: "text",
             text: {
-                body: "🔍 Searching for amazing deals... This may take a moment! ⏳"
+                body: dealQuery ? t(lang, 'query.searching', { summary: describeDealQuery(dealQuery, lang) }) : t(lang, 'deals.searching')
             }
         };
         
         await sendWhatsAppMessage(storeId, fromNumber, acknowledgmentMessage, botConfig);
         
-        // Search for deals using OpenAI and Google Places
-        const { searchDealsWithOpenAI } = await import('../utils/dealsUtils.js');
-        const deals = await searchDealsWithOpenAI(userState.location, userState.category, botConfig);
+        // Search for deals across the store's enabled deal sources, personalised by past interactions
+        // and the user's dietary preferences
+        const { searchDealSources } = await import('../services/dealSources.js');
+        const [profile, userProfile] = await Promise.all([
+            getUserPreferenceProfile(fromNumber),
+            getUserProfile(fromNumber),
+            trackDealSearch(fromNumber, userState.category, userState.location)
+        ]);
+        const deals = await searchDealSources({
+            location: userState.location,
+            category: userState.category,
+            clickHistory: session.dealClicks,
+            profile,
+            dealQuery,
+            dietary: userProfile.dietary
+        }, botConfig);
         
         if (deals && deals.length > 0) {
             // Store deals in user state for chat context
@@ -1398,7 +1544,8 @@ async function searchAndSendDeals(storeId, fromNumber, userState, botConfig, ses
             
             // Create catalog-based product list message (single message with all deals)
             const { createCatalogDealsMessage } = await import('../utils/catalogUtils.js');
-            const catalogMessages = await createCatalogDealsMessage(deals, userState.category, botConfig);
+            const displayDeals = await localizeDeals(deals, lang, botConfig);
+            const catalogMessages = await createCatalogDealsMessage(displayDeals, userState.category, botConfig, lang);
             
             for (const catalogMessage of catalogMessages) {
                 await sendWhatsAppMessage(storeId, fromNumber, catalogMessage, botConfig);
@@ -1412,13 +1559,13 @@ async function searchAndSendDeals(storeId, fromNumber, userState, botConfig, ses
                     type: 'button',
                     header: {
                         type: 'text',
-                        text: `🎉 Found ${deals.length} ${userState.category} deals!`
+                        text: t(lang, 'deals.foundHeader', { count: deals.length, category: getCategoryName(lang, userState.category) })
                     },
                     body: {
-                        text: `I found ${deals.length} amazing ${userState.category} deals near ${userState.location.displayName}!\n\n💬 Want to chat about these deals, find more, or set up daily alerts?`
+                        text: t(lang, 'deals.foundBody', { count: deals.length, category: getCategoryName(lang, userState.category), location: userState.location.displayName })
                     },
                     footer: {
-                        text: 'Choose an option'
+                        text: t(lang, 'footer.chooseOption')
                     },
                     action: {
                         buttons: [
@@ -1426,21 +1573,21 @@ async function searchAndSendDeals(storeId, fromNumber, userState, botConfig, ses
                                 type: 'reply',
                                 reply: {
                                     id: 'chat_ai',
-                                    title: '🤖 Chat AI'
+                                    title: t(lang, 'button.chatAi')
                                 }
                             },
                             {
                                 type: 'reply',
                                 reply: {
                                     id: 'more_deals',
-                                    title: '🔍 More Deals'
+                                    title: t(lang, 'button.moreDeals')
                                 }
                             },
                             {
                                 type: 'reply',
                                 reply: {
                                     id: 'setup_alert',
-                                    title: '🔔 Set Daily Alert'
+                                    title: t(lang, 'button.setDailyAlert')
                                 }
                             }
                         ]
@@ -1457,7 +1604,7 @@ async function searchAndSendDeals(storeId, fromNumber, userState, botConfig, ses
             return {
                 type: "text",
                 text: {
-                    body: "😅 Sorry, I couldn't find any deals at the moment. Please try a different category or location!"
+                    body: t(lang, 'deals.none')
                 }
             };
         }
@@ -1466,7 +1613,7 @@ async function searchAndSendDeals(storeId, fromNumber, userState, botConfig, ses
         return {
             type: "text",
             text: {
-                body: "❌ Sorry, I had trouble searching for deals. Please try again in a moment!"
+                body: t(lang, 'deals.searchError')
             }
         };
     }
@@ -1477,19 +1624,41 @@ async function searchAndSendDeals(storeId, fromNumber, userState, botConfig, ses
  */
 async function handleTextMessage(storeId, fromNumber, messageBody, userState, botConfig, session) {
     console.log(`[LobangLah] Processing text message: "${messageBody}"`);
+    const lang = session.language;
+    
+    // Language picker / direct switch ("language", "bahasa", "中文", ...)
+    const languageCommand = parseLanguageCommand(messageBody);
+    if (languageCommand === 'menu') {
+        return createLanguageSelectionMessage(lang);
+    }
+    if (languageCommand) {
+        session.language = languageCommand;
+        return msg.text(t(session.language, 'language.changed')).build();
+    }
+    
+    // "saved", "my saved deals", "favourites"
+    if (/^(my )?(saved( deals)?|favou?rites?)$/i.test(messageBody.trim())) {
+        return createSavedDealsListMessage(pruneExpiredSavedDeals(session.savedDeals), lang);
+    }
+    
+    // "diet", "dietary", "dietary preferences"
+    if (/^(diet|dietary( (preferences?|settings))?)$/i.test(messageBody.trim())) {
+        const userProfile = await getUserProfile(fromNumber);
+        return createDietaryPreferencesMessage(userProfile.dietary, lang);
+    }
     
     // Add user message to conversation history
     session.conversation.push({ role: 'user', content: messageBody });
     
     // Check if this is a genuine first message or a continuation
     const isFirstMessage = session.conversation.length <= 1;
-    const isGreeting = /^(hi|hello|hey|good morning|good afternoon|good evening|sup|yo|greetings)$/i.test(messageBody.trim());
+    const isGreeting = /^(hi|hello|hey|good morning|good afternoon|good evening|sup|yo|greetings|hai|apa khabar|selamat (pagi|petang|malam)|vanakkam|你好|您好|வணக்கம்)$/i.test(messageBody.trim());
     
     // If this is a first message with a greeting, show welcome message regardless of state
     if (isFirstMessage && isGreeting) {
         console.log(`[LobangLah] First greeting message detected: "${messageBody}"`);
         userState.step = 'welcome';
-        return createConsistentWelcomeMessage(messageBody);
+        return createConsistentWelcomeMessage(messageBody, lang);
     }
     
     // If user sends a greeting and has been inactive for a while, reset to welcome
@@ -1505,7 +1674,8 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             userState.category = null;
             userState.lastDeals = null;
             userState.chatContext = null;
-            return createConsistentWelcomeMessage(messageBody);
+            userState.dealQuery = null;
+            return createConsistentWelcomeMessage(messageBody, lang);
         }
     }
     
@@ -1516,6 +1686,11 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
         // Treat any text as a location search when in popular locations flow
         userState.step = 'location_search';
         
+        const route = await applyMrtRoute(storeId, fromNumber, messageBody, userState, botConfig, session);
+        if (route) {
+            return route.reply;
+        }
+        
         // Enhance the search query with AI
         const enhancedQuery = await enhanceLocationSearchWithAI(messageBody, botConfig);
         console.log(`[LobangLah] Enhanced query: "${enhancedQuery}"`);
@@ -1526,7 +1701,7 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             return {
                 type: "text",
                 text: {
-                    body: "❌ Sorry lah! Location service not available. Please try sharing your GPS location instead."
+                    body: t(lang, 'location.serviceUnavailable')
                 }
             };
         }
@@ -1538,93 +1713,13 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             console.log(`[LobangLah] Found ${suggestions.length} suggestions`);
         } catch (error) {
             if (error.message === 'Location not in Singapore') {
-                return {
-                    type: "interactive",
-                    interactive: {
-                        type: "button",
-                        header: {
-                            type: "text",
-                            text: "🌍 Singapore Only"
-                        },
-                        body: {
-                            text: `📍 "${messageBody}" is not a Singapore location.\n\n🌍 **This bot only works in Singapore.**\n\nPlease try a Singapore location or share your GPS location.`
-                        },
-                        footer: {
-                            text: "Choose an option"
-                        },
-                        action: {
-                            buttons: [
-                                {
-                                    type: "reply",
-                                    reply: {
-                                        id: "share_location_prompt",
-                                        title: "📍 Share"
-                                    }
-                                },
-                                {
-                                    type: "reply",
-                                    reply: {
-                                        id: "search_location_prompt",
-                                        title: "🔍 Search"
-                                    }
-                                },
-                                {
-                                    type: "reply",
-                                    reply: {
-                                        id: "popular_places",
-                                        title: "🏢 Popular Places"
-                                    }
-                                }
-                            ]
-                        }
-                    }
-                };
+                return createSingaporeOnlyMessage(lang, messageBody);
             }
             throw error;
         }
         
         if (suggestions.length === 0) {
-            return {
-                type: "interactive",
-                interactive: {
-                    type: "button",
-                    header: {
-                        type: "text",
-                        text: "🔍 Location Not Found"
-                    },
-                    body: {
-                        text: `❌ Sorry lah! Couldn't find "${messageBody}" in Singapore.\n\n🌍 **This bot only works in Singapore.**\n\nPlease try a different approach.`
-                    },
-                    footer: {
-                        text: "Choose an option"
-                    },
-                    action: {
-                        buttons: [
-                            {
-                                type: "reply",
-                                reply: {
-                                    id: "share_location_prompt",
-                                    title: "📍 Share"
-                                }
-                            },
-                            {
-                                type: "reply",
-                                reply: {
-                                    id: "search_location_prompt",
-                                    title: "🔍 Search"
-                                }
-                            },
-                            {
-                                type: "reply",
-                                reply: {
-                                    id: "popular_places",
-                                    title: "🏢 Popular Places"
-                                }
-                            }
-                        ]
-                    }
-                }
-            };
+            return createLocationNotFoundMessage(lang, messageBody);
         }
         
         // Create search results message
@@ -1651,8 +1746,18 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
         userState.searchSession = null;
         userState.step = 'location_search';
         
+        const route = await applyMrtRoute(storeId, fromNumber, messageBody, userState, botConfig, session);
+        if (route) {
+            return route.reply;
+        }
+        
+        const { locationText, reply } = await applyDealQuery(storeId, fromNumber, messageBody, userState, botConfig, session, { keepCurrentQuery: true });
+        if (!locationText) {
+            return reply;
+        }
+        
         // Enhance the search query with AI
-        const enhancedQuery = await enhanceLocationSearchWithAI(messageBody, botConfig);
+        const enhancedQuery = await enhanceLocationSearchWithAI(locationText, botConfig);
         console.log(`[LobangLah] Enhanced query: "${enhancedQuery}"`);
         
         // Search for locations using combination of AI and Google Maps API
@@ -1661,7 +1766,7 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             return {
                 type: "text",
                 text: {
-                    body: "❌ Sorry lah! Location service not available. Please try sharing your GPS location instead."
+                    body: t(lang, 'location.serviceUnavailable')
                 }
             };
         }
@@ -1673,93 +1778,13 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             console.log(`[LobangLah] Found ${suggestions.length} suggestions`);
         } catch (error) {
             if (error.message === 'Location not in Singapore') {
-                return {
-                    type: "interactive",
-                    interactive: {
-                        type: "button",
-                        header: {
-                            type: "text",
-                            text: "🌍 Singapore Only"
-                        },
-                        body: {
-                            text: `📍 "${messageBody}" is not a Singapore location.\n\n🌍 **This bot only works in Singapore.**\n\nPlease try a Singapore location or share your GPS location.`
-                        },
-                        footer: {
-                            text: "Choose an option"
-                        },
-                        action: {
-                            buttons: [
-                                {
-                                    type: "reply",
-                                    reply: {
-                                        id: "share_location_prompt",
-                                        title: "📍 Share"
-                                    }
-                                },
-                                {
-                                    type: "reply",
-                                    reply: {
-                                        id: "search_location_prompt",
-                                        title: "🔍 Search"
-                                    }
-                                },
-                                {
-                                    type: "reply",
-                                    reply: {
-                                        id: "popular_places",
-                                        title: "🏢 Popular Places"
-                                    }
-                                }
-                            ]
-                        }
-                    }
-                };
+                return createSingaporeOnlyMessage(lang, messageBody);
             }
             throw error;
         }
         
         if (suggestions.length === 0) {
-            return {
-                type: "interactive",
-                interactive: {
-                    type: "button",
-                    header: {
-                        type: "text",
-                        text: "🔍 Location Not Found"
-                    },
-                    body: {
-                        text: `❌ Sorry lah! Couldn't find "${messageBody}" in Singapore.\n\n🌍 **This bot only works in Singapore.**\n\nPlease try a different approach.`
-                    },
-                    footer: {
-                        text: "Choose an option"
-                    },
-                    action: {
-                        buttons: [
-                            {
-                                type: "reply",
-                                reply: {
-                                    id: "share_location_prompt",
-                                    title: "📍 Share"
-                                }
-                            },
-                            {
-                                type: "reply",
-                                reply: {
-                                    id: "search_location_prompt",
-                                    title: "🔍 Search"
-                                }
-                            },
-                            {
-                                type: "reply",
-                                reply: {
-                                    id: "popular_places",
-                                    title: "🏢 Popular Places"
-                                }
-                            }
-                        ]
-                    }
-                }
-            };
+            return createLocationNotFoundMessage(lang, messageBody);
         }
         
         // Create search results message
@@ -1803,8 +1828,19 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             console.log(`[LobangLah] Detected location search query: "${messageBody}"`);
             userState.step = 'location_search';
             
+            const route = await applyMrtRoute(storeId, fromNumber, messageBody, userState, botConfig, session);
+            if (route) {
+                return route.reply;
+            }
+            
+            // Budget, time, party size and dietary needs ride along to the deal search
+            const { locationText, reply } = await applyDealQuery(storeId, fromNumber, messageBody, userState, botConfig, session);
+            if (!locationText) {
+                return reply;
+            }
+            
             // Enhance the search query with AI
-            const enhancedQuery = await enhanceLocationSearchWithAI(messageBody, botConfig);
+            const enhancedQuery = await enhanceLocationSearchWithAI(locationText, botConfig);
             console.log(`[LobangLah] Enhanced query: "${enhancedQuery}"`);
             
             // Search for locations
@@ -1814,7 +1850,7 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
                 return {
                     type: "text",
                     text: {
-                        body: "❌ Sorry lah! Location service not available. Please try sharing your GPS location instead."
+                        body: t(lang, 'location.serviceUnavailable')
                     }
                 };
             }
@@ -1824,47 +1860,7 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
                 console.log(`[LobangLah] Found ${suggestions.length} suggestions for "${enhancedQuery}"`);
                 
                 if (suggestions.length === 0) {
-                    return {
-                        type: "interactive",
-                        interactive: {
-                            type: "button",
-                            header: {
-                                type: "text",
-                                text: "🔍 Location Not Found"
-                            },
-                            body: {
-                                text: `❌ Sorry lah! Couldn't find "${messageBody}" in Singapore.\n\n🌍 **This bot only works in Singapore.**\n\nPlease try a different approach.`
-                            },
-                            footer: {
-                                text: "Choose an option"
-                            },
-                            action: {
-                                buttons: [
-                                    {
-                                        type: "reply",
-                                        reply: {
-                                            id: "share_location_prompt",
-                                            title: "📍 Share"
-                                        }
-                                    },
-                                    {
-                                        type: "reply",
-                                        reply: {
-                                            id: "search_location_prompt",
-                                            title: "🔍 Search"
-                                        }
-                                    },
-                                    {
-                                        type: "reply",
-                                        reply: {
-                                            id: "popular_places",
-                                            title: "🏢 Popular Places"
-                                        }
-                                    }
-                                ]
-                            }
-                        }
-                    };
+                    return createLocationNotFoundMessage(lang, messageBody);
                 }
                 
                 // Create location search results message
@@ -1881,47 +1877,7 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
                 
             } catch (error) {
                 if (error.message === 'Location not in Singapore') {
-                    return {
-                        type: "interactive",
-                        interactive: {
-                            type: "button",
-                            header: {
-                                type: "text",
-                                text: "🌍 Singapore Only"
-                            },
-                            body: {
-                                text: `📍 "${messageBody}" is not a Singapore location.\n\n🌍 **This bot only works in Singapore.**\n\nPlease try a Singapore location or share your GPS location.`
-                            },
-                            footer: {
-                                text: "Choose an option"
-                            },
-                            action: {
-                                buttons: [
-                                    {
-                                        type: "reply",
-                                        reply: {
-                                            id: "share_location_prompt",
-                                            title: "📍 Share"
-                                        }
-                                    },
-                                    {
-                                        type: "reply",
-                                        reply: {
-                                            id: "search_location_prompt",
-                                            title: "🔍 Search"
-                                        }
-                                    },
-                                    {
-                                        type: "reply",
-                                        reply: {
-                                            id: "popular_places",
-                                            title: "🏢 Popular Places"
-                                        }
-                                    }
-                                ]
-                            }
-                        }
-                    };
+                    return createSingaporeOnlyMessage(lang, messageBody);
                 }
                 throw error;
             }
@@ -1953,10 +1909,10 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             
             // Import createWelcomeMessage from dealsUtils
             const { createWelcomeMessage } = await import('../utils/dealsUtils.js');
-            const welcomeMessage = createWelcomeMessage();
+            const welcomeMessage = createWelcomeMessage(lang);
             
             // Add restart message to conversation
-            const restartText = "🔄 *Chat Session Restarted*\n\nYou've had 10 interactions! Let's start fresh to find you the best deals.";
+            const restartText = t(lang, 'chat.restarted');
             session.conversation.push({ role: 'assistant', content: restartText });
             
             return {
@@ -2009,16 +1965,16 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
                 
                 // Import createLocationMessage from dealsUtils
                 const { createLocationMessage } = await import('../utils/dealsUtils.js');
-                const locationMessage = createLocationMessage(targetDeal);
+                const locationMessage = createLocationMessage(targetDeal, lang);
                 
                 // Add response to conversation history
-                const responseText = `📍 Here's the location for ${targetDeal.businessName || targetDeal.restaurant || targetDeal.store || 'this deal'}!`;
+                const responseText = t(lang, 'chat.directionsFor', { name: targetDeal.businessName || targetDeal.restaurant || targetDeal.store || t(lang, 'chat.thisDeal') });
                 session.conversation.push({ role: 'assistant', content: responseText });
                 
                 return locationMessage;
             } else {
                 // No deals available, provide general response
-                const noLocationMessage = `📍 I'd love to help with directions, but I need to know which deal you're interested in!\n\n💬 Try asking like:\n• "Directions to the first deal"\n• "Where is [business name]?"\n• "How to get to deal #2"`;
+                const noLocationMessage = t(lang, 'chat.whichDeal');
                 
                 session.conversation.push({ role: 'assistant', content: noLocationMessage });
                 
@@ -2031,6 +1987,14 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             }
         }
         
+        // "Which one better ah?" - let them pick deals to compare side by side
+        if (/\bcompare\b|which (one )?(is )?better|which one (to|should)/.test(normalizedMessage) &&
+            (userState.lastDeals || []).length >= MIN_COMPARE_DEALS) {
+            console.log(`[LobangLah] User asking to compare deals in chat mode`);
+            userState.compareSelection = [];
+            return createComparePickerMessage(userState, lang);
+        }
+        
         // Check if user wants more deals
         if (normalizedMessage.includes('more deals') || normalizedMessage.includes('show more') || 
             normalizedMessage.includes('additional deals') || normalizedMessage.includes('other deals') ||
@@ -2055,14 +2019,15 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
                     userState.chatContext.deals = [...userState.chatContext.deals, ...moreDeals.slice(0, 3)];
                     
                     // Create catalog-based deal messages for the new deals
-                    const moreDealMessages = await createCatalogDealsMessage(moreDeals, userState.category, botConfig);
+                    const displayDeals = await localizeDeals(moreDeals, lang, botConfig);
+                    const moreDealMessages = await createCatalogDealsMessage(displayDeals, userState.category, botConfig, lang);
                     
                     // Send the new deals
                     for (const dealMessage of moreDealMessages) {
                         await sendWhatsAppMessage(storeId, fromNumber, dealMessage, botConfig);
                     }
                     
-                    const summaryMessage = `🎉 Found ${moreDeals.length} additional ${userState.category} deals near ${userState.chatContext.location}!\n\n💬 Ask me about these new deals or continue chatting about all your options!`;
+                    const summaryMessage = t(lang, 'chat.moreFound', { count: moreDeals.length, category: getCategoryName(lang, userState.category), location: userState.chatContext.location });
                     
                     session.conversation.push({ role: 'assistant', content: summaryMessage });
                     
@@ -2073,7 +2038,7 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
                         }
                     };
                 } else {
-                    const noMoreDealsMessage = `😔 Sorry, I couldn't find any additional ${userState.category} deals near ${userState.chatContext.location} that aren't already shown.\n\n💡 Try searching in a different area by sharing a new location, or ask me about the current deals!`;
+                    const noMoreDealsMessage = t(lang, 'chat.noMoreFound', { category: getCategoryName(lang, userState.category), location: userState.chatContext.location });
                     
                     session.conversation.push({ role: 'assistant', content: noMoreDealsMessage });
                     
@@ -2086,7 +2051,7 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
                 }
             } catch (error) {
                 console.error(`[LobangLah] Error searching for more deals:`, error);
-                const errorMessage = `🔍 I had trouble finding more deals right now. Let me help you with the current ${userState.category} deals instead!\n\n💬 Ask me which deal is best value, closest to you, or any other questions!`;
+                const errorMessage = t(lang, 'chat.moreError', { category: getCategoryName(lang, userState.category) });
                 
                 session.conversation.push({ role: 'assistant', content: errorMessage });
                 
@@ -2111,7 +2076,7 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             return {
                 type: "text",
                 text: {
-                    body: "👋 Chat mode ended! You can search for new deals by sharing your location or click the Chat AI button again to resume chatting about your current deals."
+                    body: t(lang, 'chat.ended')
                 }
             };
         }
@@ -2140,7 +2105,7 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             
             // Import createWelcomeMessage from dealsUtils
             const { createWelcomeMessage } = await import('../utils/dealsUtils.js');
-            return createWelcomeMessage();
+            return createWelcomeMessage(lang);
         }
         
         // Check if user wants to search in a different location
@@ -2158,21 +2123,20 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             userState.chatStartTime = null;
             userState.chatTimeoutWarned = false;
             
-            const categoryName = userState.category === 'food' ? 'food' : 
-                               userState.category === 'clothes' ? 'fashion' : 
-                               userState.category === 'groceries' ? 'groceries' : 'deals';
+            const categoryName = getCategoryName(lang, userState.category === 'clothes' ? 'fashion' :
+                               ['food', 'groceries'].includes(userState.category) ? userState.category : 'deals');
             
             return {
                 type: "text",
                 text: {
-                    body: `🔄 *Location Change Requested*\n\nLet's find ${categoryName} deals in a new area!\n\n📍 Please share your location to search for ${categoryName} deals near you.\n\n💡 Tap the 📎 attachment icon → Location → Send your current location`
+                    body: t(lang, 'chat.locationChange', { category: categoryName })
                 }
             };
         }
         
         try {
             // Pass full conversation history for personalized responses
-            const chatResponse = await generateChatResponse(messageBody, userState.chatContext, botConfig, session.conversation);
+            const chatResponse = await generateChatResponse(messageBody, userState.chatContext, botConfig, session.conversation, lang);
             
             // Add user question and bot response to conversation history
             session.conversation.push({ role: 'assistant', content: chatResponse });
@@ -2186,7 +2150,7 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
         } catch (error) {
             console.error(`[LobangLah] Error generating chat response:`, error);
             // Maintain session context - don't ask for postal code again
-            const errorResponse = `🤖 Sorry, I had trouble understanding your question about the ${userState.chatContext.category} deals near ${userState.chatContext.location}.\n\n💬 Please try asking again in a different way, like:\n• "Which deal is best value?"\n• "Tell me about the first deal"\n• "What's closest to me?"\n\n🎯 I'm ready to help with your ${userState.chatContext.category} deals!\n\n💡 Type "exit chat" to end chat mode.`;
+            const errorResponse = t(lang, 'chat.error', { category: getCategoryName(lang, userState.chatContext.category), location: userState.chatContext.location });
             
             // Add error response to conversation history
             session.conversation.push({ role: 'assistant', content: errorResponse });
@@ -2224,8 +2188,19 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
         console.log(`[LobangLah] Treating text as location search for deal finding: "${messageBody}"`);
         userState.step = 'location_search';
         
+        const route = await applyMrtRoute(storeId, fromNumber, messageBody, userState, botConfig, session);
+        if (route) {
+            return route.reply;
+        }
+        
+        // Budget, time, party size and dietary needs ride along to the deal search
+        const { locationText, reply } = await applyDealQuery(storeId, fromNumber, messageBody, userState, botConfig, session);
+        if (!locationText) {
+            return reply;
+        }
+        
         // Enhance the search query with AI
-        const enhancedQuery = await enhanceLocationSearchWithAI(messageBody, botConfig);
+        const enhancedQuery = await enhanceLocationSearchWithAI(locationText, botConfig);
         console.log(`[LobangLah] Enhanced query: "${enhancedQuery}"`);
         
         // Search for locations
@@ -2235,7 +2210,7 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             return {
                 type: "text",
                 text: {
-                    body: "❌ Sorry lah! Location service not available. Please try sharing your GPS location instead."
+                    body: t(lang, 'location.serviceUnavailable')
                 }
             };
         }
@@ -2245,47 +2220,7 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             console.log(`[LobangLah] Found ${suggestions.length} suggestions for "${enhancedQuery}"`);
             
             if (suggestions.length === 0) {
-                return {
-                    type: "interactive",
-                    interactive: {
-                        type: "button",
-                        header: {
-                            type: "text",
-                            text: "🔍 Location Not Found"
-                        },
-                        body: {
-                            text: `❌ Sorry lah! Couldn't find "${messageBody}" in Singapore.\n\n🌍 **This bot only works in Singapore.**\n\nPlease try a different approach.`
-                        },
-                        footer: {
-                            text: "Choose an option"
-                        },
-                        action: {
-                            buttons: [
-                                {
-                                    type: "reply",
-                                    reply: {
-                                        id: "share_location_prompt",
-                                        title: "📍 Share"
-                                    }
-                                },
-                                {
-                                    type: "reply",
-                                    reply: {
-                                        id: "search_location_prompt",
-                                        title: "🔍 Search"
-                                    }
-                                },
-                                {
-                                    type: "reply",
-                                    reply: {
-                                        id: "popular_places",
-                                        title: "🏢 Popular Places"
-                                    }
-                                }
-                            ]
-                        }
-                    }
-                };
+                return createLocationNotFoundMessage(lang, messageBody);
             }
             
             // Create location search results message
@@ -2302,47 +2237,7 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
             
         } catch (error) {
             if (error.message === 'Location not in Singapore') {
-                return {
-                    type: "interactive",
-                    interactive: {
-                        type: "button",
-                        header: {
-                            type: "text",
-                            text: "🌍 Singapore Only"
-                        },
-                        body: {
-                            text: `📍 "${messageBody}" is not a Singapore location.\n\n🌍 **This bot only works in Singapore.**\n\nPlease try a Singapore location or share your GPS location.`
-                        },
-                        footer: {
-                            text: "Choose an option"
-                        },
-                        action: {
-                            buttons: [
-                                {
-                                    type: "reply",
-                                    reply: {
-                                        id: "share_location_prompt",
-                                        title: "📍 Share"
-                                    }
-                                },
-                                {
-                                    type: "reply",
-                                    reply: {
-                                        id: "search_location_prompt",
-                                        title: "🔍 Search"
-                                    }
-                                },
-                                {
-                                    type: "reply",
-                                    reply: {
-                                        id: "popular_places",
-                                        title: "🏢 Popular Places"
-                                    }
-                                }
-                            ]
-                        }
-                    }
-                };
+                return createSingaporeOnlyMessage(lang, messageBody);
             }
             throw error;
         }
@@ -2350,11 +2245,11 @@ async function handleTextMessage(storeId, fromNumber, messageBody, userState, bo
         // If it's not a location query, show the welcome message
         console.log(`[LobangLah] Text not recognized as location search, showing welcome message`);
         try {
-            const welcomeMessage = createConsistentWelcomeMessage(messageBody);
+            const welcomeMessage = createConsistentWelcomeMessage(messageBody, lang);
             return welcomeMessage;
         } catch (error) {
             console.error(`[LobangLah] Error generating welcome message:`, error);
-            return createInteractiveWelcomeMessage(messageBody);
+            return createInteractiveWelcomeMessage(messageBody, lang);
         }
     }
 }
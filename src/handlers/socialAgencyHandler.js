@@ -1,5 +1,6 @@
 // Social Media Agency Handler - Viral Deal Collection & Performance Tracking
 import { sendWhatsAppMessage } from '../utils/whatsappUtils.js';
+import { msg } from '../utils/messageBuilder.js';
 import { DynamoDBClient, GetItemCommand, PutItemCommand, UpdateItemCommand, QueryCommand } from '@aws-sdk/client-dynamodb';
 import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
 import OpenAI from 'openai';
@@ -184,16 +185,7 @@ async function handleAgencyImageMessage(storeId, fromNumber, imageData, userStat
  * Create welcome message with service options
  */
 function createWelcomeMessage() {
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: { 
-                type: "text", 
-                text: "🔥 VIRAL SINGAPORE AGENCY" 
-            },
-            body: { 
-                text: `**Hello! We're your AI-powered viral marketing experts!** 🚀
+    return msg.buttons(`**Hello! We're your AI-powered viral marketing experts!** 🚀
 
 🎯 **What We Do:**
 ✅ Create viral content that gets 100K+ views
@@ -211,18 +203,14 @@ function createWelcomeMessage() {
 💵 Commission-based: Pay only for results!
 🏆 Singapore's most advanced viral system
 
-**Ready to make your restaurant go VIRAL across Singapore?**`
-            },
-            footer: { text: "Let's make you famous!" },
-            action: {
-                buttons: [
-                    { type: "reply", reply: { id: "post_new_deal", title: "🚀 Make Me Viral!" } },
-                    { type: "reply", reply: { id: "view_performance", title: "📊 Success Stories" } },
-                    { type: "reply", reply: { id: "commission_info", title: "💰 How It Works" } }
-                ]
-            }
-        }
-    };
+**Ready to make your restaurant go VIRAL across Singapore?**`)
+        .builtBy("createWelcomeMessage")
+        .header("🔥 VIRAL SINGAPORE AGENCY")
+        .footer("Let's make you famous!")
+        .button("post_new_deal", "🚀 Make Me Viral!")
+        .button("view_performance", "📊 Success Stories")
+        .button("commission_info", "💰 How It Works")
+        .build();
 }
 
 /**
@@ -281,13 +269,7 @@ async function handleRestaurantNameInput(restaurantName, userState, botConfig) {
             
             userState.step = 'confirm_restaurant';
             
-            return {
-                type: "interactive",
-                interactive: {
-                    type: "button",
-                    header: { type: "text", text: "🎯 RESTAURANT LOCKED & LOADED!" },
-                    body: { 
-                        text: `🔥 **PERFECT! Our AI found your restaurant!**
+            return msg.buttons(`🔥 **PERFECT! Our AI found your restaurant!**
 
 🏪 **${restaurant.name}**
 📍 ${restaurant.formatted_address}
@@ -298,17 +280,13 @@ async function handleRestaurantNameInput(restaurantName, userState, botConfig) {
 ✅ **Location data acquired for viral targeting!**
 📊 **Now we can create location-specific content!**
 
-**Is this your restaurant?**`
-                    },
-                    footer: { text: "Confirm or search again" },
-                    action: {
-                        buttons: [
-                            { type: "reply", reply: { id: "confirm_restaurant", title: "✅ Correct" } },
-                            { type: "reply", reply: { id: "change_restaurant", title: "🔄 Search Again" } }
-                        ]
-                    }
-                }
-            };
+**Is this your restaurant?**`)
+                .builtBy("handleRestaurantNameInput")
+                .header("🎯 RESTAURANT LOCKED & LOADED!")
+                .footer("Confirm or search again")
+                .button("confirm_restaurant", "✅ Correct")
+                .button("change_restaurant", "🔄 Search Again")
+                .build();
         } else {
             return {
                 type: "text",
@@ -441,23 +419,13 @@ function createSpecialNotesMessage() {
 function createDealSummaryMessage(dealData) {
     const restaurant = dealData.restaurant;
     
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: { type: "text", text: "📋 Deal Summary" },
-            body: { 
-                text: `🏪 **${restaurant.name}**\n📍 ${restaurant.address}\n\n💰 **Deal:** ${dealData.description}\n💵 **Pricing:** ${dealData.pricing}\n📅 **Valid:** ${dealData.validity}\n🎯 **Target:** ${dealData.targetAudience}\n📞 **Contact:** ${dealData.contactMethod}\n📝 **Notes:** ${dealData.specialNotes || 'None'}\n\n🚀 **Ready to make this VIRAL?**\n\nWe'll post across all platforms and track performance in real-time!`
-            },
-            footer: { text: "Confirm or edit details" },
-            action: {
-                buttons: [
-                    { type: "reply", reply: { id: "confirm_deal_details", title: "🚀 Make It Viral!" } },
-                    { type: "reply", reply: { id: "edit_deal_details", title: "✏️ Edit Details" } }
-                ]
-            }
-        }
-    };
+    return msg.buttons(`🏪 **${restaurant.name}**\n📍 ${restaurant.address}\n\n💰 **Deal:** ${dealData.description}\n💵 **Pricing:** ${dealData.pricing}\n📅 **Valid:** ${dealData.validity}\n🎯 **Target:** ${dealData.targetAudience}\n📞 **Contact:** ${dealData.contactMethod}\n📝 **Notes:** ${dealData.specialNotes || 'None'}\n\n🚀 **Ready to make this VIRAL?**\n\nWe'll post across all platforms and track performance in real-time!`)
+        .builtBy("createDealSummaryMessage")
+        .header("📋 Deal Summary")
+        .footer("Confirm or edit details")
+        .button("confirm_deal_details", "🚀 Make It Viral!")
+        .button("edit_deal_details", "✏️ Edit Details")
+        .build();
 }
 
 /**
@@ -563,16 +531,7 @@ ${platformPreview}${mediaPreview}
         };
     }
 
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: { 
-                type: "text", 
-                text: "📋 Content Preview & Approval" 
-            },
-            body: { 
-                text: `🎨 **Generated Viral Content for ${restaurant.name}**
+    return msg.buttons(`🎨 **Generated Viral Content for ${restaurant.name}**
 
 ${platformPreview}
 
@@ -584,18 +543,14 @@ ${platformPreview}
 
 🎯 **Estimated Reach:** 20K-100K people
 
-**Do you approve this content for viral posting?**`
-            },
-            footer: { text: "Your approval required" },
-            action: {
-                buttons: [
-                    { type: "reply", reply: { id: "approve_content", title: "✅ Approve & Post" } },
-                    { type: "reply", reply: { id: "regenerate_content", title: "🔄 Regenerate" } },
-                    { type: "reply", reply: { id: "edit_deal_details", title: "✏️ Edit Deal Info" } }
-                ]
-            }
-        }
-    };
+**Do you approve this content for viral posting?**`)
+        .builtBy("createContentApprovalMessage")
+        .header("📋 Content Preview & Approval")
+        .footer("Your approval required")
+        .button("approve_content", "✅ Approve & Post")
+        .button("regenerate_content", "🔄 Regenerate")
+        .button("edit_deal_details", "✏️ Edit Deal Info")
+        .build();
 }
 
 /**
@@ -605,34 +560,21 @@ function createApprovalButtonsMessage(dealData) {
     const content = dealData.generatedContent;
     const restaurant = dealData.restaurant;
     
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: { 
-                type: "text", 
-                text: "📋 Approval Required" 
-            },
-            body: { 
-                text: `🎨 **Viral content ready for ${restaurant.name}**
+    return msg.buttons(`🎨 **Viral content ready for ${restaurant.name}**
 
 📊 **Performance Estimate:**
 • Reach: 20K-100K people
 • Platforms: 8+ social channels
 • Commission: $50-$500 based on viral success
 
-**Do you approve this content for viral posting?**`
-            },
-            footer: { text: "Your approval required before posting" },
-            action: {
-                buttons: [
-                    { type: "reply", reply: { id: "approve_content", title: "✅ Approve & Post" } },
-                    { type: "reply", reply: { id: "regenerate_content", title: "🔄 Regenerate" } },
-                    { type: "reply", reply: { id: "edit_deal_details", title: "✏️ Edit Deal Info" } }
-                ]
-            }
-        }
-    };
+**Do you approve this content for viral posting?**`)
+        .builtBy("createApprovalButtonsMessage")
+        .header("📋 Approval Required")
+        .footer("Your approval required before posting")
+        .button("approve_content", "✅ Approve & Post")
+        .button("regenerate_content", "🔄 Regenerate")
+        .button("edit_deal_details", "✏️ Edit Deal Info")
+        .build();
 }
 
 /**
@@ -2,7 +2,7 @@
 // Forcing redeploy for ES module package.json change.
 // Attempting forced redeploy to resolve ES module issue - 2025-06-19
 const crypto = require('crypto'); // For signature validation
-const { DynamoDBClient, GetItemCommand, PutItemCommand, UpdateItemCommand, ScanCommand } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBClient, GetItemCommand, PutItemCommand, ScanCommand } = require('@aws-sdk/client-dynamodb');
 const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
 const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
 // Using native fetch instead of axios/node-fetch
@@ -12,6 +12,7 @@ const { getStoreProducts, getProductByName } = require('../utils/dynamoDbUtils.j
 const { getRecentCustomers, formatRecentCustomersMessage } = require('../utils/ownerDashboard.js');
 const { executeGetInvoice } = require('../utils/invoiceUtils.js');
 const { sendWhatsAppMessage } = require('../utils/whatsappUtils.js');
+const { transcribeVoiceNote } = require('../utils/voiceNoteUtils.js');
 // const { handleOwnerReply } = require('../utils/ownerReplyManager.js'); // DISABLED - not needed for LobangLah
 const { 
     isPriceSensitive,
@@ -24,98 +25,37 @@ const {
     handleTodaysOfferDiscount,
     handleAcceptDiscountOffer
 } = require('../utils/discountUtils.js');
-const { handleLobangLahMessage, isLobangLahMessage } = require('./lobangLahHandler.js');
-const { handleSocialAgencyMessage } = require('./socialAgencyHandler.js');
-const { handleDailyDealMessage } = require('./dailyDealHandler.js');
+const { BOT_MODES, registerBotMode, resolveBotRoute, runBotMiddleware, dispatchToBotMode } = require('./botModeRegistry.js');
+const { MESSAGE_STATUS, MAX_PROCESSING_ATTEMPTS, recordInboundMessage, claimInboundMessage, markInboundMessageDone, markInboundMessageFailed } = require('../utils/messageIdempotency.js');
+const { ingestStatusEvents } = require('../utils/messageStatusUtils.js');
+const { saveWebhookEvent, getWebhookEvent, markWebhookEventStatus } = require('../utils/webhookEventStore.js');
+const { getWebhookQueue, getQueuedJobs } = require('../utils/webhookQueue.js');
+const { consumeRateLimit, classifyMessageAction } = require('../utils/rateLimiter.js');
+const { getSingaporeErrorMessage } = require('../utils/singaporeFeatures.js');
+const { recordLastInboundAt } = require('../utils/messagingWindow.js');
+const { isOfflineMode, getLocalBotConfig, findLocalBotConfigByPhoneId } = require('../utils/offlineMode.js');
+const { installLogRedaction, redactSecrets } = require('../utils/logRedaction.js');
+const { resolveBotConfigSecrets, resolveEnvironmentSecrets } = require('../services/secretsProvider.js');
+
+// Keep tokens and app secrets out of CloudWatch
+installLogRedaction();
 
 // QR-related imports removed as per user request
 
-// NEW: Generate fresh webhook credentials for testing
-function generateFreshWebhookCredentials() {
-  const webhookSecret = crypto.randomBytes(32).toString('hex'); // 64 character hex string
-  const verifyToken = crypto.randomBytes(16).toString('hex'); // 32 character hex string
-  
-  console.log('🆕 Generated fresh webhook credentials:');
-  console.log(`🔑 Webhook Secret: ${webhookSecret}`);
-  console.log(`🔐 Verify Token: ${verifyToken}`);
-  
-  return { webhookSecret, verifyToken };
-}
-
-// NEW: Test webhook endpoint with fresh credentials
-async function handleTestWebhook(event) {
-  console.log('🧪 Processing test webhook request');
-  
-  // Use the correct whatsappAppSecret that Meta is actually using for signature validation
-  const whatsappAppSecret = "41a1282f73264393b446731d67416b31"; // This is what Meta is using
-  const verifyToken = "pasarnext";   // Keep the verify token as pasarnext
-  
-  console.log('🔄 Using correct webhook credentials:');
-  console.log(`🔑 WhatsApp App Secret: ${whatsappAppSecret} (for signature validation)`);
-  console.log(`🔐 Verify Token: ${verifyToken} (for verification requests)`);
-  
-  // Store these in DynamoDB for the current store
-  try {
-    const storeId = 'cmanyfn1e0001jl04j3k45mz5'; // Your store ID
-    const tableName = "WhatsappStoreTokens";
-    const tableRegion = "us-east-1";
-    const dynamoClient = new DynamoDBClient({ region: tableRegion });
-    
-    // Update the webhook credentials
-    const updateParams = {
-      TableName: tableName,
-      Key: marshall({ storeId: storeId }),
-      UpdateExpression: "SET whatsappAppSecret = :secret, verifyToken = :token, updatedAt = :timestamp",
-      ExpressionAttributeValues: marshall({
-        ":secret": whatsappAppSecret,
-        ":token": verifyToken,
-        ":timestamp": new Date().toISOString()
-      })
-    };
-    
-    await dynamoClient.send(new UpdateItemCommand(updateParams));
-    console.log(`✅ Updated DynamoDB with correct webhook credentials for store: ${storeId}`);
-    
-    return {
-      statusCode: 200,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        success: true,
-        message: "Webhook credentials updated with correct Meta configuration!",
-        whatsappAppSecret: whatsappAppSecret,
-        verifyToken: verifyToken,
-        instructions: [
-          "✅ WhatsApp App Secret set to '41a1282f73264393b446731d67416b31' (for signature validation)",
-          "✅ Verify token set to 'pasarnext' (for verification requests)",
-          "Now send a WhatsApp message to test the webhook!"
-        ]
-      })
-    };
-    
-  } catch (error) {
-    console.error('❌ Error updating DynamoDB:', error);
-    return {
-      statusCode: 500,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        success: false,
-        error: "Failed to update DynamoDB",
-        whatsappAppSecret: whatsappAppSecret,
-        verifyToken: verifyToken
-      })
-    };
-  }
-}
-
 // Function to extract the WhatsApp Phone Number ID from the webhook payload
+// (present on message and status notifications alike)
 function extractWhatsAppPhoneId(event) {
   try {
     if (event.body) {
       const body = JSON.parse(event.body);
-      const entry = body.entry?.[0];
-      const changes = entry?.changes?.[0];
-      const value = changes?.value;
-      return value?.metadata?.phone_number_id;
+      for (const entry of body.entry || []) {
+        for (const change of entry.changes || []) {
+          const phoneNumberId = change.value?.metadata?.phone_number_id;
+          if (phoneNumberId) {
+            return phoneNumberId;
+          }
+        }
+      }
     }
     return null;
   } catch (error) {
@@ -131,6 +71,12 @@ async function getStoreIdFromPhoneId(whatsappPhoneNumberId) {
     return null;
   }
 
+  if (isOfflineMode()) {
+    const localConfig = findLocalBotConfigByPhoneId(whatsappPhoneNumberId);
+    console.log(`Offline store lookup for WhatsApp Phone ID ${whatsappPhoneNumberId}: ${localConfig ? localConfig.storeId : 'not registered'}`);
+    return localConfig ? { storeId: localConfig.storeId, ownerNumber: localConfig.ownerNumber || null } : null;
+  }
+
   try {
     const tableName = "WhatsappStoreTokens";
     const tableRegion = "us-east-1";
@@ -195,8 +141,7 @@ async function getStoreWebhookSettings(storeId) {
     
     // Debug: Log all available fields
     console.log(`[storeId: ${storeId}] Available webhook settings fields:`, Object.keys(settings));
-    console.log(`[storeId: ${storeId}] webhookSecret value:`, settings.webhookSecret);
-    console.log(`[storeId: ${storeId}] whatsappAppSecret value:`, settings.whatsappAppSecret);
+    console.log(`[storeId: ${storeId}] webhookSecret set: ${!!settings.webhookSecret}, whatsappAppSecret set: ${!!settings.whatsappAppSecret}`);
     
     return {
       webhookSecret: settings.whatsappAppSecret || settings.webhookSecret,  // Use whatsappAppSecret as primary, fallback to webhookSecret
@@ -242,7 +187,7 @@ async function getOpenAIResponse(storeId, userMessage, conversationHistory, botC
   // Prioritize 'openAiApiKey' (actual DB schema), then fall back to other common variants
   let openAIApiKeyFromConfig = botConfig.openAiApiKey || botConfig.openAIApiKey || botConfig.openai_api_key;
 
-  console.log(`[storeId: ${storeId}] Full botConfig received in getOpenAIResponse:`, JSON.stringify(botConfig, null, 2)); // DEBUG LOG
+  console.log(`[storeId: ${storeId}] Full botConfig received in getOpenAIResponse:`, JSON.stringify(redactSecrets(botConfig), null, 2)); // DEBUG LOG
 
   if (!openAIApiKeyFromConfig) {
     console.error(`[storeId: ${storeId}] OpenAI API key is missing in botConfig.`);
@@ -554,10 +499,16 @@ async function getOpenAIResponse(storeId, userMessage, conversationHistory, botC
   }
 }
 
+// Conversations of offline runs, by sessionId
+const localConversations = new Map();
+
 // Helper function to get session from DynamoDB (uses SESSION_TABLE_NAME, assumes it's in LAMBDA_REGION)
 async function getSession(storeId, userId) {
   const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' }); // Uses client for Lambda's region
   const sessionId = `${storeId}-${userId}`;
+  if (isOfflineMode()) {
+    return [...(localConversations.get(sessionId) || [])];
+  }
   if (!process.env.SESSION_TABLE_NAME) {
     console.error(`[storeId: ${storeId}] Critical Error: SESSION_TABLE_NAME env var not set for getSession.`);
     return [];
@@ -581,7 +532,7 @@ async function updateSession(storeId, userId, conversation) {
   const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' }); // Uses client for Lambda's region
   const sessionId = `${storeId}-${userId}`;
   const ttl = Math.floor(Date.now() / 1000) + (parseInt(process.env.SESSION_TTL_HOURS || '1', 10) * 60 * 60);
-  if (!process.env.SESSION_TABLE_NAME) {
+  if (!isOfflineMode() && !process.env.SESSION_TABLE_NAME) {
     console.error(`[storeId: ${storeId}] Critical Error: SESSION_TABLE_NAME env var not set for updateSession.`);
     return;
   }
@@ -590,6 +541,11 @@ async function updateSession(storeId, userId, conversation) {
     conversation = conversation.slice(conversation.length - 10 * 2);
   }
 
+  if (isOfflineMode()) {
+    localConversations.set(sessionId, [...conversation]);
+    return;
+  }
+
   try {
     const itemToPut = {
       sessionId: sessionId,
@@ -647,8 +603,945 @@ async function executeGetOrderHistory(storeId, customerWhatsappNumber, botConfig
   }
 }
 
+/**
+ * Generic OpenAI shop bot ('shop' bot mode): product browsing, orders, invoices and discounts
+ */
+async function handleShopMessage(ctx) {
+    const { storeId, from, ownerNumber, botConfig, businessContext, session, conversation, context } = ctx;
+    let { message, messageType } = ctx;
+
+    // Voice notes go through the text flow below as if the transcript had been typed
+    if (messageType === 'audio' && message.audio) {
+        const transcript = await transcribeVoiceNote(storeId, from, message.audio, botConfig);
+        if (!transcript) {
+            conversation.push({ role: 'user', content: '[Sent a voice note that could not be transcribed]' });
+            return { handled: true };
+        }
+        message = { ...message, type: 'text', text: { body: transcript } };
+        messageType = 'text';
+    }
+
+    // --- BEGIN MAIN MESSAGE TYPE HANDLING ---
+
+    // 1. Handle Interactive Messages
+    if (messageType === 'interactive' && message.interactive) {
+        console.log(`[storeId: ${storeId}] Processing interactive message:`, JSON.stringify(message.interactive));
+
+        const interactive = message.interactive;
+        const actionIdentifier = interactive.button_reply ? interactive.button_reply.id : (interactive.list_reply ? interactive.list_reply.id : null);
+
+        if (actionIdentifier) {
+            console.log(`[storeId: ${storeId}] Processing action from interactive reply: ${actionIdentifier}`);
+            conversation.push({ role: 'user', content: `[Selected: ${actionIdentifier}]` });
+
+            let actionResult;
+
+            // --- Action Routing for Interactive Replies ---
+            if (actionIdentifier.startsWith('view_product_details_')) {
+                const productId = actionIdentifier.substring('view_product_details_'.length);
+                console.log(`[Webhook] Extracted actionIdentifier from list reply: ${actionIdentifier}`);
+                actionResult = await processAction('VIEW_PRODUCT_DETAIL', { productId }, context);
+            } else if (actionIdentifier === 'view_order_history' || actionIdentifier === 'view_orders') {
+                actionResult = await processAction('GET_ORDER_HISTORY', {}, context);
+            } else if (actionIdentifier.startsWith('view_order_detail_')) {
+                console.log(`[Webhook] Extracted actionIdentifier from button reply: ${actionIdentifier}`);
+                actionResult = await processAction(actionIdentifier, {}, context); // actionProcessor handles the full ID
+            } else if (actionIdentifier.startsWith('contact_support_')) {
+                const orderId = actionIdentifier.substring('contact_support_'.length);
+                const supportMessage = `For support with order #${orderId}, please contact us at support@example.com or call our helpline.`;
+                actionResult = { success: true, message: 'Contact support info sent.', messagePayload: { type: 'text', text: { body: supportMessage } } };
+            } else if (actionIdentifier.startsWith('customer_response_')) {
+                const orderId = actionIdentifier.substring('customer_response_'.length);
+                console.log(`[Webhook] Customer ${from} clicked response button for order ${orderId}`);
+
+                // Create a prompt for the customer to enter their message
+                const promptMessage = `Please type your message for the store regarding order #${orderId.substring(0, 8).toUpperCase()}. The store owner will be notified.`;
+
+                // Store in session that we're waiting for a message for this order
+                session.awaitingCustomerMessageForOrder = orderId;
+                await updateSession(storeId, from, session);
+
+                actionResult = { 
+                    success: true, 
+                    message: 'Customer response prompt sent.', 
+                    messagePayload: { type: 'text', text: { body: promptMessage } } 
+                };
+            } else if (actionIdentifier === 'view_customers') {
+                console.log(`[Webhook] Owner ${from} requested to view recent customers`);
+
+                // Check if this is indeed from the owner number for additional security
+                const isFromOwner = ownerNumber && from === ownerNumber;
+                if (!isFromOwner) {
+                    actionResult = {
+                        success: false,
+                        message: 'Unauthorized access attempt',
+                        messagePayload: { type: 'text', text: { body: 'You are not authorized to access this information.' } }
+                    };
+                } else {
+                    // Fetch recent customers who ordered in the last 24 hours
+                    const recentOrders = await getRecentCustomers(storeId, botConfig);
+
+                    // Format the message with customer details
+                    const customerMessage = formatRecentCustomersMessage(recentOrders);
+
+                    actionResult = {
+                        success: true,
+                        message: 'Recent customers information sent to owner',
+                        messagePayload: { type: 'text', text: { body: customerMessage } }
+                    };
+                }
+            } else if (actionIdentifier === 'view_stats') {
+                // Check if this is indeed from the owner number for additional security
+                const isFromOwner = ownerNumber && from === ownerNumber;
+                if (!isFromOwner) {
+                    actionResult = {
+                        success: false,
+                        message: 'Unauthorized access attempt',
+                        messagePayload: { type: 'text', text: { body: 'You are not authorized to access this information.' } }
+                    };
+                } else {
+                    // Placeholder for store statistics functionality
+                    const statsMessage = '*Store Statistics*\n\n' +
+                        'This feature is coming soon! It will show key metrics like:\n\n' +
+                        '- Total sales today\n' +
+                        '- Number of orders today\n' +
+                        '- Average order value\n' +
+                        '- Popular products\n\n' +
+                        'Check back soon for these insights!';
+
+                    actionResult = {
+                        success: true,
+                        message: 'Store statistics placeholder sent',
+                        messagePayload: { type: 'text', text: { body: statsMessage } }
+                    };
+                }
+            } else if (actionIdentifier.startsWith('discount_')) {
+                // Handle discount response from owner
+                console.log(`[Webhook] Owner ${from} responded to discount request: ${actionIdentifier}`);
+
+                // Check if this is indeed from the owner number for security
+                const isFromOwner = ownerNumber && from === ownerNumber;
+                if (!isFromOwner) {
+                    actionResult = {
+                        success: false,
+                        message: 'Unauthorized discount action attempt',
+                        messagePayload: { type: 'text', text: { body: 'You are not authorized to perform this action.' } }
+                    };
+                } else {
+                    // Process the discount response
+                    const discountResult = await handleDiscountResponse(storeId, ownerNumber, actionIdentifier, botConfig);
+
+                    actionResult = {
+                        success: discountResult.success,
+                        message: discountResult.message,
+                        // No message payload needed here as handleDiscountResponse sends messages directly
+                    };
+                }
+            } else if (actionIdentifier === 'todays_offer') {
+                // Handle Today's Offer button click
+                console.log(`[Webhook] Customer ${from} clicked on Today's Offer button`);
+
+                // Process the today's offer request
+                const offerResult = await handleTodaysOfferClick(storeId, ownerNumber, from, botConfig);
+
+                actionResult = {
+                    success: offerResult.success,
+                    message: offerResult.message,
+                    // No message payload needed here as handleTodaysOfferClick sends messages directly
+                };
+            } else if (actionIdentifier.startsWith('select_product_')) {
+                // Handle product selection from Today's Offer
+                console.log(`[Webhook] Customer ${from} selected a product: ${actionIdentifier}`);
+
+                // Extract product ID from the button ID
+                // Format: select_product_productId
+                const productId = actionIdentifier.substring('select_product_'.length);
+
+                if (productId) {
+                    // Process the product selection
+                    const result = await handleProductSelection(storeId, ownerNumber, from, productId, botConfig);
+
+                    actionResult = {
+                        success: result.success,
+                        message: result.message,
+                        // No message payload needed here as handleProductSelection sends messages directly
+                    };
+                } else {
+                    console.error(`[storeId: ${storeId}] Invalid product selection format: ${actionIdentifier}`);
+                    actionResult = {
+                        success: false,
+                        message: 'Invalid product selection format'
+                    };
+                }
+            } else if (actionIdentifier.startsWith('accept_discount_offer_')) {
+                // Handle customer accepting a discount offer by clicking Buy Now
+                console.log(`[Webhook] Customer ${from} accepted a discount offer: ${actionIdentifier}`);
+
+                // Parse product ID and discount percentage from the button ID
+                // Format: accept_discount_offer_productId_discountPercentage
+                const parts = actionIdentifier.split('_');
+                if (parts.length >= 5) {
+                    const productId = parts[3];
+                    const discountPercentage = parseInt(parts[4], 10);
+
+                    if (productId && !isNaN(discountPercentage)) {
+                        // Create actual order with discount
+                        const orderResult = await handleAcceptDiscountOffer(storeId, from, productId, discountPercentage, botConfig);
+
+                        // No message payload needed as handleAcceptDiscountOffer handles messaging
+                        actionResult = {
+                            success: orderResult.success,
+                            message: orderResult.message || 'Processed discount offer acceptance'
+                        };
+                    } else {
+                        console.error(`[storeId: ${storeId}] Invalid discount offer format: ${actionIdentifier}`);
+                        await sendWhatsAppMessage(storeId, from, {
+                            type: 'text',
+                            text: {
+                                body: `❌ Sorry, we couldn't process your order. Please try again or contact the store directly.`
+                            }
+                        }, botConfig);
+
+                        actionResult = {
+                            success: false,
+                            message: 'Invalid discount offer format'
+                        };
+                    }
+                } else {
+                    console.error(`[storeId: ${storeId}] Malformed discount offer ID: ${actionIdentifier}`);
+                    actionResult = {
+                        success: false,
+                        message: 'Malformed discount offer ID'
+                    };
+                }
+            } else if (actionIdentifier.startsWith('todays_offer_discount_')) {
+                // Handle Today's Offer discount selection from owner
+                console.log(`[Webhook] Owner ${from} selected a discount option: ${actionIdentifier}`);
+
+                // Only process if coming from the owner number
+                if (from === ownerNumber) {
+                    // Extract discount percentage and customer number from the button ID
+                    // Format: todays_offer_discount_XX_customerNumber where XX is the percentage
+                    const parts = actionIdentifier.split('_');
+                    if (parts.length >= 4) {
+                        const discountPercentage = parseInt(parts[3], 10);
+                        const customerNumber = parts.slice(4).join('_');
+
+                        if (!isNaN(discountPercentage) && customerNumber) {
+                            const result = await handleTodaysOfferDiscount(storeId, customerNumber, discountPercentage, botConfig);
+
+                            if (result.success) {
+                                // Confirm to owner that discount was sent
+                                await sendWhatsAppMessage(storeId, from, {
+                                    type: 'text',
+                                    text: {
+                                        body: `✅ ${discountPercentage}% discount offer for ${result.product.name} has been sent to the customer.`
+                                    }
+                                }, botConfig);
+                            } else {
+                                console.error(`[storeId: ${storeId}] Failed to process discount:`, result.message);
+                                await sendWhatsAppMessage(storeId, from, {
+                                    type: 'text',
+                                    text: {
+                                        body: `❌ Failed to process discount: ${result.message}`
+                                    }
+                                }, botConfig);
+                            }
+                        }
+                    }
+                } else {
+                    console.warn(`[storeId: ${storeId}] Non-owner tried to send discount: ${from}`);
+                }
+
+                actionResult = {
+                    success: true,
+                    // No message payload needed here as we send messages directly
+                };
+            } else {
+                // Fallback for other actions defined in actionProcessor (e.g., BUY_PRODUCT, CONFIRM_ORDER)
+                actionResult = await processAction(actionIdentifier, {}, context);
+            }
+            // --- End Action Routing ---
+
+            if (actionResult && actionResult.messagePayload) {
+                // This handles cases where actionProcessor returned a messagePayload,
+                // regardless of success or failure.
+                // The payload itself should be crafted by actionProcessor to be appropriate.
+                console.log(`[storeId: ${storeId}] Action '${actionIdentifier}' produced actionResult with messagePayload. Success: ${actionResult.success}. Sending payload. Full actionResult:`, JSON.stringify(actionResult));
+                if (Array.isArray(actionResult.messagePayload)) {
+                    for (const msg of actionResult.messagePayload) {
+                        await sendWhatsAppMessage(storeId, from, msg, botConfig);
+                    }
+                } else {
+                    await sendWhatsAppMessage(storeId, from, actionResult.messagePayload, botConfig);
+                }
+                // Log to conversation history
+                const conversationMessage = actionResult.message || (actionResult.success ? `Action ${actionIdentifier} successful.` : `Action ${actionIdentifier} failed.`);
+                conversation.push({ role: 'assistant', content: `[Action: ${actionIdentifier}] ${conversationMessage}` });
+
+            } else if (actionResult && actionResult.message && !actionResult.messagePayload) {
+                // Action completed, might be success or failure, but no specific payload, only an internal message.
+                console.warn(`[storeId: ${storeId}] Action '${actionIdentifier}' produced actionResult with a message but no messagePayload. Success: ${actionResult.success}. Message: ${actionResult.message}. Full actionResult:`, JSON.stringify(actionResult));
+                const userFallbackMessage = actionResult.success ? actionResult.message : "Sorry, an issue occurred while processing your request. Please contact support if this persists.";
+                await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: userFallbackMessage } }, botConfig);
+                conversation.push({ role: 'assistant', content: `[Action: ${actionIdentifier}] ${actionResult.message}` });
+
+            } else {
+                // This means actionResult was null, undefined, or didn't have .messagePayload or .message
+                console.error(`[storeId: ${storeId}] Action '${actionIdentifier}' failed silently or actionResult was malformed/empty. actionResult:`, JSON.stringify(actionResult));
+                await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: "An error occurred while processing your request. Please try again later." } }, botConfig);
+                await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: "I'm sorry, I couldn't process that request due to an unexpected issue. Please try again." } }, botConfig);
+                conversation.push({ role: 'assistant', content: `[Action Failed: ${actionIdentifier}] Malformed or empty result.` });
+            }
+
+        } else {
+            console.warn(`[storeId: ${storeId}] Received interactive message with no actionable ID.`, message.interactive);
+        }
+
+    // 2. Handle Text Messages
+    } else if (messageType === 'text' && message.text && message.text.body) {
+        const currentMessageContent = message.text.body;
+        console.log(`[storeId: ${storeId}] Processing text message: "${currentMessageContent}"`);
+
+        // Check if we're waiting for a customer message to send to the store owner
+        if (session.awaitingCustomerMessageForOrder) {
+            const orderId = session.awaitingCustomerMessageForOrder;
+            console.log(`[Webhook] Received customer message for order ${orderId}: ${currentMessageContent}`);
+
+            try {
+                // Get the order to retrieve store owner phone
+                const { getOrderById, updateOrderById } = require('../utils/dynamoDbUtils.js');
+                const order = await getOrderById(storeId, orderId);
+
+                if (order && (order.owner_phone || order.ownerPhone)) {
+                    // Store the customer message in the order
+                    const customerMessages = order.customerMessages || [];
+                    customerMessages.push({
+                        timestamp: new Date().toISOString(),
+                        message: currentMessageContent
+                    });
+
+                    await updateOrderById(storeId, orderId, { customerMessages });
+
+                    // Send notification to store owner
+                    const ownerPhone = order.owner_phone || order.ownerPhone;
+                    const orderNumber = orderId.substring(0, 8).toUpperCase();
+
+                    await sendWhatsAppMessage(storeId, ownerPhone, {
+                        type: 'text',
+                        text: { body: `📩 New customer message for order #${orderNumber}:\n\n"${currentMessageContent}"` }
+                    }, botConfig, { category: 'owner_notification' });
+
+                    // Clear the awaiting flag
+                    delete session.awaitingCustomerMessageForOrder;
+                    await updateSession(storeId, from, session);
+
+                    // Respond to the customer
+                    await sendWhatsAppMessage(storeId, from, {
+                        type: 'text',
+                        text: { body: `✅ Thank you! Your message has been sent to the store owner.` }
+                    }, botConfig);
+
+                    return { handled: true };
+                } else {
+                    console.error(`[Webhook] Cannot forward customer message: no owner phone for order ${orderId}`);
+
+                    // Clear the awaiting flag
+                    delete session.awaitingCustomerMessageForOrder;
+                    await updateSession(storeId, from, session);
+
+                    // Inform the customer
+                    await sendWhatsAppMessage(storeId, from, {
+                        type: 'text',
+                        text: { body: `❌ Sorry, we couldn't deliver your message to the store. Please try contacting them directly.` }
+                    }, botConfig);
+
+                    return { handled: true };
+                }
+            } catch (error) {
+                console.error(`[Webhook] Error processing customer message: ${error}`);
+
+                // Clear the awaiting flag even on error
+                delete session.awaitingCustomerMessageForOrder;
+                await updateSession(storeId, from, session);
+
+                // Inform the customer
+                await sendWhatsAppMessage(storeId, from, {
+                    type: 'text',
+                    text: { body: `❌ Sorry, we couldn't deliver your message due to a technical error.` }
+                }, botConfig);
+
+                return { handled: true };
+            }
+        }
+
+        // Continue with normal message processing
+        conversation.push({ role: 'user', content: currentMessageContent });
+
+        // Normalize message for keyword matching
+        const normalizedMessage = currentMessageContent.toLowerCase().trim();
+
+        // --- Keyword-based Triggers ---
+        const productKeywords = ['products', 'menu', 'catalog', 'items', 'show products'];
+        const orderHistoryKeywords = ['order history', 'my orders', 'past orders'];
+        let keywordActionTaken = false;
+
+        // Check for price sensitivity first (prioritize this over other keyword triggers)
+        if (isPriceSensitive(currentMessageContent)) {
+            console.log(`[storeId: ${storeId}] Customer message indicates price sensitivity. Starting discount flow...`);
+
+            // Determine if we should send interactive discount approval to owner
+            if (ownerNumber) {
+                // Simulate order details for the discount request
+                // In a real implementation, this would be the actual cart/order data
+                const sampleOrderItems = [
+                    { name: "Sample Product 1", price: "99.99", quantity: 1, currency: "SGD" },
+                    { name: "Sample Product 2", price: "49.99", quantity: 2, currency: "SGD" }
+                ];
+
+                const orderDetails = {
+                    items: sampleOrderItems,
+                    total: 199.97, // Calculate this from items in production
+                    currency: "SGD"
+                };
+
+                // Send interactive discount approval request to the owner
+                const sent = await sendDiscountApprovalRequest(storeId, ownerNumber, from, orderDetails, botConfig);
+
+                if (sent) {
+                    console.log(`[storeId: ${storeId}] Sent discount approval request to owner ${ownerNumber}`);
+
+                    // Inform the customer that we're checking with the owner
+                    await sendWhatsAppMessage(storeId, from, {
+                        type: 'text',
+                        text: { body: "I understand you're concerned about the price. Let me check with the store owner if we can offer you a discount. I'll get back to you shortly!" }
+                    }, botConfig);
+
+                    // Add to conversation history
+                    conversation.push({ role: 'assistant', content: "I understand you're concerned about the price. Let me check with the store owner if we can offer you a discount. I'll get back to you shortly!" });
+
+                    // Skip further processing for this message since we're handling it with the discount flow
+                    keywordActionTaken = true;
+                } else {
+                    console.log(`[storeId: ${storeId}] Failed to send discount approval request to owner. Falling back to normal discount flow.`);
+                    // Will fall back to existing discount prompt approach below
+                }
+            }
+
+            // If we couldn't send the interactive approval or no owner is configured,
+            // fall back to the original discount flow using campaigns
+            if (!keywordActionTaken) {
+                // Get discount prompt if active campaigns exist
+                const discountPromptMsg = await getDiscountPrompt(storeId, botConfig);
+
+                if (discountPromptMsg) {
+                    console.log(`[storeId: ${storeId}] Found active campaign. Adding discount prompt to conversation.`);
+                    conversation.push(discountPromptMsg);
+                    keywordActionTaken = true;
+                } else {
+                    console.log(`[storeId: ${storeId}] No active campaigns found for discount.`);
+                }
+            }
+        }
+
+        // 1. Direct product mention detection
+        if (productKeywords.includes(normalizedMessage)) {
+            console.log(`[storeId: ${storeId}] User message contains product keyword. Triggering VIEW_MORE_PRODUCTS.`);
+            const actionResult = await processAction('VIEW_MORE_PRODUCTS', {}, context);
+            if (actionResult && actionResult.success && actionResult.messagePayload) {
+                if (Array.isArray(actionResult.messagePayload)) {
+                    for (const msg of actionResult.messagePayload) {
+                        await sendWhatsAppMessage(storeId, from, msg, botConfig);
+                    }
+                } else {
+                    await sendWhatsAppMessage(storeId, from, actionResult.messagePayload, botConfig);
+                }
+                conversation.push({ role: 'assistant', content: `[Action processed: ${actionIdentifier}] ${actionResult.message}` });
+                keywordActionTaken = true; // Mark that an action was taken
+            }
+                            } else if ((normalizedMessage.startsWith('buy ') || normalizedMessage.startsWith('product ')) && normalizedMessage.split(' ').length > 1) {
+            const potentialProductName = currentMessageContent.split(' ').slice(1).join(' ').trim();
+            console.log(`[storeId: ${storeId}] User message starts with 'buy' or 'product'. Attempting to initiate purchase for: '${potentialProductName}'.`);
+
+            if (potentialProductName) {
+                const product = await getProductByName(storeId, potentialProductName);
+                if (product) {
+                    const productId = product.product_id || product.id;
+                    const interactiveMessage = {
+                        type: 'interactive',
+                        interactive: {
+                            type: 'button',
+                            header: product.image_url ? { type: 'image', image: { link: product.image_url } } : { type: 'text', text: product.name || 'Confirm Purchase' },
+                            body: { text: `Found *${product.name}*.\nPrice: ${product.currency || 'SGD'}${(parseFloat(product.price) || 0).toFixed(2)}\n\nReady to buy?` },
+                            action: {
+                                buttons: [{
+                                    type: 'reply',
+                                    reply: {
+                                        id: `buy_product_${productId}`,
+                                        title: '🛒 Buy Now'
+                                    }
+                                }]
+                            }
+                        }
+                    };
+                    await sendWhatsAppMessage(storeId, from, interactiveMessage, botConfig);
+                    conversation.push({ role: 'assistant', content: `[Action: Direct Purchase] Presented 'Buy Now' for ${product.name}.` });
+                    keywordActionTaken = true;
+                } else {
+                    // If product not found, let OpenAI handle it for a more natural response.
+                    console.log(`[storeId: ${storeId}] Product '${potentialProductName}' not found directly. Falling back to OpenAI.`);
+                }
+            }
+        } else if (orderHistoryKeywords.some(keyword => normalizedMessage.includes(keyword))) {
+            console.log(`[storeId: ${storeId}] User message contains order history keyword. Triggering GET_ORDER_HISTORY.`);
+            const actionResult = await processAction('GET_ORDER_HISTORY', {}, context);
+            if (actionResult && actionResult.messagePayload) {
+                await sendWhatsAppMessage(storeId, from, actionResult.messagePayload, botConfig);
+                conversation.push({ role: 'assistant', content: `[Action processed: ${actionIdentifier}] ${actionResult.message}` });
+                keywordActionTaken = true; // Mark that an action was taken
+                conversation.push({ role: 'assistant', content: 'I have sent you your order history.' });
+                keywordActionTaken = true;
+            }
+        }
+        // --- End Keyword-based Triggers ---
+
+        // 3. Fallback to OpenAI if no keyword action was taken
+        if (!keywordActionTaken) {
+            console.log(`[storeId: ${storeId}] Processing text message through OpenAI`);
+
+            let currentOpenAIMessage = await getOpenAIResponse(storeId, currentMessageContent, conversation, botConfig, businessContext);
+
+            while (currentOpenAIMessage.tool_calls && currentOpenAIMessage.tool_calls.length > 0) {
+                conversation.push(currentOpenAIMessage);
+                const toolCallResponses = [];
+                for (const toolCall of currentOpenAIMessage.tool_calls) {
+                    const functionName = toolCall.function.name;
+                    let toolResponseContent = "";
+                    try {
+                        const functionArgs = JSON.parse(toolCall.function.arguments);
+                        console.log(`[storeId: ${storeId}] Executing tool: ${functionName}`, functionArgs);
+
+                        if (functionName === "display_product_info") {
+                            const { productId, introductoryText } = functionArgs;
+                            if (introductoryText) await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: introductoryText } }, botConfig);
+                            const displayResult = await displayProductInfo(storeId, productId, botConfig, context, conversation);
+                            toolResponseContent = displayResult.toolResponse || `Displayed product info for ${productId}.`;
+                        } else if (functionName === "get_store_products") {
+                            const products = await getStoreProducts(storeId, functionArgs.limit || 10);
+                            toolResponseContent = JSON.stringify(products);
+                        } else if (functionName === "execute_get_order_history") {
+                            const historyResult = await executeGetOrderHistory(storeId, from, botConfig);
+                            toolResponseContent = historyResult.toolResponse || "Order history processed.";
+                        } else if (functionName === "execute_get_invoice") {
+                            const invoiceResult = await executeGetInvoice(storeId, from, functionArgs.orderId, botConfig);
+                            toolResponseContent = invoiceResult.toolResponse || `Invoice for order ${functionArgs.orderId} processed.`;
+                        } else if (functionName === "suggest_view_all_products") {
+                            const actionResult = await processAction('VIEW_MORE_PRODUCTS', {}, context);
+                            if (actionResult && actionResult.messagePayload) {
+                                await sendWhatsAppMessage(storeId, from, actionResult.messagePayload, botConfig);
+                                toolResponseContent = "Successfully displayed the product list.";
+                            } else {
+                                toolResponseContent = "Attempted to display products, but an error occurred.";
+                            }
+                        } else if (functionName === "send_location_message") {
+                            const { latitude, longitude, name, address } = functionArgs;
+                            if (latitude && longitude && name && address) {
+                                await sendWhatsAppMessage(storeId, from, {
+                                    type: 'location',
+                                    location: { latitude, longitude, name, address }
+                                }, botConfig);
+                                toolResponseContent = "I've sent you the store's location.";
+                            } else {
+                                console.error(`[storeId: ${storeId}] Missing arguments for send_location_message:`, functionArgs);
+                                toolResponseContent = "I couldn't send the location as some details are missing.";
+                            }
+                        } else if (functionName === "initiate_purchase") {
+                            const { productName } = functionArgs;
+                            const product = await getProductByName(storeId, productName);
+
+                            if (product) {
+                                const productId = product.product_id || product.id;
+                                let detailText = `*${product.name || 'Product'}*\n`;
+                                if (product.description) {
+                                  // Keep description brief for this context
+                                  const shortDescription = product.description.length > 100 ? product.description.substring(0, 97) + '...' : product.description;
+                                  detailText += `${shortDescription}\n\n`;
+                                }
+                                if (product.price !== undefined) {
+                                  detailText += `*Price:* ${product.currency || botConfig?.currencyCode || 'SGD'}${(parseFloat(product.price) || 0).toFixed(2)}\n`;
+                                }
+
+                                const interactiveMessage = {
+                                    type: 'interactive',
+                                    interactive: {
+                                        type: 'button',
+                                        header: product.image_url
+                                            ? { type: 'image', image: { link: product.image_url } }
+                                            : { type: 'text', text: product.name || 'Product Details' },
+                                        body: { text: detailText.substring(0, 1024) }, // WhatsApp body text limit
+                                        action: {
+                                            buttons: [
+                                                {
+                                                    type: 'reply',
+                                                    reply: {
+                                                        id: `buy_product_${productId}`,
+                                                        title: '🛒 Buy Now'
+                                                    }
+                                                }
+                                                // Optionally, add 'All Products' or 'Ask Question' buttons here later
+                                            ]
+                                        }
+                                    }
+                                };
+
+                                await sendWhatsAppMessage(storeId, from, interactiveMessage, botConfig);
+                                toolResponseContent = `I've found ${product.name}. Please click 'Buy Now' if you'd like to purchase it.`;
+                            } else {
+                                toolResponseContent = `I couldn't find a product named '${productName}'. Please check the name or ask to see all products.`;
+                            }
+                        } else {
+                            toolResponseContent = `Unknown function ${functionName} was called.`;
+                        }
+                    } catch (toolExecutionError) {
+                        console.error(`[storeId: ${storeId}] Error executing tool ${functionName}:`, toolExecutionError);
+                        toolResponseContent = `Error executing tool ${functionName}: ${toolExecutionError.message}`;
+                    }
+                    toolCallResponses.push({ role: "tool", tool_call_id: toolCall.id, name: functionName, content: toolResponseContent });
+                }
+                conversation.push(...toolCallResponses);
+                currentOpenAIMessage = await getOpenAIResponse(storeId, null, conversation, botConfig, businessContext);
+            }
+
+            // After processing all tool calls, or if there were no tool calls:
+            try {
+                if (currentOpenAIMessage && currentOpenAIMessage.content && currentOpenAIMessage.content.trim() !== '') {
+                    // If there's a final text response from OpenAI, send it.
+                    // Transform the regular text message into an interactive message with Today's Offer button
+                    const messageToSend = createTodaysOfferMessage(currentOpenAIMessage.content);
+                    await sendWhatsAppMessage(storeId, from, messageToSend, botConfig);
+                    conversation.push(currentOpenAIMessage); // Save the final AI response
+                } else if (!keywordActionTaken && !(currentOpenAIMessage && currentOpenAIMessage.tool_calls && currentOpenAIMessage.tool_calls.length > 0)) {
+                    // If no keyword action was taken, AND OpenAI didn't return tool_calls (which would have been handled above or resulted in content),
+                    // AND there's no final text content, then send a fallback.
+                    // This covers cases where OpenAI returns an empty response or something unexpected without tool_calls.
+                    console.warn(`[storeId: ${storeId}] OpenAI response was empty or did not lead to a message. User: "${currentMessageContent}". Sending fallback.`);
+                    await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: "I'm sorry, I encountered an issue trying to process that. Please try again shortly." } }, botConfig);
+                    conversation.push({role: 'assistant', content: "[Fallback due to empty/unprocessed OpenAI response]"});
+                }
+            } catch (error) {
+                console.error(`[storeId: ${storeId}] Error processing message from ${from}:`, error);
+                await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: 'An internal error occurred. Please try again later.' } }, botConfig);
+            } finally {
+                conversation.push(currentOpenAIMessage); // Save the final AI response
+                conversation.push({role: 'assistant', content: "[Fallback due to empty/unprocessed OpenAI response]"});
+            }
+        } // End of 'if (!keywordActionTaken)'
+    // END Fallback to OpenAI
+
+    // 3. Handle Location Messages
+    } else if (messageType === 'location' && message.location) {
+        console.log(`[storeId: ${storeId}] Processing location message`);
+
+        console.log(`[storeId: ${storeId}] Location message not supported by the shop bot`);
+        const unsupportedMsg = { type: 'text', text: { body: "Sorry, I can only process text messages and button clicks at the moment." } };
+        await sendWhatsAppMessage(storeId, from, unsupportedMsg, botConfig);
+        conversation.push({ role: 'user', content: `[Sent location message]` });
+        conversation.push({ role: 'assistant', content: "Acknowledged location message." });
+
+    // 4. Handle Image Messages
+    } else if (messageType === 'image' && message.image) {
+        console.log(`[storeId: ${storeId}] Processing image message`);
+
+        console.log(`[storeId: ${storeId}] Image message not supported by the shop bot`);
+        const unsupportedMsg = { type: 'text', text: { body: "Sorry, I can only process text messages and button clicks at the moment." } };
+        await sendWhatsAppMessage(storeId, from, unsupportedMsg, botConfig);
+
+    } else { // Handle Unsupported Message Types
+        console.log(`[storeId: ${storeId}] Received an unhandled or unsupported message type: ${messageType}.`);
+        const unsupportedMsg = { type: 'text', text: { body: "Sorry, I can only process text messages and button clicks at the moment." } };
+        await sendWhatsAppMessage(storeId, from, unsupportedMsg, botConfig);
+        conversation.push({ role: 'user', content: `[Sent unsupported message type: ${messageType}]` });
+        conversation.push({ role: 'assistant', content: "Acknowledged unsupported message." });
+    }
+    // --- END MAIN MESSAGE TYPE HANDLING ---
+
+    return { handled: true };
+}
+
+registerBotMode(BOT_MODES.SHOP, {
+    middleware: ['owner_dashboard'],
+    handle: handleShopMessage
+});
+
+// Load the store's bot configuration from WhatsappStoreTokens (or the local store in offline mode). Returns null when the store has none.
+async function loadBotConfig(storeId) {
+  if (isOfflineMode()) {
+    const localConfig = getLocalBotConfig(storeId);
+    return localConfig ? resolveBotConfigSecrets({ ...localConfig }) : null;
+  }
+
+  const tableName = "WhatsappStoreTokens";
+  const tableRegion = "us-east-1";
+  const tokenDocClient = new DynamoDBClient({ region: tableRegion });
+
+  const params = {
+    TableName: tableName,
+    Key: marshall({ storeId }), // Key needs to be marshalled for GetItemCommand
+  };
+
+  console.log(`[storeId: ${storeId}] Fetching bot configuration from DynamoDB table ${tableName} in region ${tableRegion}`);
+  const { Item } = await tokenDocClient.send(new GetItemCommand(params));
+  if (!Item) {
+    console.log(`[storeId: ${storeId}] No bot configuration found for storeId: ${storeId}`);
+    return null;
+  }
+
+  console.log(`[storeId: ${storeId}] Bot configuration fetched successfully for storeId: ${storeId}`);
+  return resolveBotConfigSecrets(unmarshall(Item));
+}
+
+// Fetch business context from S3. Missing or unreadable context is not fatal.
+async function loadBusinessContext(storeId, botConfig) {
+  // Use store-specific bucket/key from botConfig if available, else fall back to defaults
+  const s3BucketToUse = botConfig.s3ContextBucket || process.env.S3_CONTEXT_BUCKET;
+  const s3KeyToUse = botConfig.s3ContextKey || process.env.S3_CONTEXT_KEY;
+
+  if (!s3BucketToUse || !s3KeyToUse) {
+    console.log(`[storeId: ${storeId}] No S3 bucket/key configured for business context. Proceeding without it.`);
+    return null;
+  }
+
+  const s3Client = new S3Client({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+  const command = new GetObjectCommand({
+    Bucket: s3BucketToUse,
+    Key: s3KeyToUse,
+  });
+  try {
+    const response = await s3Client.send(command);
+    const businessContext = await response.Body.transformToString();
+    console.log(`[storeId: ${storeId}] Successfully loaded business context from S3: s3://${s3BucketToUse}/${s3KeyToUse}`);
+    return businessContext;
+  } catch (error) {
+    console.error(`[storeId: ${storeId}] Error fetching business context from S3 (s3://${s3BucketToUse}/${s3KeyToUse}):`, error);
+    return null;
+  }
+}
+
+// The active webhook queue. The in-process queue needs a consumer in this process.
+function getQueueForWebhook() {
+  const queue = getWebhookQueue();
+  if (typeof queue.setConsumer === 'function') {
+    queue.setConsumer(processWebhookEvent);
+  }
+  return queue;
+}
+
+// Record the event's messages and queue it for the worker. Returns false when every
+// message was already handled and there are no status updates to ingest.
+async function acceptWebhookEvent(storeId, ownerNumber, rawBody, body) {
+  const messageIds = [];
+  let statusCount = 0;
+  let hasPendingMessages = false;
+
+  for (const entry of body.entry) {
+    for (const change of entry.changes || []) {
+      statusCount += change.value?.statuses?.length || 0;
+      for (const message of change.value?.messages || []) {
+        messageIds.push(message.id);
+        const record = await recordInboundMessage(storeId, message.id, { from: message.from, type: message.type });
+        // Received or failed messages were never completed (e.g. an earlier enqueue failed), so queue them again
+        if (record.isNew || record.status === MESSAGE_STATUS.RECEIVED || record.status === MESSAGE_STATUS.FAILED) {
+          hasPendingMessages = true;
+        }
+      }
+    }
+  }
+
+  if (!hasPendingMessages && statusCount === 0) {
+    return false;
+  }
+
+  const eventId = await saveWebhookEvent(storeId, rawBody, { messageIds, statusCount });
+  const job = { storeId, ownerNumber, eventId };
+  if (!eventId) {
+    // Event store unavailable - carry the payload in the job instead
+    job.rawBody = rawBody;
+  }
+
+  const queue = getQueueForWebhook();
+  const jobId = await queue.enqueue(job);
+  console.log(`[storeId: ${storeId}] Queued webhook event ${eventId || '(inline)'} as ${jobId} on ${queue.name} queue (${messageIds.length} messages, ${statusCount} statuses)`);
+  return true;
+}
+
+// Worker side of the webhook: everything that used to run before the 200 OK
+async function processWebhookEvent(job) {
+  const { storeId, eventId } = job;
+  const ownerNumber = job.ownerNumber || null;
+
+  let rawBody = job.rawBody;
+  if (!rawBody) {
+    const storedEvent = await getWebhookEvent(eventId);
+    if (!storedEvent) {
+      throw new Error(`Webhook event ${eventId} not found`);
+    }
+    rawBody = storedEvent.rawBody;
+  }
+  const body = JSON.parse(rawBody);
+
+  const botConfig = await loadBotConfig(storeId);
+  if (!botConfig) {
+    throw new Error(`Bot configuration not found for store ${storeId}`);
+  }
+
+  // Pick the handler for this store from its bot configuration
+  const botRoute = resolveBotRoute(storeId, botConfig);
+  console.log(`[storeId: ${storeId}] Bot mode: ${botRoute.mode} (fallback: ${botRoute.fallbackMode}, middleware: ${botRoute.middleware.join(', ') || 'none'})`);
+
+  const businessContext = await loadBusinessContext(storeId, botConfig);
+  // Messages that failed here; the event is failed after the rest are processed so SQS redelivers it
+  const failedMessageIds = [];
+
+  // Process all entries
+  for (const entry of body.entry) {
+    if (entry.changes) {
+      for (const change of entry.changes) {
+        // Delivery/read receipts for messages we sent
+        if (change.value && change.value.statuses && change.value.statuses.length > 0) {
+          await ingestStatusEvents(storeId, change.value.statuses);
+        }
+
+        if (change.value && change.value.messages && change.value.messages.length > 0) {
+          let from; // Declare 'from' for this message processing scope
+          let conversation; // Declare 'conversation' for this message processing scope
+          let claimedMessageId = null; // Set once this instance owns the message in the idempotency store
+          let claimAttempts = 0;
+          try {
+
+            const message = change.value.messages[0];
+            from = message.from; // Assign to 'from' in the outer scope
+            const messageType = message.type; // Initialize messageType here before using it
+            const messageId = message.id; // WhatsApp message ID for deduplication
+            
+            // Opens WhatsApp's 24-hour window for alerts and other messages we start, whatever happens next
+            await recordLastInboundAt(storeId, from, (Number(message.timestamp) * 1000) || Date.now());
+            
+            // Durable de-duplication across Lambda instances and cold starts
+            const claim = await claimInboundMessage(storeId, messageId);
+            if (!claim.claimed) {
+              console.log(`[storeId: ${storeId}] Message ${messageId} not claimed (status: ${claim.status}), skipping`);
+              continue; // Already done, in progress elsewhere, or out of retries
+            }
+            claimedMessageId = messageId;
+            claimAttempts = claim.attempts;
+            
+            console.log(`[storeId: ${storeId}] Processing new message ${messageId} from ${from}`);
+            
+            
+            const profileName = change.value.contacts?.[0]?.profile?.name || 'User';
+            
+
+            console.log(`[storeId: ${storeId}] Received message from ${profileName} (${from}) of type ${messageType}`);
+
+            // Per-user token bucket; searches cost more than chat, the store owner is never limited
+            if (from !== ownerNumber) {
+              const action = classifyMessageAction(message, { textSearches: botRoute.mode === BOT_MODES.LOBANGLAH });
+              const rateLimit = await consumeRateLimit(storeId, from, action, botConfig);
+              if (!rateLimit.allowed) {
+                if (rateLimit.notify) {
+                  await sendWhatsAppMessage(storeId, from, {
+                    type: 'text',
+                    text: { body: getSingaporeErrorMessage('rateLimited', { retryAfterSeconds: rateLimit.retryAfterSeconds }) }
+                  }, botConfig, { category: 'rate_limit' });
+                }
+                await markInboundMessageDone(storeId, messageId);
+                continue;
+              }
+            }
+
+            const sessionId = `${storeId}:${from}`;  // Create proper sessionId
+            console.log(`[webhook] Getting session with sessionId ${sessionId}`);
+            const session = await getSession(sessionId);
+            
+            // DISABLED: OwnerReplyManager not needed for LobangLah bot
+            // const ownerReplyResult = await handleOwnerReply(message, session, { storeId, from, botConfig });
+            // if (ownerReplyResult.handled) {
+            //     ownerReplyResult.session.sessionId = sessionId;
+            //     console.log(`[webhook] Updating session after owner reply handling: ${sessionId}`);
+            //     await updateSession(ownerReplyResult.session);
+            //     continue;
+            // }
+
+            // Continue with normal message processing flow
+            let conversation = session.conversation || [];
+            const context = { storeId, userPhone: from, botConfig, conversation, businessContext };
+
+            const messageContext = {
+                storeId,
+                from,
+                message,
+                messageType,
+                profileName,
+                ownerNumber,
+                botConfig,
+                businessContext,
+                session,
+                conversation,
+                context,
+                saveSession: (updatedSession) => updateSession(storeId, from, updatedSession)
+            };
+
+            const middlewareResult = await runBotMiddleware(botRoute, messageContext);
+            if (!middlewareResult.handled) {
+                await dispatchToBotMode(botRoute, messageContext);
+            }
+
+            await markInboundMessageDone(storeId, messageId);
+          } catch (messageProcessingError) {
+            console.error(`[storeId: ${storeId}] Error processing individual message from ${from || 'unknown_sender'}:`, messageProcessingError);
+            if (claimedMessageId) {
+              await markInboundMessageFailed(storeId, claimedMessageId, messageProcessingError);
+              failedMessageIds.push(claimedMessageId);
+            }
+            // Queued (SQS) jobs are redelivered; only tell the user once no retry is left
+            const willRetry = Boolean(claimedMessageId && job.queueMessageId) && claimAttempts < MAX_PROCESSING_ATTEMPTS;
+            if (from && botConfig && !willRetry) {
+              try {
+                await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: 'An internal error occurred while processing your action. Our team has been notified. Please try again later.' } }, botConfig);
+              } catch (sendError) {
+                console.error(`[storeId: ${storeId}] Failed to send error message to user ${from}:`, sendError);
+              }
+            }
+            if (conversation && typeof conversation.push === 'function') {
+                conversation.push({ role: 'system', content: `Error during message processing: ${messageProcessingError.message}`, error: true, timestamp: Date.now() });
+            }
+          } finally {
+            if (from && conversation) {
+              try {
+                await updateSession(storeId, from, conversation);
+                console.log(`[storeId: ${storeId}] Session updated for user ${from} after message processing/error.`);
+              } catch (sessionError) {
+                console.error(`[storeId: ${storeId}] CRITICAL: Failed to update session for user ${from} after message processing:`, sessionError);
+              }
+            }
+          }
+        }
+      } // Closes `for (const change of entry.changes)`
+    } // Closes `if (entry.changes)`
+  } // Closes `for (const entry of body.entry)`
+
+  if (failedMessageIds.length > 0) {
+    throw new Error(`Failed to process message(s) ${failedMessageIds.join(', ')}`);
+  }
+
+  if (eventId) {
+    await markWebhookEventStatus(eventId, 'processed');
+  }
+}
+
 module.exports.handler = async function(event) {
   console.log('[Webhook] FULL INCOMING EVENT:', JSON.stringify(event, null, 2));
+  await resolveEnvironmentSecrets();
   try {
     // --- Debugging: Log incoming event structure and httpMethod ---
     console.log('[DEBUG] Lambda invoked. Event keys:', Object.keys(event));
@@ -658,11 +1551,6 @@ module.exports.handler = async function(event) {
     console.log(`[DEBUG] Detected HTTP method: ${httpMethod}, path: ${path}`);
     // --- End Debugging ---
 
-    // Handle test webhook route for generating fresh credentials
-    if (path === '/test-webhook' && httpMethod === 'POST') {
-      return handleTestWebhook(event);
-    }
-
     // Handle webhook verification (GET request)
     if (httpMethod === 'GET') {
       const verificationToken = process.env.WEBHOOK_VERIFY_TOKEN || "whatsapp_verify_token";
@@ -700,27 +1588,11 @@ module.exports.handler = async function(event) {
       
       console.log(`Processing message for store ID: ${storeId}`);
       
-      // Initialize DynamoDB client for broader scope (used in botConfig and deduplication)
-      const tableName = "WhatsappStoreTokens";
-      const tableRegion = "us-east-1";
-      const tokenDocClient = new DynamoDBClient({ region: tableRegion });
-      
       // Now that we have the storeId, fetch the bot configuration
       let botConfig;
       try {
-        const params = {
-          TableName: tableName,
-          Key: marshall({ storeId }), // Key needs to be marshalled for GetItemCommand
-        };
-
-        console.log(`[storeId: ${storeId}] Fetching bot configuration from DynamoDB table ${tableName} in region ${tableRegion}`);
-        const { Item } = await tokenDocClient.send(new GetItemCommand(params));
-        
-        if (Item) {
-          botConfig = unmarshall(Item); // Unmarshall the item
-          console.log(`[storeId: ${storeId}] Bot configuration fetched successfully for storeId: ${storeId}`);
-        } else {
-          console.log(`[storeId: ${storeId}] No bot configuration found for storeId: ${storeId}`);
+        botConfig = await loadBotConfig(storeId);
+        if (!botConfig) {
           return {
             statusCode: 404,
             body: JSON.stringify({ status: "error", message: "Bot configuration not found for this store" }),
@@ -734,31 +1606,6 @@ module.exports.handler = async function(event) {
         };
       }
       
-      // Fetch business context from S3
-      let businessContext = null; 
-      // Determine S3 bucket and key: use store-specific from botConfig if available, else fallback to defaults
-      const s3BucketToUse = botConfig.s3ContextBucket || process.env.S3_CONTEXT_BUCKET;
-      const s3KeyToUse = botConfig.s3ContextKey || process.env.S3_CONTEXT_KEY;
-
-      if (s3BucketToUse && s3KeyToUse) { 
-        const s3Client = new S3Client({ region: process.env.AWS_REGION || 'ap-southeast-1' });
-        const command = new GetObjectCommand({
-          Bucket: s3BucketToUse,
-          Key: s3KeyToUse,
-        });
-        try {
-          const response = await s3Client.send(command);
-          businessContext = await response.Body.transformToString();
-          console.log(`[storeId: ${storeId}] Successfully loaded business context from S3: s3://${s3BucketToUse}/${s3KeyToUse}`);
-        } catch (error) {
-          console.error(`[storeId: ${storeId}] Error fetching business context from S3 (s3://${s3BucketToUse}/${s3KeyToUse}):`, error);
-          // Non-fatal error, continue without business context
-          businessContext = null;
-        }
-      } else {
-        console.log(`[storeId: ${storeId}] No S3 bucket/key configured for business context. Proceeding without it.`);
-      }
-      
       // Now process the message based on the HTTP method and request body
       if (httpMethod === 'POST' && event.body) {
         const signature = event.headers['x-hub-signature-256'] || event.headers['X-Hub-Signature-256'];
@@ -777,14 +1624,13 @@ module.exports.handler = async function(event) {
           console.log(`[storeId: ${storeId}] DEBUG: Raw event.body type: ${typeof event.body}`);
           console.log(`[storeId: ${storeId}] DEBUG: Raw event.body length: ${event.body ? event.body.length : 'undefined'}`);
           console.log(`[storeId: ${storeId}] DEBUG: Raw event.body preview: ${event.body ? event.body.substring(0, 200) + '...' : 'undefined'}`);
-          console.log(`[storeId: ${storeId}] DEBUG: WhatsApp App Secret being used: ${botConfig.whatsappAppSecret}`);
           console.log(`[storeId: ${storeId}] DEBUG: Signature header received: ${signature}`);
           
           const calculatedSignature = 'sha256=' + crypto.createHmac('sha256', botConfig.whatsappAppSecret).update(event.body).digest('hex');
           console.log(`[storeId: ${storeId}] DEBUG: Calculated signature: ${calculatedSignature}`);
 
           if (signature !== calculatedSignature) {
-            console.error(`[storeId: ${storeId}] ERROR: Invalid webhook signature. Calculated (Expected): '${calculatedSignature}', Got (From Header): '${signature}'. WhatsApp App Secret used for calculation starts with: '${botConfig.whatsappAppSecret ? botConfig.whatsappAppSecret.substring(0,5) : 'NOT_FOUND'}...'`);
+            console.error(`[storeId: ${storeId}] ERROR: Invalid webhook signature. Calculated (Expected): '${calculatedSignature}', Got (From Header): '${signature}'.`);
             return { statusCode: 403, body: JSON.stringify({ status: "error", message: "Invalid webhook signature." }) };
           }
         }
@@ -803,1036 +1649,19 @@ module.exports.handler = async function(event) {
         };
       }
 
-      // Process all entries
-      for (const entry of body.entry) {
-        if (entry.changes) {
-          for (const change of entry.changes) {
-            if (change.value && change.value.messages && change.value.messages.length > 0) {
-              let from; // Declare 'from' for this message processing scope
-              let conversation; // Declare 'conversation' for this message processing scope
-              try {
-
-                const message = change.value.messages[0];
-                from = message.from; // Assign to 'from' in the outer scope
-                const messageType = message.type; // Initialize messageType here before using it
-                const messageId = message.id; // WhatsApp message ID for deduplication
-                
-                // Check for duplicate messages using in-memory cache (avoid polluting store tokens table)
-                const processedMessageKey = `${storeId}_${messageId}`;
-                
-                // Simple in-memory deduplication with TTL
-                if (!global.processedMessages) {
-                  global.processedMessages = new Map();
-                }
-                
-                const now = Date.now();
-                const existingMessage = global.processedMessages.get(processedMessageKey);
-                
-                if (existingMessage && (now - existingMessage.processedAt) < (24 * 60 * 60 * 1000)) {
-                  console.log(`[storeId: ${storeId}] Message ${messageId} already processed, skipping`);
-                  continue; // Skip this message as it's already been processed
-                }
-                
-                // Mark message as being processed
-                global.processedMessages.set(processedMessageKey, {
-                  messageId: messageId,
-                  processedAt: now
-                });
-                
-                // Clean up old entries (keep only last 1000 entries)
-                if (global.processedMessages.size > 1000) {
-                  const entries = Array.from(global.processedMessages.entries());
-                  entries.sort((a, b) => b[1].processedAt - a[1].processedAt);
-                  global.processedMessages.clear();
-                  entries.slice(0, 500).forEach(([key, value]) => {
-                    global.processedMessages.set(key, value);
-                  });
-                }
-                
-                console.log(`[storeId: ${storeId}] Processing new message ${messageId} from ${from}`);
-                
-                
-                // Check if the message is from the owner number (skip for LobangLah bot)
-                const isFromOwner = ownerNumber && from === ownerNumber;
-                if (isFromOwner && storeId !== 'cmanyfn1e0001jl04j3k45mz5') {
-                  console.log(`[storeId: ${storeId}] Message received from owner number: ${from}. Will suppress OpenAI and product messages.`);
-                  
-                  // Only send the interactive dashboard for text messages, not for interactive button clicks
-                  if (messageType === 'text') {
-                    // Send special interactive message to the owner
-                    const ownerInteractiveMessage = {
-                      type: 'interactive',
-                      interactive: {
-                        type: 'button',
-                        header: {
-                          type: 'text',
-                          text: 'Store Owner Dashboard'
-                        },
-                        body: {
-                          text: `Hello Store Owner! How can I help you today with store management? Current time: ${new Date().toLocaleString()}`
-                        },
-                        footer: {
-                          text: 'Select an option below'
-                        },
-                        action: {
-                          buttons: [
-                            {
-                              type: 'reply',
-                              reply: {
-                                id: 'view_orders',
-                                title: '📋 View Orders'
-                              }
-                            },
-                            {
-                              type: 'reply',
-                              reply: {
-                                id: 'view_customers',
-                                title: '👥 View Customers'
-                              }
-                            },
-                            {
-                              type: 'reply',
-                              reply: {
-                                id: 'view_stats',
-                                title: '📊 View Stats'
-                              }
-                            }
-                          ]
-                        }
-                      }
-                    };
-                    
-                    // Send the interactive message to the owner
-                    await sendWhatsAppMessage(storeId, from, ownerInteractiveMessage, botConfig);
-                    console.log(`[storeId: ${storeId}] Sent interactive message to owner: ${from}`);
-                    
-                    // Return early to prevent further processing
-                    return {
-                      statusCode: 200,
-                      body: JSON.stringify({
-                        status: 'success',
-                        message: 'Owner message received and processed'
-                      })
-                    };
-                  }
-                  
-                  // For interactive messages from owner, let them pass through to be processed normally
-                  // This will allow button clicks to work without reshowing the dashboard
-                  console.log(`[storeId: ${storeId}] Owner ${from} sent ${messageType} message. Processing normally.`);
-                }
-                
-                // For viral agency bot, treat owner messages as regular user messages
-                if (isFromOwner && storeId === 'cmanyfn1e0001jl04j3k45mz5') {
-                  console.log(`[storeId: ${storeId}] Viral agency owner message from ${from}. Processing as regular user message.`);
-                }
-                
-                const profileName = change.value.contacts?.[0]?.profile?.name || 'User';
-                
-
-                console.log(`[storeId: ${storeId}] Received message from ${profileName} (${from}) of type ${messageType}`);
-
-                const sessionId = `${storeId}:${from}`;  // Create proper sessionId
-                console.log(`[webhook] Getting session with sessionId ${sessionId}`);
-                const session = await getSession(sessionId);
-                
-                // DISABLED: OwnerReplyManager not needed for LobangLah bot
-                // const ownerReplyResult = await handleOwnerReply(message, session, { storeId, from, botConfig });
-                // if (ownerReplyResult.handled) {
-                //     ownerReplyResult.session.sessionId = sessionId;
-                //     console.log(`[webhook] Updating session after owner reply handling: ${sessionId}`);
-                //     await updateSession(ownerReplyResult.session);
-                //     continue;
-                // }
-
-                // Continue with normal message processing flow
-                let conversation = session.conversation || [];
-                const context = { storeId, userPhone: from, botConfig, conversation, businessContext };
-
-                // --- BEGIN MAIN MESSAGE TYPE HANDLING ---
-
-                // 1. Handle Interactive Messages
-                if (messageType === 'interactive' && message.interactive) {
-                    console.log(`[storeId: ${storeId}] Processing interactive message:`, JSON.stringify(message.interactive));
-
-                    // Special handling for DAILY DEAL VIRAL AGENCY (store ID: cmanyfn1e0001jl04j3k45mz5)
-                    if (storeId === 'cmanyfn1e0001jl04j3k45mz5') {
-                        console.log(`[DailyDeal] Detected DAILY DEAL AGENCY store, processing interactive message`);
-                        
-                        const response = await handleDailyDealMessage(
-                            storeId,
-                            from,
-                            'interactive',
-                            '',
-                            message.interactive,
-                            null,
-                            botConfig,
-                            session
-                        );
-                        
-                        // ALWAYS handle viral agency messages exclusively - no fallback to other handlers
-                        console.log(`[DailyDeal] Interactive message processed for ${from} (success: ${response.success})`);
-                        
-                        // Note: handleDailyDealMessage already sends the response internally
-                        // We don't need to send it again here to avoid double-sending
-                        if (response && response.response && response.response.type) {
-                            console.log(`[DailyDeal] Daily deal response already sent by handler:`, response.response);
-                        }
-                        
-                        // Use updated session data from daily deal handler
-                        const updatedSession = response.session || session;
-                        updatedSession.lastInteraction = 'daily_deal_agency';
-                        updatedSession.timestamp = Date.now();
-                        await updateSession(storeId, from, updatedSession);
-                        continue; // Skip ALL other message processing for viral agency
-                    }
-                    
-                    // Special handling for Social Media Agency bot (store ID: viral_agency_main)
-                    if (storeId === 'viral_agency_main') {
-                        console.log(`[SocialAgency] Detected Social Media Agency store, processing interactive message`);
-                        
-                        const response = await handleSocialAgencyMessage(
-                            storeId,
-                            from,
-                            'interactive',
-                            '',
-                            message.interactive,
-                            null,
-                            botConfig,
-                            session
-                        );
-                        
-                        if (response.success) {
-                            console.log(`[SocialAgency] Interactive message handled successfully for ${from}`);
-                            // Update session to track agency interaction
-                            session.lastInteraction = 'social_agency';
-                            session.timestamp = Date.now();
-                            await updateSession(storeId, from, session);
-                            continue; // Skip regular message processing
-                        }
-                    }
-
-                    const interactive = message.interactive;
-                    const actionIdentifier = interactive.button_reply ? interactive.button_reply.id : (interactive.list_reply ? interactive.list_reply.id : null);
-
-                    if (actionIdentifier) {
-                        console.log(`[storeId: ${storeId}] Processing action from interactive reply: ${actionIdentifier}`);
-                        conversation.push({ role: 'user', content: `[Selected: ${actionIdentifier}]` });
-
-                        let actionResult;
-
-                        // --- Action Routing for Interactive Replies ---
-                        if (actionIdentifier.startsWith('view_product_details_')) {
-                            const productId = actionIdentifier.substring('view_product_details_'.length);
-                            console.log(`[Webhook] Extracted actionIdentifier from list reply: ${actionIdentifier}`);
-                            actionResult = await processAction('VIEW_PRODUCT_DETAIL', { productId }, context);
-                        } else if (actionIdentifier === 'view_order_history' || actionIdentifier === 'view_orders') {
-                            actionResult = await processAction('GET_ORDER_HISTORY', {}, context);
-                        } else if (actionIdentifier.startsWith('view_order_detail_')) {
-                            console.log(`[Webhook] Extracted actionIdentifier from button reply: ${actionIdentifier}`);
-                            actionResult = await processAction(actionIdentifier, {}, context); // actionProcessor handles the full ID
-                        } else if (actionIdentifier.startsWith('contact_support_')) {
-                            const orderId = actionIdentifier.substring('contact_support_'.length);
-                            const supportMessage = `For support with order #${orderId}, please contact us at support@example.com or call our helpline.`;
-                            actionResult = { success: true, message: 'Contact support info sent.', messagePayload: { type: 'text', text: { body: supportMessage } } };
-                        } else if (actionIdentifier.startsWith('customer_response_')) {
-                            const orderId = actionIdentifier.substring('customer_response_'.length);
-                            console.log(`[Webhook] Customer ${from} clicked response button for order ${orderId}`);
-                            
-                            // Create a prompt for the customer to enter their message
-                            const promptMessage = `Please type your message for the store regarding order #${orderId.substring(0, 8).toUpperCase()}. The store owner will be notified.`;
-                            
-                            // Store in session that we're waiting for a message for this order
-                            session.awaitingCustomerMessageForOrder = orderId;
-                            await updateSession(storeId, from, session);
-                            
-                            actionResult = { 
-                                success: true, 
-                                message: 'Customer response prompt sent.', 
-                                messagePayload: { type: 'text', text: { body: promptMessage } } 
-                            };
-                        } else if (actionIdentifier === 'view_customers') {
-                            console.log(`[Webhook] Owner ${from} requested to view recent customers`);
-                            
-                            // Check if this is indeed from the owner number for additional security
-                            const isFromOwner = ownerNumber && from === ownerNumber;
-                            if (!isFromOwner) {
-                                actionResult = {
-                                    success: false,
-                                    message: 'Unauthorized access attempt',
-                                    messagePayload: { type: 'text', text: { body: 'You are not authorized to access this information.' } }
-                                };
-                            } else {
-                                // Fetch recent customers who ordered in the last 24 hours
-                                const recentOrders = await getRecentCustomers(storeId, botConfig);
-                                
-                                // Format the message with customer details
-                                const customerMessage = formatRecentCustomersMessage(recentOrders);
-                                
-                                actionResult = {
-                                    success: true,
-                                    message: 'Recent customers information sent to owner',
-                                    messagePayload: { type: 'text', text: { body: customerMessage } }
-                                };
-                            }
-                        } else if (actionIdentifier === 'view_stats') {
-                            // Check if this is indeed from the owner number for additional security
-                            const isFromOwner = ownerNumber && from === ownerNumber;
-                            if (!isFromOwner) {
-                                actionResult = {
-                                    success: false,
-                                    message: 'Unauthorized access attempt',
-                                    messagePayload: { type: 'text', text: { body: 'You are not authorized to access this information.' } }
-                                };
-                            } else {
-                                // Placeholder for store statistics functionality
-                                const statsMessage = '*Store Statistics*\n\n' +
-                                    'This feature is coming soon! It will show key metrics like:\n\n' +
-                                    '- Total sales today\n' +
-                                    '- Number of orders today\n' +
-                                    '- Average order value\n' +
-                                    '- Popular products\n\n' +
-                                    'Check back soon for these insights!';
-                                
-                                actionResult = {
-                                    success: true,
-                                    message: 'Store statistics placeholder sent',
-                                    messagePayload: { type: 'text', text: { body: statsMessage } }
-                                };
-                            }
-                        } else if (actionIdentifier.startsWith('discount_')) {
-                            // Handle discount response from owner
-                            console.log(`[Webhook] Owner ${from} responded to discount request: ${actionIdentifier}`);
-                            
-                            // Check if this is indeed from the owner number for security
-                            const isFromOwner = ownerNumber && from === ownerNumber;
-                            if (!isFromOwner) {
-                                actionResult = {
-                                    success: false,
-                                    message: 'Unauthorized discount action attempt',
-                                    messagePayload: { type: 'text', text: { body: 'You are not authorized to perform this action.' } }
-                                };
-                            } else {
-                                // Process the discount response
-                                const discountResult = await handleDiscountResponse(storeId, ownerNumber, actionIdentifier, botConfig);
-                                
-                                actionResult = {
-                                    success: discountResult.success,
-                                    message: discountResult.message,
-                                    // No message payload needed here as handleDiscountResponse sends messages directly
-                                };
-                            }
-                        } else if (actionIdentifier === 'todays_offer') {
-                            // Handle Today's Offer button click
-                            console.log(`[Webhook] Customer ${from} clicked on Today's Offer button`);
-                            
-                            // Process the today's offer request
-                            const offerResult = await handleTodaysOfferClick(storeId, ownerNumber, from, botConfig);
-                            
-                            actionResult = {
-                                success: offerResult.success,
-                                message: offerResult.message,
-                                // No message payload needed here as handleTodaysOfferClick sends messages directly
-                            };
-                        } else if (actionIdentifier.startsWith('select_product_')) {
-                            // Handle product selection from Today's Offer
-                            console.log(`[Webhook] Customer ${from} selected a product: ${actionIdentifier}`);
-                            
-                            // Extract product ID from the button ID
-                            // Format: select_product_productId
-                            const productId = actionIdentifier.substring('select_product_'.length);
-                            
-                            if (productId) {
-                                // Process the product selection
-                                const result = await handleProductSelection(storeId, ownerNumber, from, productId, botConfig);
-                                
-                                actionResult = {
-                                    success: result.success,
-                                    message: result.message,
-                                    // No message payload needed here as handleProductSelection sends messages directly
-                                };
-                            } else {
-                                console.error(`[storeId: ${storeId}] Invalid product selection format: ${actionIdentifier}`);
-                                actionResult = {
-                                    success: false,
-                                    message: 'Invalid product selection format'
-                                };
-                            }
-                        } else if (actionIdentifier.startsWith('accept_discount_offer_')) {
-                            // Handle customer accepting a discount offer by clicking Buy Now
-                            console.log(`[Webhook] Customer ${from} accepted a discount offer: ${actionIdentifier}`);
-                            
-                            // Parse product ID and discount percentage from the button ID
-                            // Format: accept_discount_offer_productId_discountPercentage
-                            const parts = actionIdentifier.split('_');
-                            if (parts.length >= 5) {
-                                const productId = parts[3];
-                                const discountPercentage = parseInt(parts[4], 10);
-                                
-                                if (productId && !isNaN(discountPercentage)) {
-                                    // Create actual order with discount
-                                    const orderResult = await handleAcceptDiscountOffer(storeId, from, productId, discountPercentage, botConfig);
-                                    
-                                    // No message payload needed as handleAcceptDiscountOffer handles messaging
-                                    actionResult = {
-                                        success: orderResult.success,
-                                        message: orderResult.message || 'Processed discount offer acceptance'
-                                    };
-                                } else {
-                                    console.error(`[storeId: ${storeId}] Invalid discount offer format: ${actionIdentifier}`);
-                                    await sendWhatsAppMessage(storeId, from, {
-                                        type: 'text',
-                                        text: {
-                                            body: `❌ Sorry, we couldn't process your order. Please try again or contact the store directly.`
-                                        }
-                                    }, botConfig);
-                                    
-                                    actionResult = {
-                                        success: false,
-                                        message: 'Invalid discount offer format'
-                                    };
-                                }
-                            } else {
-                                console.error(`[storeId: ${storeId}] Malformed discount offer ID: ${actionIdentifier}`);
-                                actionResult = {
-                                    success: false,
-                                    message: 'Malformed discount offer ID'
-                                };
-                            }
-                        } else if (actionIdentifier.startsWith('todays_offer_discount_')) {
-                            // Handle Today's Offer discount selection from owner
-                            console.log(`[Webhook] Owner ${from} selected a discount option: ${actionIdentifier}`);
-                            
-                            // Only process if coming from the owner number
-                            if (from === ownerNumber) {
-                                // Extract discount percentage and customer number from the button ID
-                                // Format: todays_offer_discount_XX_customerNumber where XX is the percentage
-                                const parts = actionIdentifier.split('_');
-                                if (parts.length >= 4) {
-                                    const discountPercentage = parseInt(parts[3], 10);
-                                    const customerNumber = parts.slice(4).join('_');
-                                    
-                                    if (!isNaN(discountPercentage) && customerNumber) {
-                                        const result = await handleTodaysOfferDiscount(storeId, customerNumber, discountPercentage, botConfig);
-                                        
-                                        if (result.success) {
-                                            // Confirm to owner that discount was sent
-                                            await sendWhatsAppMessage(storeId, from, {
-                                                type: 'text',
-                                                text: {
-                                                    body: `✅ ${discountPercentage}% discount offer for ${result.product.name} has been sent to the customer.`
-                                                }
-                                            }, botConfig);
-                                        } else {
-                                            console.error(`[storeId: ${storeId}] Failed to process discount:`, result.message);
-                                            await sendWhatsAppMessage(storeId, from, {
-                                                type: 'text',
-                                                text: {
-                                                    body: `❌ Failed to process discount: ${result.message}`
-                                                }
-                                            }, botConfig);
-                                        }
-                                    }
-                                }
-                            } else {
-                                console.warn(`[storeId: ${storeId}] Non-owner tried to send discount: ${from}`);
-                            }
-                            
-                            actionResult = {
-                                success: true,
-                                // No message payload needed here as we send messages directly
-                            };
-                        } else {
-                            // Fallback for other actions defined in actionProcessor (e.g., BUY_PRODUCT, CONFIRM_ORDER)
-                            actionResult = await processAction(actionIdentifier, {}, context);
-                        }
-                        // --- End Action Routing ---
-
-                        if (actionResult && actionResult.messagePayload) {
-                            // This handles cases where actionProcessor returned a messagePayload,
-                            // regardless of success or failure.
-                            // The payload itself should be crafted by actionProcessor to be appropriate.
-                            console.log(`[storeId: ${storeId}] Action '${actionIdentifier}' produced actionResult with messagePayload. Success: ${actionResult.success}. Sending payload. Full actionResult:`, JSON.stringify(actionResult));
-                            if (Array.isArray(actionResult.messagePayload)) {
-                                for (const msg of actionResult.messagePayload) {
-                                    await sendWhatsAppMessage(storeId, from, msg, botConfig);
-                                }
-                            } else {
-                                await sendWhatsAppMessage(storeId, from, actionResult.messagePayload, botConfig);
-                            }
-                            // Log to conversation history
-                            const conversationMessage = actionResult.message || (actionResult.success ? `Action ${actionIdentifier} successful.` : `Action ${actionIdentifier} failed.`);
-                            conversation.push({ role: 'assistant', content: `[Action: ${actionIdentifier}] ${conversationMessage}` });
-
-                        } else if (actionResult && actionResult.message && !actionResult.messagePayload) {
-                            // Action completed, might be success or failure, but no specific payload, only an internal message.
-                            console.warn(`[storeId: ${storeId}] Action '${actionIdentifier}' produced actionResult with a message but no messagePayload. Success: ${actionResult.success}. Message: ${actionResult.message}. Full actionResult:`, JSON.stringify(actionResult));
-                            const userFallbackMessage = actionResult.success ? actionResult.message : "Sorry, an issue occurred while processing your request. Please contact support if this persists.";
-                            await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: userFallbackMessage } }, botConfig);
-                            conversation.push({ role: 'assistant', content: `[Action: ${actionIdentifier}] ${actionResult.message}` });
-
-                        } else {
-                            // This means actionResult was null, undefined, or didn't have .messagePayload or .message
-                            console.error(`[storeId: ${storeId}] Action '${actionIdentifier}' failed silently or actionResult was malformed/empty. actionResult:`, JSON.stringify(actionResult));
-                            await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: "An error occurred while processing your request. Please try again later." } }, botConfig);
-                            await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: "I'm sorry, I couldn't process that request due to an unexpected issue. Please try again." } }, botConfig);
-                            conversation.push({ role: 'assistant', content: `[Action Failed: ${actionIdentifier}] Malformed or empty result.` });
-                        }
-
-                    } else {
-                        console.warn(`[storeId: ${storeId}] Received interactive message with no actionable ID.`, message.interactive);
-                    }
-
-                // 2. Handle Text Messages
-                } else if (messageType === 'text' && message.text && message.text.body) {
-                    const currentMessageContent = message.text.body;
-                    console.log(`[storeId: ${storeId}] Processing text message: "${currentMessageContent}"`);
-                    
-                    // Special handling for DAILY DEAL VIRAL AGENCY (store ID: cmanyfn1e0001jl04j3k45mz5)
-                    if (storeId === 'cmanyfn1e0001jl04j3k45mz5') {
-                        console.log(`[DailyDeal] Detected DAILY DEAL AGENCY store, processing text message`);
-                        
-                        const response = await handleDailyDealMessage(
-                            storeId,
-                            from,
-                            'text',
-                            currentMessageContent,
-                            null,
-                            null,
-                            botConfig,
-                            session
-                        );
-                        
-                        // ALWAYS handle viral agency messages exclusively - no fallback to other handlers
-                        console.log(`[DailyDeal] Text message processed for ${from} (success: ${response.success})`);
-                        
-                        // Note: handleDailyDealMessage already sends the response internally
-                        // We don't need to send it again here to avoid double-sending
-                        if (response && response.response && response.response.type) {
-                            console.log(`[DailyDeal] Daily deal response already sent by handler:`, response.response);
-                        }
-                        
-                        // Use updated session data from daily deal handler
-                        const updatedSession = response.session || session;
-                        updatedSession.lastInteraction = 'daily_deal_agency';
-                        updatedSession.timestamp = Date.now();
-                        await updateSession(storeId, from, updatedSession);
-                        continue; // Skip ALL other message processing for viral agency
-                    }
-                    
-                    // Special handling for Social Media Agency bot (store ID: viral_agency_main)
-                    if (storeId === 'viral_agency_main') {
-                        console.log(`[SocialAgency] Detected Social Media Agency store, processing text message`);
-                        
-                        const response = await handleSocialAgencyMessage(
-                            storeId,
-                            from,
-                            'text',
-                            currentMessageContent,
-                            null,
-                            null,
-                            botConfig,
-                            session
-                        );
-                        
-                        if (response.success) {
-                            console.log(`[SocialAgency] Text message handled successfully for ${from}`);
-                            // Update session to track agency interaction
-                            session.lastInteraction = 'social_agency';
-                            session.timestamp = Date.now();
-                            await updateSession(storeId, from, session);
-                            continue; // Skip regular message processing
-                        }
-                    }
-                    
-                    // Check if we're waiting for a customer message to send to the store owner
-                    if (session.awaitingCustomerMessageForOrder) {
-                        const orderId = session.awaitingCustomerMessageForOrder;
-                        console.log(`[Webhook] Received customer message for order ${orderId}: ${currentMessageContent}`);
-                        
-                        try {
-                            // Get the order to retrieve store owner phone
-                            const { getOrderById, updateOrderById } = require('../utils/dynamoDbUtils.js');
-                            const order = await getOrderById(storeId, orderId);
-                            
-                            if (order && (order.owner_phone || order.ownerPhone)) {
-                                // Store the customer message in the order
-                                const customerMessages = order.customerMessages || [];
-                                customerMessages.push({
-                                    timestamp: new Date().toISOString(),
-                                    message: currentMessageContent
-                                });
-                                
-                                await updateOrderById(storeId, orderId, { customerMessages });
-                                
-                                // Send notification to store owner
-                                const ownerPhone = order.owner_phone || order.ownerPhone;
-                                const orderNumber = orderId.substring(0, 8).toUpperCase();
-                                
-                                await sendWhatsAppMessage(storeId, ownerPhone, {
-                                    type: 'text',
-                                    text: { body: `📩 New customer message for order #${orderNumber}:\n\n"${currentMessageContent}"` }
-                                }, botConfig);
-                                
-                                // Clear the awaiting flag
-                                delete session.awaitingCustomerMessageForOrder;
-                                await updateSession(storeId, from, session);
-                                
-                                // Respond to the customer
-                                await sendWhatsAppMessage(storeId, from, {
-                                    type: 'text',
-                                    text: { body: `✅ Thank you! Your message has been sent to the store owner.` }
-                                }, botConfig);
-                                
-                                return { statusCode: 200, body: JSON.stringify({ success: true }) };
-                            } else {
-                                console.error(`[Webhook] Cannot forward customer message: no owner phone for order ${orderId}`);
-                                
-                                // Clear the awaiting flag
-                                delete session.awaitingCustomerMessageForOrder;
-                                await updateSession(storeId, from, session);
-                                
-                                // Inform the customer
-                                await sendWhatsAppMessage(storeId, from, {
-                                    type: 'text',
-                                    text: { body: `❌ Sorry, we couldn't deliver your message to the store. Please try contacting them directly.` }
-                                }, botConfig);
-                                
-                                return { statusCode: 200, body: JSON.stringify({ success: true }) };
-                            }
-                        } catch (error) {
-                            console.error(`[Webhook] Error processing customer message: ${error}`);
-                            
-                            // Clear the awaiting flag even on error
-                            delete session.awaitingCustomerMessageForOrder;
-                            await updateSession(storeId, from, session);
-                            
-                            // Inform the customer
-                            await sendWhatsAppMessage(storeId, from, {
-                                type: 'text',
-                                text: { body: `❌ Sorry, we couldn't deliver your message due to a technical error.` }
-                            }, botConfig);
-                            
-                            return { statusCode: 200, body: JSON.stringify({ success: true }) };
-                        }
-                    }
-                    
-                    // Continue with normal message processing
-                    conversation.push({ role: 'user', content: currentMessageContent });
-                    
-                    // Normalize message for keyword matching
-                    const normalizedMessage = currentMessageContent.toLowerCase().trim();
-                    
-                    // --- Keyword-based Triggers ---
-                    const productKeywords = ['products', 'menu', 'catalog', 'items', 'show products'];
-                    const orderHistoryKeywords = ['order history', 'my orders', 'past orders'];
-                    let keywordActionTaken = false;
-
-                    // Check for price sensitivity first (prioritize this over other keyword triggers)
-                    if (isPriceSensitive(currentMessageContent)) {
-                        console.log(`[storeId: ${storeId}] Customer message indicates price sensitivity. Starting discount flow...`);
-                        
-                        // Determine if we should send interactive discount approval to owner
-                        if (ownerNumber) {
-                            // Simulate order details for the discount request
-                            // In a real implementation, this would be the actual cart/order data
-                            const sampleOrderItems = [
-                                { name: "Sample Product 1", price: "99.99", quantity: 1, currency: "SGD" },
-                                { name: "Sample Product 2", price: "49.99", quantity: 2, currency: "SGD" }
-                            ];
-                            
-                            const orderDetails = {
-                                items: sampleOrderItems,
-                                total: 199.97, // Calculate this from items in production
-                                currency: "SGD"
-                            };
-                            
-                            // Send interactive discount approval request to the owner
-                            const sent = await sendDiscountApprovalRequest(storeId, ownerNumber, from, orderDetails, botConfig);
-                            
-                            if (sent) {
-                                console.log(`[storeId: ${storeId}] Sent discount approval request to owner ${ownerNumber}`);
-                                
-                                // Inform the customer that we're checking with the owner
-                                await sendWhatsAppMessage(storeId, from, {
-                                    type: 'text',
-                                    text: { body: "I understand you're concerned about the price. Let me check with the store owner if we can offer you a discount. I'll get back to you shortly!" }
-                                }, botConfig);
-                                
-                                // Add to conversation history
-                                conversation.push({ role: 'assistant', content: "I understand you're concerned about the price. Let me check with the store owner if we can offer you a discount. I'll get back to you shortly!" });
-                                
-                                // Skip further processing for this message since we're handling it with the discount flow
-                                keywordActionTaken = true;
-                            } else {
-                                console.log(`[storeId: ${storeId}] Failed to send discount approval request to owner. Falling back to normal discount flow.`);
-                                // Will fall back to existing discount prompt approach below
-                            }
-                        }
-                        
-                        // If we couldn't send the interactive approval or no owner is configured,
-                        // fall back to the original discount flow using campaigns
-                        if (!keywordActionTaken) {
-                            // Get discount prompt if active campaigns exist
-                            const discountPromptMsg = await getDiscountPrompt(storeId, botConfig);
-                            
-                            if (discountPromptMsg) {
-                                console.log(`[storeId: ${storeId}] Found active campaign. Adding discount prompt to conversation.`);
-                                conversation.push(discountPromptMsg);
-                                keywordActionTaken = true;
-                            } else {
-                                console.log(`[storeId: ${storeId}] No active campaigns found for discount.`);
-                            }
-                        }
-                    }
-
-                    // 1. Direct product mention detection
-                    if (productKeywords.includes(normalizedMessage)) {
-                        console.log(`[storeId: ${storeId}] User message contains product keyword. Triggering VIEW_MORE_PRODUCTS.`);
-                        const actionResult = await processAction('VIEW_MORE_PRODUCTS', {}, context);
-                        if (actionResult && actionResult.success && actionResult.messagePayload) {
-                            if (Array.isArray(actionResult.messagePayload)) {
-                                for (const msg of actionResult.messagePayload) {
-                                    await sendWhatsAppMessage(storeId, from, msg, botConfig);
-                                }
-                            } else {
-                                await sendWhatsAppMessage(storeId, from, actionResult.messagePayload, botConfig);
-                            }
-                            conversation.push({ role: 'assistant', content: `[Action processed: ${actionIdentifier}] ${actionResult.message}` });
-                            keywordActionTaken = true; // Mark that an action was taken
-                        }
-                                        } else if ((normalizedMessage.startsWith('buy ') || normalizedMessage.startsWith('product ')) && normalizedMessage.split(' ').length > 1) {
-                        const potentialProductName = currentMessageContent.split(' ').slice(1).join(' ').trim();
-                        console.log(`[storeId: ${storeId}] User message starts with 'buy' or 'product'. Attempting to initiate purchase for: '${potentialProductName}'.`);
-
-                        if (potentialProductName) {
-                            const product = await getProductByName(storeId, potentialProductName);
-                            if (product) {
-                                const productId = product.product_id || product.id;
-                                const interactiveMessage = {
-                                    type: 'interactive',
-                                    interactive: {
-                                        type: 'button',
-                                        header: product.image_url ? { type: 'image', image: { link: product.image_url } } : { type: 'text', text: product.name || 'Confirm Purchase' },
-                                        body: { text: `Found *${product.name}*.\nPrice: ${product.currency || 'SGD'}${(parseFloat(product.price) || 0).toFixed(2)}\n\nReady to buy?` },
-                                        action: {
-                                            buttons: [{
-                                                type: 'reply',
-                                                reply: {
-                                                    id: `buy_product_${productId}`,
-                                                    title: '🛒 Buy Now'
-                                                }
-                                            }]
-                                        }
-                                    }
-                                };
-                                await sendWhatsAppMessage(storeId, from, interactiveMessage, botConfig);
-                                conversation.push({ role: 'assistant', content: `[Action: Direct Purchase] Presented 'Buy Now' for ${product.name}.` });
-                                keywordActionTaken = true;
-                            } else {
-                                // If product not found, let OpenAI handle it for a more natural response.
-                                console.log(`[storeId: ${storeId}] Product '${potentialProductName}' not found directly. Falling back to OpenAI.`);
-                            }
-                        }
-                    } else if (orderHistoryKeywords.some(keyword => normalizedMessage.includes(keyword))) {
-                        console.log(`[storeId: ${storeId}] User message contains order history keyword. Triggering GET_ORDER_HISTORY.`);
-                        const actionResult = await processAction('GET_ORDER_HISTORY', {}, context);
-                        if (actionResult && actionResult.messagePayload) {
-                            await sendWhatsAppMessage(storeId, from, actionResult.messagePayload, botConfig);
-                            conversation.push({ role: 'assistant', content: `[Action processed: ${actionIdentifier}] ${actionResult.message}` });
-                            keywordActionTaken = true; // Mark that an action was taken
-                            conversation.push({ role: 'assistant', content: 'I have sent you your order history.' });
-                            keywordActionTaken = true;
-                        }
-                    }
-                    // --- End Keyword-based Triggers ---
-
-                    // 3. Fallback to OpenAI if no keyword action was taken
-                    if (!keywordActionTaken) {
-                        console.log(`[storeId: ${storeId}] Processing text message through OpenAI`);
-                        
-                        let currentOpenAIMessage = await getOpenAIResponse(storeId, currentMessageContent, conversation, botConfig, businessContext);
-
-                        while (currentOpenAIMessage.tool_calls && currentOpenAIMessage.tool_calls.length > 0) {
-                            conversation.push(currentOpenAIMessage);
-                            const toolCallResponses = [];
-                            for (const toolCall of currentOpenAIMessage.tool_calls) {
-                                const functionName = toolCall.function.name;
-                                let toolResponseContent = "";
-                                try {
-                                    const functionArgs = JSON.parse(toolCall.function.arguments);
-                                    console.log(`[storeId: ${storeId}] Executing tool: ${functionName}`, functionArgs);
-
-                                    if (functionName === "display_product_info") {
-                                        const { productId, introductoryText } = functionArgs;
-                                        if (introductoryText) await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: introductoryText } }, botConfig);
-                                        const displayResult = await displayProductInfo(storeId, productId, botConfig, context, conversation);
-                                        toolResponseContent = displayResult.toolResponse || `Displayed product info for ${productId}.`;
-                                    } else if (functionName === "get_store_products") {
-                                        const products = await getStoreProducts(storeId, functionArgs.limit || 10);
-                                        toolResponseContent = JSON.stringify(products);
-                                    } else if (functionName === "execute_get_order_history") {
-                                        const historyResult = await executeGetOrderHistory(storeId, from, botConfig);
-                                        toolResponseContent = historyResult.toolResponse || "Order history processed.";
-                                    } else if (functionName === "execute_get_invoice") {
-                                        const invoiceResult = await executeGetInvoice(storeId, from, functionArgs.orderId, botConfig);
-                                        toolResponseContent = invoiceResult.toolResponse || `Invoice for order ${functionArgs.orderId} processed.`;
-                                    } else if (functionName === "suggest_view_all_products") {
-                                        const actionResult = await processAction('VIEW_MORE_PRODUCTS', {}, context);
-                                        if (actionResult && actionResult.messagePayload) {
-                                            await sendWhatsAppMessage(storeId, from, actionResult.messagePayload, botConfig);
-                                            toolResponseContent = "Successfully displayed the product list.";
-                                        } else {
-                                            toolResponseContent = "Attempted to display products, but an error occurred.";
-                                        }
-                                    } else if (functionName === "send_location_message") {
-                                        const { latitude, longitude, name, address } = functionArgs;
-                                        if (latitude && longitude && name && address) {
-                                            await sendWhatsAppMessage(storeId, from, {
-                                                type: 'location',
-                                                location: { latitude, longitude, name, address }
-                                            }, botConfig);
-                                            toolResponseContent = "I've sent you the store's location.";
-                                        } else {
-                                            console.error(`[storeId: ${storeId}] Missing arguments for send_location_message:`, functionArgs);
-                                            toolResponseContent = "I couldn't send the location as some details are missing.";
-                                        }
-                                    } else if (functionName === "initiate_purchase") {
-                                        const { productName } = functionArgs;
-                                        const product = await getProductByName(storeId, productName);
-
-                                        if (product) {
-                                            const productId = product.product_id || product.id;
-                                            let detailText = `*${product.name || 'Product'}*\n`;
-                                            if (product.description) {
-                                              // Keep description brief for this context
-                                              const shortDescription = product.description.length > 100 ? product.description.substring(0, 97) + '...' : product.description;
-                                              detailText += `${shortDescription}\n\n`;
-                                            }
-                                            if (product.price !== undefined) {
-                                              detailText += `*Price:* ${product.currency || botConfig?.currencyCode || 'SGD'}${(parseFloat(product.price) || 0).toFixed(2)}\n`;
-                                            }
-
-                                            const interactiveMessage = {
-                                                type: 'interactive',
-                                                interactive: {
-                                                    type: 'button',
-                                                    header: product.image_url
-                                                        ? { type: 'image', image: { link: product.image_url } }
-                                                        : { type: 'text', text: product.name || 'Product Details' },
-                                                    body: { text: detailText.substring(0, 1024) }, // WhatsApp body text limit
-                                                    action: {
-                                                        buttons: [
-                                                            {
-                                                                type: 'reply',
-                                                                reply: {
-                                                                    id: `buy_product_${productId}`,
-                                                                    title: '🛒 Buy Now'
-                                                                }
-                                                            }
-                                                            // Optionally, add 'All Products' or 'Ask Question' buttons here later
-                                                        ]
-                                                    }
-                                                }
-                                            };
-
-                                            await sendWhatsAppMessage(storeId, from, interactiveMessage, botConfig);
-                                            toolResponseContent = `I've found ${product.name}. Please click 'Buy Now' if you'd like to purchase it.`;
-                                        } else {
-                                            toolResponseContent = `I couldn't find a product named '${productName}'. Please check the name or ask to see all products.`;
-                                        }
-                                    } else {
-                                        toolResponseContent = `Unknown function ${functionName} was called.`;
-                                    }
-                                } catch (toolExecutionError) {
-                                    console.error(`[storeId: ${storeId}] Error executing tool ${functionName}:`, toolExecutionError);
-                                    toolResponseContent = `Error executing tool ${functionName}: ${toolExecutionError.message}`;
-                                }
-                                toolCallResponses.push({ role: "tool", tool_call_id: toolCall.id, name: functionName, content: toolResponseContent });
-                            }
-                            conversation.push(...toolCallResponses);
-                            currentOpenAIMessage = await getOpenAIResponse(storeId, null, conversation, botConfig, businessContext);
-                        }
-
-                        // After processing all tool calls, or if there were no tool calls:
-                        try {
-                            if (currentOpenAIMessage && currentOpenAIMessage.content && currentOpenAIMessage.content.trim() !== '') {
-                                // If there's a final text response from OpenAI, send it.
-                                // Transform the regular text message into an interactive message with Today's Offer button
-                                const messageToSend = createTodaysOfferMessage(currentOpenAIMessage.content);
-                                await sendWhatsAppMessage(storeId, from, messageToSend, botConfig);
-                                conversation.push(currentOpenAIMessage); // Save the final AI response
-                            } else if (!keywordActionTaken && !(currentOpenAIMessage && currentOpenAIMessage.tool_calls && currentOpenAIMessage.tool_calls.length > 0)) {
-                                // If no keyword action was taken, AND OpenAI didn't return tool_calls (which would have been handled above or resulted in content),
-                                // AND there's no final text content, then send a fallback.
-                                // This covers cases where OpenAI returns an empty response or something unexpected without tool_calls.
-                                console.warn(`[storeId: ${storeId}] OpenAI response was empty or did not lead to a message. User: "${currentMessageContent}". Sending fallback.`);
-                                await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: "I'm sorry, I encountered an issue trying to process that. Please try again shortly." } }, botConfig);
-                                conversation.push({role: 'assistant', content: "[Fallback due to empty/unprocessed OpenAI response]"});
-                            }
-                        } catch (error) {
-                            console.error(`[storeId: ${storeId}] Error processing message from ${from}:`, error);
-                            await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: 'An internal error occurred. Please try again later.' } }, botConfig);
-                        } finally {
-                            conversation.push(currentOpenAIMessage); // Save the final AI response
-                            conversation.push({role: 'assistant', content: "[Fallback due to empty/unprocessed OpenAI response]"});
-                        }
-                    } // End of 'if (!keywordActionTaken)'
-                // END Fallback to OpenAI
-
-                // 3. Handle Location Messages
-                } else if (messageType === 'location' && message.location) {
-                    console.log(`[storeId: ${storeId}] Processing location message`);
-                    
-                    // Special handling for DAILY DEAL VIRAL AGENCY (store ID: cmanyfn1e0001jl04j3k45mz5)
-                    if (storeId === 'cmanyfn1e0001jl04j3k45mz5') {
-                        console.log(`[DailyDeal] Detected DAILY DEAL AGENCY store, processing location message`);
-                        
-                        const response = await handleDailyDealMessage(
-                            storeId,
-                            from,
-                            'location',
-                            '',
-                            null,
-                            message.location,
-                            botConfig,
-                            session
-                        );
-                        
-                        // ALWAYS handle viral agency messages exclusively - no fallback to other handlers
-                        console.log(`[DailyDeal] Location message processed for ${from} (success: ${response.success})`);
-                        
-                        // Use updated session data from daily deal handler
-                        const updatedSession = response.session || session;
-                        updatedSession.lastInteraction = 'daily_deal_agency';
-                        updatedSession.timestamp = Date.now();
-                        await updateSession(storeId, from, updatedSession);
-                        continue; // Skip ALL other message processing for viral agency
-                    }
-                    
-                    // Special handling for Social Media Agency bot (store ID: viral_agency_main)
-                    if (storeId === 'viral_agency_main') {
-                        console.log(`[SocialAgency] Detected Social Media Agency store, processing location message`);
-                        
-                        const response = await handleSocialAgencyMessage(
-                            storeId,
-                            from,
-                            'location',
-                            '',
-                            null,
-                            message.location,
-                            botConfig,
-                            session
-                        );
-                        
-                        if (response.success) {
-                            console.log(`[SocialAgency] Location message handled successfully for ${from}`);
-                            // Update session to track agency interaction
-                            session.lastInteraction = 'social_agency';
-                            session.timestamp = Date.now();
-                            await updateSession(storeId, from, session);
-                            continue; // Skip regular message processing
-                        }
-                    }
-                    
-                    // For other stores, treat location as unsupported
-                    console.log(`[storeId: ${storeId}] Location message not supported for this store`);
-                    const unsupportedMsg = { type: 'text', text: { body: "Sorry, I can only process text messages and button clicks at the moment." } };
-                    await sendWhatsAppMessage(storeId, from, unsupportedMsg, botConfig);
-                    conversation.push({ role: 'user', content: `[Sent location message]` });
-                    conversation.push({ role: 'assistant', content: "Acknowledged location message." });
-                
-                // 4. Handle Image Messages (for Social Media Agency)
-                } else if (messageType === 'image' && message.image) {
-                    console.log(`[storeId: ${storeId}] Processing image message`);
-                    
-                    // Special handling for DAILY DEAL VIRAL AGENCY (store ID: cmanyfn1e0001jl04j3k45mz5)
-                    if (storeId === 'cmanyfn1e0001jl04j3k45mz5') {
-                        console.log(`[DailyDeal] Detected DAILY DEAL AGENCY store, processing image message`);
-                        
-                        const response = await handleDailyDealMessage(
-                            storeId,
-                            from,
-                            'image',
-                            '',
-                            null,
-                            null,
-                            botConfig,
-                            session
-                        );
-                        
-                        // ALWAYS handle viral agency messages exclusively - no fallback to other handlers
-                        console.log(`[DailyDeal] Image message processed for ${from} (success: ${response.success})`);
-                        
-                        // Use updated session data from daily deal handler
-                        const updatedSession = response.session || session;
-                        updatedSession.lastInteraction = 'daily_deal_agency';
-                        updatedSession.timestamp = Date.now();
-                        await updateSession(storeId, from, updatedSession);
-                        continue; // Skip ALL other message processing for viral agency
-                    } 
-                    // Special handling for Social Media Agency bot (store ID: viral_agency_main)
-                    else if (storeId === 'viral_agency_main') {
-                        console.log(`[SocialAgency] Detected Social Media Agency store, processing image message`);
-                        
-                        const response = await handleSocialAgencyMessage(
-                            storeId,
-                            from,
-                            'image',
-                            '',
-                            null,
-                            null,
-                            botConfig,
-                            session
-                        );
-                        
-                        if (response.success) {
-                            console.log(`[SocialAgency] Image message handled successfully for ${from}`);
-                            // Update session to track agency interaction
-                            session.lastInteraction = 'social_agency';
-                            session.timestamp = Date.now();
-                            await updateSession(storeId, from, session);
-                            continue; // Skip regular message processing
-                        }
-                    } else {
-                        console.log(`[storeId: ${storeId}] Image message not supported for this store type`);
-                        const unsupportedMsg = { type: 'text', text: { body: "Sorry, I can only process text messages and button clicks at the moment." } };
-                        await sendWhatsAppMessage(storeId, from, unsupportedMsg, botConfig);
-                    }
-                    
-                } else { // Handle Unsupported Message Types
-                    console.log(`[storeId: ${storeId}] Received an unhandled or unsupported message type: ${messageType}.`);
-                    const unsupportedMsg = { type: 'text', text: { body: "Sorry, I can only process text messages and button clicks at the moment." } };
-                    await sendWhatsAppMessage(storeId, from, unsupportedMsg, botConfig);
-                    conversation.push({ role: 'user', content: `[Sent unsupported message type: ${messageType}]` });
-                    conversation.push({ role: 'assistant', content: "Acknowledged unsupported message." });
-                }
-                // --- END MAIN MESSAGE TYPE HANDLING ---
-              } catch (messageProcessingError) {
-                console.error(`[storeId: ${storeId}] Error processing individual message from ${from || 'unknown_sender'}:`, messageProcessingError);
-                if (from && botConfig) {
-                  try {
-                    await sendWhatsAppMessage(storeId, from, { type: 'text', text: { body: 'An internal error occurred while processing your action. Our team has been notified. Please try again later.' } }, botConfig);
-                  } catch (sendError) {
-                    console.error(`[storeId: ${storeId}] Failed to send error message to user ${from}:`, sendError);
-                  }
-                }
-                if (conversation && typeof conversation.push === 'function') {
-                    conversation.push({ role: 'system', content: `Error during message processing: ${messageProcessingError.message}`, error: true, timestamp: Date.now() });
-                }
-              } finally {
-                if (from && conversation) {
-                  try {
-                    await updateSession(storeId, from, conversation);
-                    console.log(`[storeId: ${storeId}] Session updated for user ${from} after message processing/error.`);
-                  } catch (sessionError) {
-                    console.error(`[storeId: ${storeId}] CRITICAL: Failed to update session for user ${from} after message processing:`, sessionError);
-                  }
-                }
-              }
-            } // Closes `for (const change of entry.changes)`
-          } // Closes `if (entry.changes)`
-        } // Closes `for (const entry of body.entry)`
-      } // Closes the try block started for JSON.parse and main POST logic
+      // Persist and queue the event; the worker does the actual processing
+      try {
+        const queued = await acceptWebhookEvent(storeId, ownerNumber, event.body, body);
+        if (!queued) {
+          console.log(`[storeId: ${storeId}] Webhook only contained messages that were already handled, nothing queued.`);
+        }
+      } catch (queueError) {
+        console.error(`[storeId: ${storeId}] Failed to queue webhook event, asking WhatsApp to retry:`, queueError);
+        return {
+          statusCode: 500,
+          body: JSON.stringify({ status: 'error', message: 'Failed to queue webhook event' })
+        };
+      }
     } catch (postBodyProcessingError) {
       console.error(`[storeId: ${storeId}] Error processing POST request body:`, postBodyProcessingError);
       // For POST body processing errors, we typically don't message the user back via WhatsApp
@@ -1840,11 +1669,11 @@ module.exports.handler = async function(event) {
       // The webhook should return 200 OK to WhatsApp quickly; errors are for server logs.
     }
     // WhatsApp expects a 200 OK response quickly for POST requests.
-    // Actual messages to the user are sent asynchronously via sendWhatsAppMessage.
-    console.log(`[storeId: ${storeId}] Finished processing POST request. Sending 200 OK to WhatsApp.`);
+    // Replies are sent by the webhook worker once it picks up the queued event.
+    console.log(`[storeId: ${storeId}] Webhook event accepted. Sending 200 OK to WhatsApp.`);
     return {
       statusCode: 200,
-      body: JSON.stringify({ status: 'success', message: 'Webhook processed' })
+      body: JSON.stringify({ status: 'success', message: 'Webhook accepted' })
     };
       }
     } else {
@@ -1866,4 +1695,27 @@ module.exports.handler = async function(event) {
       body: JSON.stringify({ message: 'Internal Server Error', error: handlerError.message }),
     };
   } // Closes catch (handlerError)
-}; // Closes export const handler
\ No newline at end of file
+}; // Closes export const handler
+
+// Queue consumer: processes webhook events acknowledged by the HTTP handler
+module.exports.worker = async function(event) {
+  const batchItemFailures = [];
+  await resolveEnvironmentSecrets();
+
+  for (const job of getQueuedJobs(event)) {
+    try {
+      await processWebhookEvent(job);
+    } catch (error) {
+      console.error(`[storeId: ${job.storeId}] Failed to process webhook event ${job.eventId || job.queueMessageId}:`, error);
+      if (job.eventId) {
+        await markWebhookEventStatus(job.eventId, 'failed', error.message);
+      }
+      if (job.queueMessageId) {
+        batchItemFailures.push({ itemIdentifier: job.queueMessageId });
+      }
+    }
+  }
+
+  // Only failed records are returned to SQS for redelivery
+  return { batchItemFailures };
+};
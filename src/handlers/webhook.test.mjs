@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { build } from 'esbuild';
+import { MAX_PROCESSING_ATTEMPTS } from '../utils/messageIdempotency.js';
+
+// webhook.js is CommonJS over ES modules and only runs bundled, as serverless-esbuild deploys it.
+// The bundle also exports what the tests use, so they share its module instances.
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const outfile = path.join(repoRoot, '.simulator/webhook.test.cjs');
+
+const storeId = 'worker-test-store';
+let webhook;
+let simulator;
+let nextRecordId = 1;
+
+before(async () => {
+    process.env.OFFLINE_MODE = 'true';
+    await build({
+        stdin: {
+            contents: `
+                export { worker } from './webhook.js';
+                export { registerBotMode } from './botModeRegistry.js';
+                export { sendWhatsAppMessage } from '../utils/whatsappUtils.js';
+                export { WhatsAppCloudSimulator, buildInboundMessage } from '../simulator/whatsappCloudSimulator.js';
+            `,
+            resolveDir: path.join(repoRoot, 'src/handlers'),
+            sourcefile: 'webhook-test-entry.js'
+        },
+        outfile,
+        bundle: true,
+        platform: 'node',
+        target: 'node20',
+        format: 'cjs',
+        packages: 'external',
+        logLevel: 'warning'
+    });
+    webhook = createRequire(import.meta.url)(outfile);
+
+    simulator = new webhook.WhatsAppCloudSimulator({ handler: null, appSecret: 'worker-test-secret', phoneNumberId: '100000010' });
+    await simulator.start();
+    simulator.useStore({ storeId, botMode: 'worker_test', fallbackBotMode: 'worker_test' });
+
+    // Replies "ok: <text>"; "crash" throws and "broken" sends buttons with duplicate IDs, which can't be repaired
+    webhook.registerBotMode('worker_test', {
+        handle: async (ctx) => {
+            const body = ctx.message.text?.body;
+            if (body === 'crash') {
+                throw new Error('Simulated handler failure');
+            }
+            const message = body === 'broken'
+                ? {
+                    type: 'interactive',
+                    interactive: {
+                        type: 'button',
+                        body: { text: 'Pick one' },
+                        action: { buttons: ['A', 'B'].map(title => ({ type: 'reply', reply: { id: 'same_id', title } })) }
+                    }
+                }
+                : { type: 'text', text: { body: `ok: ${body}` } };
+            await webhook.sendWhatsAppMessage(ctx.storeId, ctx.from, message, ctx.botConfig, { builder: 'workerTestReply' });
+            return { handled: true };
+        }
+    });
+});
+
+after(() => simulator?.stop());
+
+/**
+ * An SQS record carrying one inbound text message, as the webhook handler enqueues it
+ */
+function createRecord(from, text, messageId = `wamid.WORKERTEST${nextRecordId}`) {
+    const message = webhook.buildInboundMessage(from, { type: 'text', text }, messageId);
+    const { body } = simulator.buildSignedEvent(from, message);
+    return { messageId: `sqs-${nextRecordId++}`, body: JSON.stringify({ storeId, rawBody: body }) };
+}
+
+const repliesTo = from => simulator.outbound.filter(entry => entry.to === from).map(entry => entry.payload);
+
+test('a message that fails validation is not sent and does not fail its batch item', async () => {
+    const result = await webhook.worker({ Records: [createRecord('6590000301', 'broken'), createRecord('6590000302', 'hello')] });
+
+    assert.deepEqual(result, { batchItemFailures: [] });
+    assert.deepEqual(repliesTo('6590000301'), []);
+    assert.deepEqual(repliesTo('6590000302').map(payload => payload.text.body), ['ok: hello']);
+});
+
+test('a redelivered message is only handled once', async () => {
+    const record = createRecord('6590000303', 'hello again');
+
+    assert.deepEqual(await webhook.worker({ Records: [record] }), { batchItemFailures: [] });
+    // SQS delivers at least once; WhatsApp also retries unacknowledged webhooks
+    assert.deepEqual(await webhook.worker({ Records: [{ ...record, messageId: 'sqs-redelivered' }] }), { batchItemFailures: [] });
+
+    assert.deepEqual(repliesTo('6590000303').map(payload => payload.text.body), ['ok: hello again']);
+});
+
+test('only the failing record is returned for redelivery', async () => {
+    const failing = createRecord('6590000304', 'crash');
+    const result = await webhook.worker({ Records: [createRecord('6590000305', 'first'), failing, createRecord('6590000306', 'last')] });
+
+    assert.deepEqual(result, { batchItemFailures: [{ itemIdentifier: failing.messageId }] });
+    assert.deepEqual(repliesTo('6590000305').map(payload => payload.text.body), ['ok: first']);
+    assert.deepEqual(repliesTo('6590000306').map(payload => payload.text.body), ['ok: last']);
+});
+
+test('a failing message is given up after MAX_PROCESSING_ATTEMPTS deliveries', async () => {
+    const record = createRecord('6590000307', 'crash');
+
+    for (let attempt = 1; attempt <= MAX_PROCESSING_ATTEMPTS; attempt++) {
+        assert.deepEqual(await webhook.worker({ Records: [record] }), { batchItemFailures: [{ itemIdentifier: record.messageId }] });
+        // The user hears about the error once, when no retry is left
+        assert.equal(repliesTo('6590000307').length, attempt === MAX_PROCESSING_ATTEMPTS ? 1 : 0);
+    }
+
+    assert.deepEqual(await webhook.worker({ Records: [record] }), { batchItemFailures: [] });
+    assert.equal(repliesTo('6590000307').length, 1);
+});
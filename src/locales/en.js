@@ -0,0 +1,395 @@
+// English (Singapore) strings - the reference catalog; other languages fall back to these keys
+export const en = {
+    // Language selection
+    'language.name': 'English',
+    'language.menuHeader': '🌐 Language',
+    'language.menuBody': 'Which language should I chat with you in?\n\nYou can change this anytime by typing *language*.',
+    'language.menuButton': 'Choose language',
+    'language.changed': '✅ Can! I will chat with you in English from now on.\n\n💡 Type *language* anytime to switch.',
+
+    // Common buttons and footers
+    'button.shareLocation': '📍 Share Location',
+    'button.share': '📍 Share',
+    'button.howItWorks': '❓ How It Works',
+    'button.aboutUs': '🎯 About Us',
+    'button.searchByName': '🔍 Search by Name',
+    'button.search': '🔍 Search',
+    'button.popularPlaces': '🏢 Popular Places',
+    'button.food': '🍽️ Food & Dining',
+    'button.events': '🎉 Events',
+    'button.fashion': '👗 Fashion',
+    'button.chatAi': '🤖 Chat AI',
+    'button.moreDeals': '🔍 More Deals',
+    'button.setDailyAlert': '🔔 Set Daily Alert',
+    'button.setupAlert': '🔔 Setup Alert',
+    'button.addAlert': '🔔 Add Alert',
+    'button.setupAnother': '🔔 Setup Another',
+    'button.everyDay': '📅 Every day',
+    'button.weekdays': '💼 Weekdays',
+    'button.weekends': '🏖️ Weekends',
+    'button.manageAlerts': '⚙️ Manage Alerts',
+    'button.pauseAll': '⏸️ Pause All',
+    'button.back': '🔙 Back',
+    'button.backToDeals': '🔙 Back to Deals',
+    'button.menu': '🍽️ Menu',
+    'button.getMenu': '🍽️ Get Menu',
+    'button.directions': '📍 Directions',
+    'button.call': '📞 Call',
+    'button.setReminder': '⏰ Set Reminder',
+    'button.shareDeal': '📤 Share Deal',
+    'button.newLocation': '📍 New Location',
+    'button.viewAllDeals': '👀 View All Deals',
+    'button.searchMore': '🔍 Search More',
+    'button.contactUs': '📞 Contact Us',
+    'button.reportIssue': '🐛 Report Issue',
+    'button.suggestFeature': '💡 Suggest Feature',
+    'button.businessInquiry': '🤝 Business Inquiry',
+    'button.tryDifferentCategory': '🔄 Other Category',
+    'button.exploreFeatures': '🔍 Explore Features',
+    'button.searchRestaurants': '🔍 Find Restaurants',
+    'button.more': '✨ More',
+    'button.new': '📍 New',
+    'button.newArea': '📍 New Area',
+    'button.compareNow': '⚖️ Compare Now',
+    'button.addAnother': '➕ Add Another',
+    'button.cancel': '❌ Cancel',
+    'button.mySavedDeals': '⭐ My Saved Deals',
+    'button.dietaryPreferences': '🥗 Dietary Preferences',
+    'button.dietary.halal': '☪️ Halal',
+    'button.dietary.vegetarian': '🥦 Vegetarian',
+    'button.dietaryClear': 'No preference',
+    'button.remove': '🗑️ Remove',
+    'footer.chooseOption': 'Choose an option',
+    'footer.chooseCategory': 'Choose your deal category',
+
+    // Category names used inside sentences
+    'category.food': 'food',
+    'category.events': 'events',
+    'category.fashion': 'fashion',
+    'category.clothes': 'fashion',
+    'category.groceries': 'groceries',
+    'category.deals': 'deals',
+
+    // Welcome
+    'welcome.greeting.default': 'Hi there! 👋',
+    'welcome.greeting.hello': 'Hello! Great to meet you! 👋',
+    'welcome.greeting.morning': "Good morning! Hope you're having a wonderful day! 🌅",
+    'welcome.greeting.afternoon': 'Good afternoon! Perfect timing for some deal hunting! ☀️',
+    'welcome.greeting.evening': "Good evening! Let's find you some amazing deals! 🌆",
+    'welcome.greeting.help': "I'm here to help you find the best deals! 🤝",
+    'welcome.header': '🎯 Welcome to LobangLah!',
+    'welcome.body': "{greeting}\n\nI'm your personal AI deal hunter from **LobangLah** - Singapore's smartest deal discovery platform! 🤖\n\n🎯 **What I offer:**\n• AI-powered search across thousands of deals\n• Real-time weather + hourly forecasts\n• Location-based recommendations\n• Food, fashion, groceries & more!\n\n📍 **Ready to start saving?** Share your location and I'll find amazing deals nearby with today's weather forecast!\n\n🌐 Prefer 中文, Bahasa Melayu or தமிழ்? Type *language*",
+    'welcome.footer': "🚀 Singapore's Smartest Deal Discovery Platform",
+    'time.morning': 'Good morning!',
+    'time.afternoon': 'Good afternoon!',
+    'time.evening': 'Good evening!',
+    'time.night': 'Good night!',
+    'sgWelcome.header': '{emoji} {timeGreeting} Welcome to LobangLah!',
+    'sgWelcome.greeting': 'Hello! Ready to find some good lobang? 🎯',
+    'sgWelcome.body': "{greeting}\n\nI'm your personal AI deal hunter from **LobangLah** - Singapore's smartest deal discovery platform! 🤖\n\nI can find the best deals near you for food, events, fashion, and more, all with today's weather forecast.\n\n📍 **Ready to start saving?** Share your location and I'll find amazing deals nearby!\n\n🌐 Prefer 中文, Bahasa Melayu or தமிழ்? Type *language*",
+    'sgWelcome.footer': '🚀 Powered by LobangLah AI',
+
+    // Welcome buttons
+    'info.shareLocation': '📍 Please share your location to find amazing deals near you!',
+    'info.howItWorks': "🤖 **How LobangLah Works:**\n\n1️⃣ **Share Location** - Tell us where you are\n2️⃣ **Choose Category** - Food, fashion, events, etc.\n3️⃣ **Get Deals** - AI finds the best deals nearby\n4️⃣ **Chat & Explore** - Ask questions about deals\n\n🎯 **Smart Features:**\n• Real-time weather integration\n• Location-based recommendations\n• Deal deduplication (no repeats!)\n• Interactive catalog messages\n\n📍 Ready to start? Share your location!",
+    'info.about': "🎯 **About LobangLah:**\n\nWe're Singapore's smartest deal discovery platform! 🤖\n\n**What makes us special:**\n• AI-powered deal search\n• Real-time location & weather\n• Restaurant deduplication\n• Interactive WhatsApp experience\n\n💡 **Lobang** = Singaporean slang for 'good deal'\n\n📍 Let's find you some amazing lobangs!",
+    'info.searchByName': '🔍 **Search by Location Name**\n\nType the name of any Singapore location:\n\n📍 Examples:\n• Orchard Road\n• Marina Bay Sands\n• Bugis Junction\n• Tampines Mall\n• Jurong Point\n\n🌍 **Singapore locations only**',
+    'popular.header': '🏢 Popular Singapore Locations',
+    'popular.body': 'Choose a popular location to find deals, or type an MRT station or a stretch of a line, e.g. "along the East-West line from Jurong East to Buona Vista":',
+    'popular.footer': 'Select your preferred area',
+
+    // Location search
+    'location.serviceUnavailable': '❌ Sorry lah! Location service not available. Please try sharing your GPS location instead.',
+    'location.notFoundNamed': '❌ Sorry lah! Couldn\'t find "{query}" in Singapore. Please try another location or share your GPS location.',
+    'location.detailsFailed': "❌ Sorry lah! Couldn't get location details. Please try again or share your GPS location.",
+    'location.detailsFailedShort': "❌ Sorry lah! Couldn't get location details. Please try again.",
+    'location.detailsError': '❌ Sorry lah! I had trouble getting location details. Please try again or share your GPS location.',
+    'location.processingError': '❌ Sorry, I had trouble processing your location. Please try again!',
+    'location.notInSingapore': '❌ Sorry lah! That location is outside Singapore. Please share a location in Singapore or type an area or postal code.',
+    'location.notFound.header': '🔍 Location Not Found',
+    'location.notFound.body': '❌ Sorry lah! Couldn\'t find "{query}" in Singapore.\n\n🌍 **This bot only works in Singapore.**\n\nPlease try a different approach.',
+    'location.singaporeOnly.header': '🌍 Singapore Only',
+    'location.singaporeOnly.body': '📍 "{query}" is not a Singapore location.\n\n🌍 **This bot only works in Singapore.**\n\nPlease try a Singapore location or share your GPS location.',
+    'location.popularPicked': '🎉 Great choice! I found {name} in {area}.\n\nWhat kind of amazing deals should I find for you today?',
+    'location.searchPicked': '🎉 Perfect! I found {name} in {area}.\n\nWhat kind of amazing deals should I find for you today?',
+    'location.gpsConfirmed': '🎉 Location confirmed! I found {name} in {area}.\n\nWhat kind of amazing deals should I find for you today?',
+    'weather.summary': '📍 **Location:** {name}\n🌡️ **Weather:** {temperature}°C, {condition}\n💨 **Wind:** {wind} km/h\n💧 **Humidity:** {humidity}%\n\n🎯 Perfect weather for deal hunting!',
+    'weather.fallback': '📍 **Location confirmed:** {name}\n\n🎯 Ready to find amazing deals near you!',
+
+    // Deal search
+    'deals.needLocation': '❌ Please share your location first to find deals near you!',
+    'deals.searching': '🔍 Searching for amazing deals... This may take a moment! ⏳',
+    'deals.searchingMore': '🔍 Searching for more amazing deals... This may take a moment! ⏳',
+    'deals.foundHeader': '🎉 Found {count} {category} deals!',
+    'deals.foundBody': 'I found {count} amazing {category} deals near {location}!\n\n💬 Want to chat about these deals, find more, or set up daily alerts?',
+    'deals.none': "😅 Sorry, I couldn't find any deals at the moment. Please try a different category or location!",
+    'deals.noneMore': "😅 Sorry, I couldn't find any new deals at the moment. You've already seen all the best deals available!\n\n💡 Try searching in a different category or check back later for fresh deals!",
+    'deals.searchError': '❌ Sorry, I had trouble searching for deals. Please try again in a moment!',
+    'deals.moreError': '😅 Sorry, I had trouble finding more deals. Please try again in a moment!',
+
+    // Chat mode
+    'chat.noDeals': '❌ No deals available to chat about. Please search for deals first!',
+    'chat.activated': '🤖 **Chat AI Mode Activated!**\n\nI\'m ready to help you with your {category} deals near {location}!\n\n💬 **Ask me anything:**\n• "Which deal is best value?"\n• "Tell me about the first deal"\n• "What\'s closest to me?"\n• "Show me directions"\n• "More deals please"\n\n🎯 I\'ll help you make the best choice!\n\n💡 Type "exit chat" to end chat mode.',
+    'chat.defaultLocation': 'your location',
+    'chat.restarted': "🔄 *Chat Session Restarted*\n\nYou've had 10 interactions! Let's start fresh to find you the best deals.",
+    'chat.directionsFor': "📍 Here's the location for {name}!",
+    'chat.thisDeal': 'this deal',
+    'chat.whichDeal': '📍 I\'d love to help with directions, but I need to know which deal you\'re interested in!\n\n💬 Try asking like:\n• "Directions to the first deal"\n• "Where is [business name]?"\n• "How to get to deal #2"',
+    'chat.moreFound': '🎉 Found {count} additional {category} deals near {location}!\n\n💬 Ask me about these new deals or continue chatting about all your options!',
+    'chat.noMoreFound': "😔 Sorry, I couldn't find any additional {category} deals near {location} that aren't already shown.\n\n💡 Try searching in a different area by sharing a new location, or ask me about the current deals!",
+    'chat.moreError': "🔍 I had trouble finding more deals right now. Let me help you with the current {category} deals instead!\n\n💬 Ask me which deal is best value, closest to you, or any other questions!",
+    'chat.ended': '👋 Chat mode ended! You can search for new deals by sharing your location or click the Chat AI button again to resume chatting about your current deals.',
+    'chat.locationChange': "🔄 *Location Change Requested*\n\nLet's find {category} deals in a new area!\n\n📍 Please share your location to search for {category} deals near you.\n\n💡 Tap the 📎 attachment icon → Location → Send your current location",
+    'chat.error': '🤖 Sorry, I had trouble understanding your question about the {category} deals near {location}.\n\n💬 Please try asking again in a different way, like:\n• "Which deal is best value?"\n• "Tell me about the first deal"\n• "What\'s closest to me?"\n\n🎯 I\'m ready to help with your {category} deals!\n\n💡 Type "exit chat" to end chat mode.',
+    'chat.followUp': '💡 Ask me more about these deals or share a new location to search elsewhere!',
+    'chat.unsure': "I'm not sure how to help with that. Could you ask about a specific deal?",
+    'chat.processingError': '🤖 Sorry, I had trouble processing your question about {category} deals near {location}.\n\n💬 Please try asking in a simpler way, like:\n• "Which is the best deal?"\n• "Tell me about deal #1"\n• "What\'s the cheapest option?"\n\n🎯 I\'m here to help with your {category} deals!',
+
+    // Alerts (handler)
+    'alert.needDeals': '❌ Please search for deals first to set up daily alerts!',
+    'alert.created': '🔔 **Daily Alert Created!**\n\n✅ You\'ll receive daily {category} deals near {location} at {time}.\n\n📱 **Alert Details:**\n• Location: {location}\n• Category: {category}\n• Time: {time}\n• Status: Active\n\n💡 Type "manage alerts" to view or modify your alerts.',
+    'alert.createError': '❌ Sorry lah! I had trouble setting up your daily alert. Please try again later.',
+    'alert.none': "📱 **No Active Alerts**\n\nYou don't have any daily alerts set up yet.\n\n💡 To create an alert:\n1. Search for deals in your preferred location\n2. Click 'Set Daily Alert' button\n3. Choose your preferred time\n\n🔔 Daily alerts will send you the best deals automatically!",
+    'alert.loadError': '❌ Sorry lah! I had trouble loading your alerts. Please try again later.',
+    'alert.deactivated': "🔕 **Alert Deactivated**\n\n✅ Your daily alert has been turned off.\n\n💡 You can set up new alerts anytime by searching for deals and clicking 'Set Daily Alert'.",
+    'alert.deactivateError': '❌ Sorry lah! I had trouble deactivating your alert. Please try again later.',
+
+    // Alerts (alertUtils)
+    'alertSetup.body': 'Want to get the best deals delivered to you?\n\n🎯 *How it works:*\n• Choose your location and category\n• Pick a time, or lunch and dinner\n• Choose every day, weekdays or weekends\n• Get the top 5 deals each time\n• Easy to pause or change anytime\n\n⏰ *Available times:*\n9:00 AM, 12:00 PM, 3:00 PM, 6:00 PM, 8:00 PM',
+    'alertSetup.header': '🔔 Daily Deal Alerts',
+    'alertSetup.footer': 'Never miss the best deals! 🚀',
+    'alertTime.body': 'When would you like to receive your daily deals?\n\nSelect your preferred time:',
+    'alertTime.button': 'Select Time',
+    'alertTime.header': '⏰ Choose Alert Time',
+    'alertTime.footer': 'You can change this anytime',
+    'alertTime.morning': 'Morning',
+    'alertTime.afternoon': 'Afternoon',
+    'alertTime.evening': 'Evening',
+    'alertTime.0900': 'Start your day with great deals',
+    'alertTime.1200': 'Lunch break deals',
+    'alertTime.1500': 'Afternoon pick-me-up',
+    'alertTime.1800': 'After work deals',
+    'alertTime.2000': 'Evening relaxation',
+    'alertTime.twice': 'Lunch & Dinner',
+    'alertTime.lunchDinner': 'Deals before lunch and again before dinner',
+    'alertDays.body': 'Which days should I send your deals at {times}?',
+    'alertDays.header': '📅 Choose Days',
+    'alertDays.footer': 'You can change this anytime',
+    'alertSchedule.daily': 'every day at {times}',
+    'alertSchedule.weekdays': 'on weekdays at {times}',
+    'alertSchedule.weekends': 'on weekends at {times}',
+    'alertSchedule.days': 'every {days} at {times}',
+    'alertConfirm.body': "🎉 Your deal alert is now active!\n\n📍 *Location:* {location}\n🎯 *Category:* {category}\n⏰ *When:* {schedule}\n\nYou'll receive the top 5 {category} deals {schedule}.\n\n💡 *Manage your alerts anytime by typing \"manage alerts\"*",
+    'alertConfirm.header': '✅ Alert Created!',
+    'alertConfirm.footer': 'Happy deal hunting! 🚀',
+    'alertManage.header': '⚙️ Manage Alerts',
+    'alertManage.empty': "You don't have any active alerts yet.\n\n🔔 *Setup your first alert to get daily deals!*",
+    'alertManage.emptyFooter': 'Never miss the best deals',
+    'alertManage.count': 'You have {count} active alert(s):',
+    'alertManage.item': '{index}. {category} deals',
+    'alertManage.question': 'What would you like to do?',
+    'alertManage.footer': 'Manage your daily deal alerts',
+    'alertManage.error': "❌ Sorry lah! Couldn't load your alerts right now.",
+
+    // Daily alerts (cron)
+    'dailyAlert.noDeals': '🔍 *Daily Alert - No Deals Found*\n\nSorry lah! No {category} deals found near {location} today.\n\n💡 Try:\n• Different location\n• Other category\n• Check back tomorrow\n\n🔔 Your daily alert is still active!',
+    'dailyAlert.templateSummary': '{count} {category} deals near {location} today: {deals}',
+    'dailyAlert.navHeader': '🔔 Daily Alert Options',
+    'dailyAlert.navBody': 'Your daily {category} deals alert!\n\nWhat would you like to do?\n\n💡 *Quick Actions:*\n• Search for more deals\n• Change location\n• Manage your alerts',
+    'dailyAlert.navFooter': 'Your daily deal hunter at work! 🕵️',
+
+    // Deal navigation (dealNavigationUtils)
+    'nav.dealOfTheDay': '🥤 *{name} - Deal of the Day*',
+    'nav.location': '📍 *Location:* {value}',
+    'nav.contact': '📞 *Contact:* {value}',
+    'nav.openingHours': '🕒 *Opening Hours:* {value}',
+    'nav.distance': '🛣️ *Distance:* {value}',
+    'nav.distanceValue': '{meters}m from your location',
+    'nav.price': '💰 *Price:* {value}',
+    'nav.validUntil': '📅 *Valid Until:* {value}',
+    'nav.foundVia': '🌐 *Source:* Found via {value}',
+    'nav.details': '📝 *Details:* {value}',
+    'nav.defaultDetails': 'Enjoy amazing {category} deals at {name}. This offer is valid for dine-in or takeaway. Mention the promo at the counter or show this message to redeem.',
+    'nav.source': 'Source: {value}',
+    'nav.sources': 'Sources: {value}',
+    'nav.completeHeader': '🎯 {category} Deals Complete',
+    'nav.completeBody': '✅ Found {count} amazing {category} deals near {location}!\n\n💡 What would you like to do next?',
+    'nav.topDealsTitle': '🎉 *Top 5 {category} Deals*',
+    'nav.topDealsHeader': '🎯 Top 5 {category} Deals',
+    'nav.moreAvailable': '... and {count} more deals available!',
+    'nav.whatToDo': '💡 What would you like to do?',
+    'nav.foundSummary': '🎉 Found {count} {category} deals near {location}!',
+    'nav.optionsHeader': "🎯 What's Next?",
+    'nav.optionsBody': "Great! You've seen the top {category} deals near {location}.\n\nWhat would you like to do next?\n\n• View all available deals\n• Search for more deals\n• Change your location\n• Get restaurant menus\n• Set up daily alerts",
+    'nav.optionsFooter': 'Choose your next action',
+    'nav.optionsFallback': 'What would you like to do next?',
+    'nav.contactHeader': '📞 Contact LobangLah',
+    'nav.contactBody': "Need help? We're here for you!\n\n💬 *Customer Support*\n📧 Email: support@lobanglah.sg\n📱 WhatsApp: +65 9123 4567\n\n🕒 *Support Hours*\nMonday - Friday: 9AM - 6PM\nSaturday: 10AM - 4PM\n\n💡 *Quick Help*\n• Report issues with deals\n• Suggest new features\n• Business partnerships\n• General inquiries",
+    'nav.contactFooter': "We're here to help! 🚀",
+    'nav.contactFallback': '📞 Contact us at support@lobanglah.sg or WhatsApp +65 9123 4567',
+    'nav.whatElseHeader': '🚀 What Else Can We Do?',
+    'nav.whatElseBody': 'Wah! LobangLah can do many things lah!\n\n🎯 *Our Features:*\n• Find the best deals near you\n• Get restaurant menus and reviews\n• Weather-aware recommendations\n• Fun stickers and AI chat\n• Location-based search\n• Singapore-specific deals\n\n💡 *Coming Soon:*\n• Price comparison\n• Deal alerts\n• Group deals\n• Loyalty rewards\n• Restaurant reservations',
+    'nav.whatElseFooter': 'Always improving for you! 🎉',
+    'nav.whatElseFallback': '🚀 LobangLah can find deals, menus, and more! Try different categories or contact us for help.',
+    'nav.whatElseButton': 'Choose option',
+    'nav.savedDealsDescription': '{count} saved',
+    'nav.dietaryDescription': 'Halal or vegetarian food deals',
+    'nav.menuHeader': '🍽️ Restaurant Menu',
+    'nav.menuBody': "Want to see the menu for {name}?\n\nI can help you get:\n• Current menu items\n• Prices and availability\n• Opening hours\n• Contact information\n• Directions to the restaurant\n\nJust let me know which restaurant you're interested in!",
+    'nav.menuFooter': "I'll fetch the latest menu for you! 📋",
+    'nav.menuFallback': "🍽️ I can help you get restaurant menus! Just tell me which restaurant you're interested in.",
+    'nav.restaurantNotFound': "❌ Sorry, I couldn't find the restaurant details. Please try selecting a different deal.",
+    'nav.menuError': '❌ Sorry, there was an error loading the menu. Please try again.',
+
+    // Deal cards (dealsUtils, catalogUtils)
+    'dealCard.counter': '{emoji} *Deal {index} of {total}*',
+    'dealCard.details': '📝 *Details:*',
+    'dealCard.source': '🔗 *Source:*',
+    'dealCard.verified': '⏰ *Verified:* {value} SGT',
+    'dealCard.footerSource': '🔍 *Source:*',
+    'dealCard.footer': '🔍 LobangLah | Tap for actions',
+    'dealCard.none': "😅 Sorry, I couldn't find any {category} deals right now. Please try again later!",
+    'dealCard.allShownHeader': '{emoji} All {category} Deals Shown!',
+    'dealCard.allShownBody': "🎉 Found {count} amazing {category} deals for you!\n\n✨ Great deals discovered! You can:\n• Get more deals in this area\n• Search in a new location\n• Use the buttons on each deal for directions, reminders and sharing\n• Compare deals side by side or save one for later\n\n🛍️ Happy deal hunting!",
+    'dealCard.allShownFooter': '🔍 Sources: Instagram, Facebook, TikTok & Web | LobangLah 🎯',
+    'dealCard.allShownButton': 'What next?',
+    'dealCard.compareDescription': 'Price, savings and distance side by side',
+    'catalog.header': '{emoji} {category} Deals Found!',
+    'catalog.body': '🎉 Found {count} amazing {category} deals for you!\n\n✨ Tap on any deal below to view full details, get directions, and take action. Each deal includes business information, offers, and location details.\n\n🛍️ Happy deal hunting!',
+    'catalog.section': 'Available Deals',
+    'dealDetails.header': '🎯 Deal Details',
+    'dealDetails.footer': '🔍 Source: AI Web Search | LobangLah 🎯',
+    'dealDetails.defaultBusiness': 'Business',
+    'dealDetails.noAddress': 'Address not available',
+    'dealDetails.defaultOffer': 'Special offer',
+    'dealDetails.defaultDescription': 'Great deal available',
+    'dealDetails.defaultValidity': 'Limited time',
+    'dealDetails.location': '📍 *Location:* {address}',
+    'dealDetails.offer': '💰 *Offer:* {offer}',
+    'dealDetails.details': '📝 *Details:* {description}',
+    'dealDetails.validUntil': '⏰ *Valid Until:* {validity}',
+    'dealDetails.completeDetails': '📋 *Complete Details:*',
+    'dealDetails.contact': '📞 *Contact:*',
+    'dealDetails.phone': 'Phone: {phone}',
+    'dealDetails.website': 'Website: {website}',
+    'dealDetails.tapForActions': '🎯 Tap the buttons below for more actions!',
+
+    // Voice notes (voiceNoteUtils)
+    'voice.heard': '🎤 I heard: "{transcript}"',
+
+    // singaporeFeatures errors, successes and fallback content
+    'sgError.noLocation': "Eh! I need your location to find good lobang near you lah! 📍\n\nPlease share your location by tapping the 📎 attachment icon and selecting 'Location'.",
+    'sgError.noDeals': 'Wah! No {category} deals found near {location} right now.\n\nTry another category or location lah! 🔄',
+    'sgError.noDealsCategory': 'good',
+    'sgError.noDealsLocation': 'your area',
+    'sgError.apiError': 'Sorry lah! Something went wrong with my deal hunting.\n\nPlease try again in a while! 🔄',
+    'sgError.weatherError': "Weather info not available, but I'll still find you the best deals! 🌤️",
+    'sgError.networkError': 'Network a bit slow lah! Please try again in a moment! 📶',
+    'sgError.voiceNoteError': 'Aiyo, cannot catch what you said in the voice note leh! 🎤\n\nTry sending it again or just type your message lah!',
+    'sgError.rateLimited': "Wah, steady lah! You're going very fast. 😅\n\nLet me catch my breath — try again in {cooldown} ok? ☕",
+    'cooldown.seconds': '{count} seconds',
+    'cooldown.minute': '1 minute',
+    'cooldown.minutes': '{count} minutes',
+    'sgSuccess.locationConfirmed': 'Wah! {location} ah! Got many good deals there! 🎯',
+    'sgSuccess.dealsFound': 'Steady lah! Found {count} amazing {category} deals for you! 💪',
+    'sgSuccess.dealShared': 'Wah! Good lobang must share with friends! 👥',
+    'sgSuccess.categorySelected': 'Nice choice! {category} deals are the best! 🎉',
+    'sgSuccess.default': 'Wah! Success lah! 🎉',
+    'sgContent.location_confirmed': 'Wah! {location} ah! Got many good deals there! 🎯',
+    'sgContent.weather_good': 'Steady lah! Weather looks good for finding deals! 🌤️',
+    'sgContent.weather_rainy': 'Wah! Raining outside! Perfect time for indoor deals! ☔',
+    'sgContent.weather_hot': 'Wah piang! So hot today! Got both indoor and outdoor deals for you! 🌞',
+    'sgContent.deals_found': 'Wah! Found some solid lobang for you! 💪',
+    'sgContent.welcome': 'Eh! Ready to find some good deals lah! 🚀',
+
+    'compare.header': '⚖️ Compare Deals',
+    'compare.pickFirst': 'Which deals should I compare? Pick the first one.',
+    'compare.pickNext': 'Comparing *{names}*.\n\nPick a deal to compare it with.',
+    'compare.pickButton': 'Choose deal',
+    'compare.section': 'Your deals',
+    'compare.ready': 'Comparing *{names}*.\n\nCompare now, or add one more deal (up to 3).',
+    'compare.notEnough': '⚖️ I need at least 2 deals to compare. Search for deals first, then pick ⚖️ Compare Deals from the list below them, or just ask me which one is better!',
+    'compare.cancelled': '👌 Comparison cancelled. Your deals are still above!',
+    'compare.title': '⚖️ *Deal Comparison*',
+    'compare.price': '💵 Price: {value}',
+    'compare.savings': '💰 Savings: {value}',
+    'compare.distance': '📍 Distance: {value}',
+    'compare.rating': '⭐ Rating: {value}',
+    'compare.validity': '📅 Valid: {value}',
+    'compare.hours': '🕐 Today: {value}',
+    'compare.unknown': '—',
+    'compare.oneForOne': '1-for-1',
+    'compare.percentOff': '{value}% off',
+    'compare.amountOff': '${value} off',
+    'compare.usualPrice': 'usual ${value}',
+    'compare.verdict': '🤖 *Verdict:* {verdict}',
+    'compare.verdictFallback': '*{name}* looks like the better lobang: {reason}.',
+    'compare.verdictTie': 'Quite similar leh! Go with whichever is nearer or fits your mood.',
+    'compare.reason.cheapest': 'lowest price at {value}',
+    'compare.reason.biggestSaving': 'biggest saving ({value})',
+    'compare.reason.closest': 'closest to you ({value})',
+    'compare.reason.bestRated': 'best rated ({value}⭐)',
+    'compare.footer': '💬 Ask me more about these deals, or tap 📍 Directions on a deal card.',
+
+    'saved.added': "⭐ Saved *{name}*!\n\nYou have {count} saved deal(s). I'll give you a heads-up before a saved deal ends.",
+    'saved.alreadySaved': '⭐ *{name}* is already in your saved deals.',
+    'saved.full': '⭐ Your saved list is full ({max} deals). Remove one to save another.',
+    'saved.notFound': '😅 That deal is no longer in your saved list. It may have ended.',
+    'saved.empty': '⭐ No saved deals yet!\n\nPick ⭐ Save a Deal in the list after your deals to keep one here.',
+    'saved.listHeader': '⭐ My Saved Deals',
+    'saved.listBody': 'You have {count} saved deal(s). Pick one to see it again.',
+    'saved.listButton': 'View deals',
+    'saved.section': 'Saved deals',
+    'saved.endsOn': 'Ends {date}',
+    'saved.detail': '⭐ *{name}*\n\n💰 {offer}\n📍 {address}\n📅 {validity}',
+    'saved.removed': '🗑️ Removed *{name}* from your saved deals.',
+    'saved.pickTitle': '⭐ Save a Deal',
+    'saved.pickDescription': 'Keep one of these deals for later',
+    'saved.pickBody': 'Which deal should I save?',
+    'saved.pickButton': 'Choose deal',
+    'saved.nothingToSave': '😅 Search for deals first, then pick the one to save.',
+    'saved.endingSoonHeader': '⏰ Saved Deals Ending',
+    'saved.endingSoonBody': "⏰ Heads up! {count} of your saved deals end soon:\n\n{deals}\n\nDon't miss the lobang! 🏃",
+    'saved.endingSoonLine': '• *{name}*: {offer} (ends {date})',
+    'saved.endingSoonSummary': '{count} of your saved deals end soon: {deals}',
+
+    'query.searching': '🔍 Searching for {summary}... This may take a moment! ⏳',
+    'query.needLocation.header': '📍 Where should I look?',
+    'query.needLocation.body': "🔎 Got it: {summary}\n\nShare your location or tell me an area, and I'll find deals that fit.",
+    'query.budget': 'under ${amount}',
+    'query.budgetPerPerson': 'under ${amount}/pax',
+    'query.party': '{count} pax',
+    'query.dietary.halal': 'halal',
+    'query.dietary.vegetarian': 'vegetarian',
+    'query.time.now': 'right now',
+    'query.time.today': 'today',
+    'query.time.tonight': 'tonight',
+    'query.time.tomorrow': 'tomorrow',
+    'query.time.weekend': 'this weekend',
+    'query.time.at': 'at {time}',
+    'query.meal.breakfast': 'breakfast',
+    'query.meal.brunch': 'brunch',
+    'query.meal.lunch': 'lunch',
+    'query.meal.tea': 'tea',
+    'query.meal.dinner': 'dinner',
+    'query.meal.supper': 'supper',
+
+    'dietary.header': '🥗 Dietary Preferences',
+    'dietary.body': "Tell me once and I'll only show food deals that fit. Tap to turn an option on or off.\n\nCurrently: {current}",
+    'dietary.updated': '✅ Saved! Food deals will follow your preferences.\n\nCurrently: {current}',
+    'dietary.footer': 'Halal is checked against the MUIS listing',
+    'dietary.none': 'no dietary needs',
+    'dietary.saveFailed': "Sorry, I couldn't save your dietary preferences. Please try again! 😅",
+    'dietary.badge.halal.certified': '☪️ MUIS halal-certified',
+    'dietary.badge.halal.yes': '☪️ Halal',
+    'dietary.badge.halal.likely': '☪️ Likely halal, check with the outlet',
+    'dietary.badge.halal.unknown': '❔ Halal status not confirmed',
+    'dietary.badge.vegetarian.yes': '🥦 Vegetarian options',
+    'dietary.badge.vegetarian.unknown': '❔ Vegetarian options not confirmed',
+
+    'mrt.routePicked': "🚇 {name} on the {area}. I'll look for deals within a short walk of all {count} stations.\n\nWhat kind of deals should I find?",
+    'mrt.noCommonLine': "🚇 {from} ({fromLines}) and {to} ({toLines}) aren't on the same line. Try two stations on one line, e.g. \"along the East-West line from Jurong East to Buona Vista\".",
+    'mrt.walk': '🚇 {minutes} min walk from {station} station',
+
+    'error.generic': 'Sorry, I encountered an error. Please try again! 😅'
+};
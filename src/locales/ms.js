@@ -0,0 +1,380 @@
+// Malay (Bahasa Melayu) strings - missing keys fall back to en.js
+export const ms = {
+    'language.name': 'Bahasa Melayu',
+    'language.menuHeader': '🌐 Bahasa',
+    'language.menuBody': 'Dalam bahasa apa anda mahu berbual?\n\nTaip *bahasa* bila-bila masa untuk menukarnya.',
+    'language.menuButton': 'Pilih bahasa',
+    'language.changed': '✅ Boleh! Mulai sekarang saya akan berbual dalam Bahasa Melayu.\n\n💡 Taip *bahasa* bila-bila masa untuk menukar.',
+
+    'button.shareLocation': '📍 Kongsi Lokasi',
+    'button.share': '📍 Kongsi',
+    'button.howItWorks': '❓ Cara Guna',
+    'button.aboutUs': '🎯 Tentang Kami',
+    'button.searchByName': '🔍 Cari Nama Tempat',
+    'button.search': '🔍 Cari',
+    'button.popularPlaces': '🏢 Tempat Popular',
+    'button.food': '🍽️ Makanan',
+    'button.events': '🎉 Acara',
+    'button.fashion': '👗 Fesyen',
+    'button.chatAi': '🤖 Sembang AI',
+    'button.moreDeals': '🔍 Lagi Tawaran',
+    'button.setDailyAlert': '🔔 Amaran Harian',
+    'button.setupAlert': '🔔 Tetapkan Amaran',
+    'button.addAlert': '🔔 Tambah Amaran',
+    'button.setupAnother': '🔔 Tambah Lagi',
+    'button.everyDay': '📅 Setiap hari',
+    'button.weekdays': '💼 Hari bekerja',
+    'button.weekends': '🏖️ Hujung minggu',
+    'button.manageAlerts': '⚙️ Urus Amaran',
+    'button.pauseAll': '⏸️ Jeda Semua',
+    'button.back': '🔙 Kembali',
+    'button.backToDeals': '🔙 Ke Tawaran',
+    'button.menu': '🍽️ Menu',
+    'button.getMenu': '🍽️ Lihat Menu',
+    'button.directions': '📍 Arah',
+    'button.call': '📞 Telefon',
+    'button.setReminder': '⏰ Peringatan',
+    'button.shareDeal': '📤 Kongsi Tawaran',
+    'button.newLocation': '📍 Lokasi Baru',
+    'button.viewAllDeals': '👀 Semua Tawaran',
+    'button.searchMore': '🔍 Cari Lagi',
+    'button.contactUs': '📞 Hubungi Kami',
+    'button.reportIssue': '🐛 Lapor Masalah',
+    'button.suggestFeature': '💡 Cadang Ciri',
+    'button.businessInquiry': '🤝 Urusan Bisnes',
+    'button.tryDifferentCategory': '🔄 Kategori Lain',
+    'button.exploreFeatures': '🔍 Terokai Ciri',
+    'button.searchRestaurants': '🔍 Cari Restoran',
+    'button.more': '✨ Lagi',
+    'button.new': '📍 Baru',
+    'button.newArea': '📍 Kawasan Baru',
+    'button.compareNow': '⚖️ Banding Sekarang',
+    'button.addAnother': '➕ Tambah Lagi',
+    'button.cancel': '❌ Batal',
+    'button.mySavedDeals': '⭐ Tawaran Disimpan',
+    'button.dietaryPreferences': '🥗 Pilihan Pemakanan',
+    'button.dietary.halal': '☪️ Halal',
+    'button.dietary.vegetarian': '🥦 Vegetarian',
+    'button.dietaryClear': 'Tiada pilihan',
+    'button.remove': '🗑️ Buang',
+    'footer.chooseOption': 'Pilih satu',
+    'footer.chooseCategory': 'Pilih kategori tawaran',
+
+    'category.food': 'makanan',
+    'category.events': 'acara',
+    'category.fashion': 'fesyen',
+    'category.clothes': 'fesyen',
+    'category.groceries': 'barangan runcit',
+    'category.deals': 'tawaran',
+
+    'welcome.greeting.default': 'Hai! 👋',
+    'welcome.greeting.hello': 'Helo! Gembira berkenalan dengan anda! 👋',
+    'welcome.greeting.morning': 'Selamat pagi! Semoga hari anda indah! 🌅',
+    'welcome.greeting.afternoon': 'Selamat petang! Masa yang sesuai untuk memburu tawaran! ☀️',
+    'welcome.greeting.evening': 'Selamat malam! Jom cari tawaran hebat! 🌆',
+    'welcome.greeting.help': 'Saya sedia membantu anda mencari tawaran terbaik! 🤝',
+    'welcome.header': '🎯 Selamat Datang ke LobangLah!',
+    'welcome.body': '{greeting}\n\nSaya pemburu tawaran AI peribadi anda dari **LobangLah** - platform penemuan tawaran paling pintar di Singapura! 🤖\n\n🎯 **Apa yang saya tawarkan:**\n• Carian AI merentasi ribuan tawaran\n• Cuaca masa nyata + ramalan setiap jam\n• Cadangan berdasarkan lokasi\n• Makanan, fesyen, barangan runcit & banyak lagi!\n\n📍 **Sedia untuk berjimat?** Kongsi lokasi anda dan saya akan cari tawaran hebat berdekatan berserta ramalan cuaca hari ini!\n\n🌐 Prefer English, 中文 or தமிழ்? Type *language*',
+    'welcome.footer': '🚀 Platform Tawaran Paling Pintar di Singapura',
+    'time.morning': 'Selamat pagi!',
+    'time.afternoon': 'Selamat petang!',
+    'time.evening': 'Selamat malam!',
+    'time.night': 'Selamat malam!',
+    'sgWelcome.header': '{emoji} {timeGreeting} Selamat datang ke LobangLah!',
+    'sgWelcome.greeting': 'Hai! Sedia cari lobang yang bagus? 🎯',
+    'sgWelcome.body': '{greeting}\n\nSaya pemburu tawaran AI peribadi anda dari **LobangLah** - platform penemuan tawaran paling pintar di Singapura! 🤖\n\nSaya boleh cari tawaran terbaik berdekatan untuk makanan, acara, fesyen dan banyak lagi, berserta ramalan cuaca hari ini.\n\n📍 **Sedia untuk berjimat?** Kongsi lokasi anda dan saya akan cari tawaran hebat berdekatan!\n\n🌐 Prefer English, 中文 or தமிழ்? Type *language*',
+    'sgWelcome.footer': '🚀 Dikuasakan oleh LobangLah AI',
+
+    'info.shareLocation': '📍 Sila kongsi lokasi anda untuk mencari tawaran hebat berdekatan!',
+    'info.howItWorks': '🤖 **Cara LobangLah Berfungsi:**\n\n1️⃣ **Kongsi Lokasi** - Beritahu kami di mana anda berada\n2️⃣ **Pilih Kategori** - Makanan, fesyen, acara dan lain-lain\n3️⃣ **Dapatkan Tawaran** - AI mencari tawaran terbaik berdekatan\n4️⃣ **Sembang & Terokai** - Tanya apa sahaja tentang tawaran\n\n🎯 **Ciri Pintar:**\n• Maklumat cuaca masa nyata\n• Cadangan berdasarkan lokasi\n• Tiada tawaran berulang\n• Mesej katalog interaktif\n\n📍 Sedia untuk mula? Kongsi lokasi anda!',
+    'info.about': '🎯 **Tentang LobangLah:**\n\nKami platform penemuan tawaran paling pintar di Singapura! 🤖\n\n**Keistimewaan kami:**\n• Carian tawaran berkuasa AI\n• Lokasi & cuaca masa nyata\n• Tiada restoran berulang\n• Pengalaman WhatsApp interaktif\n\n💡 **Lobang** = slanga Singapura untuk \'tawaran bagus\'\n\n📍 Jom cari lobang yang hebat!',
+    'info.searchByName': '🔍 **Cari Mengikut Nama Lokasi**\n\nTaip nama mana-mana lokasi di Singapura:\n\n📍 Contoh:\n• Orchard Road\n• Marina Bay Sands\n• Bugis Junction\n• Tampines Mall\n• Jurong Point\n\n🌍 **Lokasi Singapura sahaja**',
+    'popular.header': '🏢 Lokasi Popular di Singapura',
+    'popular.body': 'Pilih lokasi popular untuk mencari tawaran, atau taip stesen MRT atau sebahagian laluan, contohnya "sepanjang East-West Line dari Jurong East ke Buona Vista":',
+    'popular.footer': 'Pilih kawasan pilihan anda',
+
+    'location.serviceUnavailable': '❌ Maaf! Perkhidmatan lokasi tidak tersedia. Sila kongsi lokasi GPS anda.',
+    'location.notFoundNamed': '❌ Maaf! Tidak dapat mencari "{query}" di Singapura. Sila cuba lokasi lain atau kongsi lokasi GPS anda.',
+    'location.detailsFailed': '❌ Maaf! Tidak dapat mendapatkan butiran lokasi. Sila cuba lagi atau kongsi lokasi GPS anda.',
+    'location.detailsFailedShort': '❌ Maaf! Tidak dapat mendapatkan butiran lokasi. Sila cuba lagi.',
+    'location.detailsError': '❌ Maaf! Ada masalah mendapatkan butiran lokasi. Sila cuba lagi atau kongsi lokasi GPS anda.',
+    'location.processingError': '❌ Maaf, ada masalah memproses lokasi anda. Sila cuba lagi!',
+    'location.notInSingapore': '❌ Maaf! Lokasi itu di luar Singapura. Sila kongsi lokasi di Singapura atau taip nama kawasan atau poskod.',
+    'location.notFound.header': '🔍 Lokasi Tidak Dijumpai',
+    'location.notFound.body': '❌ Maaf! Tidak dapat mencari "{query}" di Singapura.\n\n🌍 **Bot ini hanya untuk Singapura.**\n\nSila cuba cara lain.',
+    'location.singaporeOnly.header': '🌍 Singapura Sahaja',
+    'location.singaporeOnly.body': '📍 "{query}" bukan lokasi di Singapura.\n\n🌍 **Bot ini hanya untuk Singapura.**\n\nSila cuba lokasi di Singapura atau kongsi lokasi GPS anda.',
+    'location.popularPicked': '🎉 Pilihan bagus! Saya jumpa {name} di {area}.\n\nTawaran jenis apa yang patut saya cari hari ini?',
+    'location.searchPicked': '🎉 Bagus! Saya jumpa {name} di {area}.\n\nTawaran jenis apa yang patut saya cari hari ini?',
+    'location.gpsConfirmed': '🎉 Lokasi disahkan! Anda di {name}, {area}.\n\nTawaran jenis apa yang patut saya cari hari ini?',
+    'weather.summary': '📍 **Lokasi:** {name}\n🌡️ **Cuaca:** {temperature}°C, {condition}\n💨 **Angin:** {wind} km/j\n💧 **Kelembapan:** {humidity}%\n\n🎯 Cuaca yang sesuai untuk memburu tawaran!',
+    'weather.fallback': '📍 **Lokasi disahkan:** {name}\n\n🎯 Sedia mencari tawaran hebat berdekatan!',
+
+    'deals.needLocation': '❌ Sila kongsi lokasi anda dahulu untuk mencari tawaran berdekatan!',
+    'deals.searching': '🔍 Sedang mencari tawaran hebat... Sila tunggu sebentar! ⏳',
+    'deals.searchingMore': '🔍 Sedang mencari lebih banyak tawaran... Sila tunggu sebentar! ⏳',
+    'deals.foundHeader': '🎉 {count} tawaran {category} dijumpai!',
+    'deals.foundBody': 'Saya jumpa {count} tawaran {category} yang hebat berdekatan {location}!\n\n💬 Mahu sembang tentang tawaran ini, cari lagi, atau tetapkan amaran harian?',
+    'deals.none': '😅 Maaf, saya tidak jumpa sebarang tawaran buat masa ini. Sila cuba kategori atau lokasi lain!',
+    'deals.noneMore': '😅 Maaf, tiada tawaran baharu buat masa ini. Anda sudah lihat semua tawaran terbaik!\n\n💡 Cuba kategori lain atau semak semula nanti untuk tawaran baharu!',
+    'deals.searchError': '❌ Maaf, ada masalah mencari tawaran. Sila cuba lagi sebentar lagi!',
+    'deals.moreError': '😅 Maaf, ada masalah mencari lebih banyak tawaran. Sila cuba lagi sebentar lagi!',
+
+    'chat.noDeals': '❌ Tiada tawaran untuk disembangkan. Sila cari tawaran dahulu!',
+    'chat.activated': '🤖 **Mod Sembang AI Diaktifkan!**\n\nSaya sedia membantu dengan tawaran {category} berdekatan {location}!\n\n💬 **Tanya apa sahaja:**\n• "Tawaran mana paling berbaloi?"\n• "Ceritakan tentang tawaran pertama"\n• "Mana yang paling dekat?"\n• "Tunjukkan arah"\n• "Lagi tawaran"\n\n🎯 Saya akan bantu anda membuat pilihan terbaik!\n\n💡 Taip "exit chat" untuk tamatkan mod sembang.',
+    'chat.defaultLocation': 'lokasi anda',
+    'chat.restarted': '🔄 *Sesi Sembang Dimulakan Semula*\n\nAnda sudah 10 kali berinteraksi! Jom mula semula untuk mencari tawaran terbaik.',
+    'chat.directionsFor': '📍 Ini lokasi {name}!',
+    'chat.thisDeal': 'tawaran ini',
+    'chat.whichDeal': '📍 Saya suka membantu dengan arah, tetapi saya perlu tahu tawaran mana yang anda minati!\n\n💬 Cuba tanya begini:\n• "Arah ke tawaran pertama"\n• "Di mana [nama kedai]?"\n• "Macam mana nak ke tawaran #2"',
+    'chat.moreFound': '🎉 {count} lagi tawaran {category} dijumpai berdekatan {location}!\n\n💬 Tanya saya tentang tawaran baharu ini atau teruskan berbual tentang semua pilihan anda!',
+    'chat.noMoreFound': '😔 Maaf, saya tidak jumpa tawaran {category} lain berdekatan {location} yang belum ditunjukkan.\n\n💡 Cuba kawasan lain dengan berkongsi lokasi baharu, atau tanya saya tentang tawaran sekarang!',
+    'chat.moreError': '🔍 Saya tidak dapat mencari lebih banyak tawaran sekarang. Biar saya bantu dengan tawaran {category} yang ada!\n\n💬 Tanya saya tawaran mana paling berbaloi, paling dekat, atau apa-apa soalan lain!',
+    'chat.ended': '👋 Mod sembang tamat! Anda boleh cari tawaran baharu dengan berkongsi lokasi atau tekan butang Sembang AI untuk terus berbual tentang tawaran sekarang.',
+    'chat.locationChange': '🔄 *Tukar Lokasi*\n\nJom cari tawaran {category} di kawasan baharu!\n\n📍 Sila kongsi lokasi anda untuk mencari tawaran {category} berdekatan.\n\n💡 Tekan ikon lampiran 📎 → Lokasi → Hantar lokasi semasa',
+    'chat.error': '🤖 Maaf, saya kurang faham soalan anda tentang tawaran {category} berdekatan {location}.\n\n💬 Sila cuba tanya dengan cara lain, contohnya:\n• "Tawaran mana paling berbaloi?"\n• "Ceritakan tentang tawaran pertama"\n• "Mana yang paling dekat?"\n\n🎯 Saya sedia membantu dengan tawaran {category} anda!\n\n💡 Taip "exit chat" untuk tamatkan mod sembang.',
+    'chat.followUp': '💡 Tanya saya lagi tentang tawaran ini atau kongsi lokasi baharu untuk mencari di tempat lain!',
+    'chat.unsure': 'Saya kurang pasti bagaimana membantu. Boleh tanya tentang tawaran tertentu?',
+    'chat.processingError': '🤖 Maaf, ada masalah memproses soalan anda tentang tawaran {category} berdekatan {location}.\n\n💬 Sila tanya dengan lebih ringkas, contohnya:\n• "Tawaran mana paling bagus?"\n• "Ceritakan tentang tawaran #1"\n• "Mana yang paling murah?"\n\n🎯 Saya sedia membantu dengan tawaran {category} anda!',
+
+    'alert.needDeals': '❌ Sila cari tawaran dahulu untuk menetapkan amaran harian!',
+    'alert.created': '🔔 **Amaran Harian Ditetapkan!**\n\n✅ Anda akan menerima tawaran {category} berdekatan {location} setiap hari pada {time}.\n\n📱 **Butiran Amaran:**\n• Lokasi: {location}\n• Kategori: {category}\n• Masa: {time}\n• Status: Aktif\n\n💡 Taip "manage alerts" untuk melihat atau mengubah amaran anda.',
+    'alert.createError': '❌ Maaf! Ada masalah menetapkan amaran harian anda. Sila cuba lagi nanti.',
+    'alert.none': '📱 **Tiada Amaran Aktif**\n\nAnda belum menetapkan sebarang amaran harian.\n\n💡 Untuk menetapkan amaran:\n1. Cari tawaran di lokasi pilihan anda\n2. Tekan butang \'Amaran Harian\'\n3. Pilih masa pilihan anda\n\n🔔 Amaran harian akan menghantar tawaran terbaik secara automatik!',
+    'alert.loadError': '❌ Maaf! Ada masalah memuatkan amaran anda. Sila cuba lagi nanti.',
+    'alert.deactivated': '🔕 **Amaran Dimatikan**\n\n✅ Amaran harian anda telah dimatikan.\n\n💡 Anda boleh tetapkan amaran baharu bila-bila masa dengan mencari tawaran dan menekan \'Amaran Harian\'.',
+    'alert.deactivateError': '❌ Maaf! Ada masalah mematikan amaran anda. Sila cuba lagi nanti.',
+
+    'alertSetup.body': 'Mahu terima tawaran terbaik?\n\n🎯 *Cara ia berfungsi:*\n• Pilih lokasi dan kategori\n• Pilih satu masa, atau tengah hari dan malam\n• Pilih setiap hari, hari bekerja atau hujung minggu\n• Terima 5 tawaran teratas setiap kali\n• Mudah dijeda atau diubah bila-bila masa\n\n⏰ *Masa tersedia:*\n9:00 pagi, 12:00 tengah hari, 3:00 petang, 6:00 petang, 8:00 malam',
+    'alertSetup.header': '🔔 Amaran Tawaran Harian',
+    'alertSetup.footer': 'Jangan terlepas tawaran terbaik! 🚀',
+    'alertTime.body': 'Bila anda mahu menerima tawaran harian?\n\nPilih masa pilihan anda:',
+    'alertTime.button': 'Pilih Masa',
+    'alertTime.header': '⏰ Pilih Masa Amaran',
+    'alertTime.footer': 'Anda boleh ubah bila-bila masa',
+    'alertTime.morning': 'Pagi',
+    'alertTime.afternoon': 'Tengah hari',
+    'alertTime.evening': 'Petang & Malam',
+    'alertTime.0900': 'Mulakan hari dengan tawaran hebat',
+    'alertTime.1200': 'Tawaran waktu makan tengah hari',
+    'alertTime.1500': 'Penyegar waktu petang',
+    'alertTime.1800': 'Tawaran selepas kerja',
+    'alertTime.2000': 'Santai waktu malam',
+    'alertTime.twice': 'Tengah hari & malam',
+    'alertTime.lunchDinner': 'Tawaran sebelum makan tengah hari dan sebelum makan malam',
+    'alertDays.body': 'Hari apa saya patut hantar tawaran anda pada {times}?',
+    'alertDays.header': '📅 Pilih Hari',
+    'alertDays.footer': 'Boleh diubah bila-bila masa',
+    'alertSchedule.daily': 'setiap hari pada {times}',
+    'alertSchedule.weekdays': 'setiap hari bekerja pada {times}',
+    'alertSchedule.weekends': 'setiap hujung minggu pada {times}',
+    'alertSchedule.days': 'setiap {days} pada {times}',
+    'alertConfirm.body': '🎉 Amaran tawaran anda kini aktif!\n\n📍 *Lokasi:* {location}\n🎯 *Kategori:* {category}\n⏰ *Bila:* {schedule}\n\nAnda akan menerima 5 tawaran {category} teratas {schedule}.\n\n💡 *Urus amaran anda bila-bila masa dengan menaip "manage alerts"*',
+    'alertConfirm.header': '✅ Amaran Ditetapkan!',
+    'alertConfirm.footer': 'Selamat memburu tawaran! 🚀',
+    'alertManage.header': '⚙️ Urus Amaran',
+    'alertManage.empty': 'Anda belum ada amaran aktif.\n\n🔔 *Tetapkan amaran pertama anda untuk menerima tawaran harian!*',
+    'alertManage.emptyFooter': 'Jangan terlepas tawaran terbaik',
+    'alertManage.count': 'Anda ada {count} amaran aktif:',
+    'alertManage.item': '{index}. Tawaran {category}',
+    'alertManage.question': 'Apa yang anda mahu lakukan?',
+    'alertManage.footer': 'Urus amaran tawaran harian anda',
+    'alertManage.error': '❌ Maaf! Tidak dapat memuatkan amaran anda sekarang.',
+
+    'dailyAlert.noDeals': '🔍 *Amaran Harian - Tiada Tawaran*\n\nMaaf! Tiada tawaran {category} dijumpai berdekatan {location} hari ini.\n\n💡 Cuba:\n• Lokasi lain\n• Kategori lain\n• Semak semula esok\n\n🔔 Amaran harian anda masih aktif!',
+    'dailyAlert.templateSummary': '{count} tawaran {category} berdekatan {location} hari ini: {deals}',
+    'dailyAlert.navHeader': '🔔 Pilihan Amaran Harian',
+    'dailyAlert.navBody': 'Amaran tawaran {category} harian anda!\n\nApa yang anda mahu lakukan?\n\n💡 *Tindakan Pantas:*\n• Cari lebih banyak tawaran\n• Tukar lokasi\n• Urus amaran anda',
+    'dailyAlert.navFooter': 'Pemburu tawaran harian anda sedang bekerja! 🕵️',
+
+    'nav.dealOfTheDay': '🥤 *{name} - Tawaran Hari Ini*',
+    'nav.location': '📍 *Lokasi:* {value}',
+    'nav.contact': '📞 *Hubungi:* {value}',
+    'nav.openingHours': '🕒 *Waktu Operasi:* {value}',
+    'nav.distance': '🛣️ *Jarak:* {value}',
+    'nav.distanceValue': '{meters}m dari lokasi anda',
+    'nav.price': '💰 *Harga:* {value}',
+    'nav.validUntil': '📅 *Sah Sehingga:* {value}',
+    'nav.foundVia': '🌐 *Sumber:* Dijumpai melalui {value}',
+    'nav.details': '📝 *Butiran:* {value}',
+    'nav.defaultDetails': 'Nikmati tawaran {category} hebat di {name}. Tawaran ini sah untuk makan di kedai atau bungkus. Sebut promosi di kaunter atau tunjukkan mesej ini untuk menebus.',
+    'nav.source': 'Sumber: {value}',
+    'nav.sources': 'Sumber: {value}',
+    'nav.completeHeader': '🎯 Tawaran {category} Lengkap',
+    'nav.completeBody': '✅ {count} tawaran {category} hebat dijumpai berdekatan {location}!\n\n💡 Apa yang anda mahu lakukan seterusnya?',
+    'nav.topDealsTitle': '🎉 *5 Tawaran {category} Teratas*',
+    'nav.topDealsHeader': '🎯 5 Tawaran {category} Teratas',
+    'nav.moreAvailable': '... dan {count} lagi tawaran tersedia!',
+    'nav.whatToDo': '💡 Apa yang anda mahu lakukan?',
+    'nav.foundSummary': '🎉 {count} tawaran {category} dijumpai berdekatan {location}!',
+    'nav.optionsHeader': '🎯 Seterusnya?',
+    'nav.optionsBody': 'Bagus! Anda sudah lihat tawaran {category} teratas berdekatan {location}.\n\nApa yang anda mahu lakukan seterusnya?\n\n• Lihat semua tawaran\n• Cari lebih banyak tawaran\n• Tukar lokasi\n• Dapatkan menu restoran\n• Tetapkan amaran harian',
+    'nav.optionsFooter': 'Pilih tindakan seterusnya',
+    'nav.optionsFallback': 'Apa yang anda mahu lakukan seterusnya?',
+    'nav.contactHeader': '📞 Hubungi LobangLah',
+    'nav.contactBody': 'Perlukan bantuan? Kami sedia membantu!\n\n💬 *Khidmat Pelanggan*\n📧 E-mel: support@lobanglah.sg\n📱 WhatsApp: +65 9123 4567\n\n🕒 *Waktu Khidmat*\nIsnin - Jumaat: 9 pagi - 6 petang\nSabtu: 10 pagi - 4 petang\n\n💡 *Bantuan Pantas*\n• Lapor masalah tawaran\n• Cadangkan ciri baharu\n• Kerjasama bisnes\n• Pertanyaan umum',
+    'nav.contactFooter': 'Kami sedia membantu! 🚀',
+    'nav.contactFallback': '📞 Hubungi kami di support@lobanglah.sg atau WhatsApp +65 9123 4567',
+    'nav.whatElseHeader': '🚀 Apa Lagi Yang Kami Boleh Buat?',
+    'nav.whatElseBody': 'LobangLah boleh buat banyak perkara!\n\n🎯 *Ciri Kami:*\n• Cari tawaran terbaik berdekatan\n• Dapatkan menu dan ulasan restoran\n• Cadangan mengikut cuaca\n• Pelekat menarik dan sembang AI\n• Carian mengikut lokasi\n• Tawaran khas Singapura\n\n💡 *Akan Datang:*\n• Perbandingan harga\n• Amaran tawaran\n• Tawaran berkumpulan\n• Ganjaran kesetiaan\n• Tempahan restoran',
+    'nav.whatElseFooter': 'Sentiasa menambah baik untuk anda! 🎉',
+    'nav.whatElseFallback': '🚀 LobangLah boleh cari tawaran, menu dan banyak lagi! Cuba kategori lain atau hubungi kami untuk bantuan.',
+    'nav.whatElseButton': 'Pilih pilihan',
+    'nav.savedDealsDescription': '{count} disimpan',
+    'nav.dietaryDescription': 'Tawaran makanan halal atau vegetarian',
+    'nav.menuHeader': '🍽️ Menu Restoran',
+    'nav.menuBody': 'Mahu lihat menu {name}?\n\nSaya boleh bantu dapatkan:\n• Hidangan semasa\n• Harga dan ketersediaan\n• Waktu operasi\n• Maklumat hubungan\n• Arah ke restoran\n\nBeritahu saja restoran mana yang anda minati!',
+    'nav.menuFooter': 'Saya akan dapatkan menu terkini untuk anda! 📋',
+    'nav.menuFallback': '🍽️ Saya boleh bantu dapatkan menu restoran! Beritahu saja restoran mana yang anda minati.',
+    'nav.restaurantNotFound': '❌ Maaf, saya tidak jumpa butiran restoran. Sila pilih tawaran lain.',
+    'nav.menuError': '❌ Maaf, ada ralat memuatkan menu. Sila cuba lagi.',
+
+    'dealCard.counter': '{emoji} *Tawaran {index} daripada {total}*',
+    'dealCard.details': '📝 *Butiran:*',
+    'dealCard.source': '🔗 *Sumber:*',
+    'dealCard.verified': '⏰ *Disahkan:* {value} SGT',
+    'dealCard.footerSource': '🔍 *Sumber:*',
+    'dealCard.footer': '🔍 LobangLah | Tekan untuk tindakan',
+    'dealCard.none': '😅 Maaf, saya tidak jumpa sebarang tawaran {category} sekarang. Sila cuba lagi nanti!',
+    'dealCard.allShownHeader': '{emoji} Semua Tawaran {category} Ditunjukkan!',
+    'dealCard.allShownBody': "🎉 Jumpa {count} tawaran {category} hebat untuk anda!\n\n✨ Anda boleh:\n• Dapatkan lebih banyak tawaran di kawasan ini\n• Cari di lokasi baru\n• Guna butang pada setiap tawaran untuk arah, peringatan dan kongsi\n• Bandingkan tawaran sebelah-menyebelah atau simpan satu untuk kemudian\n\n🛍️ Selamat memburu tawaran!",
+    'dealCard.allShownFooter': '🔍 Sumber: Instagram, Facebook, TikTok & Web | LobangLah 🎯',
+    'dealCard.allShownButton': 'Seterusnya?',
+    'dealCard.compareDescription': 'Harga, penjimatan dan jarak sebelah-menyebelah',
+    'catalog.header': '{emoji} Tawaran {category} Dijumpai!',
+    'catalog.body': '🎉 {count} tawaran {category} hebat dijumpai untuk anda!\n\n✨ Tekan mana-mana tawaran di bawah untuk melihat butiran penuh, mendapatkan arah dan mengambil tindakan. Setiap tawaran ada maklumat perniagaan, tawaran dan lokasi.\n\n🛍️ Selamat memburu tawaran!',
+    'catalog.section': 'Tawaran Tersedia',
+    'dealDetails.header': '🎯 Butiran Tawaran',
+    'dealDetails.footer': '🔍 Sumber: Carian Web AI | LobangLah 🎯',
+    'dealDetails.defaultBusiness': 'Perniagaan',
+    'dealDetails.noAddress': 'Alamat tidak tersedia',
+    'dealDetails.defaultOffer': 'Tawaran istimewa',
+    'dealDetails.defaultDescription': 'Tawaran hebat tersedia',
+    'dealDetails.defaultValidity': 'Masa terhad',
+    'dealDetails.location': '📍 *Lokasi:* {address}',
+    'dealDetails.offer': '💰 *Tawaran:* {offer}',
+    'dealDetails.details': '📝 *Butiran:* {description}',
+    'dealDetails.validUntil': '⏰ *Sah Sehingga:* {validity}',
+    'dealDetails.completeDetails': '📋 *Butiran Penuh:*',
+    'dealDetails.contact': '📞 *Hubungi:*',
+    'dealDetails.phone': 'Telefon: {phone}',
+    'dealDetails.website': 'Laman web: {website}',
+    'dealDetails.tapForActions': '🎯 Tekan butang di bawah untuk tindakan lain!',
+
+    'voice.heard': '🎤 Saya dengar: "{transcript}"',
+
+    'sgError.noLocation': 'Eh! Saya perlukan lokasi anda untuk cari lobang berdekatan! 📍\n\nSila kongsi lokasi anda dengan menekan ikon lampiran 📎 dan memilih \'Lokasi\'.',
+    'sgError.noDeals': 'Alamak! Tiada tawaran {category} dijumpai berdekatan {location} sekarang.\n\nCuba kategori atau lokasi lain! 🔄',
+    'sgError.noDealsCategory': 'yang bagus',
+    'sgError.noDealsLocation': 'kawasan anda',
+    'sgError.apiError': 'Maaf! Ada masalah semasa memburu tawaran.\n\nSila cuba lagi sebentar nanti! 🔄',
+    'sgError.weatherError': 'Maklumat cuaca tidak tersedia, tetapi saya tetap akan cari tawaran terbaik untuk anda! 🌤️',
+    'sgError.networkError': 'Rangkaian agak perlahan! Sila cuba lagi sebentar! 📶',
+    'sgError.voiceNoteError': 'Alamak, saya tak dapat tangkap apa yang anda cakap dalam nota suara! 🎤\n\nCuba hantar sekali lagi atau taip sahaja mesej anda!',
+    'sgError.rateLimited': 'Perlahan sikit! Anda terlalu laju. 😅\n\nBiar saya tarik nafas — cuba lagi dalam {cooldown} ya? ☕',
+    'cooldown.seconds': '{count} saat',
+    'cooldown.minute': '1 minit',
+    'cooldown.minutes': '{count} minit',
+    'sgSuccess.locationConfirmed': 'Wah! {location}! Banyak tawaran bagus di sana! 🎯',
+    'sgSuccess.dealsFound': 'Mantap! {count} tawaran {category} hebat dijumpai untuk anda! 💪',
+    'sgSuccess.dealShared': 'Lobang bagus mesti kongsi dengan kawan! 👥',
+    'sgSuccess.categorySelected': 'Pilihan bagus! Tawaran {category} memang terbaik! 🎉',
+    'sgSuccess.default': 'Berjaya! 🎉',
+    'sgContent.location_confirmed': 'Wah! {location}! Banyak tawaran bagus di sana! 🎯',
+    'sgContent.weather_good': 'Cuaca elok untuk mencari tawaran! 🌤️',
+    'sgContent.weather_rainy': 'Hujan di luar! Masa sesuai untuk tawaran dalam bangunan! ☔',
+    'sgContent.weather_hot': 'Panasnya hari ini! Ada tawaran dalam dan luar bangunan untuk anda! 🌞',
+    'sgContent.deals_found': 'Wah! Ada lobang mantap untuk anda! 💪',
+    'sgContent.welcome': 'Jom cari tawaran bagus! 🚀',
+
+    'compare.header': '⚖️ Banding Tawaran',
+    'compare.pickFirst': 'Tawaran mana yang nak dibandingkan? Pilih yang pertama.',
+    'compare.pickNext': 'Membandingkan *{names}*.\n\nPilih tawaran untuk dibandingkan.',
+    'compare.pickButton': 'Pilih tawaran',
+    'compare.section': 'Tawaran anda',
+    'compare.ready': 'Membandingkan *{names}*.\n\nBanding sekarang, atau tambah satu lagi tawaran (maksimum 3).',
+    'compare.notEnough': '⚖️ Saya perlukan sekurang-kurangnya 2 tawaran untuk dibandingkan. Cari tawaran dahulu, kemudian pilih ⚖️ Banding Tawaran dalam senarai di bawahnya, atau tanya saja mana yang lebih baik!',
+    'compare.cancelled': '👌 Perbandingan dibatalkan. Tawaran anda masih di atas!',
+    'compare.title': '⚖️ *Perbandingan Tawaran*',
+    'compare.price': '💵 Harga: {value}',
+    'compare.savings': '💰 Jimat: {value}',
+    'compare.distance': '📍 Jarak: {value}',
+    'compare.rating': '⭐ Penilaian: {value}',
+    'compare.validity': '📅 Sah: {value}',
+    'compare.hours': '🕐 Hari ini: {value}',
+    'compare.unknown': '—',
+    'compare.oneForOne': 'Beli 1 percuma 1',
+    'compare.percentOff': 'diskaun {value}%',
+    'compare.amountOff': 'potongan ${value}',
+    'compare.usualPrice': 'harga asal ${value}',
+    'compare.verdict': '🤖 *Keputusan:* {verdict}',
+    'compare.verdictFallback': '*{name}* nampaknya lebih berbaloi: {reason}.',
+    'compare.verdictTie': 'Lebih kurang sama! Pilih yang lebih dekat atau yang anda suka.',
+    'compare.reason.cheapest': 'harga paling rendah, {value}',
+    'compare.reason.biggestSaving': 'jimat paling banyak ({value})',
+    'compare.reason.closest': 'paling dekat dengan anda ({value})',
+    'compare.reason.bestRated': 'penilaian terbaik ({value}⭐)',
+    'compare.footer': '💬 Tanya saya lagi tentang tawaran ini, atau tekan 📍 Arah pada kad tawaran.',
+
+    'saved.added': '⭐ *{name}* disimpan!\n\nAnda ada {count} tawaran disimpan. Saya akan beritahu sebelum tawaran yang disimpan tamat.',
+    'saved.alreadySaved': '⭐ *{name}* sudah ada dalam tawaran disimpan anda.',
+    'saved.full': '⭐ Senarai simpanan anda sudah penuh ({max} tawaran). Buang satu untuk simpan yang lain.',
+    'saved.notFound': '😅 Tawaran itu tiada lagi dalam senarai simpanan anda. Mungkin sudah tamat.',
+    'saved.empty': '⭐ Belum ada tawaran disimpan!\n\nPilih ⭐ Simpan Tawaran dalam senarai selepas tawaran anda untuk menyimpannya di sini.',
+    'saved.listHeader': '⭐ Tawaran Disimpan',
+    'saved.listBody': 'Anda ada {count} tawaran disimpan. Pilih satu untuk melihatnya semula.',
+    'saved.listButton': 'Lihat tawaran',
+    'saved.section': 'Tawaran disimpan',
+    'saved.endsOn': 'Tamat {date}',
+    'saved.detail': '⭐ *{name}*\n\n💰 {offer}\n📍 {address}\n📅 {validity}',
+    'saved.removed': '🗑️ *{name}* dibuang daripada tawaran disimpan.',
+    'saved.pickTitle': '⭐ Simpan Tawaran',
+    'saved.pickDescription': 'Simpan satu tawaran untuk kemudian',
+    'saved.pickBody': 'Tawaran mana yang nak disimpan?',
+    'saved.pickButton': 'Pilih tawaran',
+    'saved.nothingToSave': '😅 Cari tawaran dahulu, kemudian pilih yang nak disimpan.',
+    'saved.endingSoonHeader': '⏰ Tawaran Hampir Tamat',
+    'saved.endingSoonBody': '⏰ Perhatian! {count} tawaran yang anda simpan akan tamat tidak lama lagi:\n\n{deals}\n\nJangan lepaskan peluang! 🏃',
+    'saved.endingSoonLine': '• *{name}*: {offer} (tamat {date})',
+    'saved.endingSoonSummary': '{count} tawaran yang anda simpan akan tamat tidak lama lagi: {deals}',
+
+    'query.searching': '🔍 Sedang mencari {summary}... Sila tunggu sebentar! ⏳',
+    'query.needLocation.header': '📍 Di mana saya patut cari?',
+    'query.needLocation.body': '🔎 Baik: {summary}\n\nKongsi lokasi anda atau beritahu saya satu kawasan, dan saya akan cari tawaran yang sesuai.',
+    'query.budget': 'bawah ${amount}',
+    'query.budgetPerPerson': 'bawah ${amount}/orang',
+    'query.party': '{count} orang',
+    'query.dietary.halal': 'halal',
+    'query.dietary.vegetarian': 'vegetarian',
+    'query.time.now': 'sekarang',
+    'query.time.today': 'hari ini',
+    'query.time.tonight': 'malam ini',
+    'query.time.tomorrow': 'esok',
+    'query.time.weekend': 'hujung minggu ini',
+    'query.time.at': 'pada {time}',
+    'query.meal.breakfast': 'sarapan',
+    'query.meal.brunch': 'sarapan lewat',
+    'query.meal.lunch': 'makan tengah hari',
+    'query.meal.tea': 'minum petang',
+    'query.meal.dinner': 'makan malam',
+    'query.meal.supper': 'makan lewat malam',
+
+    'dietary.header': '🥗 Pilihan Pemakanan',
+    'dietary.body': 'Beritahu saya sekali dan saya hanya akan tunjukkan tawaran makanan yang sesuai. Tekan untuk hidupkan atau matikan pilihan.\n\nSekarang: {current}',
+    'dietary.updated': '✅ Disimpan! Tawaran makanan akan ikut pilihan anda.\n\nSekarang: {current}',
+    'dietary.footer': 'Halal disemak dengan senarai MUIS',
+    'dietary.none': 'tiada keperluan pemakanan',
+    'dietary.saveFailed': 'Maaf, pilihan pemakanan anda tidak dapat disimpan. Sila cuba lagi! 😅',
+    'dietary.badge.halal.certified': '☪️ Sijil halal MUIS',
+    'dietary.badge.halal.yes': '☪️ Halal',
+    'dietary.badge.halal.likely': '☪️ Mungkin halal, semak dengan kedai',
+    'dietary.badge.halal.unknown': '❔ Status halal belum disahkan',
+    'dietary.badge.vegetarian.yes': '🥦 Ada pilihan vegetarian',
+    'dietary.badge.vegetarian.unknown': '❔ Pilihan vegetarian belum disahkan',
+
+    'mrt.routePicked': '🚇 {name} di {area}. Saya akan cari tawaran yang dekat berjalan kaki dari kesemua {count} stesen.\n\nTawaran jenis apa yang patut saya cari?',
+    'mrt.noCommonLine': '🚇 {from} ({fromLines}) dan {to} ({toLines}) tidak berada pada laluan yang sama. Cuba dua stesen pada satu laluan, contohnya "sepanjang East-West Line dari Jurong East ke Buona Vista".',
+    'mrt.walk': '🚇 {minutes} minit berjalan kaki dari stesen {station}',
+
+    'error.generic': 'Maaf, ada ralat. Sila cuba lagi! 😅'
+};
@@ -0,0 +1,380 @@
+// Tamil (தமிழ்) strings - missing keys fall back to en.js
+export const ta = {
+    'language.name': 'தமிழ்',
+    'language.menuHeader': '🌐 மொழி',
+    'language.menuBody': 'எந்த மொழியில் உரையாட விரும்புகிறீர்கள்?\n\nஎப்போது வேண்டுமானாலும் *மொழி* என்று தட்டச்சு செய்து மாற்றலாம்.',
+    'language.menuButton': 'மொழி தேர்வு',
+    'language.changed': '✅ சரி! இனி உங்களுடன் தமிழில் உரையாடுவேன்.\n\n💡 மாற்ற எப்போது வேண்டுமானாலும் *மொழி* என்று தட்டச்சு செய்யுங்கள்.',
+
+    'button.shareLocation': '📍 இடத்தைப் பகிர்',
+    'button.share': '📍 பகிர்',
+    'button.howItWorks': '❓ எப்படி?',
+    'button.aboutUs': '🎯 எங்களைப் பற்றி',
+    'button.searchByName': '🔍 பெயரால் தேடு',
+    'button.search': '🔍 தேடு',
+    'button.popularPlaces': '🏢 பிரபல இடங்கள்',
+    'button.food': '🍽️ உணவு',
+    'button.events': '🎉 நிகழ்வுகள்',
+    'button.fashion': '👗 ஆடைகள்',
+    'button.chatAi': '🤖 AI அரட்டை',
+    'button.moreDeals': '🔍 மேலும்',
+    'button.setDailyAlert': '🔔 தினசரி அறிவிப்பு',
+    'button.setupAlert': '🔔 அறிவிப்பு',
+    'button.addAlert': '🔔 சேர்',
+    'button.setupAnother': '🔔 இன்னொன்று',
+    'button.everyDay': '📅 தினமும்',
+    'button.weekdays': '💼 வார நாட்கள்',
+    'button.weekends': '🏖️ வார இறுதி',
+    'button.manageAlerts': '⚙️ நிர்வகி',
+    'button.pauseAll': '⏸️ நிறுத்து',
+    'button.back': '🔙 பின்செல்',
+    'button.backToDeals': '🔙 சலுகைகள்',
+    'button.menu': '🍽️ மெனு',
+    'button.getMenu': '🍽️ மெனு',
+    'button.directions': '📍 வழி',
+    'button.call': '📞 அழை',
+    'button.setReminder': '⏰ நினைவூட்டல்',
+    'button.shareDeal': '📤 பகிர்',
+    'button.newLocation': '📍 புதிய இடம்',
+    'button.viewAllDeals': '👀 அனைத்தும்',
+    'button.searchMore': '🔍 மேலும் தேடு',
+    'button.contactUs': '📞 தொடர்பு',
+    'button.reportIssue': '🐛 புகார்',
+    'button.suggestFeature': '💡 பரிந்துரை',
+    'button.businessInquiry': '🤝 வணிகம்',
+    'button.tryDifferentCategory': '🔄 வேறு வகை',
+    'button.exploreFeatures': '🔍 அம்சங்கள்',
+    'button.searchRestaurants': '🔍 உணவகங்கள்',
+    'button.more': '✨ மேலும்',
+    'button.new': '📍 புதிது',
+    'button.newArea': '📍 புதிய பகுதி',
+    'button.compareNow': '⚖️ இப்போது ஒப்பிடு',
+    'button.addAnother': '➕ இன்னொன்று',
+    'button.cancel': '❌ ரத்து',
+    'button.mySavedDeals': '⭐ சேமித்தவை',
+    'button.dietaryPreferences': '🥗 உணவு விருப்பங்கள்',
+    'button.dietary.halal': '☪️ ஹலால்',
+    'button.dietary.vegetarian': '🥦 சைவம்',
+    'button.dietaryClear': 'விருப்பம் இல்லை',
+    'button.remove': '🗑️ நீக்கு',
+    'footer.chooseOption': 'ஒன்றைத் தேர்ந்தெடுக்கவும்',
+    'footer.chooseCategory': 'சலுகை வகையைத் தேர்ந்தெடுக்கவும்',
+
+    'category.food': 'உணவு',
+    'category.events': 'நிகழ்வு',
+    'category.fashion': 'ஆடை',
+    'category.clothes': 'ஆடை',
+    'category.groceries': 'மளிகை',
+    'category.deals': 'சலுகை',
+
+    'welcome.greeting.default': 'வணக்கம்! 👋',
+    'welcome.greeting.hello': 'வணக்கம்! உங்களைச் சந்தித்ததில் மகிழ்ச்சி! 👋',
+    'welcome.greeting.morning': 'காலை வணக்கம்! இன்றைய நாள் இனிதாக அமையட்டும்! 🌅',
+    'welcome.greeting.afternoon': 'மதிய வணக்கம்! சலுகைகளைத் தேட சரியான நேரம்! ☀️',
+    'welcome.greeting.evening': 'மாலை வணக்கம்! அருமையான சலுகைகளைத் தேடுவோம்! 🌆',
+    'welcome.greeting.help': 'சிறந்த சலுகைகளைக் கண்டுபிடிக்க உதவ நான் இருக்கிறேன்! 🤝',
+    'welcome.header': '🎯 LobangLah-க்கு வரவேற்கிறோம்!',
+    'welcome.body': '{greeting}\n\nநான் **LobangLah**-இன் உங்கள் தனிப்பட்ட AI சலுகை வேட்டைக்காரன் - சிங்கப்பூரின் மிகச் சிறந்த சலுகை தளம்! 🤖\n\n🎯 **நான் வழங்குவது:**\n• ஆயிரக்கணக்கான சலுகைகளில் AI தேடல்\n• நேரடி வானிலை + மணிநேர முன்னறிவிப்பு\n• இருப்பிட அடிப்படையிலான பரிந்துரைகள்\n• உணவு, ஆடை, மளிகை மற்றும் பல!\n\n📍 **சேமிக்கத் தயாரா?** உங்கள் இருப்பிடத்தைப் பகிருங்கள், அருகிலுள்ள சிறந்த சலுகைகளை இன்றைய வானிலையுடன் கண்டுபிடிக்கிறேன்!\n\n🌐 Prefer English, 中文 or Bahasa Melayu? Type *language*',
+    'welcome.footer': '🚀 சிங்கப்பூரின் சிறந்த சலுகை தளம்',
+    'time.morning': 'காலை வணக்கம்!',
+    'time.afternoon': 'மதிய வணக்கம்!',
+    'time.evening': 'மாலை வணக்கம்!',
+    'time.night': 'இரவு வணக்கம்!',
+    'sgWelcome.header': '{emoji} {timeGreeting} LobangLah-க்கு வரவேற்கிறோம்!',
+    'sgWelcome.greeting': 'வணக்கம்! நல்ல சலுகைகளைத் தேடத் தயாரா? 🎯',
+    'sgWelcome.body': '{greeting}\n\nநான் **LobangLah**-இன் உங்கள் தனிப்பட்ட AI சலுகை வேட்டைக்காரன் - சிங்கப்பூரின் மிகச் சிறந்த சலுகை தளம்! 🤖\n\nஉணவு, நிகழ்வுகள், ஆடைகள் மற்றும் பலவற்றுக்கான அருகிலுள்ள சிறந்த சலுகைகளை இன்றைய வானிலையுடன் கண்டுபிடிப்பேன்.\n\n📍 **சேமிக்கத் தயாரா?** உங்கள் இருப்பிடத்தைப் பகிருங்கள்!\n\n🌐 Prefer English, 中文 or Bahasa Melayu? Type *language*',
+    'sgWelcome.footer': '🚀 LobangLah AI வழங்குகிறது',
+
+    'info.shareLocation': '📍 அருகிலுள்ள சிறந்த சலுகைகளைக் கண்டுபிடிக்க உங்கள் இருப்பிடத்தைப் பகிருங்கள்!',
+    'info.howItWorks': '🤖 **LobangLah எப்படி வேலை செய்கிறது:**\n\n1️⃣ **இருப்பிடத்தைப் பகிருங்கள்** - நீங்கள் எங்கே இருக்கிறீர்கள் என்று சொல்லுங்கள்\n2️⃣ **வகையைத் தேர்ந்தெடுங்கள்** - உணவு, ஆடை, நிகழ்வுகள் போன்றவை\n3️⃣ **சலுகைகளைப் பெறுங்கள்** - AI அருகிலுள்ள சிறந்த சலுகைகளைத் தேடும்\n4️⃣ **உரையாடுங்கள்** - சலுகைகள் பற்றி கேள்விகள் கேளுங்கள்\n\n🎯 **சிறப்பு அம்சங்கள்:**\n• நேரடி வானிலை\n• இருப்பிட அடிப்படையிலான பரிந்துரைகள்\n• மீண்டும் வராத சலுகைகள்\n• ஊடாடும் பட்டியல் செய்திகள்\n\n📍 தொடங்கத் தயாரா? உங்கள் இருப்பிடத்தைப் பகிருங்கள்!',
+    'info.about': '🎯 **LobangLah பற்றி:**\n\nநாங்கள் சிங்கப்பூரின் மிகச் சிறந்த சலுகை தளம்! 🤖\n\n**எங்கள் சிறப்பு:**\n• AI சலுகை தேடல்\n• நேரடி இருப்பிடம் & வானிலை\n• மீண்டும் வராத உணவகங்கள்\n• ஊடாடும் WhatsApp அனுபவம்\n\n💡 **Lobang** = \'நல்ல சலுகை\' என்பதற்கான சிங்கப்பூர் பேச்சுவழக்கு\n\n📍 அருமையான சலுகைகளைத் தேடுவோம்!',
+    'info.searchByName': '🔍 **இடத்தின் பெயரால் தேடுங்கள்**\n\nசிங்கப்பூரில் உள்ள எந்த இடத்தின் பெயரையும் தட்டச்சு செய்யுங்கள்:\n\n📍 எடுத்துக்காட்டுகள்:\n• Orchard Road\n• Marina Bay Sands\n• Bugis Junction\n• Tampines Mall\n• Jurong Point\n\n🌍 **சிங்கப்பூர் இடங்கள் மட்டும்**',
+    'popular.header': '🏢 சிங்கப்பூரின் பிரபல இடங்கள்',
+    'popular.body': 'சலுகைகளைத் தேட ஒரு பிரபல இடத்தைத் தேர்ந்தெடுங்கள், அல்லது ஒரு MRT நிலையத்தையோ பாதையின் ஒரு பகுதியையோ தட்டச்சு செய்யுங்கள், எ.கா. "East-West Line-இல் Jurong East முதல் Buona Vista வரை":',
+    'popular.footer': 'விரும்பும் பகுதியைத் தேர்ந்தெடுங்கள்',
+
+    'location.serviceUnavailable': '❌ மன்னிக்கவும்! இருப்பிடச் சேவை கிடைக்கவில்லை. உங்கள் GPS இருப்பிடத்தைப் பகிர்ந்து பாருங்கள்.',
+    'location.notFoundNamed': '❌ மன்னிக்கவும்! சிங்கப்பூரில் "{query}" கிடைக்கவில்லை. வேறு இடத்தை முயலுங்கள் அல்லது GPS இருப்பிடத்தைப் பகிருங்கள்.',
+    'location.detailsFailed': '❌ மன்னிக்கவும்! இட விவரங்களைப் பெற முடியவில்லை. மீண்டும் முயலுங்கள் அல்லது GPS இருப்பிடத்தைப் பகிருங்கள்.',
+    'location.detailsFailedShort': '❌ மன்னிக்கவும்! இட விவரங்களைப் பெற முடியவில்லை. மீண்டும் முயலுங்கள்.',
+    'location.detailsError': '❌ மன்னிக்கவும்! இட விவரங்களைப் பெறுவதில் சிக்கல். மீண்டும் முயலுங்கள் அல்லது GPS இருப்பிடத்தைப் பகிருங்கள்.',
+    'location.processingError': '❌ மன்னிக்கவும், உங்கள் இருப்பிடத்தைச் செயலாக்குவதில் சிக்கல். மீண்டும் முயலுங்கள்!',
+    'location.notInSingapore': '❌ மன்னிக்கவும், அந்த இடம் சிங்கப்பூருக்கு வெளியே உள்ளது. சிங்கப்பூரில் உள்ள இருப்பிடத்தைப் பகிருங்கள் அல்லது பகுதி அல்லது அஞ்சல் குறியீட்டைத் தட்டச்சு செய்யுங்கள்.',
+    'location.notFound.header': '🔍 இடம் கிடைக்கவில்லை',
+    'location.notFound.body': '❌ மன்னிக்கவும்! சிங்கப்பூரில் "{query}" கிடைக்கவில்லை.\n\n🌍 **இந்த சேவை சிங்கப்பூரில் மட்டுமே.**\n\nவேறு வழியில் முயலுங்கள்.',
+    'location.singaporeOnly.header': '🌍 சிங்கப்பூர் மட்டும்',
+    'location.singaporeOnly.body': '📍 "{query}" சிங்கப்பூரில் உள்ள இடம் அல்ல.\n\n🌍 **இந்த சேவை சிங்கப்பூரில் மட்டுமே.**\n\nசிங்கப்பூர் இடத்தை முயலுங்கள் அல்லது GPS இருப்பிடத்தைப் பகிருங்கள்.',
+    'location.popularPicked': '🎉 நல்ல தேர்வு! {area}-இல் {name} கிடைத்தது.\n\nஇன்று எந்த வகைச் சலுகைகளைத் தேடட்டும்?',
+    'location.searchPicked': '🎉 அருமை! {area}-இல் {name} கிடைத்தது.\n\nஇன்று எந்த வகைச் சலுகைகளைத் தேடட்டும்?',
+    'location.gpsConfirmed': '🎉 இருப்பிடம் உறுதியானது! நீங்கள் {area}, {name}-இல் இருக்கிறீர்கள்.\n\nஇன்று எந்த வகைச் சலுகைகளைத் தேடட்டும்?',
+    'weather.summary': '📍 **இருப்பிடம்:** {name}\n🌡️ **வானிலை:** {temperature}°C, {condition}\n💨 **காற்று:** {wind} கி.மீ/மணி\n💧 **ஈரப்பதம்:** {humidity}%\n\n🎯 சலுகைகளைத் தேட ஏற்ற வானிலை!',
+    'weather.fallback': '📍 **இருப்பிடம் உறுதியானது:** {name}\n\n🎯 அருகிலுள்ள சலுகைகளைத் தேடத் தயார்!',
+
+    'deals.needLocation': '❌ அருகிலுள்ள சலுகைகளைத் தேட முதலில் உங்கள் இருப்பிடத்தைப் பகிருங்கள்!',
+    'deals.searching': '🔍 சிறந்த சலுகைகளைத் தேடுகிறேன்... சற்று பொறுங்கள்! ⏳',
+    'deals.searchingMore': '🔍 மேலும் சலுகைகளைத் தேடுகிறேன்... சற்று பொறுங்கள்! ⏳',
+    'deals.foundHeader': '🎉 {count} {category} சலுகைகள் கிடைத்தன!',
+    'deals.foundBody': '{location} அருகில் {count} அருமையான {category} சலுகைகள் கிடைத்தன!\n\n💬 இவை பற்றி உரையாட, மேலும் தேட, அல்லது தினசரி அறிவிப்பை அமைக்க விரும்புகிறீர்களா?',
+    'deals.none': '😅 மன்னிக்கவும், இப்போது எந்தச் சலுகையும் கிடைக்கவில்லை. வேறு வகை அல்லது இடத்தை முயலுங்கள்!',
+    'deals.noneMore': '😅 மன்னிக்கவும், இப்போது புதிய சலுகைகள் இல்லை. சிறந்த சலுகைகள் அனைத்தையும் ஏற்கனவே பார்த்துவிட்டீர்கள்!\n\n💡 வேறு வகையை முயலுங்கள் அல்லது பின்னர் புதிய சலுகைகளுக்குப் பாருங்கள்!',
+    'deals.searchError': '❌ மன்னிக்கவும், சலுகைகளைத் தேடுவதில் சிக்கல். சற்று நேரம் கழித்து மீண்டும் முயலுங்கள்!',
+    'deals.moreError': '😅 மன்னிக்கவும், மேலும் சலுகைகளைத் தேடுவதில் சிக்கல். சற்று நேரம் கழித்து முயலுங்கள்!',
+
+    'chat.noDeals': '❌ உரையாட சலுகைகள் இல்லை. முதலில் சலுகைகளைத் தேடுங்கள்!',
+    'chat.activated': '🤖 **AI அரட்டை தொடங்கியது!**\n\n{location} அருகிலுள்ள உங்கள் {category} சலுகைகள் பற்றி உதவத் தயார்!\n\n💬 **எதையும் கேளுங்கள்:**\n• "எந்தச் சலுகை மிகவும் லாபம்?"\n• "முதல் சலுகை பற்றி சொல்லுங்கள்"\n• "எது அருகில் உள்ளது?"\n• "வழி காட்டுங்கள்"\n• "இன்னும் சலுகைகள்"\n\n🎯 சிறந்த தேர்வைச் செய்ய உதவுவேன்!\n\n💡 அரட்டையை முடிக்க "exit chat" என்று தட்டச்சு செய்யுங்கள்.',
+    'chat.defaultLocation': 'உங்கள் இருப்பிடம்',
+    'chat.restarted': '🔄 *அரட்டை மீண்டும் தொடங்கியது*\n\n10 முறை உரையாடிவிட்டீர்கள்! சிறந்த சலுகைகளுக்காகப் புதிதாகத் தொடங்குவோம்.',
+    'chat.directionsFor': '📍 {name}-இன் இருப்பிடம் இதோ!',
+    'chat.thisDeal': 'இந்தச் சலுகை',
+    'chat.whichDeal': '📍 வழி காட்ட விரும்புகிறேன், ஆனால் எந்தச் சலுகை என்று தெரிய வேண்டும்!\n\n💬 இப்படிக் கேளுங்கள்:\n• "முதல் சலுகைக்கு வழி"\n• "[கடையின் பெயர்] எங்கே?"\n• "சலுகை #2-க்கு எப்படிப் போவது"',
+    'chat.moreFound': '🎉 {location} அருகில் மேலும் {count} {category} சலுகைகள் கிடைத்தன!\n\n💬 இந்தப் புதிய சலுகைகள் பற்றி கேளுங்கள் அல்லது உரையாடலைத் தொடருங்கள்!',
+    'chat.noMoreFound': '😔 மன்னிக்கவும், {location} அருகில் ஏற்கனவே காட்டாத {category} சலுகைகள் இல்லை.\n\n💡 புதிய இருப்பிடத்தைப் பகிர்ந்து வேறு பகுதியில் தேடுங்கள், அல்லது தற்போதைய சலுகைகள் பற்றி கேளுங்கள்!',
+    'chat.moreError': '🔍 இப்போது மேலும் சலுகைகளைத் தேட முடியவில்லை. தற்போதைய {category} சலுகைகளுக்கு உதவுகிறேன்!\n\n💬 எது லாபம், எது அருகில், அல்லது வேறு எதையும் கேளுங்கள்!',
+    'chat.ended': '👋 அரட்டை முடிந்தது! இருப்பிடத்தைப் பகிர்ந்து புதிய சலுகைகளைத் தேடலாம், அல்லது AI அரட்டை பொத்தானை மீண்டும் அழுத்தலாம்.',
+    'chat.locationChange': '🔄 *இடம் மாற்றம்*\n\nபுதிய பகுதியில் {category} சலுகைகளைத் தேடுவோம்!\n\n📍 அருகிலுள்ள {category} சலுகைகளைத் தேட உங்கள் இருப்பிடத்தைப் பகிருங்கள்.\n\n💡 📎 இணைப்பு ஐகான் → இருப்பிடம் → தற்போதைய இருப்பிடத்தை அனுப்புங்கள்',
+    'chat.error': '🤖 மன்னிக்கவும், {location} அருகிலுள்ள {category} சலுகைகள் பற்றிய உங்கள் கேள்வி புரியவில்லை.\n\n💬 வேறு விதமாகக் கேளுங்கள், எ.கா.:\n• "எந்தச் சலுகை மிகவும் லாபம்?"\n• "முதல் சலுகை பற்றி சொல்லுங்கள்"\n• "எது அருகில் உள்ளது?"\n\n🎯 உங்கள் {category} சலுகைகளுக்கு உதவத் தயார்!\n\n💡 அரட்டையை முடிக்க "exit chat" என்று தட்டச்சு செய்யுங்கள்.',
+    'chat.followUp': '💡 இந்தச் சலுகைகள் பற்றி மேலும் கேளுங்கள், அல்லது வேறு இடத்தில் தேட புதிய இருப்பிடத்தைப் பகிருங்கள்!',
+    'chat.unsure': 'இதற்கு எப்படி உதவுவது என்று தெரியவில்லை. ஒரு குறிப்பிட்ட சலுகை பற்றி கேட்க முடியுமா?',
+    'chat.processingError': '🤖 மன்னிக்கவும், {location} அருகிலுள்ள {category} சலுகைகள் பற்றிய உங்கள் கேள்வியைச் செயலாக்குவதில் சிக்கல்.\n\n💬 எளிமையாகக் கேளுங்கள், எ.கா.:\n• "சிறந்த சலுகை எது?"\n• "சலுகை #1 பற்றி சொல்லுங்கள்"\n• "மலிவானது எது?"\n\n🎯 உங்கள் {category} சலுகைகளுக்கு உதவ இருக்கிறேன்!',
+
+    'alert.needDeals': '❌ தினசரி அறிவிப்பை அமைக்க முதலில் சலுகைகளைத் தேடுங்கள்!',
+    'alert.created': '🔔 **தினசரி அறிவிப்பு உருவாக்கப்பட்டது!**\n\n✅ தினமும் {time} மணிக்கு {location} அருகிலுள்ள {category} சலுகைகள் உங்களுக்கு வரும்.\n\n📱 **அறிவிப்பு விவரங்கள்:**\n• இடம்: {location}\n• வகை: {category}\n• நேரம்: {time}\n• நிலை: செயலில்\n\n💡 அறிவிப்புகளைப் பார்க்க அல்லது மாற்ற "manage alerts" என்று தட்டச்சு செய்யுங்கள்.',
+    'alert.createError': '❌ மன்னிக்கவும்! தினசரி அறிவிப்பை அமைப்பதில் சிக்கல். பின்னர் முயலுங்கள்.',
+    'alert.none': '📱 **செயலில் அறிவிப்புகள் இல்லை**\n\nநீங்கள் இன்னும் தினசரி அறிவிப்பு எதையும் அமைக்கவில்லை.\n\n💡 அறிவிப்பை உருவாக்க:\n1. விரும்பும் இடத்தில் சலுகைகளைத் தேடுங்கள்\n2. \'தினசரி அறிவிப்பு\' பொத்தானை அழுத்துங்கள்\n3. விரும்பும் நேரத்தைத் தேர்ந்தெடுங்கள்\n\n🔔 தினசரி அறிவிப்புகள் சிறந்த சலுகைகளைத் தானாக அனுப்பும்!',
+    'alert.loadError': '❌ மன்னிக்கவும்! உங்கள் அறிவிப்புகளை ஏற்றுவதில் சிக்கல். பின்னர் முயலுங்கள்.',
+    'alert.deactivated': '🔕 **அறிவிப்பு நிறுத்தப்பட்டது**\n\n✅ உங்கள் தினசரி அறிவிப்பு நிறுத்தப்பட்டது.\n\n💡 சலுகைகளைத் தேடி \'தினசரி அறிவிப்பு\' அழுத்தி எப்போது வேண்டுமானாலும் புதிய அறிவிப்பை அமைக்கலாம்.',
+    'alert.deactivateError': '❌ மன்னிக்கவும்! அறிவிப்பை நிறுத்துவதில் சிக்கல். பின்னர் முயலுங்கள்.',
+
+    'alertSetup.body': 'சிறந்த சலுகைகள் உங்களுக்கு வர வேண்டுமா?\n\n🎯 *எப்படி:*\n• இடம் மற்றும் வகையைத் தேர்ந்தெடுங்கள்\n• ஒரு நேரத்தை, அல்லது மதியம் மற்றும் இரவைத் தேர்ந்தெடுங்கள்\n• தினமும், வார நாட்கள் அல்லது வார இறுதிகளைத் தேர்ந்தெடுங்கள்\n• ஒவ்வொரு முறையும் சிறந்த 5 சலுகைகள்\n• எப்போது வேண்டுமானாலும் நிறுத்தலாம் அல்லது மாற்றலாம்\n\n⏰ *கிடைக்கும் நேரங்கள்:*\nகாலை 9:00, மதியம் 12:00, மதியம் 3:00, மாலை 6:00, இரவு 8:00',
+    'alertSetup.header': '🔔 தினசரி சலுகை அறிவிப்புகள்',
+    'alertSetup.footer': 'சிறந்த சலுகைகளைத் தவறவிடாதீர்கள்! 🚀',
+    'alertTime.body': 'தினசரி சலுகைகளை எப்போது பெற விரும்புகிறீர்கள்?\n\nநேரத்தைத் தேர்ந்தெடுங்கள்:',
+    'alertTime.button': 'நேரம் தேர்வு',
+    'alertTime.header': '⏰ அறிவிப்பு நேரம்',
+    'alertTime.footer': 'எப்போது வேண்டுமானாலும் மாற்றலாம்',
+    'alertTime.morning': 'காலை',
+    'alertTime.afternoon': 'மதியம்',
+    'alertTime.evening': 'மாலை',
+    'alertTime.0900': 'சிறந்த சலுகைகளுடன் நாளைத் தொடங்குங்கள்',
+    'alertTime.1200': 'மதிய உணவு சலுகைகள்',
+    'alertTime.1500': 'மதிய நேர உற்சாகம்',
+    'alertTime.1800': 'வேலைக்குப் பின் சலுகைகள்',
+    'alertTime.2000': 'மாலை ஓய்வு',
+    'alertTime.twice': 'மதியம் & இரவு',
+    'alertTime.lunchDinner': 'மதிய உணவுக்கும் இரவு உணவுக்கும் முன் சலுகைகள்',
+    'alertDays.body': '{times} மணிக்கு எந்த நாட்களில் சலுகைகளை அனுப்பட்டும்?',
+    'alertDays.header': '📅 நாட்களைத் தேர்வுசெய்க',
+    'alertDays.footer': 'எப்போது வேண்டுமானாலும் மாற்றலாம்',
+    'alertSchedule.daily': 'தினமும் {times} மணிக்கு',
+    'alertSchedule.weekdays': 'வார நாட்களில் {times} மணிக்கு',
+    'alertSchedule.weekends': 'வார இறுதிகளில் {times} மணிக்கு',
+    'alertSchedule.days': '{days} அன்று {times} மணிக்கு',
+    'alertConfirm.body': '🎉 உங்கள் சலுகை அறிவிப்பு இப்போது செயலில் உள்ளது!\n\n📍 *இடம்:* {location}\n🎯 *வகை:* {category}\n⏰ *எப்போது:* {schedule}\n\n{schedule} சிறந்த 5 {category} சலுகைகள் உங்களுக்கு வரும்.\n\n💡 *"manage alerts" என்று தட்டச்சு செய்து எப்போது வேண்டுமானாலும் நிர்வகிக்கலாம்*',
+    'alertConfirm.header': '✅ அறிவிப்பு உருவானது!',
+    'alertConfirm.footer': 'மகிழ்ச்சியான சலுகை வேட்டை! 🚀',
+    'alertManage.header': '⚙️ அறிவிப்புகளை நிர்வகி',
+    'alertManage.empty': 'உங்களிடம் செயலில் அறிவிப்புகள் இல்லை.\n\n🔔 *தினசரி சலுகைகளுக்கு முதல் அறிவிப்பை அமையுங்கள்!*',
+    'alertManage.emptyFooter': 'சிறந்த சலுகைகளைத் தவறவிடாதீர்கள்',
+    'alertManage.count': 'உங்களிடம் {count} செயலில் உள்ள அறிவிப்புகள்:',
+    'alertManage.item': '{index}. {category} சலுகைகள்',
+    'alertManage.question': 'என்ன செய்ய விரும்புகிறீர்கள்?',
+    'alertManage.footer': 'உங்கள் தினசரி சலுகை அறிவிப்புகளை நிர்வகியுங்கள்',
+    'alertManage.error': '❌ மன்னிக்கவும்! இப்போது உங்கள் அறிவிப்புகளை ஏற்ற முடியவில்லை.',
+
+    'dailyAlert.noDeals': '🔍 *தினசரி அறிவிப்பு - சலுகைகள் இல்லை*\n\nமன்னிக்கவும்! இன்று {location} அருகில் {category} சலுகைகள் கிடைக்கவில்லை.\n\n💡 முயலுங்கள்:\n• வேறு இடம்\n• வேறு வகை\n• நாளை மீண்டும் பாருங்கள்\n\n🔔 உங்கள் தினசரி அறிவிப்பு இன்னும் செயலில் உள்ளது!',
+    'dailyAlert.templateSummary': 'இன்று {location} அருகில் {count} {category} சலுகைகள்: {deals}',
+    'dailyAlert.navHeader': '🔔 தினசரி அறிவிப்பு தேர்வுகள்',
+    'dailyAlert.navBody': 'உங்கள் தினசரி {category} சலுகை அறிவிப்பு!\n\nஎன்ன செய்ய விரும்புகிறீர்கள்?\n\n💡 *விரைவுச் செயல்கள்:*\n• மேலும் சலுகைகளைத் தேடு\n• இடத்தை மாற்று\n• அறிவிப்புகளை நிர்வகி',
+    'dailyAlert.navFooter': 'உங்கள் தினசரி சலுகை வேட்டைக்காரன் வேலையில்! 🕵️',
+
+    'nav.dealOfTheDay': '🥤 *{name} - இன்றைய சலுகை*',
+    'nav.location': '📍 *இடம்:* {value}',
+    'nav.contact': '📞 *தொடர்பு:* {value}',
+    'nav.openingHours': '🕒 *திறந்திருக்கும் நேரம்:* {value}',
+    'nav.distance': '🛣️ *தூரம்:* {value}',
+    'nav.distanceValue': 'உங்களிடமிருந்து {meters} மீ',
+    'nav.price': '💰 *விலை:* {value}',
+    'nav.validUntil': '📅 *செல்லுபடி வரை:* {value}',
+    'nav.foundVia': '🌐 *மூலம்:* {value} வழியாகக் கிடைத்தது',
+    'nav.details': '📝 *விவரங்கள்:* {value}',
+    'nav.defaultDetails': '{name}-இல் அருமையான {category} சலுகைகளை அனுபவியுங்கள். கடையில் சாப்பிட அல்லது எடுத்துச் செல்ல இந்தச் சலுகை செல்லும். கவுண்டரில் சலுகையைக் குறிப்பிடுங்கள் அல்லது இந்தச் செய்தியைக் காட்டுங்கள்.',
+    'nav.source': 'மூலம்: {value}',
+    'nav.sources': 'மூலங்கள்: {value}',
+    'nav.completeHeader': '🎯 {category} சலுகைகள் முடிந்தன',
+    'nav.completeBody': '✅ {location} அருகில் {count} அருமையான {category} சலுகைகள் கிடைத்தன!\n\n💡 அடுத்து என்ன செய்ய விரும்புகிறீர்கள்?',
+    'nav.topDealsTitle': '🎉 *சிறந்த 5 {category} சலுகைகள்*',
+    'nav.topDealsHeader': '🎯 சிறந்த 5 {category} சலுகைகள்',
+    'nav.moreAvailable': '... மேலும் {count} சலுகைகள் உள்ளன!',
+    'nav.whatToDo': '💡 என்ன செய்ய விரும்புகிறீர்கள்?',
+    'nav.foundSummary': '🎉 {location} அருகில் {count} {category} சலுகைகள் கிடைத்தன!',
+    'nav.optionsHeader': '🎯 அடுத்து?',
+    'nav.optionsBody': 'அருமை! {location} அருகிலுள்ள சிறந்த {category} சலுகைகளைப் பார்த்துவிட்டீர்கள்.\n\nஅடுத்து என்ன செய்ய விரும்புகிறீர்கள்?\n\n• அனைத்து சலுகைகளையும் பார்\n• மேலும் சலுகைகளைத் தேடு\n• இடத்தை மாற்று\n• உணவக மெனுக்கள்\n• தினசரி அறிவிப்புகளை அமை',
+    'nav.optionsFooter': 'அடுத்த செயலைத் தேர்ந்தெடுங்கள்',
+    'nav.optionsFallback': 'அடுத்து என்ன செய்ய விரும்புகிறீர்கள்?',
+    'nav.contactHeader': '📞 LobangLah-ஐத் தொடர்புகொள்ள',
+    'nav.contactBody': 'உதவி வேண்டுமா? நாங்கள் இருக்கிறோம்!\n\n💬 *வாடிக்கையாளர் சேவை*\n📧 மின்னஞ்சல்: support@lobanglah.sg\n📱 WhatsApp: +65 9123 4567\n\n🕒 *சேவை நேரம்*\nதிங்கள் - வெள்ளி: காலை 9 - மாலை 6\nசனி: காலை 10 - மாலை 4\n\n💡 *விரைவு உதவி*\n• சலுகை சிக்கல்களைப் புகாரளிக்க\n• புதிய அம்சங்களைப் பரிந்துரைக்க\n• வணிகக் கூட்டாண்மை\n• பொது விசாரணைகள்',
+    'nav.contactFooter': 'உதவ நாங்கள் இருக்கிறோம்! 🚀',
+    'nav.contactFallback': '📞 support@lobanglah.sg அல்லது WhatsApp +65 9123 4567 மூலம் தொடர்புகொள்ளுங்கள்',
+    'nav.whatElseHeader': '🚀 வேறு என்ன செய்யலாம்?',
+    'nav.whatElseBody': 'LobangLah பல விஷயங்களைச் செய்யும்!\n\n🎯 *எங்கள் அம்சங்கள்:*\n• அருகிலுள்ள சிறந்த சலுகைகள்\n• உணவக மெனுக்கள் மற்றும் மதிப்புரைகள்\n• வானிலைக்கேற்ற பரிந்துரைகள்\n• ஸ்டிக்கர்கள் மற்றும் AI அரட்டை\n• இருப்பிடத் தேடல்\n• சிங்கப்பூர் சலுகைகள்\n\n💡 *விரைவில்:*\n• விலை ஒப்பீடு\n• சலுகை அறிவிப்புகள்\n• குழுச் சலுகைகள்\n• விசுவாச வெகுமதிகள்\n• உணவக முன்பதிவு',
+    'nav.whatElseFooter': 'உங்களுக்காக எப்போதும் மேம்படுகிறோம்! 🎉',
+    'nav.whatElseFallback': '🚀 LobangLah சலுகைகள், மெனுக்கள் மற்றும் பலவற்றைக் கண்டுபிடிக்கும்! வேறு வகைகளை முயலுங்கள் அல்லது எங்களைத் தொடர்புகொள்ளுங்கள்.',
+    'nav.whatElseButton': 'தேர்வு செய்யவும்',
+    'nav.savedDealsDescription': '{count} சேமிக்கப்பட்டவை',
+    'nav.dietaryDescription': 'ஹலால் அல்லது சைவ உணவு சலுகைகள்',
+    'nav.menuHeader': '🍽️ உணவக மெனு',
+    'nav.menuBody': '{name}-இன் மெனுவைப் பார்க்க வேண்டுமா?\n\nநான் தருவது:\n• தற்போதைய உணவுகள்\n• விலைகள்\n• திறந்திருக்கும் நேரம்\n• தொடர்பு விவரங்கள்\n• உணவகத்துக்கு வழி\n\nஎந்த உணவகம் என்று சொல்லுங்கள்!',
+    'nav.menuFooter': 'சமீபத்திய மெனுவைக் கொண்டுவருகிறேன்! 📋',
+    'nav.menuFallback': '🍽️ உணவக மெனுக்களைப் பெற உதவுவேன்! எந்த உணவகம் என்று சொல்லுங்கள்.',
+    'nav.restaurantNotFound': '❌ மன்னிக்கவும், உணவக விவரங்கள் கிடைக்கவில்லை. வேறு சலுகையைத் தேர்ந்தெடுங்கள்.',
+    'nav.menuError': '❌ மன்னிக்கவும், மெனுவை ஏற்றுவதில் பிழை. மீண்டும் முயலுங்கள்.',
+
+    'dealCard.counter': '{emoji} *சலுகை {index} / {total}*',
+    'dealCard.details': '📝 *விவரங்கள்:*',
+    'dealCard.source': '🔗 *மூலம்:*',
+    'dealCard.verified': '⏰ *சரிபார்க்கப்பட்டது:* {value} SGT',
+    'dealCard.footerSource': '🔍 *மூலம்:*',
+    'dealCard.footer': '🔍 LobangLah | செயல்களுக்கு அழுத்தவும்',
+    'dealCard.none': '😅 மன்னிக்கவும், இப்போது {category} சலுகைகள் எதுவும் கிடைக்கவில்லை. பின்னர் முயலுங்கள்!',
+    'dealCard.allShownHeader': '{emoji} அனைத்து {category} சலுகைகளும் காட்டப்பட்டன!',
+    'dealCard.allShownBody': "🎉 உங்களுக்காக {count} அருமையான {category} சலுகைகள் கிடைத்தன!\n\n✨ நீங்கள்:\n• இந்தப் பகுதியில் மேலும் சலுகைகளைப் பெறலாம்\n• புதிய இடத்தில் தேடலாம்\n• ஒவ்வொரு சலுகையிலும் உள்ள பொத்தான்களில் வழி, நினைவூட்டல், பகிர்வு\n• சலுகைகளை அருகருகே ஒப்பிடலாம் அல்லது ஒன்றைப் பின்னர் பார்க்கச் சேமிக்கலாம்\n\n🛍️ மகிழ்ச்சியான சலுகை வேட்டை!",
+    'dealCard.allShownFooter': '🔍 மூலங்கள்: Instagram, Facebook, TikTok & இணையம் | LobangLah 🎯',
+    'dealCard.allShownButton': 'அடுத்து?',
+    'dealCard.compareDescription': 'விலை, சேமிப்பு, தூரம் அருகருகே',
+    'catalog.header': '{emoji} {category} சலுகைகள் கிடைத்தன!',
+    'catalog.body': '🎉 உங்களுக்காக {count} அருமையான {category} சலுகைகள் கிடைத்தன!\n\n✨ முழு விவரங்கள், வழி மற்றும் செயல்களுக்கு கீழே உள்ள எந்தச் சலுகையையும் அழுத்துங்கள். ஒவ்வொரு சலுகையிலும் வணிகத் தகவல், சலுகை மற்றும் இட விவரங்கள் உள்ளன.\n\n🛍️ மகிழ்ச்சியான சலுகை வேட்டை!',
+    'catalog.section': 'கிடைக்கும் சலுகைகள்',
+    'dealDetails.header': '🎯 சலுகை விவரங்கள்',
+    'dealDetails.footer': '🔍 மூலம்: AI இணையத் தேடல் | LobangLah 🎯',
+    'dealDetails.defaultBusiness': 'வணிகம்',
+    'dealDetails.noAddress': 'முகவரி கிடைக்கவில்லை',
+    'dealDetails.defaultOffer': 'சிறப்புச் சலுகை',
+    'dealDetails.defaultDescription': 'சிறந்த சலுகை கிடைக்கிறது',
+    'dealDetails.defaultValidity': 'குறுகிய காலம்',
+    'dealDetails.location': '📍 *இடம்:* {address}',
+    'dealDetails.offer': '💰 *சலுகை:* {offer}',
+    'dealDetails.details': '📝 *விவரங்கள்:* {description}',
+    'dealDetails.validUntil': '⏰ *செல்லுபடியாகும் நாள்:* {validity}',
+    'dealDetails.completeDetails': '📋 *முழு விவரங்கள்:*',
+    'dealDetails.contact': '📞 *தொடர்புக்கு:*',
+    'dealDetails.phone': 'தொலைபேசி: {phone}',
+    'dealDetails.website': 'இணையதளம்: {website}',
+    'dealDetails.tapForActions': '🎯 மேலும் செயல்களுக்குக் கீழே உள்ள பொத்தான்களைத் தட்டவும்!',
+
+    'voice.heard': '🎤 நான் கேட்டது: "{transcript}"',
+
+    'sgError.noLocation': 'அருகிலுள்ள நல்ல சலுகைகளைத் தேட உங்கள் இருப்பிடம் தேவை! 📍\n\n📎 இணைப்பு ஐகானை அழுத்தி \'இருப்பிடம்\' என்பதைத் தேர்ந்தெடுத்துப் பகிருங்கள்.',
+    'sgError.noDeals': 'இப்போது {location} அருகில் {category} சலுகைகள் இல்லை.\n\nவேறு வகை அல்லது இடத்தை முயலுங்கள்! 🔄',
+    'sgError.noDealsCategory': 'நல்ல',
+    'sgError.noDealsLocation': 'உங்கள் பகுதி',
+    'sgError.apiError': 'மன்னிக்கவும்! சலுகை தேடலில் ஏதோ தவறு நடந்தது.\n\nசற்று நேரம் கழித்து முயலுங்கள்! 🔄',
+    'sgError.weatherError': 'வானிலைத் தகவல் கிடைக்கவில்லை, ஆனாலும் சிறந்த சலுகைகளைக் கண்டுபிடிப்பேன்! 🌤️',
+    'sgError.networkError': 'இணைப்பு சற்று மெதுவாக உள்ளது! சற்று நேரம் கழித்து முயலுங்கள்! 📶',
+    'sgError.voiceNoteError': 'அச்சச்சோ, குரல் செய்தியில் நீங்கள் சொன்னது புரியவில்லை! 🎤\n\nமீண்டும் அனுப்புங்கள் அல்லது தட்டச்சு செய்யுங்கள்!',
+    'sgError.rateLimited': 'மெதுவாக! நீங்கள் மிக வேகமாக அனுப்புகிறீர்கள். 😅\n\n{cooldown} கழித்து மீண்டும் முயலுங்கள், சரியா? ☕',
+    'cooldown.seconds': '{count} விநாடிகள்',
+    'cooldown.minute': '1 நிமிடம்',
+    'cooldown.minutes': '{count} நிமிடங்கள்',
+    'sgSuccess.locationConfirmed': '{location}! அங்கே நிறைய நல்ல சலுகைகள் உள்ளன! 🎯',
+    'sgSuccess.dealsFound': 'உங்களுக்காக {count} அருமையான {category} சலுகைகள் கிடைத்தன! 💪',
+    'sgSuccess.dealShared': 'நல்ல சலுகையை நண்பர்களுடன் பகிருங்கள்! 👥',
+    'sgSuccess.categorySelected': 'நல்ல தேர்வு! {category} சலுகைகள் சிறந்தவை! 🎉',
+    'sgSuccess.default': 'வெற்றி! 🎉',
+    'sgContent.location_confirmed': '{location}! அங்கே நிறைய நல்ல சலுகைகள் உள்ளன! 🎯',
+    'sgContent.weather_good': 'சலுகைகளைத் தேட நல்ல வானிலை! 🌤️',
+    'sgContent.weather_rainy': 'வெளியே மழை! உள்ளரங்கச் சலுகைகளுக்கு ஏற்ற நேரம்! ☔',
+    'sgContent.weather_hot': 'இன்று ரொம்ப வெயில்! உள்ளேயும் வெளியேயும் சலுகைகள் உள்ளன! 🌞',
+    'sgContent.deals_found': 'உங்களுக்காக நல்ல சலுகைகள் கிடைத்தன! 💪',
+    'sgContent.welcome': 'நல்ல சலுகைகளைத் தேடத் தயாரா! 🚀',
+
+    'compare.header': '⚖️ சலுகைகளை ஒப்பிடு',
+    'compare.pickFirst': 'எந்தச் சலுகைகளை ஒப்பிட வேண்டும்? முதலாவதைத் தேர்ந்தெடுங்கள்.',
+    'compare.pickNext': '*{names}* ஒப்பிடப்படுகிறது.\n\nஒப்பிட இன்னொரு சலுகையைத் தேர்ந்தெடுங்கள்.',
+    'compare.pickButton': 'சலுகையைத் தேர்வு',
+    'compare.section': 'உங்கள் சலுகைகள்',
+    'compare.ready': '*{names}* ஒப்பிடப்படுகிறது.\n\nஇப்போது ஒப்பிடுங்கள், அல்லது இன்னும் ஒரு சலுகையைச் சேர்க்கவும் (அதிகபட்சம் 3).',
+    'compare.notEnough': '⚖️ ஒப்பிட குறைந்தது 2 சலுகைகள் தேவை. முதலில் சலுகைகளைத் தேடி, அவற்றின் கீழுள்ள பட்டியலில் ⚖️ சலுகைகளை ஒப்பிடு என்பதைத் தேர்ந்தெடுங்கள், அல்லது எது சிறந்தது என்று கேளுங்கள்!',
+    'compare.cancelled': '👌 ஒப்பீடு ரத்து செய்யப்பட்டது. உங்கள் சலுகைகள் மேலே உள்ளன!',
+    'compare.title': '⚖️ *சலுகை ஒப்பீடு*',
+    'compare.price': '💵 விலை: {value}',
+    'compare.savings': '💰 சேமிப்பு: {value}',
+    'compare.distance': '📍 தூரம்: {value}',
+    'compare.rating': '⭐ மதிப்பீடு: {value}',
+    'compare.validity': '📅 செல்லுபடி: {value}',
+    'compare.hours': '🕐 இன்று: {value}',
+    'compare.unknown': '—',
+    'compare.oneForOne': '1 வாங்கினால் 1 இலவசம்',
+    'compare.percentOff': '{value}% தள்ளுபடி',
+    'compare.amountOff': '${value} தள்ளுபடி',
+    'compare.usualPrice': 'வழக்கமான விலை ${value}',
+    'compare.verdict': '🤖 *முடிவு:* {verdict}',
+    'compare.verdictFallback': '*{name}* சிறந்த சலுகையாகத் தெரிகிறது: {reason}.',
+    'compare.verdictTie': 'கிட்டத்தட்ட ஒன்றுதான்! அருகில் உள்ளதையோ பிடித்ததையோ தேர்ந்தெடுங்கள்.',
+    'compare.reason.cheapest': 'குறைந்த விலை {value}',
+    'compare.reason.biggestSaving': 'அதிக சேமிப்பு ({value})',
+    'compare.reason.closest': 'உங்களுக்கு மிக அருகில் ({value})',
+    'compare.reason.bestRated': 'சிறந்த மதிப்பீடு ({value}⭐)',
+    'compare.footer': '💬 இந்தச் சலுகைகள் பற்றி மேலும் கேளுங்கள், அல்லது சலுகை அட்டையில் 📍 வழி என்பதைத் தட்டுங்கள்.',
+
+    'saved.added': '⭐ *{name}* சேமிக்கப்பட்டது!\n\nநீங்கள் {count} சலுகைகளைச் சேமித்துள்ளீர்கள். சேமித்த சலுகை முடிவதற்கு முன் நினைவூட்டுவேன்.',
+    'saved.alreadySaved': '⭐ *{name}* ஏற்கனவே உங்கள் சேமித்த சலுகைகளில் உள்ளது.',
+    'saved.full': '⭐ உங்கள் சேமிப்புப் பட்டியல் நிரம்பிவிட்டது ({max} சலுகைகள்). இன்னொன்றைச் சேமிக்க ஒன்றை நீக்கவும்.',
+    'saved.notFound': '😅 அந்தச் சலுகை இப்போது உங்கள் சேமிப்புப் பட்டியலில் இல்லை. அது முடிந்திருக்கலாம்.',
+    'saved.empty': '⭐ இன்னும் சேமித்த சலுகைகள் இல்லை!\n\nசலுகைகளுக்குப் பின் வரும் பட்டியலில் ⭐ சலுகையைச் சேமி என்பதைத் தேர்ந்தெடுத்தால் இங்கே வைக்கப்படும்.',
+    'saved.listHeader': '⭐ சேமித்த சலுகைகள்',
+    'saved.listBody': 'நீங்கள் {count} சலுகைகளைச் சேமித்துள்ளீர்கள். மீண்டும் பார்க்க ஒன்றைத் தேர்ந்தெடுங்கள்.',
+    'saved.listButton': 'சலுகைகளைப் பார்',
+    'saved.section': 'சேமித்த சலுகைகள்',
+    'saved.endsOn': '{date} அன்று முடியும்',
+    'saved.detail': '⭐ *{name}*\n\n💰 {offer}\n📍 {address}\n📅 {validity}',
+    'saved.removed': '🗑️ *{name}* உங்கள் சேமித்த சலுகைகளிலிருந்து நீக்கப்பட்டது.',
+    'saved.pickTitle': '⭐ சலுகையைச் சேமி',
+    'saved.pickDescription': 'ஒரு சலுகையைப் பின்னர் பார்க்கச் சேமியுங்கள்',
+    'saved.pickBody': 'எந்தச் சலுகையைச் சேமிக்க வேண்டும்?',
+    'saved.pickButton': 'சலுகையைத் தேர்வு',
+    'saved.nothingToSave': '😅 முதலில் சலுகைகளைத் தேடி, பிறகு சேமிக்க வேண்டியதைத் தேர்ந்தெடுங்கள்.',
+    'saved.endingSoonHeader': '⏰ சலுகைகள் முடிகின்றன',
+    'saved.endingSoonBody': '⏰ கவனிக்கவும்! நீங்கள் சேமித்த {count} சலுகைகள் விரைவில் முடிகின்றன:\n\n{deals}\n\nவாய்ப்பைத் தவறவிடாதீர்கள்! 🏃',
+    'saved.endingSoonLine': '• *{name}*: {offer} ({date} அன்று முடியும்)',
+    'saved.endingSoonSummary': 'நீங்கள் சேமித்த {count} சலுகைகள் விரைவில் முடிகின்றன: {deals}',
+
+    'query.searching': '🔍 {summary} தேடுகிறேன்... சிறிது நேரம் ஆகலாம்! ⏳',
+    'query.needLocation.header': '📍 எங்கே தேட வேண்டும்?',
+    'query.needLocation.body': '🔎 புரிந்தது: {summary}\n\nஉங்கள் இருப்பிடத்தைப் பகிருங்கள் அல்லது ஒரு பகுதியைச் சொல்லுங்கள், பொருத்தமான சலுகைகளைக் கண்டுபிடிக்கிறேன்.',
+    'query.budget': '${amount}க்குள்',
+    'query.budgetPerPerson': 'ஒருவருக்கு ${amount}க்குள்',
+    'query.party': '{count} பேர்',
+    'query.dietary.halal': 'ஹலால்',
+    'query.dietary.vegetarian': 'சைவம்',
+    'query.time.now': 'இப்போது',
+    'query.time.today': 'இன்று',
+    'query.time.tonight': 'இன்றிரவு',
+    'query.time.tomorrow': 'நாளை',
+    'query.time.weekend': 'இந்த வார இறுதியில்',
+    'query.time.at': '{time} மணிக்கு',
+    'query.meal.breakfast': 'காலை உணவு',
+    'query.meal.brunch': 'காலை-மதிய உணவு',
+    'query.meal.lunch': 'மதிய உணவு',
+    'query.meal.tea': 'மாலை தேநீர்',
+    'query.meal.dinner': 'இரவு உணவு',
+    'query.meal.supper': 'இரவு நேர உணவு',
+
+    'dietary.header': '🥗 உணவு விருப்பங்கள்',
+    'dietary.body': 'ஒருமுறை சொன்னால் போதும், பொருந்தும் உணவு சலுகைகளை மட்டும் காட்டுவேன். ஒரு தேர்வை இயக்க அல்லது நிறுத்த தட்டவும்.\n\nதற்போது: {current}',
+    'dietary.updated': '✅ சேமிக்கப்பட்டது! உணவு சலுகைகள் உங்கள் விருப்பங்களைப் பின்பற்றும்.\n\nதற்போது: {current}',
+    'dietary.footer': 'ஹலால் MUIS பட்டியலுடன் சரிபார்க்கப்படுகிறது',
+    'dietary.none': 'உணவுத் தேவைகள் இல்லை',
+    'dietary.saveFailed': 'மன்னிக்கவும், உங்கள் உணவு விருப்பங்களைச் சேமிக்க முடியவில்லை. மீண்டும் முயலுங்கள்! 😅',
+    'dietary.badge.halal.certified': '☪️ MUIS ஹலால் சான்றிதழ்',
+    'dietary.badge.halal.yes': '☪️ ஹலால்',
+    'dietary.badge.halal.likely': '☪️ ஹலாலாக இருக்கலாம், கடையில் கேளுங்கள்',
+    'dietary.badge.halal.unknown': '❔ ஹலால் நிலை உறுதிசெய்யப்படவில்லை',
+    'dietary.badge.vegetarian.yes': '🥦 சைவ உணவு உண்டு',
+    'dietary.badge.vegetarian.unknown': '❔ சைவ உணவு உறுதிசெய்யப்படவில்லை',
+
+    'mrt.routePicked': '🚇 {area}: {name}. இந்த {count} நிலையங்களிலிருந்தும் நடந்து செல்லும் தூரத்தில் உள்ள சலுகைகளைத் தேடுகிறேன்.\n\nஎந்த வகைச் சலுகைகளைத் தேடட்டும்?',
+    'mrt.noCommonLine': '🚇 {from} ({fromLines}), {to} ({toLines}) ஒரே பாதையில் இல்லை. ஒரே பாதையிலுள்ள இரண்டு நிலையங்களை முயற்சிக்கவும், எ.கா. "East-West Line-இல் Jurong East முதல் Buona Vista வரை".',
+    'mrt.walk': '🚇 {station} நிலையத்திலிருந்து {minutes} நிமிட நடை',
+
+    'error.generic': 'மன்னிக்கவும், பிழை ஏற்பட்டது. மீண்டும் முயலுங்கள்! 😅'
+};
@@ -0,0 +1,380 @@
+// Simplified Chinese (华文) strings - missing keys fall back to en.js
+export const zh = {
+    'language.name': '中文',
+    'language.menuHeader': '🌐 语言 Language',
+    'language.menuBody': '您想用哪种语言聊天？\n\n随时输入 *语言* 或 *language* 即可更换。',
+    'language.menuButton': '选择语言',
+    'language.changed': '✅ 好的！从现在起我会用中文和您聊天。\n\n💡 随时输入 *语言* 即可更换。',
+
+    'button.shareLocation': '📍 分享位置',
+    'button.share': '📍 分享',
+    'button.howItWorks': '❓ 使用说明',
+    'button.aboutUs': '🎯 关于我们',
+    'button.searchByName': '🔍 按名称搜索',
+    'button.search': '🔍 搜索',
+    'button.popularPlaces': '🏢 热门地点',
+    'button.food': '🍽️ 美食餐饮',
+    'button.events': '🎉 活动',
+    'button.fashion': '👗 时尚',
+    'button.chatAi': '🤖 AI 聊天',
+    'button.moreDeals': '🔍 更多优惠',
+    'button.setDailyAlert': '🔔 每日提醒',
+    'button.setupAlert': '🔔 设置提醒',
+    'button.addAlert': '🔔 添加提醒',
+    'button.setupAnother': '🔔 再设一个',
+    'button.everyDay': '📅 每天',
+    'button.weekdays': '💼 工作日',
+    'button.weekends': '🏖️ 周末',
+    'button.manageAlerts': '⚙️ 管理提醒',
+    'button.pauseAll': '⏸️ 全部暂停',
+    'button.back': '🔙 返回',
+    'button.backToDeals': '🔙 返回优惠',
+    'button.menu': '🍽️ 菜单',
+    'button.getMenu': '🍽️ 查看菜单',
+    'button.directions': '📍 路线',
+    'button.call': '📞 致电',
+    'button.setReminder': '⏰ 设置提醒',
+    'button.shareDeal': '📤 分享优惠',
+    'button.newLocation': '📍 换个地点',
+    'button.viewAllDeals': '👀 全部优惠',
+    'button.searchMore': '🔍 继续搜索',
+    'button.contactUs': '📞 联系我们',
+    'button.reportIssue': '🐛 报告问题',
+    'button.suggestFeature': '💡 功能建议',
+    'button.businessInquiry': '🤝 商务合作',
+    'button.tryDifferentCategory': '🔄 其他类别',
+    'button.exploreFeatures': '🔍 探索功能',
+    'button.searchRestaurants': '🔍 搜索餐厅',
+    'button.more': '✨ 更多',
+    'button.new': '📍 新地点',
+    'button.newArea': '📍 新区域',
+    'button.compareNow': '⚖️ 立即比较',
+    'button.addAnother': '➕ 再加一个',
+    'button.cancel': '❌ 取消',
+    'button.mySavedDeals': '⭐ 我的收藏',
+    'button.dietaryPreferences': '🥗 饮食偏好',
+    'button.dietary.halal': '☪️ 清真',
+    'button.dietary.vegetarian': '🥦 素食',
+    'button.dietaryClear': '没有要求',
+    'button.remove': '🗑️ 移除',
+    'footer.chooseOption': '请选择',
+    'footer.chooseCategory': '请选择优惠类别',
+
+    'category.food': '美食',
+    'category.events': '活动',
+    'category.fashion': '时尚',
+    'category.clothes': '时尚',
+    'category.groceries': '杂货',
+    'category.deals': '优惠',
+
+    'welcome.greeting.default': '您好！👋',
+    'welcome.greeting.hello': '您好！很高兴认识您！👋',
+    'welcome.greeting.morning': '早上好！祝您有美好的一天！🌅',
+    'welcome.greeting.afternoon': '下午好！正是找优惠的好时候！☀️',
+    'welcome.greeting.evening': '晚上好！一起来找好康吧！🌆',
+    'welcome.greeting.help': '我来帮您找最好的优惠！🤝',
+    'welcome.header': '🎯 欢迎来到 LobangLah！',
+    'welcome.body': '{greeting}\n\n我是 **LobangLah** 的 AI 优惠猎手——新加坡最聪明的优惠发现平台！🤖\n\n🎯 **我能做什么：**\n• AI 搜索成千上万个优惠\n• 实时天气和逐小时预报\n• 按位置推荐\n• 美食、时尚、杂货等等！\n\n📍 **准备好省钱了吗？** 分享您的位置，我会为您找到附近的好优惠和今天的天气预报！\n\n🌐 Prefer English, Bahasa Melayu or தமிழ்? Type *language*',
+    'welcome.footer': '🚀 新加坡最聪明的优惠发现平台',
+    'time.morning': '早上好！',
+    'time.afternoon': '下午好！',
+    'time.evening': '晚上好！',
+    'time.night': '晚安！',
+    'sgWelcome.header': '{emoji} {timeGreeting}欢迎来到 LobangLah！',
+    'sgWelcome.greeting': '您好！准备好找好康了吗？🎯',
+    'sgWelcome.body': '{greeting}\n\n我是 **LobangLah** 的 AI 优惠猎手——新加坡最聪明的优惠发现平台！🤖\n\n我能为您找到附近最好的美食、活动、时尚等优惠，还附上今天的天气预报。\n\n📍 **准备好省钱了吗？** 分享您的位置，我会为您找到附近的好优惠！\n\n🌐 Prefer English, Bahasa Melayu or தமிழ்? Type *language*',
+    'sgWelcome.footer': '🚀 由 LobangLah AI 提供',
+
+    'info.shareLocation': '📍 请分享您的位置，我会为您找到附近的好优惠！',
+    'info.howItWorks': '🤖 **LobangLah 怎么用：**\n\n1️⃣ **分享位置** - 告诉我们您在哪里\n2️⃣ **选择类别** - 美食、时尚、活动等\n3️⃣ **获取优惠** - AI 为您找附近最好的优惠\n4️⃣ **聊天探索** - 随时询问优惠详情\n\n🎯 **智能功能：**\n• 实时天气\n• 按位置推荐\n• 优惠去重（不会重复！）\n• 互动目录消息\n\n📍 准备好了吗？分享您的位置吧！',
+    'info.about': '🎯 **关于 LobangLah：**\n\n我们是新加坡最聪明的优惠发现平台！🤖\n\n**我们的特色：**\n• AI 优惠搜索\n• 实时位置和天气\n• 餐厅去重\n• WhatsApp 互动体验\n\n💡 **Lobang** = 新加坡俚语，意思是"好康、好优惠"\n\n📍 一起来找好康吧！',
+    'info.searchByName': '🔍 **按地点名称搜索**\n\n请输入任何新加坡地点的名称：\n\n📍 例如：\n• Orchard Road 乌节路\n• Marina Bay Sands 滨海湾金沙\n• Bugis Junction\n• Tampines Mall\n• Jurong Point\n\n🌍 **仅限新加坡地点**',
+    'popular.header': '🏢 新加坡热门地点',
+    'popular.body': '选择一个热门地点来找优惠，或输入地铁站或一段路线，例如“East-West 线从 Jurong East 到 Buona Vista”：',
+    'popular.footer': '请选择您想去的地区',
+
+    'location.serviceUnavailable': '❌ 抱歉！位置服务暂时无法使用，请改为分享您的 GPS 位置。',
+    'location.notFoundNamed': '❌ 抱歉！在新加坡找不到"{query}"。请试试其他地点或分享您的 GPS 位置。',
+    'location.detailsFailed': '❌ 抱歉！无法获取地点详情。请再试一次或分享您的 GPS 位置。',
+    'location.detailsFailedShort': '❌ 抱歉！无法获取地点详情，请再试一次。',
+    'location.detailsError': '❌ 抱歉！获取地点详情时出了问题。请再试一次或分享您的 GPS 位置。',
+    'location.processingError': '❌ 抱歉，处理您的位置时出了问题，请再试一次！',
+    'location.notInSingapore': '❌ 抱歉，这个位置不在新加坡。请分享新加坡境内的位置，或输入地区名称或邮编。',
+    'location.notFound.header': '🔍 找不到地点',
+    'location.notFound.body': '❌ 抱歉！在新加坡找不到"{query}"。\n\n🌍 **本服务仅限新加坡。**\n\n请换个方式试试。',
+    'location.singaporeOnly.header': '🌍 仅限新加坡',
+    'location.singaporeOnly.body': '📍 "{query}"不是新加坡的地点。\n\n🌍 **本服务仅限新加坡。**\n\n请输入新加坡的地点或分享您的 GPS 位置。',
+    'location.popularPicked': '🎉 好选择！我找到了{area}的 {name}。\n\n今天想找哪一类的优惠？',
+    'location.searchPicked': '🎉 太好了！我找到了{area}的 {name}。\n\n今天想找哪一类的优惠？',
+    'location.gpsConfirmed': '🎉 位置已确认！您在{area}的 {name}。\n\n今天想找哪一类的优惠？',
+    'weather.summary': '📍 **位置：** {name}\n🌡️ **天气：** {temperature}°C，{condition}\n💨 **风速：** {wind} 公里/小时\n💧 **湿度：** {humidity}%\n\n🎯 正是找优惠的好天气！',
+    'weather.fallback': '📍 **位置已确认：** {name}\n\n🎯 马上为您找附近的好优惠！',
+
+    'deals.needLocation': '❌ 请先分享您的位置，才能找附近的优惠！',
+    'deals.searching': '🔍 正在为您搜索好优惠……请稍等！⏳',
+    'deals.searchingMore': '🔍 正在搜索更多好优惠……请稍等！⏳',
+    'deals.foundHeader': '🎉 找到 {count} 个{category}优惠！',
+    'deals.foundBody': '我在 {location} 附近找到了 {count} 个{category}优惠！\n\n💬 想聊聊这些优惠、找更多优惠，还是设置每日提醒？',
+    'deals.none': '😅 抱歉，目前找不到任何优惠。请试试其他类别或地点！',
+    'deals.noneMore': '😅 抱歉，目前没有新的优惠了。最好的优惠您都已经看过啦！\n\n💡 试试其他类别，或稍后再来看看新优惠！',
+    'deals.searchError': '❌ 抱歉，搜索优惠时出了问题，请稍后再试！',
+    'deals.moreError': '😅 抱歉，找更多优惠时出了问题，请稍后再试！',
+
+    'chat.noDeals': '❌ 还没有可以聊的优惠，请先搜索优惠！',
+    'chat.activated': '🤖 **AI 聊天模式已开启！**\n\n我可以帮您了解 {location} 附近的{category}优惠！\n\n💬 **随便问：**\n• "哪个优惠最划算？"\n• "介绍一下第一个优惠"\n• "哪个离我最近？"\n• "怎么去？"\n• "还有更多优惠吗？"\n\n🎯 我会帮您做出最好的选择！\n\n💡 输入"exit chat"结束聊天模式。',
+    'chat.defaultLocation': '您的位置',
+    'chat.restarted': '🔄 *聊天已重新开始*\n\n您已经聊了 10 轮！我们重新开始，为您找最好的优惠。',
+    'chat.directionsFor': '📍 这是 {name} 的位置！',
+    'chat.thisDeal': '这个优惠',
+    'chat.whichDeal': '📍 我很乐意为您指路，但需要知道您想去哪一个优惠！\n\n💬 可以这样问：\n• "第一个优惠怎么去"\n• "[商家名称]在哪里？"\n• "怎么去第 2 个优惠"',
+    'chat.moreFound': '🎉 在 {location} 附近又找到 {count} 个{category}优惠！\n\n💬 可以问我这些新优惠，或继续聊所有选项！',
+    'chat.noMoreFound': '😔 抱歉，在 {location} 附近找不到其他还没显示过的{category}优惠。\n\n💡 可以分享新位置换个地区搜索，或问我目前的优惠！',
+    'chat.moreError': '🔍 暂时找不到更多优惠。让我帮您看看目前的{category}优惠吧！\n\n💬 可以问我哪个最划算、哪个最近，或其他问题！',
+    'chat.ended': '👋 聊天模式已结束！分享位置即可搜索新优惠，或再点一次"AI 聊天"继续聊目前的优惠。',
+    'chat.locationChange': '🔄 *更换地点*\n\n我们去新的地区找{category}优惠吧！\n\n📍 请分享您的位置，搜索附近的{category}优惠。\n\n💡 点击 📎 附件图标 → 位置 → 发送当前位置',
+    'chat.error': '🤖 抱歉，我没能理解您关于 {location} 附近{category}优惠的问题。\n\n💬 请换个方式再问一次，例如：\n• "哪个优惠最划算？"\n• "介绍一下第一个优惠"\n• "哪个离我最近？"\n\n🎯 我随时准备帮您看{category}优惠！\n\n💡 输入"exit chat"结束聊天模式。',
+    'chat.followUp': '💡 可以继续问我这些优惠，或分享新位置搜索其他地方！',
+    'chat.unsure': '我不太确定怎么帮您。可以问问某个具体的优惠吗？',
+    'chat.processingError': '🤖 抱歉，处理您关于 {location} 附近{category}优惠的问题时出了问题。\n\n💬 请简单一点问，例如：\n• "哪个优惠最好？"\n• "介绍第 1 个优惠"\n• "哪个最便宜？"\n\n🎯 我随时帮您看{category}优惠！',
+
+    'alert.needDeals': '❌ 请先搜索优惠，再设置每日提醒！',
+    'alert.created': '🔔 **每日提醒已创建！**\n\n✅ 您每天 {time} 会收到 {location} 附近的{category}优惠。\n\n📱 **提醒详情：**\n• 地点：{location}\n• 类别：{category}\n• 时间：{time}\n• 状态：已启用\n\n💡 输入"manage alerts"查看或修改提醒。',
+    'alert.createError': '❌ 抱歉！设置每日提醒时出了问题，请稍后再试。',
+    'alert.none': '📱 **没有启用的提醒**\n\n您还没有设置每日提醒。\n\n💡 创建提醒的方法：\n1. 在您想要的地点搜索优惠\n2. 点击"每日提醒"按钮\n3. 选择您想要的时间\n\n🔔 每日提醒会自动发送最好的优惠给您！',
+    'alert.loadError': '❌ 抱歉！读取您的提醒时出了问题，请稍后再试。',
+    'alert.deactivated': '🔕 **提醒已关闭**\n\n✅ 您的每日提醒已关闭。\n\n💡 随时可以搜索优惠并点击"每日提醒"设置新的提醒。',
+    'alert.deactivateError': '❌ 抱歉！关闭提醒时出了问题，请稍后再试。',
+
+    'alertSetup.body': '想收到最好的优惠吗？\n\n🎯 *怎么用：*\n• 选择地点和类别\n• 选一个时间，或午餐和晚餐各一次\n• 选择每天、工作日或周末\n• 每次收到前 5 个优惠\n• 随时暂停或更改\n\n⏰ *可选时间：*\n上午 9:00、中午 12:00、下午 3:00、傍晚 6:00、晚上 8:00',
+    'alertSetup.header': '🔔 每日优惠提醒',
+    'alertSetup.footer': '不错过任何好优惠！🚀',
+    'alertTime.body': '您想几点收到每日优惠？\n\n请选择时间：',
+    'alertTime.button': '选择时间',
+    'alertTime.header': '⏰ 选择提醒时间',
+    'alertTime.footer': '随时可以更改',
+    'alertTime.morning': '上午',
+    'alertTime.afternoon': '下午',
+    'alertTime.evening': '晚上',
+    'alertTime.0900': '用好优惠开始新的一天',
+    'alertTime.1200': '午餐优惠',
+    'alertTime.1500': '下午茶时间',
+    'alertTime.1800': '下班优惠',
+    'alertTime.2000': '晚间放松',
+    'alertTime.twice': '午餐和晚餐',
+    'alertTime.lunchDinner': '午餐前和晚餐前各发一次优惠',
+    'alertDays.body': '哪几天在 {times} 给您发优惠？',
+    'alertDays.header': '📅 选择日子',
+    'alertDays.footer': '随时可以更改',
+    'alertSchedule.daily': '每天 {times}',
+    'alertSchedule.weekdays': '每个工作日 {times}',
+    'alertSchedule.weekends': '每个周末 {times}',
+    'alertSchedule.days': '每逢{days} {times}',
+    'alertConfirm.body': '🎉 您的优惠提醒已启用！\n\n📍 *地点：* {location}\n🎯 *类别：* {category}\n⏰ *时间：* {schedule}\n\n您将在{schedule}收到前 5 个{category}优惠。\n\n💡 *随时输入"manage alerts"管理提醒*',
+    'alertConfirm.header': '✅ 提醒已创建！',
+    'alertConfirm.footer': '祝您找到好康！🚀',
+    'alertManage.header': '⚙️ 管理提醒',
+    'alertManage.empty': '您还没有启用的提醒。\n\n🔔 *设置第一个提醒，每天收到优惠！*',
+    'alertManage.emptyFooter': '不错过任何好优惠',
+    'alertManage.count': '您有 {count} 个启用的提醒：',
+    'alertManage.item': '{index}. {category}优惠',
+    'alertManage.question': '您想做什么？',
+    'alertManage.footer': '管理您的每日优惠提醒',
+    'alertManage.error': '❌ 抱歉！暂时无法读取您的提醒。',
+
+    'dailyAlert.noDeals': '🔍 *每日提醒 - 没有找到优惠*\n\n抱歉！今天在 {location} 附近没有找到{category}优惠。\n\n💡 可以试试：\n• 换个地点\n• 其他类别\n• 明天再来看看\n\n🔔 您的每日提醒仍然有效！',
+    'dailyAlert.templateSummary': '今天 {location} 附近有 {count} 个{category}优惠：{deals}',
+    'dailyAlert.navHeader': '🔔 每日提醒选项',
+    'dailyAlert.navBody': '这是您的每日{category}优惠提醒！\n\n您想做什么？\n\n💡 *快捷操作：*\n• 搜索更多优惠\n• 更换地点\n• 管理提醒',
+    'dailyAlert.navFooter': '您的每日优惠猎手正在工作！🕵️',
+
+    'nav.dealOfTheDay': '🥤 *{name} - 今日优惠*',
+    'nav.location': '📍 *地点：* {value}',
+    'nav.contact': '📞 *联系：* {value}',
+    'nav.openingHours': '🕒 *营业时间：* {value}',
+    'nav.distance': '🛣️ *距离：* {value}',
+    'nav.distanceValue': '距离您 {meters} 米',
+    'nav.price': '💰 *价格：* {value}',
+    'nav.validUntil': '📅 *有效期至：* {value}',
+    'nav.foundVia': '🌐 *来源：* 来自 {value}',
+    'nav.details': '📝 *详情：* {value}',
+    'nav.defaultDetails': '在 {name} 享受超值{category}优惠。堂食或外带均可，在柜台说明优惠或出示此消息即可兑换。',
+    'nav.source': '来源：{value}',
+    'nav.sources': '来源：{value}',
+    'nav.completeHeader': '🎯 {category}优惠已全部显示',
+    'nav.completeBody': '✅ 在 {location} 附近找到 {count} 个{category}优惠！\n\n💡 接下来想做什么？',
+    'nav.topDealsTitle': '🎉 *前 5 个{category}优惠*',
+    'nav.topDealsHeader': '🎯 前 5 个{category}优惠',
+    'nav.moreAvailable': '……还有 {count} 个优惠！',
+    'nav.whatToDo': '💡 您想做什么？',
+    'nav.foundSummary': '🎉 在 {location} 附近找到 {count} 个{category}优惠！',
+    'nav.optionsHeader': '🎯 接下来？',
+    'nav.optionsBody': '太好了！您已经看过 {location} 附近的热门{category}优惠。\n\n接下来想做什么？\n\n• 查看全部优惠\n• 搜索更多优惠\n• 更换地点\n• 查看餐厅菜单\n• 设置每日提醒',
+    'nav.optionsFooter': '请选择下一步',
+    'nav.optionsFallback': '接下来想做什么？',
+    'nav.contactHeader': '📞 联系 LobangLah',
+    'nav.contactBody': '需要帮助吗？我们随时为您服务！\n\n💬 *客户服务*\n📧 电邮：support@lobanglah.sg\n📱 WhatsApp：+65 9123 4567\n\n🕒 *服务时间*\n星期一至五：上午 9 点至下午 6 点\n星期六：上午 10 点至下午 4 点\n\n💡 *常见协助*\n• 报告优惠问题\n• 建议新功能\n• 商务合作\n• 一般咨询',
+    'nav.contactFooter': '我们随时为您服务！🚀',
+    'nav.contactFallback': '📞 请联系 support@lobanglah.sg 或 WhatsApp +65 9123 4567',
+    'nav.whatElseHeader': '🚀 我们还能做什么？',
+    'nav.whatElseBody': 'LobangLah 能做的事情可多了！\n\n🎯 *功能：*\n• 找附近最好的优惠\n• 查看餐厅菜单和评价\n• 按天气推荐\n• 有趣的贴图和 AI 聊天\n• 按位置搜索\n• 新加坡本地优惠\n\n💡 *即将推出：*\n• 比价\n• 优惠提醒\n• 团购优惠\n• 会员奖励\n• 餐厅订位',
+    'nav.whatElseFooter': '我们一直在进步！🎉',
+    'nav.whatElseFallback': '🚀 LobangLah 可以找优惠、菜单等等！试试其他类别，或联系我们寻求帮助。',
+    'nav.whatElseButton': '选择选项',
+    'nav.savedDealsDescription': '已收藏 {count} 个',
+    'nav.dietaryDescription': '清真或素食优惠',
+    'nav.menuHeader': '🍽️ 餐厅菜单',
+    'nav.menuBody': '想看 {name} 的菜单吗？\n\n我可以帮您查：\n• 目前的菜色\n• 价格和供应情况\n• 营业时间\n• 联系方式\n• 前往餐厅的路线\n\n告诉我您对哪家餐厅感兴趣就行！',
+    'nav.menuFooter': '我会为您取得最新菜单！📋',
+    'nav.menuFallback': '🍽️ 我可以帮您查餐厅菜单！告诉我您对哪家餐厅感兴趣就行。',
+    'nav.restaurantNotFound': '❌ 抱歉，找不到这家餐厅的详情。请选择其他优惠试试。',
+    'nav.menuError': '❌ 抱歉，读取菜单时出错，请再试一次。',
+
+    'dealCard.counter': '{emoji} *第 {index} 个优惠（共 {total} 个）*',
+    'dealCard.details': '📝 *详情：*',
+    'dealCard.source': '🔗 *来源：*',
+    'dealCard.verified': '⏰ *核实时间：* {value}（新加坡时间）',
+    'dealCard.footerSource': '🔍 *来源：*',
+    'dealCard.footer': '🔍 LobangLah | 点击查看操作',
+    'dealCard.none': '😅 抱歉，目前找不到任何{category}优惠，请稍后再试！',
+    'dealCard.allShownHeader': '{emoji} 所有{category}优惠已显示！',
+    'dealCard.allShownBody': "🎉 为您找到 {count} 个超值{category}优惠！\n\n✨ 您可以：\n• 获取此区域的更多优惠\n• 在新地点搜索\n• 使用每个优惠上的按钮查看路线、设置提醒和分享\n• 并排比较优惠，或收藏一个以后再看\n\n🛍️ 祝您淘到好优惠！",
+    'dealCard.allShownFooter': '🔍 来源：Instagram、Facebook、TikTok 及网页 | LobangLah 🎯',
+    'dealCard.allShownButton': '下一步？',
+    'dealCard.compareDescription': '并排比较价格、优惠和距离',
+    'catalog.header': '{emoji} 找到{category}优惠！',
+    'catalog.body': '🎉 为您找到 {count} 个{category}优惠！\n\n✨ 点击下面任何一个优惠即可查看详情、获取路线和更多操作。每个优惠都有商家信息、优惠内容和地点。\n\n🛍️ 祝您找到好康！',
+    'catalog.section': '可用优惠',
+    'dealDetails.header': '🎯 优惠详情',
+    'dealDetails.footer': '🔍 来源：AI 网络搜索 | LobangLah 🎯',
+    'dealDetails.defaultBusiness': '商家',
+    'dealDetails.noAddress': '暂无地址',
+    'dealDetails.defaultOffer': '特别优惠',
+    'dealDetails.defaultDescription': '超值优惠',
+    'dealDetails.defaultValidity': '限时',
+    'dealDetails.location': '📍 *地点：* {address}',
+    'dealDetails.offer': '💰 *优惠：* {offer}',
+    'dealDetails.details': '📝 *详情：* {description}',
+    'dealDetails.validUntil': '⏰ *有效期至：* {validity}',
+    'dealDetails.completeDetails': '📋 *完整详情：*',
+    'dealDetails.contact': '📞 *联系方式：*',
+    'dealDetails.phone': '电话：{phone}',
+    'dealDetails.website': '网站：{website}',
+    'dealDetails.tapForActions': '🎯 点击下面的按钮进行更多操作！',
+
+    'voice.heard': '🎤 我听到的是：“{transcript}”',
+
+    'sgError.noLocation': '我需要您的位置才能找附近的好康！📍\n\n请点击 📎 附件图标并选择"位置"来分享您的位置。',
+    'sgError.noDeals': '目前在{location}附近找不到{category}优惠。\n\n试试其他类别或地点吧！🔄',
+    'sgError.noDealsCategory': '好的',
+    'sgError.noDealsLocation': '您所在的地区',
+    'sgError.apiError': '抱歉！找优惠时出了点问题。\n\n请稍后再试！🔄',
+    'sgError.weatherError': '暂时没有天气资料，但我还是会为您找到最好的优惠！🌤️',
+    'sgError.networkError': '网络有点慢，请稍后再试！📶',
+    'sgError.voiceNoteError': '哎呀，听不清楚您的语音消息！🎤\n\n请再发一次，或直接输入文字吧！',
+    'sgError.rateLimited': '慢慢来！您发得太快了。😅\n\n让我喘口气——请在 {cooldown}后再试，好吗？☕',
+    'cooldown.seconds': '{count} 秒',
+    'cooldown.minute': '1 分钟',
+    'cooldown.minutes': '{count} 分钟',
+    'sgSuccess.locationConfirmed': '{location}！那里有很多好优惠！🎯',
+    'sgSuccess.dealsFound': '为您找到 {count} 个超值{category}优惠！💪',
+    'sgSuccess.dealShared': '好康就要和朋友分享！👥',
+    'sgSuccess.categorySelected': '好选择！{category}优惠最棒了！🎉',
+    'sgSuccess.default': '成功啦！🎉',
+    'sgContent.location_confirmed': '{location}！那里有很多好优惠！🎯',
+    'sgContent.weather_good': '天气不错，正适合找优惠！🌤️',
+    'sgContent.weather_rainy': '外面下雨了！正是找室内优惠的好时候！☔',
+    'sgContent.weather_hot': '今天好热！室内外的优惠我都帮您找好了！🌞',
+    'sgContent.deals_found': '为您找到了一些好康！💪',
+    'sgContent.welcome': '准备好找好优惠了吗！🚀',
+
+    'compare.header': '⚖️ 比较优惠',
+    'compare.pickFirst': '要比较哪些优惠？请先选第一个。',
+    'compare.pickNext': '正在比较 *{names}*。\n\n请选择要与之比较的优惠。',
+    'compare.pickButton': '选择优惠',
+    'compare.section': '您的优惠',
+    'compare.ready': '正在比较 *{names}*。\n\n现在比较，或再加一个优惠（最多 3 个）。',
+    'compare.notEnough': '⚖️ 至少需要 2 个优惠才能比较。请先搜索优惠，然后在优惠下方的列表里选 ⚖️ 比较优惠，或直接问我哪个比较好！',
+    'compare.cancelled': '👌 已取消比较。您的优惠还在上面！',
+    'compare.title': '⚖️ *优惠比较*',
+    'compare.price': '💵 价格：{value}',
+    'compare.savings': '💰 优惠：{value}',
+    'compare.distance': '📍 距离：{value}',
+    'compare.rating': '⭐ 评分：{value}',
+    'compare.validity': '📅 有效期：{value}',
+    'compare.hours': '🕐 今天：{value}',
+    'compare.unknown': '—',
+    'compare.oneForOne': '买一送一',
+    'compare.percentOff': '{value}% 折扣',
+    'compare.amountOff': '减 ${value}',
+    'compare.usualPrice': '原价 ${value}',
+    'compare.verdict': '🤖 *结论：* {verdict}',
+    'compare.verdictFallback': '*{name}* 看起来更划算：{reason}。',
+    'compare.verdictTie': '差不多哦！选近一点或合心意的就好。',
+    'compare.reason.cheapest': '价格最低，只需 {value}',
+    'compare.reason.biggestSaving': '优惠最大（{value}）',
+    'compare.reason.closest': '离您最近（{value}）',
+    'compare.reason.bestRated': '评分最高（{value}⭐）',
+    'compare.footer': '💬 可以继续问我这些优惠，或在优惠卡片上点 📍 路线。',
+
+    'saved.added': '⭐ 已收藏 *{name}*！\n\n您共收藏了 {count} 个优惠。收藏的优惠快结束时我会提醒您。',
+    'saved.alreadySaved': '⭐ *{name}* 已经在您的收藏里了。',
+    'saved.full': '⭐ 收藏已满（{max} 个优惠）。请先移除一个再收藏。',
+    'saved.notFound': '😅 这个优惠已不在您的收藏中，可能已经结束了。',
+    'saved.empty': '⭐ 还没有收藏的优惠！\n\n在优惠下方的列表里选 ⭐ 收藏优惠，就会保存在这里。',
+    'saved.listHeader': '⭐ 我的收藏',
+    'saved.listBody': '您收藏了 {count} 个优惠。选一个再看看吧。',
+    'saved.listButton': '查看优惠',
+    'saved.section': '收藏的优惠',
+    'saved.endsOn': '{date} 结束',
+    'saved.detail': '⭐ *{name}*\n\n💰 {offer}\n📍 {address}\n📅 {validity}',
+    'saved.removed': '🗑️ 已将 *{name}* 从收藏中移除。',
+    'saved.pickTitle': '⭐ 收藏优惠',
+    'saved.pickDescription': '把其中一个优惠留着以后看',
+    'saved.pickBody': '要收藏哪个优惠？',
+    'saved.pickButton': '选择优惠',
+    'saved.nothingToSave': '😅 请先搜索优惠，再选择要收藏的那个。',
+    'saved.endingSoonHeader': '⏰ 收藏的优惠快结束了',
+    'saved.endingSoonBody': '⏰ 提醒您！有 {count} 个收藏的优惠快结束了：\n\n{deals}\n\n别错过好康哦！🏃',
+    'saved.endingSoonLine': '• *{name}*：{offer}（{date} 结束）',
+    'saved.endingSoonSummary': '您收藏的 {count} 个优惠即将结束：{deals}',
+
+    'query.searching': '🔍 正在搜索：{summary}…请稍等！⏳',
+    'query.needLocation.header': '📍 要在哪里找？',
+    'query.needLocation.body': '🔎 明白了：{summary}\n\n请分享您的位置或告诉我一个地区，我会帮您找合适的优惠。',
+    'query.budget': '${amount} 以内',
+    'query.budgetPerPerson': '每人 ${amount} 以内',
+    'query.party': '{count} 人',
+    'query.dietary.halal': '清真',
+    'query.dietary.vegetarian': '素食',
+    'query.time.now': '现在',
+    'query.time.today': '今天',
+    'query.time.tonight': '今晚',
+    'query.time.tomorrow': '明天',
+    'query.time.weekend': '这个周末',
+    'query.time.at': '{time}',
+    'query.meal.breakfast': '早餐',
+    'query.meal.brunch': '早午餐',
+    'query.meal.lunch': '午餐',
+    'query.meal.tea': '下午茶',
+    'query.meal.dinner': '晚餐',
+    'query.meal.supper': '宵夜',
+
+    'dietary.header': '🥗 饮食偏好',
+    'dietary.body': '告诉我一次，我就只为您推荐符合要求的美食优惠。点击开启或关闭选项。\n\n目前：{current}',
+    'dietary.updated': '✅ 已保存！美食优惠会按照您的偏好推荐。\n\n目前：{current}',
+    'dietary.footer': '清真资料以 MUIS 名单为准',
+    'dietary.none': '没有饮食要求',
+    'dietary.saveFailed': '抱歉，无法保存您的饮食偏好，请再试一次！😅',
+    'dietary.badge.halal.certified': '☪️ MUIS 清真认证',
+    'dietary.badge.halal.yes': '☪️ 清真',
+    'dietary.badge.halal.likely': '☪️ 可能是清真，请向店家确认',
+    'dietary.badge.halal.unknown': '❔ 清真状态未确认',
+    'dietary.badge.vegetarian.yes': '🥦 有素食选择',
+    'dietary.badge.vegetarian.unknown': '❔ 素食选择未确认',
+
+    'mrt.routePicked': '🚇 {area}：{name}。我会在这 {count} 个站步行可到的范围内找优惠。\n\n想找哪一类的优惠？',
+    'mrt.noCommonLine': '🚇 {from}（{fromLines}）和 {to}（{toLines}）不在同一条线上。请选同一条线上的两个站，例如“East-West 线从 Jurong East 到 Buona Vista”。',
+    'mrt.walk': '🚇 从 {station} 站步行 {minutes} 分钟',
+
+    'error.generic': '抱歉，出了点问题，请再试一次！😅'
+};
@@ -0,0 +1,288 @@
+// Deal Sources - pluggable connectors (OpenAI, Google CSE, stored deals) behind one interface
+import { searchDealsWithOpenAI, searchDealsWithDirectWebSearch, searchMoreDealsFromDynamoDB, searchMoreDealsWithGoogleFallback } from '../utils/dealsUtils.js';
+import { searchDealsWithGoogleCSE } from '../utils/googleSearchUtils.js';
+import { createDealEntity, dedupeDeals, isDealExpired } from '../utils/dealEntity.js';
+import { rankDeals, createRankingContext, logRanking } from '../utils/dealRanking.js';
+import { mergeDietaryIntoQuery } from '../utils/dealQueryParser.js';
+import { applyDietaryPreferences } from '../utils/dietaryUtils.js';
+import { getLocationStations, findPlacesNearStations } from '../utils/mrtRouteUtils.js';
+
+const DEFAULT_TIMEOUT_MS = 20000;
+// A source that failed this many times in a row is skipped until the cooldown passes
+const MAX_CONSECUTIVE_FAILURES = 3;
+const FAILURE_COOLDOWN_MS = 5 * 60 * 1000;
+
+// Consecutive failures per source, kept for the life of the Lambda container
+const failureState = new Map();
+
+function getOpenAIApiKey(botConfig) {
+    return botConfig?.openAiApiKey || botConfig?.openAIApiKey || botConfig?.openaiApiKey || process.env.OPENAI_API_KEY;
+}
+
+function getGoogleMapsApiKey(botConfig) {
+    return botConfig?.googleMapsApiKey || process.env.GOOGLE_MAPS_API_KEY;
+}
+
+/**
+ * Base connector. Subclasses implement fetch(); normalize() and health() have sensible defaults.
+ * A query is { location, category, nearbyPlaces, excludeDealIds, maxResults, clickHistory, profile, dealQuery, dietary }.
+ */
+export class DealSource {
+    constructor(name, botConfig = {}) {
+        this.name = name;
+        this.botConfig = botConfig;
+    }
+
+    /**
+     * Raw deals in whatever shape the underlying search returns
+     */
+    async fetch(query) {
+        throw new Error(`Deal source '${this.name}' does not implement fetch()`);
+    }
+
+    /**
+     * Turn one raw deal into a deal entity (see dealEntity.js)
+     */
+    normalize(rawDeal, query) {
+        return createDealEntity(rawDeal, { location: query.location, category: query.category });
+    }
+
+    /**
+     * Whether the source can be called right now
+     * @returns {Promise<{healthy: boolean, reason?: string}>}
+     */
+    async health() {
+        const failures = failureState.get(this.name);
+        if (failures && failures.count >= MAX_CONSECUTIVE_FAILURES && Date.now() - failures.lastFailureAt < FAILURE_COOLDOWN_MS) {
+            return { healthy: false, reason: `${failures.count} consecutive failures` };
+        }
+        return { healthy: true };
+    }
+}
+
+/**
+ * OpenAI web search. A first search uses the primary-sites prompt; a "more deals" search
+ * (excludeDealIds set) uses the exclusion prompt. When the query has nearbyPlaces, openai-places
+ * answers it instead, so a search makes one OpenAI call as before; set "withPlaces": true in the
+ * store's dealSources settings for this source to run both.
+ */
+export class OpenAIWebDealSource extends DealSource {
+    async fetch({ location, category, excludeDealIds = [], maxResults = 5, profile = null, dealQuery = null, nearbyPlaces = [] }) {
+        const withPlaces = this.botConfig?.dealSources?.[this.name]?.withPlaces === true;
+        if (nearbyPlaces.length > 0 && !withPlaces && isDealSourceEnabled('openai-places', this.botConfig)) {
+            console.log(`[DealSources] ${this.name} skipped: openai-places is searching ${nearbyPlaces.length} nearby places`);
+            return [];
+        }
+        if (excludeDealIds.length > 0) {
+            return await searchMoreDealsWithGoogleFallback(location, category, excludeDealIds, maxResults, this.botConfig);
+        }
+        return await searchDealsWithDirectWebSearch(location, category, this.botConfig, [], { preferredKeywords: profile?.topKeywords, dealQuery });
+    }
+
+    async health() {
+        if (!getOpenAIApiKey(this.botConfig)) {
+            return { healthy: false, reason: 'OpenAI API key not configured' };
+        }
+        return await super.health();
+    }
+}
+
+/**
+ * OpenAI deal lookup for Google Places results. Only runs when the query carries nearbyPlaces.
+ */
+export class OpenAIPlacesDealSource extends DealSource {
+    async fetch({ location, category, nearbyPlaces = [], dealQuery = null }) {
+        if (nearbyPlaces.length === 0) {
+            return [];
+        }
+        const places = await searchDealsWithOpenAI(location, category, this.botConfig, nearbyPlaces, { dealQuery });
+        // Places without a deal are padding for the old single-source reply, not deals
+        return places.filter(place => place.deal_info);
+    }
+
+    normalize(place, query) {
+        return super.normalize({
+            ...place,
+            businessName: place.displayName?.text || place.displayName || place.name,
+            placeId: place.id,
+            address: place.formattedAddress || place.vicinity,
+            offer: place.deal_info,
+            latitude: place.location?.latitude,
+            longitude: place.location?.longitude,
+            link: place.websiteUri
+        }, query);
+    }
+
+    async health() {
+        if (!getOpenAIApiKey(this.botConfig)) {
+            return { healthy: false, reason: 'OpenAI API key not configured' };
+        }
+        return await super.health();
+    }
+}
+
+/**
+ * Google Custom Search. Needs botConfig.googleCseApiKey (or GOOGLE_CSE_API_KEY).
+ */
+export class GoogleCseDealSource extends DealSource {
+    getApiKey() {
+        return this.botConfig?.googleCseApiKey || process.env.GOOGLE_CSE_API_KEY;
+    }
+
+    async fetch({ location, category }) {
+        const cseId = this.botConfig?.googleCseId || process.env.GOOGLE_CSE_ID;
+        return await searchDealsWithGoogleCSE(location, category, this.getApiKey(), cseId || undefined);
+    }
+
+    async health() {
+        if (!this.getApiKey()) {
+            return { healthy: false, reason: 'Google CSE API key not configured' };
+        }
+        return await super.health();
+    }
+}
+
+/**
+ * Deals already in the knowledge base (nearest first when the location has coordinates)
+ */
+export class DynamoDbDealSource extends DealSource {
+    async fetch({ location, category, excludeDealIds = [], maxResults = 5 }) {
+        return await searchMoreDealsFromDynamoDB(location, category, excludeDealIds, maxResults, { webFallback: false });
+    }
+
+    normalize(deal, query) {
+        // Stored deals are entities already; re-normalizing would reset lastSeenAt
+        return deal.dealId && deal.merchantKey ? deal : super.normalize(deal, query);
+    }
+}
+
+const sourceRegistry = new Map();
+
+/**
+ * Register a deal source.
+ * @param {string} name - Source name used as the key in botConfig.dealSources
+ * @param {Function} factory - (name, botConfig) => DealSource
+ * @param {Object} defaults - { enabled = true, weight = 1, timeoutMs = 20000 }
+ */
+export function registerDealSource(name, factory, { enabled = true, weight = 1, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Deal source '${name}' must be a factory function`);
+    }
+    sourceRegistry.set(name, { factory, defaults: { enabled, weight, timeoutMs } });
+}
+
+/**
+ * Sources enabled for a store, each with its effective weight and timeout.
+ * botConfig.dealSources overrides the registered defaults per source, e.g.
+ * { "google-cse": { "enabled": false }, "dynamodb": { "weight": 1.2, "timeoutMs": 3000 } }
+ */
+export function getDealSources(botConfig = {}) {
+    const overrides = botConfig?.dealSources || {};
+    const sources = [];
+    for (const [name, { factory, defaults }] of sourceRegistry) {
+        const settings = { ...defaults, ...(overrides[name] || {}) };
+        if (!settings.enabled) {
+            continue;
+        }
+        sources.push({ name, source: factory(name, botConfig), weight: Number(settings.weight), timeoutMs: Number(settings.timeoutMs) });
+    }
+    return sources;
+}
+
+function isDealSourceEnabled(name, botConfig = {}) {
+    const registered = sourceRegistry.get(name);
+    return !!registered && ({ ...registered.defaults, ...(botConfig?.dealSources?.[name] || {}) }).enabled !== false;
+}
+
+function withTimeout(promise, timeoutMs, name) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Deal source '${name}' timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function recordResult(name, succeeded) {
+    if (succeeded) {
+        failureState.delete(name);
+        return;
+    }
+    const failures = failureState.get(name) || { count: 0 };
+    failureState.set(name, { count: failures.count + 1, lastFailureAt: Date.now() });
+}
+
+async function runSource({ name, source, weight, timeoutMs }, query) {
+    const { healthy, reason } = await source.health();
+    if (!healthy) {
+        console.log(`[DealSources] Skipping ${name}: ${reason}`);
+        return [];
+    }
+
+    const startedAt = Date.now();
+    try {
+        const rawDeals = await withTimeout(source.fetch(query), timeoutMs, name);
+        recordResult(name, true);
+
+        const deals = [];
+        for (const rawDeal of rawDeals || []) {
+            try {
+                deals.push(source.normalize(rawDeal, query));
+            } catch (error) {
+                console.error(`[DealSources] ${name} could not normalize a deal:`, error.message);
+            }
+        }
+        console.log(`[DealSources] ${name} returned ${deals.length} deals in ${Date.now() - startedAt}ms`);
+
+        // Earlier results of a source are its better ones; weight scales the whole list
+        return deals.map((deal, index) => ({ ...deal, dealSource: name, sourceScore: weight / (index + 1) }));
+    } catch (error) {
+        recordResult(name, false);
+        console.error(`[DealSources] ${name} failed after ${Date.now() - startedAt}ms:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Query every enabled source in parallel and merge the results: fuzzy duplicates across sources
+ * collapsed into the higher-weighted copy, expired and already-shared deals dropped, then ranked
+ * by the deal ranking pipeline (dealRanking.js). query.dietary (the user's saved preferences) applies to
+ * food searches: sources are asked for matching deals and deals that clearly do not match are dropped.
+ * An MRT station or route location (mrtRouteUtils.js) without nearbyPlaces gets the places within
+ * walking distance of its stations.
+ * @param {Object} query - { location, category, nearbyPlaces, excludeDealIds, maxResults, clickHistory, profile, dealQuery, dietary }
+ * @param {Object} botConfig - Store config (API keys and dealSources overrides)
+ * @returns {Promise<Array>} Deal entities, at most query.maxResults (default 5)
+ */
+export async function searchDealSources(query, botConfig = {}) {
+    const maxResults = query.maxResults || 5;
+    const excluded = new Set(query.excludeDealIds || []);
+    const sources = getDealSources(botConfig);
+    console.log(`[DealSources] Searching ${query.category} deals with: ${sources.map(s => `${s.name}(${s.weight})`).join(', ') || 'no sources'}`);
+
+    const dealQuery = query.category === 'food' ? mergeDietaryIntoQuery(query.dealQuery, query.dietary) : query.dealQuery;
+    const nearbyPlaces = query.nearbyPlaces || await findPlacesNearStations(getLocationStations(query.location), query.category, getGoogleMapsApiKey(botConfig));
+    const results = await Promise.all(sources.map(source => runSource(source, { ...query, dealQuery, nearbyPlaces })));
+    const ranked = results.flat()
+        .filter(deal => !excluded.has(deal.dealId) && !isDealExpired(deal))
+        .sort((a, b) => b.sourceScore - a.sourceScore);
+
+    const rankingContext = createRankingContext(botConfig, {
+        location: query.location,
+        category: query.category,
+        clickHistory: query.clickHistory,
+        profile: query.profile,
+        query: dealQuery
+    });
+    const candidates = await applyDietaryPreferences(dedupeDeals(ranked), dealQuery?.dietary || [], botConfig);
+    const deals = rankDeals(candidates, rankingContext).slice(0, maxResults);
+    console.log(`[DealSources] Returning ${deals.length} deals from ${ranked.length} candidates`);
+    logRanking(deals, '[DealSources]');
+    return deals;
+}
+
+const createSource = (SourceClass) => (name, botConfig) => new SourceClass(name, botConfig);
+
+registerDealSource('openai-web', createSource(OpenAIWebDealSource), { weight: 1, timeoutMs: 45000 });
+registerDealSource('openai-places', createSource(OpenAIPlacesDealSource), { weight: 1, timeoutMs: 30000 });
+registerDealSource('dynamodb', createSource(DynamoDbDealSource), { weight: 0.8, timeoutMs: 5000 });
+registerDealSource('google-cse', createSource(GoogleCseDealSource), { weight: 0.6, timeoutMs: 15000 });
@@ -17,8 +17,8 @@ export class HetznerVideoService {
         this.hetznerVideoUrl = process.env.VIDEO_PROCESSOR_URL || 'http://5.223.75.242:3000';
         
         // Hetzner API Key for FFmpeg video processing service
-        // Set in serverless.yml: HETZNER_API_KEY: 'II1G1VrtLKZCsEsdCvwluHGz8a4a9NN7sLuvwHoKiZ0CVIfsUKA54ol38c1A2b1F'
-        this.hetznerApiKey = process.env.HETZNER_API_KEY || 'II1G1VrtLKZCsEsdCvwluHGz8a4a9NN7sLuvwHoKiZ0CVIfsUKA54ol38c1A2b1F';
+        // Resolved from Secrets Manager at cold start (HETZNER_API_KEY in serverless.yml is a secret reference)
+        this.hetznerApiKey = process.env.HETZNER_API_KEY;
         
         // Background music URLs for different moods - using royalty-free music
         this.backgroundMusic = {
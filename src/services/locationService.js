@@ -0,0 +1,352 @@
+// Location Service - one way to turn GPS coordinates, postal codes and place names into a Location.
+// Providers are tried in order (bundled gazetteer, Google Maps, Google CSE) and results are cached
+// for the life of the Lambda container, keyed on rounded coordinates, postal codes and place names.
+import axios from 'axios';
+import { findGazetteerPlace, lookupPostalCode, findNearestGazetteerPlace, normalizePlaceName } from '../utils/sgGazetteer.js';
+import { resolveLocationFromCoordinates, geocodeAddress } from '../utils/googleLocationUtils.js';
+
+/**
+ * @typedef {Object} Location
+ * @property {string} displayName - Name to show the user ("Bugis MRT", "Tampines", "Near Clementi MRT")
+ * @property {string|null} formattedAddress
+ * @property {number|null} latitude
+ * @property {number|null} longitude
+ * @property {string|null} area - Planning area or neighbourhood
+ * @property {string|null} postalCode
+ * @property {string|null} placeId - Google place ID or gazetteer ID (sg:...)
+ * @property {boolean} approximate - Only the area is known (postal district centre, nearest station)
+ * @property {string} source - Provider that resolved it, or 'fallback'
+ * @property {string} name - Same as displayName, for callers that read `name`
+ * @property {string} description - Same as displayName, for callers that read `description`
+ */
+
+// ~110m: close enough to share a name, far enough apart to be a different spot
+const COORDINATE_PRECISION = 3;
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+// An approximate answer may only mean a better provider was down
+const APPROXIMATE_CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 1000;
+const DEFAULT_CSE_ID = '6572826d51e2f4d78';
+const SINGAPORE_BOUNDS = { minLatitude: 1.15, maxLatitude: 1.48, minLongitude: 103.59, maxLongitude: 104.1 };
+// A shared location further than this from every gazetteer place only gets the area name
+const NEAREST_PLACE_MAX_METERS = 1500;
+
+// Cache key -> { location, expiresAt, providers }, reused across invocations of a warm container
+const locationCache = new Map();
+
+/**
+ * Canonical Location from any of the older location shapes (displayName / name / description,
+ * latitude / coordinates.lat, formattedAddress / fullAddress / address)
+ * @returns {Location}
+ */
+export function toLocation(raw, source = raw?.source || 'unknown') {
+    const displayName = raw.displayName || raw.name || raw.description || 'Singapore Location';
+    const latitude = Number(raw.latitude ?? raw.coordinates?.lat);
+    const longitude = Number(raw.longitude ?? raw.coordinates?.lng);
+    return {
+        displayName,
+        formattedAddress: raw.formattedAddress || raw.fullAddress || raw.address || null,
+        latitude: Number.isFinite(latitude) ? latitude : null,
+        longitude: Number.isFinite(longitude) ? longitude : null,
+        area: raw.area || null,
+        postalCode: raw.postalCode || null,
+        placeId: raw.placeId || null,
+        approximate: raw.approximate === true,
+        source,
+        name: displayName,
+        description: displayName
+    };
+}
+
+export function isInSingapore(latitude, longitude) {
+    return latitude >= SINGAPORE_BOUNDS.minLatitude && latitude <= SINGAPORE_BOUNDS.maxLatitude &&
+        longitude >= SINGAPORE_BOUNDS.minLongitude && longitude <= SINGAPORE_BOUNDS.maxLongitude;
+}
+
+function getGoogleMapsApiKey(botConfig) {
+    return botConfig?.googleMapsApiKey || process.env.GOOGLE_MAPS_API_KEY;
+}
+
+/**
+ * Base provider. Subclasses implement whichever lookups they support; the others return null.
+ */
+export class LocationProvider {
+    constructor(name, botConfig = {}) {
+        this.name = name;
+        this.botConfig = botConfig;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    /** @returns {Promise<Location|null>} */
+    async fromCoordinates(latitude, longitude) {
+        return null;
+    }
+
+    /** @returns {Promise<Location|null>} */
+    async fromPostalCode(postalCode) {
+        return null;
+    }
+
+    /** @returns {Promise<Location|null>} */
+    async fromName(text) {
+        return null;
+    }
+}
+
+/**
+ * Bundled gazetteer (sgGazetteer.js), no network calls. Shared locations and postal codes outside
+ * the imported postal data are approximate, so later providers get a chance to do better.
+ */
+export class GazetteerLocationProvider extends LocationProvider {
+    async fromCoordinates(latitude, longitude) {
+        const nearest = findNearestGazetteerPlace(latitude, longitude);
+        if (!nearest) {
+            return null;
+        }
+        const { place, distanceMeters } = nearest;
+        const displayName = distanceMeters <= NEAREST_PLACE_MAX_METERS ? `Near ${place.name}` : place.area || 'Singapore Location';
+        return toLocation({ displayName, formattedAddress: `${displayName}, Singapore`, latitude, longitude, area: place.area, approximate: true }, this.name);
+    }
+
+    async fromPostalCode(postalCode) {
+        const place = lookupPostalCode(postalCode);
+        return place ? toLocation({ ...place, postalCode }, this.name) : null;
+    }
+
+    async fromName(text) {
+        const place = findGazetteerPlace(text);
+        return place ? toLocation(place, this.name) : null;
+    }
+}
+
+/**
+ * Google Maps reverse geocoding and geocoding. Needs botConfig.googleMapsApiKey (or GOOGLE_MAPS_API_KEY).
+ */
+export class GoogleLocationProvider extends LocationProvider {
+    isAvailable() {
+        return !!getGoogleMapsApiKey(this.botConfig);
+    }
+
+    async fromCoordinates(latitude, longitude) {
+        const result = await resolveLocationFromCoordinates(latitude, longitude, getGoogleMapsApiKey(this.botConfig));
+        return result.isValid ? toLocation(result, this.name) : null;
+    }
+
+    async fromPostalCode(postalCode) {
+        const result = await geocodeAddress(`Singapore ${postalCode}`, getGoogleMapsApiKey(this.botConfig));
+        // Geocoding an unknown code lands on the whole country
+        if (!result || result.postalCode !== postalCode) {
+            return null;
+        }
+        return toLocation({ ...result, displayName: result.formattedAddress.split(',')[0].trim() }, this.name);
+    }
+
+    async fromName(text) {
+        const result = await geocodeAddress(text, getGoogleMapsApiKey(this.botConfig));
+        return result ? toLocation({ ...result, displayName: text.trim() }, this.name) : null;
+    }
+}
+
+// Area names in search results about a postal code ("... in Tiong Bahru estate", "Bugis MRT")
+const CSE_LOCATION_PATTERNS = [
+    /(?:in|at|near)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*?)(?:\s+(?:Singapore|area|district|estate|town|mall|center|centre))/g,
+    /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*?)\s+(?:Singapore|area|district|estate|town)/g,
+    /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*?)\s+(?:Mall|Plaza|Centre|Center|Hub|Point)/g,
+    /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*?)\s+(?:MRT|Station)/g
+];
+const CSE_IGNORED_NAMES = ['Singapore', 'Postal', 'Code', 'Location', 'Address', 'Map', 'Google'];
+
+/**
+ * Google Custom Search for the area a postal code is in. Gives a name only, so the location
+ * stays at the postal district centre. Needs botConfig.googleCseApiKey (or GOOGLE_CSE_API_KEY).
+ */
+export class CseLocationProvider extends LocationProvider {
+    getApiKey() {
+        return this.botConfig?.googleCseApiKey || process.env.GOOGLE_CSE_API_KEY;
+    }
+
+    isAvailable() {
+        return !!this.getApiKey();
+    }
+
+    async fromPostalCode(postalCode) {
+        const district = lookupPostalCode(postalCode);
+        const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
+            params: {
+                key: this.getApiKey(),
+                cx: this.botConfig?.googleCseId || process.env.GOOGLE_CSE_ID || DEFAULT_CSE_ID,
+                q: `"${postalCode}" Singapore location area neighborhood district`,
+                num: 5,
+                gl: 'sg',
+                hl: 'en',
+                lr: 'lang_en'
+            },
+            timeout: 10000
+        });
+
+        for (const item of response.data?.items || []) {
+            const text = `${item.title || ''} ${item.snippet || ''}`;
+            for (const pattern of CSE_LOCATION_PATTERNS) {
+                const name = [...text.matchAll(pattern)][0]?.[1]?.trim();
+                if (name && !CSE_IGNORED_NAMES.includes(name)) {
+                    console.log(`[LocationService] CSE places postal code ${postalCode} in ${name}`);
+                    return toLocation({ ...district, displayName: name, postalCode, approximate: true }, this.name);
+                }
+            }
+        }
+        return null;
+    }
+}
+
+const providerRegistry = new Map();
+
+/**
+ * Register a location provider.
+ * @param {string} name - Provider name used as the key in botConfig.locationProviders
+ * @param {Function} factory - (name, botConfig) => LocationProvider
+ * @param {Object} defaults - { enabled = true, order } (lower runs first)
+ */
+export function registerLocationProvider(name, factory, { enabled = true, order = providerRegistry.size } = {}) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Location provider '${name}' must be a factory function`);
+    }
+    providerRegistry.set(name, { factory, defaults: { enabled, order } });
+}
+
+/**
+ * Providers enabled for a store, in the order they are tried.
+ * botConfig.locationProviders overrides the registered defaults, e.g. { "google-cse": { "enabled": false } }
+ */
+export function getLocationProviders(botConfig = {}) {
+    const overrides = botConfig?.locationProviders || {};
+    const providers = [];
+    for (const [name, { factory, defaults }] of providerRegistry) {
+        const settings = { ...defaults, ...(overrides[name] || {}) };
+        if (settings.enabled) {
+            providers.push({ name, provider: factory(name, botConfig), order: Number(settings.order) });
+        }
+    }
+    return providers.sort((a, b) => a.order - b.order);
+}
+
+function getCached(key, providerNames) {
+    const cached = locationCache.get(key);
+    if (!cached) {
+        return null;
+    }
+    if (cached.expiresAt <= Date.now()) {
+        locationCache.delete(key);
+        return null;
+    }
+    // An approximate answer does not stand for providers that were not asked (e.g. no API key at the time)
+    if (cached.location.approximate && providerNames.some(name => !cached.providers.includes(name))) {
+        return null;
+    }
+    return cached.location;
+}
+
+function remember(key, location, providerNames) {
+    if (locationCache.size >= MAX_CACHE_ENTRIES) {
+        locationCache.delete(locationCache.keys().next().value);
+    }
+    locationCache.set(key, {
+        location,
+        providers: providerNames,
+        expiresAt: Date.now() + (location.approximate ? APPROXIMATE_CACHE_TTL_MS : CACHE_TTL_MS)
+    });
+}
+
+/**
+ * Ask each available provider in turn. The first exact answer wins; approximate answers are kept
+ * while later providers try to do better, the last one standing is returned.
+ */
+async function resolveWithProviders(providers, lookup, args, label) {
+    let approximate = null;
+    for (const { name, provider } of providers) {
+        try {
+            const location = await provider[lookup](...args);
+            if (location && !location.approximate) {
+                console.log(`[LocationService] ${name} resolved ${label}: ${location.displayName}`);
+                return location;
+            }
+            approximate = location || approximate;
+        } catch (error) {
+            console.error(`[LocationService] ${name} could not resolve ${label}:`, error.message);
+        }
+    }
+    if (approximate) {
+        console.log(`[LocationService] ${approximate.source} resolved ${label} approximately: ${approximate.displayName}`);
+    }
+    return approximate;
+}
+
+async function resolveCached(key, lookup, args, label, botConfig) {
+    const providers = getLocationProviders(botConfig).filter(({ provider }) => provider.isAvailable());
+    const providerNames = providers.map(({ name }) => name);
+    const cached = getCached(key, providerNames);
+    if (cached) {
+        console.log(`[LocationService] Cache hit for ${label}: ${cached.displayName}`);
+        return cached;
+    }
+    const location = await resolveWithProviders(providers, lookup, args, label);
+    if (location) {
+        remember(key, location, providerNames);
+    }
+    return location;
+}
+
+/**
+ * Name a shared GPS location
+ * @returns {Promise<Location|null>} - null outside Singapore; "Singapore Location" when no provider knows it
+ */
+export async function resolveCoordinates(latitude, longitude, botConfig = {}) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || !isInSingapore(lat, lng)) {
+        console.log(`[LocationService] ${latitude}, ${longitude} is not in Singapore`);
+        return null;
+    }
+    const key = `coords:${lat.toFixed(COORDINATE_PRECISION)},${lng.toFixed(COORDINATE_PRECISION)}`;
+    const location = await resolveCached(key, 'fromCoordinates', [lat, lng], key, botConfig);
+    // Cached names are shared by nearby points; the coordinates stay the user's own
+    return location
+        ? { ...location, latitude: lat, longitude: lng }
+        : toLocation({ displayName: 'Singapore Location', formattedAddress: `${lat}, ${lng}, Singapore`, latitude: lat, longitude: lng, approximate: true }, 'fallback');
+}
+
+/**
+ * Resolve a Singapore postal code
+ * @returns {Promise<Location|null>} - null when it is not a Singapore postal code
+ */
+export async function resolvePostalCode(postalCode, botConfig = {}) {
+    const code = String(postalCode || '').replace(/\D/g, '');
+    if (code.length !== 6) {
+        return null;
+    }
+    return await resolveCached(`postal:${code}`, 'fromPostalCode', [code], `postal:${code}`, botConfig);
+}
+
+/**
+ * Resolve a place name ("Tanjong Pagar MRT", "Holland Village", "ION Orchard")
+ * @returns {Promise<Location|null>} - null when no provider knows the place
+ */
+export async function resolvePlaceName(text, botConfig = {}) {
+    const key = `name:${normalizePlaceName(text)}`;
+    if (key === 'name:') {
+        return null;
+    }
+    return await resolveCached(key, 'fromName', [String(text).trim()], key, botConfig);
+}
+
+export function clearLocationCache() {
+    locationCache.clear();
+}
+
+const createProvider = (ProviderClass) => (name, botConfig) => new ProviderClass(name, botConfig);
+
+registerLocationProvider('gazetteer', createProvider(GazetteerLocationProvider), { order: 1 });
+registerLocationProvider('google', createProvider(GoogleLocationProvider), { order: 2 });
+registerLocationProvider('google-cse', createProvider(CseLocationProvider), { order: 3 });
@@ -0,0 +1,220 @@
+// Secrets Provider - resolves secret references in bot configuration and environment variables.
+//
+// A value of the form "secret:<name>" is a reference, e.g. botConfig.whatsappToken = "secret:lobangnow/whatsapp-token".
+// The AWS Secrets Manager backend reads <name> as a secret ID; "<name>#<field>" picks one field of a JSON secret.
+// The env-file backend reads <name> from a KEY=value file (SECRETS_ENV_FILE, default .env.secrets) for local runs.
+import fs from 'fs';
+import path from 'path';
+import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
+import { registerSecretValue } from '../utils/logRedaction.js';
+
+export const SECRET_REFERENCE_PREFIX = 'secret:';
+
+// Resolved values are reused for this long inside a warm Lambda
+const SECRET_CACHE_TTL_MS = 5 * 60 * 1000;
+
+export function isSecretReference(value) {
+    return typeof value === 'string' && value.startsWith(SECRET_REFERENCE_PREFIX);
+}
+
+/**
+ * Parse KEY=value lines (blank lines and # comments ignored, values may be quoted)
+ */
+function parseEnvFile(contents) {
+    const values = {};
+    for (const line of contents.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) {
+            continue;
+        }
+        const separator = trimmed.indexOf('=');
+        if (separator === -1) {
+            continue;
+        }
+        const key = trimmed.substring(0, separator).trim();
+        let value = trimmed.substring(separator + 1).trim();
+        if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+            value = value.slice(1, -1);
+        }
+        values[key] = value;
+    }
+    return values;
+}
+
+/**
+ * Local backend: secrets from a KEY=value file, falling back to process.env
+ */
+export class EnvFileSecretsProvider {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath || process.env.SECRETS_ENV_FILE || '.env.secrets');
+        this.values = null;
+    }
+
+    loadValues() {
+        if (!this.values) {
+            try {
+                this.values = parseEnvFile(fs.readFileSync(this.filePath, 'utf8'));
+            } catch (error) {
+                console.warn(`[SecretsProvider] Could not read secrets file ${this.filePath}: ${error.message}`);
+                this.values = {};
+            }
+        }
+        return this.values;
+    }
+
+    async getSecret(name) {
+        const value = this.loadValues()[name] ?? process.env[name];
+        if (value === undefined || value === '') {
+            throw new Error(`Secret '${name}' not found in ${this.filePath} or the environment`);
+        }
+        return value;
+    }
+}
+
+/**
+ * Deployed backend: AWS Secrets Manager
+ */
+export class AwsSecretsManagerProvider {
+    constructor(options = {}) {
+        this.client = new SecretsManagerClient({ region: options.region || process.env.SECRETS_REGION || process.env.AWS_REGION || 'ap-southeast-1' });
+        this.cache = new Map();
+    }
+
+    async getSecretString(secretId) {
+        const cached = this.cache.get(secretId);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.value;
+        }
+
+        const response = await this.client.send(new GetSecretValueCommand({ SecretId: secretId }));
+        const value = response.SecretString ?? Buffer.from(response.SecretBinary || []).toString('utf8');
+        this.cache.set(secretId, { value, expiresAt: Date.now() + SECRET_CACHE_TTL_MS });
+        return value;
+    }
+
+    async getSecret(name) {
+        const [secretId, field] = name.split('#');
+        const secretString = await this.getSecretString(secretId);
+        if (!field) {
+            return secretString;
+        }
+
+        const value = JSON.parse(secretString)[field];
+        if (value === undefined || value === null || value === '') {
+            throw new Error(`Secret '${secretId}' has no field '${field}'`);
+        }
+        return String(value);
+    }
+}
+
+const providerFactories = new Map();
+let activeProvider = null;
+
+/**
+ * Register a secrets backend.
+ * @param {string} name - Backend name selected with SECRETS_PROVIDER
+ * @param {Function} factory - () => ({ getSecret(name) => Promise<string> })
+ */
+export function registerSecretsProvider(name, factory) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Secrets provider '${name}' must be a factory function`);
+    }
+    providerFactories.set(name, factory);
+    activeProvider = null;
+}
+
+/**
+ * The configured backend: SECRETS_PROVIDER, else Secrets Manager on Lambda and the env file elsewhere
+ */
+export function getSecretsProvider() {
+    if (!activeProvider) {
+        const name = process.env.SECRETS_PROVIDER || (process.env.AWS_LAMBDA_FUNCTION_NAME ? 'aws-secrets-manager' : 'env-file');
+        const factory = providerFactories.get(name);
+        if (!factory) {
+            throw new Error(`Unknown secrets provider '${name}'`);
+        }
+        activeProvider = { name, provider: factory() };
+    }
+    return activeProvider;
+}
+
+/**
+ * Resolve one reference. Plain values are returned unchanged.
+ */
+export async function resolveSecret(value) {
+    if (!isSecretReference(value)) {
+        return value;
+    }
+    const secret = await getSecretsProvider().provider.getSecret(value.substring(SECRET_REFERENCE_PREFIX.length));
+    registerSecretValue(secret);
+    return secret;
+}
+
+async function resolveReferencesIn(value, label) {
+    if (isSecretReference(value)) {
+        try {
+            return await resolveSecret(value);
+        } catch (error) {
+            console.error(`[SecretsProvider] Could not resolve ${label} (${value}): ${error.message}`);
+            return null;
+        }
+    }
+    if (Array.isArray(value)) {
+        return Promise.all(value.map((item, index) => resolveReferencesIn(item, `${label}[${index}]`)));
+    }
+    if (value && typeof value === 'object') {
+        const resolved = {};
+        for (const [key, child] of Object.entries(value)) {
+            resolved[key] = await resolveReferencesIn(child, `${label}.${key}`);
+        }
+        return resolved;
+    }
+    return value;
+}
+
+/**
+ * Copy of a bot configuration with every "secret:" reference replaced by its value.
+ * Fields that cannot be resolved are set to null (and logged) so callers see a missing key.
+ */
+export async function resolveBotConfigSecrets(botConfig) {
+    if (!botConfig) {
+        return botConfig;
+    }
+    const resolved = await resolveReferencesIn(botConfig, 'botConfig');
+
+    // Plain secrets stored directly in the table are still redacted from logs
+    for (const [key, value] of Object.entries(resolved)) {
+        if (/token|secret|api[-_]?key/i.test(key)) {
+            registerSecretValue(value);
+        }
+    }
+    return resolved;
+}
+
+let environmentResolution = null;
+
+/**
+ * Replace "secret:" references in process.env (e.g. REPLICATE_API_TOKEN) with their values.
+ * Runs once per container; call it at the start of each Lambda handler.
+ */
+export function resolveEnvironmentSecrets() {
+    if (!environmentResolution) {
+        environmentResolution = (async () => {
+            for (const [key, value] of Object.entries(process.env)) {
+                if (!isSecretReference(value)) {
+                    continue;
+                }
+                try {
+                    process.env[key] = await resolveSecret(value);
+                } catch (error) {
+                    console.error(`[SecretsProvider] Could not resolve environment variable ${key} (${value}): ${error.message}`);
+                    delete process.env[key];
+                }
+            }
+        })();
+    }
+    return environmentResolution;
+}
+
+registerSecretsProvider('env-file', () => new EnvFileSecretsProvider());
+registerSecretsProvider('aws-secrets-manager', () => new AwsSecretsManagerProvider());
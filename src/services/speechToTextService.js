@@ -0,0 +1,76 @@
+import OpenAI, { toFile } from 'openai';
+
+// File extensions the transcription APIs use to detect the audio format
+const AUDIO_EXTENSIONS = {
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'm4a',
+    'audio/wav': 'wav',
+    'audio/webm': 'webm'
+};
+
+// Local words Whisper tends to mishear without a hint
+const SINGAPORE_VOCABULARY_PROMPT = 'Singapore deals. Lobang, makan, hawker, kopitiam, chicken rice, nasi lemak, Tampines, Jurong, Orchard, Bugis, lah, leh, lor.';
+
+function getAudioFileName(mimeType) {
+    const baseType = (mimeType || 'audio/ogg').split(';')[0].trim();
+    return `voice-note.${AUDIO_EXTENSIONS[baseType] || 'ogg'}`;
+}
+
+/**
+ * OpenAI Whisper transcription (default provider)
+ */
+export class OpenAISpeechToTextProvider {
+    constructor(apiKey, options = {}) {
+        this.openai = new OpenAI({ apiKey });
+        this.model = options.model || 'whisper-1';
+    }
+
+    async transcribe(audioBuffer, { mimeType, language } = {}) {
+        const file = await toFile(audioBuffer, getAudioFileName(mimeType), { type: mimeType || 'audio/ogg' });
+        const response = await this.openai.audio.transcriptions.create({
+            file,
+            model: this.model,
+            language: language || undefined,
+            prompt: SINGAPORE_VOCABULARY_PROMPT
+        });
+
+        return { text: (response.text || '').trim(), language: language || null };
+    }
+}
+
+const providerFactories = new Map();
+
+/**
+ * Register a speech-to-text provider.
+ * @param {string} name - Provider name referenced by botConfig.speechToTextProvider
+ * @param {Function} factory - (botConfig) => ({ transcribe(audioBuffer, { mimeType, language }) => Promise<{ text, language }> })
+ */
+export function registerSpeechToTextProvider(name, factory) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Speech-to-text provider '${name}' must be a factory function`);
+    }
+    providerFactories.set(name, factory);
+}
+
+/**
+ * Create the provider configured for a store.
+ * Order: botConfig.speechToTextProvider, SPEECH_TO_TEXT_PROVIDER, then 'openai'.
+ */
+export function getSpeechToTextProvider(botConfig = {}) {
+    const name = botConfig.speechToTextProvider || process.env.SPEECH_TO_TEXT_PROVIDER || 'openai';
+    const factory = providerFactories.get(name);
+    if (!factory) {
+        throw new Error(`Unknown speech-to-text provider '${name}'`);
+    }
+    return { name, provider: factory(botConfig) };
+}
+
+registerSpeechToTextProvider('openai', (botConfig) => {
+    const apiKey = botConfig?.openAiApiKey || botConfig?.openAIApiKey || botConfig?.openai_api_key || process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+        throw new Error('OpenAI API key not configured for speech-to-text');
+    }
+    return new OpenAISpeechToTextProvider(apiKey, { model: botConfig?.speechToTextModel });
+});
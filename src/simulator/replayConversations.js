@@ -0,0 +1,80 @@
+// Replays scripted conversations against webhook.handler through the Cloud API simulator.
+// Bundled and started by simulate-conversation.js; see docs/whatsapp-simulator.md.
+import fs from 'fs';
+import path from 'path';
+import webhook from '../handlers/webhook.js';
+import { WhatsAppCloudSimulator } from './whatsappCloudSimulator.js';
+
+const MEDIA_MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.ogg': 'audio/ogg',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4'
+};
+
+function loadScript(scriptPath, simulator) {
+    const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+
+    // Image and audio steps reference local files relative to the script
+    script.steps.forEach((step, index) => {
+        if (step.send.file) {
+            const filePath = path.resolve(path.dirname(scriptPath), step.send.file);
+            step.send.mediaId = step.send.mediaId || `sim-media-${index + 1}`;
+            step.send.mimeType = step.send.mimeType || MEDIA_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+            simulator.addMedia(step.send.mediaId, fs.readFileSync(filePath), step.send.mimeType);
+        }
+    });
+
+    return script;
+}
+
+async function main() {
+    const scriptPaths = process.argv.slice(2);
+    // Offline by default; SIMULATOR_USE_AWS=true talks to a real test store instead
+    const offline = process.env.SIMULATOR_USE_AWS !== 'true';
+    const appSecret = process.env.SIMULATOR_APP_SECRET || (offline ? 'simulator-app-secret' : null);
+    const phoneNumberId = process.env.SIMULATOR_PHONE_NUMBER_ID || (offline ? 'SIMULATED_PHONE_NUMBER_ID' : null);
+
+    if (scriptPaths.length === 0 || !appSecret || !phoneNumberId) {
+        console.error('Usage: node simulate-conversation.js <script.json> [...]');
+        console.error('       SIMULATOR_USE_AWS=true SIMULATOR_APP_SECRET=... SIMULATOR_PHONE_NUMBER_ID=... node simulate-conversation.js <script.json> [...]');
+        process.exit(2);
+    }
+
+    const simulator = new WhatsAppCloudSimulator({ handler: webhook.handler, appSecret, phoneNumberId, offline });
+    await simulator.start(parseInt(process.env.SIMULATOR_PORT || '0', 10));
+
+    let failed = 0;
+    try {
+        for (const scriptPath of scriptPaths) {
+            const script = loadScript(scriptPath, simulator);
+            if (offline) {
+                if (!script.store?.storeId) {
+                    throw new Error(`${scriptPath} has no "store" (the bot config used offline)`);
+                }
+                simulator.useStore(script.store);
+            }
+            const result = await simulator.replay(script);
+            console.log(`\n${result.passed ? 'PASS' : 'FAIL'} ${result.name} (${scriptPath})`);
+            for (const step of result.steps) {
+                console.log(`  ${step.failures.length ? '✗' : '✓'} step ${step.step}: ${step.send.type} -> ${step.outbound.length} outbound message(s)`);
+                step.failures.forEach(failure => console.log(`      ${failure.replace(/\n/g, '\n      ')}`));
+            }
+            if (!result.passed) {
+                failed++;
+            }
+        }
+    } finally {
+        await simulator.stop();
+    }
+
+    console.log(`\n${scriptPaths.length - failed}/${scriptPaths.length} conversations passed`);
+    process.exit(failed ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('[WhatsAppSimulator] Replay failed:', error);
+    process.exit(1);
+});
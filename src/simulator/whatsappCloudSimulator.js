@@ -0,0 +1,284 @@
+// WhatsApp Cloud API Simulator - signed inbound webhooks and captured outbound messages for offline conversation runs
+import http from 'http';
+import crypto from 'crypto';
+import { isDeepStrictEqual } from 'util';
+import { getWebhookQueue } from '../utils/webhookQueue.js';
+import { registerLocalBotConfig } from '../utils/offlineMode.js';
+
+// Envelope fields every outbound payload carries; assertions compare what is left
+const ENVELOPE_FIELDS = ['messaging_product', 'recipient_type', 'to'];
+
+/**
+ * Build the `message` object of an inbound webhook from a script step.
+ * Supported step types: text, button_reply, list_reply, location, image, audio.
+ */
+export function buildInboundMessage(from, step, messageId) {
+    const base = {
+        from,
+        id: messageId,
+        timestamp: String(Math.floor(Date.now() / 1000))
+    };
+
+    switch (step.type) {
+        case 'text':
+            return { ...base, type: 'text', text: { body: step.text } };
+        case 'button_reply':
+            return { ...base, type: 'interactive', interactive: { type: 'button_reply', button_reply: { id: step.id, title: step.title || step.id } } };
+        case 'list_reply':
+            return { ...base, type: 'interactive', interactive: { type: 'list_reply', list_reply: { id: step.id, title: step.title || step.id, description: step.description } } };
+        case 'location':
+            return { ...base, type: 'location', location: { latitude: step.latitude, longitude: step.longitude, name: step.name, address: step.address } };
+        case 'image':
+            return { ...base, type: 'image', image: { id: step.mediaId, mime_type: step.mimeType || 'image/jpeg', caption: step.caption } };
+        case 'audio':
+            return { ...base, type: 'audio', audio: { id: step.mediaId, mime_type: step.mimeType || 'audio/ogg; codecs=opus', voice: true } };
+        default:
+            throw new Error(`Unsupported simulated message type '${step.type}'`);
+    }
+}
+
+/**
+ * Strip the envelope so assertions only see the message content
+ */
+export function toComparablePayload(payload) {
+    const comparable = { ...payload };
+    ENVELOPE_FIELDS.forEach(field => delete comparable[field]);
+    return comparable;
+}
+
+/**
+ * True when every field in `expected` is present with the same value in `actual`.
+ * Arrays must have the same length and match element by element.
+ */
+export function matchesPartial(actual, expected) {
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) && actual.length === expected.length &&
+            expected.every((item, index) => matchesPartial(actual[index], item));
+    }
+    if (expected && typeof expected === 'object') {
+        return !!actual && typeof actual === 'object' &&
+            Object.entries(expected).every(([key, value]) => matchesPartial(actual[key], value));
+    }
+    return actual === expected;
+}
+
+export class WhatsAppCloudSimulator {
+    /**
+     * @param {Object} options
+     * @param {Function} options.handler - webhook.handler
+     * @param {string} options.appSecret - Must match whatsappAppSecret in the store's bot config
+     * @param {string} options.phoneNumberId - Must match whatsappPhoneNumberId in the store's bot config
+     * @param {string} [options.displayPhoneNumber]
+     * @param {boolean} [options.offline=true] - Keep store lookup and DynamoDB state in memory (see utils/offlineMode.js);
+     *        false runs against the real WhatsappStoreTokens and tables
+     */
+    constructor({ handler, appSecret, phoneNumberId, displayPhoneNumber = '6500000000', offline = true }) {
+        this.handler = handler;
+        this.appSecret = appSecret;
+        this.phoneNumberId = phoneNumberId;
+        this.offline = offline;
+        this.displayPhoneNumber = displayPhoneNumber;
+        this.outbound = [];
+        this.media = new Map();
+        this.server = null;
+        this.baseUrl = null;
+        this.nextId = 1;
+    }
+
+    /**
+     * Start the fake Graph API and point the bot at it
+     */
+    async start(port = 0) {
+        this.server = http.createServer((req, res) => {
+            this.handleGraphRequest(req, res).catch(error => {
+                console.error('[WhatsAppSimulator] Graph API request failed:', error);
+                if (!res.headersSent) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                }
+                res.end(JSON.stringify({ error: { message: error.message } }));
+            });
+        });
+        await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+
+        process.env.WHATSAPP_API_BASE_URL = this.baseUrl;
+        process.env.WEBHOOK_QUEUE_DRIVER = 'local';
+        if (this.offline) {
+            process.env.OFFLINE_MODE = 'true';
+        }
+        console.log(`[WhatsAppSimulator] Graph API simulator listening on ${this.baseUrl}`);
+        return this.baseUrl;
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    /**
+     * Register the store the simulated messages go to (offline mode). The simulator's
+     * phone number ID and app secret are filled in so signatures validate.
+     */
+    useStore(botConfig) {
+        registerLocalBotConfig({
+            whatsappToken: 'simulator-token',
+            ...botConfig,
+            whatsappPhoneNumberId: this.phoneNumberId,
+            whatsappAppSecret: this.appSecret
+        });
+    }
+
+    /**
+     * Make media downloadable through the media endpoints (for image and audio steps)
+     */
+    addMedia(mediaId, buffer, mimeType) {
+        this.media.set(mediaId, { buffer, mimeType });
+    }
+
+    async handleGraphRequest(req, res) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        const rawBody = Buffer.concat(chunks).toString('utf8');
+        const segments = req.url.split('?')[0].split('/').filter(Boolean);
+
+        const sendJson = (statusCode, body) => {
+            res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        // POST /{version}/{phoneNumberId}/messages
+        if (req.method === 'POST' && segments.length === 3 && segments[2] === 'messages') {
+            let payload;
+            try {
+                payload = JSON.parse(rawBody || '{}');
+            } catch (error) {
+                console.warn(`[WhatsAppSimulator] Outbound message is not valid JSON: ${error.message}`);
+                sendJson(400, { error: { message: `Invalid JSON body: ${error.message}`, type: 'OAuthException', code: 100 } });
+                return;
+            }
+            const messageId = `wamid.SIM${String(this.nextId++).padStart(8, '0')}`;
+            this.outbound.push({ messageId, phoneNumberId: segments[1], to: payload.to, payload });
+            sendJson(200, {
+                messaging_product: 'whatsapp',
+                contacts: [{ input: payload.to, wa_id: payload.to }],
+                messages: [{ id: messageId }]
+            });
+            return;
+        }
+
+        // GET /media/{mediaId} - the file itself
+        if (req.method === 'GET' && segments.length === 2 && segments[0] === 'media') {
+            const media = this.media.get(segments[1]);
+            if (!media) {
+                sendJson(404, { error: { message: `Unknown media ${segments[1]}` } });
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': media.mimeType });
+            res.end(media.buffer);
+            return;
+        }
+
+        // GET /{version}/{mediaId} - media metadata with the download URL
+        if (req.method === 'GET' && segments.length === 2) {
+            const media = this.media.get(segments[1]);
+            if (!media) {
+                sendJson(404, { error: { message: `Unknown media ${segments[1]}` } });
+                return;
+            }
+            sendJson(200, { id: segments[1], mime_type: media.mimeType, url: `${this.baseUrl}/media/${segments[1]}` });
+            return;
+        }
+
+        console.warn(`[WhatsAppSimulator] Unhandled Graph API request: ${req.method} ${req.url}`);
+        sendJson(404, { error: { message: 'Not supported by the simulator' } });
+    }
+
+    /**
+     * Wrap a message in a Cloud API notification and sign it like Meta does
+     */
+    buildSignedEvent(from, message, profileName = 'Simulated User') {
+        const body = JSON.stringify({
+            object: 'whatsapp_business_account',
+            entry: [{
+                id: 'SIMULATED_WABA',
+                changes: [{
+                    field: 'messages',
+                    value: {
+                        messaging_product: 'whatsapp',
+                        metadata: { display_phone_number: this.displayPhoneNumber, phone_number_id: this.phoneNumberId },
+                        contacts: [{ profile: { name: profileName }, wa_id: from }],
+                        messages: [message]
+                    }
+                }]
+            }]
+        });
+        const signature = 'sha256=' + crypto.createHmac('sha256', this.appSecret).update(body).digest('hex');
+
+        return {
+            rawPath: '/webhook',
+            requestContext: { http: { method: 'POST', path: '/webhook' } },
+            headers: { 'content-type': 'application/json', 'x-hub-signature-256': signature },
+            body
+        };
+    }
+
+    /**
+     * Deliver one inbound message and wait for the worker to finish.
+     * @returns {Promise<{response: Object, outbound: Array}>} - Handler response and messages sent during this step
+     */
+    async sendInbound(from, step, profileName) {
+        const messageId = `wamid.SIMIN${Date.now()}${String(this.nextId++).padStart(4, '0')}`;
+        const message = buildInboundMessage(from, step, messageId);
+        const firstOutbound = this.outbound.length;
+
+        const response = await this.handler(this.buildSignedEvent(from, message, profileName));
+        const queue = getWebhookQueue();
+        if (typeof queue.drain === 'function') {
+            await queue.drain();
+        }
+
+        return { response, outbound: this.outbound.slice(firstOutbound) };
+    }
+
+    /**
+     * Replay a scripted conversation.
+     * Each step has `send` (an inbound step) and `expect` (exact outbound payloads,
+     * envelope removed) or `match` (partial payloads, compared in order).
+     * @returns {Promise<{name: string, passed: boolean, steps: Array}>}
+     */
+    async replay(script) {
+        const from = script.from || '6590000001';
+        const results = [];
+
+        for (const [index, step] of script.steps.entries()) {
+            const { response, outbound } = await this.sendInbound(from, step.send, script.profileName);
+            const actual = outbound.map(entry => toComparablePayload(entry.payload));
+            const failures = [];
+
+            if (response?.statusCode !== 200) {
+                failures.push(`webhook returned ${response?.statusCode}: ${response?.body}`);
+            }
+            if (!step.expect && !step.match) {
+                failures.push('step has no expect or match assertion');
+            }
+            if (step.expect && !isDeepStrictEqual(actual, step.expect)) {
+                failures.push(`outbound payloads differ from expect:\n${JSON.stringify(actual, null, 2)}`);
+            }
+            if (step.match && !matchesPartial(actual, step.match)) {
+                failures.push(`outbound payloads do not match:\n${JSON.stringify(actual, null, 2)}`);
+            }
+
+            results.push({ step: index + 1, send: step.send, outbound: actual, failures });
+        }
+
+        return {
+            name: script.name || 'conversation',
+            passed: results.every(result => result.failures.length === 0),
+            steps: results
+        };
+    }
+}
@@ -0,0 +1,168 @@
+// Alert schedules - when a deal alert goes out: one or more times of day on a set of weekdays,
+// in the alert's own timezone
+//
+//   { times: ['09:00'], days: 'daily' }
+//   { times: ['12:00', '18:00'], days: 'weekdays' }      lunch and dinner, Monday to Friday
+//   { times: ['10:00'], days: [1, 3, 5] }                Monday, Wednesday and Friday (0 is Sunday)
+import { t, normalizeLanguage } from './i18n.js';
+
+export const DEFAULT_ALERT_TIMEZONE = 'Asia/Singapore';
+export const DEFAULT_ALERT_TIME = '09:00';
+export const ALERT_DAY_PRESETS = {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+};
+const MAX_ALERT_TIMES = 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_LOCALES = { en: 'en-SG', zh: 'zh-SG', ms: 'ms-SG', ta: 'ta-SG' };
+// 2024-01-07 was a Sunday
+const SUNDAY_UTC = Date.UTC(2024, 0, 7);
+
+function parseTime(time) {
+    const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return null;
+    }
+    return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+function formatTime({ hour, minute }) {
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Timezone to schedule in: the given IANA name when the runtime knows it, otherwise Singapore
+ */
+export function resolveAlertTimezone(timezone) {
+    if (timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return timezone;
+        } catch (error) {
+            console.warn(`[AlertSchedule] Unknown timezone "${timezone}", using ${DEFAULT_ALERT_TIMEZONE}`);
+        }
+    }
+    return DEFAULT_ALERT_TIMEZONE;
+}
+
+/**
+ * Clean up a schedule: valid "HH:MM" times, sorted and de-duplicated, and days as a preset name
+ * or a sorted list of weekday numbers. Falls back to 09:00 every day.
+ */
+export function normalizeAlertSchedule({ times, days } = {}) {
+    const validTimes = [...new Set((Array.isArray(times) ? times : [times])
+        .map(parseTime)
+        .filter(Boolean)
+        .map(formatTime))]
+        .sort()
+        .slice(0, MAX_ALERT_TIMES);
+
+    let validDays = 'daily';
+    if (typeof days === 'string' && ALERT_DAY_PRESETS[days]) {
+        validDays = days;
+    } else if (Array.isArray(days)) {
+        const weekdays = [...new Set(days.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort();
+        const preset = Object.keys(ALERT_DAY_PRESETS).find(name => ALERT_DAY_PRESETS[name].join() === weekdays.join());
+        validDays = preset || (weekdays.length > 0 ? weekdays : 'daily');
+    }
+
+    return { times: validTimes.length > 0 ? validTimes : [DEFAULT_ALERT_TIME], days: validDays };
+}
+
+/**
+ * Schedule of a stored alert. Alerts created before schedules existed only have preferredTime
+ * and go out every day.
+ */
+export function getAlertSchedule(alert) {
+    return normalizeAlertSchedule(alert?.schedule || { times: [alert?.preferredTime || DEFAULT_ALERT_TIME], days: 'daily' });
+}
+
+function getScheduleWeekdays(schedule) {
+    return typeof schedule.days === 'string' ? ALERT_DAY_PRESETS[schedule.days] : schedule.days;
+}
+
+// Wall-clock date and time at an instant in a timezone
+function getZonedParts(timestamp, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => { parts[type] = Number(value); });
+    return parts;
+}
+
+// Milliseconds the timezone is ahead of UTC at an instant (+8h for Singapore)
+function getTimezoneOffset(timestamp, timeZone) {
+    const { year, month, day, hour, minute, second } = getZonedParts(timestamp, timeZone);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Instant of a wall-clock time in a timezone. A time skipped by a daylight-saving change resolves
+ * as far after the change as it is past the skipped hour (02:30 on a 02:00 -> 03:00 night is 03:30).
+ * A time repeated when the clocks go back resolves to its first occurrence.
+ */
+export function zonedTimeToTimestamp(year, month, day, hour, minute, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const firstGuess = wallClock - getTimezoneOffset(wallClock, timeZone);
+    const timestamp = wallClock - getTimezoneOffset(firstGuess, timeZone);
+    const resolved = getZonedParts(timestamp, timeZone);
+    if (resolved.hour === hour && resolved.minute === minute) {
+        return timestamp;
+    }
+    // The time doesn't exist that day; of the two offsets around the change, the later instant is after it
+    return Math.max(firstGuess, timestamp);
+}
+
+/**
+ * Next time an alert is due, strictly after `after`
+ * @param {Object} schedule - { times, days }, see normalizeAlertSchedule
+ * @param {string} timezone - IANA timezone the times are in
+ * @param {number} after - Timestamp (ms), defaults to now
+ * @returns {number} - Timestamp (ms)
+ */
+export function calculateNextSendTime(schedule, timezone = DEFAULT_ALERT_TIMEZONE, after = Date.now()) {
+    const { times, days } = normalizeAlertSchedule(schedule);
+    const weekdays = getScheduleWeekdays({ days });
+    const timeZone = resolveAlertTimezone(timezone);
+    const today = getZonedParts(after, timeZone);
+    const todayUtc = Date.UTC(today.year, today.month - 1, today.day);
+
+    // A week and a day covers every weekday, including today's slots that have already passed
+    for (let offset = 0; offset <= 7; offset++) {
+        const date = new Date(todayUtc + offset * DAY_MS);
+        if (!weekdays.includes(date.getUTCDay())) {
+            continue;
+        }
+        for (const time of times) {
+            const { hour, minute } = parseTime(time);
+            const timestamp = zonedTimeToTimestamp(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hour, minute, timeZone);
+            if (timestamp > after) {
+                return timestamp;
+            }
+        }
+    }
+    // Unreachable with at least one weekday and time; keep the alert moving rather than stall it
+    return after + DAY_MS;
+}
+
+/**
+ * "every day at 09:00", "on weekdays at 12:00 & 18:00", "every Mon, Wed, Fri at 10:00"
+ */
+export function formatAlertSchedule(schedule, lang = 'en') {
+    const { times, days } = normalizeAlertSchedule(schedule);
+    const timeText = times.join(' & ');
+    if (typeof days === 'string') {
+        return t(lang, `alertSchedule.${days}`, { times: timeText });
+    }
+    const formatter = new Intl.DateTimeFormat(DAY_LOCALES[normalizeLanguage(lang)], { weekday: 'short', timeZone: 'UTC' });
+    const dayText = days.map(day => formatter.format(new Date(SUNDAY_UTC + day * DAY_MS))).join(', ');
+    return t(lang, 'alertSchedule.days', { days: dayText, times: timeText });
+}
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedTimeToTimestamp, calculateNextSendTime } from './alertSchedule.js';
+
+test('wall-clock times resolve in the alert timezone', () => {
+    assert.equal(zonedTimeToTimestamp(2026, 5, 4, 9, 0, 'Asia/Singapore'), Date.parse('2026-05-04T01:00:00Z'));
+});
+
+test('a time skipped by daylight saving resolves after the change', () => {
+    // 02:00 -> 03:00 EDT on 2026-03-08
+    assert.equal(zonedTimeToTimestamp(2026, 3, 8, 2, 30, 'America/New_York'), Date.parse('2026-03-08T07:30:00Z'));
+    // 01:00 GMT -> 02:00 BST on 2026-03-29
+    assert.equal(zonedTimeToTimestamp(2026, 3, 29, 1, 30, 'Europe/London'), Date.parse('2026-03-29T01:30:00Z'));
+});
+
+test('a time repeated when the clocks go back resolves to its first occurrence', () => {
+    assert.equal(zonedTimeToTimestamp(2026, 11, 1, 1, 30, 'America/New_York'), Date.parse('2026-11-01T05:30:00Z'));
+});
+
+test('weekday schedules skip to the next weekday', () => {
+    // Friday 2026-10-16 19:00 SGT -> Monday 12:00 SGT
+    const after = Date.parse('2026-10-16T11:00:00Z');
+    assert.equal(calculateNextSendTime({ times: ['12:00', '18:00'], days: 'weekdays' }, 'Asia/Singapore', after), Date.parse('2026-10-19T04:00:00Z'));
+});
@@ -1,13 +1,23 @@
 // Daily Deal Alert Management Utilities
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, PutCommand, GetCommand, QueryCommand, UpdateCommand, DeleteCommand } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, GetCommand, QueryCommand, ScanCommand, UpdateCommand, DeleteCommand } from '@aws-sdk/lib-dynamodb';
 import { v4 as uuidv4 } from 'uuid';
+import { msg } from './messageBuilder.js';
+import { t, getCategoryName, normalizeLanguage } from './i18n.js';
+import { normalizeAlertSchedule, getAlertSchedule, calculateNextSendTime, resolveAlertTimezone, formatAlertSchedule } from './alertSchedule.js';
+import { DELIVERY_PATHS } from './messagingWindow.js';
 
 const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
 const docClient = DynamoDBDocumentClient.from(client);
 
+// Active alerts carry alertState so that DueAlertsIndex (alertState + nextSendTime) only holds alerts still being sent
+const ACTIVE_ALERT_STATE = 'active';
+const MAX_ALERT_MESSAGES = 30;
+
 /**
- * Create a daily deal alert for a user
+ * Create a deal alert for a user
+ * @param {Object} userData - userId, phoneNumber, storeId, location, category, language, timezone and
+ *   either schedule ({ times, days }, see alertSchedule.js) or a single preferredTime sent every day
  */
 export async function createDailyAlert(userData) {
     try {
@@ -15,6 +25,8 @@ export async function createDailyAlert(userData) {
         
         const alertId = uuidv4();
         const now = Date.now();
+        const schedule = normalizeAlertSchedule(userData.schedule || { times: [userData.preferredTime], days: 'daily' });
+        const timezone = resolveAlertTimezone(userData.timezone);
         
         // Use the storeId from WhatsApp store tokens table
         const storeId = userData.storeId;
@@ -26,16 +38,19 @@ export async function createDailyAlert(userData) {
             storeId: storeId, // This should match the storeId in WhatsappStoreTokens table
             location: userData.location,
             category: userData.category,
-            preferredTime: userData.preferredTime || '09:00', // Default to 9 AM
-            timezone: userData.timezone || 'Asia/Singapore',
+            schedule: schedule,
+            preferredTime: schedule.times[0], // First time of day, for older readers
+            timezone: timezone,
+            language: normalizeLanguage(userData.language), // Alerts go out in the language they were set up in
             isActive: true,
+            alertState: ACTIVE_ALERT_STATE,
             lastSent: null,
-            nextSendTime: calculateNextSendTime(userData.preferredTime || '09:00'),
+            nextSendTime: calculateNextSendTime(schedule, timezone, now),
             createdAt: now,
             updatedAt: now,
             ttl: Math.floor(now / 1000) + (365 * 24 * 60 * 60), // 1 year TTL
             messageCount: 0,
-            maxMessages: 30 // Limit to 30 messages per alert
+            maxMessages: MAX_ALERT_MESSAGES // Limit to 30 messages per alert
         };
 
         const command = new PutCommand({
@@ -44,7 +59,7 @@ export async function createDailyAlert(userData) {
         });
 
         await docClient.send(command);
-        console.log(`[AlertUtils] Created daily alert: ${alertId} for user: ${userData.phoneNumber}`);
+        console.log(`[AlertUtils] Created alert: ${alertId} for user: ${userData.phoneNumber}, next send ${new Date(alert.nextSendTime).toISOString()}`);
         
         return alert;
         
@@ -85,31 +100,33 @@ export async function getUserAlerts(userId, storeId) {
 }
 
 /**
- * Get alerts ready to be sent (within 24-hour window)
+ * Get active alerts whose next send time has passed
  */
-export async function getAlertsToSend() {
+export async function getAlertsToSend(now = Date.now()) {
     try {
         const tableName = process.env.ALERT_TABLE_NAME || 'store-ai-bot-dev-alerts';
-        const now = Date.now();
-        const twentyFourHoursAgo = now - (24 * 60 * 60 * 1000);
+        const alerts = [];
+        let exclusiveStartKey;
         
-        const command = new QueryCommand({
-            TableName: tableName,
-            IndexName: 'NextSendTimeIndex',
-            KeyConditionExpression: 'nextSendTime BETWEEN :start AND :end',
-            FilterExpression: 'isActive = :isActive AND messageCount < :maxMessages',
-            ExpressionAttributeValues: {
-                ':start': twentyFourHoursAgo,
-                ':end': now,
-                ':isActive': true,
-                ':maxMessages': 30
-            }
-        });
-
-        const response = await docClient.send(command);
+        do {
+            const response = await docClient.send(new QueryCommand({
+                TableName: tableName,
+                IndexName: 'DueAlertsIndex',
+                KeyConditionExpression: 'alertState = :active AND nextSendTime <= :now',
+                FilterExpression: 'isActive = :isActive',
+                ExpressionAttributeValues: {
+                    ':active': ACTIVE_ALERT_STATE,
+                    ':now': now,
+                    ':isActive': true
+                },
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            alerts.push(...(response.Items || []));
+            exclusiveStartKey = response.LastEvaluatedKey;
+        } while (exclusiveStartKey);
         
-        console.log(`[AlertUtils] Found ${response.Items?.length || 0} alerts ready to send`);
-        return response.Items || [];
+        console.log(`[AlertUtils] Found ${alerts.length} alerts due`);
+        return alerts;
         
     } catch (error) {
         console.error('[AlertUtils] Error getting alerts to send:', error);
@@ -118,34 +135,93 @@ export async function getAlertsToSend() {
 }
 
 /**
- * Update alert after sending
+ * Move a due alert on to its next send time before sending it. The update only succeeds while
+ * nextSendTime is still the one that was read, so a repeated scheduler run can't send the same slot twice.
+ * The slot only counts toward maxMessages once recordAlertDelivery sees it delivered.
+ * @param {Object} alert - Alert from getAlertsToSend
+ * @param {number} now - Time of this run
+ * @returns {Promise<boolean>} - false when another run already claimed this slot
  */
-export async function updateAlertAfterSend(alertId, messageCount) {
+export async function claimAlertSend(alert, now = Date.now()) {
+    const tableName = process.env.ALERT_TABLE_NAME || 'store-ai-bot-dev-alerts';
+    
     try {
-        const tableName = process.env.ALERT_TABLE_NAME || 'store-ai-bot-dev-alerts';
-        const now = Date.now();
-        
-        const command = new UpdateCommand({
+        await docClient.send(new UpdateCommand({
             TableName: tableName,
-            Key: { alertId },
-            UpdateExpression: 'SET lastSent = :lastSent, nextSendTime = :nextSendTime, messageCount = :messageCount, updatedAt = :updatedAt',
+            Key: { alertId: alert.alertId },
+            UpdateExpression: 'SET nextSendTime = :nextSendTime, updatedAt = :now',
+            ConditionExpression: 'nextSendTime = :due',
             ExpressionAttributeValues: {
-                ':lastSent': now,
-                ':nextSendTime': calculateNextSendTime(null, now), // Calculate next day
-                ':messageCount': messageCount + 1,
-                ':updatedAt': now
+                ':nextSendTime': calculateNextSendTime(getAlertSchedule(alert), alert.timezone, now),
+                ':now': now,
+                ':due': alert.nextSendTime
             }
-        });
-
-        await docClient.send(command);
-        console.log(`[AlertUtils] Updated alert: ${alertId} after sending`);
+        }));
+        return true;
         
     } catch (error) {
-        console.error('[AlertUtils] Error updating alert after send:', error);
+        if (error.name === 'ConditionalCheckFailedException') {
+            console.log(`[AlertUtils] Alert ${alert.alertId} was already claimed by another run`);
+            return false;
+        }
+        console.error('[AlertUtils] Error claiming alert send:', error);
         throw error;
     }
 }
 
+/**
+ * Give active alerts stored before schedules existed their schedule, timezone, alertState and next
+ * send time, so DueAlertsIndex picks them up. Safe to run repeatedly: migrated alerts are skipped.
+ * @returns {Promise<number>} - Number of alerts migrated
+ */
+export async function migrateLegacyAlerts(now = Date.now()) {
+    const tableName = process.env.ALERT_TABLE_NAME || 'store-ai-bot-dev-alerts';
+    let migrated = 0;
+    let exclusiveStartKey;
+    
+    do {
+        const response = await docClient.send(new ScanCommand({
+            TableName: tableName,
+            FilterExpression: 'isActive = :isActive AND attribute_not_exists(alertState)',
+            ExpressionAttributeValues: { ':isActive': true },
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        
+        for (const alert of response.Items || []) {
+            const schedule = getAlertSchedule(alert);
+            const timezone = resolveAlertTimezone(alert.timezone);
+            try {
+                await docClient.send(new UpdateCommand({
+                    TableName: tableName,
+                    Key: { alertId: alert.alertId },
+                    UpdateExpression: 'SET schedule = :schedule, preferredTime = :preferredTime, timezone = :timezone, alertState = :active, nextSendTime = :nextSendTime, updatedAt = :now',
+                    ConditionExpression: 'attribute_not_exists(alertState) AND isActive = :isActive',
+                    ExpressionAttributeValues: {
+                        ':schedule': schedule,
+                        ':preferredTime': schedule.times[0],
+                        ':timezone': timezone,
+                        ':active': ACTIVE_ALERT_STATE,
+                        ':nextSendTime': calculateNextSendTime(schedule, timezone, now),
+                        ':now': now,
+                        ':isActive': true
+                    }
+                }));
+                migrated++;
+            } catch (error) {
+                if (error.name !== 'ConditionalCheckFailedException') {
+                    console.error(`[AlertUtils] Error migrating alert ${alert.alertId}:`, error);
+                }
+            }
+        }
+        exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    
+    if (migrated > 0) {
+        console.log(`[AlertUtils] Migrated ${migrated} alerts to schedules`);
+    }
+    return migrated;
+}
+
 /**
  * Deactivate an alert
  */
@@ -156,7 +232,7 @@ export async function deactivateAlert(alertId) {
         const command = new UpdateCommand({
             TableName: tableName,
             Key: { alertId },
-            UpdateExpression: 'SET isActive = :isActive, updatedAt = :updatedAt',
+            UpdateExpression: 'SET isActive = :isActive, updatedAt = :updatedAt REMOVE alertState',
             ExpressionAttributeValues: {
                 ':isActive': false,
                 ':updatedAt': Date.now()
@@ -173,285 +249,146 @@ export async function deactivateAlert(alertId) {
 }
 
 /**
- * Calculate next send time based on preferred time
+ * Record how an alert was last delivered (free_form, template, skipped or failed). Delivered alerts
+ * count toward maxMessages and are deactivated once they reach it; skipped and failed sends don't count.
  */
-function calculateNextSendTime(preferredTime, baseTime = null) {
-    const now = baseTime || Date.now();
-    const today = new Date(now);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+export async function recordAlertDelivery(alert, path, now = Date.now()) {
+    const tableName = process.env.ALERT_TABLE_NAME || 'store-ai-bot-dev-alerts';
+    const delivered = path === DELIVERY_PATHS.FREE_FORM || path === DELIVERY_PATHS.TEMPLATE;
     
-    // Parse preferred time (format: "HH:MM")
-    const [hours, minutes] = preferredTime.split(':').map(Number);
-    tomorrow.setHours(hours, minutes, 0, 0);
-    
-    return tomorrow.getTime();
+    try {
+        const result = await docClient.send(new UpdateCommand({
+            TableName: tableName,
+            Key: { alertId: alert.alertId },
+            UpdateExpression: `SET lastDeliveryPath = :path, lastDeliveryAt = :now${delivered ? ', lastSent = :now ADD messageCount :one' : ''}`,
+            ExpressionAttributeValues: {
+                ':path': path,
+                ':now': now,
+                ...(delivered ? { ':one': 1 } : {})
+            },
+            ReturnValues: 'UPDATED_NEW'
+        }));
+        
+        const messageCount = result.Attributes?.messageCount;
+        if (delivered && messageCount >= (alert.maxMessages || MAX_ALERT_MESSAGES)) {
+            await docClient.send(new UpdateCommand({
+                TableName: tableName,
+                Key: { alertId: alert.alertId },
+                UpdateExpression: 'SET isActive = :inactive REMOVE alertState',
+                ExpressionAttributeValues: { ':inactive': false }
+            }));
+            console.log(`[AlertUtils] Alert ${alert.alertId} reached ${messageCount} messages and is now inactive`);
+        }
+    } catch (error) {
+        console.error(`[AlertUtils] Error recording delivery for alert ${alert.alertId}:`, error);
+    }
 }
 
 /**
  * Create alert setup message
  */
-export function createAlertSetupMessage() {
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: {
-                type: "text",
-                text: "🔔 Daily Deal Alerts"
-            },
-            body: {
-                text: `Want to get the best deals delivered daily?\n\n🎯 *How it works:*\n• Choose your location and category\n• Set your preferred time (9 AM - 8 PM)\n• Get top 5 deals every day\n• Easy to pause or change anytime\n\n⏰ *Available times:*\n9:00 AM, 12:00 PM, 3:00 PM, 6:00 PM, 8:00 PM`
-            },
-            footer: {
-                text: "Never miss the best deals! 🚀"
-            },
-            action: {
-                buttons: [
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "setup_alert",
-                            title: "🔔 Setup Alert"
-                        }
-                    },
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "manage_alerts",
-                            title: "⚙️ Manage Alerts"
-                        }
-                    },
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "back_to_deals",
-                            title: "🔙 Back"
-                        }
-                    }
-                ]
-            }
-        }
-    };
+export function createAlertSetupMessage(lang = 'en') {
+    return msg.buttons(t(lang, 'alertSetup.body'))
+        .builtBy('createAlertSetupMessage')
+        .header(t(lang, 'alertSetup.header'))
+        .footer(t(lang, 'alertSetup.footer'))
+        .button("alert_pick_time", t(lang, 'button.setupAlert'))
+        .button("manage_alerts", t(lang, 'button.manageAlerts'))
+        .button("back_to_deals", t(lang, 'button.back'))
+        .build();
 }
 
 /**
- * Create alert time selection message
+ * Create alert time selection message. Row ids carry one time or several, comma separated.
  */
-export function createAlertTimeSelectionMessage() {
-    return {
-        type: "interactive",
-        interactive: {
-            type: "list",
-            header: {
-                type: "text",
-                text: "⏰ Choose Alert Time"
-            },
-            body: {
-                text: "When would you like to receive your daily deals?\n\nSelect your preferred time:"
-            },
-            footer: {
-                text: "You can change this anytime"
-            },
-            action: {
-                button: "Select Time",
-                sections: [
-                    {
-                        title: "Morning",
-                        rows: [
-                            {
-                                id: "alert_time_09:00",
-                                title: "9:00 AM",
-                                description: "Start your day with great deals"
-                            }
-                        ]
-                    },
-                    {
-                        title: "Afternoon",
-                        rows: [
-                            {
-                                id: "alert_time_12:00",
-                                title: "12:00 PM",
-                                description: "Lunch break deals"
-                            },
-                            {
-                                id: "alert_time_15:00",
-                                title: "3:00 PM",
-                                description: "Afternoon pick-me-up"
-                            }
-                        ]
-                    },
-                    {
-                        title: "Evening",
-                        rows: [
-                            {
-                                id: "alert_time_18:00",
-                                title: "6:00 PM",
-                                description: "After work deals"
-                            },
-                            {
-                                id: "alert_time_20:00",
-                                title: "8:00 PM",
-                                description: "Evening relaxation"
-                            }
-                        ]
-                    }
-                ]
-            }
-        }
-    };
+export function createAlertTimeSelectionMessage(lang = 'en') {
+    return msg.list(t(lang, 'alertTime.body'), t(lang, 'alertTime.button'))
+        .builtBy('createAlertTimeSelectionMessage')
+        .header(t(lang, 'alertTime.header'))
+        .footer(t(lang, 'alertTime.footer'))
+        .section(t(lang, 'alertTime.morning'))
+        .row("alert_time_09:00", "9:00 AM", t(lang, 'alertTime.0900'))
+        .section(t(lang, 'alertTime.afternoon'))
+        .row("alert_time_12:00", "12:00 PM", t(lang, 'alertTime.1200'))
+        .row("alert_time_15:00", "3:00 PM", t(lang, 'alertTime.1500'))
+        .section(t(lang, 'alertTime.evening'))
+        .row("alert_time_18:00", "6:00 PM", t(lang, 'alertTime.1800'))
+        .row("alert_time_20:00", "8:00 PM", t(lang, 'alertTime.2000'))
+        .section(t(lang, 'alertTime.twice'))
+        .row("alert_time_12:00,18:00", "12:00 PM & 6:00 PM", t(lang, 'alertTime.lunchDinner'))
+        .build();
+}
+
+/**
+ * Create alert days selection message, shown after the time is picked
+ */
+export function createAlertDaysSelectionMessage(times, lang = 'en') {
+    return msg.buttons(t(lang, 'alertDays.body', { times: times.join(' & ') }))
+        .builtBy('createAlertDaysSelectionMessage')
+        .header(t(lang, 'alertDays.header'))
+        .footer(t(lang, 'alertDays.footer'))
+        .button("alert_days_daily", t(lang, 'button.everyDay'))
+        .button("alert_days_weekdays", t(lang, 'button.weekdays'))
+        .button("alert_days_weekends", t(lang, 'button.weekends'))
+        .build();
 }
 
 /**
  * Create alert confirmation message
  */
-export function createAlertConfirmationMessage(alertData) {
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: {
-                type: "text",
-                text: "✅ Alert Created!"
-            },
-            body: {
-                text: `🎉 Your daily deal alert is now active!\n\n📍 *Location:* ${alertData.location.displayName}\n🎯 *Category:* ${alertData.category}\n⏰ *Time:* ${alertData.preferredTime}\n\nYou'll receive top 5 ${alertData.category} deals every day at ${alertData.preferredTime}.\n\n💡 *Manage your alerts anytime by typing "manage alerts"*`
-            },
-            footer: {
-                text: "Happy deal hunting! 🚀"
-            },
-            action: {
-                buttons: [
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "setup_another_alert",
-                            title: "🔔 Setup Another"
-                        }
-                    },
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "manage_alerts",
-                            title: "⚙️ Manage Alerts"
-                        }
-                    },
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "back_to_deals",
-                            title: "🔙 Back"
-                        }
-                    }
-                ]
-            }
-        }
-    };
+export function createAlertConfirmationMessage(alertData, lang = 'en') {
+    return msg.buttons(t(lang, 'alertConfirm.body', {
+        location: alertData.location.displayName,
+        category: getCategoryName(lang, alertData.category),
+        schedule: formatAlertSchedule(getAlertSchedule(alertData), lang)
+    }))
+        .builtBy('createAlertConfirmationMessage')
+        .header(t(lang, 'alertConfirm.header'))
+        .footer(t(lang, 'alertConfirm.footer'))
+        .button("setup_another_alert", t(lang, 'button.setupAnother'))
+        .button("manage_alerts", t(lang, 'button.manageAlerts'))
+        .button("back_to_deals", t(lang, 'button.back'))
+        .build();
 }
 
 /**
  * Create alert management message
  */
-export async function createAlertManagementMessage(userId, storeId) {
+export async function createAlertManagementMessage(userId, storeId, lang = 'en') {
     try {
         const alerts = await getUserAlerts(userId, storeId);
         
         if (alerts.length === 0) {
-            return {
-                type: "interactive",
-                interactive: {
-                    type: "button",
-                    header: {
-                        type: "text",
-                        text: "⚙️ Manage Alerts"
-                    },
-                    body: {
-                        text: "You don't have any active alerts yet.\n\n🔔 *Setup your first alert to get daily deals!*"
-                    },
-                    footer: {
-                        text: "Never miss the best deals"
-                    },
-                    action: {
-                        buttons: [
-                            {
-                                type: "reply",
-                                reply: {
-                                    id: "setup_alert",
-                                    title: "🔔 Setup Alert"
-                                }
-                            },
-                            {
-                                type: "reply",
-                                reply: {
-                                    id: "back_to_deals",
-                                    title: "🔙 Back"
-                                }
-                            }
-                        ]
-                    }
-                }
-            };
+            return msg.buttons(t(lang, 'alertManage.empty'))
+                .builtBy('createAlertManagementMessage')
+                .header(t(lang, 'alertManage.header'))
+                .footer(t(lang, 'alertManage.emptyFooter'))
+                .button("setup_alert", t(lang, 'button.setupAlert'))
+                .button("back_to_deals", t(lang, 'button.back'))
+                .build();
         }
         
-        let bodyText = `You have ${alerts.length} active alert(s):\n\n`;
+        let bodyText = `${t(lang, 'alertManage.count', { count: alerts.length })}\n\n`;
         
         alerts.forEach((alert, index) => {
-            bodyText += `${index + 1}. ${alert.category} deals\n`;
+            bodyText += `${t(lang, 'alertManage.item', { index: index + 1, category: getCategoryName(lang, alert.category) })}\n`;
             bodyText += `   📍 ${alert.location.displayName}\n`;
-            bodyText += `   ⏰ ${alert.preferredTime}\n\n`;
+            bodyText += `   ⏰ ${formatAlertSchedule(getAlertSchedule(alert), lang)}\n\n`;
         });
         
-        bodyText += "What would you like to do?";
+        bodyText += t(lang, 'alertManage.question');
         
-        return {
-            type: "interactive",
-            interactive: {
-                type: "button",
-                header: {
-                    type: "text",
-                    text: "⚙️ Manage Alerts"
-                },
-                body: {
-                    text: bodyText
-                },
-                footer: {
-                    text: "Manage your daily deal alerts"
-                },
-                action: {
-                    buttons: [
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "pause_all_alerts",
-                                title: "⏸️ Pause All"
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "setup_alert",
-                                title: "🔔 Add Alert"
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "back_to_deals",
-                                title: "🔙 Back"
-                            }
-                        }
-                    ]
-                }
-            }
-        };
+        return msg.buttons(bodyText)
+            .builtBy('createAlertManagementMessage')
+            .header(t(lang, 'alertManage.header'))
+            .footer(t(lang, 'alertManage.footer'))
+            .button("pause_all_alerts", t(lang, 'button.pauseAll'))
+            .button("setup_alert", t(lang, 'button.addAlert'))
+            .button("back_to_deals", t(lang, 'button.back'))
+            .build();
         
     } catch (error) {
         console.error('[AlertUtils] Error creating alert management message:', error);
-        return {
-            type: "text",
-            text: {
-                body: "❌ Sorry lah! Couldn't load your alerts right now."
-            }
-        };
+        return msg.text(t(lang, 'alertManage.error')).build();
     }
-} 
\ No newline at end of file
+}
@@ -1,5 +1,6 @@
 // WhatsApp Business Catalog Utilities for Deals
 import { createIndividualDealMessages } from './dealsUtils.js';
+import { t, getCategoryName } from './i18n.js';
 
 // Use the specific catalog ID requested by user: "Lobanglah Deals"
 let WHATSAPP_CATALOG_ID = '1450842082483117';
@@ -178,7 +179,7 @@ export async function addDealToCatalog(deal, index, botConfig) {
 /**
  * Create a product list message using WhatsApp Business Catalog
  */
-export function createProductListMessage(catalogProducts, category) {
+export function createProductListMessage(catalogProducts, category, lang = 'en') {
     let categoryEmoji, categoryName;
     if (category === 'food') {
         categoryEmoji = '🍕';
@@ -193,12 +194,13 @@ export function createProductListMessage(catalogProducts, category) {
         categoryEmoji = '🎯';
         categoryName = 'Deals';
     }
+    const localCategoryName = getCategoryName(lang, categoryName.toLowerCase());
     
     if (!catalogProducts || catalogProducts.length === 0) {
         return {
             type: "text",
             text: {
-                body: `😅 Sorry, I couldn't find any ${categoryName.toLowerCase()} deals right now. Please try again later!`
+                body: t(lang, 'dealCard.none', { category: localCategoryName })
             }
         };
     }
@@ -215,18 +217,18 @@ export function createProductListMessage(catalogProducts, category) {
             type: "product_list",
             header: {
                 type: "text",
-                text: `${categoryEmoji} ${categoryName} Deals Found!`
+                text: t(lang, 'catalog.header', { emoji: categoryEmoji, category: localCategoryName.charAt(0).toUpperCase() + localCategoryName.slice(1) })
             },
             body: {
-                text: `🎉 Found ${catalogProducts.length} amazing ${categoryName.toLowerCase()} deals for you!\n\n✨ Tap on any deal below to view full details, get directions, and take action. Each deal includes business information, offers, and location details.\n\n🛍️ Happy deal hunting!`
+                text: t(lang, 'catalog.body', { count: catalogProducts.length, category: localCategoryName })
             },
             footer: {
-                text: "🔍 Sources: Instagram, Facebook, TikTok & Web | LobangLah 🎯"
+                text: t(lang, 'dealCard.allShownFooter')
             },
             action: {
                 catalog_id: WHATSAPP_CATALOG_ID,
                 sections: [{
-                    title: "Available Deals",
+                    title: t(lang, 'catalog.section'),
                     product_items: productItems
                 }]
             }
@@ -320,7 +322,7 @@ export async function testCatalogAccessibility(botConfig) {
 /**
  * Create deals message using catalog with automatic fallback to interactive list
  */
-export async function createCatalogDealsMessage(deals, category, botConfig) {
+export async function createCatalogDealsMessage(deals, category, botConfig, lang = 'en') {
     // Remove duplicate restaurants before processing
     const seenRestaurants = new Set();
     const uniqueDeals = deals.filter(deal => {
@@ -345,7 +347,7 @@ export async function createCatalogDealsMessage(deals, category, botConfig) {
         
         if (!isCatalogAccessible) {
             console.log('[Catalog] Catalog not accessible, using individual messages fallback');
-            return createIndividualDealMessages(uniqueDeals, category, []);
+            return createIndividualDealMessages(uniqueDeals, category, [], lang);
         }
         
         console.log('[Catalog] Catalog accessible, attempting to add deals to catalog');
@@ -371,13 +373,13 @@ export async function createCatalogDealsMessage(deals, category, botConfig) {
         
         if (catalogProducts.length === 0) {
             console.log('[Catalog] No deals could be added to catalog, falling back to individual messages');
-            return createIndividualDealMessages(uniqueDeals, category, []);
+            return createIndividualDealMessages(uniqueDeals, category, [], lang);
         }
         
         console.log(`[Catalog] Successfully added ${catalogProducts.length} deals to catalog`);
         
         // Create and return the product list message
-        const productListMessage = createProductListMessage(catalogProducts, category);
+        const productListMessage = createProductListMessage(catalogProducts, category, lang);
         
         // Return as array for compatibility with existing code
         return [productListMessage];
@@ -386,7 +388,7 @@ export async function createCatalogDealsMessage(deals, category, botConfig) {
         console.error('[Catalog] Error creating catalog deals message:', error);
         // Fallback to individual messages if catalog approach fails
         console.log('[Catalog] Falling back to individual messages due to error');
-        return createIndividualDealMessages(uniqueDeals, category, []);
+        return createIndividualDealMessages(uniqueDeals, category, [], lang);
     }
 }
 
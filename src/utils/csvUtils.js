@@ -0,0 +1,52 @@
+// CSV helpers for the data importers (import-muis-halal.js, import-sg-gazetteer.js)
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields with commas, quotes and newlines
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Index of the first header column matching the pattern (lowercased), or -1
+ */
+export function findColumn(header, pattern) {
+    return header.findIndex(column => pattern.test(column.trim().toLowerCase()));
+}
@@ -0,0 +1,325 @@
+// Deal Comparison - pick 2-3 of the deals just shown and compare them side by side
+//
+//   compare_start     ⚖️ Compare Deals in the list after the deal cards (starts a new selection)
+//   compare_deal_<i>  ⚖️ Compare on deal cards sent before it moved to that list
+//   compare_add_<i>   deal picked from the comparison list
+//   compare_more      pick a third deal
+//   compare_go        compare the selection
+//   compare_cancel    drop the selection
+//
+// <i> is the deal's index in userState.lastDeals, like the other deal card buttons.
+import OpenAI from 'openai';
+import { msg } from './messageBuilder.js';
+import { truncateText } from './messageValidation.js';
+import { t, getLanguageInstruction } from './i18n.js';
+import { parseOfferPrice, classifyOfferType, OFFER_TYPES } from './dealEntity.js';
+import { distanceInMeters } from './geohash.js';
+import { getRestaurantMenu } from './googleMenuUtils.js';
+import { localizeDeals } from './dealLocalization.js';
+
+export const MIN_COMPARE_DEALS = 2;
+export const MAX_COMPARE_DEALS = 3;
+// WhatsApp lists hold at most 10 rows
+const MAX_PICKER_ROWS = 10;
+
+// Singapore time has no daylight saving
+const SGT_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+function getDealName(deal) {
+    return deal.businessName || deal.restaurant || deal.store || deal.title || 'Deal';
+}
+
+// Identifies the deal behind an index so a selection made before a new search is not reused
+function getDealKey(deal) {
+    return deal.dealId || deal.id || `${getDealName(deal)}|${deal.offer || ''}`;
+}
+
+/**
+ * Selected deals still present in userState.lastDeals, in the order they were picked
+ */
+function getSelection(userState) {
+    const deals = userState.lastDeals || [];
+    return (userState.compareSelection || []).filter(item => deals[item.index] && getDealKey(deals[item.index]) === item.key);
+}
+
+function addToSelection(userState, index) {
+    const deal = userState.lastDeals?.[index];
+    const selection = getSelection(userState);
+    if (deal && selection.length < MAX_COMPARE_DEALS && !selection.some(item => item.index === index)) {
+        selection.push({ index, key: getDealKey(deal) });
+    }
+    userState.compareSelection = selection;
+    return selection;
+}
+
+function selectionNames(userState, selection) {
+    return selection.map(item => getDealName(userState.lastDeals[item.index])).join(' vs ');
+}
+
+/**
+ * List of the shown deals not yet selected; rows are compare_add_<index>
+ */
+export function createComparePickerMessage(userState, lang = 'en') {
+    const selection = getSelection(userState);
+    const body = selection.length > 0
+        ? t(lang, 'compare.pickNext', { names: selectionNames(userState, selection) })
+        : t(lang, 'compare.pickFirst');
+
+    const builder = msg.list(body, t(lang, 'compare.pickButton'))
+        .builtBy('createComparePickerMessage')
+        .header(t(lang, 'compare.header'))
+        .section(t(lang, 'compare.section'));
+
+    (userState.lastDeals || [])
+        .map((deal, index) => ({ deal, index }))
+        .filter(({ index }) => !selection.some(item => item.index === index))
+        .slice(0, MAX_PICKER_ROWS)
+        .forEach(({ deal, index }) => {
+            builder.row(`compare_add_${index}`, truncateText(getDealName(deal), 24), truncateText(deal.offer || '', 72));
+        });
+
+    return builder.build();
+}
+
+/**
+ * Two deals picked: compare now or add a third
+ */
+function createCompareReadyMessage(userState, selection, lang) {
+    return msg.buttons(t(lang, 'compare.ready', { names: selectionNames(userState, selection) }))
+        .builtBy('createCompareReadyMessage')
+        .header(t(lang, 'compare.header'))
+        .button('compare_go', t(lang, 'button.compareNow'))
+        .button('compare_more', t(lang, 'button.addAnother'))
+        .button('compare_cancel', t(lang, 'button.cancel'))
+        .build();
+}
+
+// 9.9 -> "9.90", 15 -> "15"
+function formatAmount(amount) {
+    return Number.isInteger(amount) ? String(amount) : amount.toFixed(2);
+}
+
+function formatMoney(amount) {
+    return `$${formatAmount(amount)}`;
+}
+
+function formatDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)}m` : `${(meters / 1000).toFixed(1)}km`;
+}
+
+function getDistanceMeters(deal, location) {
+    if (Number.isFinite(deal.distanceMeters)) {
+        return deal.distanceMeters;
+    }
+    if (location?.latitude && location?.longitude && deal.latitude && deal.longitude) {
+        return distanceInMeters(parseFloat(location.latitude), parseFloat(location.longitude), parseFloat(deal.latitude), parseFloat(deal.longitude));
+    }
+    return null;
+}
+
+/**
+ * Savings as a comparable percentage, where the offer says enough to work one out
+ */
+function getSavingsPercent(price, offerType) {
+    if (price.percentOff) {
+        return price.percentOff;
+    }
+    if (offerType === OFFER_TYPES.ONE_FOR_ONE) {
+        return 50;
+    }
+    if (price.originalAmount && price.amount && price.originalAmount > price.amount) {
+        return Math.round((1 - price.amount / price.originalAmount) * 100);
+    }
+    return null;
+}
+
+function formatSavings(price, offerType, lang) {
+    if (offerType === OFFER_TYPES.ONE_FOR_ONE) {
+        return t(lang, 'compare.oneForOne');
+    }
+    if (price.percentOff) {
+        return t(lang, 'compare.percentOff', { value: price.percentOff });
+    }
+    if (price.amountOff) {
+        return t(lang, 'compare.amountOff', { value: formatAmount(price.amountOff) });
+    }
+    if (price.originalAmount && price.amount && price.originalAmount > price.amount) {
+        return t(lang, 'compare.amountOff', { value: formatAmount(Math.round((price.originalAmount - price.amount) * 100) / 100) });
+    }
+    return null;
+}
+
+/**
+ * Today's line of Google's weekday_text (Monday first), without the day name
+ */
+function getTodaysHours(openingHours, now = new Date()) {
+    if (!Array.isArray(openingHours) || openingHours.length !== 7) {
+        return null;
+    }
+    const sgtWeekday = new Date(now.getTime() + SGT_OFFSET_MS).getUTCDay();
+    const line = openingHours[(sgtWeekday + 6) % 7];
+    return line ? line.replace(/^[^:]+:\s*/, '') : null;
+}
+
+/**
+ * Facts for each selected deal. Opening hours and rating come from Google Places when the deal has a place id.
+ */
+async function collectComparisonFacts(deals, location, botConfig) {
+    const googleMapsApiKey = botConfig?.googleMapsApiKey || process.env.GOOGLE_MAPS_API_KEY;
+
+    return Promise.all(deals.map(async deal => {
+        const placeId = deal.merchant?.placeId || deal.placeId || deal.place_id;
+        const placeDetails = placeId && googleMapsApiKey ? await getRestaurantMenu(placeId, googleMapsApiKey) : null;
+        const price = deal.price && typeof deal.price === 'object' ? deal.price : parseOfferPrice(deal.offer);
+        // Deals saved before the entity model have no offerType
+        const offerType = deal.offerType || classifyOfferType(deal.offer);
+
+        return {
+            deal,
+            name: getDealName(deal),
+            offer: deal.offer || '',
+            price,
+            offerType,
+            savingsPercent: getSavingsPercent(price, offerType),
+            distanceMeters: getDistanceMeters(deal, location),
+            rating: placeDetails?.rating ?? deal.rating ?? null,
+            validity: deal.validity || null,
+            todaysHours: getTodaysHours(placeDetails?.openingHours)
+        };
+    }));
+}
+
+function formatFacts(facts, position, lang) {
+    const unknown = t(lang, 'compare.unknown');
+    const { price } = facts;
+    const priceText = price.amount
+        ? `${formatMoney(price.amount)}${price.originalAmount ? ` (${t(lang, 'compare.usualPrice', { value: formatAmount(price.originalAmount) })})` : ''}`
+        : unknown;
+
+    return [
+        `*${position}. ${facts.name}*`,
+        `🏷️ ${facts.offer}`,
+        t(lang, 'compare.price', { value: priceText }),
+        t(lang, 'compare.savings', { value: formatSavings(price, facts.offerType, lang) || unknown }),
+        t(lang, 'compare.distance', { value: facts.distanceMeters !== null ? formatDistance(facts.distanceMeters) : unknown }),
+        t(lang, 'compare.rating', { value: facts.rating ?? unknown }),
+        t(lang, 'compare.validity', { value: facts.validity || unknown }),
+        t(lang, 'compare.hours', { value: facts.todaysHours || unknown })
+    ].join('\n');
+}
+
+/**
+ * Verdict without the LLM: the deal that wins the most telling fact
+ */
+function getFallbackVerdict(factsList, lang) {
+    const best = (values, pickLowest) => {
+        const known = values.filter(item => item.value !== null && item.value !== undefined);
+        if (known.length < 2) {
+            return null;
+        }
+        const sorted = [...known].sort((a, b) => (pickLowest ? a.value - b.value : b.value - a.value));
+        return sorted[0].value === sorted[1].value ? null : sorted[0];
+    };
+    const candidates = [
+        { key: 'compare.reason.biggestSaving', winner: best(factsList.map(facts => ({ facts, value: facts.savingsPercent })), false), format: facts => formatSavings(facts.price, facts.offerType, lang) },
+        { key: 'compare.reason.cheapest', winner: best(factsList.map(facts => ({ facts, value: facts.price.amount })), true), format: facts => formatMoney(facts.price.amount) },
+        { key: 'compare.reason.closest', winner: best(factsList.map(facts => ({ facts, value: facts.distanceMeters })), true), format: facts => formatDistance(facts.distanceMeters) },
+        { key: 'compare.reason.bestRated', winner: best(factsList.map(facts => ({ facts, value: facts.rating })), false), format: facts => facts.rating }
+    ];
+
+    const decided = candidates.find(candidate => candidate.winner);
+    if (!decided) {
+        return t(lang, 'compare.verdictTie');
+    }
+    const { facts } = decided.winner;
+    return t(lang, 'compare.verdictFallback', { name: facts.name, reason: t(lang, decided.key, { value: decided.format(facts) }) });
+}
+
+async function generateComparisonVerdict(factsList, botConfig, lang) {
+    const openAIApiKey = botConfig?.openAiApiKey || botConfig?.openAIApiKey || botConfig?.openai_api_key || process.env.OPENAI_API_KEY;
+    if (!openAIApiKey) {
+        return getFallbackVerdict(factsList, lang);
+    }
+
+    try {
+        const openai = new OpenAI({ apiKey: openAIApiKey });
+        const completion = await openai.chat.completions.create({
+            model: 'gpt-4o-mini',
+            messages: [
+                {
+                    role: 'system',
+                    content: `You help Singapore shoppers choose between deals. In 2-3 short sentences say which deal is the better pick and why, using only the facts given. Mention a trade-off if there is one. Light Singlish is fine. ${getLanguageInstruction(lang)}`
+                },
+                {
+                    role: 'user',
+                    content: JSON.stringify(factsList.map(({ name, offer, price, savingsPercent, distanceMeters, rating, validity, todaysHours }) => ({
+                        name, offer, priceSgd: price.amount, usualPriceSgd: price.originalAmount, savingsPercent, distanceMeters, rating, validity, todaysHours
+                    })))
+                }
+            ],
+            max_tokens: 180,
+            temperature: 0.5
+        });
+        return completion.choices[0]?.message?.content?.trim() || getFallbackVerdict(factsList, lang);
+    } catch (error) {
+        console.error('[DealComparison] Error generating verdict:', error);
+        return getFallbackVerdict(factsList, lang);
+    }
+}
+
+/**
+ * Side-by-side comparison of the selected deals plus a verdict
+ */
+export async function createDealComparisonMessage(deals, location, botConfig, lang = 'en') {
+    const displayDeals = await localizeDeals(deals, lang, botConfig);
+    const factsList = await collectComparisonFacts(displayDeals, location, botConfig);
+    const verdict = await generateComparisonVerdict(factsList, botConfig, lang);
+
+    console.log(`[DealComparison] Compared ${factsList.map(facts => facts.name).join(' vs ')}`);
+
+    const body = [
+        t(lang, 'compare.title'),
+        ...factsList.map((facts, index) => formatFacts(facts, index + 1, lang)),
+        t(lang, 'compare.verdict', { verdict }),
+        t(lang, 'compare.footer')
+    ].join('\n\n');
+
+    return msg.text(body).build();
+}
+
+/**
+ * Handle a compare_* button or list reply
+ * @returns {Promise<Object>} WhatsApp message
+ */
+export async function handleCompareAction(actionId, userState, botConfig, lang = 'en') {
+    const deals = userState.lastDeals || [];
+    if (deals.length < MIN_COMPARE_DEALS) {
+        return msg.text(t(lang, 'compare.notEnough')).build();
+    }
+
+    if (actionId === 'compare_cancel') {
+        userState.compareSelection = [];
+        return msg.text(t(lang, 'compare.cancelled')).build();
+    }
+
+    if (actionId === 'compare_start') {
+        userState.compareSelection = [];
+        return createComparePickerMessage(userState, lang);
+    }
+
+    const picked = actionId.match(/^compare_(?:deal|add)_(\d+)$/);
+    const selection = picked ? addToSelection(userState, parseInt(picked[1], 10)) : getSelection(userState);
+
+    if (actionId === 'compare_go' || selection.length === MAX_COMPARE_DEALS) {
+        if (selection.length < MIN_COMPARE_DEALS) {
+            return createComparePickerMessage(userState, lang);
+        }
+        userState.compareSelection = [];
+        return await createDealComparisonMessage(selection.map(item => deals[item.index]), userState.location, botConfig, lang);
+    }
+
+    if (actionId === 'compare_more' || selection.length < MIN_COMPARE_DEALS) {
+        return createComparePickerMessage(userState, lang);
+    }
+    return createCompareReadyMessage(userState, selection, lang);
+}
@@ -0,0 +1,478 @@
+// Deal Entity Model - canonical deal identity, offer parsing, validity windows and fuzzy de-duplication
+import crypto from 'crypto';
+
+export const OFFER_TYPES = {
+    ONE_FOR_ONE: '1_for_1',
+    PERCENT_OFF: 'percent_off',
+    AMOUNT_OFF: 'amount_off',
+    FIXED_PRICE: 'fixed_price',
+    SET_MEAL: 'set_meal',
+    FREE_ITEM: 'free_item',
+    CASHBACK: 'cashback',
+    HAPPY_HOUR: 'happy_hour',
+    OTHER: 'other'
+};
+
+// Deals without a parseable end date stay visible this long after they were last seen
+export const DEFAULT_VALIDITY_DAYS = 7;
+// Expired deals are kept a little longer before DynamoDB TTL removes them
+const EXPIRY_GRACE_SECONDS = 24 * 60 * 60;
+
+const MERCHANT_SIMILARITY_THRESHOLD = 0.85;
+const OFFER_SIMILARITY_THRESHOLD = 0.6;
+
+// Singapore time has no daylight saving
+const SGT_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+// Words that do not tell merchants apart ("Swensen's Restaurant Singapore" vs "Swensens")
+const MERCHANT_NOISE_WORDS = new Set(['pte', 'ltd', 'llp', 'the', 'restaurant', 'restaurants', 'singapore', 'sg', 'outlet', 'branch', 'official', 'store', 'shop']);
+
+const MONTHS = {
+    jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3, may: 4,
+    jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7, sep: 8, sept: 8, september: 8,
+    oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11
+};
+const MONTH_PATTERN = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+
+function stripAccents(text) {
+    return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Lowercase merchant name without punctuation, possessives or filler words
+ */
+export function normalizeMerchantName(name) {
+    if (!name) {
+        return '';
+    }
+    return stripAccents(String(name).toLowerCase())
+        .replace(/['’`]s\b/g, 's')
+        .replace(/&/g, ' and ')
+        .replace(/@.*$/, '')            // "Swensen's @ Tampines Mall" -> outlet suffix dropped
+        .replace(/\(.*?\)/g, ' ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !MERCHANT_NOISE_WORDS.has(word))
+        .join(' ');
+}
+
+function normalizeOfferText(text) {
+    return stripAccents(String(text || '').toLowerCase())
+        .replace(/1\s*[-‐–]?\s*for\s*[-‐–]?\s*1/g, '1for1')
+        .replace(/[^a-z0-9%$.\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Dice coefficient over character bigrams (1 = identical, 0 = nothing in common)
+ */
+export function textSimilarity(a, b) {
+    if (!a || !b) {
+        return 0;
+    }
+    if (a === b) {
+        return 1;
+    }
+    const bigrams = (text) => {
+        const compact = text.replace(/\s+/g, ' ');
+        const counts = new Map();
+        for (let i = 0; i < compact.length - 1; i++) {
+            const bigram = compact.substring(i, i + 2);
+            counts.set(bigram, (counts.get(bigram) || 0) + 1);
+        }
+        return counts;
+    };
+
+    const aBigrams = bigrams(a);
+    const bBigrams = bigrams(b);
+    let overlap = 0;
+    for (const [bigram, count] of aBigrams) {
+        overlap += Math.min(count, bBigrams.get(bigram) || 0);
+    }
+    const total = Math.max(a.length - 1, 0) + Math.max(b.length - 1, 0);
+    return total === 0 ? 0 : (2 * overlap) / total;
+}
+
+/**
+ * Classify the offer from its text ("1-for-1 sundaes", "20% off", "$5 off", "set lunch at $9.90")
+ */
+export function classifyOfferType(offerText) {
+    const text = normalizeOfferText(offerText);
+    if (/\b1for1\b|buy\s*1\s*get\s*1|bogo|two for one/.test(text)) return OFFER_TYPES.ONE_FOR_ONE;
+    if (/cash\s*back/.test(text)) return OFFER_TYPES.CASHBACK;
+    if (/\d+(\.\d+)?\s*%\s*(off|discount)|(off|discount)\s*\d+(\.\d+)?\s*%|\d+(\.\d+)?\s*%/.test(text)) return OFFER_TYPES.PERCENT_OFF;
+    if (/\$\s*\d+(\.\d+)?\s*(off|discount)|(sgd|s\$)\s*\d+(\.\d+)?\s*off/.test(text)) return OFFER_TYPES.AMOUNT_OFF;
+    if (/happy\s*hour/.test(text)) return OFFER_TYPES.HAPPY_HOUR;
+    if (/\bset\s*(meal|lunch|dinner|menu)\b|\bbundle\b|\bcombo\b/.test(text)) return OFFER_TYPES.SET_MEAL;
+    if (/\bfree\b|complimentary/.test(text)) return OFFER_TYPES.FREE_ITEM;
+    if (/(from|only|at|just)\s*(s?\$|sgd)\s*\d+/.test(text)) return OFFER_TYPES.FIXED_PRICE;
+    return OFFER_TYPES.OTHER;
+}
+
+/**
+ * Pull prices out of offer text. All amounts are SGD.
+ * @returns {{ currency: string, amount: number|null, originalAmount: number|null, percentOff: number|null, amountOff: number|null }}
+ */
+export function parseOfferPrice(offerText) {
+    const text = String(offerText || '').toLowerCase();
+    const price = { currency: 'SGD', amount: null, originalAmount: null, percentOff: null, amountOff: null };
+
+    const percentMatch = text.match(/(\d+(?:\.\d+)?)\s*%/);
+    if (percentMatch) {
+        price.percentOff = parseFloat(percentMatch[1]);
+    }
+
+    const amountOffMatch = text.match(/(?:s?\$|sgd\s*)(\d+(?:\.\d{1,2})?)\s*off/);
+    if (amountOffMatch) {
+        price.amountOff = parseFloat(amountOffMatch[1]);
+    }
+
+    // "$9.90 (U.P. $15)", "now $12, usual $18"
+    const originalMatch = text.match(/(?:u\.?p\.?|usual(?:ly)?|was|usual price|original(?:ly)?)\s*:?\s*(?:s?\$|sgd\s*)(\d+(?:\.\d{1,2})?)/);
+    if (originalMatch) {
+        price.originalAmount = parseFloat(originalMatch[1]);
+    }
+
+    // Minimum spends are conditions, not prices
+    const amounts = [...text.matchAll(/(?<!(?:spend|min\.?|minimum)\s*)(?:s?\$|sgd\s*)(\d+(?:\.\d{1,2})?)(?!\s*off)/g)].map(match => parseFloat(match[1]));
+    const candidates = amounts.filter(amount => amount !== price.originalAmount && amount !== price.amountOff);
+    if (candidates.length > 0) {
+        price.amount = Math.min(...candidates);
+    }
+
+    return price;
+}
+
+/**
+ * End of a Singapore calendar day, as an ISO timestamp
+ */
+function endOfSgtDay(year, month, day) {
+    return new Date(Date.UTC(year, month, day, 23, 59, 59) - SGT_OFFSET_MS).toISOString();
+}
+
+function startOfSgtDay(year, month, day) {
+    return new Date(Date.UTC(year, month, day, 0, 0, 0) - SGT_OFFSET_MS).toISOString();
+}
+
+function sgtParts(date) {
+    const shifted = new Date(date.getTime() + SGT_OFFSET_MS);
+    return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth(), day: shifted.getUTCDate(), weekday: shifted.getUTCDay() };
+}
+
+/**
+ * Year for a date written without one: this year, unless that is well in the past
+ * ("until 5 Jan" read in December means next January)
+ */
+function inferYear(month, day, now) {
+    const { year } = sgtParts(now);
+    const thisYear = Date.UTC(year, month, day);
+    const sixtyDaysAgo = now.getTime() - 60 * 24 * 60 * 60 * 1000;
+    return thisYear < sixtyDaysAgo ? year + 1 : year;
+}
+
+function toFullYear(year) {
+    const value = parseInt(year, 10);
+    return value < 100 ? 2000 + value : value;
+}
+
+/**
+ * Every calendar date mentioned in the text, in order: "31 Aug 2025", "Aug 31", "31/08/2025", "31/08"
+ */
+function findDates(text, now) {
+    const dates = [];
+    const patterns = [
+        { regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH_PATTERN})\\b\\.?(?:,?\\s+(\\d{4}))?`, 'g'), read: m => ({ day: +m[1], month: MONTHS[m[2]], year: m[3] }) },
+        { regex: new RegExp(`\\b(${MONTH_PATTERN})\\b\\.?\\s+(\\d{1,2})(?!\\d)(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`, 'g'), read: m => ({ day: +m[2], month: MONTHS[m[1]], year: m[3] }) },
+        // Singapore writes day first
+        { regex: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})\b/g, read: m => ({ day: +m[1], month: +m[2] - 1, year: m[3] }) },
+        // "20/10" without a year, but not a fraction such as "1/2 price"
+        { regex: /(?<![\d/.-])\b(\d{1,2})\/(\d{1,2})\b(?![/.-]\d)(?!\s*(?:price|off)\b)/g, read: m => ({ day: +m[1], month: +m[2] - 1, year: null }) }
+    ];
+
+    for (const { regex, read } of patterns) {
+        for (const match of text.matchAll(regex)) {
+            const { day, month, year } = read(match);
+            if (month === undefined || month < 0 || month > 11 || day < 1 || day > 31) {
+                continue;
+            }
+            dates.push({
+                index: match.index,
+                day,
+                month,
+                year: year ? toFullYear(year) : null
+            });
+        }
+    }
+
+    // A range written "1 - 31 Aug" only names the month once
+    const shortRange = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s*(?:-|–|to|till|until)\\s*(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH_PATTERN})\\b(?:,?\\s+(\\d{4}))?`));
+    if (shortRange) {
+        dates.push({ index: shortRange.index - 0.5, day: +shortRange[1], month: MONTHS[shortRange[3]], year: shortRange[4] ? +shortRange[4] : null });
+    }
+
+    return dates
+        .sort((a, b) => a.index - b.index)
+        .map(date => ({ ...date, year: date.year || inferYear(date.month, date.day, now) }));
+}
+
+/**
+ * Turn free-text validity ("Valid till 31 Aug 2025", "1 - 15 Sep", "From 20/10 to 25/10", "Today only", "Throughout October")
+ * into a window. Unknown bounds are null.
+ * @returns {{ validFrom: string|null, validUntil: string|null }}
+ */
+export function parseValidityWindow(validityText, now = new Date()) {
+    const text = stripAccents(String(validityText || '').toLowerCase());
+    const window = { validFrom: null, validUntil: null };
+    if (!text.trim()) {
+        return window;
+    }
+
+    const today = sgtParts(now);
+
+    if (/\btoday only\b|\bonly today\b|\btoday\b.*\bonly\b/.test(text)) {
+        return { validFrom: startOfSgtDay(today.year, today.month, today.day), validUntil: endOfSgtDay(today.year, today.month, today.day) };
+    }
+    if (/\bthis weekend\b|\bweekend only\b/.test(text)) {
+        const daysToSunday = (7 - today.weekday) % 7;
+        return { validFrom: null, validUntil: endOfSgtDay(today.year, today.month, today.day + daysToSunday) };
+    }
+
+    const dates = findDates(text, now);
+    if (dates.length > 0) {
+        const last = dates[dates.length - 1];
+        window.validUntil = endOfSgtDay(last.year, last.month, last.day);
+        if (dates.length > 1) {
+            const first = dates[0];
+            window.validFrom = startOfSgtDay(first.year, first.month, first.day);
+        } else if (/\b(from|starting|starts|begins|start)\s+(on\s+)?$/.test(text.substring(Math.max(0, last.index - 15), last.index))) {
+            // "From 1 Sep" is a start date, not an end date
+            window.validFrom = startOfSgtDay(last.year, last.month, last.day);
+            window.validUntil = null;
+        }
+        return window;
+    }
+
+    // "End of August", "Throughout October", "August only"
+    const monthOnly = text.match(new RegExp(`\\b(?:end of|throughout|whole of|all of|(?:until|till) (?:the )?end of)\\s+(${MONTH_PATTERN})\\b(?:\\s+(\\d{4}))?|\\b(${MONTH_PATTERN})\\b(?:\\s+(\\d{4}))?\\s+only\\b`));
+    if (monthOnly) {
+        const month = MONTHS[monthOnly[1] || monthOnly[3]];
+        const yearText = monthOnly[2] || monthOnly[4];
+        const year = yearText ? +yearText : inferYear(month, 28, now);
+        window.validUntil = endOfSgtDay(year, month + 1, 0);
+        return window;
+    }
+
+    if (/\bend of (the )?month\b/.test(text)) {
+        window.validUntil = endOfSgtDay(today.year, today.month + 1, 0);
+    }
+    return window;
+}
+
+/**
+ * Key for one merchant: Google placeId when known, otherwise the normalized name
+ */
+export function getMerchantKey(merchant) {
+    if (merchant?.placeId) {
+        return `place:${merchant.placeId}`;
+    }
+    return `name:${merchant?.normalizedName || normalizeMerchantName(merchant?.name)}`;
+}
+
+function createDealId(merchantKey, offerType, offerText) {
+    const signature = normalizeOfferText(offerText).split(' ').filter(Boolean).sort().join(' ');
+    const hash = crypto.createHash('sha1').update(`${merchantKey}|${offerType}|${signature}`).digest('hex');
+    return `deal_${hash.substring(0, 20)}`;
+}
+
+function collectSourceUrls(rawDeal) {
+    const urls = new Set(rawDeal.sourceUrls || []);
+    for (const value of [rawDeal.link, rawDeal.url, rawDeal.source, rawDeal.dealLink, rawDeal.websiteUri]) {
+        if (typeof value === 'string' && /^https?:\/\//i.test(value)) {
+            urls.add(value);
+        }
+    }
+    // Links mentioned in the scraped text
+    const text = `${rawDeal.fullDescription || ''} ${rawDeal.description || ''}`;
+    for (const match of text.matchAll(/https?:\/\/[^\s)\]>"']+/gi)) {
+        urls.add(match[0].replace(/[.,;]+$/, ''));
+    }
+    return [...urls];
+}
+
+/**
+ * Build the canonical entity for a scraped or searched deal.
+ * Legacy flat fields (businessName, offer, address, validity, endDate, ...) are kept so
+ * existing message builders and searches read entities unchanged.
+ * @param {Object} rawDeal - Deal as parsed from an LLM response or a place search
+ * @param {Object} options - { location, category, now }
+ */
+export function createDealEntity(rawDeal, { location = null, category = null, now = new Date() } = {}) {
+    const merchantName = rawDeal.merchant?.name || rawDeal.businessName || rawDeal.restaurant || rawDeal.store || rawDeal.title || rawDeal.displayName?.text || rawDeal.name || 'Unknown';
+    const merchant = {
+        name: merchantName,
+        normalizedName: normalizeMerchantName(merchantName),
+        placeId: rawDeal.merchant?.placeId || rawDeal.placeId || rawDeal.place_id || null,
+        address: rawDeal.merchant?.address || rawDeal.address || rawDeal.fullAddress || null
+    };
+
+    const rawOffer = rawDeal.offer || rawDeal.deal_info || rawDeal.discount || rawDeal.description;
+    // Place searches sometimes return deal_info as an object of strings
+    const offerText = (typeof rawOffer === 'string' ? rawOffer : Object.values(rawOffer || {}).filter(value => typeof value === 'string').join(' - ')) || 'Special Deal';
+    const offerType = rawDeal.offerType || classifyOfferType(offerText);
+    const validityText = rawDeal.validity || '';
+
+    const parsedWindow = parseValidityWindow(validityText, now);
+    const validFrom = rawDeal.validFrom || parsedWindow.validFrom;
+    const validUntil = rawDeal.validUntil || parsedWindow.validUntil;
+    const nowIso = now.toISOString();
+    const merchantKey = getMerchantKey(merchant);
+
+    // Without a known end date the deal lapses DEFAULT_VALIDITY_DAYS after it was last seen
+    const endDate = validUntil || new Date(now.getTime() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    return {
+        ...rawDeal,
+        // A deal that already has an id (stored, or merged into a stored deal) keeps it
+        dealId: rawDeal.dealId || createDealId(merchantKey, offerType, offerText),
+        merchantKey,
+        merchant,
+        offerType,
+        offerText,
+        price: rawDeal.price && typeof rawDeal.price === 'object' ? rawDeal.price : parseOfferPrice(offerText),
+        validFrom: validFrom || null,
+        validUntil: validUntil || null,
+        validityKnown: !!validUntil,
+        sourceUrls: collectSourceUrls(rawDeal),
+        category: category || rawDeal.category || null,
+        firstSeenAt: rawDeal.firstSeenAt || nowIso,
+        lastSeenAt: nowIso,
+        seenCount: rawDeal.seenCount || 1,
+
+        // Legacy fields
+        businessName: merchant.name,
+        offer: offerText,
+        address: merchant.address || rawDeal.address || 'Singapore',
+        validity: validityText || 'Limited time',
+        startDate: validFrom || rawDeal.startDate || nowIso,
+        endDate,
+        location: (typeof rawDeal.location === 'string' && rawDeal.location) || location?.displayName || location?.name || (typeof location === 'string' ? location : 'Singapore')
+    };
+}
+
+/**
+ * True when the deal's validity window has closed (or has not opened yet)
+ */
+export function isDealExpired(deal, now = new Date()) {
+    const end = deal.validUntil || deal.endDate;
+    if (end && new Date(end).getTime() < now.getTime()) {
+        return true;
+    }
+    return !!deal.validFrom && new Date(deal.validFrom).getTime() > now.getTime();
+}
+
+/**
+ * DynamoDB TTL (epoch seconds) for a deal: end of validity plus a day's grace
+ */
+export function getDealTtl(deal) {
+    const end = new Date(deal.validUntil || deal.endDate).getTime();
+    return Math.floor(end / 1000) + EXPIRY_GRACE_SECONDS;
+}
+
+function isSameMerchant(a, b) {
+    const aPlaceId = a.merchant?.placeId;
+    const bPlaceId = b.merchant?.placeId;
+    if (aPlaceId && bPlaceId) {
+        // Different outlets of a chain are different merchants
+        return aPlaceId === bPlaceId;
+    }
+
+    const aName = a.merchant?.normalizedName ?? normalizeMerchantName(a.businessName);
+    const bName = b.merchant?.normalizedName ?? normalizeMerchantName(b.businessName);
+    if (!aName || !bName) {
+        return false;
+    }
+    if (aName === bName || aName.replace(/\s/g, '') === bName.replace(/\s/g, '')) {
+        return true;
+    }
+    return textSimilarity(aName, bName) >= MERCHANT_SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Fuzzy duplicate check: same merchant and essentially the same offer
+ */
+export function areDuplicateDeals(a, b) {
+    if (a.dealId && a.dealId === b.dealId) {
+        return true;
+    }
+    if (!isSameMerchant(a, b)) {
+        return false;
+    }
+
+    const aType = a.offerType || classifyOfferType(a.offerText || a.offer);
+    const bType = b.offerType || classifyOfferType(b.offerText || b.offer);
+    if (aType !== bType) {
+        return false;
+    }
+    // "20% off" and "20% discount on mains" are the same deal, "20% off" and "50% off" are not
+    if (aType === OFFER_TYPES.PERCENT_OFF && a.price?.percentOff && b.price?.percentOff) {
+        return a.price.percentOff === b.price.percentOff;
+    }
+    if (aType === OFFER_TYPES.ONE_FOR_ONE) {
+        return true;
+    }
+    return textSimilarity(normalizeOfferText(a.offerText || a.offer), normalizeOfferText(b.offerText || b.offer)) >= OFFER_SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Merge a newly seen copy of a deal into the stored one. The stored dealId is kept.
+ */
+export function mergeDeals(existing, incoming) {
+    const longer = (a, b) => ((b || '').length > (a || '').length ? b : a);
+    const merged = {
+        ...existing,
+        ...incoming,
+        dealId: existing.dealId,
+        businessName: existing.businessName || incoming.businessName,
+        merchantKey: existing.merchant?.placeId ? existing.merchantKey : incoming.merchantKey,
+        merchant: {
+            ...existing.merchant,
+            ...incoming.merchant,
+            placeId: existing.merchant?.placeId || incoming.merchant?.placeId || null,
+            address: existing.merchant?.address || incoming.merchant?.address || null
+        },
+        description: longer(existing.description, incoming.description),
+        fullDescription: longer(existing.fullDescription, incoming.fullDescription),
+        sourceUrls: [...new Set([...(existing.sourceUrls || []), ...(incoming.sourceUrls || [])])],
+        firstSeenAt: existing.firstSeenAt || incoming.firstSeenAt,
+        lastSeenAt: incoming.lastSeenAt || existing.lastSeenAt,
+        seenCount: (existing.seenCount || 1) + 1
+    };
+
+    // A parsed end date beats the default window; otherwise the later sighting extends it
+    if (!incoming.validityKnown && existing.validityKnown) {
+        merged.validFrom = existing.validFrom;
+        merged.validUntil = existing.validUntil;
+        merged.validityKnown = true;
+        merged.validity = existing.validity;
+        merged.endDate = existing.endDate;
+    }
+    return merged;
+}
+
+/**
+ * Collapse fuzzy duplicates in a list, keeping the first occurrence's position
+ */
+export function dedupeDeals(deals) {
+    const unique = [];
+    for (const deal of deals) {
+        const index = unique.findIndex(existing => areDuplicateDeals(existing, deal));
+        if (index === -1) {
+            unique.push(deal);
+        } else {
+            console.log(`[DealEntity] Merged duplicate deal: ${deal.businessName} - ${deal.offer}`);
+            unique[index] = mergeDeals(unique[index], deal);
+        }
+    }
+    return unique;
+}
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDealEntity, parseValidityWindow } from './dealEntity.js';
+
+test('a deal keeps the id it was stored under', () => {
+    const entity = createDealEntity({ dealId: 'deal_stored', businessName: 'Ya Kun Kaya Toast', offer: '1-for-1 kaya toast set, now with kopi' });
+    assert.equal(entity.dealId, 'deal_stored');
+});
+
+test('a new deal gets an id from its merchant and offer', () => {
+    const raw = { businessName: 'Ya Kun Kaya Toast', offer: '1-for-1 kaya toast set' };
+    assert.equal(createDealEntity(raw).dealId, createDealEntity({ ...raw }).dealId);
+    assert.notEqual(createDealEntity(raw).dealId, createDealEntity({ ...raw, businessName: 'Toast Box' }).dealId);
+});
+
+test('day/month dates without a year get the year inferred like named months', () => {
+    const now = new Date('2025-10-01T04:00:00Z');
+    assert.deepEqual(parseValidityWindow('valid from 20/10 to 25/10', now), parseValidityWindow('valid from 20 Oct to 25 Oct', now));
+    assert.deepEqual(parseValidityWindow('valid from 20/10 to 25/10', now), {
+        validFrom: '2025-10-19T16:00:00.000Z',
+        validUntil: '2025-10-25T15:59:59.000Z'
+    });
+    assert.equal(parseValidityWindow('till 5/1', new Date('2025-12-20T04:00:00Z')).validUntil, '2026-01-05T15:59:59.000Z');
+    assert.equal(parseValidityWindow('until 31/08/2025', now).validUntil, '2025-08-31T15:59:59.000Z');
+    assert.deepEqual(parseValidityWindow('1/2 price on all drinks', now), { validFrom: null, validUntil: null });
+});
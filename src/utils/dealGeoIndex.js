@@ -0,0 +1,93 @@
+// Deal Geo Index - radius queries on the deals table through GeohashIndex (geohash5 + geohash)
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { getCoveringGeohashes, distanceInMeters, GEOHASH_INDEX_PRECISION } from './geohash.js';
+
+// Search radii tried in order until enough deals are found
+export const DEAL_SEARCH_RADII_METERS = [500, 1000, 3000];
+
+const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+
+function getDealsTableName() {
+    return process.env.DEALS_TABLE_NAME || 'store-ai-bot-dev-deals';
+}
+
+/**
+ * All deals stored in one geohash cell (cells of 5 characters or longer)
+ */
+async function queryGeohashCell(cell, category, extraFilter) {
+    const names = { '#category': 'category' };
+    const values = { ':geohash5': cell.substring(0, GEOHASH_INDEX_PRECISION), ':category': category };
+    let keyCondition = 'geohash5 = :geohash5';
+    if (cell.length > GEOHASH_INDEX_PRECISION) {
+        keyCondition += ' AND begins_with(geohash, :cell)';
+        values[':cell'] = cell;
+    }
+
+    let filterExpression = '#category = :category';
+    if (extraFilter) {
+        filterExpression += ` AND ${extraFilter.expression}`;
+        Object.assign(values, extraFilter.values);
+    }
+
+    const deals = [];
+    let exclusiveStartKey;
+    do {
+        const result = await dynamoClient.send(new QueryCommand({
+            TableName: getDealsTableName(),
+            IndexName: 'GeohashIndex',
+            KeyConditionExpression: keyCondition,
+            FilterExpression: filterExpression,
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: marshall(values),
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        deals.push(...(result.Items || []).map(item => unmarshall(item)));
+        exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return deals;
+}
+
+/**
+ * Deals of a category within `radiusMeters` of a point, nearest first.
+ * Each deal gets `distanceMeters`.
+ * @param {{latitude: number, longitude: number}} center
+ * @param {number} radiusMeters
+ * @param {string} category
+ * @param {Object} [extraFilter] - { expression, values } ANDed into the query filter (e.g. endDate > :now)
+ */
+export async function findDealsWithinRadius(center, radiusMeters, category, extraFilter = null) {
+    const latitude = parseFloat(center.latitude);
+    const longitude = parseFloat(center.longitude);
+    const cells = getCoveringGeohashes(latitude, longitude, radiusMeters);
+
+    const cellResults = await Promise.all(cells.map(cell => queryGeohashCell(cell, category, extraFilter)));
+    const byId = new Map();
+    for (const deal of cellResults.flat()) {
+        const distance = distanceInMeters(latitude, longitude, parseFloat(deal.latitude), parseFloat(deal.longitude));
+        if (distance <= radiusMeters) {
+            byId.set(deal.dealId, { ...deal, distanceMeters: Math.round(distance) });
+        }
+    }
+
+    const deals = [...byId.values()].sort((a, b) => a.distanceMeters - b.distanceMeters);
+    console.log(`[DealGeoIndex] ${deals.length} ${category} deals within ${radiusMeters}m of ${latitude},${longitude} (${cells.length} cells)`);
+    return deals;
+}
+
+/**
+ * Widen the search through DEAL_SEARCH_RADII_METERS until at least `minResults` deals are found.
+ * @returns {Promise<{deals: Array, radiusMeters: number}>} - Deals nearest first and the radius that produced them
+ */
+export async function findNearestDeals(center, category, { minResults = 5, radii = DEAL_SEARCH_RADII_METERS, extraFilter = null } = {}) {
+    let deals = [];
+    let radiusMeters = radii[0];
+    for (radiusMeters of radii) {
+        deals = await findDealsWithinRadius(center, radiusMeters, category, extraFilter);
+        if (deals.length >= minResults) {
+            break;
+        }
+    }
+    return { deals, radiusMeters };
+}
@@ -0,0 +1,82 @@
+// Deal Localization - translate the copy on deal cards into the user's language.
+// Only what we show is translated; callers keep the English deals for matching and preferences.
+import { OpenAI } from 'openai';
+import { normalizeLanguage, DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from './i18n.js';
+
+const TRANSLATED_FIELDS = ['offer', 'description', 'fullDescription', 'validity'];
+const MAX_CACHE_ENTRIES = 500;
+
+// `${language}:${dealId}` -> translated fields, reused across invocations of a warm container
+const translationCache = new Map();
+
+function cacheKey(language, deal, index) {
+    return `${language}:${deal.dealId || deal.id || `${deal.businessName || ''}|${deal.offer || ''}|${index}`}`;
+}
+
+function pickFields(deal) {
+    return Object.fromEntries(TRANSLATED_FIELDS.filter(field => typeof deal[field] === 'string' && deal[field].trim()).map(field => [field, deal[field]]));
+}
+
+function rememberTranslation(key, fields) {
+    if (translationCache.size >= MAX_CACHE_ENTRIES) {
+        translationCache.delete(translationCache.keys().next().value);
+    }
+    translationCache.set(key, fields);
+}
+
+/**
+ * Translate deal offers, descriptions and validity text for display. Returns the deals
+ * unchanged for English, without an OpenAI key, or if translation fails.
+ * @param {Array} deals - Deals about to be shown
+ * @param {string} language - User language code
+ * @param {Object} botConfig - Bot configuration (OpenAI key)
+ * @returns {Promise<Array>} Copies of the deals with translated fields
+ */
+export async function localizeDeals(deals, language, botConfig) {
+    const lang = normalizeLanguage(language);
+    if (lang === DEFAULT_LANGUAGE || !Array.isArray(deals) || deals.length === 0) {
+        return deals;
+    }
+
+    const keys = deals.map((deal, index) => cacheKey(lang, deal, index));
+    const pending = deals
+        .map((deal, index) => ({ index, fields: pickFields(deal) }))
+        .filter(({ index, fields }) => !translationCache.has(keys[index]) && Object.keys(fields).length > 0);
+
+    if (pending.length > 0) {
+        const openAIApiKey = botConfig?.openAiApiKey || botConfig?.openAIApiKey || botConfig?.openaiApiKey || process.env.OPENAI_API_KEY;
+        if (!openAIApiKey) {
+            console.log('[DealLocalization] No OpenAI API key, showing deals in English');
+            return deals;
+        }
+
+        try {
+            const openai = new OpenAI({ apiKey: openAIApiKey });
+            const response = await openai.chat.completions.create({
+                model: 'gpt-4o-mini',
+                messages: [
+                    {
+                        role: 'system',
+                        content: `You translate Singapore deal listings into ${SUPPORTED_LANGUAGES[lang].llmName}. Keep business names, addresses, prices, dates, codes and links exactly as they are. Return a JSON object {"deals": [{"index": number, ...translated fields}]} with the same fields you were given.`
+                    },
+                    { role: 'user', content: JSON.stringify({ deals: pending.map(({ index, fields }) => ({ index, ...fields })) }) }
+                ],
+                response_format: { type: 'json_object' },
+                temperature: 0.2
+            });
+
+            const translated = JSON.parse(response.choices[0].message.content).deals || [];
+            for (const item of translated) {
+                if (Number.isInteger(item.index) && keys[item.index]) {
+                    rememberTranslation(keys[item.index], pickFields(item));
+                }
+            }
+            console.log(`[DealLocalization] Translated ${translated.length}/${pending.length} deals into ${lang}`);
+        } catch (error) {
+            console.error(`[DealLocalization] Error translating deals into ${lang}:`, error);
+            return deals;
+        }
+    }
+
+    return deals.map((deal, index) => ({ ...deal, ...(translationCache.get(keys[index]) || {}) }));
+}
@@ -1,6 +1,11 @@
 // Deal Navigation and Top Deals Management Utilities
 import { createDealSummaryMessage, createRestaurantMenuCarousel } from './whatsappTemplateUtils.js';
 import { generateAISingaporeContent } from './singaporeFeatures.js';
+import { rankDeals } from './dealRanking.js';
+import { t, getCategoryName } from './i18n.js';
+import { formatDietaryBadges } from './dietaryUtils.js';
+import { formatNearestStation } from './mrtRouteUtils.js';
+import { msg } from './messageBuilder.js';
 
 // Import calculateDistance function from dealsUtils
 function calculateDistance(lat1, lon1, lat2, lon2) {
@@ -20,13 +25,16 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
  * Create individual restaurant deal messages (one per restaurant)
  * Each message contains one restaurant with its deal
  */
-export function createIndividualDealMessages(deals, category, location, googleMapsApiKey = null) {
+export function createIndividualDealMessages(deals, category, location, googleMapsApiKey = null, lang = 'en') {
     try {
+        const categoryName = getCategoryName(lang, category);
         console.log(`[DealNavigationUtils] Creating individual deal messages for ${category} near ${location.displayName}`);
         
-        // Remove duplicate restaurants and rank by source authenticity
+        // Remove duplicate restaurants; deals from a search are already ranked
         const uniqueDeals = removeDuplicateRestaurants(deals);
-        const rankedDeals = rankDealsBySourceAuthenticity(uniqueDeals);
+        const rankedDeals = uniqueDeals.every(deal => deal.rankingScore !== undefined)
+            ? uniqueDeals
+            : rankDeals(uniqueDeals, { location, category });
         
         // Take up to 5 unique deals
         const topDeals = rankedDeals.slice(0, 5);
@@ -66,7 +74,7 @@ export function createIndividualDealMessages(deals, category, location, googleMa
                     location.latitude, location.longitude,
                     deal.latitude, deal.longitude
                 );
-                distanceText = `${distance}m from your location`;
+                distanceText = t(lang, 'nav.distanceValue', { meters: distance });
             }
             
             // Format opening hours
@@ -113,31 +121,39 @@ export function createIndividualDealMessages(deals, category, location, googleMa
             } else if (deal.description) {
                 detailsText = deal.description;
             } else {
-                detailsText = `Enjoy amazing ${category} deals at ${restaurantName}. This offer is valid for dine-in or takeaway. Mention the promo at the counter or show this message to redeem.`;
+                detailsText = t(lang, 'nav.defaultDetails', { category: categoryName, name: restaurantName });
             }
             
             // Create the formatted body text according to your specification
-            let bodyText = `🥤 *${restaurantName} - Deal of the Day*\n\n`;
+            let bodyText = `${t(lang, 'nav.dealOfTheDay', { name: restaurantName })}\n\n`;
             bodyText += `🔥 *${dealTitle}*\n\n`;
             
             if (deal.address) {
-                bodyText += `📍 *Location:* ${deal.address}\n`;
+                bodyText += `${t(lang, 'nav.location', { value: deal.address })}\n`;
             }
             
             if (deal.contact) {
-                bodyText += `📞 *Contact:* ${deal.contact}\n`;
+                bodyText += `${t(lang, 'nav.contact', { value: deal.contact })}\n`;
             }
             
-            bodyText += `🕒 *Opening Hours:* ${openingHours}\n`;
+            bodyText += `${t(lang, 'nav.openingHours', { value: openingHours })}\n`;
             
             if (distanceText) {
-                bodyText += `🛣️ *Distance:* ${distanceText}\n`;
+                bodyText += `${t(lang, 'nav.distance', { value: distanceText })}\n`;
             }
             
-            bodyText += `💰 *Price:* ${priceText}\n`;
-            bodyText += `📅 *Valid Until:* ${validUntil}\n`;
-            bodyText += `🌐 *Source:* Found via ${dealSource}\n`;
-            bodyText += `📝 *Details:* ${detailsText}`;
+            bodyText += `${t(lang, 'nav.price', { value: priceText })}\n`;
+            const dietaryBadges = formatDietaryBadges(deal, lang);
+            if (dietaryBadges) {
+                bodyText += `${dietaryBadges}\n`;
+            }
+            const nearestStation = formatNearestStation(deal, lang);
+            if (nearestStation) {
+                bodyText += `${nearestStation}\n`;
+            }
+            bodyText += `${t(lang, 'nav.validUntil', { value: validUntil })}\n`;
+            bodyText += `${t(lang, 'nav.foundVia', { value: dealSource })}\n`;
+            bodyText += t(lang, 'nav.details', { value: detailsText });
             
             // Ensure body text doesn't exceed 1024 characters
             if (bodyText.length > 1024) {
@@ -145,56 +161,17 @@ export function createIndividualDealMessages(deals, category, location, googleMa
             }
             
             // Create base message
-            const individualMessage = {
-                type: "interactive",
-                interactive: {
-                    type: "button",
-                    header: {
-                        type: "text",
-                        text: `🥤 ${restaurantName.substring(0, 50)}` // Max 60 chars
-                    },
-                    body: {
-                        text: bodyText
-                    },
-                    footer: {
-                        text: `Source: ${dealSource}`.substring(0, 60) // Max 60 chars
-                    },
-                    action: {
-                        buttons: [
-                            {
-                                type: "reply",
-                                reply: {
-                                    id: `get_menu_${index}`,
-                                    title: "🍽️ Menu" // Max 20 chars
-                                }
-                            },
-                            {
-                                type: "reply",
-                                reply: {
-                                    id: `directions_${index}`,
-                                    title: "📍 Directions" // Max 20 chars
-                                }
-                            },
-                            {
-                                type: "reply",
-                                reply: {
-                                    id: `call_${index}`,
-                                    title: "📞 Call" // Max 20 chars
-                                }
-                            }
-                        ]
-                    }
-                }
-            };
+            const individualMessage = msg.buttons(bodyText)
+                .builtBy('createIndividualDealMessages')
+                .header(`🥤 ${restaurantName.substring(0, 50)}`) // Max 60 chars
+                .footer(t(lang, 'nav.source', { value: dealSource }).substring(0, 60)) // Max 60 chars
+                .button(`get_menu_${index}`, t(lang, 'button.menu')) // Max 20 chars
+                .button(`directions_${index}`, t(lang, 'button.directions'))
+                .button(`call_${index}`, t(lang, 'button.call'));
             
             // Add photo if available
             if (deal.photoUrl && googleMapsApiKey) {
-                individualMessage.interactive.header = {
-                    type: "image",
-                    image: {
-                        link: deal.photoUrl
-                    }
-                };
+                individualMessage.imageHeader(deal.photoUrl);
                 console.log(`[DealNavigationUtils] Added photo header for ${restaurantName}: ${deal.photoUrl.substring(0, 50)}...`);
             } else if (deal.photoUrl) {
                 console.log(`[DealNavigationUtils] Photo URL available but no API key for ${restaurantName}`);
@@ -202,51 +179,18 @@ export function createIndividualDealMessages(deals, category, location, googleMa
                 console.log(`[DealNavigationUtils] No photo URL available for ${restaurantName}`);
             }
             
-            individualMessages.push(individualMessage);
+            individualMessages.push(individualMessage.build());
         });
         
         // Add navigation message at the end
-        const navigationMessage = {
-            type: "interactive",
-            interactive: {
-                type: "button",
-                header: {
-                    type: "text",
-                    text: `🎯 ${category} Deals Complete` // Max 60 chars
-                },
-                body: {
-                    text: `✅ Found ${topDeals.length} amazing ${category} deals near ${location.displayName}!\n\n💡 What would you like to do next?`
-                },
-                footer: {
-                    text: `Sources: ${[...new Set(topDeals.map(deal => deal.source || deal.platform || 'Great Deals Singapore'))].slice(0, 2).join(', ')}`.substring(0, 60)
-                },
-                action: {
-                    buttons: [
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "search_more_deals",
-                                title: "🔍 More Deals" // Max 20 chars
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "change_location",
-                                title: "📍 New Location" // Max 20 chars
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "contact_us",
-                                title: "📞 Contact Us" // Max 20 chars
-                            }
-                        }
-                    ]
-                }
-            }
-        };
+        const navigationMessage = msg.buttons(t(lang, 'nav.completeBody', { count: topDeals.length, category: categoryName, location: location.displayName }))
+            .builtBy('createIndividualDealMessages')
+            .header(t(lang, 'nav.completeHeader', { category: categoryName })) // Max 60 chars
+            .footer(t(lang, 'nav.sources', { value: [...new Set(topDeals.map(deal => deal.source || deal.platform || 'Great Deals Singapore'))].slice(0, 2).join(', ') }).substring(0, 60))
+            .button('search_more_deals', t(lang, 'button.moreDeals')) // Max 20 chars
+            .button('change_location', t(lang, 'button.newLocation'))
+            .button('contact_us', t(lang, 'button.contactUs'))
+            .build();
         
         individualMessages.push(navigationMessage);
         
@@ -262,7 +206,8 @@ export function createIndividualDealMessages(deals, category, location, googleMa
  * Create top 5 deals message with navigation options (bundled version - kept for backward compatibility)
  * Follows WhatsApp character limits: Header (60), Body (1024), Footer (60), Button (20)
  */
-export function createTopDealsMessage(deals, category, location) {
+export function createTopDealsMessage(deals, category, location, lang = 'en') {
+    const categoryName = getCategoryName(lang, category);
     try {
         console.log(`[DealNavigationUtils] Creating top 5 deals message for ${category} near ${location.displayName}`);
         
@@ -273,7 +218,7 @@ export function createTopDealsMessage(deals, category, location) {
         console.log(`[DealNavigationUtils] Processing ${topDeals.length} deals out of ${deals.length} total`);
         
         // Create detailed deal information
-        let dealsText = `🎉 *Top 5 ${category} Deals*\n\n`;
+        let dealsText = `${t(lang, 'nav.topDealsTitle', { category: categoryName })}\n\n`;
         
         topDeals.forEach((deal, index) => {
             const dealNumber = index + 1;
@@ -302,10 +247,10 @@ export function createTopDealsMessage(deals, category, location) {
         });
         
         if (remainingCount > 0) {
-            dealsText += `... and ${remainingCount} more deals available!\n\n`;
+            dealsText += `${t(lang, 'nav.moreAvailable', { count: remainingCount })}\n\n`;
         }
         
-        dealsText += `💡 What would you like to do?`;
+        dealsText += t(lang, 'nav.whatToDo');
         
         // Ensure body text doesn't exceed 1024 characters
         if (dealsText.length > 1024) {
@@ -314,56 +259,23 @@ export function createTopDealsMessage(deals, category, location) {
         
         // Create footer with deal sources
         const sources = [...new Set(topDeals.map(deal => deal.source || deal.platform || 'LobangLah'))];
-        const footerText = `Sources: ${sources.slice(0, 2).join(', ')}${sources.length > 2 ? '...' : ''}`;
+        const footerText = t(lang, 'nav.sources', { value: `${sources.slice(0, 2).join(', ')}${sources.length > 2 ? '...' : ''}` });
         
-        return {
-            type: "interactive",
-            interactive: {
-                type: "button",
-                header: {
-                    type: "text",
-                    text: `🎯 Top 5 ${category} Deals` // Max 60 chars
-                },
-                body: {
-                    text: dealsText // Max 1024 chars
-                },
-                footer: {
-                    text: footerText.substring(0, 60) // Max 60 chars
-                },
-                action: {
-                    buttons: [
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "get_menu",
-                                title: "🍽️ Menu" // Max 20 chars
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "search_more_deals",
-                                title: "🔍 More Deals" // Max 20 chars
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "change_location",
-                                title: "📍 New Location" // Max 20 chars
-                            }
-                        }
-                    ]
-                }
-            }
-        };
+        return msg.buttons(dealsText) // Max 1024 chars
+            .builtBy('createTopDealsMessage')
+            .header(t(lang, 'nav.topDealsHeader', { category: categoryName })) // Max 60 chars
+            .footer(footerText.substring(0, 60)) // Max 60 chars
+            .button('get_menu', t(lang, 'button.menu')) // Max 20 chars
+            .button('search_more_deals', t(lang, 'button.moreDeals'))
+            .button('change_location', t(lang, 'button.newLocation'))
+            .build();
         
     } catch (error) {
         console.error('[DealNavigationUtils] Error creating top deals message:', error);
         return {
             type: "text",
             text: {
-                body: `🎉 Found ${deals.length} ${category} deals near ${location.displayName}!`
+                body: t(lang, 'nav.foundSummary', { count: deals.length, category: categoryName, location: location.displayName })
             }
         };
     }
@@ -373,58 +285,25 @@ export function createTopDealsMessage(deals, category, location) {
  * Create navigation options message
  * Follows WhatsApp character limits: Header (60), Body (1024), Footer (60), Button (20)
  */
-export function createNavigationOptionsMessage(category, location) {
+export function createNavigationOptionsMessage(category, location, lang = 'en') {
     try {
-        const bodyText = `Great! You've seen the top ${category} deals near ${location.displayName}.\n\nWhat would you like to do next?\n\n• View all available deals\n• Search for more deals\n• Change your location\n• Get restaurant menus\n• Set up daily alerts`;
+        const bodyText = t(lang, 'nav.optionsBody', { category: getCategoryName(lang, category), location: location.displayName });
         
-        return {
-            type: "interactive",
-            interactive: {
-                type: "button",
-                header: {
-                    type: "text",
-                    text: "🎯 What's Next?" // Max 60 chars
-                },
-                body: {
-                    text: bodyText.substring(0, 1024) // Max 1024 chars
-                },
-                footer: {
-                    text: "Choose your next action" // Max 60 chars
-                },
-                action: {
-                    buttons: [
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "view_all_deals",
-                                title: "👀 View All Deals" // Max 20 chars
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "search_more_deals",
-                                title: "🔍 Search More" // Max 20 chars
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "change_location",
-                                title: "📍 New Location" // Max 20 chars
-                            }
-                        }
-                    ]
-                }
-            }
-        };
+        return msg.buttons(bodyText.substring(0, 1024)) // Max 1024 chars
+            .builtBy('createNavigationOptionsMessage')
+            .header(t(lang, 'nav.optionsHeader')) // Max 60 chars
+            .footer(t(lang, 'nav.optionsFooter')) // Max 60 chars
+            .button('view_all_deals', t(lang, 'button.viewAllDeals')) // Max 20 chars
+            .button('search_more_deals', t(lang, 'button.searchMore'))
+            .button('change_location', t(lang, 'button.newLocation'))
+            .build();
         
     } catch (error) {
         console.error('[DealNavigationUtils] Error creating navigation options:', error);
         return {
             type: "text",
             text: {
-                body: "What would you like to do next?"
+                body: t(lang, 'nav.optionsFallback')
             }
         };
     }
@@ -434,58 +313,25 @@ export function createNavigationOptionsMessage(category, location) {
  * Create contact us message
  * Follows WhatsApp character limits: Header (60), Body (1024), Footer (60), Button (20)
  */
-export function createContactUsMessage() {
+export function createContactUsMessage(lang = 'en') {
     try {
-        const bodyText = `Need help? We're here for you!\n\n💬 *Customer Support*\n📧 Email: support@lobanglah.sg\n📱 WhatsApp: +65 9123 4567\n\n🕒 *Support Hours*\nMonday - Friday: 9AM - 6PM\nSaturday: 10AM - 4PM\n\n💡 *Quick Help*\n• Report issues with deals\n• Suggest new features\n• Business partnerships\n• General inquiries`;
+        const bodyText = t(lang, 'nav.contactBody');
         
-        return {
-            type: "interactive",
-            interactive: {
-                type: "button",
-                header: {
-                    type: "text",
-                    text: "📞 Contact LobangLah" // Max 60 chars
-                },
-                body: {
-                    text: bodyText.substring(0, 1024) // Max 1024 chars
-                },
-                footer: {
-                    text: "We're here to help! 🚀" // Max 60 chars
-                },
-                action: {
-                    buttons: [
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "report_issue",
-                                title: "🐛 Report Issue" // Max 20 chars
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "suggest_feature",
-                                title: "💡 Suggest Feature"
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "business_inquiry",
-                                title: "🤝 Business Inquiry"
-                            }
-                        }
-                    ]
-                }
-            }
-        };
+        return msg.buttons(bodyText.substring(0, 1024)) // Max 1024 chars
+            .builtBy('createContactUsMessage')
+            .header(t(lang, 'nav.contactHeader')) // Max 60 chars
+            .footer(t(lang, 'nav.contactFooter')) // Max 60 chars
+            .button('report_issue', t(lang, 'button.reportIssue')) // Max 20 chars
+            .button('suggest_feature', t(lang, 'button.suggestFeature'))
+            .button('business_inquiry', t(lang, 'button.businessInquiry'))
+            .build();
         
     } catch (error) {
         console.error('[DealNavigationUtils] Error creating contact us message:', error);
         return {
             type: "text",
             text: {
-                body: "📞 Contact us at support@lobanglah.sg or WhatsApp +65 9123 4567"
+                body: t(lang, 'nav.contactFallback')
             }
         };
     }
@@ -494,63 +340,35 @@ export function createContactUsMessage() {
 /**
  * Create "What else can we do" message
  */
-export async function createWhatElseMessage(botConfig) {
+export async function createWhatElseMessage(botConfig, lang = 'en', savedDealsCount = 0) {
     try {
         const aiMessage = await generateAISingaporeContent(
             'what_else',
             'Singapore',
             null,
-            botConfig
+            botConfig,
+            [],
+            lang
         );
         
-        return {
-            type: "interactive",
-            interactive: {
-                type: "button",
-                header: {
-                    type: "text",
-                    text: "🚀 What Else Can We Do?"
-                },
-                body: {
-                    text: aiMessage || `Wah! LobangLah can do many things lah!\n\n🎯 *Our Features:*\n• Find the best deals near you\n• Get restaurant menus and reviews\n• Weather-aware recommendations\n• Fun stickers and AI chat\n• Location-based search\n• Singapore-specific deals\n\n💡 *Coming Soon:*\n• Price comparison\n• Deal alerts\n• Group deals\n• Loyalty rewards\n• Restaurant reservations`
-                },
-                footer: {
-                    text: "Always improving for you! 🎉"
-                },
-                action: {
-                    buttons: [
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "try_different_category",
-                                title: "🔄 Try Different Category"
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "explore_features",
-                                title: "🔍 Explore Features"
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "contact_us",
-                                title: "📞 Contact Us"
-                            }
-                        }
-                    ]
-                }
-            }
-        };
+        // A list rather than buttons: WhatsApp allows only 3 reply buttons
+        return msg.list(aiMessage || t(lang, 'nav.whatElseBody'), t(lang, 'nav.whatElseButton'))
+            .builtBy('createWhatElseMessage')
+            .header(t(lang, 'nav.whatElseHeader'))
+            .footer(t(lang, 'nav.whatElseFooter'))
+            .row('my_saved_deals', t(lang, 'button.mySavedDeals'), t(lang, 'nav.savedDealsDescription', { count: savedDealsCount }))
+            .row('dietary_settings', t(lang, 'button.dietaryPreferences'), t(lang, 'nav.dietaryDescription'))
+            .row('try_different_category', t(lang, 'button.tryDifferentCategory'))
+            .row('explore_features', t(lang, 'button.exploreFeatures'))
+            .row('contact_us', t(lang, 'button.contactUs'))
+            .build();
         
     } catch (error) {
         console.error('[DealNavigationUtils] Error creating what else message:', error);
         return {
             type: "text",
             text: {
-                body: "🚀 LobangLah can find deals, menus, and more! Try different categories or contact us for help."
+                body: t(lang, 'nav.whatElseFallback')
             }
         };
     }
@@ -559,56 +377,23 @@ export async function createWhatElseMessage(botConfig) {
 /**
  * Create menu request message
  */
-export function createMenuRequestMessage(restaurantName) {
+export function createMenuRequestMessage(restaurantName, lang = 'en') {
     try {
-        return {
-            type: "interactive",
-            interactive: {
-                type: "button",
-                header: {
-                    type: "text",
-                    text: "🍽️ Restaurant Menu"
-                },
-                body: {
-                    text: `Want to see the menu for ${restaurantName}?\n\nI can help you get:\n• Current menu items\n• Prices and availability\n• Opening hours\n• Contact information\n• Directions to the restaurant\n\nJust let me know which restaurant you're interested in!`
-                },
-                footer: {
-                    text: "I'll fetch the latest menu for you! 📋"
-                },
-                action: {
-                    buttons: [
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "get_menu",
-                                title: "🍽️ Get Menu"
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "search_restaurants",
-                                title: "🔍 Search Restaurants"
-                            }
-                        },
-                        {
-                            type: "reply",
-                            reply: {
-                                id: "back_to_deals",
-                                title: "🔙 Back to Deals"
-                            }
-                        }
-                    ]
-                }
-            }
-        };
+        return msg.buttons(t(lang, 'nav.menuBody', { name: restaurantName }))
+            .builtBy('createMenuRequestMessage')
+            .header(t(lang, 'nav.menuHeader'))
+            .footer(t(lang, 'nav.menuFooter'))
+            .button('get_menu', t(lang, 'button.getMenu'))
+            .button('search_restaurants', t(lang, 'button.searchRestaurants'))
+            .button('back_to_deals', t(lang, 'button.backToDeals'))
+            .build();
         
     } catch (error) {
         console.error('[DealNavigationUtils] Error creating menu request message:', error);
         return {
             type: "text",
             text: {
-                body: "🍽️ I can help you get restaurant menus! Just tell me which restaurant you're interested in."
+                body: t(lang, 'nav.menuFallback')
             }
         };
     }
@@ -629,7 +414,7 @@ export async function handleMenuButtonClick(placeId, userState, botConfig) {
             return {
                 type: "text",
                 text: {
-                    body: "❌ Sorry, I couldn't find the restaurant details. Please try selecting a different deal."
+                    body: t(userState.language, 'nav.restaurantNotFound')
                 }
             };
         }
@@ -650,7 +435,7 @@ export async function handleMenuButtonClick(placeId, userState, botConfig) {
         return {
             type: "text",
             text: {
-                body: "❌ Sorry, there was an error loading the menu. Please try again."
+                body: t(userState?.language, 'nav.menuError')
             }
         };
     }
@@ -675,46 +460,3 @@ function removeDuplicateRestaurants(deals) {
     console.log(`[DealNavigationUtils] Removed ${deals.length - uniqueDeals.length} duplicate restaurants`);
     return uniqueDeals;
 }
-
-/**
- * Rank deals by source authenticity (official social media > others)
- */
-function rankDealsBySourceAuthenticity(deals) {
-    // Define source authenticity ranking (higher score = more authentic)
-    const sourceAuthenticity = {
-        // Official sources (highest priority)
-        'Soup Restaurant Official Website': 10,
-        'Swensen\'s Singapore': 10,
-        'Great Deals Singapore': 9,
-        'Eatigo Singapore': 9,
-        'Chope Singapore': 9,
-        'Syioknya Singapore': 9,
-        
-        // Social media platforms (medium priority)
-        'Instagram Singapore': 7,
-        'Facebook Singapore': 6,
-        'TikTok Singapore': 6,
-        'Telegram Singapore': 5,
-        
-        // Generic sources (lowest priority)
-        'Web Search': 3,
-        'LobangLah': 2,
-        'Unknown': 1
-    };
-    
-    return deals.sort((a, b) => {
-        const aSource = a.source || a.platform || 'Unknown';
-        const bSource = b.source || b.platform || 'Unknown';
-        
-        const aScore = sourceAuthenticity[aSource] || 1;
-        const bScore = sourceAuthenticity[bSource] || 1;
-        
-        // Higher score first (more authentic sources)
-        if (aScore !== bScore) {
-            return bScore - aScore;
-        }
-        
-        // If same authenticity, sort by timestamp (newer first)
-        return (b.timestamp || 0) - (a.timestamp || 0);
-    });
-} 
\ No newline at end of file
@@ -1,5 +1,6 @@
 // Deal Poster Generation with Flux Schnell and Text Overlays
 import axios from 'axios';
+import { getWhatsAppApiBaseUrl } from './whatsappUtils.js';
 import { createCanvas, registerFont, loadImage } from 'canvas';
 import fs from 'fs';
 import path from 'path';
@@ -641,7 +642,7 @@ export async function sendDealPoster(storeId, phoneNumber, posterData, botConfig
         console.log(`[DealPosterUtils] Sending deal poster to ${phoneNumber}`);
 
         const messageResponse = await axios.post(
-            `https://graph.facebook.com/v19.0/${whatsappPhoneNumberId}/messages`,
+            `${getWhatsAppApiBaseUrl()}/v19.0/${whatsappPhoneNumberId}/messages`,
             {
                 messaging_product: "whatsapp",
                 recipient_type: "individual",
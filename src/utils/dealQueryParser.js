@@ -0,0 +1,453 @@
+// Deal Query Parser - free text like "cheap dinner under $10 near Bugis tonight for 4 pax" as a structured query
+//
+//   { raw, location, category, budgetMax, budgetPerPerson, timeWindow, partySize, dietary, keywords, source }
+//
+// gpt-4o-mini reads the message when an OpenAI key is configured; the rule-based parser is the fallback.
+// The query drives the deal search prompt (formatDealQueryPrompt) and the queryFit ranking signal (matchDealToQuery).
+import OpenAI from 'openai';
+import { t, getCategoryName } from './i18n.js';
+import { parseOfferPrice } from './dealEntity.js';
+import { DIETARY_OPTIONS, DIETARY_STATUS_SCORES, getDietaryEvidence, formatDietaryConstraint } from './dietaryUtils.js';
+
+export const QUERY_CATEGORIES = ['food', 'events', 'fashion'];
+
+// Singapore time has no daylight saving
+const SGT_OFFSET_MS = 8 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_PARTY_SIZE = 50;
+const MAX_BUDGET = 10000;
+// "cheap" without an amount is scored like this per-person budget
+const CHEAP_BUDGET = 15;
+
+// SGT hours each meal covers; supper runs past midnight
+const MEAL_HOURS = {
+    breakfast: [7, 11],
+    brunch: [10, 14],
+    lunch: [11, 15],
+    tea: [14, 18],
+    dinner: [17, 22],
+    supper: [21, 26]
+};
+const MEALS = Object.keys(MEAL_HOURS);
+const DAYS = ['today', 'tonight', 'tomorrow', 'weekend'];
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12 };
+
+const CATEGORY_PATTERNS = {
+    food: /\b(food|eat|eating|makan|meal|breakfast|brunch|lunch|dinner|supper|high tea|restaurant|cafe|coffee|kopi|drinks?|bubble tea|buffet|hawker|dessert|bakery|halal|vegetarian|vegan)\b/,
+    events: /\b(events?|concerts?|shows?|movies?|cinema|museum|attractions?|exhibitions?|workshops?|things to do|activities|tickets?)\b/,
+    fashion: /\b(fashion|clothes|clothing|apparel|shoes|sneakers|bags?|dress(es)?|shirts?|jeans|outfits?|accessories)\b/
+};
+
+const DIETARY_PATTERNS = {
+    halal: /\b(halal|muslim[- ]?(friendly|owned)|no pork( no lard)?)\b/,
+    vegetarian: /\b(vegetarian|vegan|veggie|plant[- ]based|meatless)\b/
+};
+
+// Words that end a location phrase ("near Bugis tonight", "at Tampines for 4 pax")
+const LOCATION_STOP = 'at|in|near|pax|people|ppl|tonight|today|tomorrow|now|this|for|under|below|within|less|max|with|on|by|before|after|around|halal|vegetarian|vegan|and|pls|please|lah|leh|can|got';
+
+function getOpenAIApiKey(botConfig) {
+    return botConfig?.openAiApiKey || botConfig?.openAIApiKey || botConfig?.openai_api_key || process.env.OPENAI_API_KEY;
+}
+
+/**
+ * ISO time for an SGT day (0 = today) and hour, hours past 23 roll into the next day
+ */
+function sgtTime(now, dayOffset, hour) {
+    const sgtNow = new Date(now.getTime() + SGT_OFFSET_MS);
+    return new Date(Date.UTC(sgtNow.getUTCFullYear(), sgtNow.getUTCMonth(), sgtNow.getUTCDate() + dayOffset, hour) - SGT_OFFSET_MS).toISOString();
+}
+
+function formatSgt(isoTime) {
+    return new Date(new Date(isoTime).getTime() + SGT_OFFSET_MS).toISOString().substring(0, 16).replace('T', ' ');
+}
+
+function formatHour(hour) {
+    const suffix = hour >= 12 && hour < 24 ? 'pm' : 'am';
+    return `${hour % 12 || 12}${suffix}`;
+}
+
+/**
+ * Turn day / meal / hour / "now" into a concrete SGT window
+ * @returns {{label: string, day: string|null, meal: string|null, hour: number|null, start: string, end: string}|null}
+ */
+export function buildTimeWindow({ day = null, meal = null, hour = null, now: isNow = false } = {}, now = new Date()) {
+    day = DAYS.includes(day) ? day : null;
+    meal = MEALS.includes(meal) ? meal : null;
+    hour = Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : null;
+
+    if (isNow && !day && !meal && hour === null) {
+        return { label: 'now', day: 'today', meal: null, hour: null, start: now.toISOString(), end: new Date(now.getTime() + 2 * HOUR_MS).toISOString() };
+    }
+    if (!day && !meal && hour === null) {
+        return null;
+    }
+
+    const currentHour = new Date(now.getTime() + SGT_OFFSET_MS).getUTCHours();
+    let dayOffset = day === 'tomorrow' ? 1 : 0;
+    if (day === 'weekend') {
+        // Saturday (or today when it already is the weekend)
+        const weekday = new Date(now.getTime() + SGT_OFFSET_MS).getUTCDay();
+        dayOffset = weekday === 0 || weekday === 6 ? 0 : 6 - weekday;
+    }
+
+    let [startHour, endHour] = day === 'tonight' ? [18, 24] : day === 'weekend' ? [0, 48] : [0, 24];
+    if (meal) {
+        [startHour, endHour] = MEAL_HOURS[meal];
+    }
+    if (hour !== null) {
+        // "dinner at 8" means 8pm, "lunch at 1" means 1pm
+        const afternoon = day === 'tonight' || ['dinner', 'supper'].includes(meal) || (['lunch', 'tea'].includes(meal) && hour <= 6);
+        const resolvedHour = hour < 12 && afternoon ? hour + 12 : hour;
+        [startHour, endHour] = [resolvedHour, resolvedHour + 2];
+    }
+    // "lunch" asked at 4pm means tomorrow's lunch
+    if (!day && endHour <= currentHour) {
+        dayOffset = 1;
+    }
+
+    return {
+        label: [meal, hour !== null ? `at ${formatHour(startHour)}` : null, day].filter(Boolean).join(' '),
+        day: day || (dayOffset === 1 ? 'tomorrow' : 'today'),
+        meal,
+        hour: hour !== null ? startHour : null,
+        start: sgtTime(now, dayOffset, startHour),
+        end: sgtTime(now, dayOffset, endHour)
+    };
+}
+
+function toNumber(word) {
+    return NUMBER_WORDS[word] ?? parseInt(word, 10);
+}
+
+function parseBudget(text) {
+    const match = text.match(/(?:under|below|less than|cheaper than|max(?:imum)?|within|up to|not more than|no more than|budget(?: of| is)?|<)\s*(?:s?\$|sgd\s*)?(\d+(?:\.\d{1,2})?)/)
+        || text.match(/(?:s?\$|sgd\s*)(\d+(?:\.\d{1,2})?)\s*(?:budget|or less|and below|max)/);
+    if (!match) {
+        return { budgetMax: null, budgetPerPerson: true };
+    }
+    // "$10 for 4 pax" is usually per person unless they say it is for everyone
+    return {
+        budgetMax: parseFloat(match[1]),
+        budgetPerPerson: !/\b(total|in total|altogether|for all|for everyone|whole group)\b/.test(text)
+    };
+}
+
+function parsePartySize(text) {
+    const numberPattern = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})`;
+    const match = text.match(new RegExp(`\\b${numberPattern}\\s*(?:pax|people|persons|ppl|of us|adults|friends|guests)\\b`))
+        || text.match(new RegExp(`\\b(?:for|party of|group of|table for)\\s+${numberPattern}\\b(?!\\s*(?:am|pm|:|\\.\\d|\\$|dollars?|hours?|hrs?|mins?|minutes?|days?))`));
+    if (match) {
+        return toNumber(match[1]);
+    }
+    if (/\b(couple|date night|for two|the two of us|me and my (gf|bf|wife|husband|partner))\b/.test(text)) {
+        return 2;
+    }
+    if (/\b(just me|myself|alone|solo)\b/.test(text)) {
+        return 1;
+    }
+    return null;
+}
+
+function parseTime(text) {
+    const meal = MEALS.find(name => new RegExp(`\\b${name}\\b`).test(text)) || null;
+    const day = /\btonight\b/.test(text) ? 'tonight'
+        : /\b(tomorrow|tmr|tmrw)\b/.test(text) ? 'tomorrow'
+            : /\b(this )?weekend\b/.test(text) ? 'weekend'
+                : /\btoday\b/.test(text) ? 'today'
+                    : null;
+    const hourMatch = text.match(/\b(?:at|by|around)\s+(\d{1,2})(?::\d{2})?\s*(am|pm)?\b/);
+    let hour = null;
+    if (hourMatch && (hourMatch[2] || meal || day === 'tonight')) {
+        const clockHour = parseInt(hourMatch[1], 10);
+        hour = hourMatch[2] ? clockHour % 12 + (hourMatch[2] === 'pm' ? 12 : 0) : clockHour;
+    }
+    return { day, meal, hour, now: /\b(now|right now|asap)\b/.test(text) };
+}
+
+function parseLocation(text) {
+    const postalCode = text.match(/\b(\d{6})\b/);
+    if (postalCode) {
+        return postalCode[1];
+    }
+    const pattern = new RegExp(`\\b(?:near|nearby|at|in|around|beside|outside)\\s+((?:the\\s+)?[a-z][a-z0-9'&.-]*(?:\\s+(?!(?:${LOCATION_STOP})\\b)[a-z0-9'&.-]+)*)`, 'g');
+    for (const match of text.matchAll(pattern)) {
+        const location = match[1].replace(/^the\s+/, '').trim();
+        // "in the evening", "at night", "in total" are not places
+        if (/^(morning|afternoon|evening|night|noon|midnight|total|all)$/.test(location) || MEALS.includes(location) ||
+            new RegExp(`^(${LOCATION_STOP})\\b`).test(location)) {
+            continue;
+        }
+        return location.replace(/\b\w/g, letter => letter.toUpperCase());
+    }
+    return null;
+}
+
+/**
+ * Rule-based parser, also the fallback when the LLM is unavailable
+ */
+export function parseDealQueryDeterministic(text, now = new Date()) {
+    const lowerText = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const dietary = DIETARY_OPTIONS.filter(option => DIETARY_PATTERNS[option].test(lowerText));
+    const time = parseTime(lowerText);
+
+    return normalizeDealQuery({
+        location: parseLocation(lowerText),
+        category: QUERY_CATEGORIES.find(category => CATEGORY_PATTERNS[category].test(lowerText)) || null,
+        ...parseBudget(lowerText),
+        partySize: parsePartySize(lowerText),
+        dietary,
+        keywords: /\b(cheap|cheapest|affordable|budget)\b/.test(lowerText) ? ['cheap'] : [],
+        ...time
+    }, text, 'rules', now);
+}
+
+/**
+ * Validate raw parser output (ours or the LLM's) into the query shape
+ */
+function normalizeDealQuery(raw, text, source, now) {
+    const budgetMax = Number(raw.budgetMax);
+    const partySize = Number(raw.partySize);
+    const dietary = (Array.isArray(raw.dietary) ? raw.dietary : [])
+        .map(option => String(option).toLowerCase())
+        .map(option => (option === 'vegan' ? 'vegetarian' : option))
+        .filter(option => DIETARY_OPTIONS.includes(option));
+    const timeWindow = buildTimeWindow({ day: raw.day, meal: raw.meal, hour: raw.hour === null ? null : Number(raw.hour), now: raw.now === true }, now);
+
+    return {
+        raw: text,
+        location: typeof raw.location === 'string' && raw.location.trim() ? raw.location.trim() : null,
+        // A meal or dietary need without a category is a food search
+        category: QUERY_CATEGORIES.includes(raw.category) ? raw.category : (timeWindow?.meal || dietary.length > 0 ? 'food' : null),
+        budgetMax: Number.isFinite(budgetMax) && budgetMax > 0 && budgetMax <= MAX_BUDGET ? budgetMax : null,
+        budgetPerPerson: raw.budgetPerPerson !== false,
+        timeWindow,
+        partySize: Number.isInteger(partySize) && partySize > 0 && partySize <= MAX_PARTY_SIZE ? partySize : null,
+        dietary: [...new Set(dietary)],
+        keywords: (Array.isArray(raw.keywords) ? raw.keywords : []).map(keyword => String(keyword).toLowerCase().trim()).filter(Boolean).slice(0, 5),
+        source
+    };
+}
+
+async function parseDealQueryWithLLM(text, openAIApiKey, now) {
+    const sgtNow = new Date(now.getTime() + SGT_OFFSET_MS);
+    const openai = new OpenAI({ apiKey: openAIApiKey });
+    const completion = await openai.chat.completions.create({
+        model: 'gpt-4o-mini',
+        messages: [
+            {
+                role: 'system',
+                content: `You read WhatsApp messages from people in Singapore looking for deals and extract what they asked for. The message may use Singlish, Chinese, Malay or Tamil. It is now ${sgtNow.toISOString().substring(0, 16).replace('T', ' ')} Singapore time (${['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][sgtNow.getUTCDay()]}).
+Reply with JSON only:
+{"location": place name or postal code in Singapore or null (in English),
+ "category": "food" | "events" | "fashion" | null,
+ "budgetMax": number in SGD or null,
+ "budgetPerPerson": true unless the budget is clearly for the whole group,
+ "partySize": number of people or null,
+ "day": "today" | "tonight" | "tomorrow" | "weekend" | null,
+ "meal": ${MEALS.map(name => `"${name}"`).join(' | ')} | null,
+ "hour": hour of day 0-23 if a specific time was asked, else null,
+ "now": true if they want something right now,
+ "dietary": any of ${DIETARY_OPTIONS.map(name => `"${name}"`).join(', ')} (vegan counts as vegetarian, "no pork" as halal),
+ "keywords": up to 3 specific things they want in English, e.g. "ramen", "bubble tea", "sneakers"}
+Use null or [] for anything not mentioned. Do not guess.`
+            },
+            { role: 'user', content: text }
+        ],
+        response_format: { type: 'json_object' },
+        max_tokens: 200,
+        temperature: 0
+    });
+    return JSON.parse(completion.choices[0]?.message?.content || '{}');
+}
+
+/**
+ * Parse a free-text deal request. Never throws: falls back to the rule-based parser.
+ * @param {string} text - The user's message
+ * @param {Object} botConfig - For the OpenAI key
+ * @param {Date} now - Reference time for "tonight", "tomorrow", ...
+ */
+export async function parseDealQuery(text, botConfig = {}, now = new Date()) {
+    const openAIApiKey = getOpenAIApiKey(botConfig);
+    if (openAIApiKey) {
+        try {
+            const query = normalizeDealQuery(await parseDealQueryWithLLM(text, openAIApiKey, now), text, 'llm', now);
+            console.log(`[DealQueryParser] Parsed "${text}": ${JSON.stringify({ ...query, raw: undefined })}`);
+            return query;
+        } catch (error) {
+            console.error('[DealQueryParser] LLM parsing failed, using rules:', error.message);
+        }
+    }
+
+    const query = parseDealQueryDeterministic(text, now);
+    console.log(`[DealQueryParser] Parsed "${text}" with rules: ${JSON.stringify({ ...query, raw: undefined })}`);
+    return query;
+}
+
+/**
+ * Whether the query asks for more than a place (a plain "Bugis" is only a location search)
+ */
+export function hasSearchIntent(query) {
+    return !!query && !!(query.category || query.budgetMax || query.timeWindow || query.partySize ||
+        query.dietary.length > 0 || query.keywords.length > 0);
+}
+
+function describeTimeWindow(timeWindow, lang) {
+    if (timeWindow.label === 'now') {
+        return t(lang, 'query.time.now');
+    }
+    const parts = [];
+    if (timeWindow.meal) {
+        parts.push(t(lang, `query.meal.${timeWindow.meal}`));
+    }
+    if (timeWindow.hour !== null) {
+        parts.push(t(lang, 'query.time.at', { time: formatHour(timeWindow.hour) }));
+    }
+    if (timeWindow.day !== 'today' || parts.length === 0) {
+        parts.push(t(lang, `query.time.${timeWindow.day}`));
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Short summary of what we understood, e.g. "Food · dinner tonight · under $10 per pax · 4 pax · halal"
+ */
+export function describeDealQuery(query, lang = 'en') {
+    if (!query) {
+        return '';
+    }
+    const parts = [
+        ...query.keywords.filter(keyword => keyword !== 'cheap'),
+        query.category && query.keywords.length === 0 ? getCategoryName(lang, query.category) : null,
+        query.timeWindow ? describeTimeWindow(query.timeWindow, lang) : null,
+        query.budgetMax ? t(lang, query.budgetPerPerson ? 'query.budgetPerPerson' : 'query.budget', { amount: query.budgetMax }) : null,
+        query.partySize ? t(lang, 'query.party', { count: query.partySize }) : null,
+        ...query.dietary.map(option => t(lang, `query.dietary.${option}`))
+    ];
+    return parts.filter(Boolean).join(' · ');
+}
+
+/**
+ * Constraints for the deal search prompt (empty when there are none)
+ */
+export function formatDealQueryPrompt(query) {
+    if (!hasSearchIntent(query)) {
+        return '';
+    }
+    // "cheap" only matters when they gave no amount
+    const keywords = query.budgetMax ? query.keywords.filter(keyword => keyword !== 'cheap') : query.keywords;
+    const constraints = [
+        keywords.length > 0 ? `looking for: ${keywords.join(', ')}` : null,
+        query.timeWindow ? `when: ${query.timeWindow.label} (${formatSgt(query.timeWindow.start)} to ${formatSgt(query.timeWindow.end)} Singapore time)` : null,
+        query.budgetMax ? `budget: up to $${query.budgetMax}${query.budgetPerPerson ? ' per person' : ' in total'}` : null,
+        query.partySize ? `group of ${query.partySize}` : null,
+        query.dietary.length > 0 ? formatDietaryConstraint(query.dietary) : null
+    ].filter(Boolean);
+    // Queries built from profile preferences alone have no text to quote
+    const asked = query.raw ? `The user asked: "${query.raw}". ` : '';
+    return `\n\n${asked}Only include deals that fit: ${constraints.join('; ')}.`;
+}
+
+/**
+ * Add the user's saved dietary preferences to a parsed query, or start a food query from them
+ */
+export function mergeDietaryIntoQuery(query, dietary = [], now = new Date()) {
+    if (!dietary || dietary.length === 0) {
+        return query;
+    }
+    if (!query) {
+        return normalizeDealQuery({ dietary }, '', 'profile', now);
+    }
+    return { ...query, dietary: [...new Set([...query.dietary, ...dietary])] };
+}
+
+function getDealText(deal) {
+    return `${deal.businessName || ''} ${deal.title || ''} ${deal.offer || ''} ${deal.description || ''} ${deal.validity || ''}`.toLowerCase();
+}
+
+function scoreBudget(deal, query) {
+    const price = deal.price?.amount ?? parseOfferPrice(deal.offer).amount;
+    const budget = query.budgetPerPerson ? query.budgetMax : query.budgetMax / (query.partySize || 1);
+    if (price === null || price === undefined) {
+        return { score: 0.5, detail: 'price unknown' };
+    }
+    if (price <= budget) {
+        return { score: 1, detail: `$${price} within $${round(budget)}` };
+    }
+    // Linear down to 0 at twice the budget
+    return { score: Math.max(0, 1 - (price - budget) / budget), detail: `$${price} over $${round(budget)}` };
+}
+
+function scoreDietary(deal, option) {
+    const { status, source } = getDietaryEvidence(deal, option);
+    return { score: DIETARY_STATUS_SCORES[status], detail: `${option} ${status}${source ? ` (${source})` : ''}` };
+}
+
+function scoreTime(deal, dealText, timeWindow) {
+    if (deal.validUntil && new Date(deal.validUntil) < new Date(timeWindow.start)) {
+        return { score: 0, detail: `ends before ${timeWindow.label}` };
+    }
+    if (timeWindow.meal) {
+        const mentionedMeals = MEALS.filter(name => new RegExp(`\\b${name}\\b`).test(dealText));
+        if (mentionedMeals.includes(timeWindow.meal)) {
+            return { score: 1, detail: `${timeWindow.meal} deal` };
+        }
+        if (mentionedMeals.length > 0) {
+            return { score: 0.2, detail: `${mentionedMeals.join('/')} only` };
+        }
+    }
+    if (timeWindow.day === 'tonight' && /\b(happy hour|dinner|supper|night)\b/.test(dealText)) {
+        return { score: 1, detail: 'evening deal' };
+    }
+    return { score: 0.6, detail: `valid ${timeWindow.label}` };
+}
+
+function scoreParty(dealText, partySize) {
+    if (/\b(1[- ]for[- ]1|one[- ]for[- ]one|group|sharing|platter|family|bundle|buffet|party|for (2|two|3|three|4|four))\b/.test(dealText)) {
+        return { score: 1, detail: `suits ${partySize} pax` };
+    }
+    return { score: 0.5, detail: 'no group offer' };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * How well a deal fits the parsed query (0-1) with a short reason, used by deal ranking.
+ * Neutral 0.5 when the query has no constraints so ordering is unchanged.
+ */
+export function matchDealToQuery(deal, query) {
+    if (!hasSearchIntent(query)) {
+        return { score: 0.5, detail: 'no query constraints' };
+    }
+
+    const dealText = getDealText(deal);
+    const checks = [];
+    if (query.budgetMax) {
+        checks.push(scoreBudget(deal, query));
+    } else if (query.keywords.includes('cheap')) {
+        checks.push(scoreBudget(deal, { budgetMax: CHEAP_BUDGET, budgetPerPerson: true }));
+    }
+    query.dietary.forEach(option => checks.push(scoreDietary(deal, option)));
+    if (query.timeWindow) {
+        checks.push(scoreTime(deal, dealText, query.timeWindow));
+    }
+    if (query.partySize > 1) {
+        checks.push(scoreParty(dealText, query.partySize));
+    }
+    const keywords = query.keywords.filter(keyword => keyword !== 'cheap');
+    if (keywords.length > 0) {
+        const matched = keywords.filter(keyword => dealText.includes(keyword));
+        checks.push({ score: matched.length > 0 ? 1 : 0.3, detail: matched.length > 0 ? `mentions ${matched.join(', ')}` : 'no keyword match' });
+    }
+
+    if (checks.length === 0) {
+        return { score: 0.5, detail: 'category only' };
+    }
+    return {
+        score: checks.reduce((sum, check) => sum + check.score, 0) / checks.length,
+        detail: checks.map(check => check.detail).join('; ')
+    };
+}
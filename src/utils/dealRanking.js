@@ -0,0 +1,289 @@
+// Deal Ranking - one weighted scoring pipeline with per-deal score explanations
+import { distanceInMeters } from './geohash.js';
+import { singaporeDealCategories } from './singaporeFeatures.js';
+import { normalizeMerchantName } from './dealEntity.js';
+import { DEFAULT_PRIMARY_DEAL_SITES, getPrimaryDealSites } from './primaryDealSites.js';
+import { matchDealToProfile } from './userPreferenceProfile.js';
+import { matchDealToQuery } from './dealQueryParser.js';
+
+// Relative weight of each signal; botConfig.rankingWeights overrides them per store
+export const DEFAULT_RANKING_WEIGHTS = {
+    distance: 0.3,
+    freshness: 0.1,
+    verification: 0.1,
+    authenticity: 0.15,
+    clicks: 0.1,
+    preference: 0.15,
+    categoryFit: 0.1,
+    queryFit: 0.2
+};
+
+// Deals further than this score 0 on distance
+const MAX_DISTANCE_METERS = 3000;
+// A deal last seen this long ago scores 0.5 on freshness
+const FRESHNESS_HALF_LIFE_HOURS = 72;
+const MAX_RECORDED_CLICKS = 50;
+
+// Lower-case source names and platforms, scored 0-1
+const SOURCE_AUTHENTICITY = {
+    instagram: 0.7,
+    tiktok: 0.65,
+    facebook: 0.6,
+    telegram: 0.5,
+    whatsapp: 0.45,
+    youtube: 0.4,
+    reddit: 0.35,
+    'google custom search': 0.35,
+    'google search': 0.35,
+    'web search': 0.3,
+    web: 0.3,
+    lobanglah: 0.2
+};
+const OFFICIAL_SOURCE_SCORE = 0.95;
+const PLACE_MERCHANT_SCORE = 0.6;
+const UNKNOWN_SOURCE_SCORE = 0.1;
+
+// Extra category phrases worth rewarding beyond singaporeDealCategories keywords
+const CATEGORY_PHRASES = {
+    food: ['1-for-1', 'set meal', 'happy hour', 'student'],
+    events: ['early bird', 'family', 'student', 'group'],
+    fashion: ['sale', 'clearance', 'member', 'student']
+};
+
+/**
+ * Store weights merged over the defaults
+ */
+export function getRankingWeights(botConfig = {}) {
+    return { ...DEFAULT_RANKING_WEIGHTS, ...(botConfig?.rankingWeights || {}) };
+}
+
+/**
+ * Ranking context for a store and search: weights and primary sites from botConfig
+ * @param {Object} botConfig
+ * @param {Object} search - { location, category, clickHistory, profile, query }
+ */
+export function createRankingContext(botConfig = {}, { location = null, category = null, clickHistory = [], profile = null, query = null } = {}) {
+    return {
+        location,
+        category,
+        clickHistory,
+        profile,
+        query,
+        weights: getRankingWeights(botConfig),
+        primarySites: getPrimaryDealSites(botConfig)
+    };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function scoreDistance(deal, { location, maxDistanceMeters = MAX_DISTANCE_METERS }) {
+    let meters = Number.isFinite(deal.distanceMeters) ? deal.distanceMeters : null;
+    // An MRT route (mrtRouteUtils.js) is as close as its nearest station
+    const points = location?.route?.stations?.length > 0 ? location.route.stations : [location];
+    if (meters === null && location?.latitude && location?.longitude && deal.latitude && deal.longitude) {
+        meters = Math.round(Math.min(...points.map(point =>
+            distanceInMeters(parseFloat(point.latitude), parseFloat(point.longitude), parseFloat(deal.latitude), parseFloat(deal.longitude)))));
+    }
+    if (meters === null || !Number.isFinite(meters)) {
+        return { score: 0.5, detail: 'distance unknown' };
+    }
+    return { score: Math.max(0, 1 - meters / maxDistanceMeters), detail: `${meters}m away` };
+}
+
+function scoreFreshness(deal, { now }) {
+    const seen = deal.lastSeenAt || deal.checkedDate || deal.createdAt || deal.timestamp;
+    const seenAt = seen ? new Date(seen).getTime() : NaN;
+    if (!Number.isFinite(seenAt)) {
+        return { score: 0.5, detail: 'age unknown' };
+    }
+    const ageHours = Math.max(0, (now.getTime() - seenAt) / (60 * 60 * 1000));
+    return { score: Math.pow(0.5, ageHours / FRESHNESS_HALF_LIFE_HOURS), detail: `seen ${Math.round(ageHours)}h ago` };
+}
+
+function scoreVerification(deal) {
+    const confidence = Number(deal.verificationConfidence);
+    if (deal.verificationConfidence !== undefined && deal.verificationConfidence !== null && Number.isFinite(confidence)) {
+        // DeepSeek answers 0-1 but older results used percentages
+        const normalized = confidence > 1 ? confidence / 100 : confidence;
+        return { score: Math.min(1, Math.max(0, normalized)), detail: `${deal.verifiedBy || 'verifier'} confidence ${round(normalized)}` };
+    }
+    if (deal.verified === true) {
+        return { score: 0.8, detail: `verified by ${deal.verifiedBy || 'unknown'}` };
+    }
+    if (deal.verified === false) {
+        return { score: 0.1, detail: 'failed verification' };
+    }
+    return { score: 0.4, detail: 'unverified' };
+}
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+function scoreAuthenticity(deal, { primarySites = DEFAULT_PRIMARY_DEAL_SITES }) {
+    const source = String(deal.source || deal.platform || deal.socialMediaSource || '').toLowerCase();
+    const links = [deal.link, ...(deal.sourceUrls || [])].filter(Boolean).join(' ').toLowerCase();
+
+    // The store's primary deal sites count as official sources (site-less entries like "Instagram" are platforms)
+    const official = primarySites.find(site => {
+        const hostname = site.url && getHostname(site.url);
+        return hostname && ((source && source.includes(site.name.toLowerCase())) || links.includes(hostname));
+    });
+    if (official) {
+        return { score: OFFICIAL_SOURCE_SCORE, detail: `official source ${official.name}` };
+    }
+
+    const platform = Object.keys(SOURCE_AUTHENTICITY).find(key => source.includes(key));
+    const score = platform ? SOURCE_AUTHENTICITY[platform] : UNKNOWN_SOURCE_SCORE;
+    if (deal.merchant?.placeId && score < PLACE_MERCHANT_SCORE) {
+        return { score: PLACE_MERCHANT_SCORE, detail: 'Google Places merchant' };
+    }
+    return { score, detail: platform ? `source ${platform}` : 'source unknown' };
+}
+
+function scoreClicks(deal, { clickHistory = [], category }) {
+    if (clickHistory.length === 0) {
+        return { score: 0, detail: 'no click history' };
+    }
+    if (deal.dealId && clickHistory.some(click => click.dealId === deal.dealId)) {
+        return { score: 1, detail: 'opened this deal before' };
+    }
+
+    const merchantName = deal.merchant?.normalizedName ?? normalizeMerchantName(deal.businessName);
+    const merchantClicks = clickHistory.filter(click =>
+        (deal.merchantKey && click.merchantKey === deal.merchantKey) || (merchantName && click.merchantName === merchantName)).length;
+    if (merchantClicks > 0) {
+        return { score: Math.min(1, 0.5 + 0.25 * (merchantClicks - 1)), detail: `${merchantClicks} clicks on this merchant` };
+    }
+
+    const dealCategory = deal.category || category;
+    const categoryClicks = clickHistory.filter(click => click.category === dealCategory).length;
+    return { score: 0.4 * categoryClicks / clickHistory.length, detail: `${categoryClicks}/${clickHistory.length} clicks in ${dealCategory}` };
+}
+
+function scorePreference(deal, { profile }) {
+    return matchDealToProfile(deal, profile);
+}
+
+function scoreCategoryFit(deal, { category }) {
+    if (!category) {
+        return { score: 0.5, detail: 'no category' };
+    }
+    if (deal.category && deal.category !== category) {
+        return { score: 0, detail: `listed under ${deal.category}` };
+    }
+
+    const categoryContext = singaporeDealCategories[category] || {};
+    const phrases = [...new Set([...(categoryContext.keywords || []), ...(CATEGORY_PHRASES[category] || [])])];
+    const places = [...(categoryContext.popularAreas || []), ...(categoryContext.popularMalls || []), ...(categoryContext.popularVenues || [])];
+    const dealText = `${deal.title || ''} ${deal.description || ''} ${deal.offer || ''}`.toLowerCase();
+    const address = (deal.address || '').toLowerCase();
+
+    const matched = phrases.filter(phrase => dealText.includes(phrase.toLowerCase()));
+    const inPopularPlace = places.some(place => address.includes(place.toLowerCase()));
+    const score = Math.min(1, matched.length / 3 + (inPopularPlace ? 0.2 : 0));
+    const detail = matched.length > 0 ? `matches ${matched.slice(0, 3).join(', ')}` : 'no category keywords';
+    return { score, detail: inPopularPlace ? `${detail}, popular area` : detail };
+}
+
+// Budget, dietary needs, time and party size from a free-text request (dealQueryParser.js)
+function scoreQueryFit(deal, { query }) {
+    return matchDealToQuery(deal, query);
+}
+
+const SIGNALS = {
+    distance: scoreDistance,
+    freshness: scoreFreshness,
+    verification: scoreVerification,
+    authenticity: scoreAuthenticity,
+    clicks: scoreClicks,
+    preference: scorePreference,
+    categoryFit: scoreCategoryFit,
+    queryFit: scoreQueryFit
+};
+
+/**
+ * Score one deal. The explanation lists every signal's raw score, weight and contribution.
+ * @param {Object} deal
+ * @param {Object} context - { location, category, clickHistory, profile, query, weights, primarySites, now, maxDistanceMeters }
+ * @returns {{score: number, explanation: Object}}
+ */
+export function scoreDeal(deal, context = {}) {
+    const weights = context.weights || DEFAULT_RANKING_WEIGHTS;
+    const signalContext = { ...context, now: context.now || new Date() };
+    const totalWeight = Object.keys(SIGNALS).reduce((sum, name) => sum + (weights[name] || 0), 0) || 1;
+
+    const signals = {};
+    let score = 0;
+    for (const [name, scoreSignal] of Object.entries(SIGNALS)) {
+        const weight = (weights[name] || 0) / totalWeight;
+        const { score: signalScore, detail } = scoreSignal(deal, signalContext);
+        const contribution = weight * signalScore;
+        score += contribution;
+        signals[name] = { score: round(signalScore), weight: round(weight), contribution: round(contribution), detail };
+    }
+    return { score: round(score), explanation: { total: round(score), signals } };
+}
+
+/**
+ * Rank deals best first. Each deal gets `rankingScore` and `rankingExplanation`.
+ * Ties keep the incoming order.
+ */
+export function rankDeals(deals = [], context = {}) {
+    return deals
+        .map((deal, index) => {
+            const { score, explanation } = scoreDeal(deal, context);
+            return { deal: { ...deal, rankingScore: score, rankingExplanation: explanation }, index };
+        })
+        .sort((a, b) => b.deal.rankingScore - a.deal.rankingScore || a.index - b.index)
+        .map(({ deal }) => deal);
+}
+
+/**
+ * One-line explanation for logs, e.g. "0.71 = distance 0.27 (300m away) + freshness 0.15 (seen 2h ago) + ..."
+ */
+export function explainRanking(deal) {
+    const explanation = deal.rankingExplanation;
+    if (!explanation) {
+        return 'not ranked';
+    }
+    const parts = Object.entries(explanation.signals)
+        .filter(([, signal]) => signal.weight > 0)
+        .map(([name, signal]) => `${name} ${signal.contribution} (${signal.detail})`);
+    return `${explanation.total} = ${parts.join(' + ')}`;
+}
+
+/**
+ * Log each deal's score breakdown
+ */
+export function logRanking(deals, tag = '[DealRanking]') {
+    deals.forEach((deal, index) => {
+        console.log(`${tag} #${index + 1} ${deal.businessName || deal.title || 'Unknown'}: ${explainRanking(deal)}`);
+    });
+}
+
+/**
+ * Remember that the user opened a deal (newest last, capped), for the clicks signal
+ */
+export function recordDealClick(session, deal, action) {
+    if (!session || !deal) {
+        return;
+    }
+    session.dealClicks = [
+        ...(session.dealClicks || []),
+        {
+            dealId: deal.dealId || deal.id || null,
+            merchantKey: deal.merchantKey || null,
+            merchantName: deal.merchant?.normalizedName ?? normalizeMerchantName(deal.businessName),
+            category: deal.category || null,
+            action,
+            clickedAt: new Date().toISOString()
+        }
+    ].slice(-MAX_RECORDED_CLICKS);
+}
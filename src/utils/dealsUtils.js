@@ -1,38 +1,27 @@
 // LobangLah Deals Utilities
-import { DynamoDBClient, ScanCommand, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { DynamoDBClient, ScanCommand, PutItemCommand, QueryCommand, GetItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
 import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
 import { OpenAI } from 'openai';
-import { v4 as uuidv4 } from 'uuid';
-import { getSingaporeWelcomeMessage, getSingaporeErrorMessage, getSingaporeSuccessMessage, formatSingaporeDeal, rankSingaporeDeals, singaporeDealCategories } from './singaporeFeatures.js';
+import { createDealEntity, areDuplicateDeals, mergeDeals, dedupeDeals, isDealExpired, getDealTtl } from './dealEntity.js';
+import { getGeohashAttributes } from './geohash.js';
+import { findNearestDeals } from './dealGeoIndex.js';
+import { getPrimaryDealSites, formatPrimaryDealSitesPrompt } from './primaryDealSites.js';
+import { formatDealQueryPrompt } from './dealQueryParser.js';
+import { formatDietaryBadges } from './dietaryUtils.js';
+import { formatNearestStation } from './mrtRouteUtils.js';
+import { getSingaporeWelcomeMessage, getSingaporeErrorMessage, getSingaporeSuccessMessage, formatSingaporeDeal, singaporeDealCategories } from './singaporeFeatures.js';
+import { rankDeals, createRankingContext } from './dealRanking.js';
+import { t, getCategoryName } from './i18n.js';
+import { MIN_COMPARE_DEALS } from './dealComparisonUtils.js';
+import { isOfflineMode } from './offlineMode.js';
+import { msg } from './messageBuilder.js';
 // Removed verifyDealsWithDeepSeek and getVerificationStats imports as DeepSeek verification is now skipped
 
 /**
  * Create welcome message asking for location first.
  */
-export function createWelcomeMessage() {
-    return getSingaporeWelcomeMessage();
-}
-
-/**
- * Create category selection message after location is resolved.
- */
-export function createCategorySelectionMessage(locationName) {
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: { type: "text", text: `📍 ${locationName}` },
-            body: { text: `Great! I've got your location: **${locationName}**.\n\nWhat kind of deals are you looking for?` },
-            footer: { text: "🔍 AI-powered deal search" },
-            action: {
-                buttons: [
-                    { type: "reply", reply: { id: `search_food_deals`, title: "🍽️ Food" } },
-                    { type: "reply", reply: { id: `search_events_deals`, title: "🎉 Events" } },
-                    { type: "reply", reply: { id: `search_fashion_deals`, title: "👕 Fashion" } }
-                ]
-            }
-        }
-    };
+export function createWelcomeMessage(lang = 'en') {
+    return getSingaporeWelcomeMessage(lang);
 }
 
 /**
@@ -122,16 +111,17 @@ Format: [Movie Quote] + [Fun search message about finding deals]`;
 }
 
 /**
- * Search for deals using OpenAI with simple, focused approach
+ * Search for deals using OpenAI with simple, focused approach.
+ * options.dealQuery (from dealQueryParser.js) adds the user's constraints, including dietary needs.
  */
-export async function searchDealsWithOpenAI(location, category, botConfig, nearbyPlaces = []) {
+export async function searchDealsWithOpenAI(location, category, botConfig, nearbyPlaces = [], { dealQuery = null } = {}) {
     // Check if this is a Google Places-based search or direct web search
     const isGooglePlacesSearch = nearbyPlaces && nearbyPlaces.length > 0 && typeof nearbyPlaces[0] === 'object' && nearbyPlaces[0].id;
     
     if (!isGooglePlacesSearch) {
         // For LobangLah bot: Use direct OpenAI web search when no Google Places data
         console.log('[DealsUtils] No Google Places data provided, using direct OpenAI web search for deals');
-        return await searchDealsWithDirectWebSearch(location, category, botConfig, nearbyPlaces || []);
+        return await searchDealsWithDirectWebSearch(location, category, botConfig, nearbyPlaces || [], { dealQuery });
     }
 
     console.log(`[DealsUtils] Starting deal search for ${category} using ${nearbyPlaces.length} detailed places.`);
@@ -148,26 +138,18 @@ export async function searchDealsWithOpenAI(location, category, botConfig, nearb
 
         const locationName = location.displayName || location.area || location.description || 'Singapore';
         
-        // Singapore-specific system message with primary deal sources
+        // Singapore-specific system message with the store's primary deal sources
+        const primarySitesPrompt = formatPrimaryDealSitesPrompt(getPrimaryDealSites(botConfig));
         const searchSystemMessage = `You are a Singapore deal discovery expert specializing in finding the best lobang (good deals) for Singaporeans. 
 
-**PRIMARY DEAL SOURCES TO SEARCH:**
-1. **Soup Restaurant** - https://www.souprestaurant.com.sg/ (Official SG60 Promo)
-2. **Great Deals Singapore** - https://www.greatdeals.com.sg/ (SG60 60% Off deals)
-3. **Eatigo** - https://eatigo.com/sg/ (Up to 30% Off restaurant deals)
-4. **Chope Singapore** - https://shop.chope.co/ (20% Off Cash Vouchers)
-5. **Syioknya Singapore** - https://sg.syioknya.com/ (SG60 Meal promotions)
-6. **Swensen's Singapore** - https://swensens.com.sg/promotions/ (Official promotions)
-7. **Instagram** - Official brand accounts for current deals
-
-**Focus on current promotions, discounts, and special offers that Singaporeans love like '1-for-1', 'set meals', 'happy hour', 'student discounts', 'member prices', 'early bird specials', 'SG60 promotions', etc. Search across these official sources, social media (Instagram, Facebook, TikTok), review sites, and local deal platforms. Return only real, current offers with specific details that Singaporeans would find valuable.`;
+${primarySitesPrompt}**Focus on current promotions, discounts, and special offers that Singaporeans love like '1-for-1', 'set meals', 'happy hour', 'student discounts', 'member prices', 'early bird specials', 'SG60 promotions', etc. Search across these official sources, social media (Instagram, Facebook, TikTok), review sites, and local deal platforms. Return only real, current offers with specific details that Singaporeans would find valuable.`;
 
         // Enhanced search prompt with Singapore context
         const categoryContext = singaporeDealCategories[category] || {};
         const keywords = categoryContext.keywords || [];
         const popularAreas = categoryContext.popularAreas || [];
         
-        const searchPrompt = `Find current deals and promotions for these ${category} businesses near ${locationName}, Singapore:\n\n${nearbyPlaces.map(p => `- Name: ${p.displayName?.text || p.displayName}, Website: ${p.websiteUri || 'N/A'}, Place ID: ${p.id}`).join('\n')}\n\nFocus on Singapore-specific deals like: ${keywords.join(', ')}\n\nPopular areas to check: ${popularAreas.join(', ')}\n\nReturn a JSON object with 'deals' array containing objects with 'place_id' and 'deal_info'. Only include real, current deals with specific details that Singaporeans would find valuable. If no deal found for a business, set deal_info to null.`;
+        const searchPrompt = `Find current deals and promotions for these ${category} businesses near ${locationName}, Singapore:\n\n${nearbyPlaces.map(p => `- Name: ${p.displayName?.text || p.displayName}, Website: ${p.websiteUri || 'N/A'}, Place ID: ${p.id}`).join('\n')}\n\nFocus on Singapore-specific deals like: ${keywords.join(', ')}\n\nPopular areas to check: ${popularAreas.join(', ')}${formatDealQueryPrompt(dealQuery)}\n\nReturn a JSON object with 'deals' array containing objects with 'place_id' and 'deal_info'. Only include real, current deals with specific details that Singaporeans would find valuable. If no deal found for a business, set deal_info to null.`;
 
         const response = await openai.chat.completions.create({
             model: model,
@@ -221,13 +203,29 @@ export async function searchDealsWithOpenAI(location, category, botConfig, nearb
             }
         });
         
-        // Take up to 5 unique deals with info, then fill with places without deals if needed
+        // Store the place-backed deals (merchant tied to the Google placeId); expired ones are dropped
+        const storedDeals = await saveDealsToKnowledgeBase(uniqueDealsWithInfo.map(place => ({
+            ...place,
+            businessName: place.displayName?.text || place.displayName || place.name,
+            placeId: place.id,
+            address: place.formattedAddress || place.vicinity,
+            offer: place.deal_info,
+            latitude: place.location?.latitude,
+            longitude: place.location?.longitude,
+            link: place.websiteUri
+        })), location, category);
+        const freshDealsWithInfo = rankDeals(
+            storedDeals.filter(stored => uniqueDealsWithInfo.some(place => place.id === stored.id)),
+            createRankingContext(botConfig, { location, category, query: dealQuery })
+        );
+        
+        // Take the 5 best-ranked deals with info, then fill with places without deals if needed
         const finalDeals = [
-            ...uniqueDealsWithInfo.slice(0, 5),
-            ...dealsWithoutInfo.slice(0, Math.max(0, 5 - uniqueDealsWithInfo.length))
+            ...freshDealsWithInfo.slice(0, 5),
+            ...dealsWithoutInfo.slice(0, Math.max(0, 5 - freshDealsWithInfo.length))
         ];
         
-        console.log(`[DealsUtils] Returning exactly ${finalDeals.length} deals (${uniqueDealsWithInfo.length} unique deals with info, ${finalDeals.length - uniqueDealsWithInfo.length} without deals)`);
+        console.log(`[DealsUtils] Returning exactly ${finalDeals.length} deals (${freshDealsWithInfo.length} unique deals with info, ${finalDeals.length - freshDealsWithInfo.length} without deals)`);
         return finalDeals;
 
     } catch (error) {
@@ -237,9 +235,11 @@ export async function searchDealsWithOpenAI(location, category, botConfig, nearb
 }
 
 /**
- * Search for deals using OpenAI with direct web search (for LobangLah bot)
+ * Search for deals using OpenAI with direct web search (for LobangLah bot).
+ * options.preferredKeywords (from the user's preference profile) asks for matching deals first;
+ * options.dealQuery (from dealQueryParser.js) adds the user's budget, time, party size and dietary needs.
  */
-export async function searchDealsWithDirectWebSearch(location, category, botConfig, nearbyPlaces = []) {
+export async function searchDealsWithDirectWebSearch(location, category, botConfig, nearbyPlaces = [], { preferredKeywords = [], dealQuery = null } = {}) {
     console.log(`[DealsUtils] ========== DIRECT WEB SEARCH START ==========`);
     console.log(`[DealsUtils] 🎯 VERIFYING LOCATION DATA FOR DEAL SEARCH`);
     console.log(`[DealsUtils] Category: ${category}`);
@@ -306,19 +306,15 @@ export async function searchDealsWithDirectWebSearch(location, category, botConf
         const categoryContext = singaporeDealCategories[category] || {};
         const keywords = categoryContext.keywords || [];
         const popularAreas = categoryContext.popularAreas || [];
+        const primarySitesPrompt = formatPrimaryDealSitesPrompt(getPrimaryDealSites(botConfig));
+        const preferencePrompt = preferredKeywords?.length > 0
+            ? `\n\nThis user usually goes for: ${preferredKeywords.join(', ')}. Include deals matching these first if there are any nearby.`
+            : '';
+        const queryPrompt = formatDealQueryPrompt(dealQuery);
         
         const prompt = `Find 5 real, current ${category} deals and promotions near ${locationContext}. I need actual Singapore businesses with active offers right now.
 
-**PRIMARY DEAL SOURCES TO SEARCH:**
-1. **Soup Restaurant** - https://www.souprestaurant.com.sg/ (Official SG60 Promo)
-2. **Great Deals Singapore** - https://www.greatdeals.com.sg/ (SG60 60% Off deals)
-3. **Eatigo** - https://eatigo.com/sg/ (Up to 30% Off restaurant deals)
-4. **Chope Singapore** - https://shop.chope.co/ (20% Off Cash Vouchers)
-5. **Syioknya Singapore** - https://sg.syioknya.com/ (SG60 Meal promotions)
-6. **Swensen's Singapore** - https://swensens.com.sg/promotions/ (Official promotions)
-7. **Instagram** - Official brand accounts for current deals
-
-For each deal, provide:
+${primarySitesPrompt}For each deal, provide:
 • **Business Name**: Full name of the establishment
 • **Address**: Complete address with Singapore postal code
 • **Deal Details**: Specific offer (e.g., "20% off all items", "1-for-1 main course", "Set meal $15.90", "SG60 60% off")
@@ -326,7 +322,7 @@ For each deal, provide:
 • **Validity**: When the deal is valid (if known)
 • **Source**: Where this information comes from (prefer official sources above)
 
-Focus on Singapore-specific deals like: ${keywords.join(', ')}
+Focus on Singapore-specific deals like: ${keywords.join(', ')}${preferencePrompt}${queryPrompt}
 
 Popular areas to check: ${popularAreas.join(', ')}
 
@@ -411,9 +407,12 @@ Avoid generic or made-up information. Be specific and accurate. Prioritize deals
             
             // SKIP DEEPSEEK VERIFICATION: Use OpenAI deals directly as requested
             console.log(`[DealsUtils] ✅ Skipping DeepSeek verification - using ${deals.length} deals directly from OpenAI`);
-            console.log(`[DealsUtils] 🚀 Returning ${Math.min(deals.length, 5)} deals without verification`);
             
-            return deals.slice(0, 5);
+            // Keep them in the knowledge base for "more deals"; expired ones are dropped here
+            const freshDeals = await saveDealsToKnowledgeBase(deals, location, category);
+            console.log(`[DealsUtils] 🚀 Returning ${Math.min(freshDeals.length, 5)} deals without verification`);
+            
+            return freshDeals.slice(0, 5);
         } else {
             console.log('[DealsUtils] No content in OpenAI response - search returned empty');
             return [];
@@ -439,23 +438,44 @@ Avoid generic or made-up information. Be specific and accurate. Prioritize deals
 }
 
 
+/**
+ * Stored deals for one merchant (Google placeId or normalized name), via MerchantKeyIndex
+ */
+async function findDealsForMerchant(dynamoClient, tableName, merchantKey) {
+    try {
+        const result = await dynamoClient.send(new QueryCommand({
+            TableName: tableName,
+            IndexName: 'MerchantKeyIndex',
+            KeyConditionExpression: 'merchantKey = :merchantKey',
+            ExpressionAttributeValues: marshall({ ':merchantKey': merchantKey })
+        }));
+        return (result.Items || []).map(item => unmarshall(item));
+    } catch (error) {
+        console.error(`[DealsUtils] Error looking up stored deals for ${merchantKey}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Save a deal to the knowledge base as a deal entity.
+ * A fuzzy duplicate of a stored deal for the same merchant is merged into it (same dealId)
+ * instead of creating another row. TTL follows the parsed validity window.
+ * @returns {Promise<string|null>} - dealId of the stored deal
+ */
 export async function saveDealToDynamoDB(deal, location, category) {
     try {
         const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
         const tableName = process.env.DEALS_TABLE_NAME || 'store-ai-bot-dev-deals';
         
-        const dealId = uuidv4();
-        const timestamp = Date.now();
-        const ttl = Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60); // 7 days TTL
+        const entity = createDealEntity(deal, { location, category });
+        if (isDealExpired(entity)) {
+            console.log(`[DealsUtils] Not saving expired deal: ${entity.businessName} - ${entity.offer} (valid until ${entity.validUntil})`);
+            return null;
+        }
         
         // Extract social media source from deal description or full text
         const socialMediaSource = extractSocialMediaSource(deal.fullDescription || deal.description || '');
         
-        // Calculate start and end dates for the deal
-        const currentDate = new Date();
-        const startDate = deal.startDate || currentDate.toISOString();
-        const endDate = deal.endDate || new Date(currentDate.getTime() + (30 * 24 * 60 * 60 * 1000)).toISOString(); // Default 30 days from now
-        
         // Create enhanced description with link and timestamp
         const checkedAt = new Date().toLocaleString('en-SG', {
             timeZone: 'Asia/Singapore',
@@ -466,67 +486,79 @@ export async function saveDealToDynamoDB(deal, location, category) {
             minute: '2-digit'
         });
         
-        const dealLink = deal.link || deal.source || deal.url || '';
-        const enhancedDescription = deal.description || '';
+        const dealLink = entity.sourceUrls[0] || '';
+        const enhancedDescription = deal.description || entity.offerText;
         const fullDescriptionWithMeta = `${enhancedDescription}${dealLink ? `\n\n🔗 Source: ${dealLink}` : ''}\n\n⏰ Checked: ${checkedAt} SGT`;
         
-        // GPS COORDINATES ONLY: Save deals with GPS coordinates for maximum accuracy
-        let locationNameForStorage = 'Singapore';
-        let gpsCoordinates = null;
-        
-        if (typeof location === 'object') {
-            locationNameForStorage = location.displayName || location.name || location.description || location.area || 'Singapore';
-            
-            // Store GPS coordinates if available
-            if (location.latitude && location.longitude) {
-                gpsCoordinates = {
-                    latitude: location.latitude,
-                    longitude: location.longitude
-                };
-                console.log(`[DealsUtils] Saving deal with GPS coordinates: ${location.latitude}, ${location.longitude} (${locationNameForStorage})`);
-            } else {
-                console.log(`[DealsUtils] Saving deal without GPS coordinates: ${locationNameForStorage}`);
-            }
-        } else {
-            locationNameForStorage = location || 'Singapore';
-        }
+        // Only the merchant's own coordinates. The searched location would put the deal "0m away"
+        // from every later search there, so deals without coordinates stay out of GeohashIndex.
+        const hasCoordinates = Number.isFinite(parseFloat(deal.latitude)) && Number.isFinite(parseFloat(deal.longitude));
+        const coordinates = hasCoordinates
+            ? { latitude: deal.latitude, longitude: deal.longitude, ...getGeohashAttributes(deal.latitude, deal.longitude) }
+            : { latitude: null, longitude: null };
         
         const dealItem = {
-            dealId: dealId,
-            businessName: deal.businessName || 'Unknown',
-            offer: deal.offer || 'Special Deal',
-            address: deal.address || 'Singapore',
+            dealId: entity.dealId,
+            merchantKey: entity.merchantKey,
+            merchant: entity.merchant,
+            offerType: entity.offerType,
+            offerText: entity.offerText,
+            price: entity.price,
+            validFrom: entity.validFrom,
+            validUntil: entity.validUntil,
+            validityKnown: entity.validityKnown,
+            sourceUrls: entity.sourceUrls,
+            firstSeenAt: entity.firstSeenAt,
+            lastSeenAt: entity.lastSeenAt,
+            seenCount: entity.seenCount,
+            
+            businessName: entity.businessName,
+            offer: entity.offer,
+            address: entity.address,
             description: enhancedDescription,
-            validity: deal.validity || 'Limited time',
+            validity: entity.validity,
             category: category,
             
-            // LOCATION FIELDS: GPS coordinates only for maximum accuracy
-            location: locationNameForStorage,
-            latitude: gpsCoordinates?.latitude || null,
-            longitude: gpsCoordinates?.longitude || null,
+            location: entity.location,
+            ...coordinates,
             
             socialMediaSource: socialMediaSource,
             rating: deal.rating || '4.5',
-            timestamp: timestamp,
-            ttl: ttl,
+            timestamp: Date.now(),
             fullDescription: fullDescriptionWithMeta,
             dealLink: dealLink,
             checkedAt: checkedAt,
             checkedDate: new Date().toISOString(), // Add ISO date for weekly caching
-            startDate: startDate,
-            endDate: endDate,
+            startDate: entity.startDate,
+            endDate: entity.endDate,
             createdAt: new Date().toISOString()
         };
         
-        const putParams = {
-            TableName: tableName,
-            Item: marshall(dealItem)
-        };
+        const storedDeals = await findDealsForMerchant(dynamoClient, tableName, entity.merchantKey);
+        const duplicate = storedDeals.find(stored => areDuplicateDeals(stored, dealItem));
+        const itemToSave = duplicate ? { ...mergeDeals(duplicate, dealItem), createdAt: duplicate.createdAt } : dealItem;
+        if (duplicate?.geohash && !hasCoordinates) {
+            // A copy without coordinates keeps the ones already stored
+            Object.assign(itemToSave, {
+                latitude: duplicate.latitude,
+                longitude: duplicate.longitude,
+                geohash: duplicate.geohash,
+                geohash5: duplicate.geohash5
+            });
+        }
+        itemToSave.ttl = getDealTtl(itemToSave);
+        
+        if (duplicate) {
+            console.log(`[DealsUtils] Merging deal into existing ${duplicate.dealId}: ${entity.businessName} - ${entity.offer} (seen ${itemToSave.seenCount} times)`);
+        }
         
-        await dynamoClient.send(new PutItemCommand(putParams));
-        console.log(`[DealsUtils] Saved deal to DynamoDB: ${deal.businessName} - ${dealId}`);
+        await dynamoClient.send(new PutItemCommand({
+            TableName: tableName,
+            Item: marshall(itemToSave, { removeUndefinedValues: true, convertClassInstanceToMap: true })
+        }));
+        console.log(`[DealsUtils] Saved deal to DynamoDB: ${itemToSave.businessName} - ${itemToSave.dealId}`);
         
-        return dealId;
+        return itemToSave.dealId;
         
     } catch (error) {
         console.error('[DealsUtils] Error saving deal to DynamoDB:', error);
@@ -534,6 +566,24 @@ export async function saveDealToDynamoDB(deal, location, category) {
     }
 }
 
+/**
+ * Store freshly found deals and drop the ones whose validity has already ended.
+ * Returned deals keep their original fields and gain dealId/validUntil for shared-deal tracking.
+ */
+export async function saveDealsToKnowledgeBase(deals, location, category) {
+    const freshDeals = [];
+    for (const deal of dedupeDeals(deals)) {
+        const entity = createDealEntity(deal, { location, category });
+        if (isDealExpired(entity)) {
+            console.log(`[DealsUtils] Dropping expired deal: ${entity.businessName} - ${entity.offer} (valid until ${entity.validUntil})`);
+            continue;
+        }
+        const dealId = await saveDealToDynamoDB(deal, location, category);
+        freshDeals.push({ ...deal, dealId: dealId || entity.dealId, validUntil: entity.validUntil, offerType: entity.offerType });
+    }
+    return freshDeals;
+}
+
 
 
 /**
@@ -567,36 +617,6 @@ function extractSocialMediaSource(text) {
     return 'web';
 }
 
-/**
- * Rank deals by social media priority (Singapore-focused platforms)
- */
-export function rankDealsBySocialMedia(deals) {
-    // Social media platforms popular in Singapore, ranked by deal discovery relevance
-    const socialMediaPriority = {
-        'instagram': 6,      // Most popular for deals/food in Singapore
-        'tiktok': 5,         // Growing rapidly in Singapore, especially for deals
-        'facebook': 4,       // Still very popular for business pages and deals
-        'telegram': 3,       // Popular in Singapore for deal channels and groups
-        'whatsapp': 2,       // Business WhatsApp for deals and promotions
-        'youtube': 1,        // Less common for deals but still relevant
-        'web': 0             // Direct website deals (lowest priority)
-        // Removed: twitter, linkedin (less popular for deals in Singapore)
-    };
-    
-    return deals.sort((a, b) => {
-        const aPriority = socialMediaPriority[a.socialMediaSource] || 0;
-        const bPriority = socialMediaPriority[b.socialMediaSource] || 0;
-        
-        // Higher priority first
-        if (aPriority !== bPriority) {
-            return bPriority - aPriority;
-        }
-        
-        // If same priority, sort by timestamp (newer first)
-        return (b.timestamp || 0) - (a.timestamp || 0);
-    });
-}
-
 /**
  * Parse deals from OpenAI web search response
  */
@@ -761,7 +781,7 @@ function parseDealsFromResponse(content, category, location) {
  * Create individual deal messages with images, links, and interactive buttons
  * Now enhanced with restaurant photos from Google Places API
  */
-export function createIndividualDealMessages(deals, category, nearbyPlacesDetailed = []) {
+export function createIndividualDealMessages(deals, category, nearbyPlacesDetailed = [], lang = 'en') {
     let categoryEmoji, categoryName;
     if (category === 'food') {
         categoryEmoji = '🍕';
@@ -776,12 +796,13 @@ export function createIndividualDealMessages(deals, category, nearbyPlacesDetail
         categoryEmoji = '🎯';
         categoryName = 'Deals';
     }
+    const localCategoryName = getCategoryName(lang, categoryName.toLowerCase());
     
     if (!deals || deals.length === 0) {
         return [{
             type: "text",
             text: {
-                body: `😅 Sorry, I couldn't find any ${categoryName.toLowerCase()} deals right now. Please try again later!`
+                body: t(lang, 'dealCard.none', { category: localCategoryName })
             }
         }];
     }
@@ -863,13 +884,21 @@ export function createIndividualDealMessages(deals, category, nearbyPlacesDetail
         const mapsUrl = `https://www.google.com/maps/search/?api=1&query=${encodedAddress}`;
         
         // Create deal message body with full description from DynamoDB
-        let dealText = `${categoryEmoji} *Deal ${index + 1} of ${Math.min(deals.length, 5)}*\n\n`;
+        let dealText = `${t(lang, 'dealCard.counter', { emoji: categoryEmoji, index: index + 1, total: Math.min(deals.length, 5) })}\n\n`;
         dealText += `🏢 *${businessName}*\n`;
         if (dealRating) {
             const stars = '⭐'.repeat(Math.round(dealRating));
             dealText += `${stars} *${dealRating.toFixed(1)} / 5.0*\n`;
         }
         dealText += `💰 *${offer}*\n`;
+        const dietaryBadges = formatDietaryBadges(deal, lang);
+        if (dietaryBadges) {
+            dealText += `${dietaryBadges}\n`;
+        }
+        const nearestStation = formatNearestStation(deal, lang);
+        if (nearestStation) {
+            dealText += `${nearestStation}\n`;
+        }
         dealText += `📍 ${address}\n`;
         dealText += `⏰ ${validity}\n`;
         
@@ -898,7 +927,7 @@ export function createIndividualDealMessages(deals, category, nearbyPlacesDetail
                 .trim();
             
             if (cleanDescription) {
-                dealText += `\n\n📝 *Details:*\n${cleanDescription}`;
+                dealText += `\n\n${t(lang, 'dealCard.details')}\n${cleanDescription}`;
             }
         } else if (description) {
             // Fallback to regular description if fullDescription not available
@@ -922,7 +951,7 @@ export function createIndividualDealMessages(deals, category, nearbyPlacesDetail
                 .trim();
             
             if (cleanDescription) {
-                dealText += `\n\n📝 *Details:*\n${cleanDescription}`;
+                dealText += `\n\n${t(lang, 'dealCard.details')}\n${cleanDescription}`;
             }
         }
         
@@ -933,12 +962,12 @@ export function createIndividualDealMessages(deals, category, nearbyPlacesDetail
             const linkWithUTM = dealLink.includes('?') 
                 ? `${dealLink}&utm_source=LobangLah&utm_medium=whatsapp&utm_campaign=deals`
                 : `${dealLink}?utm_source=LobangLah&utm_medium=whatsapp&utm_campaign=deals`;
-            dealText += `\n\n🔗 *Source:* ${linkWithUTM}`;
+            dealText += `\n\n${t(lang, 'dealCard.source')} ${linkWithUTM}`;
         }
         
         // Add timestamp when deal was checked
         if (deal.checkedAt) {
-            dealText += `\n\n⏰ *Verified:* ${deal.checkedAt} SGT`;
+            dealText += `\n\n${t(lang, 'dealCard.verified', { value: deal.checkedAt })}`;
         }
         
         // Add footer with source name and date
@@ -948,7 +977,7 @@ export function createIndividualDealMessages(deals, category, nearbyPlacesDetail
             day: 'numeric' 
         });
         const sourceName = deal.socialMediaSource || 'Web';
-        dealText += `\n\n──────────\n🔍 *Source:* ${sourceName.charAt(0).toUpperCase() + sourceName.slice(1)} | ${currentDate}\n🎆 *LobangLah*`;
+        dealText += `\n\n──────────\n${t(lang, 'dealCard.footerSource')} ${sourceName.charAt(0).toUpperCase() + sourceName.slice(1)} | ${currentDate}\n🎆 *LobangLah*`;
         
         // Ensure total message length stays within WhatsApp's 1024 character limit
         const maxLength = 950; // Leave some buffer for safety
@@ -969,26 +998,27 @@ export function createIndividualDealMessages(deals, category, nearbyPlacesDetail
         }
         
         // Create interactive buttons for each deal (removed More Details as requested)
+        // Compare and Save are in the follow-up list below
         const buttons = [
             {
                 type: "reply",
                 reply: {
                     id: `get_directions_${index}`,
-                    title: "📍 Directions"
+                    title: t(lang, 'button.directions')
                 }
             },
             {
                 type: "reply",
                 reply: {
                     id: `set_reminder_${index}`,
-                    title: "⏰ Set Reminder"
+                    title: t(lang, 'button.setReminder')
                 }
             },
             {
                 type: "reply",
                 reply: {
                     id: `share_deal_${index}`,
-                    title: "📤 Share Deal"
+                    title: t(lang, 'button.shareDeal')
                 }
             }
         ];
@@ -1012,7 +1042,7 @@ export function createIndividualDealMessages(deals, category, nearbyPlacesDetail
                         text: dealText
                     },
                     footer: {
-                        text: "🔍 LobangLah | Tap for actions"
+                        text: t(lang, 'dealCard.footer')
                     },
                     action: {
                         buttons: buttons
@@ -1046,7 +1076,7 @@ export function createIndividualDealMessages(deals, category, nearbyPlacesDetail
                         text: dealText
                     },
                     footer: {
-                        text: "🔍 LobangLah | Tap for actions"
+                        text: t(lang, 'dealCard.footer')
                     },
                     action: {
                         buttons: buttons
@@ -1070,43 +1100,55 @@ export function createIndividualDealMessages(deals, category, nearbyPlacesDetail
         dealMessages.push(dealMessage);
     });
     
-    // Add final action message with Chat AI button
+    // Add final action message; a list rather than buttons so Compare and Save fit next to
+    // the 3 follow-up actions (WhatsApp allows only 3 reply buttons)
+    const shownDealsCount = Math.min(deals.length, 5);
+    const followUpRows = [
+        {
+            id: "more_deals",
+            title: t(lang, 'button.moreDeals')
+        },
+        {
+            id: "setup_alert",
+            title: t(lang, 'button.setDailyAlert')
+        },
+        {
+            id: "search_new_area",
+            title: t(lang, 'button.newArea')
+        }
+    ];
+    if (shownDealsCount >= MIN_COMPARE_DEALS) {
+        followUpRows.splice(1, 0, {
+            id: "compare_start",
+            title: t(lang, 'compare.header'),
+            description: t(lang, 'dealCard.compareDescription')
+        });
+    }
+    followUpRows.splice(followUpRows.length - 2, 0, {
+        id: "save_pick",
+        title: t(lang, 'saved.pickTitle'),
+        description: t(lang, 'saved.pickDescription')
+    });
+    
     const finalActionMessage = {
         type: "interactive",
         interactive: {
-            type: "button",
+            type: "list",
             header: {
                 type: "text",
-                text: `${categoryEmoji} All ${categoryName} Deals Shown!`
+                text: t(lang, 'dealCard.allShownHeader', { emoji: categoryEmoji, category: localCategoryName.charAt(0).toUpperCase() + localCategoryName.slice(1) })
             },
             body: {
-                text: `🎉 Found ${Math.min(deals.length, 5)} amazing ${categoryName.toLowerCase()} deals for you!\n\n✨ Great deals discovered! You can:\n• Get more deals in this area\n• Search in a new location\n• Use the buttons on each deal for directions, reminders, and sharing\n\n🛍️ Happy deal hunting!`
+                text: t(lang, 'dealCard.allShownBody', { count: shownDealsCount, category: localCategoryName })
             },
             footer: {
-                text: "🔍 Sources: Instagram, Facebook, TikTok & Web | LobangLah 🎯"
+                text: t(lang, 'dealCard.allShownFooter')
             },
             action: {
-                buttons: [
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "more_deals",
-                            title: "🔍 More Deals"
-                        }
-                    },
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "setup_alert",
-                            title: "🔔 Set Daily Alert"
-                        }
-                    },
+                button: t(lang, 'dealCard.allShownButton'),
+                sections: [
                     {
-                        type: "reply",
-                        reply: {
-                            id: "search_new_area",
-                            title: "📍 New Area"
-                        }
+                        rows: followUpRows
                     }
                 ]
             }
@@ -1128,110 +1170,120 @@ export function createDealsMessage(deals, category) {
 }
 
 /**
- * Create location message for selected deal with share options
+ * Full details of a selected deal with directions / share / more deals buttons
  */
-export function createLocationMessage(deal) {
-    // Enhanced deal details with better formatting and more information
-    const businessName = deal.restaurant || deal.store || deal.businessName || 'Business';
-    const address = deal.fullAddress || deal.address || deal.location || 'Address not available';
-    const offer = deal.discount || deal.offer || 'Special offer';
-    const description = deal.description || 'Great deal available';
-    const validity = deal.validity || 'Limited time';
-    const sourceText = deal.socialMediaSource && deal.socialMediaSource !== 'Web Search' ? `\n🔗 *Source:* ${deal.socialMediaSource}` : '';
+export function createLocationMessage(deal, lang = 'en') {
+    const businessName = deal.restaurant || deal.store || deal.businessName || t(lang, 'dealDetails.defaultBusiness');
+    const address = deal.fullAddress || deal.address || deal.location || t(lang, 'dealDetails.noAddress');
+    const offer = deal.discount || deal.offer || t(lang, 'dealDetails.defaultOffer');
+    const description = deal.description || t(lang, 'dealDetails.defaultDescription');
+    const validity = deal.validity || t(lang, 'dealDetails.defaultValidity');
+    const sourceText = deal.socialMediaSource && deal.socialMediaSource !== 'Web Search' ? `\n${t(lang, 'dealCard.source')} ${deal.socialMediaSource}` : '';
     
-    // Create comprehensive deal details
     let dealText = `🔥 *${deal.title}*\n\n`;
     dealText += `🏪 *${businessName}*\n`;
-    dealText += `📍 *Location:* ${address}\n`;
-    dealText += `💰 *Offer:* ${offer}\n`;
-    dealText += `📝 *Details:* ${description}\n`;
-    dealText += `⏰ *Valid Until:* ${validity}${sourceText}\n`;
+    dealText += `${t(lang, 'dealDetails.location', { address })}\n`;
+    dealText += `${t(lang, 'dealDetails.offer', { offer })}\n`;
+    dealText += `${t(lang, 'dealDetails.details', { description })}\n`;
+    dealText += `${t(lang, 'dealDetails.validUntil', { validity })}${sourceText}\n`;
     
     // Add full description if available
     if (deal.fullDescription && deal.fullDescription !== description) {
-        dealText += `\n📋 *Complete Details:*\n${deal.fullDescription}\n`;
+        dealText += `\n${t(lang, 'dealDetails.completeDetails')}\n${deal.fullDescription}\n`;
     }
     
     // Add contact info if available
     if (deal.phone || deal.website || deal.contact) {
-        dealText += `\n📞 *Contact:*\n`;
-        if (deal.phone) dealText += `Phone: ${deal.phone}\n`;
-        if (deal.website) dealText += `Website: ${deal.website}\n`;
+        dealText += `\n${t(lang, 'dealDetails.contact')}\n`;
+        if (deal.phone) dealText += `${t(lang, 'dealDetails.phone', { phone: deal.phone })}\n`;
+        if (deal.website) dealText += `${t(lang, 'dealDetails.website', { website: deal.website })}\n`;
         if (deal.contact && !deal.phone && !deal.website) dealText += `${deal.contact}\n`;
     }
     
-    dealText += `\n🎯 Tap the buttons below for more actions!`;
+    dealText += `\n${t(lang, 'dealDetails.tapForActions')}`;
     
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: {
-                type: "text",
-                text: "🎯 Deal Details"
-            },
-            body: {
-                text: dealText
-            },
-            footer: {
-                text: "🔍 Source: AI Web Search | LobangLah 🎯"
-            },
-            action: {
-                buttons: [
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "get_directions",
-                            title: "🗺️ Directions"
-                        }
-                    },
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "share_deal",
-                            title: "📤 Share"
-                        }
-                    },
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "more_deals",
-                            title: "🔍 More Deals"
-                        }
-                    }
-                ]
-            }
-        }
-    };
+    return msg.buttons(dealText)
+        .builtBy('createLocationMessage')
+        .header(t(lang, 'dealDetails.header'))
+        .footer(t(lang, 'dealDetails.footer'))
+        .button('get_directions', t(lang, 'button.directions'))
+        .button('share_deal', t(lang, 'button.shareDeal'))
+        .button('more_deals', t(lang, 'button.moreDeals'))
+        .build();
+}
+
+// Profiles for offline runs, keyed by phone number
+const localProfiles = new Map();
+
+function getUserProfilesTableName() {
+    return process.env.LOBANGLAH_USER_PROFILES_TABLE_NAME || 'store-ai-bot-dev-user-profiles';
 }
 
 /**
- * Save user profile (mock implementation)
+ * Save fields of a user's profile (e.g. { dietary: ['halal'] }). Unlike the session item the
+ * profile has no TTL, so preferences set once are kept.
+ * @returns {Promise<boolean>} - Whether the profile was saved
  */
 export async function saveUserProfile(phoneNumber, profile) {
-    // In a real implementation, this would save to DynamoDB
-    console.log(`[DealsUtils] Saving profile for ${phoneNumber}:`, profile);
-    return true;
+    if (isOfflineMode()) {
+        localProfiles.set(phoneNumber, { ...localProfiles.get(phoneNumber), phone_number: phoneNumber, ...profile, updatedAt: new Date().toISOString() });
+        return true;
+    }
+
+    try {
+        const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+        const fields = { ...profile, updatedAt: new Date().toISOString() };
+        const names = Object.keys(fields);
+        
+        await dynamoClient.send(new UpdateItemCommand({
+            TableName: getUserProfilesTableName(),
+            Key: marshall({ phone_number: phoneNumber }),
+            UpdateExpression: `SET ${names.map((name, index) => `#f${index} = :v${index}`).join(', ')}`,
+            ExpressionAttributeNames: Object.fromEntries(names.map((name, index) => [`#f${index}`, name])),
+            ExpressionAttributeValues: marshall(Object.fromEntries(names.map((name, index) => [`:v${index}`, fields[name]])), { removeUndefinedValues: true })
+        }));
+        
+        console.log(`[DealsUtils] Saved profile fields for ${phoneNumber}: ${Object.keys(profile).join(', ')}`);
+        return true;
+    } catch (error) {
+        console.error(`[DealsUtils] Error saving profile for ${phoneNumber}:`, error);
+        return false;
+    }
 }
 
 /**
- * Get user profile (mock implementation)
+ * Get a user's profile, with defaults when nothing has been saved yet
+ * @returns {Promise<Object>} - { dietary: [], ... }
  */
 export async function getUserProfile(phoneNumber) {
-    // In a real implementation, this would fetch from DynamoDB
-    console.log(`[DealsUtils] Getting profile for ${phoneNumber}`);
-    return { searchCount: 0 };
+    if (isOfflineMode()) {
+        return { dietary: [], ...localProfiles.get(phoneNumber) };
+    }
+
+    try {
+        const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+        const result = await dynamoClient.send(new GetItemCommand({
+            TableName: getUserProfilesTableName(),
+            Key: marshall({ phone_number: phoneNumber })
+        }));
+        
+        return { dietary: [], ...(result.Item ? unmarshall(result.Item) : {}) };
+    } catch (error) {
+        console.error(`[DealsUtils] Error getting profile for ${phoneNumber}:`, error);
+        return { dietary: [] };
+    }
 }
 
 /**
- * Search for more unique deals from DynamoDB based on location matching and dealId tracking
+ * Search for more unique deals from DynamoDB based on location matching and dealId tracking.
+ * With `webFallback` off an empty result is returned as-is instead of falling back to web search.
  */
-export async function searchMoreDealsFromDynamoDB(location, category, sharedDealIds = [], maxResults = 10) {
+export async function searchMoreDealsFromDynamoDB(location, category, sharedDealIds = [], maxResults = 10, { webFallback = true } = {}) {
     try {
         console.log(`[DealsUtils] Searching for more deals in DynamoDB for location: ${JSON.stringify(location)}, category: ${category}`);
         
         const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
-        const tableName = 'store-ai-bot-dev-deals';
+        const tableName = process.env.DEALS_TABLE_NAME || 'store-ai-bot-dev-deals';
         
         // Build comprehensive location search terms with variations
         const locationTerms = [];
@@ -1270,93 +1322,77 @@ export async function searchMoreDealsFromDynamoDB(location, category, sharedDeal
         // Check if we have exact GPS coordinates for precise matching
         const hasExactCoordinates = location.latitude && location.longitude;
         
-        // For exact GPS coordinates, only show this week's deals
-        // For other locations, show all valid deals
-        let filterExpression, expressionAttributeValues;
+        let locationMatchedDeals;
         
         if (hasExactCoordinates) {
-            console.log(`[DealsUtils] Using exact GPS coordinates (${location.latitude}, ${location.longitude}) - filtering to this week's deals only`);
-            filterExpression = 'category = :category AND endDate > :currentTime AND checkedDate >= :weekStart';
-            expressionAttributeValues = marshall({
-                ':category': category,
-                ':currentTime': currentTime,
-                ':weekStart': weekStartISO
+            // Geohash radius query (500m, then 1km, then 3km), nearest first; only this week's deals
+            console.log(`[DealsUtils] Using exact GPS coordinates (${location.latitude}, ${location.longitude}) - geohash radius search for this week's deals`);
+            const { deals: nearbyDeals, radiusMeters } = await findNearestDeals(location, category, {
+                minResults: sharedDealIds.length + Math.min(maxResults, 5),
+                extraFilter: {
+                    expression: 'endDate > :currentTime AND checkedDate >= :weekStart',
+                    values: { ':currentTime': currentTime, ':weekStart': weekStartISO }
+                }
             });
+            locationMatchedDeals = nearbyDeals.filter(deal => !isDealExpired(deal));
+            console.log(`[DealsUtils] Geohash search found ${locationMatchedDeals.length} deals within ${radiusMeters}m`);
         } else {
-            console.log(`[DealsUtils] No exact GPS coordinates - showing all valid deals`);
-            filterExpression = 'category = :category AND endDate > :currentTime';
-            expressionAttributeValues = marshall({
-                ':category': category,
-                ':currentTime': currentTime
-            });
-        }
-        
-        // Search for deals using scan operation (since we need to match multiple location fields)
-        const scanParams = {
-            TableName: tableName,
-            FilterExpression: filterExpression,
-            ExpressionAttributeValues: expressionAttributeValues,
-            Limit: 100 // Get more results for better filtering
-        };
-        
-        // Use ScanCommand instead of QueryCommand for filtering
-        const scanCommand = new ScanCommand(scanParams);
-        const result = await dynamoClient.send(scanCommand);
-        
-        if (!result.Items || result.Items.length === 0) {
-            console.log(`[DealsUtils] No additional deals found in DynamoDB for ${category}`);
-            return [];
-        }
-        
-        // Unmarshall and process deals
-        const allDeals = result.Items.map(item => unmarshall(item));
-        console.log(`[DealsUtils] Found ${allDeals.length} total deals in DynamoDB`);
-        
-        // Filter deals based on location matching (improved logic)
-        const locationMatchedDeals = allDeals.filter(deal => {
-            // GPS-based matching (within 2km radius if coordinates available)
-            if (location.latitude && location.longitude && deal.latitude && deal.longitude) {
-                const distance = calculateDistance(
-                    location.latitude, location.longitude,
-                    parseFloat(deal.latitude), parseFloat(deal.longitude)
-                );
-                if (distance <= 1.0) { // Within 1km
-                    console.log(`[DealsUtils] GPS match found: ${deal.businessName} (${distance.toFixed(2)}km away)`);
-                    return true;
-                }
-            }
+            // No coordinates: scan and match on location names
+            console.log(`[DealsUtils] No exact GPS coordinates - matching location names across all valid deals`);
+            const scanParams = {
+                TableName: tableName,
+                FilterExpression: 'category = :category AND endDate > :currentTime',
+                ExpressionAttributeValues: marshall({
+                    ':category': category,
+                    ':currentTime': currentTime
+                }),
+                Limit: 100 // Get more results for better filtering
+            };
             
-            // Postal code exact match
-            if (location.postalCode && deal.postalCode) {
-                if (location.postalCode === deal.postalCode) {
-                    console.log(`[DealsUtils] Postal code match: ${deal.businessName}`);
-                    return true;
-                }
+            const result = await dynamoClient.send(new ScanCommand(scanParams));
+            
+            if (!result.Items || result.Items.length === 0) {
+                console.log(`[DealsUtils] No additional deals found in DynamoDB for ${category}`);
+                return [];
             }
             
-            // Text-based location matching with improved logic and null safety
-            const dealLocation = (deal.location || deal.fullAddress || deal.vicinity || '').toString();
-            const dealAddress = (deal.address || deal.fullAddress || deal.vicinity || '').toString();
-            const dealDescription = (deal.description || deal.fullDescription || '').toString();
+            // Unmarshall and process deals; TTL deletion lags, so expired deals are filtered here too
+            const allDeals = result.Items.map(item => unmarshall(item)).filter(deal => !isDealExpired(deal));
+            console.log(`[DealsUtils] Found ${allDeals.length} total unexpired deals in DynamoDB`);
             
-            // Check if any location term matches the deal's location data
-            return locationTerms.some(term => {
-                if (!term || term.length < 3) return false; // Skip very short terms
-                
-                const termLower = term.toLowerCase();
-                const isMatch = (
-                    dealLocation.toLowerCase().includes(termLower) ||
-                    dealAddress.toLowerCase().includes(termLower) ||
-                    (dealDescription.toLowerCase().includes(termLower) && termLower.length > 5) // Only match description for longer terms
-                );
-                
-                if (isMatch) {
-                    console.log(`[DealsUtils] Text match found: ${deal.businessName} (term: ${term})`);
+            locationMatchedDeals = allDeals.filter(deal => {
+                // Postal code exact match
+                if (location.postalCode && deal.postalCode) {
+                    if (location.postalCode === deal.postalCode) {
+                        console.log(`[DealsUtils] Postal code match: ${deal.businessName}`);
+                        return true;
+                    }
                 }
                 
-                return isMatch;
+                // Text-based location matching with improved logic and null safety
+                const dealLocation = (deal.location || deal.fullAddress || deal.vicinity || '').toString();
+                const dealAddress = (deal.address || deal.fullAddress || deal.vicinity || '').toString();
+                const dealDescription = (deal.description || deal.fullDescription || '').toString();
+                
+                // Check if any location term matches the deal's location data
+                return locationTerms.some(term => {
+                    if (!term || term.length < 3) return false; // Skip very short terms
+                    
+                    const termLower = term.toLowerCase();
+                    const isMatch = (
+                        dealLocation.toLowerCase().includes(termLower) ||
+                        dealAddress.toLowerCase().includes(termLower) ||
+                        (dealDescription.toLowerCase().includes(termLower) && termLower.length > 5) // Only match description for longer terms
+                    );
+                    
+                    if (isMatch) {
+                        console.log(`[DealsUtils] Text match found: ${deal.businessName} (term: ${term})`);
+                    }
+                    
+                    return isMatch;
+                });
             });
-        });
+        }
         
         console.log(`[DealsUtils] Found ${locationMatchedDeals.length} location-matched deals`);
         
@@ -1380,11 +1416,13 @@ export async function searchMoreDealsFromDynamoDB(location, category, sharedDeal
             return true; // This is a new deal
         });
         
-        console.log(`[DealsUtils] Found ${uniqueDeals.length} unique additional deals`);
+        // Merge fuzzy duplicates stored before deal entities existed
+        const dedupedDeals = dedupeDeals(uniqueDeals);
+        console.log(`[DealsUtils] Found ${dedupedDeals.length} unique additional deals`);
         
         // Remove duplicate restaurants based on business name
         const seenRestaurants = new Set();
-        const uniqueRestaurantDeals = uniqueDeals.filter(deal => {
+        const uniqueRestaurantDeals = dedupedDeals.filter(deal => {
             const restaurantName = (deal.businessName || deal.placeName || deal.title || deal.restaurant || '').toLowerCase().trim();
             
             if (!seenRestaurants.has(restaurantName) && restaurantName) {
@@ -1398,15 +1436,17 @@ export async function searchMoreDealsFromDynamoDB(location, category, sharedDeal
         
         console.log(`[DealsUtils] After restaurant deduplication: ${uniqueRestaurantDeals.length} unique restaurant deals`);
         
-        // Sort by creation date (newest first) and limit results
+        // Nearest first for radius searches, otherwise newest first
         const sortedDeals = uniqueRestaurantDeals
-            .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
+            .sort((a, b) => hasExactCoordinates
+                ? a.distanceMeters - b.distanceMeters
+                : new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
             .slice(0, maxResults);
         
         console.log(`[DealsUtils] Returning ${sortedDeals.length} more deals from DynamoDB (unique restaurants only)`);
         
         // If no deals found in DynamoDB, fallback to Google search + OpenAI
-        if (sortedDeals.length === 0) {
+        if (sortedDeals.length === 0 && webFallback) {
             console.log(`[DealsUtils] No deals found in DynamoDB, trying Google search fallback...`);
             return await searchMoreDealsWithGoogleFallback(location, category, sharedDealIds, maxResults);
         }
@@ -1415,6 +1455,9 @@ export async function searchMoreDealsFromDynamoDB(location, category, sharedDeal
         
     } catch (error) {
         console.error('[DealsUtils] Error searching more deals from DynamoDB:', error);
+        if (!webFallback) {
+            return [];
+        }
         // Try Google search fallback on error
         try {
             console.log(`[DealsUtils] Trying Google search fallback due to DynamoDB error...`);
@@ -1426,31 +1469,15 @@ export async function searchMoreDealsFromDynamoDB(location, category, sharedDeal
     }
 }
 
-/**
- * Calculate distance between two GPS coordinates in kilometers
- */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Radius of the Earth in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = 
-        Math.sin(dLat/2) * Math.sin(dLat/2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-        Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    const distance = R * c; // Distance in kilometers
-    return distance;
-}
-
 /**
  * Search for more deals using Google search + OpenAI when DynamoDB returns no results
  */
-async function searchMoreDealsWithGoogleFallback(location, category, sharedDealIds = [], maxResults = 5) {
+export async function searchMoreDealsWithGoogleFallback(location, category, sharedDealIds = [], maxResults = 5, botConfig = {}) {
     try {
         console.log(`[DealsUtils] Google fallback search for ${category} deals near ${location.displayName || location.area}`);
         
-        // Use environment variables for API keys (should be set in Lambda)
-        const openAIApiKey = process.env.OPENAI_API_KEY;
+        // Store key first, then the Lambda environment
+        const openAIApiKey = botConfig?.openAiApiKey || botConfig?.openAIApiKey || botConfig?.openaiApiKey || process.env.OPENAI_API_KEY;
         
         if (!openAIApiKey) {
             console.log(`[DealsUtils] No OpenAI API key available for fallback search`);
@@ -1584,58 +1611,6 @@ export function getSharedDealIds(session) {
     return session.sharedDealIds || [];
 }
 
-/**
- * Create chat session timeout warning message
- */
-export function createChatTimeoutWarning() {
-    return {
-        type: "text",
-        text: {
-            body: "⏰ *Chat Session Timeout Warning*\n\nYour chat session will automatically end in 30 seconds due to inactivity.\n\n💬 Send any message to continue chatting, or the session will return to the main menu.\n\n🔄 You can always restart by selecting 'Chat AI' again!"
-        }
-    };
-}
-
-/**
- * Create chat session ended message
- */
-export function createChatSessionEndedMessage() {
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: {
-                type: "text",
-                text: "💬 Chat Session Ended"
-            },
-            body: {
-                text: "Your chat session has ended due to inactivity.\n\n🎯 Ready to search for more deals or start a new chat session?"
-            },
-            footer: {
-                text: "🔍 LobangLah | Your deals companion"
-            },
-            action: {
-                buttons: [
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "search_new_deals",
-                            title: "🔍 New Search"
-                        }
-                    },
-                    {
-                        type: "reply",
-                        reply: {
-                            id: "main_menu",
-                            title: "🏠 Main Menu"
-                        }
-                    }
-                ]
-            }
-        }
-    };
-}
-
 /**
  * Create mock deals when API calls fail
  */
@@ -1828,49 +1803,44 @@ export async function getNearbyBusinessesFromDB(location, category) {
         
         console.log(`[DealsUtils] Searching DB with location terms: ${locationTerms.join(', ')}`);
         
-        // Scan the deals table to find businesses in the area
-        const scanParams = {
-            TableName: tableName,
-            FilterExpression: '#category = :category',
-            ExpressionAttributeNames: {
-                '#category': 'category'
-            },
-            ExpressionAttributeValues: marshall({
-                ':category': category
-            })
-        };
+        let nearbyDeals;
         
-        const result = await dynamoClient.send(new ScanCommand(scanParams));
-        const allDeals = result.Items ? result.Items.map(item => unmarshall(item)) : [];
-        
-        console.log(`[DealsUtils] Found ${allDeals.length} total deals in DB for category ${category}`);
-        
-        // Filter deals by location proximity
-        const nearbyDeals = allDeals.filter(deal => {
-            // Check if deal location matches any of our location terms
-            const dealLocation = (deal.location || '').toLowerCase();
-            const dealAddress = (deal.address || '').toLowerCase();
-            const businessName = (deal.businessName || '').toLowerCase();
+        if (location.latitude && location.longitude) {
+            // Geohash radius query, nearest first
+            const { deals, radiusMeters } = await findNearestDeals(location, category, { minResults: 5 });
+            nearbyDeals = deals.filter(deal => !isDealExpired(deal));
+            console.log(`[DealsUtils] Geohash search found ${nearbyDeals.length} deals within ${radiusMeters}m`);
+        } else {
+            // Scan the deals table to find businesses in the area
+            const scanParams = {
+                TableName: tableName,
+                FilterExpression: '#category = :category',
+                ExpressionAttributeNames: {
+                    '#category': 'category'
+                },
+                ExpressionAttributeValues: marshall({
+                    ':category': category
+                })
+            };
             
-            // GPS-based matching if coordinates are available
-            if (location.latitude && location.longitude && deal.latitude && deal.longitude) {
-                const distance = calculateDistance(
-                    location.latitude, location.longitude,
-                    deal.latitude, deal.longitude
-                );
-                if (distance <= 2.0) { // Within 2km
-                    console.log(`[DealsUtils] GPS match: ${businessName} at ${distance.toFixed(2)}km`);
-                    return true;
-                }
-            }
+            const result = await dynamoClient.send(new ScanCommand(scanParams));
+            const allDeals = result.Items ? result.Items.map(item => unmarshall(item)).filter(deal => !isDealExpired(deal)) : [];
+            
+            console.log(`[DealsUtils] Found ${allDeals.length} total unexpired deals in DB for category ${category}`);
             
             // Text-based location matching
-            return locationTerms.some(term => 
-                dealLocation.includes(term) || 
-                dealAddress.includes(term) ||
-                businessName.includes(term)
-            );
-        });
+            nearbyDeals = allDeals.filter(deal => {
+                const dealLocation = (deal.location || '').toLowerCase();
+                const dealAddress = (deal.address || '').toLowerCase();
+                const businessName = (deal.businessName || '').toLowerCase();
+                
+                return locationTerms.some(term => 
+                    dealLocation.includes(term) || 
+                    dealAddress.includes(term) ||
+                    businessName.includes(term)
+                );
+            });
+        }
         
         console.log(`[DealsUtils] Filtered to ${nearbyDeals.length} nearby deals`);
         
@@ -1884,7 +1854,8 @@ export async function getNearbyBusinessesFromDB(location, category) {
                     address: deal.address || 'Singapore',
                     location: deal.location || '',
                     latitude: deal.latitude,
-                    longitude: deal.longitude
+                    longitude: deal.longitude,
+                    distanceMeters: deal.distanceMeters
                 });
             }
         });
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveUserProfile, getUserProfile } from './dealsUtils.js';
+
+process.env.OFFLINE_MODE = 'true';
+
+test('a profile without saved fields has no dietary preference', async () => {
+    assert.deepEqual(await getUserProfile('6590000101'), { dietary: [] });
+});
+
+test('saved profile fields are loaded back and merged with later saves', async () => {
+    assert.equal(await saveUserProfile('6590000102', { dietary: ['halal'] }), true);
+    assert.deepEqual((await getUserProfile('6590000102')).dietary, ['halal']);
+
+    await saveUserProfile('6590000102', { language: 'ms' });
+    const profile = await getUserProfile('6590000102');
+    assert.deepEqual(profile.dietary, ['halal']);
+    assert.equal(profile.language, 'ms');
+    assert.equal(profile.phone_number, '6590000102');
+});
@@ -2,7 +2,6 @@
 // Verifies OpenAI deals for authenticity and relevance to user location
 import axios from 'axios';
 
-const DEEPSEEK_API_KEY = 'sk-bf253363d9e4407d8186367dfd368011';
 const DEEPSEEK_API_URL = 'https://api.deepseek.com/v1/chat/completions';
 
 /**
@@ -18,6 +17,13 @@ export async function verifyDealsWithDeepSeek(deals, location, nearbyPlaces = []
         return [];
     }
 
+    // A secret reference in serverless.yml, resolved by resolveEnvironmentSecrets()
+    const apiKey = process.env.DEEPSEEK_API_KEY;
+    if (!apiKey) {
+        console.log('[DeepSeekVerification] DEEPSEEK_API_KEY not set, skipping verification');
+        return deals;
+    }
+
     console.log(`[DeepSeekVerification] Verifying ${deals.length} deals for location: ${location.displayName}`);
     
     try {
@@ -42,7 +48,7 @@ export async function verifyDealsWithDeepSeek(deals, location, nearbyPlaces = []
             max_tokens: 2000
         }, {
             headers: {
-                'Authorization': `Bearer ${DEEPSEEK_API_KEY}`,
+                'Authorization': `Bearer ${apiKey}`,
                 'Content-Type': 'application/json'
             }
         });
@@ -133,6 +139,7 @@ RESPONSE FORMAT:
     "offer": "verified offer",
     "contact": "verified contact",
     "validity": "verified validity",
+    "confidence": 0.0-1.0,
     "verificationReason": "brief reason why this deal is authentic"
   }
 ]
@@ -160,6 +167,7 @@ function parseVerificationResult(verificationResult, originalDeals) {
                 // Add verification metadata to deals
                 const enhancedDeals = verifiedDeals.map(deal => ({
                     ...deal,
+                    verificationConfidence: typeof deal.confidence === 'number' ? deal.confidence : null,
                     verified: true,
                     verifiedBy: 'deepseek',
                     verificationTimestamp: new Date().toISOString()
@@ -14,7 +14,6 @@ export async function verifyDealsWithDeepSeek(deals, category, deepSeekApiKey) {
     // for the DeepSeek API with the list of places and ask it to find deals.
     console.log(`[DeepSeek] Verifying ${deals.length} deals for category: ${category}`);
     console.log(`[DeepSeek] Using API Key starting with: ${deepSeekApiKey?.substring(0, 5)}`);
-    console.log(`[DeepSeek] API Key: ${deepSeekApiKey}`);
 
     // For now, returning mock deals to simulate the output.
     // Mock verification: for now, assume all deals are verified and return them.
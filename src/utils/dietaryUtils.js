@@ -0,0 +1,221 @@
+// Dietary Preferences - halal and vegetarian evidence for deals, filtering and card badges
+//
+//   dietary_settings             picker (What Else list or "dietary")
+//   dietary_toggle_<option>      turn halal / vegetarian on or off
+//   dietary_clear                no dietary needs
+//
+// Preferences are kept in the user's profile (saveUserProfile in dealsUtils.js) as `dietary`.
+// Evidence per deal, strongest first: the MUIS halal listing (src/data/muisHalalEstablishments.js),
+// Google Places attributes (servesVegetarianFood, vegetarian/vegan restaurant types), then the deal text.
+import { msg } from './messageBuilder.js';
+import { t } from './i18n.js';
+import { normalizeMerchantName } from './dealEntity.js';
+import { singaporeDealCategories } from './singaporeFeatures.js';
+import { getPlaceDietaryAttributes } from './googleLocationUtils.js';
+import { MUIS_HALAL_ESTABLISHMENTS } from '../data/muisHalalEstablishments.js';
+
+export const DIETARY_OPTIONS = ['halal', 'vegetarian'];
+
+// Evidence statuses, best first, with how well each one satisfies the need (used by deal ranking)
+export const DIETARY_STATUS_SCORES = { certified: 1, yes: 0.9, likely: 0.7, unknown: 0.3, no: 0 };
+const STATUS_ORDER = ['certified', 'yes', 'likely', 'no'];
+
+// First match wins, so "not halal" is read before "halal" and pork or alcohol before a halal claim.
+// "No pork, no lard" and "pork-free" are not pork.
+const DEAL_TEXT_EVIDENCE = {
+    halal: [
+        { status: 'no', pattern: /\b(non[- ]?halal|not halal|no halal|without halal|halal[\w ]{0,30}\b(unavailable|not available))\b/ },
+        { status: 'no', pattern: /(?<!\bno )\b(pork|bak kut teh|char siew|char siu|bacon|ham|lard|beer|wine|cocktails?|sake)\b(?![- ]free)/ },
+        { status: 'yes', pattern: /\b(halal|muis)\b/ },
+        { status: 'likely', pattern: /\b(muslim[- ]?(owned|friendly)|no pork,? no lard|pork[- ]free)\b/ }
+    ],
+    vegetarian: [
+        { status: 'yes', pattern: /\b(vegetarian|vegan|plant[- ]based|meatless|mock meat)\b/ }
+    ]
+};
+const VEGETARIAN_PLACE_TYPES = ['vegetarian_restaurant', 'vegan_restaurant'];
+
+let muisIndex = null;
+
+/**
+ * MUIS entries by normalized name, built on first use
+ */
+function getMuisIndex() {
+    if (!muisIndex) {
+        muisIndex = { outlets: new Map(), chains: [] };
+        for (const entry of MUIS_HALAL_ESTABLISHMENTS) {
+            const name = normalizeMerchantName(entry.name);
+            if (entry.chain) {
+                muisIndex.chains.push(name);
+            } else {
+                muisIndex.outlets.set(name, [...(muisIndex.outlets.get(name) || []), entry.postalCode || null]);
+            }
+        }
+    }
+    return muisIndex;
+}
+
+function getPostalCode(deal) {
+    const address = deal.merchant?.address || deal.address || deal.fullAddress || '';
+    return String(address).match(/\b(\d{6})\b/)?.[1] || null;
+}
+
+/**
+ * Halal evidence from the MUIS listing: a certified chain or outlet (same name and postal code).
+ * A name match without a postal code to check is only "likely".
+ */
+function getMuisEvidence(deal) {
+    const name = deal.merchant?.normalizedName ?? normalizeMerchantName(deal.businessName || deal.restaurant || deal.title);
+    if (!name) {
+        return null;
+    }
+    const { outlets, chains } = getMuisIndex();
+    if (chains.some(chain => name === chain || name.startsWith(`${chain} `))) {
+        return { status: 'certified', source: 'muis' };
+    }
+    const postalCodes = outlets.get(name);
+    if (!postalCodes) {
+        return null;
+    }
+    const postalCode = getPostalCode(deal);
+    if (postalCode && postalCodes.includes(postalCode)) {
+        return { status: 'certified', source: 'muis' };
+    }
+    return postalCode ? null : { status: 'likely', source: 'muis' };
+}
+
+function getPlacesEvidence(placeAttributes) {
+    if (!placeAttributes) {
+        return null;
+    }
+    if ((placeAttributes.types || []).some(type => VEGETARIAN_PLACE_TYPES.includes(type)) || placeAttributes.servesVegetarianFood === true) {
+        return { status: 'yes', source: 'google places' };
+    }
+    return placeAttributes.servesVegetarianFood === false ? { status: 'no', source: 'google places' } : null;
+}
+
+function getTextEvidence(deal, option) {
+    const dealText = `${deal.businessName || ''} ${deal.title || ''} ${deal.offer || ''} ${deal.description || ''}`.toLowerCase();
+    const match = DEAL_TEXT_EVIDENCE[option].find(({ pattern }) => pattern.test(dealText));
+    return match ? { status: match.status, source: 'deal text' } : null;
+}
+
+/**
+ * Best evidence for one option. A MUIS certification always wins; otherwise a "no" in the deal
+ * text (pork, "not halal") wins, and then any positive evidence wins over a "no".
+ */
+function collectEvidence(deal, option, placeAttributes = null) {
+    const textEvidence = getTextEvidence(deal, option);
+    const evidence = [
+        option === 'halal' ? getMuisEvidence(deal) : null,
+        option === 'vegetarian' ? getPlacesEvidence(placeAttributes || (deal.types ? { types: deal.types } : null)) : null,
+        textEvidence
+    ].filter(Boolean);
+
+    if (textEvidence?.status === 'no' && !evidence.some(item => item.status === 'certified')) {
+        return textEvidence;
+    }
+    for (const status of STATUS_ORDER) {
+        const match = evidence.find(item => item.status === status);
+        if (match) {
+            return match;
+        }
+    }
+    return { status: 'unknown', source: null };
+}
+
+/**
+ * Evidence for one option, from applyDietaryPreferences when the deal went through it
+ * @returns {{status: 'certified'|'yes'|'likely'|'no'|'unknown', source: string|null}}
+ */
+export function getDietaryEvidence(deal, option) {
+    return deal.dietary?.[option] || collectEvidence(deal, option);
+}
+
+/**
+ * Tag deals with dietary evidence (`deal.dietary`) and drop the ones that clearly do not meet
+ * a requested option. Google Places is only asked about vegetarian food when the user needs it
+ * and nothing local answered.
+ */
+export async function applyDietaryPreferences(deals = [], dietary = [], botConfig = {}) {
+    const requested = dietary.filter(option => DIETARY_OPTIONS.includes(option));
+    const googleMapsApiKey = botConfig?.googleMapsApiKey || process.env.GOOGLE_MAPS_API_KEY;
+
+    const tagged = await Promise.all(deals.map(async deal => {
+        const placeId = deal.merchant?.placeId || deal.placeId;
+        let placeAttributes = null;
+        if (requested.includes('vegetarian') && googleMapsApiKey && placeId && collectEvidence(deal, 'vegetarian').status === 'unknown') {
+            placeAttributes = await getPlaceDietaryAttributes(placeId, googleMapsApiKey);
+        }
+        return {
+            ...deal,
+            dietary: Object.fromEntries(DIETARY_OPTIONS.map(option => [
+                option,
+                { ...collectEvidence(deal, option, placeAttributes), requested: requested.includes(option) }
+            ]))
+        };
+    }));
+
+    if (requested.length === 0) {
+        return tagged;
+    }
+    const kept = tagged.filter(deal => requested.every(option => deal.dietary[option].status !== 'no'));
+    console.log(`[Dietary] Kept ${kept.length}/${deals.length} deals for ${requested.join(', ')}`);
+    return kept;
+}
+
+/**
+ * Dietary constraint for deal search prompts, e.g. "must be halal (look for: MUIS halal-certified, ...)"
+ */
+export function formatDietaryConstraint(dietary = []) {
+    const dietaryKeywords = singaporeDealCategories.food.dietaryKeywords || {};
+    return dietary
+        .filter(option => DIETARY_OPTIONS.includes(option))
+        .map(option => `must be ${option}${dietaryKeywords[option] ? ` (look for: ${dietaryKeywords[option].join(', ')})` : ''}`)
+        .join('; ');
+}
+
+/**
+ * Badge line for a deal card, e.g. "☪️ MUIS halal-certified". Unconfirmed options are only
+ * flagged when the user asked for them.
+ */
+export function formatDietaryBadges(deal, lang = 'en') {
+    return DIETARY_OPTIONS
+        .map(option => {
+            const evidence = deal.dietary?.[option];
+            if (!evidence) {
+                return null;
+            }
+            if (['certified', 'yes', 'likely'].includes(evidence.status)) {
+                return t(lang, `dietary.badge.${option}.${evidence.status}`);
+            }
+            return evidence.requested && evidence.status === 'unknown' ? t(lang, `dietary.badge.${option}.unknown`) : null;
+        })
+        .filter(Boolean)
+        .join(' · ');
+}
+
+export function toggleDietaryPreference(dietary = [], option) {
+    if (!DIETARY_OPTIONS.includes(option)) {
+        return dietary;
+    }
+    return dietary.includes(option) ? dietary.filter(existing => existing !== option) : [...dietary, option];
+}
+
+/**
+ * Dietary picker showing what is on; bodyKey lets a toggle confirm the change
+ */
+export function createDietaryPreferencesMessage(dietary = [], lang = 'en', bodyKey = 'dietary.body') {
+    const current = dietary.length > 0
+        ? dietary.map(option => t(lang, `query.dietary.${option}`)).join(', ')
+        : t(lang, 'dietary.none');
+
+    const builder = msg.buttons(t(lang, bodyKey, { current }))
+        .builtBy('createDietaryPreferencesMessage')
+        .header(t(lang, 'dietary.header'))
+        .footer(t(lang, 'dietary.footer'));
+    DIETARY_OPTIONS.forEach(option => {
+        builder.button(`dietary_toggle_${option}`, `${dietary.includes(option) ? '✅ ' : ''}${t(lang, `button.dietary.${option}`)}`);
+    });
+    return builder.button('dietary_clear', t(lang, 'button.dietaryClear')).build();
+}
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDietaryEvidence } from './dietaryUtils.js';
+
+const halalStatus = deal => getDietaryEvidence(deal, 'halal').status;
+
+test('negated halal phrases are not halal', () => {
+    assert.equal(halalStatus({ title: '1-for-1 pork ribs, not halal' }), 'no');
+    assert.equal(halalStatus({ title: 'No halal certification' }), 'no');
+    assert.equal(halalStatus({ title: 'Bak kut teh set (halal options unavailable)' }), 'no');
+    assert.equal(halalStatus({ title: 'Non-halal zi char' }), 'no');
+    assert.equal(halalStatus({ title: 'Western set without halal certification' }), 'no');
+});
+
+test('pork or alcohol in the deal text wins over a halal claim', () => {
+    assert.equal(halalStatus({ title: 'Halal-style burgers', offer: 'Free beer with every set' }), 'no');
+    assert.equal(halalStatus({ title: 'Char siew rice', description: 'halal chicken also available' }), 'no');
+});
+
+test('halal claims and pork-free phrases', () => {
+    assert.equal(halalStatus({ title: 'Halal nasi lemak', offer: '20% off' }), 'yes');
+    assert.equal(halalStatus({ title: 'MUIS certified bakery' }), 'yes');
+    assert.equal(halalStatus({ title: 'Halal chicken rice, no pork no lard' }), 'yes');
+    assert.equal(halalStatus({ title: 'Muslim-owned cafe, no pork, no lard' }), 'likely');
+    assert.equal(halalStatus({ title: 'Pork-free dim sum' }), 'likely');
+    assert.equal(halalStatus({ title: 'Chicken rice set' }), 'unknown');
+});
+
+test('a MUIS certification wins over the deal text', () => {
+    assert.equal(halalStatus({ businessName: "McDonald's", title: 'Ham-style chicken burger' }), 'certified');
+    assert.equal(halalStatus({ businessName: 'KFC', title: 'Bacon-free bucket' }), 'certified');
+});
@@ -235,7 +235,7 @@ async function sendDiscountApprovalRequest(storeId, ownerNumber, customerNumber,
     };
     
     // Send the message to the owner
-    await sendWhatsAppMessage(storeId, ownerNumber, discountMessage, botConfig);
+    await sendWhatsAppMessage(storeId, ownerNumber, discountMessage, botConfig, { category: 'owner_notification' });
     console.log(`[discountUtils] Sent discount approval request to owner ${ownerNumber} for customer ${customerNumber}`);
     
     return true;
@@ -5,6 +5,9 @@ import axios from 'axios';
 
 
 import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { resolveBotConfigSecrets } from '../services/secretsProvider.js';
+import { redactSecrets } from './logRedaction.js';
+import { isOfflineMode, getLocalBotConfig } from './offlineMode.js';
 
 const region = process.env.AWS_REGION || process.env.TOKENS_TABLE_REGION || 'ap-southeast-1'; // More flexible region
 const client = new DynamoDBClient({ region });
@@ -53,6 +56,11 @@ async function updateSession(sessionData) {
 
 // --- Bot Configuration (from Tokens Table) ---
 async function getBotConfig(storeId) {
+  if (isOfflineMode()) {
+    const localConfig = getLocalBotConfig(storeId);
+    return localConfig ? resolveBotConfigSecrets({ ...localConfig }) : null;
+  }
+
   // Use hardcoded values if environment variables are not set
   const tableName = process.env.TOKENS_TABLE_NAME || 'WhatsappStoreTokens';
   const tableRegion = process.env.TOKENS_TABLE_REGION || 'us-east-1';
@@ -69,7 +77,7 @@ async function getBotConfig(storeId) {
   try {
     const { Item } = await specificDocClient.send(new GetCommand(params));
     if (Item) {
-      console.log(`[DynamoDBUtils] Bot config found for ${storeId}. Raw Item:`, JSON.stringify(Item));
+      console.log(`[DynamoDBUtils] Bot config found for ${storeId}. Raw Item:`, JSON.stringify(redactSecrets(Item)));
       if (Item.paymentPayNowNumber) {
         console.log(`[DynamoDBUtils] paymentPayNowNumber FOUND in Item for ${storeId}: ${Item.paymentPayNowNumber}`);
       } else {
@@ -78,7 +86,7 @@ async function getBotConfig(storeId) {
     } else {
       console.warn(`[DynamoDBUtils] No bot config (Item is null/undefined) found for ${storeId}.`);
     }
-    return Item; // Contains openai_api_key, store_name etc.
+    return resolveBotConfigSecrets(Item); // Contains openai_api_key, store_name etc.
   } catch (error) {
     console.error(`[DynamoDBUtils] Error getting bot config for ${storeId}:`, error);
     return null;
@@ -1,6 +1,7 @@
 // Enhanced Deal Message Utilities with Google Places Photos and AI Poster Generation
 import { getPlacePhotoUrl, findMatchingPlace } from './googleLocationUtils.js';
-import { singaporeSlang, formatSingaporeDeal, rankSingaporeDeals } from './singaporeFeatures.js';
+import { singaporeSlang, formatSingaporeDeal } from './singaporeFeatures.js';
+import { rankDeals } from './dealRanking.js';
 import { getOrCreateRestaurantFromPlaces, saveRestaurantDetails } from './restaurantUtils.js';
 import { createRestaurantTemplateMessage, createSimpleInteractiveMessage } from './whatsappTemplateUtils.js';
 // Removed canvas-dependent poster utilities to avoid native module build
@@ -175,9 +176,11 @@ export function createEnhancedDealMessages(enhancedDeals, category, googleMapsAp
 
     console.log(`[EnhancedDeals] Creating enhanced messages for ${enhancedDeals.length} ${category} deals`);
 
-    // Rank deals using Singapore-specific criteria
-    const rankedDeals = rankSingaporeDeals(enhancedDeals, category);
-    console.log(`[EnhancedDeals] Ranked ${rankedDeals.length} deals using Singapore criteria`);
+    // Deals from a search are already ranked; rank the rest with the ranking pipeline
+    const rankedDeals = enhancedDeals.every(deal => deal.rankingScore !== undefined)
+        ? enhancedDeals
+        : rankDeals(enhancedDeals, { category });
+    console.log(`[EnhancedDeals] Ranked ${rankedDeals.length} deals`);
 
     // Get category-specific emoji
     const categoryEmoji = {
@@ -0,0 +1,113 @@
+// Geohash Utilities - encoding, cell coverage for radius searches and distances in metres
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const METERS_PER_DEGREE = 111320;
+const EARTH_RADIUS_METERS = 6371000;
+
+// Stored on every deal; queries use prefixes of it
+export const DEAL_GEOHASH_PRECISION = 9;
+// Partition length of the deals GeohashIndex (cells of roughly 4.9km x 4.9km)
+export const GEOHASH_INDEX_PRECISION = 5;
+const MAX_QUERY_PRECISION = 7;
+
+/**
+ * Encode a coordinate as a geohash string of `precision` characters
+ */
+export function encodeGeohash(latitude, longitude, precision = DEAL_GEOHASH_PRECISION) {
+    let latRange = [-90, 90];
+    let lngRange = [-180, 180];
+    let hash = '';
+    let bit = 0;
+    let value = 0;
+    let evenBit = true;
+
+    while (hash.length < precision) {
+        const range = evenBit ? lngRange : latRange;
+        const coordinate = evenBit ? longitude : latitude;
+        const mid = (range[0] + range[1]) / 2;
+        if (coordinate >= mid) {
+            value = (value << 1) | 1;
+            range[0] = mid;
+        } else {
+            value = value << 1;
+            range[1] = mid;
+        }
+        evenBit = !evenBit;
+
+        if (++bit === 5) {
+            hash += BASE32[value];
+            bit = 0;
+            value = 0;
+        }
+    }
+    return hash;
+}
+
+/**
+ * Cell size in degrees for a geohash precision
+ */
+function cellSizeDegrees(precision) {
+    const bits = precision * 5;
+    const lngBits = Math.ceil(bits / 2);
+    const latBits = Math.floor(bits / 2);
+    return { latDegrees: 180 / Math.pow(2, latBits), lngDegrees: 360 / Math.pow(2, lngBits) };
+}
+
+/**
+ * Longest precision whose cells are still at least `radiusMeters` on each side,
+ * so a handful of cells covers the search circle
+ */
+export function chooseGeohashPrecision(radiusMeters, latitude) {
+    for (let precision = MAX_QUERY_PRECISION; precision > GEOHASH_INDEX_PRECISION; precision--) {
+        const { latDegrees, lngDegrees } = cellSizeDegrees(precision);
+        const heightMeters = latDegrees * METERS_PER_DEGREE;
+        const widthMeters = lngDegrees * METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180);
+        if (Math.min(heightMeters, widthMeters) >= radiusMeters) {
+            return precision;
+        }
+    }
+    return GEOHASH_INDEX_PRECISION;
+}
+
+/**
+ * Geohash cells (at `precision`) that together cover the circle around a point
+ */
+export function getCoveringGeohashes(latitude, longitude, radiusMeters, precision = chooseGeohashPrecision(radiusMeters, latitude)) {
+    const { latDegrees, lngDegrees } = cellSizeDegrees(precision);
+    const latRadius = radiusMeters / METERS_PER_DEGREE;
+    const lngRadius = radiusMeters / (METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180));
+
+    const cells = new Set();
+    // Step at half a cell so no cell in the bounding box is skipped
+    for (let lat = latitude - latRadius; lat <= latitude + latRadius + latDegrees / 2; lat += latDegrees / 2) {
+        for (let lng = longitude - lngRadius; lng <= longitude + lngRadius + lngDegrees / 2; lng += lngDegrees / 2) {
+            cells.add(encodeGeohash(Math.min(lat, latitude + latRadius), Math.min(lng, longitude + lngRadius), precision));
+        }
+    }
+    return [...cells];
+}
+
+/**
+ * Great-circle distance between two coordinates in metres
+ */
+export function distanceInMeters(lat1, lng1, lat2, lng2) {
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+        Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Geohash attributes stored on a deal (geohash for prefixes, geohash5 as the index partition)
+ */
+export function getGeohashAttributes(latitude, longitude) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        return {};
+    }
+    const geohash = encodeGeohash(lat, lng, DEAL_GEOHASH_PRECISION);
+    return { geohash, geohash5: geohash.substring(0, GEOHASH_INDEX_PRECISION) };
+}
@@ -8,9 +8,10 @@ import axios from 'axios';
  * @param {string} category - 'food' or 'fashion'
  * @param {string} googleMapsApiKey - Google Maps API key
  * @param {boolean} includeDetails - Whether to return detailed place info with photos
+ * @param {Object} options - { radius } in meters (default 1km)
  * @returns {Array<string|Object>} - List of business names or detailed place objects
  */
-export async function searchNearbyPlaces(latitude, longitude, category, googleMapsApiKey, includeDetails = false) {
+export async function searchNearbyPlaces(latitude, longitude, category, googleMapsApiKey, includeDetails = false, { radius = 1000.0 } = {}) {
     try {
         console.log(`[GooglePlaces] Searching for nearby places for category: ${category} using new Places API v1`);
         
@@ -28,8 +29,6 @@ export async function searchNearbyPlaces(latitude, longitude, category, googleMa
             includedTypes = ['restaurant', 'clothing_store', 'grocery_or_supermarket'];
         }
         
-        const radius = 1000.0; // Increased to 1km for better results
-        
         // New Google Places API v1 endpoint
         const url = 'https://places.googleapis.com/v1/places:searchNearby';
         
@@ -236,6 +235,40 @@ export async function resolveLocationFromCoordinates(latitude, longitude, google
     }
 }
 
+/**
+ * Geocode an address, place name or postal code within Singapore
+ * @param {string} address - e.g. "Tanjong Pagar MRT" or "Singapore 018956"
+ * @param {string} googleMapsApiKey - Google Maps API key
+ * @returns {Object|null} - { placeId, formattedAddress, latitude, longitude, area, postalCode } or null if not found
+ */
+export async function geocodeAddress(address, googleMapsApiKey) {
+    try {
+        const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+            params: { address: `${address}, Singapore`, key: googleMapsApiKey, components: 'country:sg' },
+            timeout: 10000
+        });
+
+        if (response.data.status !== 'OK' || response.data.results.length === 0) {
+            console.log(`[GoogleLocation] Geocoding "${address}" failed: ${response.data.status}`);
+            return null;
+        }
+
+        const result = response.data.results[0];
+        const component = (...types) => result.address_components.find(item => types.some(type => item.types.includes(type)))?.long_name || null;
+        return {
+            placeId: result.place_id,
+            formattedAddress: result.formatted_address,
+            latitude: result.geometry.location.lat,
+            longitude: result.geometry.location.lng,
+            area: component('neighborhood', 'sublocality_level_1', 'sublocality') || component('locality'),
+            postalCode: component('postal_code')
+        };
+    } catch (error) {
+        console.error(`[GoogleLocation] Error geocoding "${address}":`, error.message);
+        return null;
+    }
+}
+
 /**
  * Get hourly weather forecast for the rest of the day
  * @param {number} latitude - User's latitude
@@ -465,23 +498,12 @@ export async function resolveLocationAndWeather(latitude, longitude, googleMapsA
         // Use environment variable as fallback for API key
         const finalGoogleMapsApiKey = googleMapsApiKey || process.env.GOOGLE_MAPS_API_KEY;
         
-        // Get location details
-        let locationResult;
-        if (finalGoogleMapsApiKey) {
-            locationResult = await resolveLocationFromCoordinates(latitude, longitude, finalGoogleMapsApiKey);
-        } else {
-            console.warn('[LocationWeather] No Google Maps API key available, using fallback location data');
-            // Provide fallback location data for Singapore
-            locationResult = {
-                isValid: true,
-                displayName: `Singapore Location`,
-                area: 'Singapore',
-                postalCode: null,
-                address: `${latitude}, ${longitude}`,
-                coordinates: { lat: latitude, lng: longitude },
-                formattedAddress: `${latitude}, ${longitude}, Singapore`
-            };
-        }
+        // Get location details (dynamic import: the location service builds on this module)
+        const { resolveCoordinates } = await import('../services/locationService.js');
+        const location = await resolveCoordinates(latitude, longitude, { googleMapsApiKey: finalGoogleMapsApiKey });
+        const locationResult = location
+            ? { ...location, isValid: true, coordinates: { lat: latitude, lng: longitude } }
+            : { isValid: false, error: 'Location is not in Singapore. Please provide a location within Singapore.' };
         
         if (!locationResult.isValid) {
             return locationResult;
@@ -529,6 +551,35 @@ export async function resolveLocationAndWeather(latitude, longitude, googleMapsA
     }
 }
 
+/**
+ * Get the dietary attributes Google Places knows about a place
+ * @param {string} placeId - Place ID from Places API
+ * @param {string} googleMapsApiKey - Google Maps API key
+ * @returns {Object|null} - { servesVegetarianFood, types } or null
+ */
+export async function getPlaceDietaryAttributes(placeId, googleMapsApiKey) {
+    if (!placeId || !googleMapsApiKey) {
+        return null;
+    }
+    
+    try {
+        const response = await axios.get(`https://places.googleapis.com/v1/places/${placeId}`, {
+            headers: {
+                'X-Goog-Api-Key': googleMapsApiKey,
+                'X-Goog-FieldMask': 'id,servesVegetarianFood,types'
+            }
+        });
+        
+        return {
+            servesVegetarianFood: response.data?.servesVegetarianFood,
+            types: response.data?.types || []
+        };
+    } catch (error) {
+        console.error(`[GooglePlaces] Error getting dietary attributes for ${placeId}:`, error.message);
+        return null;
+    }
+}
+
 /**
  * Get Google Places photo URL from photo reference
  * @param {string} photoReference - Photo reference from Places API
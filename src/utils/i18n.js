@@ -0,0 +1,161 @@
+// i18n - per-user language for LobangLah. Strings live in src/locales/<code>.js,
+// looked up by key: t(session.language, 'deals.searching')
+import { en } from '../locales/en.js';
+import { zh } from '../locales/zh.js';
+import { ms } from '../locales/ms.js';
+import { ta } from '../locales/ta.js';
+import { msg } from './messageBuilder.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// llmName is what we tell OpenAI to answer in
+export const SUPPORTED_LANGUAGES = {
+    en: { name: 'English', nativeName: 'English', llmName: 'English' },
+    zh: { name: 'Chinese', nativeName: '中文', llmName: 'Simplified Chinese' },
+    ms: { name: 'Malay', nativeName: 'Bahasa Melayu', llmName: 'Malay' },
+    ta: { name: 'Tamil', nativeName: 'தமிழ்', llmName: 'Tamil' }
+};
+
+const CATALOGS = { en, zh, ms, ta };
+
+// Exact messages that switch language ('menu' shows the picker)
+const LANGUAGE_COMMANDS = {
+    'language': 'menu',
+    'change language': 'menu',
+    'bahasa': 'menu',
+    '语言': 'menu',
+    'மொழி': 'menu',
+    'english': 'en',
+    '中文': 'zh',
+    '华文': 'zh',
+    'chinese': 'zh',
+    'mandarin': 'zh',
+    'melayu': 'ms',
+    'bahasa melayu': 'ms',
+    'malay': 'ms',
+    'tamil': 'ta',
+    'தமிழ்': 'ta'
+};
+
+// Malay words that Singlish rarely uses. Singlish borrows makan/lah/lobang, so those don't count at all.
+const MALAY_MARKERS = [
+    'saya', 'mahu', 'cari', 'tidak', 'murah', 'tawaran', 'kedai', 'untuk', 'dengan', 'hari', 'ini', 'itu',
+    'terima', 'kasih', 'tolong', 'berapa', 'sini', 'mahal', 'sekarang'
+];
+// Malay words that are also everyday Singlish ("boleh tak", "where got ada"); they count half
+const SINGLISH_MALAY_WORDS = ['aku', 'nak', 'boleh', 'dekat', 'tak', 'mana', 'apa', 'ada'];
+// A message is Malay with this score (markers + half the Singlish words) that is also this share of its words
+const MIN_MALAY_SCORE = 2.5;
+const MIN_MALAY_SHARE = 0.3;
+// Detections below this confidence are not enough to switch the user's language
+const MIN_SWITCH_CONFIDENCE = 0.5;
+
+export function normalizeLanguage(code) {
+    const language = (code || '').toLowerCase().split(/[-_]/)[0];
+    return CATALOGS[language] ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Look up a string in the user's language, falling back to English and then the key itself.
+ * {name} placeholders are filled from params.
+ */
+export function t(lang, key, params = {}) {
+    const catalog = CATALOGS[normalizeLanguage(lang)];
+    const template = catalog[key] ?? en[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : match));
+}
+
+/**
+ * Display name of a deal category, or the category itself when we have no translation
+ */
+export function getCategoryName(lang, category) {
+    const key = `category.${(category || '').toLowerCase()}`;
+    const catalog = CATALOGS[normalizeLanguage(lang)];
+    return catalog[key] ?? en[key] ?? category;
+}
+
+/**
+ * Guess the language of an inbound message. English is the fallback, so it is never "detected".
+ * @returns {{language: string, confidence: number}|null}
+ */
+export function detectLanguage(text) {
+    const cleanText = (text || '').trim();
+    if (!cleanText) {
+        return null;
+    }
+
+    const letters = cleanText.replace(/[\s\d\p{P}\p{S}]/gu, '');
+    if (letters.length === 0) {
+        return null;
+    }
+    const cjkCount = (letters.match(/[\u3400-\u9FFF]/g) || []).length;
+    if (cjkCount / letters.length >= 0.3) {
+        return { language: 'zh', confidence: Math.min(1, cjkCount / letters.length + 0.2) };
+    }
+    const tamilCount = (letters.match(/[\u0B80-\u0BFF]/g) || []).length;
+    if (tamilCount / letters.length >= 0.3) {
+        return { language: 'ta', confidence: Math.min(1, tamilCount / letters.length + 0.2) };
+    }
+
+    const words = new Set(cleanText.toLowerCase().match(/[a-z]+/g) || []);
+    const malayScore = MALAY_MARKERS.filter(word => words.has(word)).length +
+        SINGLISH_MALAY_WORDS.filter(word => words.has(word)).length / 2;
+    const malayShare = malayScore / words.size;
+    if (malayScore >= MIN_MALAY_SCORE && malayShare >= MIN_MALAY_SHARE) {
+        return { language: 'ms', confidence: Math.min(1, malayShare) };
+    }
+    return null;
+}
+
+/**
+ * Switch the session to the language a message was written in. Only switches away from English:
+ * going back to English takes the language command, so one English word can't undo a choice.
+ * Mixed messages (Singlish with some Malay) aren't confident enough to switch.
+ * @returns {string|null} the new language if it changed
+ */
+export function applyDetectedLanguage(session, text) {
+    const detected = detectLanguage(text);
+    if (!detected || detected.language === normalizeLanguage(session.language)) {
+        return null;
+    }
+    if (detected.confidence < MIN_SWITCH_CONFIDENCE) {
+        console.log(`[i18n] Detected ${detected.language} with low confidence (${detected.confidence.toFixed(2)}), keeping ${session.language || DEFAULT_LANGUAGE}`);
+        return null;
+    }
+    console.log(`[i18n] Detected ${detected.language} (confidence ${detected.confidence.toFixed(2)}), switching from ${session.language || DEFAULT_LANGUAGE}`);
+    session.language = detected.language;
+    return detected.language;
+}
+
+/**
+ * 'menu' for a language menu request, a language code for a direct switch, otherwise null
+ */
+export function parseLanguageCommand(text) {
+    const command = (text || '').trim().toLowerCase().replace(/[.!?]+$/, '');
+    return LANGUAGE_COMMANDS[command] || null;
+}
+
+/**
+ * Language picker; row ids are lang_<code>
+ */
+export function createLanguageSelectionMessage(lang) {
+    const builder = msg.list(t(lang, 'language.menuBody'), t(lang, 'language.menuButton'))
+        .builtBy('createLanguageSelectionMessage')
+        .header(t(lang, 'language.menuHeader'))
+        .section('🌐 Language');
+    for (const [code, language] of Object.entries(SUPPORTED_LANGUAGES)) {
+        builder.row(`lang_${code}`, language.nativeName, language.name);
+    }
+    return builder.build();
+}
+
+/**
+ * System prompt line asking the model to answer in the user's language ('' for English)
+ */
+export function getLanguageInstruction(lang) {
+    const language = normalizeLanguage(lang);
+    if (language === DEFAULT_LANGUAGE) {
+        return '';
+    }
+    return `Reply in ${SUPPORTED_LANGUAGES[language].llmName}. Keep business names, addresses, prices and links as they are.`;
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, applyDetectedLanguage } from './i18n.js';
+
+const detected = text => detectLanguage(text)?.language || null;
+
+test('Singlish with borrowed Malay words stays English', () => {
+    assert.equal(detected('boleh tak?'), null);
+    assert.equal(detected('where got cheap makan ah, ada or not'), null);
+    assert.equal(detected('apa deals got near here lah'), null);
+    assert.equal(detected('can check mana got promo, nak go makan'), null);
+    assert.equal(detected('aiyo the queue so long, tak boleh tahan'), null);
+    assert.equal(detected('terima kasih for the lobang!'), null);
+});
+
+test('Malay sentences are detected', () => {
+    assert.equal(detected('Saya nak cari makanan murah dekat Bedok'), 'ms');
+    assert.equal(detected('Ada tak kedai murah dekat sini?'), 'ms');
+    assert.equal(detected('Tolong cari tawaran untuk hari ini'), 'ms');
+});
+
+test('Chinese and Tamil script are detected', () => {
+    assert.equal(detected('附近有什么便宜的美食优惠？'), 'zh');
+    assert.equal(detected('அருகில் உணவு சலுகைகள் உள்ளதா?'), 'ta');
+});
+
+test('only a confident detection switches the session', () => {
+    const session = { language: 'en' };
+    // Mixed English and Malay: detected, but not enough to switch
+    assert.equal(applyDetectedLanguage(session, 'Hi saya nak cari kedai murah for dinner near Tampines MRT please'), null);
+    assert.equal(session.language, 'en');
+
+    assert.equal(applyDetectedLanguage(session, 'Saya nak cari kedai murah'), 'ms');
+    assert.equal(session.language, 'ms');
+    // Going back to English takes the language command
+    assert.equal(applyDetectedLanguage(session, 'show me more deals'), null);
+    assert.equal(session.language, 'ms');
+});
@@ -1,4 +1,5 @@
 // Enhanced Interactive List Messages for Deals (Catalog Fallback)
+import { msg } from './messageBuilder.js';
 
 /**
  * Create an enhanced interactive list message showing all deals in a single message
@@ -63,37 +64,14 @@ export function createInteractiveDealsListMessage(deals, category) {
     messageBody += `\n👆 Tap "View Deals" below to select any deal for full details, directions, and actions!`;
     
     // Create the interactive list message
-    const interactiveListMessage = {
-        type: "interactive",
-        interactive: {
-            type: "list",
-            header: {
-                type: "text",
-                text: `${categoryEmoji} ${categoryName} Deals Found!`
-            },
-            body: {
-                text: messageBody
-            },
-            footer: {
-                text: "🔍 Sources: Instagram, Facebook, TikTok & Web | LobangLah 🎯"
-            },
-            action: {
-                button: "View Deals",
-                sections: [{
-                    title: "Available Deals",
-                    rows: dealRows
-                }]
-            }
-        },
-        // Store deal data for reference when user selects a deal
-        dealsData: {
-            deals: deals,
-            category: category,
-            totalDeals: deals.length
-        }
-    };
-    
-    return interactiveListMessage;
+    const interactiveListMessage = msg.list(messageBody, "View Deals")
+        .builtBy('createInteractiveDealsListMessage')
+        .header(`${categoryEmoji} ${categoryName} Deals Found!`)
+        .footer("🔍 Sources: Instagram, Facebook, TikTok & Web | LobangLah 🎯")
+        .section("Available Deals");
+    dealRows.forEach(row => interactiveListMessage.row(row.id, row.title, row.description));
+    
+    return interactiveListMessage.build();
 }
 
 /**
@@ -146,93 +124,21 @@ export function createSelectedDealMessage(dealIndex, deals, category) {
         dealText += `\n\n⏰ **Verified:** ${deal.checkedAt} SGT`;
     }
     
-    // Create interactive buttons for actions
-    const buttons = [
-        {
-            type: "reply",
-            reply: {
-                id: `get_directions_${dealIndex}`,
-                title: "📍 Directions"
-            }
-        },
-        {
-            type: "reply",
-            reply: {
-                id: `share_deal_${dealIndex}`,
-                title: "📤 Share Deal"
-            }
-        },
-        {
-            type: "reply",
-            reply: {
-                id: "back_to_deals",
-                title: "⬅️ Back to List"
-            }
-        }
-    ];
-    
     // Create deal message with image (if available) and interactive buttons
-    let dealMessage;
+    const dealMessage = msg.buttons(dealText)
+        .builtBy('createSelectedDealMessage')
+        .footer("🔍 LobangLah | Tap for actions")
+        .button(`get_directions_${dealIndex}`, "📍 Directions")
+        .button(`share_deal_${dealIndex}`, "📤 Share Deal")
+        .button("back_to_deals", "⬅️ Back to List");
     
     if (dealImage) {
-        // Create media interactive message with image
-        dealMessage = {
-            type: "interactive",
-            interactive: {
-                type: "button",
-                header: {
-                    type: "image",
-                    image: {
-                        link: dealImage
-                    }
-                },
-                body: {
-                    text: dealText
-                },
-                footer: {
-                    text: "🔍 LobangLah | Tap for actions"
-                },
-                action: {
-                    buttons: buttons
-                }
-            },
-            // Store deal data for later reference
-            selectedDealData: {
-                index: dealIndex,
-                deal: deal,
-                category: category
-            }
-        };
+        dealMessage.imageHeader(dealImage);
     } else {
-        // Create regular interactive message without image
-        dealMessage = {
-            type: "interactive",
-            interactive: {
-                type: "button",
-                header: {
-                    type: "text",
-                    text: `${categoryEmoji} ${businessName}`
-                },
-                body: {
-                    text: dealText
-                },
-                footer: {
-                    text: "🔍 LobangLah | Tap for actions"
-                },
-                action: {
-                    buttons: buttons
-                }
-            },
-            // Store deal data for later reference
-            selectedDealData: {
-                index: dealIndex,
-                deal: deal,
-                category: category
-            }
-        };
+        dealMessage.header(`${categoryEmoji} ${businessName}`);
     }
     
-    return dealMessage;
+    return dealMessage.build();
 }
 
 /**
@@ -1,14 +1,23 @@
 // Location Search Utilities with Name-based Search and Autocomplete
 import axios from 'axios';
 import OpenAI from 'openai';
+import { findGazetteerPlace, getGazetteerPlace, isGazetteerPlaceId } from './sgGazetteer.js';
+import { resolvePlaceName } from '../services/locationService.js';
 
 /**
- * Search for locations by name with geocoding and nearby search
+ * Search for locations by name with geocoding and nearby search.
+ * Postal codes, MRT stations, neighbourhoods and towns in the bundled gazetteer resolve without network calls.
  */
 export async function searchLocationByName(query, googleMapsApiKey, botConfig) {
     try {
         console.log(`[LocationSearch] Searching for location: "${query}"`);
         
+        const gazetteerPlace = findGazetteerPlace(query);
+        if (gazetteerPlace) {
+            console.log(`[LocationSearch] Found "${query}" in gazetteer: ${gazetteerPlace.name} (${gazetteerPlace.latitude}, ${gazetteerPlace.longitude})`);
+            return [{ ...gazetteerPlace, nearbyPlaces: [] }];
+        }
+        
         // Step 1: Use OpenAI to enhance and correct the location query (MANDATORY)
         let enhancedQuery;
         try {
@@ -21,22 +30,13 @@ export async function searchLocationByName(query, googleMapsApiKey, botConfig) {
             throw error;
         }
         
-        // Step 2: Geocode the enhanced query to get coordinates
-        const geocodeUrl = `https://maps.googleapis.com/maps/api/geocode/json`;
-        const geocodeParams = {
-            address: `${enhancedQuery}, Singapore`,
-            key: googleMapsApiKey,
-            components: 'country:sg'
-        };
-        
-        const geocodeResponse = await axios.get(geocodeUrl, { params: geocodeParams });
+        // Step 2: Resolve the enhanced query to coordinates (gazetteer, then Google geocoding)
+        const location = await resolvePlaceName(enhancedQuery, { ...botConfig, googleMapsApiKey });
         
-        if (geocodeResponse.data.status === 'OK' && geocodeResponse.data.results.length > 0) {
-            const location = geocodeResponse.data.results[0].geometry.location;
-            const latlng = `${location.lat},${location.lng}`;
-            const formattedAddress = geocodeResponse.data.results[0].formatted_address;
+        if (location) {
+            const latlng = `${location.latitude},${location.longitude}`;
             
-            console.log(`[LocationSearch] Geocoded location: ${formattedAddress} (${latlng})`);
+            console.log(`[LocationSearch] Geocoded location: ${location.formattedAddress} (${latlng})`);
             
             // Step 3: Search for nearby places to provide context (1km radius)
             const nearbyUrl = `https://maps.googleapis.com/maps/api/place/nearbysearch/json`;
@@ -59,18 +59,7 @@ export async function searchLocationByName(query, googleMapsApiKey, botConfig) {
                 }));
             }
             
-            // Create a comprehensive location result
-            const locationResult = {
-                placeId: geocodeResponse.data.results[0].place_id,
-                name: enhancedQuery,
-                displayName: enhancedQuery,
-                formattedAddress: formattedAddress,
-                latitude: location.lat,
-                longitude: location.lng,
-                area: extractAreaFromComponents(geocodeResponse.data.results[0].address_components),
-                nearbyPlaces: nearbyPlaces,
-                source: 'geocoded_search'
-            };
+            const locationResult = { ...location, nearbyPlaces };
             
             console.log(`[LocationSearch] Found location with ${nearbyPlaces.length} nearby places`);
             return [locationResult]; // Return as array for consistency
@@ -116,6 +105,11 @@ export async function searchLocationByName(query, googleMapsApiKey, botConfig) {
  * Get detailed location information from place ID
  */
 export async function getLocationDetails(placeId, googleMapsApiKey) {
+    // Gazetteer places (sg:...) come from the bundled data
+    if (isGazetteerPlaceId(placeId)) {
+        return getGazetteerPlace(placeId);
+    }
+    
     try {
         console.log(`[LocationSearch] Getting details for place ID: ${placeId}`);
         
@@ -179,6 +173,13 @@ function extractAreaFromComponents(components) {
  * Use OpenAI to enhance location search with natural language understanding
  */
 export async function enhanceLocationSearchWithAI(query, botConfig) {
+    // Names the gazetteer knows need no correcting
+    const gazetteerPlace = findGazetteerPlace(query);
+    if (gazetteerPlace) {
+        // A postal code stays a postal code so it resolves the same way again
+        return gazetteerPlace.types.includes('postal') ? query.trim() : gazetteerPlace.name;
+    }
+    
     try {
         const openAIApiKey = botConfig?.openAiApiKey || botConfig?.openAIApiKey || process.env.OPENAI_API_KEY;
         if (!openAIApiKey) {
@@ -394,7 +395,7 @@ export function createPopularLocationsMessage() {
                 text: "🔍 Search Location in Singapore"
             },
             body: {
-                text: "Type any location name in Singapore and I'll find the best deals nearby!\n\n🏢 **Popular Areas:**\n• Orchard Road\n• Marina Bay Sands\n• Chinatown\n• Bugis Junction\n• Tampines Mall\n• Jurong East\n\n📍 **How it works:**\n1. Type the location name\n2. I'll verify it's in Singapore\n3. Search for places within 1km\n4. Show you the best deals!\n\n💡 **Pro tip:** Be specific for better results!"
+                text: "Type any location name in Singapore and I'll find the best deals nearby!\n\n🏢 **Popular Areas:**\n• Orchard Road\n• Marina Bay Sands\n• Chinatown\n• Bugis Junction\n• Tampines Mall\n• Jurong East\n\n🚇 **By MRT:**\n• Tanjong Pagar MRT\n• Along the East-West line from Jurong East to Buona Vista\n\n📍 **How it works:**\n1. Type the location name\n2. I'll verify it's in Singapore\n3. Search for places within 1km\n4. Show you the best deals!\n\n💡 **Pro tip:** Be specific for better results!"
             },
             footer: {
                 text: "Type any Singapore location name"
@@ -0,0 +1,127 @@
+// Log Redaction - keeps API keys, app secrets and WhatsApp tokens out of CloudWatch output
+import { format } from 'util';
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose string values are always secret (whatsappToken, openAiApiKey, whatsappAppSecret, ...)
+const SECRET_KEY_PATTERN = /token|secret|api[-_]?key|password|authorization|credential/i;
+
+// Well-known credential shapes, caught even when they were never registered
+const SECRET_VALUE_PATTERNS = [
+    /\bsk-[A-Za-z0-9_-]{20,}/g,                 // OpenAI / DeepSeek keys
+    /\bEAA[A-Za-z0-9]{30,}/g,                   // Meta (WhatsApp Cloud API) access tokens
+    /\br8_[A-Za-z0-9]{20,}/g,                   // Replicate tokens
+    /\bAIza[0-9A-Za-z_-]{30,}/g,                // Google API keys
+    /(Bearer\s+)[A-Za-z0-9._~+/=-]{16,}/gi      // Authorization headers
+];
+
+// "whatsappToken":"..." inside JSON.stringify output
+const JSON_SECRET_FIELD_PATTERN = /("[^"]*(?:token|secret|api[-_]?key|password|authorization|credential)[^"]*"\s*:\s*)"(?:[^"\\]|\\.)*"/gi;
+
+const MAX_DEPTH = 8;
+const MIN_SECRET_LENGTH = 8;
+
+// Secret values resolved at runtime; redacted wherever they show up
+const knownSecrets = new Set();
+let installed = false;
+
+/**
+ * Remember a secret value so it is redacted from any log line containing it
+ */
+export function registerSecretValue(value) {
+    if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+        knownSecrets.add(value);
+    }
+}
+
+export function redactString(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+        return text;
+    }
+
+    let redacted = text;
+    for (const secret of knownSecrets) {
+        if (redacted.includes(secret)) {
+            redacted = redacted.split(secret).join(REDACTED);
+        }
+    }
+    for (const pattern of SECRET_VALUE_PATTERNS) {
+        redacted = redacted.replace(pattern, (match, prefix) => (typeof prefix === 'string' ? `${prefix}${REDACTED}` : REDACTED));
+    }
+    return redacted.replace(JSON_SECRET_FIELD_PATTERN, `$1"${REDACTED}"`);
+}
+
+function redactError(error, seen, depth) {
+    const copy = new Error(redactString(error.message));
+    copy.name = error.name;
+    copy.stack = redactString(error.stack);
+    // axios errors carry the request config, headers included
+    for (const [key, value] of Object.entries(error)) {
+        copy[key] = redactValue(key, value, seen, depth + 1);
+    }
+    return copy;
+}
+
+function redactValue(key, value, seen, depth) {
+    if (typeof value === 'string') {
+        return key && SECRET_KEY_PATTERN.test(key) && value ? REDACTED : redactString(value);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (Buffer.isBuffer(value) || ArrayBuffer.isView(value) || value instanceof Date || value instanceof RegExp) {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Object]';
+    }
+
+    seen.add(value);
+    try {
+        if (value instanceof Error) {
+            return redactError(value, seen, depth);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => redactValue(null, item, seen, depth + 1));
+        }
+        const copy = {};
+        for (const [childKey, childValue] of Object.entries(value)) {
+            copy[childKey] = redactValue(childKey, childValue, seen, depth + 1);
+        }
+        return copy;
+    } finally {
+        seen.delete(value);
+    }
+}
+
+/**
+ * Copy of `value` with secret fields and known secret values replaced by [REDACTED].
+ * Use it when logging config objects: console.log('botConfig:', redactSecrets(botConfig))
+ */
+export function redactSecrets(value) {
+    return redactValue(null, value, new Set(), 0);
+}
+
+/**
+ * Route console output through the redaction layer. Safe to call more than once.
+ */
+export function installLogRedaction() {
+    if (installed) {
+        return;
+    }
+    installed = true;
+
+    for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+        const original = console[method].bind(console);
+        console[method] = (...args) => {
+            try {
+                original(redactString(format(...args.map(arg => redactSecrets(arg)))));
+            } catch (redactionError) {
+                original('[LogRedaction] Failed to redact log line:', redactionError.message);
+            }
+        };
+    }
+}
@@ -0,0 +1,276 @@
+// Message Builder - one way to write outbound WhatsApp messages
+//
+//   msg.buttons('Pick one').header('🔔 Alerts').button('setup_alert', '🔔 Setup').build()
+//   msg.list('When?', 'Select Time').section('Morning').row('alert_time_09:00', '9:00 AM', 'Early deals').build()
+//   msg.text('Hello lah!').build()
+//
+// build() renders the Cloud API message object (everything except messaging_product/to)
+// that sendWhatsAppMessage accepts, and runs it through validateOutboundMessage so
+// unrepairable mistakes fail where the message is built. The returned object is the
+// repaired payload; the builder name is kept beside it (getBuilderName), not in it.
+import { validateOutboundMessage } from './messageValidation.js';
+
+// Name of the function that built each message, for validation errors and repair logs
+const builderNames = new WeakMap();
+
+export function getBuilderName(message) {
+    return (message && typeof message === 'object' && builderNames.get(message)) || null;
+}
+
+/**
+ * Put back a body that validation split: the extra text messages can only be sent
+ * by sendWhatsAppMessage, which validates (and splits) again
+ */
+function restoreSplitBody(payload, message) {
+    if (payload.type === 'text') {
+        payload.text.body = message.text.body;
+    } else if (payload.type === 'interactive' && payload.interactive?.body) {
+        payload.interactive.body.text = message.interactive.body.text;
+    }
+}
+
+class MessageBuilder {
+    constructor(type) {
+        this.type = type;
+        this.builderName = null;
+    }
+
+    /**
+     * Name the function building this message; shown in validation errors and repair logs
+     */
+    builtBy(name) {
+        this.builderName = name;
+        return this;
+    }
+
+    render() {
+        throw new Error(`${this.constructor.name} must implement render()`);
+    }
+
+    build() {
+        const message = this.render();
+        const builder = this.builderName || `msg.${this.type}`;
+        const { payload, leadingTexts } = validateOutboundMessage(message, builder);
+        if (leadingTexts.length > 0) {
+            restoreSplitBody(payload, message);
+        }
+        builderNames.set(payload, builder);
+        return payload;
+    }
+}
+
+class TextMessageBuilder extends MessageBuilder {
+    constructor(body) {
+        super('text');
+        this.body = body;
+        this.previewUrl = null;
+    }
+
+    preview(enabled = true) {
+        this.previewUrl = enabled;
+        return this;
+    }
+
+    render() {
+        const text = { body: this.body };
+        if (this.previewUrl !== null) {
+            text.preview_url = this.previewUrl;
+        }
+        return { type: 'text', text };
+    }
+}
+
+/**
+ * Shared header/footer/body handling for interactive messages
+ */
+class InteractiveMessageBuilder extends MessageBuilder {
+    constructor(interactiveType, body) {
+        super(interactiveType);
+        this.interactiveType = interactiveType;
+        this.body = body;
+        this.headerPart = null;
+        this.footerText = null;
+    }
+
+    header(text) {
+        this.headerPart = { type: 'text', text };
+        return this;
+    }
+
+    imageHeader(link) {
+        this.headerPart = { type: 'image', image: { link } };
+        return this;
+    }
+
+    footer(text) {
+        this.footerText = text;
+        return this;
+    }
+
+    renderAction() {
+        throw new Error(`${this.constructor.name} must implement renderAction()`);
+    }
+
+    render() {
+        const interactive = { type: this.interactiveType };
+        if (this.headerPart) {
+            interactive.header = this.headerPart;
+        }
+        interactive.body = { text: this.body };
+        if (this.footerText) {
+            interactive.footer = { text: this.footerText };
+        }
+        interactive.action = this.renderAction();
+        return { type: 'interactive', interactive };
+    }
+}
+
+class ButtonsMessageBuilder extends InteractiveMessageBuilder {
+    constructor(body) {
+        super('button', body);
+        this.buttonList = [];
+    }
+
+    button(id, title) {
+        this.buttonList.push({ type: 'reply', reply: { id, title } });
+        return this;
+    }
+
+    renderAction() {
+        return { buttons: this.buttonList };
+    }
+}
+
+class ListMessageBuilder extends InteractiveMessageBuilder {
+    constructor(body, buttonText) {
+        super('list', body);
+        this.buttonText = buttonText;
+        this.sections = [];
+    }
+
+    /**
+     * Start a new section; rows added after this belong to it
+     */
+    section(title) {
+        this.sections.push({ title, rows: [] });
+        return this;
+    }
+
+    row(id, title, description) {
+        if (this.sections.length === 0) {
+            // Single-section lists do not need a section title
+            this.sections.push({ rows: [] });
+        }
+        const row = { id, title };
+        if (description) {
+            row.description = description;
+        }
+        this.sections[this.sections.length - 1].rows.push(row);
+        return this;
+    }
+
+    renderAction() {
+        return {
+            button: this.buttonText,
+            sections: this.sections.map(section => (section.title ? section : { rows: section.rows }))
+        };
+    }
+}
+
+class CtaUrlMessageBuilder extends InteractiveMessageBuilder {
+    constructor(body, displayText, url) {
+        super('cta_url', body);
+        this.displayText = displayText;
+        this.url = url;
+    }
+
+    renderAction() {
+        return {
+            name: 'cta_url',
+            parameters: { display_text: this.displayText, url: this.url }
+        };
+    }
+}
+
+class LocationRequestMessageBuilder extends MessageBuilder {
+    constructor(body) {
+        super('location_request');
+        this.body = body;
+    }
+
+    render() {
+        return {
+            type: 'interactive',
+            interactive: {
+                type: 'location_request_message',
+                body: { text: this.body },
+                action: { name: 'send_location' }
+            }
+        };
+    }
+}
+
+class LocationMessageBuilder extends MessageBuilder {
+    constructor(latitude, longitude) {
+        super('location');
+        this.location = { latitude, longitude };
+    }
+
+    name(name) {
+        this.location.name = name;
+        return this;
+    }
+
+    address(address) {
+        this.location.address = address;
+        return this;
+    }
+
+    render() {
+        return { type: 'location', location: { ...this.location } };
+    }
+}
+
+class MediaMessageBuilder extends MessageBuilder {
+    /**
+     * @param {string} mediaType - image, video or document
+     * @param {string} source - Public link, or a WhatsApp media ID when it does not start with http
+     */
+    constructor(mediaType, source) {
+        super(mediaType);
+        this.media = /^https?:\/\//i.test(source) ? { link: source } : { id: source };
+    }
+
+    caption(text) {
+        this.media.caption = text;
+        return this;
+    }
+
+    filename(name) {
+        this.media.filename = name;
+        return this;
+    }
+
+    render() {
+        return { type: this.type, [this.type]: { ...this.media } };
+    }
+}
+
+export const msg = {
+    text: (body) => new TextMessageBuilder(body),
+    buttons: (body) => new ButtonsMessageBuilder(body),
+    list: (body, buttonText) => new ListMessageBuilder(body, buttonText),
+    cta: (body, displayText, url) => new CtaUrlMessageBuilder(body, displayText, url),
+    locationRequest: (body) => new LocationRequestMessageBuilder(body),
+    location: (latitude, longitude) => new LocationMessageBuilder(latitude, longitude),
+    image: (source) => new MediaMessageBuilder('image', source),
+    video: (source) => new MediaMessageBuilder('video', source),
+    document: (source) => new MediaMessageBuilder('document', source)
+};
+
+/**
+ * True for builder instances, which sendWhatsAppMessage builds before sending
+ */
+export function isMessageBuilder(value) {
+    return value instanceof MessageBuilder;
+}
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { msg, getBuilderName } from './messageBuilder.js';
+import { MessageValidationError } from './messageValidation.js';
+import { createSelectedDealMessage } from './interactiveListUtils.js';
+
+test('interactive messages render header, body, footer and action in order', () => {
+    const message = msg.buttons('Pick one')
+        .builtBy('pickOne')
+        .footer('Tap a button')
+        .header('🔔 Alerts')
+        .button('setup_alert', '🔔 Setup')
+        .build();
+
+    assert.deepEqual(Object.keys(message.interactive), ['type', 'header', 'body', 'footer', 'action']);
+    assert.deepEqual(message.interactive.action.buttons, [{ type: 'reply', reply: { id: 'setup_alert', title: '🔔 Setup' } }]);
+    assert.equal(getBuilderName(message), 'pickOne');
+});
+
+test('empty footers and row descriptions are left out', () => {
+    const message = msg.list('When?', 'Select Time')
+        .footer('')
+        .row('alert_time_09:00', '9:00 AM')
+        .row('alert_time_18:00', '6:00 PM', 'After work')
+        .build();
+
+    assert.equal(message.interactive.footer, undefined);
+    assert.deepEqual(message.interactive.action.sections, [{
+        rows: [
+            { id: 'alert_time_09:00', title: '9:00 AM' },
+            { id: 'alert_time_18:00', title: '6:00 PM', description: 'After work' }
+        ]
+    }]);
+    assert.equal(getBuilderName(message), 'msg.list');
+});
+
+test('build() names the builder in validation errors', () => {
+    const message = msg.buttons('Pick one').builtBy('pickOne').button('same_id', 'A').button('same_id', 'B');
+
+    assert.throws(() => message.build(), error => error instanceof MessageValidationError && error.message.includes('pickOne'));
+});
+
+test('selected deals use the deal photo as the header when there is one', () => {
+    const deal = { businessName: 'Ah Hock Chicken Rice', offer: '1-for-1', image: 'https://example.com/rice.jpg' };
+
+    const withPhoto = createSelectedDealMessage(0, [deal], 'food');
+    const withoutPhoto = createSelectedDealMessage(0, [{ ...deal, image: undefined }], 'food');
+
+    assert.deepEqual(withPhoto.interactive.header, { type: 'image', image: { link: 'https://example.com/rice.jpg' } });
+    assert.deepEqual(withoutPhoto.interactive.header, { type: 'text', text: '🍕 Ah Hock Chicken Rice' });
+    assert.equal(getBuilderName(withPhoto), 'createSelectedDealMessage');
+});
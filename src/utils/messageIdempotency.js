@@ -0,0 +1,209 @@
+// Inbound Message Idempotency Store - durable de-duplication of WhatsApp webhook deliveries
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { isOfflineMode } from './offlineMode.js';
+
+const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+const docClient = DynamoDBDocumentClient.from(client);
+
+// Processing states of an inbound message
+export const MESSAGE_STATUS = {
+    RECEIVED: 'received',
+    PROCESSING: 'processing',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+// A claim older than this is treated as abandoned (Lambda timeout plus a margin)
+const PROCESSING_LEASE_MS = 330 * 1000;
+// Failed messages are retried on queue redelivery until this many attempts (the SQS maxReceiveCount)
+export const MAX_PROCESSING_ATTEMPTS = 3;
+
+// Used when the table cannot be reached, so a DynamoDB outage does not block replies, and in offline mode
+const localFallback = new Map();
+
+function getTableName() {
+    return process.env.PROCESSED_MESSAGES_TABLE_NAME || 'store-ai-bot-dev-processed-messages';
+}
+
+function getTtlSeconds(now) {
+    const ttlHours = parseInt(process.env.PROCESSED_MESSAGE_TTL_HOURS || '72', 10);
+    return Math.floor(now / 1000) + (ttlHours * 60 * 60);
+}
+
+export function buildMessageKey(storeId, messageId) {
+    return `${storeId}#${messageId}`;
+}
+
+function recordLocally(messageKey) {
+    const local = localFallback.get(messageKey);
+    return { isNew: !local, status: local?.status || MESSAGE_STATUS.RECEIVED };
+}
+
+// Same conditions as the claim in claimInboundMessage
+function claimLocally(messageKey, now) {
+    const local = localFallback.get(messageKey);
+    const claimable = !local
+        || local.status === MESSAGE_STATUS.RECEIVED
+        || (local.status === MESSAGE_STATUS.FAILED && local.attempts < MAX_PROCESSING_ATTEMPTS)
+        || (local.status === MESSAGE_STATUS.PROCESSING && local.leaseExpiresAt < now);
+    if (!claimable) {
+        return { claimed: false, status: local.status, attempts: local.attempts };
+    }
+    const attempts = (local?.attempts || 0) + 1;
+    localFallback.set(messageKey, { status: MESSAGE_STATUS.PROCESSING, leaseExpiresAt: now + PROCESSING_LEASE_MS, attempts });
+    if (localFallback.size > 1000) {
+        localFallback.delete(localFallback.keys().next().value);
+    }
+    return { claimed: true, status: MESSAGE_STATUS.PROCESSING, attempts };
+}
+
+/**
+ * Get the stored processing record for a message, or null if it was never seen
+ */
+export async function getInboundMessageRecord(storeId, messageId) {
+    if (isOfflineMode()) {
+        return localFallback.get(buildMessageKey(storeId, messageId)) || null;
+    }
+    const result = await docClient.send(new GetCommand({
+        TableName: getTableName(),
+        Key: { messageKey: buildMessageKey(storeId, messageId) }
+    }));
+    return result.Item || null;
+}
+
+/**
+ * Record that a message arrived, without claiming it for processing.
+ * Returns { isNew, status } - isNew is false when the message key already
+ * exists, with status holding its current state.
+ */
+export async function recordInboundMessage(storeId, messageId, details = {}) {
+    if (isOfflineMode()) {
+        return recordLocally(buildMessageKey(storeId, messageId));
+    }
+    const now = Date.now();
+    try {
+        await docClient.send(new UpdateCommand({
+            TableName: getTableName(),
+            Key: { messageKey: buildMessageKey(storeId, messageId) },
+            UpdateExpression: 'SET #status = :received, storeId = :storeId, messageId = :messageId, receivedAt = :now, updatedAt = :now, attempts = :zero, details = :details, #ttl = :ttl',
+            ConditionExpression: 'attribute_not_exists(messageKey)',
+            ExpressionAttributeNames: { '#status': 'status', '#ttl': 'ttl' },
+            ExpressionAttributeValues: {
+                ':received': MESSAGE_STATUS.RECEIVED,
+                ':storeId': storeId,
+                ':messageId': messageId,
+                ':now': now,
+                ':zero': 0,
+                ':details': details,
+                ':ttl': getTtlSeconds(now)
+            }
+        }));
+        return { isNew: true, status: MESSAGE_STATUS.RECEIVED };
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            const existing = await getInboundMessageRecord(storeId, messageId).catch(() => null);
+            return { isNew: false, status: existing?.status || null };
+        }
+        console.error(`[MessageIdempotency] Error recording message ${messageId} for store ${storeId}:`, error);
+        return recordLocally(buildMessageKey(storeId, messageId));
+    }
+}
+
+/**
+ * Claim a message for processing with a conditional write.
+ * The claim succeeds when the message is new, was only received, failed with
+ * attempts left, or its previous processing lease expired.
+ * @returns {Promise<{claimed: boolean, status: string|null, attempts: number}>}
+ */
+export async function claimInboundMessage(storeId, messageId) {
+    const messageKey = buildMessageKey(storeId, messageId);
+    const now = Date.now();
+    if (isOfflineMode()) {
+        return claimLocally(messageKey, now);
+    }
+
+    try {
+        const result = await docClient.send(new UpdateCommand({
+            TableName: getTableName(),
+            Key: { messageKey },
+            UpdateExpression: 'SET #status = :processing, storeId = :storeId, messageId = :messageId, updatedAt = :now, leaseExpiresAt = :lease, receivedAt = if_not_exists(receivedAt, :now), #ttl = :ttl ADD attempts :one',
+            ConditionExpression: 'attribute_not_exists(messageKey) OR #status = :received OR (#status = :failed AND attempts < :maxAttempts) OR (#status = :processing AND leaseExpiresAt < :now)',
+            ExpressionAttributeNames: { '#status': 'status', '#ttl': 'ttl' },
+            ExpressionAttributeValues: {
+                ':processing': MESSAGE_STATUS.PROCESSING,
+                ':received': MESSAGE_STATUS.RECEIVED,
+                ':failed': MESSAGE_STATUS.FAILED,
+                ':storeId': storeId,
+                ':messageId': messageId,
+                ':now': now,
+                ':lease': now + PROCESSING_LEASE_MS,
+                ':ttl': getTtlSeconds(now),
+                ':one': 1,
+                ':maxAttempts': MAX_PROCESSING_ATTEMPTS
+            },
+            ReturnValues: 'ALL_NEW'
+        }));
+
+        const attempts = result.Attributes?.attempts || 1;
+        if (attempts > 1) {
+            console.log(`[MessageIdempotency] Resuming message ${messageId} for store ${storeId} (attempt ${attempts})`);
+        }
+        return { claimed: true, status: MESSAGE_STATUS.PROCESSING, attempts };
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            const existing = await getInboundMessageRecord(storeId, messageId).catch(() => null);
+            console.log(`[MessageIdempotency] Message ${messageId} for store ${storeId} not claimed, current status: ${existing?.status || 'unknown'}`);
+            return { claimed: false, status: existing?.status || null, attempts: existing?.attempts || 0 };
+        }
+
+        console.error(`[MessageIdempotency] Idempotency table unavailable, using in-memory de-duplication for ${messageKey}:`, error);
+        return claimLocally(messageKey, now);
+    }
+}
+
+async function setInboundMessageStatus(storeId, messageId, status, extraValues = {}) {
+    const messageKey = buildMessageKey(storeId, messageId);
+    const now = Date.now();
+    const local = localFallback.get(messageKey);
+    if (local) {
+        local.status = status;
+    }
+    if (isOfflineMode()) {
+        return;
+    }
+
+    const setExpressions = ['#status = :status', 'updatedAt = :now'];
+    const values = { ':status': status, ':now': now };
+    for (const [field, value] of Object.entries(extraValues)) {
+        setExpressions.push(`${field} = :${field}`);
+        values[`:${field}`] = value;
+    }
+
+    try {
+        await docClient.send(new UpdateCommand({
+            TableName: getTableName(),
+            Key: { messageKey },
+            UpdateExpression: `SET ${setExpressions.join(', ')} REMOVE leaseExpiresAt`,
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: values
+        }));
+    } catch (error) {
+        console.error(`[MessageIdempotency] Error marking message ${messageId} as ${status}:`, error);
+    }
+}
+
+/**
+ * Mark a claimed message as fully processed so redeliveries are skipped
+ */
+export async function markInboundMessageDone(storeId, messageId) {
+    await setInboundMessageStatus(storeId, messageId, MESSAGE_STATUS.DONE, { completedAt: Date.now() });
+}
+
+/**
+ * Mark a claimed message as failed so a redelivery can resume it
+ */
+export async function markInboundMessageFailed(storeId, messageId, error) {
+    const lastError = (error?.message || String(error || 'Unknown error')).substring(0, 500);
+    await setInboundMessageStatus(storeId, messageId, MESSAGE_STATUS.FAILED, { lastError });
+}
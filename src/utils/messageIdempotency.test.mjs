@@ -0,0 +1,40 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { claimInboundMessage, markInboundMessageDone, markInboundMessageFailed, MESSAGE_STATUS, MAX_PROCESSING_ATTEMPTS } from './messageIdempotency.js';
+
+process.env.OFFLINE_MODE = 'true';
+
+const storeId = 'idempotency-test-store';
+
+afterEach(() => mock.timers.reset());
+
+test('a processed message is never claimed again', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T02:00:00Z') });
+    assert.equal((await claimInboundMessage(storeId, 'wamid.DONE')).claimed, true);
+    await markInboundMessageDone(storeId, 'wamid.DONE');
+
+    assert.deepEqual(await claimInboundMessage(storeId, 'wamid.DONE'), { claimed: false, status: MESSAGE_STATUS.DONE, attempts: 1 });
+    mock.timers.tick(24 * 60 * 60 * 1000);
+    assert.equal((await claimInboundMessage(storeId, 'wamid.DONE')).claimed, false);
+});
+
+test('a message in progress is only reclaimed once its lease has expired', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T02:00:00Z') });
+    assert.equal((await claimInboundMessage(storeId, 'wamid.STALE')).claimed, true);
+
+    mock.timers.tick(60 * 1000);
+    assert.deepEqual(await claimInboundMessage(storeId, 'wamid.STALE'), { claimed: false, status: MESSAGE_STATUS.PROCESSING, attempts: 1 });
+
+    // The instance that claimed it timed out without marking it done or failed
+    mock.timers.tick(10 * 60 * 1000);
+    assert.deepEqual(await claimInboundMessage(storeId, 'wamid.STALE'), { claimed: true, status: MESSAGE_STATUS.PROCESSING, attempts: 2 });
+});
+
+test('a failing message is retried until MAX_PROCESSING_ATTEMPTS', async () => {
+    for (let attempt = 1; attempt <= MAX_PROCESSING_ATTEMPTS; attempt++) {
+        assert.deepEqual(await claimInboundMessage(storeId, 'wamid.FAILING'), { claimed: true, status: MESSAGE_STATUS.PROCESSING, attempts: attempt });
+        await markInboundMessageFailed(storeId, 'wamid.FAILING', new Error('Handler failed'));
+    }
+
+    assert.deepEqual(await claimInboundMessage(storeId, 'wamid.FAILING'), { claimed: false, status: MESSAGE_STATUS.FAILED, attempts: MAX_PROCESSING_ATTEMPTS });
+});
@@ -0,0 +1,80 @@
+// WhatsApp Status Callback Ingestion - sent/delivered/read/failed events for outbound messages
+import { recordMessageStatus } from './sessionManager.js';
+
+// Cloud API error codes we act on. Anything else is reported as 'delivery_failed'.
+export const WHATSAPP_FAILURE_REASONS = {
+    131047: { reason: 're_engagement_required', title: 'Re-engagement message', description: 'More than 24 hours since the user last replied; only a template can be sent' },
+    470: { reason: 're_engagement_required', title: 'Re-engagement message', description: 'More than 24 hours since the user last replied (legacy code)' },
+    131026: { reason: 'not_on_whatsapp', title: 'Message undeliverable', description: 'Recipient is not on WhatsApp, has not accepted the terms, or uses an old app version' },
+    1013: { reason: 'not_on_whatsapp', title: 'User is not valid', description: 'Recipient phone number is not a WhatsApp user' },
+    131049: { reason: 'ecosystem_limited', title: 'Meta chose not to deliver', description: 'Meta limited marketing messages to this user' },
+    131050: { reason: 'user_opted_out', title: 'User stopped marketing messages', description: 'Recipient stopped marketing messages from this business' },
+    131056: { reason: 'pair_rate_limited', title: 'Pair rate limit hit', description: 'Too many messages to this recipient in a short time' },
+    131021: { reason: 'invalid_recipient', title: 'Recipient cannot be sender', description: 'Message was sent to the business number itself' },
+    131051: { reason: 'unsupported_message_type', title: 'Unsupported message type', description: 'Message type is not supported' },
+    131053: { reason: 'media_upload_error', title: 'Media upload error', description: 'Media attached to the message could not be uploaded' }
+};
+
+/**
+ * Map a WhatsApp error object ({ code, title, message, error_data }) to a failure reason
+ */
+export function classifyWhatsAppError(error) {
+    if (!error) {
+        return { code: null, reason: 'delivery_failed', title: 'Unknown failure' };
+    }
+    const known = WHATSAPP_FAILURE_REASONS[error.code];
+    return {
+        code: error.code || null,
+        reason: known?.reason || 'delivery_failed',
+        title: error.title || error.message || known?.title || 'Delivery failed',
+        details: error.error_data?.details || known?.description || null
+    };
+}
+
+/**
+ * Record WhatsApp status callbacks against the outbound message log.
+ * Failures are logged with their classified reason so undelivered alerts and
+ * owner notifications show up in CloudWatch.
+ * @param {string} storeId - Store whose WhatsApp number sent the messages
+ * @param {Array} statuses - change.value.statuses from the webhook payload
+ * @returns {Promise<Array>} - Normalized status events that were recorded
+ */
+export async function ingestStatusEvents(storeId, statuses = []) {
+    const recorded = [];
+
+    for (const status of statuses) {
+        if (!status?.id || !status.status) {
+            console.warn(`[MessageStatus] Skipping malformed status event for store ${storeId}:`, JSON.stringify(status));
+            continue;
+        }
+
+        const timestamp = status.timestamp
+            ? new Date(parseInt(status.timestamp, 10) * 1000).toISOString()
+            : new Date().toISOString();
+
+        let failure = null;
+        if (status.status === 'failed') {
+            failure = classifyWhatsAppError(status.errors?.[0]);
+            console.warn(`[MessageStatus] Message ${status.id} to ${status.recipient_id} FAILED for store ${storeId}: ${failure.reason} (code ${failure.code}) - ${failure.title}`);
+        } else {
+            console.log(`[MessageStatus] Message ${status.id} to ${status.recipient_id} is ${status.status}`);
+        }
+
+        const event = {
+            status: status.status,
+            phoneNumber: status.recipient_id,
+            timestamp,
+            storeId,
+            failure
+        };
+
+        try {
+            await recordMessageStatus(status.id, event);
+            recorded.push({ messageId: status.id, ...event });
+        } catch (error) {
+            console.error(`[MessageStatus] Error recording status for message ${status.id}:`, error);
+        }
+    }
+
+    return recorded;
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ingestStatusEvents, classifyWhatsAppError } from './messageStatusUtils.js';
+import { trackOutboundMessage, getMessageLifecycle } from './sessionManager.js';
+
+process.env.OFFLINE_MODE = 'true';
+
+const storeId = 'status-test-store';
+
+// A status callback as it appears in change.value.statuses
+const statusCallback = (id, status, timestamp, extra = {}) => ({ id, status, timestamp: String(timestamp), recipient_id: '6590000401', ...extra });
+
+test('a delivered callback arriving after read does not move the status back', async () => {
+    await trackOutboundMessage('6590000401', 'wamid.OUTOFORDER', { storeId, category: 'daily_alert', messageType: 'text', text: 'Your deals' });
+    await ingestStatusEvents(storeId, [
+        statusCallback('wamid.OUTOFORDER', 'sent', 1760000000),
+        statusCallback('wamid.OUTOFORDER', 'read', 1760000060),
+        statusCallback('wamid.OUTOFORDER', 'delivered', 1760000030)
+    ]);
+
+    const lifecycle = await getMessageLifecycle('wamid.OUTOFORDER');
+    assert.equal(lifecycle.status, 'read');
+    assert.equal(lifecycle.category, 'daily_alert');
+    assert.equal(lifecycle.deliveredAt, new Date(1760000030 * 1000).toISOString());
+    assert.deepEqual(lifecycle.statusHistory.map(entry => entry.status), ['accepted', 'sent', 'read', 'delivered']);
+});
+
+test('a failed callback keeps its error code and reason', async () => {
+    await trackOutboundMessage('6590000401', 'wamid.FAILED', { storeId, category: 'saved_deal_ending' });
+    await ingestStatusEvents(storeId, [
+        statusCallback('wamid.FAILED', 'sent', 1760000000),
+        statusCallback('wamid.FAILED', 'failed', 1760000010, { errors: [{ code: 131047, title: 'Re-engagement message' }] }),
+        statusCallback('wamid.FAILED', 'delivered', 1760000020)
+    ]);
+
+    const lifecycle = await getMessageLifecycle('wamid.FAILED');
+    assert.equal(lifecycle.status, 'failed');
+    assert.equal(lifecycle.failureCode, 131047);
+    assert.equal(lifecycle.failureReason, 're_engagement_required');
+    assert.equal(lifecycle.statusHistory.find(entry => entry.status === 'failed').failureCode, 131047);
+});
+
+test('a callback that arrives before the send returns is kept', async () => {
+    await ingestStatusEvents(storeId, [statusCallback('wamid.EARLY', 'delivered', 1760000000)]);
+    await trackOutboundMessage('6590000401', 'wamid.EARLY', { storeId });
+
+    const lifecycle = await getMessageLifecycle('wamid.EARLY');
+    assert.equal(lifecycle.status, 'delivered');
+    assert.equal(lifecycle.storeId, storeId);
+});
+
+test('unknown error codes are reported as delivery_failed', () => {
+    assert.equal(classifyWhatsAppError({ code: 999999, title: 'Something new' }).reason, 'delivery_failed');
+    assert.equal(classifyWhatsAppError(undefined).reason, 'delivery_failed');
+});
@@ -0,0 +1,312 @@
+// Outbound Message Validation - checks payloads against WhatsApp Cloud API limits before sending
+// Safe problems (long titles, long bodies, too many buttons) are repaired; anything else throws.
+
+export const WHATSAPP_LIMITS = {
+    textBody: 4096,
+    caption: 1024,
+    interactiveBody: 1024,
+    headerText: 60,
+    footerText: 60,
+    buttonCount: 3,
+    buttonTitle: 20,
+    buttonId: 256,
+    listButtonText: 20,
+    listSections: 10,
+    listRows: 10,
+    sectionTitle: 24,
+    rowTitle: 24,
+    rowDescription: 72,
+    rowId: 200,
+    ctaDisplayText: 20
+};
+
+// Title used for the list button when more than three reply buttons are converted into a list
+const CONVERTED_LIST_BUTTON_TEXT = 'Choose an option';
+
+/**
+ * Raised when a payload breaks a Cloud API limit that cannot be repaired safely.
+ * `builder` names the function that produced the message, `issues` lists every violation.
+ */
+export class MessageValidationError extends Error {
+    constructor(builder, messageType, issues) {
+        super(`Invalid ${messageType} message from ${builder}: ${issues.map(issue => `${issue.path} ${issue.problem}`).join('; ')}`);
+        this.name = 'MessageValidationError';
+        this.builder = builder;
+        this.messageType = messageType;
+        this.issues = issues;
+    }
+}
+
+/**
+ * Shorten text to `max` characters (code points, so emoji are not cut in half)
+ */
+export function truncateText(text, max) {
+    const chars = Array.from(text);
+    if (chars.length <= max) {
+        return text;
+    }
+    return chars.slice(0, max - 1).join('').trimEnd() + '…';
+}
+
+function textLength(text) {
+    return Array.from(text || '').length;
+}
+
+/**
+ * Split text into chunks of at most `max` characters, preferring paragraph, line and word breaks
+ */
+export function splitText(text, max) {
+    const chunks = [];
+    let remaining = text;
+
+    while (textLength(remaining) > max) {
+        const window = Array.from(remaining).slice(0, max).join('');
+        let cut = window.lastIndexOf('\n\n');
+        if (cut < max / 2) cut = window.lastIndexOf('\n');
+        if (cut < max / 2) cut = window.lastIndexOf(' ');
+        if (cut < max / 2) cut = window.length;
+
+        chunks.push(remaining.substring(0, cut).trimEnd());
+        remaining = remaining.substring(cut).trimStart();
+    }
+
+    if (remaining) {
+        chunks.push(remaining);
+    }
+    return chunks;
+}
+
+function createValidationContext(builder, messageType) {
+    return {
+        builder,
+        messageType,
+        issues: [],
+        repairs: [],
+        // Text messages to send before the main one (overflow of split bodies)
+        leadingTexts: [],
+        fail(path, problem) {
+            this.issues.push({ path, problem });
+        },
+        repair(path, action) {
+            this.repairs.push({ path, action });
+        }
+    };
+}
+
+function truncateField(ctx, container, key, max, path) {
+    const value = container?.[key];
+    if (typeof value === 'string' && textLength(value) > max) {
+        container[key] = truncateText(value, max);
+        ctx.repair(path, `truncated from ${textLength(value)} to ${max} characters`);
+    }
+}
+
+function requireField(ctx, container, key, path) {
+    const value = container?.[key];
+    if (value === undefined || value === null || value === '') {
+        ctx.fail(path, 'is required');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Keep the last part of a long body in the message and send the rest ahead of it as text
+ */
+function splitLongBody(ctx, container, key, max, path) {
+    const value = container?.[key];
+    if (typeof value !== 'string' || textLength(value) <= max) {
+        return;
+    }
+
+    const chunks = splitText(value, max);
+    container[key] = chunks.pop();
+    ctx.leadingTexts.push(...chunks);
+    ctx.repair(path, `split ${textLength(value)} characters into ${chunks.length} leading text message(s)`);
+}
+
+function validateHeaderAndFooter(ctx, interactive) {
+    if (interactive.header?.type === 'text') {
+        truncateField(ctx, interactive.header, 'text', WHATSAPP_LIMITS.headerText, 'interactive.header.text');
+    }
+    if (interactive.footer) {
+        truncateField(ctx, interactive.footer, 'text', WHATSAPP_LIMITS.footerText, 'interactive.footer.text');
+    }
+}
+
+function validateButtons(ctx, interactive) {
+    const buttons = interactive.action?.buttons;
+    if (!Array.isArray(buttons) || buttons.length === 0) {
+        ctx.fail('interactive.action.buttons', 'must contain at least one button');
+        return;
+    }
+
+    const seenIds = new Set();
+    buttons.forEach((button, index) => {
+        const path = `interactive.action.buttons[${index}].reply`;
+        if (!requireField(ctx, button.reply, 'id', `${path}.id`) || !requireField(ctx, button.reply, 'title', `${path}.title`)) {
+            return;
+        }
+        if (textLength(button.reply.id) > WHATSAPP_LIMITS.buttonId) {
+            ctx.fail(`${path}.id`, `exceeds ${WHATSAPP_LIMITS.buttonId} characters`);
+        }
+        if (seenIds.has(button.reply.id)) {
+            ctx.fail(`${path}.id`, `duplicates '${button.reply.id}'`);
+        }
+        seenIds.add(button.reply.id);
+        truncateField(ctx, button.reply, 'title', WHATSAPP_LIMITS.buttonTitle, `${path}.title`);
+    });
+
+    if (buttons.length > WHATSAPP_LIMITS.buttonCount) {
+        if (buttons.length > WHATSAPP_LIMITS.listRows || (interactive.header && interactive.header.type !== 'text')) {
+            // Lists only allow text headers and ten rows, so there is nothing safe to convert to
+            ctx.fail('interactive.action.buttons', `has ${buttons.length} buttons, maximum is ${WHATSAPP_LIMITS.buttonCount}`);
+            return;
+        }
+
+        // Same reply ids as list rows; handlers read button_reply and list_reply ids alike
+        interactive.type = 'list';
+        interactive.action = {
+            button: CONVERTED_LIST_BUTTON_TEXT,
+            sections: [{
+                rows: buttons.map(button => ({ id: button.reply.id, title: button.reply.title }))
+            }]
+        };
+        ctx.repair('interactive.action.buttons', `converted ${buttons.length} buttons into a list`);
+    }
+}
+
+function validateList(ctx, interactive) {
+    const action = interactive.action || {};
+    if (requireField(ctx, action, 'button', 'interactive.action.button')) {
+        truncateField(ctx, action, 'button', WHATSAPP_LIMITS.listButtonText, 'interactive.action.button');
+    }
+
+    const sections = action.sections;
+    if (!Array.isArray(sections) || sections.length === 0) {
+        ctx.fail('interactive.action.sections', 'must contain at least one section');
+        return;
+    }
+    if (sections.length > WHATSAPP_LIMITS.listSections) {
+        ctx.fail('interactive.action.sections', `has ${sections.length} sections, maximum is ${WHATSAPP_LIMITS.listSections}`);
+    }
+    if (sections.length > 1 && sections.some(section => !section.title)) {
+        ctx.fail('interactive.action.sections', 'need a title when there is more than one section');
+    }
+
+    const seenIds = new Set();
+    let rowCount = 0;
+    sections.forEach((section, sectionIndex) => {
+        const sectionPath = `interactive.action.sections[${sectionIndex}]`;
+        truncateField(ctx, section, 'title', WHATSAPP_LIMITS.sectionTitle, `${sectionPath}.title`);
+
+        (section.rows || []).forEach((row, rowIndex) => {
+            const path = `${sectionPath}.rows[${rowIndex}]`;
+            rowCount++;
+            if (!requireField(ctx, row, 'id', `${path}.id`) || !requireField(ctx, row, 'title', `${path}.title`)) {
+                return;
+            }
+            if (textLength(row.id) > WHATSAPP_LIMITS.rowId) {
+                ctx.fail(`${path}.id`, `exceeds ${WHATSAPP_LIMITS.rowId} characters`);
+            }
+            if (seenIds.has(row.id)) {
+                ctx.fail(`${path}.id`, `duplicates '${row.id}'`);
+            }
+            seenIds.add(row.id);
+
+            // Keep the full title readable in the description when it has room
+            if (textLength(row.title) > WHATSAPP_LIMITS.rowTitle && !row.description) {
+                row.description = row.title;
+            }
+            truncateField(ctx, row, 'title', WHATSAPP_LIMITS.rowTitle, `${path}.title`);
+            truncateField(ctx, row, 'description', WHATSAPP_LIMITS.rowDescription, `${path}.description`);
+        });
+    });
+
+    if (rowCount === 0) {
+        ctx.fail('interactive.action.sections', 'must contain at least one row');
+    }
+    if (rowCount > WHATSAPP_LIMITS.listRows) {
+        ctx.fail('interactive.action.sections', `has ${rowCount} rows, maximum is ${WHATSAPP_LIMITS.listRows}`);
+    }
+}
+
+function validateCtaUrl(ctx, interactive) {
+    const parameters = interactive.action?.parameters;
+    if (interactive.action?.name !== 'cta_url' || !parameters) {
+        ctx.fail('interactive.action', "must have name 'cta_url' and parameters");
+        return;
+    }
+    if (requireField(ctx, parameters, 'display_text', 'interactive.action.parameters.display_text')) {
+        truncateField(ctx, parameters, 'display_text', WHATSAPP_LIMITS.ctaDisplayText, 'interactive.action.parameters.display_text');
+    }
+    if (requireField(ctx, parameters, 'url', 'interactive.action.parameters.url') && !/^https?:\/\//i.test(parameters.url)) {
+        ctx.fail('interactive.action.parameters.url', 'must be an http(s) URL');
+    }
+}
+
+function validateInteractive(ctx, interactive) {
+    if (!interactive?.type) {
+        ctx.fail('interactive.type', 'is required');
+        return;
+    }
+
+    // Product messages carry their body from the catalog; everything else needs one
+    const needsBody = ['button', 'list', 'cta_url'].includes(interactive.type);
+    if (needsBody && requireField(ctx, interactive.body, 'text', 'interactive.body.text')) {
+        splitLongBody(ctx, interactive.body, 'text', WHATSAPP_LIMITS.interactiveBody, 'interactive.body.text');
+    }
+    validateHeaderAndFooter(ctx, interactive);
+
+    switch (interactive.type) {
+        case 'button':
+            validateButtons(ctx, interactive);
+            break;
+        case 'list':
+            validateList(ctx, interactive);
+            break;
+        case 'cta_url':
+            validateCtaUrl(ctx, interactive);
+            break;
+        default:
+            // product, product_list, location_request_message, flow: passed through as built
+            break;
+    }
+}
+
+/**
+ * Validate a Cloud API payload and repair what is safe to repair.
+ * The payload is copied, never modified in place.
+ * @param {Object} payload - Payload as it would be posted to /messages
+ * @param {string} builder - Name of the function that built the message (for error reports)
+ * @returns {{ payload: Object, leadingTexts: string[], repairs: Array }} - Repaired payload and text messages to send before it
+ * @throws {MessageValidationError} - When a limit is broken in a way that cannot be repaired
+ */
+export function validateOutboundMessage(payload, builder = 'unknown builder') {
+    const repaired = JSON.parse(JSON.stringify(payload));
+    const ctx = createValidationContext(builder, repaired.type);
+
+    switch (repaired.type) {
+        case 'text':
+            if (requireField(ctx, repaired.text, 'body', 'text.body')) {
+                splitLongBody(ctx, repaired.text, 'body', WHATSAPP_LIMITS.textBody, 'text.body');
+            }
+            break;
+        case 'image':
+        case 'video':
+        case 'document':
+            truncateField(ctx, repaired[repaired.type], 'caption', WHATSAPP_LIMITS.caption, `${repaired.type}.caption`);
+            break;
+        case 'interactive':
+            validateInteractive(ctx, repaired.interactive);
+            break;
+        default:
+            break;
+    }
+
+    if (ctx.issues.length > 0) {
+        throw new MessageValidationError(builder, repaired.type, ctx.issues);
+    }
+
+    return { payload: repaired, leadingTexts: ctx.leadingTexts, repairs: ctx.repairs };
+}
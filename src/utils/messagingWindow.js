@@ -0,0 +1,163 @@
+// Messaging window - WhatsApp only delivers free-form messages within 24 hours of the user's last
+// message. Messages we start (alerts, reminders) check the window and fall back to an approved template.
+import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { sendWhatsAppMessage } from './whatsappUtils.js';
+import { sendWhatsAppTemplateMessage } from './whatsappApi.js';
+import { normalizeLanguage } from './i18n.js';
+import { isOfflineMode } from './offlineMode.js';
+
+export const MESSAGING_WINDOW_HOURS = 24;
+
+// How each proactive message was delivered
+export const DELIVERY_PATHS = {
+    FREE_FORM: 'free_form',
+    TEMPLATE: 'template',
+    // Outside the window with no template configured
+    SKIPPED: 'skipped',
+    FAILED: 'failed'
+};
+
+// WhatsApp template language codes for our languages
+const TEMPLATE_LANGUAGE_CODES = { en: 'en', zh: 'zh_CN', ms: 'ms', ta: 'ta' };
+// Template parameters are limited to 1024 characters and may not contain newlines or tabs
+const MAX_TEMPLATE_PARAMETER_LENGTH = 1024;
+
+// Last inbound times for offline runs, keyed like the table items
+const localWindows = new Map();
+
+function getMessagingWindowTableName() {
+    return process.env.MESSAGING_WINDOW_TABLE_NAME || 'store-ai-bot-dev-messaging-window';
+}
+
+/**
+ * The window belongs to the store's WhatsApp number, so a message to one store doesn't open
+ * the window for another.
+ */
+export function getMessagingWindowKey(storeId, phoneNumber) {
+    return `${storeId}#${phoneNumber}`;
+}
+
+/**
+ * True while a free-form message can still reach the user
+ */
+export function isWithinMessagingWindow(lastInboundAt, now = new Date()) {
+    return !!lastInboundAt && now.getTime() - lastInboundAt < MESSAGING_WINDOW_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Look up when a user last messaged a store
+ * @returns {Promise<number|null>} - Timestamp (ms) or null when unknown
+ */
+export async function getUserLastInboundAt(storeId, phoneNumber) {
+    const windowKey = getMessagingWindowKey(storeId, phoneNumber);
+    if (isOfflineMode()) {
+        return localWindows.get(windowKey) || null;
+    }
+    try {
+        const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+        const result = await client.send(new GetItemCommand({
+            TableName: getMessagingWindowTableName(),
+            Key: marshall({ windowKey }),
+            ProjectionExpression: 'lastInboundAt'
+        }));
+        return result.Item ? unmarshall(result.Item).lastInboundAt : null;
+    } catch (error) {
+        console.error(`[MessagingWindow] Error reading last inbound time for ${windowKey}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Record an inbound message to a store. Called by the webhook worker for every message, with
+ * the time WhatsApp received it; an older (redelivered) message never moves it back.
+ * @param {string} storeId
+ * @param {string} phoneNumber
+ * @param {number} lastInboundAt - Timestamp (ms)
+ */
+export async function recordLastInboundAt(storeId, phoneNumber, lastInboundAt) {
+    const windowKey = getMessagingWindowKey(storeId, phoneNumber);
+    if (isOfflineMode()) {
+        localWindows.set(windowKey, Math.max(localWindows.get(windowKey) || 0, lastInboundAt));
+        return;
+    }
+    try {
+        const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+        await client.send(new UpdateItemCommand({
+            TableName: getMessagingWindowTableName(),
+            Key: marshall({ windowKey }),
+            // The item is only needed while the window is open
+            UpdateExpression: 'SET lastInboundAt = :lastInboundAt, storeId = :storeId, phoneNumber = :phoneNumber, #ttl = :ttl',
+            ConditionExpression: 'attribute_not_exists(lastInboundAt) OR lastInboundAt < :lastInboundAt',
+            ExpressionAttributeNames: { '#ttl': 'ttl' },
+            ExpressionAttributeValues: marshall({
+                ':lastInboundAt': lastInboundAt,
+                ':storeId': storeId,
+                ':phoneNumber': phoneNumber,
+                ':ttl': Math.floor(lastInboundAt / 1000) + MESSAGING_WINDOW_HOURS * 60 * 60
+            })
+        }));
+    } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+            console.error(`[MessagingWindow] Error recording inbound message for ${windowKey}:`, error);
+        }
+    }
+}
+
+/**
+ * Single-line text for a template parameter
+ */
+export function toTemplateParameter(text) {
+    const singleLine = String(text || '').replace(/[\r\n\t]+/g, ' · ').replace(/ {4,}/g, '   ').trim();
+    return singleLine.length > MAX_TEMPLATE_PARAMETER_LENGTH
+        ? `${singleLine.substring(0, MAX_TEMPLATE_PARAMETER_LENGTH - 1)}…`
+        : singleLine;
+}
+
+/**
+ * Send a message we start rather than a reply: the free-form messages inside the 24-hour window,
+ * otherwise the template with one body parameter.
+ * @param {Object} params
+ * @param {string} params.storeId
+ * @param {string} params.phoneNumber
+ * @param {Array} params.messages - Free-form messages, sent in order
+ * @param {Object} params.botConfig
+ * @param {string} params.category - Outbound message log category (daily_alert, ...)
+ * @param {Object} params.template - { name, summary, lang }; name may be empty when no template is approved
+ * @param {number|null} params.lastInboundAt - Defaults to a lookup of the user's window with the store
+ * @returns {Promise<{path: string, withinWindow: boolean}>}
+ */
+export async function sendProactiveMessage({ storeId, phoneNumber, messages, botConfig, category, template = {}, lastInboundAt, now = new Date() }) {
+    const lastInbound = lastInboundAt === undefined ? await getUserLastInboundAt(storeId, phoneNumber) : lastInboundAt;
+    const withinWindow = isWithinMessagingWindow(lastInbound, now);
+
+    if (withinWindow) {
+        for (const [index, message] of messages.entries()) {
+            if (index > 0) {
+                // Small delay between messages
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+            const sent = await sendWhatsAppMessage(storeId, phoneNumber, message, botConfig, { category });
+            if (!sent) {
+                return { path: DELIVERY_PATHS.FAILED, withinWindow };
+            }
+        }
+        return { path: DELIVERY_PATHS.FREE_FORM, withinWindow };
+    }
+
+    if (!template.name) {
+        console.log(`[MessagingWindow] ${phoneNumber} is outside the messaging window and no ${category} template is configured, skipping`);
+        return { path: DELIVERY_PATHS.SKIPPED, withinWindow };
+    }
+
+    console.log(`[MessagingWindow] ${phoneNumber} is outside the messaging window, sending template ${template.name}`);
+    const sent = await sendWhatsAppTemplateMessage(
+        phoneNumber,
+        template.name,
+        TEMPLATE_LANGUAGE_CODES[normalizeLanguage(template.lang)],
+        [{ type: 'body', parameters: [{ type: 'text', text: toTemplateParameter(template.summary) }] }],
+        storeId,
+        { category }
+    );
+    return { path: sent ? DELIVERY_PATHS.TEMPLATE : DELIVERY_PATHS.FAILED, withinWindow };
+}
@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { WhatsAppCloudSimulator } from '../simulator/whatsappCloudSimulator.js';
+import { getLocalBotConfig } from './offlineMode.js';
+import { recordLastInboundAt, getUserLastInboundAt, sendProactiveMessage, DELIVERY_PATHS } from './messagingWindow.js';
+
+const storeId = 'window-test-store';
+const now = new Date('2026-10-19T10:00:00+08:00');
+const hoursAgo = hours => now.getTime() - hours * 60 * 60 * 1000;
+const simulator = new WhatsAppCloudSimulator({ handler: null, appSecret: 'window-test-secret', phoneNumberId: '100000009' });
+
+before(async () => {
+    await simulator.start();
+    simulator.useStore({ storeId, botMode: 'lobanglah' });
+});
+
+after(() => simulator.stop());
+
+const sendAlert = (phoneNumber, templateName) => sendProactiveMessage({
+    storeId,
+    phoneNumber,
+    messages: [{ type: 'text', text: { body: '3 Food deals near Bugis MRT' } }],
+    botConfig: getLocalBotConfig(storeId),
+    category: 'daily_alert',
+    template: { name: templateName, summary: '3 Food deals near Bugis MRT:\nYa Kun – 1-for-1 kaya toast', lang: 'zh' },
+    now
+});
+
+const sentTo = phoneNumber => simulator.outbound.filter(message => message.to === phoneNumber).map(message => message.payload);
+
+test('the window is kept per store and never moves back', async () => {
+    await recordLastInboundAt(storeId, '6590000201', hoursAgo(2));
+    await recordLastInboundAt(storeId, '6590000201', hoursAgo(5));
+    assert.equal(await getUserLastInboundAt(storeId, '6590000201'), hoursAgo(2));
+    assert.equal(await getUserLastInboundAt('another-store', '6590000201'), null);
+});
+
+test('inside the window the free-form messages are sent', async () => {
+    await recordLastInboundAt(storeId, '6590000202', hoursAgo(23));
+    const result = await sendAlert('6590000202', 'daily_alert_v1');
+
+    assert.deepEqual(result, { path: DELIVERY_PATHS.FREE_FORM, withinWindow: true });
+    assert.deepEqual(sentTo('6590000202').map(payload => payload.type), ['text']);
+});
+
+test('outside the window the template is sent with a one-line summary', async () => {
+    await recordLastInboundAt(storeId, '6590000203', hoursAgo(25));
+    // A message to another store doesn't open this store's window
+    await recordLastInboundAt('another-store', '6590000203', hoursAgo(1));
+    const result = await sendAlert('6590000203', 'daily_alert_v1');
+
+    assert.deepEqual(result, { path: DELIVERY_PATHS.TEMPLATE, withinWindow: false });
+    const [payload] = sentTo('6590000203');
+    assert.equal(payload.type, 'template');
+    assert.equal(payload.template.name, 'daily_alert_v1');
+    assert.equal(payload.template.language.code, 'zh_CN');
+    assert.equal(payload.template.components[0].parameters[0].text, '3 Food deals near Bugis MRT: · Ya Kun – 1-for-1 kaya toast');
+});
+
+test('outside the window without a template nothing is sent', async () => {
+    const result = await sendAlert('6590000204', undefined);
+
+    assert.deepEqual(result, { path: DELIVERY_PATHS.SKIPPED, withinWindow: false });
+    assert.deepEqual(sentTo('6590000204'), []);
+});
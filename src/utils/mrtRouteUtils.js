@@ -0,0 +1,287 @@
+// MRT Routes - line membership for the gazetteer's MRT/LRT stations and "deals along my route"
+//
+//   "deals near Outram Park"                                        one station
+//   "along the East-West line from Jurong East to Buona Vista"      every station on the way
+//
+// A route becomes a location with `route: { line, lineName, stations }`. Searches for station and
+// route locations look for places within walking distance of each station (searchNearbyPlaces) and
+// the ranking measures distance to the nearest station on the route.
+import { MRT_LINES, MRT_STATIONS } from '../data/sgGazetteer.js';
+import { findGazetteerPlace, getGazetteerPlace, normalizePlaceName } from './sgGazetteer.js';
+import { searchNearbyPlaces } from './googleLocationUtils.js';
+import { distanceInMeters } from './geohash.js';
+import { t } from './i18n.js';
+
+export const WALKING_RADIUS_METERS = 500;
+const WALKING_METERS_PER_MINUTE = 80;
+// Each searched station is one Places call; longer routes are sampled evenly
+const MAX_SEARCHED_STATIONS = 8;
+const MAX_ROUTE_PLACES = 15;
+const MAX_STATION_NAME_WORDS = 4;
+
+// "from Jurong East to Buona Vista", "between Bugis and City Hall", stopping at "on/along/via the ... line"
+const FROM_TO_PATTERN = /\bfrom\s+(.+?)\s+(?:to|till|until|->|→)\s+(.+?)(?=\s+(?:on|along|via|using)\b|$)/;
+const BETWEEN_PATTERN = /\bbetween\s+(.+?)\s+and\s+(.+?)(?=\s+(?:on|along|via|using)\b|$)/;
+// "jurong east to buona vista", only when the text also names a line
+const TO_PATTERN = /(.+)\s+(?:to|->|→)\s+(.+)/;
+
+function parseStationCode(code) {
+    const match = String(code || '').toUpperCase().match(/^([A-Z]+)(\d*)$/);
+    return match ? { prefix: match[1], number: Number(match[2] || 0) } : null;
+}
+
+/**
+ * Line a station code belongs to, branches included (CG2 is on the East-West Line)
+ */
+export function getLineForCode(code) {
+    const prefix = parseStationCode(code)?.prefix;
+    return MRT_LINES.find(line => line.code === prefix || line.branches?.some(branch => branch.prefix === prefix)) || null;
+}
+
+/**
+ * Lines serving a station (a gazetteer station place or an MRT_STATIONS entry)
+ */
+export function getStationLines(station) {
+    const codes = station?.stationCodes || station?.codes || [];
+    return [...new Set(codes.map(getLineForCode).filter(Boolean))];
+}
+
+/**
+ * Line named in free text ("EWL", "green line", "East-West line"), or null
+ */
+export function findMrtLine(text) {
+    const normalized = ` ${String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+    return MRT_LINES.find(line => [line.name, ...line.aliases]
+        .some(name => normalized.includes(` ${name.toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `))) || null;
+}
+
+/**
+ * Stations named in free text, in the order they appear. Longer names win ("Jurong East" over "Jurong").
+ */
+export function findStationsInText(text) {
+    const words = normalizePlaceName(text).split(' ').filter(Boolean);
+    const stations = [];
+    for (let i = 0; i < words.length;) {
+        let length = Math.min(MAX_STATION_NAME_WORDS, words.length - i);
+        for (; length > 0; length--) {
+            const place = findGazetteerPlace(words.slice(i, i + length).join(' '));
+            if (place?.stationCodes) {
+                stations.push(place);
+                break;
+            }
+        }
+        i += Math.max(length, 1);
+    }
+    return stations;
+}
+
+// Stations on one line or branch prefix, in code order
+function getPrefixStations(prefix) {
+    return MRT_STATIONS
+        .flatMap(station => station.codes
+            .filter(code => parseStationCode(code).prefix === prefix)
+            .map(code => ({ name: station.name, code, number: parseStationCode(code).number, latitude: station.latitude, longitude: station.longitude })))
+        .sort((a, b) => a.number - b.number);
+}
+
+// Stations from one code to another in travel order (both on the list)
+function sliceStations(stations, fromCode, toCode) {
+    const from = stations.findIndex(station => station.code === fromCode);
+    const to = stations.findIndex(station => station.code === toCode);
+    if (from === -1 || to === -1) {
+        return [];
+    }
+    return from <= to ? stations.slice(from, to + 1) : stations.slice(to, from + 1).reverse();
+}
+
+/**
+ * Stations passed between two codes on a line: out along a branch to its junction, along the
+ * main line, then out along the other branch when the destination is on one
+ */
+function getStationsBetween(line, fromCode, toCode) {
+    const getBranch = code => line.branches?.find(branch => branch.prefix === parseStationCode(code).prefix) || null;
+    const fromBranch = getBranch(fromCode);
+    const toBranch = getBranch(toCode);
+    if (fromBranch && fromBranch === toBranch) {
+        return sliceStations(getPrefixStations(fromBranch.prefix), fromCode, toCode);
+    }
+
+    const legs = [];
+    if (fromBranch) {
+        const branchStations = getPrefixStations(fromBranch.prefix);
+        legs.push(sliceStations(branchStations, fromCode, branchStations[0].code));
+    }
+    legs.push(sliceStations(getPrefixStations(line.code), fromBranch ? fromBranch.junction : fromCode, toBranch ? toBranch.junction : toCode));
+    if (toBranch) {
+        const branchStations = getPrefixStations(toBranch.prefix);
+        legs.push(sliceStations(branchStations, branchStations[0].code, toCode));
+    }
+    return legs.flat().map(({ number, ...station }) => station);
+}
+
+/**
+ * Stations between two gazetteer station places. Uses the named line when both are on it,
+ * otherwise the shared line with the fewest stops.
+ * @returns {{line: Object, stations: Array}|null} - null when no single line links them
+ */
+export function getRouteStations(from, to, preferredLine = null) {
+    const toLines = getStationLines(to);
+    const sharedLines = getStationLines(from).filter(line => toLines.includes(line));
+    const candidates = sharedLines.includes(preferredLine) ? [preferredLine] : sharedLines;
+
+    let best = null;
+    for (const line of candidates) {
+        const fromCode = from.stationCodes.find(code => getLineForCode(code) === line);
+        const toCode = to.stationCodes.find(code => getLineForCode(code) === line);
+        const stations = getStationsBetween(line, fromCode, toCode);
+        if (stations.length > 0 && (!best || stations.length < best.stations.length)) {
+            best = { line, stations };
+        }
+    }
+    return best;
+}
+
+function findRouteEndpoints(lowerText, line) {
+    const match = lowerText.match(FROM_TO_PATTERN) || lowerText.match(BETWEEN_PATTERN);
+    if (match) {
+        return [findStationsInText(match[1])[0], findStationsInText(match[2])[0]];
+    }
+    const toMatch = line ? lowerText.match(TO_PATTERN) : null;
+    if (toMatch) {
+        return [findStationsInText(toMatch[1]).pop(), findStationsInText(toMatch[2])[0]];
+    }
+    return [];
+}
+
+/**
+ * Read a route request such as "deals along the East-West line from Jurong East to Buona Vista"
+ * @returns {Object|null} - { from, to, line, stations }, { from, to, error: 'no_common_line' } when the
+ *   stations share no line, or null when the text does not name two stations as a route
+ */
+export function parseMrtRoute(text) {
+    const lowerText = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const requestedLine = findMrtLine(lowerText);
+    const [from, to] = findRouteEndpoints(lowerText, requestedLine);
+    if (!from || !to || from.placeId === to.placeId) {
+        return null;
+    }
+
+    const route = getRouteStations(from, to, requestedLine);
+    if (!route) {
+        console.log(`[MrtRoute] No single line links ${from.stationName} and ${to.stationName}`);
+        return { from, to, error: 'no_common_line' };
+    }
+    console.log(`[MrtRoute] ${from.stationName} → ${to.stationName} on the ${route.line.name}: ${route.stations.length} stations`);
+    return { from, to, ...route };
+}
+
+/**
+ * Location for a parsed route, stored in userState.location like any other location
+ */
+export function createRouteLocation({ from, to, line, stations }) {
+    return {
+        type: 'mrt_route',
+        placeId: null,
+        displayName: `${from.stationName} → ${to.stationName}`,
+        formattedAddress: `${stations.map(station => station.name).join(', ')} MRT stations on the ${line.name}, Singapore`,
+        latitude: stations.reduce((sum, station) => sum + station.latitude, 0) / stations.length,
+        longitude: stations.reduce((sum, station) => sum + station.longitude, 0) / stations.length,
+        area: line.name,
+        route: { line: line.code, lineName: line.name, stations },
+        source: 'mrt_route'
+    };
+}
+
+/**
+ * Stations to search around for a location: every station of a route, the station itself for a
+ * station picked from the gazetteer, otherwise none
+ */
+export function getLocationStations(location) {
+    if (location?.route?.stations?.length > 0) {
+        return location.route.stations;
+    }
+    const place = getGazetteerPlace(location?.placeId);
+    if (place?.stationCodes) {
+        return [{ name: place.stationName, code: place.stationCodes[0], latitude: place.latitude, longitude: place.longitude }];
+    }
+    return [];
+}
+
+function sampleStations(stations, max) {
+    if (stations.length <= max) {
+        return stations;
+    }
+    return Array.from({ length: max }, (_, i) => stations[Math.round(i * (stations.length - 1) / (max - 1))]);
+}
+
+function findNearestStation(latitude, longitude, stations) {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        return null;
+    }
+    let nearest = null;
+    for (const station of stations) {
+        const distanceMeters = Math.round(distanceInMeters(latitude, longitude, station.latitude, station.longitude));
+        if (!nearest || distanceMeters < nearest.distanceMeters) {
+            nearest = { name: station.name, code: station.code, distanceMeters };
+        }
+    }
+    return nearest;
+}
+
+/**
+ * searchNearbyPlaces result in the Places API shape the openai-places deal source reads
+ */
+function toPlacesApiShape(place, stations) {
+    const latitude = place.geometry?.location?.lat;
+    const longitude = place.geometry?.location?.lng;
+    return {
+        id: place.place_id,
+        displayName: { text: place.name },
+        formattedAddress: place.vicinity,
+        location: Number.isFinite(latitude) ? { latitude, longitude } : undefined,
+        websiteUri: place.website,
+        rating: place.rating,
+        types: place.types,
+        nearestStation: findNearestStation(latitude, longitude, stations)
+    };
+}
+
+/**
+ * Places within walking distance of each station, taken from every station in turn so that
+ * all stops on a route are represented
+ * @returns {Promise<Array>} - Up to 15 places for the openai-places deal source, each with nearestStation
+ */
+export async function findPlacesNearStations(stations, category, googleMapsApiKey) {
+    if (!stations?.length || !googleMapsApiKey) {
+        return [];
+    }
+    const searchedStations = sampleStations(stations, MAX_SEARCHED_STATIONS);
+    const results = await Promise.all(searchedStations.map(station =>
+        searchNearbyPlaces(station.latitude, station.longitude, category, googleMapsApiKey, true, { radius: WALKING_RADIUS_METERS })));
+
+    const places = [];
+    const seen = new Set();
+    const longest = Math.max(...results.map(stationPlaces => stationPlaces.length));
+    for (let i = 0; i < longest && places.length < MAX_ROUTE_PLACES; i++) {
+        for (const stationPlaces of results) {
+            const place = stationPlaces[i];
+            if (place?.place_id && !seen.has(place.place_id) && places.length < MAX_ROUTE_PLACES) {
+                seen.add(place.place_id);
+                places.push(toPlacesApiShape(place, stations));
+            }
+        }
+    }
+    console.log(`[MrtRoute] Found ${places.length} places within ${WALKING_RADIUS_METERS}m of ${searchedStations.length} station(s)`);
+    return places;
+}
+
+/**
+ * "🚇 4 min walk from Clementi station" for deal cards, or '' when the deal has no nearest station
+ */
+export function formatNearestStation(deal, lang = 'en') {
+    const station = deal?.nearestStation;
+    if (!station?.name || !Number.isFinite(station.distanceMeters)) {
+        return '';
+    }
+    return t(lang, 'mrt.walk', { minutes: Math.max(1, Math.round(station.distanceMeters / WALKING_METERS_PER_MINUTE)), station: station.name });
+}
@@ -0,0 +1,34 @@
+// Offline Mode - runs the webhook without AWS, used by the WhatsApp Cloud API simulator
+// Stores that have an in-memory fallback use it straight away instead of calling DynamoDB,
+// and store lookups read the bot configs registered here instead of WhatsappStoreTokens.
+
+const localBotConfigs = new Map();
+
+export function isOfflineMode() {
+    return process.env.OFFLINE_MODE === 'true';
+}
+
+/**
+ * Register a store for offline runs. The config has the same fields as a
+ * WhatsappStoreTokens item (storeId, whatsappPhoneNumberId, whatsappAppSecret, botMode, ...).
+ */
+export function registerLocalBotConfig(botConfig) {
+    if (!botConfig?.storeId) {
+        throw new Error('Local bot config needs a storeId');
+    }
+    // A phone number belongs to one store, as in WhatsappStoreTokens
+    for (const [storeId, config] of localBotConfigs) {
+        if (config.whatsappPhoneNumberId === botConfig.whatsappPhoneNumberId) {
+            localBotConfigs.delete(storeId);
+        }
+    }
+    localBotConfigs.set(botConfig.storeId, botConfig);
+}
+
+export function getLocalBotConfig(storeId) {
+    return localBotConfigs.get(storeId) || null;
+}
+
+export function findLocalBotConfigByPhoneId(whatsappPhoneNumberId) {
+    return [...localBotConfigs.values()].find(config => config.whatsappPhoneNumberId === whatsappPhoneNumberId) || null;
+}
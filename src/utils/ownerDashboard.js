@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { redactSecrets } from './logRedaction.js';
 
 /**
  * Fetches customers who placed orders in the last 24 hours
@@ -9,7 +10,7 @@ import axios from 'axios';
 export const getRecentCustomers = async (storeId, botConfig) => {
   try {
     console.log(`[getRecentCustomers] DEBUGGING: Called for storeId: ${storeId}`);
-    console.log(`[getRecentCustomers] DEBUGGING: botConfig:`, JSON.stringify(botConfig));
+    console.log(`[getRecentCustomers] DEBUGGING: botConfig:`, JSON.stringify(redactSecrets(botConfig)));
     
     const baseUrl = botConfig?.posFastapiBaseUrl || process.env.POS_FASTAPI_BASE_URL;
     if (!baseUrl) {
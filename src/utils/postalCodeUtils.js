@@ -1,21 +1,52 @@
 // Singapore Postal Code Database Utilities
 import { DynamoDBClient, GetItemCommand } from '@aws-sdk/client-dynamodb';
 import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
-import axios from 'axios';
+import { lookupPostalCode, searchGazetteer } from './sgGazetteer.js';
+import { resolveCoordinates } from '../services/locationService.js';
 
 const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
 const postalCodesTableName = 'store-ai-bot-dev-postal-codes';
 
 /**
- * Validate and resolve Singapore postal code using DynamoDB database
+ * Location data from the bundled gazetteer, in the shape of a database record result
+ */
+function formatGazetteerResult(place, postalCode) {
+    return {
+        postalCode,
+        originalPostal: postalCode,
+        address: place.formattedAddress,
+        roadName: '',
+        building: '',
+        blkNo: '',
+        latitude: place.latitude,
+        longitude: place.longitude,
+        x: 0,
+        y: 0,
+        name: place.name,
+        description: place.formattedAddress,
+        area: place.area,
+        approximate: place.approximate,
+        isValid: true,
+        source: 'gazetteer'
+    };
+}
+
+/**
+ * Validate and resolve Singapore postal code: the bundled gazetteer first (no network call),
+ * then the DynamoDB database, then the postal district centre from the gazetteer
  * @param {string} postalCode - 5 or 6 digit Singapore postal code
  * @returns {Object|null} - Location data or null if not found
  */
 export async function validateAndResolvePostalCode(postalCode) {
+    // Clean and validate postal code format
+    const cleanPostalCode = postalCode.toString().trim().padStart(6, '0');
+    const gazetteerPlace = lookupPostalCode(cleanPostalCode);
+    if (gazetteerPlace && !gazetteerPlace.approximate) {
+        console.log(`[PostalCodeUtils] Resolved ${cleanPostalCode} from gazetteer: ${gazetteerPlace.name}`);
+        return formatGazetteerResult(gazetteerPlace, cleanPostalCode);
+    }
+    
     try {
-        // Clean and validate postal code format
-        const cleanPostalCode = postalCode.toString().trim().padStart(6, '0');
-        
         // Singapore postal codes are 6 digits, but we store them as 5 digits (without leading zero)
         const searchPostalCode = cleanPostalCode.substring(1); // Remove leading zero for lookup
         
@@ -54,12 +85,12 @@ export async function validateAndResolvePostalCode(postalCode) {
             };
         } else {
             console.log(`[PostalCodeUtils] Postal code ${cleanPostalCode} not found in Singapore database`);
-            return null;
+            return gazetteerPlace ? formatGazetteerResult(gazetteerPlace, cleanPostalCode) : null;
         }
         
     } catch (error) {
         console.error('[PostalCodeUtils] Error validating postal code:', error);
-        return null;
+        return gazetteerPlace ? formatGazetteerResult(gazetteerPlace, cleanPostalCode) : null;
     }
 }
 
@@ -153,33 +184,15 @@ export function extractSingaporePostalCode(text) {
 }
 
 /**
- * Resolve coordinates to location using reverse lookup
+ * Resolve coordinates to location through the location service
  * @param {number} latitude - Latitude
  * @param {number} longitude - Longitude
- * @returns {Object|null} - Location data or null if not found
+ * @returns {Promise<Location|null>} - The service's Location (postalCode is null when unknown), or null outside Singapore
  */
 export async function resolveCoordinatesToLocation(latitude, longitude) {
     try {
         console.log(`[PostalCodeUtils] Reverse lookup for coordinates: ${latitude}, ${longitude}`);
-        
-        // For now, return a generic Singapore location
-        // In a full implementation, you could do a spatial query or find nearest postal code
-        return {
-            postalCode: '000000',
-            address: `Location near ${latitude.toFixed(4)}, ${longitude.toFixed(4)}`,
-            roadName: 'Singapore',
-            building: '',
-            blkNo: '',
-            latitude: latitude,
-            longitude: longitude,
-            x: 0,
-            y: 0,
-            name: 'Singapore Location',
-            description: `Singapore (Coordinates: ${latitude.toFixed(4)}, ${longitude.toFixed(4)})`,
-            isValid: true,
-            source: 'coordinates'
-        };
-        
+        return await resolveCoordinates(latitude, longitude);
     } catch (error) {
         console.error('[PostalCodeUtils] Error resolving coordinates:', error);
         return null;
@@ -211,7 +224,7 @@ export function isValidSingaporePostalCodeFormat(postalCode) {
 
 
 /**
- * Use Google Maps reverse geocoding to resolve coordinates to postal code
+ * Resolve coordinates to postal code through the location service
  * @param {number} latitude - User's latitude
  * @param {number} longitude - User's longitude
  * @param {string} googleMapsApiKey - Google Maps API key
@@ -221,43 +234,54 @@ export async function resolveCoordinatesToPostalCode(latitude, longitude, google
     try {
         console.log(`[PostalCode] Resolving coordinates to postal code: ${latitude}, ${longitude}`);
         
-        // Step 1: Use Google reverse geocoding
-        const googleResult = await reverseGeocodeWithGoogle(latitude, longitude, googleMapsApiKey);
+        // Step 1: Name the location (gazetteer, then Google reverse geocoding)
+        const location = await resolveCoordinates(latitude, longitude, { googleMapsApiKey });
+        
+        if (!location) {
+            return {
+                isValid: false,
+                error: 'Location is not in Singapore. Please provide a location within Singapore.',
+                source: 'location_service'
+            };
+        }
         
-        if (!googleResult.isValid) {
-            return googleResult;
+        if (!location.postalCode) {
+            console.log(`[PostalCode] No postal code found for ${latitude}, ${longitude}`);
+            return {
+                isValid: false,
+                error: 'No postal code found for this location. Please provide a postal code.',
+                source: 'location_service'
+            };
         }
         
         // Step 2: Validate postal code in Singapore database
-        const databaseResult = await validatePostalCodeInDatabase(googleResult.postalCode);
+        const databaseResult = await validatePostalCodeInDatabase(location.postalCode);
         
         if (databaseResult.isValid) {
-            // Combine Google and database results for best accuracy
+            // Combine location service and database results for best accuracy
             return {
                 ...databaseResult,
-                formattedAddress: googleResult.formattedAddress,
+                formattedAddress: location.formattedAddress,
                 googleData: {
-                    country: googleResult.country,
-                    locality: googleResult.locality,
-                    route: googleResult.route
+                    country: 'Singapore',
+                    locality: location.area
                 },
-                source: 'google_plus_database'
+                source: `${location.source}_plus_database`
             };
         } else {
-            // Use Google data if not in database
+            // Use the location service data if not in database
             return {
                 isValid: true,
-                postalCode: googleResult.postalCode,
-                formattedAddress: googleResult.formattedAddress,
-                country: googleResult.country,
-                locality: googleResult.locality,
-                route: googleResult.route,
-                name: googleResult.formattedAddress,
-                description: googleResult.formattedAddress,
+                postalCode: location.postalCode,
+                formattedAddress: location.formattedAddress,
+                country: 'Singapore',
+                locality: location.area,
+                name: location.formattedAddress,
+                description: location.formattedAddress,
                 latitude: latitude,
                 longitude: longitude,
-                warning: 'Postal code not found in Singapore database, using Google data',
-                source: 'google_only'
+                warning: 'Postal code not found in Singapore database, using location service data',
+                source: `${location.source}_only`
             };
         }
         
@@ -271,96 +295,6 @@ export async function resolveCoordinatesToPostalCode(latitude, longitude, google
     }
 }
 
-/**
- * Use Google Maps reverse geocoding to get location details from coordinates
- * @param {number} latitude - User's latitude
- * @param {number} longitude - User's longitude
- * @param {string} googleMapsApiKey - Google Maps API key
- * @returns {Object} - Location data from Google
- */
-async function reverseGeocodeWithGoogle(latitude, longitude, googleMapsApiKey) {
-    try {
-        console.log(`[PostalCode] Using Google Maps reverse geocoding for: ${latitude}, ${longitude}`);
-        
-        const url = `https://maps.googleapis.com/maps/api/geocode/json?latlng=${latitude},${longitude}&key=${googleMapsApiKey}`;
-        
-        const response = await axios.get(url);
-        
-        if (response.data.status === 'OK' && response.data.results.length > 0) {
-            const result = response.data.results[0];
-            
-            console.log(`[PostalCode] Google reverse geocoding result: ${result.formatted_address}`);
-            
-            // Extract postal code from address components
-            let postalCode = null;
-            let country = null;
-            let locality = null;
-            let route = null;
-            
-            for (const component of result.address_components) {
-                if (component.types.includes('postal_code')) {
-                    postalCode = component.long_name;
-                }
-                if (component.types.includes('country')) {
-                    country = component.long_name;
-                }
-                if (component.types.includes('locality')) {
-                    locality = component.long_name;
-                }
-                if (component.types.includes('route')) {
-                    route = component.long_name;
-                }
-            }
-            
-            // Check if it's in Singapore
-            if (country !== 'Singapore') {
-                console.log(`[PostalCode] Location not in Singapore: ${country}`);
-                return {
-                    isValid: false,
-                    error: 'Location is not in Singapore. Please provide a location within Singapore.',
-                    source: 'google_reverse_geocoding'
-                };
-            }
-            
-            if (!postalCode) {
-                console.log(`[PostalCode] No postal code found in Google result`);
-                return {
-                    isValid: false,
-                    error: 'No postal code found for this location. Please provide a postal code.',
-                    source: 'google_reverse_geocoding'
-                };
-            }
-            
-            return {
-                isValid: true,
-                postalCode: postalCode,
-                formattedAddress: result.formatted_address,
-                country: country,
-                locality: locality,
-                route: route,
-                geometry: result.geometry,
-                source: 'google_reverse_geocoding'
-            };
-            
-        } else {
-            console.log(`[PostalCode] Google reverse geocoding failed: ${response.data.status}`);
-            return {
-                isValid: false,
-                error: `Unable to resolve location: ${response.data.status}`,
-                source: 'google_reverse_geocoding'
-            };
-        }
-        
-    } catch (error) {
-        console.error('[PostalCode] Error with Google reverse geocoding:', error.message);
-        return {
-            isValid: false,
-            error: `Location resolution error: ${error.message}`,
-            source: 'google_reverse_geocoding'
-        };
-    }
-}
-
 /**
  * Validate postal code against Singapore database
  * @param {string} postalCode - Postal code from Google
@@ -376,6 +310,12 @@ async function validatePostalCodeInDatabase(postalCode) {
             };
         }
         
+        // Postal codes in the bundled gazetteer need no database call
+        const gazetteerPlace = lookupPostalCode(postalCode.padStart(6, '0'));
+        if (gazetteerPlace && !gazetteerPlace.approximate) {
+            return { ...formatGazetteerResult(gazetteerPlace, postalCode.padStart(6, '0')), source: 'gazetteer_validated' };
+        }
+        
         // Normalize postal code (remove leading zeros for database lookup)
         const normalizedPostalCode = postalCode.replace(/^0+/, '') || '0';
         
@@ -428,13 +368,12 @@ async function validatePostalCodeInDatabase(postalCode) {
 }
 
 /**
- * Get location suggestions for partial postal codes (for autocomplete)
- * @param {string} _partialPostalCode - Partial postal code (unused for now)
+ * Get location suggestions for partial postal codes (for autocomplete), from the bundled gazetteer
+ * @param {string} partialPostalCode - At least the first 2 digits of a postal code
+ * @param {number} limit - Maximum suggestions
  * @returns {Array} - Array of suggestions
  */
-export async function getPostalCodeSuggestions(_partialPostalCode) {
-    // This would require a scan operation in DynamoDB
-    // For now, return empty array
-    // In production, you might want to implement this with ElasticSearch or similar
-    return [];
+export async function getPostalCodeSuggestions(partialPostalCode, limit = 5) {
+    const digits = String(partialPostalCode || '').replace(/\D/g, '');
+    return searchGazetteer(digits, limit).map(place => formatGazetteerResult(place, place.placeId.split(':').pop()));
 }
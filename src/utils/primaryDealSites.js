@@ -0,0 +1,37 @@
+// Primary deal sites - the sites the OpenAI searches are told to check first, configurable per store
+
+// Used when botConfig.primaryDealSites is not set
+export const DEFAULT_PRIMARY_DEAL_SITES = [
+    { name: 'Soup Restaurant', url: 'https://www.souprestaurant.com.sg/', note: 'Official SG60 Promo' },
+    { name: 'Great Deals Singapore', url: 'https://www.greatdeals.com.sg/', note: 'SG60 60% Off deals' },
+    { name: 'Eatigo', url: 'https://eatigo.com/sg/', note: 'Up to 30% Off restaurant deals' },
+    { name: 'Chope Singapore', url: 'https://shop.chope.co/', note: '20% Off Cash Vouchers' },
+    { name: 'Syioknya Singapore', url: 'https://sg.syioknya.com/', note: 'SG60 Meal promotions' },
+    { name: "Swensen's Singapore", url: 'https://swensens.com.sg/promotions/', note: 'Official promotions' },
+    { name: 'Instagram', url: null, note: 'Official brand accounts for current deals' }
+];
+
+/**
+ * Primary sites for a store. botConfig.primaryDealSites replaces the defaults;
+ * botConfig.disabledPrimaryDealSites drops sites by name.
+ * @returns {Array<{name: string, url: string|null, note: string|null}>}
+ */
+export function getPrimaryDealSites(botConfig = {}) {
+    const sites = Array.isArray(botConfig?.primaryDealSites) ? botConfig.primaryDealSites : DEFAULT_PRIMARY_DEAL_SITES;
+    const disabled = (botConfig?.disabledPrimaryDealSites || []).map(name => name.toLowerCase());
+    return sites.filter(site => site?.name && !disabled.includes(site.name.toLowerCase()));
+}
+
+/**
+ * "PRIMARY DEAL SOURCES" prompt section, empty when the store has no primary sites
+ */
+export function formatPrimaryDealSitesPrompt(sites) {
+    if (!sites || sites.length === 0) {
+        return '';
+    }
+    const lines = sites.map((site, index) => {
+        const detail = site.url ? ` - ${site.url}${site.note ? ` (${site.note})` : ''}` : (site.note ? ` - ${site.note}` : '');
+        return `${index + 1}. **${site.name}**${detail}`;
+    });
+    return `**PRIMARY DEAL SOURCES TO SEARCH:**\n${lines.join('\n')}\n\n`;
+}
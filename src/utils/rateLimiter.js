@@ -0,0 +1,202 @@
+// Per-User Rate Limiter - token bucket per store + phone number, shared across Lambda instances
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, PutCommand } from '@aws-sdk/lib-dynamodb';
+import { parseDealQueryDeterministic, hasSearchIntent } from './dealQueryParser.js';
+import { isOfflineMode } from './offlineMode.js';
+
+const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+const docClient = DynamoDBDocumentClient.from(client);
+
+// What a message costs depends on the work it triggers
+export const RATE_LIMIT_ACTIONS = {
+    SEARCH: 'search',         // location shares, more deals, category, place and free-text deal searches (OpenAI + Places + DeepSeek)
+    VOICE: 'voice',           // voice note transcription
+    MEDIA: 'media',           // image analysis
+    CHAT: 'chat',             // free text answered by OpenAI
+    NAVIGATION: 'navigation'  // menus and other cheap button taps
+};
+
+// Defaults when the store's botConfig.rateLimit leaves a value out
+const DEFAULT_RATE_LIMIT = {
+    enabled: true,
+    capacity: 30,
+    refillPerMinute: 10,
+    costs: {
+        search: 6,
+        voice: 3,
+        media: 3,
+        chat: 1,
+        navigation: 1
+    }
+};
+
+// Minimum gap between two cooldown replies to the same user
+export const COOLDOWN_NOTICE_INTERVAL_MS = 60 * 1000;
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Used when the table cannot be reached, and in offline mode
+const localBuckets = new Map();
+
+function getTableName() {
+    return process.env.RATE_LIMIT_TABLE_NAME || 'store-ai-bot-dev-rate-limits';
+}
+
+/**
+ * Interactive reply IDs that start a deal or place search
+ */
+function isSearchAction(actionId) {
+    return actionId === 'more_deals' ||
+        actionId === 'search_more_deals' ||
+        (actionId.startsWith('search_') && actionId.endsWith('_deals')) ||
+        actionId.startsWith('popular_') ||
+        actionId.startsWith('select_location_') ||
+        actionId.startsWith('get_menu_');
+}
+
+/**
+ * Map an inbound WhatsApp message to the action it will trigger
+ * @param {Object} options - { textSearches }: the bot runs a deal search for free text like
+ *   "cheap dinner near Bugis" (LobangLah), so such text is charged as a search
+ */
+export function classifyMessageAction(message, { textSearches = false } = {}) {
+    switch (message?.type) {
+        case 'location':
+            return RATE_LIMIT_ACTIONS.SEARCH;
+        case 'audio':
+            return RATE_LIMIT_ACTIONS.VOICE;
+        case 'image':
+            return RATE_LIMIT_ACTIONS.MEDIA;
+        case 'text':
+            // The same rules the deal query parser falls back to, without its OpenAI call
+            return textSearches && hasSearchIntent(parseDealQueryDeterministic(message.text?.body || ''))
+                ? RATE_LIMIT_ACTIONS.SEARCH
+                : RATE_LIMIT_ACTIONS.CHAT;
+        case 'interactive': {
+            const actionId = message.interactive?.button_reply?.id || message.interactive?.list_reply?.id || '';
+            return isSearchAction(actionId) ? RATE_LIMIT_ACTIONS.SEARCH : RATE_LIMIT_ACTIONS.NAVIGATION;
+        }
+        default:
+            return RATE_LIMIT_ACTIONS.NAVIGATION;
+    }
+}
+
+/**
+ * Merge the store's botConfig.rateLimit over the defaults
+ */
+export function getRateLimitConfig(botConfig = {}) {
+    const configured = botConfig?.rateLimit || {};
+    return {
+        enabled: configured.enabled !== false,
+        capacity: Number(configured.capacity) || DEFAULT_RATE_LIMIT.capacity,
+        refillPerMinute: Number(configured.refillPerMinute) || DEFAULT_RATE_LIMIT.refillPerMinute,
+        costs: { ...DEFAULT_RATE_LIMIT.costs, ...(configured.costs || {}) }
+    };
+}
+
+/**
+ * Refill the bucket for the time elapsed and try to take `cost` tokens from it
+ */
+function takeTokens(bucket, cost, config, now) {
+    const elapsedMinutes = bucket ? Math.max(0, now - bucket.updatedAt) / 60000 : 0;
+    const available = bucket
+        ? Math.min(config.capacity, bucket.tokens + elapsedMinutes * config.refillPerMinute)
+        : config.capacity;
+
+    if (available >= cost) {
+        return { allowed: true, tokens: available - cost, retryAfterSeconds: 0 };
+    }
+    return {
+        allowed: false,
+        tokens: available,
+        retryAfterSeconds: Math.ceil(((cost - available) / config.refillPerMinute) * 60)
+    };
+}
+
+function shouldNotify(bucket, now) {
+    return !bucket?.cooldownNoticeAt || (now - bucket.cooldownNoticeAt) >= COOLDOWN_NOTICE_INTERVAL_MS;
+}
+
+function consumeLocally(bucketKey, cost, config, now) {
+    const bucket = localBuckets.get(bucketKey);
+    const result = takeTokens(bucket, cost, config, now);
+    const notify = !result.allowed && shouldNotify(bucket, now);
+
+    localBuckets.set(bucketKey, {
+        tokens: result.tokens,
+        updatedAt: now,
+        cooldownNoticeAt: notify ? now : bucket?.cooldownNoticeAt
+    });
+    if (localBuckets.size > 5000) {
+        localBuckets.delete(localBuckets.keys().next().value);
+    }
+    return { ...result, notify };
+}
+
+/**
+ * Charge a message against the sender's bucket.
+ * @param {string} storeId - Store ID
+ * @param {string} phoneNumber - Sender's WhatsApp number
+ * @param {string} action - One of RATE_LIMIT_ACTIONS
+ * @param {Object} botConfig - Bot configuration (rateLimit settings)
+ * @returns {Promise<{allowed: boolean, tokens: number, retryAfterSeconds: number, notify: boolean}>}
+ *          notify is true when a blocked user has not been sent a cooldown message recently
+ */
+export async function consumeRateLimit(storeId, phoneNumber, action, botConfig) {
+    const config = getRateLimitConfig(botConfig);
+    if (!config.enabled) {
+        return { allowed: true, tokens: config.capacity, retryAfterSeconds: 0, notify: false };
+    }
+
+    const cost = Number(config.costs[action] ?? config.costs.navigation);
+    const bucketKey = `${storeId}#${phoneNumber}`;
+    if (isOfflineMode()) {
+        return consumeLocally(bucketKey, cost, config, Date.now());
+    }
+
+    try {
+        for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+            const now = Date.now();
+            const { Item: bucket } = await docClient.send(new GetCommand({
+                TableName: getTableName(),
+                Key: { bucketKey }
+            }));
+
+            const result = takeTokens(bucket, cost, config, now);
+            const notify = !result.allowed && shouldNotify(bucket, now);
+            const fullRefillSeconds = Math.ceil((config.capacity / config.refillPerMinute) * 60);
+
+            try {
+                // Optimistic write: fails if another instance updated the bucket since we read it
+                await docClient.send(new PutCommand({
+                    TableName: getTableName(),
+                    Item: {
+                        bucketKey,
+                        storeId,
+                        phoneNumber,
+                        tokens: result.tokens,
+                        updatedAt: now,
+                        cooldownNoticeAt: notify ? now : (bucket?.cooldownNoticeAt || null),
+                        lastAction: action,
+                        ttl: Math.floor(now / 1000) + fullRefillSeconds + 3600
+                    },
+                    ConditionExpression: bucket ? 'updatedAt = :previous' : 'attribute_not_exists(bucketKey)',
+                    ExpressionAttributeValues: bucket ? { ':previous': bucket.updatedAt } : undefined
+                }));
+            } catch (error) {
+                if (error.name === 'ConditionalCheckFailedException' && attempt < MAX_WRITE_ATTEMPTS) {
+                    continue;
+                }
+                throw error;
+            }
+
+            if (!result.allowed) {
+                console.log(`[RateLimiter] ${phoneNumber} on store ${storeId} is rate limited for '${action}' (cost ${cost}, ${result.tokens.toFixed(1)} tokens left, retry in ${result.retryAfterSeconds}s)`);
+            }
+            return { ...result, notify };
+        }
+    } catch (error) {
+        console.error(`[RateLimiter] Rate limit table unavailable for ${bucketKey}, using in-memory bucket:`, error);
+    }
+
+    return consumeLocally(bucketKey, cost, config, Date.now());
+}
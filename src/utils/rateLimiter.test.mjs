@@ -0,0 +1,84 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyMessageAction, consumeRateLimit, getRateLimitConfig, RATE_LIMIT_ACTIONS, COOLDOWN_NOTICE_INTERVAL_MS } from './rateLimiter.js';
+
+const text = body => ({ type: 'text', text: { body } });
+
+test('free-text deal requests are charged as searches where the bot searches for them', () => {
+    assert.equal(classifyMessageAction(text('cheap dinner near Bugis'), { textSearches: true }), RATE_LIMIT_ACTIONS.SEARCH);
+    assert.equal(classifyMessageAction(text('halal lunch for 4 pax'), { textSearches: true }), RATE_LIMIT_ACTIONS.SEARCH);
+    assert.equal(classifyMessageAction(text('cheap dinner near Bugis')), RATE_LIMIT_ACTIONS.CHAT);
+});
+
+test('other text is charged as chat', () => {
+    assert.equal(classifyMessageAction(text('hi'), { textSearches: true }), RATE_LIMIT_ACTIONS.CHAT);
+    assert.equal(classifyMessageAction(text('thanks lah'), { textSearches: true }), RATE_LIMIT_ACTIONS.CHAT);
+});
+
+test('offline mode keeps buckets in memory', async () => {
+    process.env.OFFLINE_MODE = 'true';
+    try {
+        const botConfig = { rateLimit: { capacity: 6, refillPerMinute: 1 } };
+        const first = await consumeRateLimit('offline-store', '6590000001', RATE_LIMIT_ACTIONS.SEARCH, botConfig);
+        const second = await consumeRateLimit('offline-store', '6590000001', RATE_LIMIT_ACTIONS.SEARCH, botConfig);
+        assert.equal(first.allowed, true);
+        assert.equal(second.allowed, false);
+        assert.equal(second.notify, true);
+    } finally {
+        delete process.env.OFFLINE_MODE;
+    }
+});
+
+/**
+ * Run `fn` offline with Date.now() under test control
+ */
+async function withOfflineClock(fn) {
+    process.env.OFFLINE_MODE = 'true';
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T04:00:00Z') });
+    try {
+        await fn();
+    } finally {
+        mock.timers.reset();
+        delete process.env.OFFLINE_MODE;
+    }
+}
+
+test('a blocked bucket is allowed again once retryAfterSeconds have passed', () => withOfflineClock(async () => {
+    const botConfig = { rateLimit: { capacity: 6, refillPerMinute: 2 } };
+    assert.equal((await consumeRateLimit('refill-store', '6590000501', RATE_LIMIT_ACTIONS.SEARCH, botConfig)).allowed, true);
+    mock.timers.tick(30 * 1000);
+
+    const blocked = await consumeRateLimit('refill-store', '6590000501', RATE_LIMIT_ACTIONS.SEARCH, botConfig);
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.retryAfterSeconds, 150);
+
+    mock.timers.tick((blocked.retryAfterSeconds - 1) * 1000);
+    assert.equal((await consumeRateLimit('refill-store', '6590000501', RATE_LIMIT_ACTIONS.SEARCH, botConfig)).allowed, false);
+    mock.timers.tick(1000);
+    assert.equal((await consumeRateLimit('refill-store', '6590000501', RATE_LIMIT_ACTIONS.SEARCH, botConfig)).allowed, true);
+}));
+
+test('the cooldown notice is sent at most once per COOLDOWN_NOTICE_INTERVAL_MS', () => withOfflineClock(async () => {
+    const botConfig = { rateLimit: { capacity: 1, refillPerMinute: 0.1 } };
+    const chat = () => consumeRateLimit('notice-store', '6590000502', RATE_LIMIT_ACTIONS.CHAT, botConfig);
+
+    assert.equal((await chat()).allowed, true);
+    assert.deepEqual([await chat(), await chat()].map(result => [result.allowed, result.notify]), [[false, true], [false, false]]);
+
+    mock.timers.tick(COOLDOWN_NOTICE_INTERVAL_MS - 1000);
+    assert.equal((await chat()).notify, false);
+    mock.timers.tick(1000);
+    assert.equal((await chat()).notify, true);
+}));
+
+test('store overrides are merged over the defaults', () => {
+    const config = getRateLimitConfig({ rateLimit: { capacity: '60', costs: { search: 10 } } });
+    assert.equal(config.enabled, true);
+    assert.equal(config.capacity, 60);
+    assert.equal(config.refillPerMinute, 10);
+    assert.deepEqual(config.costs, { search: 10, voice: 3, media: 3, chat: 1, navigation: 1 });
+
+    assert.equal(getRateLimitConfig({ rateLimit: { enabled: false } }).enabled, false);
+    assert.equal(getRateLimitConfig({ rateLimit: { capacity: 'lots' } }).capacity, 30);
+    assert.deepEqual(getRateLimitConfig(undefined), getRateLimitConfig({}));
+});
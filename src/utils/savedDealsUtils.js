@@ -0,0 +1,283 @@
+// Saved Deals - per-user favourites kept on the LobangLahUsers item (savedDeals attribute)
+//
+//   save_pick              ⭐ Save a Deal in the list after the deal cards
+//   save_deal_<i>          deal picked from that list (<i> indexes userState.lastDeals)
+//   my_saved_deals         list of saved deals
+//   saved_view_<savedId>   one saved deal
+//   saved_directions_<id>  location of a saved deal
+//   saved_remove_<id>      remove it
+//
+// Saved deals are dropped once their validity ends. Saving a deal opts the user in to one
+// "ending soon" message per deal, sent by the daily alerts job: free-form while the user's
+// 24-hour WhatsApp messaging window is open, otherwise as the saved deals template.
+import crypto from 'crypto';
+import { DynamoDBClient, ScanCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { msg } from './messageBuilder.js';
+import { truncateText } from './messageValidation.js';
+import { t, normalizeLanguage } from './i18n.js';
+import { isDealExpired, getDealTtl, DEFAULT_VALIDITY_DAYS } from './dealEntity.js';
+
+export const MAX_SAVED_DEALS = 20;
+// Saved deals with a known end date this close get an "ending soon" message
+export const ENDING_SOON_HOURS = 24;
+
+const DATE_LOCALES = { en: 'en-SG', zh: 'zh-SG', ms: 'ms-SG', ta: 'ta-SG' };
+
+function getUsersTableName() {
+    return process.env.LOBANGLAH_USERS_TABLE_NAME || 'LobangLahUsers';
+}
+
+function getSavedId(deal) {
+    if (deal.dealId) {
+        return deal.dealId;
+    }
+    const name = deal.businessName || deal.restaurant || deal.store || deal.title || '';
+    return `saved_${crypto.createHash('sha1').update(`${name}|${deal.offer || ''}`).digest('hex').substring(0, 20)}`;
+}
+
+/**
+ * What we keep of a deal: enough to show it again and to know when it ends
+ */
+function createSavedDeal(deal, storeId, now = new Date()) {
+    const businessName = deal.businessName || deal.restaurant || deal.store || deal.title || 'Deal';
+    return {
+        savedId: getSavedId(deal),
+        dealId: deal.dealId || deal.id || null,
+        storeId,
+        businessName,
+        title: deal.title || businessName,
+        offer: deal.offer || deal.discount || '',
+        address: deal.address || deal.fullAddress || null,
+        validity: deal.validity || null,
+        validUntil: deal.validUntil || null,
+        endDate: deal.validUntil || deal.endDate || new Date(now.getTime() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        latitude: deal.latitude || null,
+        longitude: deal.longitude || null,
+        dealLink: deal.dealLink || deal.link || deal.url || null,
+        category: deal.category || null,
+        savedAt: now.toISOString(),
+        endingSoonNotified: false
+    };
+}
+
+/**
+ * Saved deals that have not ended yet
+ */
+export function pruneExpiredSavedDeals(savedDeals = [], now = new Date()) {
+    return savedDeals.filter(savedDeal => !isDealExpired({ validUntil: savedDeal.endDate }, now));
+}
+
+/**
+ * DynamoDB TTL that keeps the user item until the last saved deal has ended (0 without saved deals)
+ */
+export function getSavedDealsTtl(savedDeals = []) {
+    return Math.max(0, ...savedDeals.map(savedDeal => getDealTtl(savedDeal)).filter(Number.isFinite));
+}
+
+/**
+ * Add a deal to session.savedDeals
+ * @returns {{ status: 'saved'|'duplicate'|'full', savedDeal: Object }}
+ */
+export function saveDealToSession(session, deal, storeId, now = new Date()) {
+    const savedDeal = createSavedDeal(deal, storeId, now);
+    session.savedDeals = pruneExpiredSavedDeals(session.savedDeals, now);
+
+    if (session.savedDeals.some(existing => existing.savedId === savedDeal.savedId)) {
+        return { status: 'duplicate', savedDeal };
+    }
+    if (session.savedDeals.length >= MAX_SAVED_DEALS) {
+        return { status: 'full', savedDeal };
+    }
+
+    session.savedDeals.push(savedDeal);
+    console.log(`[SavedDeals] Saved ${savedDeal.savedId} (${savedDeal.businessName}), ${session.savedDeals.length} saved`);
+    return { status: 'saved', savedDeal };
+}
+
+export function findSavedDeal(session, savedId) {
+    return (session.savedDeals || []).find(savedDeal => savedDeal.savedId === savedId) || null;
+}
+
+export function removeSavedDeal(session, savedId) {
+    const savedDeal = findSavedDeal(session, savedId);
+    session.savedDeals = (session.savedDeals || []).filter(existing => existing.savedId !== savedId);
+    return savedDeal;
+}
+
+function formatEndDate(savedDeal, lang) {
+    return new Date(savedDeal.endDate).toLocaleDateString(DATE_LOCALES[normalizeLanguage(lang)], {
+        day: 'numeric',
+        month: 'short',
+        timeZone: 'Asia/Singapore'
+    });
+}
+
+/**
+ * List of the deals just shown; rows are save_deal_<index>
+ */
+export function createSaveDealPickerMessage(deals = [], lang = 'en') {
+    if (deals.length === 0) {
+        return msg.text(t(lang, 'saved.nothingToSave')).build();
+    }
+
+    const builder = msg.list(t(lang, 'saved.pickBody'), t(lang, 'saved.pickButton'))
+        .builtBy('createSaveDealPickerMessage')
+        .header(t(lang, 'saved.pickTitle'))
+        .section(t(lang, 'compare.section'));
+
+    // WhatsApp lists hold at most 10 rows
+    deals.slice(0, 10).forEach((deal, index) => {
+        const name = deal.businessName || deal.restaurant || deal.store || deal.title || 'Deal';
+        builder.row(`save_deal_${index}`, truncateText(name, 24), truncateText(deal.offer || '', 72));
+    });
+
+    return builder.build();
+}
+
+/**
+ * Reply to a deal picked from ⭐ Save a Deal
+ */
+export function createDealSavedMessage(result, count, lang = 'en') {
+    const name = result.savedDeal.businessName;
+    const body = result.status === 'saved'
+        ? t(lang, 'saved.added', { name, count })
+        : result.status === 'duplicate'
+            ? t(lang, 'saved.alreadySaved', { name })
+            : t(lang, 'saved.full', { max: MAX_SAVED_DEALS });
+
+    return msg.buttons(body)
+        .builtBy('createDealSavedMessage')
+        .button('my_saved_deals', t(lang, 'button.mySavedDeals'))
+        .build();
+}
+
+/**
+ * List of saved deals, soonest to end first; rows are saved_view_<savedId>
+ */
+export function createSavedDealsListMessage(savedDeals = [], lang = 'en') {
+    if (savedDeals.length === 0) {
+        return msg.text(t(lang, 'saved.empty')).build();
+    }
+
+    const builder = msg.list(t(lang, 'saved.listBody', { count: savedDeals.length }), t(lang, 'saved.listButton'))
+        .builtBy('createSavedDealsListMessage')
+        .header(t(lang, 'saved.listHeader'))
+        .section(t(lang, 'saved.section'));
+
+    // WhatsApp lists hold at most 10 rows
+    [...savedDeals]
+        .sort((a, b) => new Date(a.endDate) - new Date(b.endDate))
+        .slice(0, 10)
+        .forEach(savedDeal => {
+            const ends = savedDeal.validUntil ? `${t(lang, 'saved.endsOn', { date: formatEndDate(savedDeal, lang) })} · ` : '';
+            builder.row(`saved_view_${savedDeal.savedId}`, truncateText(savedDeal.businessName, 24), truncateText(`${ends}${savedDeal.offer}`, 72));
+        });
+
+    return builder.build();
+}
+
+/**
+ * One saved deal with directions / remove buttons
+ */
+export function createSavedDealDetailMessage(savedDeal, lang = 'en') {
+    const body = t(lang, 'saved.detail', {
+        name: savedDeal.businessName,
+        offer: savedDeal.offer,
+        address: savedDeal.address || 'Singapore',
+        validity: savedDeal.validUntil ? t(lang, 'saved.endsOn', { date: formatEndDate(savedDeal, lang) }) : (savedDeal.validity || '')
+    });
+
+    return msg.buttons(savedDeal.dealLink ? `${body}\n\n🔗 ${savedDeal.dealLink}` : body)
+        .builtBy('createSavedDealDetailMessage')
+        .button(`saved_directions_${savedDeal.savedId}`, t(lang, 'button.directions'))
+        .button(`saved_remove_${savedDeal.savedId}`, t(lang, 'button.remove'))
+        .button('my_saved_deals', t(lang, 'button.back'))
+        .build();
+}
+
+/**
+ * Saved deals with a known end date inside ENDING_SOON_HOURS that have not been announced yet
+ */
+export function getSavedDealsEndingSoon(savedDeals = [], now = new Date()) {
+    const cutoff = now.getTime() + ENDING_SOON_HOURS * 60 * 60 * 1000;
+    return savedDeals.filter(savedDeal => savedDeal.validUntil && !savedDeal.endingSoonNotified &&
+        new Date(savedDeal.validUntil).getTime() <= cutoff && !isDealExpired({ validUntil: savedDeal.validUntil }, now));
+}
+
+export function createSavedDealsEndingMessage(savedDeals, lang = 'en') {
+    const lines = savedDeals.map(savedDeal => t(lang, 'saved.endingSoonLine', {
+        name: savedDeal.businessName,
+        offer: savedDeal.offer,
+        date: formatEndDate(savedDeal, lang)
+    }));
+
+    return msg.buttons(t(lang, 'saved.endingSoonBody', { count: savedDeals.length, deals: lines.join('\n') }))
+        .builtBy('createSavedDealsEndingMessage')
+        .header(t(lang, 'saved.endingSoonHeader'))
+        .button('my_saved_deals', t(lang, 'button.mySavedDeals'))
+        .build();
+}
+
+/**
+ * One-line summary for the saved deals template: "2 of your saved deals end soon: Ya Kun – 1-for-1 kaya toast (Ends 20 Oct); ..."
+ */
+export function createSavedDealsEndingSummary(savedDeals, lang = 'en') {
+    const dealLines = savedDeals.map(savedDeal =>
+        `${savedDeal.businessName} – ${savedDeal.offer} (${t(lang, 'saved.endsOn', { date: formatEndDate(savedDeal, lang) })})`);
+    return t(lang, 'saved.endingSoonSummary', { count: savedDeals.length, deals: dealLines.join('; ') });
+}
+
+/**
+ * LobangLahUsers items that have saved deals
+ * @returns {Promise<Array>} { phone_number, savedDeals, timestamp, language, ttl } items
+ */
+export async function getUsersWithSavedDeals() {
+    try {
+        const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+        const users = [];
+        let lastEvaluatedKey;
+
+        do {
+            const result = await client.send(new ScanCommand({
+                TableName: getUsersTableName(),
+                FilterExpression: 'size(savedDeals) > :zero',
+                ProjectionExpression: 'phone_number, savedDeals, #timestamp, #language, #ttl',
+                ExpressionAttributeNames: { '#timestamp': 'timestamp', '#language': 'language', '#ttl': 'ttl' },
+                ExpressionAttributeValues: marshall({ ':zero': 0 }),
+                ExclusiveStartKey: lastEvaluatedKey
+            }));
+            users.push(...(result.Items || []).map(item => unmarshall(item)));
+            lastEvaluatedKey = result.LastEvaluatedKey;
+        } while (lastEvaluatedKey);
+
+        console.log(`[SavedDeals] Found ${users.length} users with saved deals`);
+        return users;
+    } catch (error) {
+        console.error('[SavedDeals] Error scanning users with saved deals:', error);
+        return [];
+    }
+}
+
+/**
+ * Write back a user's saved deals (after pruning or marking them notified) without touching the rest of the session
+ */
+export async function updateSavedDeals(phoneNumber, savedDeals, currentTtl = 0) {
+    try {
+        const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+        await client.send(new UpdateItemCommand({
+            TableName: getUsersTableName(),
+            Key: marshall({ phone_number: phoneNumber }),
+            UpdateExpression: 'SET savedDeals = :savedDeals, #ttl = :ttl',
+            ExpressionAttributeNames: { '#ttl': 'ttl' },
+            ExpressionAttributeValues: marshall({
+                ':savedDeals': savedDeals,
+                ':ttl': Math.max(currentTtl || 0, getSavedDealsTtl(savedDeals))
+            }, { removeUndefinedValues: true })
+        }));
+        return true;
+    } catch (error) {
+        console.error(`[SavedDeals] Error updating saved deals for ${phoneNumber}:`, error);
+        return false;
+    }
+}
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveDealToSession, pruneExpiredSavedDeals, getSavedDealsTtl, getSavedDealsEndingSoon, MAX_SAVED_DEALS } from './savedDealsUtils.js';
+import { DEFAULT_VALIDITY_DAYS } from './dealEntity.js';
+
+const now = new Date('2026-10-19T04:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toSeconds = date => Math.floor(new Date(date).getTime() / 1000);
+
+const yaKun = { dealId: 'deal-yakun', businessName: 'Ya Kun', offer: '1-for-1 kaya toast', validUntil: '2026-10-25T15:59:59Z' };
+const toastBox = { businessName: 'Toast Box', offer: '20% off kopi' };
+
+test('a deal is saved once; saving it again is reported as a duplicate', () => {
+    const session = {};
+    const saved = saveDealToSession(session, yaKun, 'lobanglah', now);
+    assert.equal(saved.status, 'saved');
+    assert.equal(saved.savedDeal.savedId, 'deal-yakun');
+    assert.equal(saved.savedDeal.storeId, 'lobanglah');
+    assert.equal(saved.savedDeal.endDate, yaKun.validUntil);
+
+    assert.equal(saveDealToSession(session, { ...yaKun, offer: 'Updated offer text' }, 'lobanglah', now).status, 'duplicate');
+    assert.equal(session.savedDeals.length, 1);
+});
+
+test('deals without an ID are told apart by business and offer', () => {
+    const session = {};
+    assert.equal(saveDealToSession(session, toastBox, 'lobanglah', now).status, 'saved');
+    assert.equal(saveDealToSession(session, { ...toastBox }, 'lobanglah', now).status, 'duplicate');
+    assert.equal(saveDealToSession(session, { ...toastBox, offer: 'Free kaya toast' }, 'lobanglah', now).status, 'saved');
+});
+
+test('a deal without an end date is kept for DEFAULT_VALIDITY_DAYS', () => {
+    const { savedDeal } = saveDealToSession({}, toastBox, 'lobanglah', now);
+    assert.equal(savedDeal.validUntil, null);
+    assert.equal(savedDeal.endDate, new Date(now.getTime() + DEFAULT_VALIDITY_DAYS * DAY_MS).toISOString());
+});
+
+test('ended deals are pruned and free up space when saving', () => {
+    const session = { savedDeals: [] };
+    for (let index = 0; index < MAX_SAVED_DEALS; index++) {
+        saveDealToSession(session, { dealId: `deal-${index}`, businessName: `Shop ${index}`, validUntil: '2026-10-20T15:59:59Z' }, 'lobanglah', now);
+    }
+    assert.equal(saveDealToSession(session, yaKun, 'lobanglah', now).status, 'full');
+
+    const later = new Date('2026-10-21T00:00:00Z');
+    assert.deepEqual(pruneExpiredSavedDeals(session.savedDeals, later), []);
+    assert.equal(saveDealToSession(session, yaKun, 'lobanglah', later).status, 'saved');
+    assert.deepEqual(session.savedDeals.map(savedDeal => savedDeal.savedId), ['deal-yakun']);
+});
+
+test('the TTL follows the saved deal that ends last', () => {
+    const session = {};
+    saveDealToSession(session, yaKun, 'lobanglah', now);
+    saveDealToSession(session, { dealId: 'deal-later', businessName: 'Old Chang Kee', validUntil: '2026-11-30T15:59:59Z' }, 'lobanglah', now);
+    saveDealToSession(session, { dealId: 'deal-sooner', businessName: 'Mr Bean', validUntil: '2026-10-21T15:59:59Z' }, 'lobanglah', now);
+
+    // A day's grace after the last deal ends
+    assert.equal(getSavedDealsTtl(session.savedDeals), toSeconds('2026-11-30T15:59:59Z') + DAY_MS / 1000);
+    assert.equal(getSavedDealsTtl([]), 0);
+});
+
+test('only unannounced deals ending within a day are ending soon', () => {
+    const session = {};
+    saveDealToSession(session, { dealId: 'deal-tomorrow', businessName: 'Mr Bean', validUntil: '2026-10-20T03:00:00Z' }, 'lobanglah', now);
+    saveDealToSession(session, { dealId: 'deal-notified', businessName: 'Old Chang Kee', validUntil: '2026-10-20T03:00:00Z' }, 'lobanglah', now);
+    saveDealToSession(session, yaKun, 'lobanglah', now);
+    saveDealToSession(session, toastBox, 'lobanglah', now);
+    session.savedDeals[1].endingSoonNotified = true;
+
+    assert.deepEqual(getSavedDealsEndingSoon(session.savedDeals, now).map(savedDeal => savedDeal.savedId), ['deal-tomorrow']);
+});
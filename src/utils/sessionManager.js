@@ -1,7 +1,8 @@
 // Enhanced Session Manager for WhatsApp Bot
-import { DynamoDBClient, GetItemCommand, PutItemCommand, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { DynamoDBClient, GetItemCommand, PutItemCommand, QueryCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
 import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
 import { v4 as uuidv4 } from 'uuid';
+import { isOfflineMode } from './offlineMode.js';
 
 const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
 
@@ -144,8 +145,208 @@ export async function updateSessionState(phoneNumber, sessionId, newState, addit
     }
 }
 
+// Delivery lifecycle of an outbound message, in the order WhatsApp reports it
+export const MESSAGE_LIFECYCLE_STATUSES = {
+    ACCEPTED: 'accepted',
+    SENT: 'sent',
+    DELIVERED: 'delivered',
+    READ: 'read',
+    FAILED: 'failed'
+};
+
+// A status only replaces the current one if it ranks higher; callbacks can arrive out of order
+const LIFECYCLE_STATUS_RANK = {
+    accepted: 0,
+    sent: 1,
+    delivered: 2,
+    read: 3,
+    failed: 4
+};
+
+// Message log for offline runs, keyed by messageId
+const localMessageLog = new Map();
+
+function getMessageLogTableName() {
+    return process.env.MESSAGE_LOG_TABLE_NAME || 'store-ai-bot-dev-message-log';
+}
+
+function getMessageLogTtl() {
+    const ttlDays = parseInt(process.env.MESSAGE_LOG_TTL_DAYS || '30', 10);
+    return Math.floor(Date.now() / 1000) + (ttlDays * 24 * 60 * 60);
+}
+
+/**
+ * Start the delivery lifecycle record for a message accepted by the WhatsApp API.
+ * Status callbacks from the webhook are recorded against this item by messageId.
+ */
+export async function trackOutboundMessage(phoneNumber, messageId, details = {}) {
+    if (!messageId) {
+        return;
+    }
+    
+    const timestamp = new Date().toISOString();
+    const lifecycleItem = {
+        messageId,
+        phoneNumber,
+        status: MESSAGE_LIFECYCLE_STATUSES.ACCEPTED,
+        statusRank: LIFECYCLE_STATUS_RANK.accepted,
+        acceptedAt: timestamp,
+        updatedAt: timestamp,
+        storeId: details.storeId || null,
+        sessionId: details.sessionId || null,
+        category: details.category || 'reply',
+        messageType: details.messageType || null,
+        text: (details.text || '').substring(0, 500),
+        statusHistory: [{ status: MESSAGE_LIFECYCLE_STATUSES.ACCEPTED, timestamp }],
+        ttl: getMessageLogTtl()
+    };
+    
+    if (isOfflineMode()) {
+        if (!localMessageLog.has(messageId)) {
+            localMessageLog.set(messageId, lifecycleItem);
+        }
+        return;
+    }
+    
+    try {
+        await client.send(new PutItemCommand({
+            TableName: getMessageLogTableName(),
+            Item: marshall(lifecycleItem, { removeUndefinedValues: true }),
+            // A status callback may already have created the item
+            ConditionExpression: 'attribute_not_exists(messageId)'
+        }));
+    } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+            console.error(`[SessionManager] Error tracking outbound message ${messageId}:`, error);
+        }
+    }
+}
+
+/**
+ * Record a delivery status (sent/delivered/read/failed) against an outbound message.
+ * @param {string} messageId - WhatsApp message ID (wamid)
+ * @param {Object} statusEvent - { status, phoneNumber, timestamp, storeId, failure }
+ */
+export async function recordMessageStatus(messageId, statusEvent) {
+    const { status, phoneNumber, storeId, failure } = statusEvent;
+    const rank = LIFECYCLE_STATUS_RANK[status];
+    if (rank === undefined) {
+        console.warn(`[SessionManager] Ignoring unknown message status '${status}' for ${messageId}`);
+        return;
+    }
+    
+    const timestamp = statusEvent.timestamp || new Date().toISOString();
+    const historyEntry = { status, timestamp };
+    if (failure) {
+        historyEntry.failureCode = failure.code;
+        historyEntry.failureReason = failure.reason;
+    }
+    
+    // Always keep the per-status timestamp and history
+    const names = { '#statusAt': `${status}At`, '#ttl': 'ttl' };
+    const values = {
+        ':timestamp': timestamp,
+        ':entry': [historyEntry],
+        ':empty': [],
+        ':updatedAt': new Date().toISOString(),
+        ':ttl': getMessageLogTtl()
+    };
+    const setExpressions = [
+        '#statusAt = :timestamp',
+        'statusHistory = list_append(if_not_exists(statusHistory, :empty), :entry)',
+        'updatedAt = :updatedAt',
+        '#ttl = if_not_exists(#ttl, :ttl)'
+    ];
+    if (phoneNumber) {
+        setExpressions.push('phoneNumber = if_not_exists(phoneNumber, :phoneNumber)');
+        values[':phoneNumber'] = phoneNumber;
+    }
+    if (storeId) {
+        setExpressions.push('storeId = if_not_exists(storeId, :storeId)');
+        values[':storeId'] = storeId;
+    }
+    if (failure) {
+        setExpressions.push('failureCode = :failureCode', 'failureReason = :failureReason', 'failureTitle = :failureTitle');
+        values[':failureCode'] = failure.code;
+        values[':failureReason'] = failure.reason;
+        values[':failureTitle'] = failure.title || '';
+    }
+    
+    if (isOfflineMode()) {
+        // Same updates as below: the history always, the status only when it ranks higher
+        const item = localMessageLog.get(messageId) || { messageId };
+        item[`${status}At`] = timestamp;
+        item.statusHistory = [...(item.statusHistory || []), historyEntry];
+        item.updatedAt = values[':updatedAt'];
+        item.ttl = item.ttl ?? values[':ttl'];
+        item.phoneNumber = item.phoneNumber ?? phoneNumber;
+        item.storeId = item.storeId ?? storeId;
+        if (failure) {
+            Object.assign(item, { failureCode: failure.code, failureReason: failure.reason, failureTitle: failure.title || '' });
+        }
+        if (item.statusRank === undefined || item.statusRank < rank) {
+            Object.assign(item, { status, statusRank: rank });
+        }
+        localMessageLog.set(messageId, item);
+        return;
+    }
+    
+    const key = marshall({ messageId });
+    
+    try {
+        // Advance the current status only when the new one ranks higher
+        await client.send(new UpdateItemCommand({
+            TableName: getMessageLogTableName(),
+            Key: key,
+            UpdateExpression: `SET ${[...setExpressions, '#status = :status', 'statusRank = :rank'].join(', ')}`,
+            ConditionExpression: 'attribute_not_exists(statusRank) OR statusRank < :rank',
+            ExpressionAttributeNames: { ...names, '#status': 'status' },
+            ExpressionAttributeValues: marshall({ ...values, ':status': status, ':rank': rank }, { removeUndefinedValues: true })
+        }));
+        console.log(`[SessionManager] Message ${messageId} is now ${status}`);
+    } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+            console.error(`[SessionManager] Error recording status ${status} for message ${messageId}:`, error);
+            return;
+        }
+        
+        try {
+            await client.send(new UpdateItemCommand({
+                TableName: getMessageLogTableName(),
+                Key: key,
+                UpdateExpression: `SET ${setExpressions.join(', ')}`,
+                ExpressionAttributeNames: names,
+                ExpressionAttributeValues: marshall(values, { removeUndefinedValues: true })
+            }));
+            console.log(`[SessionManager] Recorded late ${status} status for message ${messageId}`);
+        } catch (historyError) {
+            console.error(`[SessionManager] Error recording late status ${status} for message ${messageId}:`, historyError);
+        }
+    }
+}
+
+/**
+ * Get the delivery lifecycle of an outbound message
+ */
+export async function getMessageLifecycle(messageId) {
+    if (isOfflineMode()) {
+        return localMessageLog.get(messageId) || null;
+    }
+    try {
+        const result = await client.send(new GetItemCommand({
+            TableName: getMessageLogTableName(),
+            Key: marshall({ messageId })
+        }));
+        return result.Item ? unmarshall(result.Item) : null;
+    } catch (error) {
+        console.error(`[SessionManager] Error getting lifecycle for message ${messageId}:`, error);
+        return null;
+    }
+}
+
 /**
- * Log outbound message
+ * Log outbound message in the session's conversation log, and start its delivery
+ * lifecycle in the message log (see docs/message-log.md for why these are separate tables)
  */
 export async function logOutboundMessage(phoneNumber, sessionId, messageId, messageText, sessionState) {
     const tableName = process.env.ENHANCED_SESSION_TABLE_NAME || 'store-ai-bot-dev-enhanced-sessions';
@@ -174,6 +375,11 @@ export async function logOutboundMessage(phoneNumber, sessionId, messageId, mess
         console.error(`[SessionManager] Error logging outbound message:`, error);
         // Don't throw error for logging failures
     }
+    
+    // Only WhatsApp message IDs ever get status callbacks
+    if (messageId?.startsWith('wamid.')) {
+        await trackOutboundMessage(phoneNumber, messageId, { sessionId, text: messageText });
+    }
 }
 
 /**
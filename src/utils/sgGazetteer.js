@@ -0,0 +1,284 @@
+// Singapore Gazetteer - postal codes, MRT stations, neighbourhoods, HDB towns and planning areas
+// resolved to coordinates from the bundled data in src/data (no network calls).
+//
+// Places come back in the shape of a location search result, with a placeId of the form
+//   sg:mrt:<code>  sg:hood:<slug>  sg:town:<slug>  sg:area:<slug>  sg:postal:<postal code>
+// so getLocationDetails (locationSearchUtils.js) can resolve them again offline.
+import { PLANNING_AREAS, HDB_TOWNS, MRT_STATIONS, NEIGHBOURHOODS, POSTAL_DISTRICTS, SG_GAZETTEER_VERSION } from '../data/sgGazetteer.js';
+import { SG_POSTAL_CODES } from '../data/sgPostalCodes.js';
+import { distanceInMeters } from './geohash.js';
+
+export { SG_GAZETTEER_VERSION };
+
+const PLACE_ID_PREFIX = 'sg:';
+// Short forms people type, expanded before matching
+const ABBREVIATIONS = { bt: 'bukit', jln: 'jalan', lor: 'lorong', tg: 'tanjong', upp: 'upper', ave: 'avenue', st: 'street', rd: 'road' };
+const PLACE_ALIASES = { amk: 'ang mo kio', cck: 'choa chu kang', tpy: 'toa payoh', jw: 'jurong west', je: 'jurong east' };
+// Words that don't change which place is meant ("Bugis MRT", "Tampines town")
+const NOISE_WORDS = /\b(mrt|lrt|station|stn|interchange|town|estate|area|singapore|sg)\b/g;
+
+let index = null;
+
+/**
+ * Lowercase, drop punctuation and noise words, expand abbreviations
+ */
+export function normalizePlaceName(text) {
+    const words = String(text || '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(NOISE_WORDS, ' ')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => ABBREVIATIONS[word] || word);
+    const name = words.join(' ');
+    return PLACE_ALIASES[name] || name;
+}
+
+function slugify(name) {
+    return normalizePlaceName(name).replace(/\s+/g, '-');
+}
+
+function nearestPlanningArea(latitude, longitude) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const area of PLANNING_AREAS) {
+        const distance = distanceInMeters(latitude, longitude, area.latitude, area.longitude);
+        if (distance < nearestDistance) {
+            nearest = area;
+            nearestDistance = distance;
+        }
+    }
+    return nearest;
+}
+
+function createPlace(type, id, name, { latitude, longitude, formattedAddress, area, approximate = false }) {
+    return {
+        placeId: `${PLACE_ID_PREFIX}${type}:${id}`,
+        name,
+        displayName: name,
+        formattedAddress,
+        latitude,
+        longitude,
+        area: area || nearestPlanningArea(latitude, longitude)?.name || null,
+        types: [type],
+        approximate,
+        source: 'gazetteer'
+    };
+}
+
+function stationPlace(station) {
+    return {
+        ...createPlace('mrt', station.codes[0].toLowerCase(), `${station.name} MRT`, {
+            ...station,
+            formattedAddress: `${station.name} MRT (${station.codes.join('/')}), Singapore`
+        }),
+        stationName: station.name,
+        stationCodes: station.codes
+    };
+}
+
+function neighbourhoodPlace(neighbourhood) {
+    return createPlace('hood', slugify(neighbourhood.name), neighbourhood.name, {
+        ...neighbourhood,
+        formattedAddress: `${neighbourhood.name}, ${neighbourhood.planningArea}, Singapore`,
+        area: neighbourhood.planningArea
+    });
+}
+
+function townPlace(town) {
+    return createPlace('town', slugify(town.name), town.name, {
+        ...town,
+        formattedAddress: `${town.name} HDB town, Singapore`,
+        area: town.planningArea
+    });
+}
+
+function areaPlace(area) {
+    return createPlace('area', slugify(area.name), area.name, {
+        ...area,
+        formattedAddress: `${area.name}, ${area.region} Region, Singapore`,
+        area: area.name
+    });
+}
+
+/**
+ * Name → place lookups and the sorted prefix index, built on first use.
+ * Stations win over neighbourhoods, towns and areas of the same name ("Bishan" is the MRT).
+ */
+function getIndex() {
+    if (index) {
+        return index;
+    }
+    const byName = new Map();
+    const byPlaceId = new Map();
+    const add = (names, place) => {
+        byPlaceId.set(place.placeId, place);
+        for (const name of names) {
+            const key = normalizePlaceName(name);
+            if (key && !byName.has(key)) {
+                byName.set(key, place);
+            }
+        }
+    };
+
+    MRT_STATIONS.forEach(station => add([station.name, ...station.codes], stationPlace(station)));
+    NEIGHBOURHOODS.forEach(neighbourhood => add([neighbourhood.name, ...neighbourhood.aliases], neighbourhoodPlace(neighbourhood)));
+    HDB_TOWNS.forEach(town => add([town.name, ...town.name.split('/')], townPlace(town)));
+    PLANNING_AREAS.forEach(area => add([area.name], areaPlace(area)));
+
+    // Every word start of every name, so "quay" finds Clarke Quay as well as "clarke"
+    const prefixKeys = [];
+    for (const [key, place] of byName) {
+        const words = key.split(' ');
+        words.forEach((word, i) => prefixKeys.push([words.slice(i).join(' '), place]));
+    }
+    prefixKeys.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+    index = { byName, byPlaceId, prefixKeys, postalCodes: null };
+    const postalCodeCount = Object.keys(SG_POSTAL_CODES).length;
+    console.log(`[Gazetteer] Loaded version ${SG_GAZETTEER_VERSION}: ${byPlaceId.size} places, ${postalCodeCount} postal codes`);
+    if (postalCodeCount === 0) {
+        console.warn('[Gazetteer] No postal codes imported; postal codes resolve to their district and fall through to Google (see docs/gazetteer.md)');
+    }
+    return index;
+}
+
+function getSortedPostalCodes() {
+    const gazetteer = getIndex();
+    if (!gazetteer.postalCodes) {
+        gazetteer.postalCodes = Object.keys(SG_POSTAL_CODES).sort();
+    }
+    return gazetteer.postalCodes;
+}
+
+function lowerBound(sortedKeys, prefix, getKey = key => key) {
+    let low = 0;
+    let high = sortedKeys.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (getKey(sortedKeys[middle]) < prefix) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+/**
+ * Resolve a 6-digit postal code: exact when it is in the imported postal data,
+ * otherwise the centre of its postal district (approximate: true)
+ * @returns {Object|null} - Place or null for codes outside Singapore's postal sectors
+ */
+export function lookupPostalCode(postalCode) {
+    const code = String(postalCode || '').replace(/\D/g, '');
+    if (code.length !== 6) {
+        return null;
+    }
+
+    const exact = SG_POSTAL_CODES[code];
+    if (exact) {
+        const [latitude, longitude, block, roadName, building] = exact;
+        const street = [block, roadName].filter(Boolean).join(' ');
+        const name = building || street || `Singapore ${code}`;
+        return createPlace('postal', code, name, {
+            latitude,
+            longitude,
+            formattedAddress: `${[street, building].filter(Boolean).join(', ')}, Singapore ${code}`
+        });
+    }
+
+    const district = POSTAL_DISTRICTS.find(entry => entry.sectors.includes(code.substring(0, 2)));
+    if (!district) {
+        return null;
+    }
+    return createPlace('postal', code, `Singapore ${code}`, {
+        ...district,
+        formattedAddress: `${district.name} (district ${district.district}), Singapore ${code}`,
+        approximate: true
+    });
+}
+
+/**
+ * Resolve what a user typed — a postal code, MRT station (name or code like "NE6"), neighbourhood,
+ * HDB town or planning area — to a place. Only whole names match; see searchGazetteer for prefixes.
+ * @returns {Object|null} - Place or null when the gazetteer doesn't know it
+ */
+export function findGazetteerPlace(text) {
+    const postalCode = String(text || '').trim().match(/^(?:singapore\s*)?(\d{6})$/i)?.[1];
+    if (postalCode) {
+        return lookupPostalCode(postalCode);
+    }
+    return getIndex().byName.get(normalizePlaceName(text)) || null;
+}
+
+/**
+ * Place by a gazetteer placeId (sg:...), for location selections
+ */
+export function getGazetteerPlace(placeId) {
+    if (!isGazetteerPlaceId(placeId)) {
+        return null;
+    }
+    if (placeId.startsWith(`${PLACE_ID_PREFIX}postal:`)) {
+        return lookupPostalCode(placeId.substring(`${PLACE_ID_PREFIX}postal:`.length));
+    }
+    return getIndex().byPlaceId.get(placeId) || null;
+}
+
+export function isGazetteerPlaceId(placeId) {
+    return typeof placeId === 'string' && placeId.startsWith(PLACE_ID_PREFIX);
+}
+
+/**
+ * Autocomplete: places whose name (or any word of it) starts with the text, or postal codes
+ * starting with the digits typed. Exact name matches come first.
+ * @returns {Array<Object>} - Up to `limit` places
+ */
+export function searchGazetteer(text, limit = 5) {
+    const digits = String(text || '').trim();
+    if (/^\d{2,6}$/.test(digits)) {
+        const postalCodes = getSortedPostalCodes();
+        const results = [];
+        for (let i = lowerBound(postalCodes, digits); i < postalCodes.length && results.length < limit && postalCodes[i].startsWith(digits); i++) {
+            results.push(lookupPostalCode(postalCodes[i]));
+        }
+        // Without imported postal data a full code still resolves to its district
+        if (results.length === 0 && digits.length === 6) {
+            return [lookupPostalCode(digits)].filter(Boolean);
+        }
+        return results;
+    }
+
+    const prefix = normalizePlaceName(text);
+    if (!prefix) {
+        return [];
+    }
+    const { byName, prefixKeys } = getIndex();
+    const results = byName.has(prefix) ? [byName.get(prefix)] : [];
+    for (let i = lowerBound(prefixKeys, prefix, entry => entry[0]); i < prefixKeys.length && results.length < limit && prefixKeys[i][0].startsWith(prefix); i++) {
+        if (!results.includes(prefixKeys[i][1])) {
+            results.push(prefixKeys[i][1]);
+        }
+    }
+    return results;
+}
+
+/**
+ * Closest station, neighbourhood or planning area to a point, for naming shared GPS locations
+ * @returns {{place: Object, distanceMeters: number}|null}
+ */
+export function findNearestGazetteerPlace(latitude, longitude) {
+    if (!Number.isFinite(Number(latitude)) || !Number.isFinite(Number(longitude))) {
+        return null;
+    }
+    let nearest = null;
+    for (const place of getIndex().byPlaceId.values()) {
+        const distanceMeters = distanceInMeters(Number(latitude), Number(longitude), place.latitude, place.longitude);
+        if (!nearest || distanceMeters < nearest.distanceMeters) {
+            nearest = { place, distanceMeters: Math.round(distanceMeters) };
+        }
+    }
+    return nearest;
+}
@@ -2,7 +2,26 @@
 import { DynamoDBClient, PutItemCommand, GetItemCommand, QueryCommand } from '@aws-sdk/client-dynamodb';
 import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
 
-const dynamoClient = new DynamoDBClient({ region: 'ap-southeast-1' });
+const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+
+// Interactions older than this expire from the analytics table
+const INTERACTION_RETENTION_DAYS = 180;
+
+/**
+ * Interaction types read back by the user preference profile
+ */
+export const INTERACTION_TYPES = {
+    CATEGORY_SELECTED: 'category_selected',
+    AREA_SEARCHED: 'area_searched',
+    DEAL_OPENED: 'deal_opened',
+    DIRECTIONS_REQUESTED: 'directions_requested',
+    REMINDER_SET: 'reminder_set',
+    DEAL_SAVED: 'deal_saved'
+};
+
+function getAnalyticsTableName() {
+    return process.env.LOBANGLAH_ANALYTICS_TABLE_NAME || 'LobangLahAnalytics';
+}
 
 /**
  * Singapore deal trends and patterns
@@ -50,12 +69,13 @@ export async function trackSingaporeInteraction(userId, interactionType, data =
         
         // Store in DynamoDB for analytics
         await dynamoClient.send(new PutItemCommand({
-            TableName: 'LobangLahAnalytics',
+            TableName: getAnalyticsTableName(),
             Item: marshall({
                 pk: `USER#${userId}`,
                 sk: `INTERACTION#${timestamp}`,
-                ...interaction
-            })
+                ...interaction,
+                ttl: Math.floor(timestamp / 1000) + INTERACTION_RETENTION_DAYS * 24 * 60 * 60
+            }, { removeUndefinedValues: true })
         }));
         
         console.log(`[SingaporeAnalytics] Tracked ${interactionType} for user ${userId}`);
@@ -66,6 +86,35 @@ export async function trackSingaporeInteraction(userId, interactionType, data =
     }
 }
 
+/**
+ * A user's tracked interactions, newest first
+ * @param {string} userId - Phone number the interactions were tracked under
+ * @param {Object} options - { sinceDays = 90, limit = 200 }
+ * @returns {Promise<Array>} Interactions ({ interactionType, timestamp, data }); empty on error
+ */
+export async function getUserInteractions(userId, { sinceDays = 90, limit = 200 } = {}) {
+    try {
+        const since = Date.now() - sinceDays * 24 * 60 * 60 * 1000;
+        const result = await dynamoClient.send(new QueryCommand({
+            TableName: getAnalyticsTableName(),
+            KeyConditionExpression: 'pk = :pk AND sk > :since',
+            ExpressionAttributeValues: marshall({
+                ':pk': `USER#${userId}`,
+                ':since': `INTERACTION#${since}`
+            }),
+            ScanIndexForward: false,
+            Limit: limit
+        }));
+
+        const interactions = (result.Items || []).map(item => unmarshall(item));
+        console.log(`[SingaporeAnalytics] Loaded ${interactions.length} interactions for user ${userId}`);
+        return interactions;
+    } catch (error) {
+        console.error('[SingaporeAnalytics] Error loading interactions:', error);
+        return [];
+    }
+}
+
 /**
  * Get Singapore-specific deal insights
  */
@@ -126,109 +175,6 @@ export function getSingaporeDealInsights(category, location, timeOfDay) {
     };
 }
 
-/**
- * Generate Singapore-specific deal recommendations
- */
-export function generateSingaporeRecommendations(userHistory = [], currentCategory, location) {
-    const recommendations = [];
-    
-    // Based on location
-    if (location && location.area) {
-        const areaInsights = {
-            'Orchard Road': 'High-end shopping and dining deals',
-            'Marina Bay': 'Luxury and entertainment offers',
-            'Chinatown': 'Traditional and cultural deals',
-            'Little India': 'Authentic Indian cuisine and shopping',
-            'Bugis': 'Youth-oriented fashion and food',
-            'Tampines': 'Family-friendly deals and activities',
-            'Jurong East': 'Shopping mall and entertainment deals',
-            'Woodlands': 'Northern Singapore deals and activities'
-        };
-        
-        if (areaInsights[location.area]) {
-            recommendations.push(`📍 ${location.area}: ${areaInsights[location.area]}`);
-        }
-    }
-    
-    // Based on category
-    const categoryTips = {
-        food: [
-            "🍽️ Check for set meal deals",
-            "☕ Look for happy hour promotions",
-            "🎓 Student discounts available",
-            "👥 Group dining offers"
-        ],
-        events: [
-            "🎫 Early bird tickets often cheaper",
-            "👨‍👩‍👧‍👦 Family packages available",
-            "🎓 Student and senior discounts",
-            "🎪 Weekend events more expensive"
-        ],
-        fashion: [
-            "🛍️ End-of-season sales best deals",
-            "💳 Member discounts available",
-            "🎓 Student prices at many stores",
-            "⚡ Flash sales happen frequently"
-        ]
-    };
-    
-    if (categoryTips[currentCategory]) {
-        recommendations.push(...categoryTips[currentCategory]);
-    }
-    
-    return recommendations;
-}
-
-/**
- * Singapore-specific deal scoring
- */
-export function scoreSingaporeDeal(deal, category, userPreferences = {}) {
-    let score = 0;
-    
-    // Base score
-    score += 10;
-    
-    // Category-specific scoring
-    if (category === 'food') {
-        if (deal.title?.toLowerCase().includes('1-for-1')) score += 20;
-        if (deal.title?.toLowerCase().includes('set meal')) score += 15;
-        if (deal.title?.toLowerCase().includes('happy hour')) score += 10;
-        if (deal.title?.toLowerCase().includes('student')) score += 8;
-    } else if (category === 'events') {
-        if (deal.title?.toLowerCase().includes('early bird')) score += 15;
-        if (deal.title?.toLowerCase().includes('family')) score += 12;
-        if (deal.title?.toLowerCase().includes('student')) score += 10;
-        if (deal.title?.toLowerCase().includes('group')) score += 8;
-    } else if (category === 'fashion') {
-        if (deal.title?.toLowerCase().includes('sale')) score += 15;
-        if (deal.title?.toLowerCase().includes('clearance')) score += 12;
-        if (deal.title?.toLowerCase().includes('member')) score += 10;
-        if (deal.title?.toLowerCase().includes('student')) score += 8;
-    }
-    
-    // Location scoring
-    if (deal.address) {
-        const popularAreas = ['Orchard', 'Marina Bay', 'Chinatown', 'Bugis', 'Tampines'];
-        popularAreas.forEach(area => {
-            if (deal.address.toLowerCase().includes(area.toLowerCase())) {
-                score += 5;
-            }
-        });
-    }
-    
-    // Price scoring
-    if (deal.price && deal.price !== 'Contact for price') {
-        score += 5;
-    }
-    
-    // Validity scoring
-    if (deal.validUntil && new Date(deal.validUntil) > new Date()) {
-        score += 3;
-    }
-    
-    return score;
-}
-
 /**
  * Get Singapore market insights
  */
@@ -1,6 +1,8 @@
 // Singapore-specific features and enhancements for LobangLah
 import { getWeatherForLocation } from './googleLocationUtils.js';
 import OpenAI from 'openai';
+import { t, getCategoryName, getLanguageInstruction, normalizeLanguage } from './i18n.js';
+import { msg } from './messageBuilder.js';
 
 /**
  * Singaporean slang and expressions for more authentic communication
@@ -60,6 +62,10 @@ export const singaporeDealCategories = {
             tea: '2:30 PM - 5:30 PM',
             dinner: '6:00 PM - 9:30 PM',
             supper: '10:00 PM - 2:00 AM'
+        },
+        dietaryKeywords: {
+            halal: ['MUIS halal-certified', 'halal', 'Muslim-owned', 'no pork no lard'],
+            vegetarian: ['vegetarian', 'vegan', 'plant-based', 'mock meat']
         }
     },
     
@@ -136,47 +142,37 @@ export async function getWeatherBasedRecommendations(latitude, longitude, google
 /**
  * Singapore-specific welcome messages based on time of day
  */
-export function getSingaporeWelcomeMessage() {
+export function getSingaporeWelcomeMessage(lang = 'en') {
     const hour = new Date().getHours();
     let timeGreeting = "";
     let timeEmoji = "";
     
     if (hour >= 5 && hour < 12) {
-        timeGreeting = "Good morning!";
+        timeGreeting = t(lang, 'time.morning');
         timeEmoji = "🌅";
     } else if (hour >= 12 && hour < 17) {
-        timeGreeting = "Good afternoon!";
+        timeGreeting = t(lang, 'time.afternoon');
         timeEmoji = "☀️";
     } else if (hour >= 17 && hour < 21) {
-        timeGreeting = "Good evening!";
+        timeGreeting = t(lang, 'time.evening');
         timeEmoji = "🌆";
     } else {
-        timeGreeting = "Good night!";
+        timeGreeting = t(lang, 'time.night');
         timeEmoji = "🌙";
     }
     
-    const randomGreeting = singaporeSlang.greetings[Math.floor(Math.random() * singaporeSlang.greetings.length)];
+    // The Singlish greetings only work in English
+    const greeting = normalizeLanguage(lang) === 'en'
+        ? singaporeSlang.greetings[Math.floor(Math.random() * singaporeSlang.greetings.length)]
+        : t(lang, 'sgWelcome.greeting');
     
-    return {
-        type: "interactive",
-        interactive: {
-            type: "button",
-            header: { 
-                type: "text", 
-                text: `${timeEmoji} ${timeGreeting} Welcome to LobangLah!` 
-            },
-            body: { 
-                text: `${randomGreeting}\n\nI'm your personal AI deal hunter from **LobangLah** - Singapore's smartest deal discovery platform! 🤖\n\nI can find the best deals near you for food, events, fashion, and more, all with today's weather forecast.\n\n📍 **Ready to start saving?** Share your location and I'll find amazing deals nearby!` 
-            },
-            footer: { text: "🚀 Powered by LobangLah AI" },
-            action: {
-                buttons: [
-                    { type: "reply", reply: { id: "share_location_prompt", title: "📍 Share Location" } },
-                    { type: "reply", reply: { id: "how_it_works", title: "❓ How It Works" } }
-                ]
-            }
-        }
-    };
+    return msg.buttons(t(lang, 'sgWelcome.body', { greeting }))
+        .builtBy('getSingaporeWelcomeMessage')
+        .header(t(lang, 'sgWelcome.header', { emoji: timeEmoji, timeGreeting }))
+        .footer(t(lang, 'sgWelcome.footer'))
+        .button("share_location_prompt", t(lang, 'button.shareLocation'))
+        .button("how_it_works", t(lang, 'button.howItWorks'))
+        .build();
 }
 
 /**
@@ -224,91 +220,55 @@ export function formatSingaporeDeal(deal, category, location) {
 }
 
 /**
- * Singapore-specific deal ranking based on local preferences
+ * Describe a cooldown in words ("30 seconds", "2 minutes")
  */
-export function rankSingaporeDeals(deals, category) {
-    return deals.map(deal => {
-        let score = 0;
-        
-        // Score based on Singapore keywords
-        const keywords = singaporeDealCategories[category]?.keywords || [];
-        const dealText = `${deal.title} ${deal.description} ${deal.offer}`.toLowerCase();
-        
-        keywords.forEach(keyword => {
-            if (dealText.includes(keyword.toLowerCase())) {
-                score += 2;
-            }
-        });
-        
-        // Score based on popular areas
-        const popularAreas = singaporeDealCategories[category]?.popularAreas || [];
-        if (deal.address) {
-            popularAreas.forEach(area => {
-                if (deal.address.toLowerCase().includes(area.toLowerCase())) {
-                    score += 1;
-                }
-            });
-        }
-        
-        // Score based on price (prefer deals with clear pricing)
-        if (deal.price && deal.price !== 'Contact for price') {
-            score += 1;
-        }
-        
-        // Score based on validity (prefer current deals)
-        if (deal.validUntil && new Date(deal.validUntil) > new Date()) {
-            score += 1;
-        }
-        
-        return { ...deal, singaporeScore: score };
-    }).sort((a, b) => b.singaporeScore - a.singaporeScore);
+function formatCooldown(seconds, lang = 'en') {
+    if (!seconds || seconds < 60) {
+        return t(lang, 'cooldown.seconds', { count: Math.max(1, Math.ceil(seconds || 30)) });
+    }
+    const minutes = Math.ceil(seconds / 60);
+    return minutes === 1 ? t(lang, 'cooldown.minute') : t(lang, 'cooldown.minutes', { count: minutes });
 }
 
+const ERROR_TYPES = ['noLocation', 'noDeals', 'apiError', 'weatherError', 'networkError', 'voiceNoteError', 'rateLimited'];
+
 /**
  * Singapore-specific error messages
  */
-export function getSingaporeErrorMessage(errorType, context = {}) {
-    const errorMessages = {
-        noLocation: "Eh! I need your location to find good lobang near you lah! 📍\n\nPlease share your location by tapping the 📎 attachment icon and selecting 'Location'.",
-        
-        noDeals: `Wah! No ${context.category || 'good'} deals found near ${context.location || 'your area'} right now.\n\nTry another category or location lah! 🔄`,
-        
-        apiError: "Sorry lah! Something went wrong with my deal hunting.\n\nPlease try again in a while! 🔄",
-        
-        weatherError: "Weather info not available, but I'll still find you the best deals! 🌤️",
-        
-        networkError: "Network a bit slow lah! Please try again in a moment! 📶"
-    };
-    
-    return errorMessages[errorType] || errorMessages.apiError;
+export function getSingaporeErrorMessage(errorType, context = {}, lang = 'en') {
+    const type = ERROR_TYPES.includes(errorType) ? errorType : 'apiError';
+    return t(lang, `sgError.${type}`, {
+        category: context.category ? getCategoryName(lang, context.category) : t(lang, 'sgError.noDealsCategory'),
+        location: context.location || t(lang, 'sgError.noDealsLocation'),
+        cooldown: formatCooldown(context.retryAfterSeconds, lang)
+    });
 }
 
+const SUCCESS_TYPES = ['locationConfirmed', 'dealsFound', 'dealShared', 'categorySelected'];
+
 /**
  * Singapore-specific success messages
  */
-export function getSingaporeSuccessMessage(type, context = {}) {
-    const successMessages = {
-        locationConfirmed: `Wah! ${context.location} ah! Got many good deals there! 🎯`,
-        
-        dealsFound: `Steady lah! Found ${context.count} amazing ${context.category} deals for you! 💪`,
-        
-        dealShared: "Wah! Good lobang must share with friends! 👥",
-        
-        categorySelected: `Nice choice! ${context.category} deals are the best! 🎉`
-    };
-    
-    return successMessages[type] || "Wah! Success lah! 🎉";
+export function getSingaporeSuccessMessage(type, context = {}, lang = 'en') {
+    if (!SUCCESS_TYPES.includes(type)) {
+        return t(lang, 'sgSuccess.default');
+    }
+    return t(lang, `sgSuccess.${type}`, {
+        location: context.location,
+        count: context.count,
+        category: context.category ? getCategoryName(lang, context.category) : context.category
+    });
 }
 
 /**
  * Generate AI-powered fun Singapore content with conversation context
  */
-export async function generateAISingaporeContent(context, location, weather, botConfig, conversationHistory = []) {
+export async function generateAISingaporeContent(context, location, weather, botConfig, conversationHistory = [], language = 'en') {
     try {
         const openAIApiKey = botConfig?.openAiApiKey || botConfig?.openAIApiKey || process.env.OPENAI_API_KEY;
         if (!openAIApiKey) {
             console.log('[SingaporeFeatures] No OpenAI API key, using fallback content');
-            return getFallbackSingaporeContent(context, location, weather);
+            return getFallbackSingaporeContent(context, location, weather, language);
         }
         
         const openai = new OpenAI({ apiKey: openAIApiKey });
@@ -368,6 +328,12 @@ Examples of tone:
 Make it feel like a local Singaporean friend is talking to them.`;
         }
 
+        const languageInstruction = getLanguageInstruction(language);
+        if (languageInstruction) {
+            // The Singlish particles above don't translate, keep the friendly tone instead
+            prompt += `\n\n${languageInstruction} Skip Singlish particles like "lah" and use a warm, casual tone in that language.`;
+        }
+
         const response = await openai.chat.completions.create({
             model: 'gpt-4o-mini',
             messages: [{ role: 'user', content: prompt }],
@@ -382,22 +348,15 @@ Make it feel like a local Singaporean friend is talking to them.`;
         
     } catch (error) {
         console.error('[SingaporeFeatures] Error generating AI content:', error);
-        return getFallbackSingaporeContent(context, location, weather);
+        return getFallbackSingaporeContent(context, location, weather, language);
     }
 }
 
 /**
  * Fallback Singapore content when AI is not available
  */
-function getFallbackSingaporeContent(context, location, weather) {
-    const fallbackMessages = {
-        location_confirmed: `Wah! ${location || 'Singapore'} ah! Got many good deals there! 🎯`,
-        weather_good: `Steady lah! Weather looks good for finding deals! 🌤️`,
-        weather_rainy: `Wah! Raining outside! Perfect time for indoor deals! ☔`,
-        weather_hot: `Wah piang! So hot today! Got both indoor and outdoor deals for you! 🌞`,
-        deals_found: `Wah! Found some solid lobang for you! 💪`,
-        welcome: `Eh! Ready to find some good deals lah! 🚀`
-    };
-    
-    return fallbackMessages[context] || fallbackMessages.welcome;
-} 
\ No newline at end of file
+function getFallbackSingaporeContent(context, location, weather, lang = 'en') {
+    const contentKeys = ['location_confirmed', 'weather_good', 'weather_rainy', 'weather_hot', 'deals_found', 'welcome'];
+    const key = contentKeys.includes(context) ? context : 'welcome';
+    return t(lang, `sgContent.${key}`, { location: location || 'Singapore' });
+}
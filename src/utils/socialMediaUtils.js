@@ -2,6 +2,7 @@
 import fetch from 'node-fetch';
 import { DynamoDBClient, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
 import { marshall } from '@aws-sdk/util-dynamodb';
+import { getWhatsAppApiBaseUrl } from './whatsappUtils.js';
 
 /**
  * Post content across all social media platforms
@@ -239,7 +240,7 @@ async function postToWhatsAppStatus(content, config) {
         }
         
         // WhatsApp Business API doesn't have Status API, but we can simulate by sending to broadcast list
-        const url = `https://graph.facebook.com/v18.0/${config.phoneNumberId}/messages`;
+        const url = `${getWhatsAppApiBaseUrl()}/v18.0/${config.phoneNumberId}/messages`;
         
         // This would typically send to a broadcast list of subscribers
         // For now, we'll just log the success
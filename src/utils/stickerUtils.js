@@ -1,5 +1,6 @@
 // LobangLah Sticker Generation and Sending Utilities
 import axios from 'axios';
+import { getWhatsAppApiBaseUrl } from './whatsappUtils.js';
 
 /**
  * Generate a personalized sticker using Replicate API with weather and location context
@@ -200,7 +201,7 @@ export async function sendStickerMessage(storeId, phoneNumber, stickerUrl, botCo
         }
         
         const messageResponse = await axios.post(
-            `https://graph.facebook.com/v19.0/${whatsappPhoneNumberId}/messages`,
+            `${getWhatsAppApiBaseUrl()}/v19.0/${whatsappPhoneNumberId}/messages`,
             {
                 messaging_product: "whatsapp",
                 recipient_type: "individual",
@@ -0,0 +1,190 @@
+// User Preference Profile - what a user keeps looking for, built from LobangLahAnalytics interactions
+import { getUserInteractions, trackSingaporeInteraction, INTERACTION_TYPES } from './singaporeAnalytics.js';
+
+// Stronger intent counts for more
+const INTERACTION_WEIGHTS = {
+    [INTERACTION_TYPES.CATEGORY_SELECTED]: 1,
+    [INTERACTION_TYPES.AREA_SEARCHED]: 1,
+    [INTERACTION_TYPES.DEAL_OPENED]: 2,
+    [INTERACTION_TYPES.DIRECTIONS_REQUESTED]: 3,
+    [INTERACTION_TYPES.REMINDER_SET]: 3,
+    [INTERACTION_TYPES.DEAL_SAVED]: 3
+};
+// An interaction this old counts half as much as one from today
+const PREFERENCE_HALF_LIFE_DAYS = 30;
+const TOP_ITEMS = 5;
+
+// What people ask for within a category ("bubble tea", not just "food")
+const PREFERENCE_KEYWORDS = [
+    'bubble tea', 'coffee', 'kopi', 'cafe', 'bakery', 'dessert', 'ice cream', 'chicken rice', 'laksa', 'nasi lemak',
+    'prata', 'dim sum', 'hotpot', 'bbq', 'seafood', 'sushi', 'ramen', 'korean', 'thai', 'japanese', 'western',
+    'pizza', 'burger', 'buffet', 'high tea', 'vegetarian', 'halal', 'bar', 'happy hour', 'set meal', '1-for-1',
+    'sneakers', 'shoes', 'bags', 'sportswear', 'kids', 'beauty', 'skincare', 'electronics', 'concert', 'museum'
+];
+
+// Deal card actions (see dealNavigationUtils/dealsUtils button ids) and what they tell us
+export const DEAL_ACTION_INTERACTIONS = {
+    get_menu: INTERACTION_TYPES.DEAL_OPENED,
+    call: INTERACTION_TYPES.DEAL_OPENED,
+    share_deal: INTERACTION_TYPES.DEAL_OPENED,
+    directions: INTERACTION_TYPES.DIRECTIONS_REQUESTED,
+    get_directions: INTERACTION_TYPES.DIRECTIONS_REQUESTED,
+    set_reminder: INTERACTION_TYPES.REMINDER_SET,
+    compare_deal: INTERACTION_TYPES.DEAL_OPENED,
+    save_deal: INTERACTION_TYPES.DEAL_SAVED
+};
+
+function normalizeArea(area) {
+    return (area || '').toLowerCase().replace(/,?\s*singapore\s*\d*$/, '').trim();
+}
+
+function extractKeywords(text) {
+    const lowerText = (text || '').toLowerCase();
+    return PREFERENCE_KEYWORDS.filter(keyword => new RegExp(`\\b${keyword}\\b`).test(lowerText));
+}
+
+function addWeight(counts, key, weight) {
+    if (key) {
+        counts[key] = (counts[key] || 0) + weight;
+    }
+}
+
+function topKeys(counts) {
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, TOP_ITEMS).map(([key]) => key);
+}
+
+/**
+ * Scale weights so the strongest entry is 1
+ */
+function normalizeWeights(counts) {
+    const max = Math.max(0, ...Object.values(counts));
+    return Object.fromEntries(Object.entries(counts).map(([key, value]) => [key, max > 0 ? Math.round(value / max * 100) / 100 : 0]));
+}
+
+/**
+ * Build a preference profile from tracked interactions. Weights are 0-1 (1 = strongest),
+ * recent and high-intent interactions (directions, reminders) count most.
+ * @param {Array} interactions - From getUserInteractions
+ * @returns {{categories: Object, areas: Object, merchants: Object, keywords: Object, offerTypes: Object,
+ *   topCategories: string[], topAreas: string[], topKeywords: string[], interactionCount: number}}
+ */
+export function buildUserPreferenceProfile(interactions = [], now = new Date()) {
+    const counts = { categories: {}, areas: {}, merchants: {}, keywords: {}, offerTypes: {} };
+
+    for (const interaction of interactions) {
+        const baseWeight = INTERACTION_WEIGHTS[interaction.interactionType];
+        if (!baseWeight) {
+            continue;
+        }
+        const ageDays = Math.max(0, (now.getTime() - Number(interaction.timestamp || 0)) / (24 * 60 * 60 * 1000));
+        const weight = baseWeight * Math.pow(0.5, ageDays / PREFERENCE_HALF_LIFE_DAYS);
+        const data = interaction.data || {};
+
+        addWeight(counts.categories, data.category, weight);
+        addWeight(counts.areas, normalizeArea(data.area), weight);
+        addWeight(counts.merchants, data.merchantKey, weight);
+        addWeight(counts.offerTypes, data.offerType, weight);
+        extractKeywords(`${data.merchantName || ''} ${data.offer || ''}`).forEach(keyword => addWeight(counts.keywords, keyword, weight));
+    }
+
+    return {
+        categories: normalizeWeights(counts.categories),
+        areas: normalizeWeights(counts.areas),
+        merchants: normalizeWeights(counts.merchants),
+        keywords: normalizeWeights(counts.keywords),
+        offerTypes: normalizeWeights(counts.offerTypes),
+        topCategories: topKeys(counts.categories),
+        topAreas: topKeys(counts.areas),
+        topKeywords: topKeys(counts.keywords),
+        interactionCount: interactions.length
+    };
+}
+
+/**
+ * Load and build a user's profile. Returns null when the user has no usable history.
+ */
+export async function getUserPreferenceProfile(userId) {
+    if (!userId) {
+        return null;
+    }
+    const interactions = await getUserInteractions(userId);
+    if (interactions.length === 0) {
+        return null;
+    }
+    const profile = buildUserPreferenceProfile(interactions);
+    console.log(`[UserPreferences] Profile for ${userId}: categories=${profile.topCategories.join(',')} areas=${profile.topAreas.join(',')} keywords=${profile.topKeywords.join(',')}`);
+    return profile;
+}
+
+/**
+ * Track a deal card tap (menu, directions, call, reminder, share) for the profile
+ */
+export async function trackDealInteraction(userId, action, deal, location = null) {
+    const interactionType = DEAL_ACTION_INTERACTIONS[action];
+    if (!interactionType || !deal) {
+        return false;
+    }
+    return await trackSingaporeInteraction(userId, interactionType, {
+        action,
+        dealId: deal.dealId || deal.id || null,
+        merchantKey: deal.merchantKey || null,
+        merchantName: deal.businessName || deal.merchant?.name || null,
+        offer: deal.offer || null,
+        offerType: deal.offerType || null,
+        category: deal.category || null,
+        area: location?.area || location?.displayName || (typeof deal.location === 'string' ? deal.location : null)
+    });
+}
+
+/**
+ * Track a deal search (category picked and the area it was for)
+ */
+export async function trackDealSearch(userId, category, location) {
+    const area = location?.area || location?.displayName || null;
+    await trackSingaporeInteraction(userId, INTERACTION_TYPES.CATEGORY_SELECTED, { category });
+    if (area) {
+        await trackSingaporeInteraction(userId, INTERACTION_TYPES.AREA_SEARCHED, { category, area });
+    }
+}
+
+/**
+ * How well a deal matches the profile (0-1) with a short reason, used by deal ranking
+ */
+export function matchDealToProfile(deal, profile) {
+    if (!profile || profile.interactionCount === 0) {
+        return { score: 0, detail: 'no preference profile' };
+    }
+
+    const matches = [];
+    let score = 0;
+    const merchantWeight = profile.merchants[deal.merchantKey] || 0;
+    if (merchantWeight > 0) {
+        score = Math.max(score, merchantWeight);
+        matches.push('favourite merchant');
+    }
+
+    const keywords = extractKeywords(`${deal.businessName || ''} ${deal.offer || ''} ${deal.description || ''}`);
+    const keywordWeight = Math.max(0, ...keywords.map(keyword => profile.keywords[keyword] || 0));
+    if (keywordWeight > 0) {
+        score = Math.max(score, keywordWeight);
+        matches.push(keywords.filter(keyword => profile.keywords[keyword]).join(', '));
+    }
+
+    // Only the deal's own address: its location field is just the area that was searched
+    const address = (deal.address || '').toLowerCase();
+    const area = Object.keys(profile.areas).find(name => name && address.includes(name));
+    if (area) {
+        // Area alone is a weaker hint than what the user likes to eat or buy
+        score = Math.min(1, score + 0.3 * profile.areas[area]);
+        matches.push(area);
+    }
+
+    const offerTypeWeight = profile.offerTypes[deal.offerType] || 0;
+    if (offerTypeWeight > 0) {
+        score = Math.min(1, score + 0.2 * offerTypeWeight);
+        matches.push(deal.offerType);
+    }
+
+    return { score, detail: matches.length > 0 ? `likes ${matches.join('; ')}` : 'no preference match' };
+}
+
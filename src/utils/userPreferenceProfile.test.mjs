@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildUserPreferenceProfile } from './userPreferenceProfile.js';
+import { INTERACTION_TYPES } from './singaporeAnalytics.js';
+import { createRankingContext, rankDeals } from './dealRanking.js';
+
+const now = new Date('2026-10-19T12:00:00+08:00');
+const daysAgo = days => now.getTime() - days * 24 * 60 * 60 * 1000;
+
+const chickenRice = { dealId: 'chicken-rice', businessName: 'Ah Hock Chicken Rice', offer: '$1 off chicken rice set', source: 'Instagram', distanceMeters: 300 };
+const bubbleTea = { dealId: 'bubble-tea', businessName: 'Tea Lab', offer: '1 free bubble tea topping', address: '50 Jurong Gateway Road, Jurong East', source: 'Instagram', distanceMeters: 1500 };
+
+const bubbleTeaInJurong = [
+    { interactionType: INTERACTION_TYPES.CATEGORY_SELECTED, timestamp: daysAgo(1), data: { category: 'food' } },
+    { interactionType: INTERACTION_TYPES.AREA_SEARCHED, timestamp: daysAgo(1), data: { category: 'food', area: 'Jurong East' } },
+    { interactionType: INTERACTION_TYPES.DEAL_OPENED, timestamp: daysAgo(3), data: { merchantName: 'Koi Bubble Tea', offer: '1-for-1 bubble tea', category: 'food' } },
+    { interactionType: INTERACTION_TYPES.DIRECTIONS_REQUESTED, timestamp: daysAgo(5), data: { merchantName: 'Chicha San Chen', offer: 'Bubble tea $2 off', category: 'food', area: 'Jurong East' } }
+];
+
+const rank = profile => rankDeals([chickenRice, bubbleTea], { ...createRankingContext({}, { category: 'food', profile }), now });
+
+test('interaction history builds weighted categories, areas and keywords', () => {
+    const profile = buildUserPreferenceProfile(bubbleTeaInJurong, now);
+
+    assert.deepEqual(profile.topCategories, ['food']);
+    assert.deepEqual(profile.topAreas, ['jurong east']);
+    assert.deepEqual(profile.topKeywords, ['bubble tea', '1-for-1']);
+    assert.equal(profile.keywords['bubble tea'], 1);
+    assert.equal(profile.interactionCount, 4);
+});
+
+test('older and weaker interactions count for less', () => {
+    const profile = buildUserPreferenceProfile([
+        { interactionType: INTERACTION_TYPES.DIRECTIONS_REQUESTED, timestamp: daysAgo(0), data: { offer: 'laksa set' } },
+        { interactionType: INTERACTION_TYPES.DIRECTIONS_REQUESTED, timestamp: daysAgo(30), data: { offer: 'prata set' } },
+        { interactionType: INTERACTION_TYPES.DEAL_OPENED, timestamp: daysAgo(0), data: { offer: 'dim sum set' } }
+    ], now);
+
+    assert.equal(profile.keywords.laksa, 1);
+    assert.equal(profile.keywords.prata, 0.5);
+    assert.equal(profile.keywords['dim sum'], 0.67);
+});
+
+test('a user who keeps picking bubble tea in Jurong gets it ranked first', () => {
+    assert.deepEqual(rank(null).map(deal => deal.dealId), ['chicken-rice', 'bubble-tea']);
+
+    const ranked = rank(buildUserPreferenceProfile(bubbleTeaInJurong, now));
+
+    assert.deepEqual(ranked.map(deal => deal.dealId), ['bubble-tea', 'chicken-rice']);
+    assert.match(ranked[0].rankingExplanation.signals.preference.detail, /bubble tea; jurong east/);
+});
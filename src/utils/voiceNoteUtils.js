@@ -0,0 +1,52 @@
+// Voice Note Handling - turns WhatsApp audio messages into text for the bot flows
+import { downloadWhatsAppMedia, sendWhatsAppMessage } from './whatsappUtils.js';
+import { getSingaporeErrorMessage } from './singaporeFeatures.js';
+import { t } from './i18n.js';
+import { getSpeechToTextProvider } from '../services/speechToTextService.js';
+
+/**
+ * Download and transcribe a voice note, then echo the transcript back so the
+ * user can see what the bot understood.
+ * @param {string} storeId - Store ID
+ * @param {string} fromNumber - User's WhatsApp number
+ * @param {Object} audio - message.audio from the webhook ({ id, mime_type, voice })
+ * @param {Object} botConfig - Bot configuration
+ * @param {string} [lang] - User's language: the language hint for the speech-to-text provider (instead of
+ *   botConfig.speechToTextLanguage) and the language of the replies. Without it the provider detects the language.
+ * @returns {Promise<string|null>} - Transcript, or null after telling the user it could not be understood
+ */
+export async function transcribeVoiceNote(storeId, fromNumber, audio, botConfig, lang = null) {
+    try {
+        if (!audio?.id) {
+            throw new Error('Audio message has no media ID');
+        }
+
+        const { buffer, mimeType } = await downloadWhatsAppMedia(audio.id, botConfig.whatsappToken);
+        const { name, provider } = getSpeechToTextProvider(botConfig);
+        const result = await provider.transcribe(buffer, {
+            mimeType: audio.mime_type || mimeType,
+            language: lang || botConfig.speechToTextLanguage
+        });
+
+        const transcript = result.text;
+        if (!transcript) {
+            throw new Error('Transcription returned no text');
+        }
+
+        console.log(`[VoiceNote] Transcribed voice note from ${fromNumber} with ${name}: "${transcript}"`);
+
+        await sendWhatsAppMessage(storeId, fromNumber, {
+            type: 'text',
+            text: { body: t(lang, 'voice.heard', { transcript }) }
+        }, botConfig);
+
+        return transcript;
+    } catch (error) {
+        console.error(`[VoiceNote] Error transcribing voice note from ${fromNumber}:`, error);
+        await sendWhatsAppMessage(storeId, fromNumber, {
+            type: 'text',
+            text: { body: getSingaporeErrorMessage('voiceNoteError', {}, lang) }
+        }, botConfig);
+        return null;
+    }
+}
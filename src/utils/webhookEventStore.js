@@ -0,0 +1,93 @@
+// Webhook Event Store - raw WhatsApp webhook payloads kept for the async worker and replays
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { v4 as uuidv4 } from 'uuid';
+import { isOfflineMode } from './offlineMode.js';
+
+const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+const docClient = DynamoDBDocumentClient.from(client);
+
+// Events of offline runs, by eventId
+const localEvents = new Map();
+
+function getTableName() {
+    return process.env.WEBHOOK_EVENTS_TABLE_NAME || 'store-ai-bot-dev-webhook-events';
+}
+
+function getTtlSeconds() {
+    const ttlDays = parseInt(process.env.WEBHOOK_EVENT_TTL_DAYS || '7', 10);
+    return Math.floor(Date.now() / 1000) + (ttlDays * 24 * 60 * 60);
+}
+
+/**
+ * Persist a signature-validated webhook body exactly as received.
+ * @param {string} storeId - Store the webhook belongs to
+ * @param {string} rawBody - Unparsed request body
+ * @param {Object} details - Summary fields (messageIds, statusCount)
+ * @returns {Promise<string|null>} - eventId, or null when the event could not be stored
+ */
+export async function saveWebhookEvent(storeId, rawBody, details = {}) {
+    const eventId = uuidv4();
+    if (isOfflineMode()) {
+        localEvents.set(eventId, { eventId, storeId, rawBody, ...details, status: 'queued', receivedAt: new Date().toISOString() });
+        return eventId;
+    }
+    try {
+        await docClient.send(new PutCommand({
+            TableName: getTableName(),
+            Item: {
+                eventId,
+                storeId,
+                rawBody,
+                messageIds: details.messageIds || [],
+                statusCount: details.statusCount || 0,
+                status: 'queued',
+                receivedAt: new Date().toISOString(),
+                ttl: getTtlSeconds()
+            }
+        }));
+        return eventId;
+    } catch (error) {
+        console.error(`[WebhookEventStore] Error saving webhook event for store ${storeId}:`, error);
+        return null;
+    }
+}
+
+export async function getWebhookEvent(eventId) {
+    if (isOfflineMode()) {
+        return localEvents.get(eventId) || null;
+    }
+    const result = await docClient.send(new GetCommand({
+        TableName: getTableName(),
+        Key: { eventId }
+    }));
+    return result.Item || null;
+}
+
+/**
+ * Record the worker outcome for an event (processed or failed)
+ */
+export async function markWebhookEventStatus(eventId, status, errorMessage = null) {
+    if (isOfflineMode()) {
+        const event = localEvents.get(eventId);
+        if (event) {
+            Object.assign(event, { status, processedAt: new Date().toISOString(), lastError: errorMessage });
+        }
+        return;
+    }
+    try {
+        await docClient.send(new UpdateCommand({
+            TableName: getTableName(),
+            Key: { eventId },
+            UpdateExpression: 'SET #status = :status, processedAt = :now, lastError = :error',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':status': status,
+                ':now': new Date().toISOString(),
+                ':error': errorMessage
+            }
+        }));
+    } catch (error) {
+        console.error(`[WebhookEventStore] Error marking event ${eventId} as ${status}:`, error);
+    }
+}
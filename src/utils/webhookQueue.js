@@ -0,0 +1,111 @@
+// Webhook Queue - hands acknowledged webhook events to the worker
+import { SQSClient, SendMessageCommand } from '@aws-sdk/client-sqs';
+
+/**
+ * SQS-backed queue used in deployed stages. The worker function is subscribed
+ * to the queue, so jobs survive Lambda restarts and failed batches are retried.
+ */
+export function createSqsQueue(queueUrl) {
+    const sqsClient = new SQSClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+
+    return {
+        name: 'sqs',
+        async enqueue(job) {
+            const result = await sqsClient.send(new SendMessageCommand({
+                QueueUrl: queueUrl,
+                MessageBody: JSON.stringify(job)
+            }));
+            return result.MessageId;
+        }
+    };
+}
+
+/**
+ * In-process queue for tests and offline runs. Jobs are handed to the consumer
+ * on the next tick so the caller still returns before processing starts;
+ * drain() waits for everything enqueued so far.
+ */
+export function createLocalQueue() {
+    let consumer = null;
+    let nextId = 1;
+    const pending = new Set();
+    const backlog = [];
+
+    function run(job) {
+        const task = new Promise(resolve => setImmediate(resolve))
+            .then(() => consumer(job))
+            .catch(error => console.error('[WebhookQueue] Local job failed:', error))
+            .finally(() => pending.delete(task));
+        pending.add(task);
+    }
+
+    return {
+        name: 'local',
+        async enqueue(job) {
+            const jobId = `local-${nextId++}`;
+            if (consumer) {
+                run(job);
+            } else {
+                backlog.push(job);
+            }
+            return jobId;
+        },
+        setConsumer(fn) {
+            consumer = fn;
+            backlog.splice(0).forEach(run);
+        },
+        async drain() {
+            while (pending.size > 0) {
+                await Promise.all([...pending]);
+            }
+        }
+    };
+}
+
+let webhookQueue = null;
+
+/**
+ * Queue selected by WEBHOOK_QUEUE_DRIVER ('sqs' or 'local'). Without a driver
+ * setting, SQS is used whenever WEBHOOK_QUEUE_URL is configured.
+ */
+export function getWebhookQueue() {
+    if (webhookQueue) {
+        return webhookQueue;
+    }
+
+    const queueUrl = process.env.WEBHOOK_QUEUE_URL;
+    const driver = process.env.WEBHOOK_QUEUE_DRIVER || (queueUrl ? 'sqs' : 'local');
+
+    if (driver === 'sqs') {
+        if (!queueUrl) {
+            throw new Error('WEBHOOK_QUEUE_URL is required for the sqs webhook queue');
+        }
+        webhookQueue = createSqsQueue(queueUrl);
+    } else {
+        webhookQueue = createLocalQueue();
+    }
+
+    console.log(`[WebhookQueue] Using ${webhookQueue.name} queue`);
+    return webhookQueue;
+}
+
+/**
+ * Replace the active queue (tests and local tooling)
+ */
+export function setWebhookQueue(queue) {
+    webhookQueue = queue;
+}
+
+/**
+ * Turn a worker invocation into jobs: SQS batches carry them in Records[].body,
+ * the local queue passes the job object directly.
+ */
+export function getQueuedJobs(event) {
+    if (Array.isArray(event?.Records)) {
+        return event.Records.map(record => ({
+            queueMessageId: record.messageId,
+            ...JSON.parse(record.body)
+        }));
+    }
+    return event ? [event] : [];
+}
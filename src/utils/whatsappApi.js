@@ -1,6 +1,8 @@
 // src/utils/whatsappApi.js
 import axios from 'axios';
 import { getBotConfig } from './dynamoDbUtils.js'; // Added .js extension for explicit ESM import
+import { getWhatsAppApiBaseUrl } from './whatsappUtils.js';
+import { trackOutboundMessage } from './sessionManager.js';
 
 async function getWhatsAppConfig(storeId = process.env.STORE_ID || 'defaultStore') {
 
@@ -44,7 +46,7 @@ async function sendWhatsAppMessage(to, message, storeId) {
     return false;
   }
 
-  const url = `https://graph.facebook.com/${config.version}/${config.phoneNoId}/messages`;
+  const url = `${getWhatsAppApiBaseUrl()}/${config.version}/${config.phoneNoId}/messages`;
   const headers = {
     'Authorization': `Bearer ${config.token}`,
     'Content-Type': 'application/json',
@@ -176,7 +178,12 @@ async function sendWhatsAppMessage(to, message, storeId) {
   }
 }
 
-async function sendWhatsAppTemplateMessage(to, templateName, languageCode, components, storeId) {
+/**
+ * Send an approved template, the only message type WhatsApp delivers outside the 24-hour window.
+ * @param {Object} options - { category } for the outbound message log
+ * @returns {Promise<string|false>} - The message's wamid, or false when it was not sent
+ */
+async function sendWhatsAppTemplateMessage(to, templateName, languageCode, components, storeId, options = {}) {
   let config;
   try {
     config = await getWhatsAppConfig(storeId);
@@ -185,7 +192,7 @@ async function sendWhatsAppTemplateMessage(to, templateName, languageCode, compo
     return false;
   }
 
-  const url = `https://graph.facebook.com/${config.version}/${config.phoneNoId}/messages`;
+  const url = `${getWhatsAppApiBaseUrl()}/${config.version}/${config.phoneNoId}/messages`;
   const headers = {
     'Authorization': `Bearer ${config.token}`,
     'Content-Type': 'application/json',
@@ -206,9 +213,19 @@ async function sendWhatsAppTemplateMessage(to, templateName, languageCode, compo
 
   try {
     console.log(`[WhatsAppAPI] Sending WhatsApp template message to ${to} for store ${storeId}:`, JSON.stringify(payload));
-    await axios.post(url, payload, { headers });
-    console.log(`[WhatsAppAPI] WhatsApp template message sent successfully to ${to} for store ${storeId}.`);
-    return true;
+    const response = await axios.post(url, payload, { headers });
+    const messageId = response.data?.messages?.[0]?.id;
+    console.log(`[WhatsAppAPI] WhatsApp template message ${messageId} sent successfully to ${to} for store ${storeId}.`);
+
+    // Delivery/read callbacks for this message are matched on the returned wamid
+    await trackOutboundMessage(to, messageId, {
+      storeId,
+      category: options.category || 'template',
+      messageType: 'template',
+      text: components?.[0]?.parameters?.[0]?.text || templateName
+    });
+
+    return messageId;
   } catch (error) {
     const errorMsg = error.response ? JSON.stringify(error.response.data) : error.message;
     console.error(`[WhatsAppAPI] Error sending WhatsApp template message to ${to} for store ${storeId}:`, errorMsg);
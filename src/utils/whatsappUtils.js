@@ -1,7 +1,32 @@
 import axios from 'axios';
+import { trackOutboundMessage } from './sessionManager.js';
+import { validateOutboundMessage, MessageValidationError } from './messageValidation.js';
+import { isMessageBuilder, getBuilderName } from './messageBuilder.js';
+
+// Graph API host. WHATSAPP_API_BASE_URL points it at the local Cloud API simulator.
+export function getWhatsAppApiBaseUrl() {
+  return (process.env.WHATSAPP_API_BASE_URL || 'https://graph.facebook.com').replace(/\/+$/, '');
+}
 
 // Helper function to send WhatsApp message
-export async function sendWhatsAppMessage(storeId, phoneNumber, message, botConfig) {
+// options.category labels the message in the outbound message log (reply, daily_alert, owner_notification)
+// options.builder (or the builtBy name recorded by messageBuilder) names the function that built the message for validation errors;
+// hand-written payloads without either are tagged with their category
+// A message that breaks a Cloud API limit it can't repair is logged and not sent (returns false)
+export async function sendWhatsAppMessage(storeId, phoneNumber, message, botConfig, options = {}) {
+  // Unbuilt msg.* builders from utils/messageBuilder.js are rendered here
+  if (isMessageBuilder(message)) {
+    try {
+      message = message.build();
+    } catch (error) {
+      if (error instanceof MessageValidationError) {
+        console.error(`[storeId: ${storeId}] Not sending ${error.messageType} message to ${phoneNumber}: ${error.message}`);
+        return false;
+      }
+      throw error;
+    }
+  }
+  const builder = options.builder || getBuilderName(message) || `unnamed ${options.category || 'reply'} message`;
   console.log(`[storeId: ${storeId}] sendWhatsAppMessage TOP: phoneNumber: ${phoneNumber}, message:`, JSON.stringify(message, null, 2), 'botConfig keys:', botConfig ? Object.keys(botConfig) : 'null');
   
   // Validate botConfig
@@ -29,7 +54,7 @@ export async function sendWhatsAppMessage(storeId, phoneNumber, message, botConf
   console.log(`[storeId: ${storeId}] Using formatted phone: ${formattedPhone} (original: ${phoneNumber})`);
   
 
-  const whatsappApiUrl = `https://graph.facebook.com/${process.env.WHATSAPP_API_VERSION || 'v19.0'}/${botConfig.whatsappPhoneNumberId}/messages`;
+  const whatsappApiUrl = `${getWhatsAppApiBaseUrl()}/${process.env.WHATSAPP_API_VERSION || 'v19.0'}/${botConfig.whatsappPhoneNumberId}/messages`;
   
   // Construct the base payload
   let payload = {
@@ -70,7 +95,7 @@ export async function sendWhatsAppMessage(storeId, phoneNumber, message, botConf
       }
       
       payload.type = 'text';
-      payload.text = { body: textBody.substring(0, 4096) };
+      payload.text = { body: textBody }; // Bodies over 4096 characters are split by validateOutboundMessage
       console.log(`[storeId: ${storeId}] Final text payload set: ${JSON.stringify(payload.text)}`);
       
       // Optional: Add preview_url handling if needed from message.text.preview_url
@@ -211,6 +236,25 @@ export async function sendWhatsAppMessage(storeId, phoneNumber, message, botConf
     return;
   }
 
+  // Enforce Cloud API limits: safe repairs are applied, anything else is not sent
+  let validation;
+  try {
+    validation = validateOutboundMessage(payload, builder);
+  } catch (error) {
+    if (error instanceof MessageValidationError) {
+      console.error(`[storeId: ${storeId}] Not sending ${error.messageType} message to ${phoneNumber}: ${error.message}`);
+      return false;
+    }
+    throw error;
+  }
+  if (validation.repairs.length > 0) {
+    console.warn(`[storeId: ${storeId}] Repaired ${payload.type} message from ${builder}:`, JSON.stringify(validation.repairs));
+  }
+  payload = validation.payload;
+  for (const leadingText of validation.leadingTexts) {
+    await sendWhatsAppMessage(storeId, phoneNumber, { type: 'text', text: { body: leadingText } }, botConfig, { ...options, builder });
+  }
+
   console.log(`[storeId: ${storeId}] Sending WhatsApp message to ${phoneNumber}. Payload:`, JSON.stringify(payload, null, 2));
 
   try {
@@ -234,6 +278,15 @@ export async function sendWhatsAppMessage(storeId, phoneNumber, message, botConf
     );
     
     console.log(`[storeId: ${storeId}] Message sent successfully to ${phoneNumber}. Response:`, JSON.stringify(response.data));
+
+    // Delivery/read callbacks for this message are matched on the returned wamid
+    await trackOutboundMessage(formattedPhone, response.data?.messages?.[0]?.id, {
+      storeId,
+      category: options.category || 'reply',
+      messageType: payload.type,
+      text: payload.text?.body || payload.interactive?.body?.text || payload.image?.caption || ''
+    });
+
     return response.data;
     
   } catch (error) {
@@ -257,7 +310,7 @@ export async function sendWhatsAppMessage(storeId, phoneNumber, message, botConf
       return sendWhatsAppMessage(storeId, phoneNumber, { 
         type: 'text', 
         text: message.text && message.text.body ? message.text : { body: JSON.stringify(message.text) }
-      }, botConfig);
+      }, botConfig, options);
     }
     // Return null instead of throwing to prevent crashes
     console.error(`[storeId: ${storeId}] No fallback available, WhatsApp message could not be sent to ${phoneNumber}`);
@@ -265,6 +318,41 @@ export async function sendWhatsAppMessage(storeId, phoneNumber, message, botConf
   }
 }
 
+/**
+ * Download any media (image, audio, document) from WhatsApp using Media API
+ * @param {string} mediaId - WhatsApp media ID
+ * @param {string} whatsappToken - WhatsApp access token
+ * @returns {Promise<{buffer: Buffer, mimeType: string|null}>} - Media bytes and reported MIME type
+ */
+export async function downloadWhatsAppMedia(mediaId, whatsappToken) {
+  console.log(`[WhatsAppUtils] Downloading media with media ID: ${mediaId}`);
+  
+  // First, get the media URL from WhatsApp
+  const mediaUrl = `${getWhatsAppApiBaseUrl()}/v19.0/${mediaId}`;
+  const mediaResponse = await axios.get(mediaUrl, {
+    headers: {
+      'Authorization': `Bearer ${whatsappToken}`,
+    },
+  });
+  
+  if (!mediaResponse.data || !mediaResponse.data.url) {
+    throw new Error('No media URL received from WhatsApp');
+  }
+  
+  // Download the actual media
+  const fileResponse = await axios.get(mediaResponse.data.url, {
+    headers: {
+      'Authorization': `Bearer ${whatsappToken}`,
+    },
+    responseType: 'arraybuffer',
+  });
+  
+  const buffer = Buffer.from(fileResponse.data);
+  console.log(`[WhatsAppUtils] Successfully downloaded media: ${buffer.length} bytes (${mediaResponse.data.mime_type || 'unknown type'})`);
+  
+  return { buffer, mimeType: mediaResponse.data.mime_type || null };
+}
+
 /**
  * Download image from WhatsApp using Media API
  * @param {string} mediaId - WhatsApp media ID
@@ -273,33 +361,8 @@ export async function sendWhatsAppMessage(storeId, phoneNumber, message, botConf
  */
 export async function downloadWhatsAppImage(mediaId, whatsappToken) {
   try {
-    console.log(`[WhatsAppUtils] Downloading image with media ID: ${mediaId}`);
-    
-    // First, get the media URL from WhatsApp
-    const mediaUrl = `https://graph.facebook.com/v19.0/${mediaId}`;
-    const mediaResponse = await axios.get(mediaUrl, {
-      headers: {
-        'Authorization': `Bearer ${whatsappToken}`,
-      },
-    });
-    
-    if (!mediaResponse.data || !mediaResponse.data.url) {
-      throw new Error('No media URL received from WhatsApp');
-    }
-    
-    // Download the actual image
-    const imageResponse = await axios.get(mediaResponse.data.url, {
-      headers: {
-        'Authorization': `Bearer ${whatsappToken}`,
-      },
-      responseType: 'arraybuffer',
-    });
-    
-    const imageBuffer = Buffer.from(imageResponse.data);
-    console.log(`[WhatsAppUtils] Successfully downloaded image: ${imageBuffer.length} bytes`);
-    
-    return imageBuffer;
-    
+    const { buffer } = await downloadWhatsAppMedia(mediaId, whatsappToken);
+    return buffer;
   } catch (error) {
     console.error('[WhatsAppUtils] Error downloading WhatsApp image:', error.message);
     throw error;